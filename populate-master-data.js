@@ -170,12 +170,12 @@ async function createRecord(recordType, data) {
 
 // Lumber Grades
 const GRADES = [
-    { name: 'FAS', custrecord_cls_grade_code: 'FAS', custrecord_cls_grade_price_mod: 1.0, custrecord_cls_grade_sort: 1, custrecord_cls_grade_desc: 'First and Seconds - highest grade' },
-    { name: 'F1F', custrecord_cls_grade_code: 'F1F', custrecord_cls_grade_price_mod: 0.95, custrecord_cls_grade_sort: 2, custrecord_cls_grade_desc: 'FAS One Face' },
-    { name: 'Select', custrecord_cls_grade_code: 'SEL', custrecord_cls_grade_price_mod: 0.90, custrecord_cls_grade_sort: 3, custrecord_cls_grade_desc: 'Select grade' },
-    { name: '#1 Common', custrecord_cls_grade_code: '1C', custrecord_cls_grade_price_mod: 0.75, custrecord_cls_grade_sort: 4, custrecord_cls_grade_desc: 'Number 1 Common' },
-    { name: '#2 Common', custrecord_cls_grade_code: '2C', custrecord_cls_grade_price_mod: 0.55, custrecord_cls_grade_sort: 5, custrecord_cls_grade_desc: 'Number 2 Common' },
-    { name: '#3 Common', custrecord_cls_grade_code: '3C', custrecord_cls_grade_price_mod: 0.35, custrecord_cls_grade_sort: 6, custrecord_cls_grade_desc: 'Number 3 Common - utility grade' }
+    { name: 'FAS', custrecord_cls_grade_code: 'FAS', custrecord_cls_grade_price_mod: 100, custrecord_cls_grade_sort: 1, custrecord_cls_grade_desc: 'First and Seconds - highest grade' },
+    { name: 'F1F', custrecord_cls_grade_code: 'F1F', custrecord_cls_grade_price_mod: 95, custrecord_cls_grade_sort: 2, custrecord_cls_grade_desc: 'FAS One Face' },
+    { name: 'Select', custrecord_cls_grade_code: 'SEL', custrecord_cls_grade_price_mod: 90, custrecord_cls_grade_sort: 3, custrecord_cls_grade_desc: 'Select grade' },
+    { name: '#1 Common', custrecord_cls_grade_code: '1C', custrecord_cls_grade_price_mod: 75, custrecord_cls_grade_sort: 4, custrecord_cls_grade_desc: 'Number 1 Common' },
+    { name: '#2 Common', custrecord_cls_grade_code: '2C', custrecord_cls_grade_price_mod: 55, custrecord_cls_grade_sort: 5, custrecord_cls_grade_desc: 'Number 2 Common' },
+    { name: '#3 Common', custrecord_cls_grade_code: '3C', custrecord_cls_grade_price_mod: 35, custrecord_cls_grade_sort: 6, custrecord_cls_grade_desc: 'Number 3 Common - utility grade' }
 ];
 
 // UOM Types
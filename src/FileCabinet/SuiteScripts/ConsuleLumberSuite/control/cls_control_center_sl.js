@@ -493,7 +493,12 @@ define([
                 description: 'Real-time profit margin calculations on sales',
                 enabled: SettingsDAO.isMarginAnalysisEnabled(),
                 dependencies: 'Dynamic UOM Conversion',
-                impact: 'Shows margin warnings on low-profit sales'
+                impact: 'Shows margin warnings on low-profit sales',
+                link: {
+                    label: 'Open Margin Analysis',
+                    scriptId: Constants.SCRIPTS.MARGIN_ANALYSIS_SL,
+                    deploymentId: Constants.DEPLOYMENTS.MARGIN_ANALYSIS_SL
+                }
             },
             {
                 name: 'Consumption Analytics',
@@ -523,6 +528,13 @@ define([
             html += `<td style="padding:12px; border-bottom:1px solid #ddd;">`;
             html += `<strong>${feature.name}</strong><br>`;
             html += `<small style="color:#666;">${feature.description}</small>`;
+            if (feature.link && feature.enabled) {
+                const linkUrl = url.resolveScript({
+                    scriptId: feature.link.scriptId,
+                    deploymentId: feature.link.deploymentId
+                });
+                html += `<br><a href="${linkUrl}" style="color:#607799; font-size:12px;">${feature.link.label} &rarr;</a>`;
+            }
             html += `</td>`;
             html += `<td style="padding:12px; text-align:center; border-bottom:1px solid #ddd;">`;
             html += `<span style="color:${statusColor}; font-size:20px;">${statusIcon}</span><br>`;
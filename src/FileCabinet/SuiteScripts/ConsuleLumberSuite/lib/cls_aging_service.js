@@ -0,0 +1,536 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_aging_service
+ *
+ * Consule LumberSuite™ - Tally Aging Service
+ * Ages open tally sheets, prices their carrying cost and maintains the
+ * stale inventory worklist
+ *
+ * A tally is stale once its age passes the threshold on its species (or the
+ * settings default). The nightly aging MR writes one worklist entry per stale
+ * tally with a suggested action:
+ * - Reprocess: still above kiln-dried moisture, re-dry before selling
+ * - Repack: a broken bundle with little of the received BF left
+ * - Discount: everything else, deeper the longer the tally sits
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/record',
+    'N/search',
+    'N/format',
+    './cls_constants',
+    './cls_settings_dao',
+    './cls_bf_calculator',
+    './cls_conversion_engine'
+], (record, search, format, Constants, SettingsDAO, BFCalculator, ConversionEngine) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+    const ITEM_FIELDS = Constants.ITEM_FIELDS;
+    const STALE_FIELDS = Constants.STALE_FIELDS;
+    const STALE_STATUS = Constants.STALE_STATUS;
+    const STALE_ACTIONS = Constants.STALE_ACTIONS;
+
+    const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+    /**
+     * Above this moisture a tally is sold as green lumber, not kiln-dried
+     */
+    const REPROCESS_MOISTURE_PCT = 19;
+
+    /**
+     * Below this share of its received BF a tally is a broken bundle
+     */
+    const REPACK_REMAINING_PCT = 25;
+
+    /**
+     * Discount suggested for each full threshold period a tally has aged
+     */
+    const DISCOUNT_STEP_PCT = 10;
+    const MAX_DISCOUNT_PCT = 30;
+
+    const round = (value) => BFCalculator.roundTo(value, Constants.PRECISION.BF);
+    const roundCurrency = (value) => BFCalculator.roundTo(value, Constants.PRECISION.CURRENCY);
+
+    /**
+     * Get the age of a tally in whole days
+     *
+     * @param {Date|string} receivedDate - Date the tally was received
+     * @param {Date} [asOf] - Date to age to (defaults to today)
+     * @returns {number} Age in days
+     */
+    const getAgeDays = (receivedDate, asOf = new Date()) => {
+        if (!receivedDate) {
+            return 0;
+        }
+
+        const received = receivedDate instanceof Date
+            ? receivedDate
+            : format.parse({ value: receivedDate, type: format.Type.DATE });
+
+        return Math.max(0, Math.floor((asOf.getTime() - received.getTime()) / MS_PER_DAY));
+    };
+
+    /**
+     * Get the age bucket key for an age
+     *
+     * @param {number} ageDays - Age in days
+     * @returns {string} Bucket key from Constants.AGE_BUCKETS
+     */
+    const getAgeBucket = (ageDays) => {
+        const bucket = Constants.AGE_BUCKETS.find((b) => b.maxDays === null || ageDays <= b.maxDays);
+        return bucket.key;
+    };
+
+    /**
+     * Calculate the cost of holding inventory for its age
+     *
+     * @param {number} inventoryValue - Remaining BF × BF cost
+     * @param {number} ageDays - Age in days
+     * @param {number} [annualRatePct] - Annual carrying cost rate (defaults to settings)
+     * @returns {number} Carrying cost
+     */
+    const calculateCarryingCost = (inventoryValue, ageDays, annualRatePct) => {
+        const rate = annualRatePct === undefined ? SettingsDAO.getCarryingCostRate() : annualRatePct;
+        return roundCurrency(inventoryValue * (rate / 100) * (ageDays / 365));
+    };
+
+    /**
+     * Load the stale thresholds set on species records
+     *
+     * @returns {Object} Map of species ID → days
+     */
+    const getSpeciesThresholds = () => {
+        const thresholds = {};
+
+        search.create({
+            type: RECORD_TYPES.SPECIES,
+            filters: [
+                [Constants.SPECIES_FIELDS.STALE_DAYS, 'isnotempty', ''],
+                'AND',
+                ['isinactive', 'is', 'F']
+            ],
+            columns: [Constants.SPECIES_FIELDS.STALE_DAYS]
+        }).run().each((result) => {
+            const days = parseInt(result.getValue(Constants.SPECIES_FIELDS.STALE_DAYS), 10);
+            if (days > 0) {
+                thresholds[result.id] = days;
+            }
+            return true;
+        });
+
+        return thresholds;
+    };
+
+    /**
+     * Suggest what to do with a stale tally
+     *
+     * @param {Object} tally - Tally aging details
+     * @param {number} tally.ageDays - Age in days
+     * @param {number} tally.thresholdDays - Stale threshold in days
+     * @param {number} tally.receivedBF - Received BF
+     * @param {number} tally.remainingBF - Remaining BF
+     * @param {number|null} tally.moisturePct - Moisture content
+     * @returns {Object} { action, discountPct, reason }
+     */
+    const suggestAction = (tally) => {
+        if (tally.moisturePct !== null && tally.moisturePct > REPROCESS_MOISTURE_PCT) {
+            return {
+                action: STALE_ACTIONS.REPROCESS,
+                discountPct: 0,
+                reason: `Moisture ${tally.moisturePct}% is above ${REPROCESS_MOISTURE_PCT}%, re-dry before sale`
+            };
+        }
+
+        const remainingPct = tally.receivedBF > 0 ? (tally.remainingBF / tally.receivedBF) * 100 : 100;
+
+        if (remainingPct < REPACK_REMAINING_PCT) {
+            return {
+                action: STALE_ACTIONS.REPACK,
+                discountPct: 0,
+                reason: `Broken bundle, ${remainingPct.toFixed(0)}% of received BF left`
+            };
+        }
+
+        const periods = Math.max(1, Math.floor(tally.ageDays / tally.thresholdDays));
+
+        return {
+            action: STALE_ACTIONS.DISCOUNT,
+            discountPct: Math.min(MAX_DISCOUNT_PCT, periods * DISCOUNT_STEP_PCT),
+            reason: `${tally.ageDays} days old, stale after ${tally.thresholdDays}`
+        };
+    };
+
+    /**
+     * Age one tally and price its carrying cost
+     *
+     * @param {Object} tally - Tally from getOpenTallies
+     * @param {Object} [options] - Options
+     * @param {Object} [options.thresholds] - Species thresholds from getSpeciesThresholds
+     * @param {Date} [options.asOf] - Date to age to
+     * @returns {Object} Tally details with ageDays, bucket, thresholdDays, isStale,
+     *                   inventoryValue, carryingCost and, when stale, the suggestion
+     */
+    const evaluateTally = (tally, options = {}) => {
+        const thresholds = options.thresholds || getSpeciesThresholds();
+        const ageDays = getAgeDays(tally.receivedDate, options.asOf);
+        const thresholdDays = thresholds[tally.speciesId] || SettingsDAO.getStaleDays();
+        const inventoryValue = roundCurrency(tally.remainingBF * tally.bfCost);
+
+        const evaluation = Object.assign({}, tally, {
+            ageDays,
+            bucket: getAgeBucket(ageDays),
+            thresholdDays,
+            isStale: ageDays >= thresholdDays,
+            inventoryValue,
+            carryingCost: calculateCarryingCost(inventoryValue, ageDays)
+        });
+
+        if (evaluation.isStale) {
+            Object.assign(evaluation, suggestAction(evaluation));
+        }
+
+        return evaluation;
+    };
+
+    /**
+     * Convert an item's average cost from its stock unit to a cost per BF
+     *
+     * @param {number} itemId - Item internal ID
+     * @param {number} averageCost - Average cost per stock unit
+     * @returns {number} Cost per BF, or 0 if it cannot be converted
+     */
+    const getAverageBFCost = (itemId, averageCost) => {
+        if (!averageCost) return 0;
+
+        const stockUnit = ConversionEngine.getStockUnitBF(itemId);
+        return stockUnit.isValid ? averageCost / stockUnit.bfPerUnit : 0;
+    };
+
+    /**
+     * List every open tally with the details needed to age it
+     *
+     * @returns {Array<Object>} Tallies
+     */
+    const getOpenTallies = () => {
+        const tallies = [];
+
+        const pagedData = search.create({
+            type: RECORD_TYPES.TALLY_SHEET,
+            filters: [
+                [TALLY_FIELDS.STATUS, 'anyof', [Constants.TALLY_STATUS.OPEN, Constants.TALLY_STATUS.ALLOCATED]],
+                'AND',
+                [TALLY_FIELDS.REMAINING_BF, 'greaterthan', 0]
+            ],
+            columns: [
+                TALLY_FIELDS.TALLY_NUMBER,
+                TALLY_FIELDS.ITEM,
+                TALLY_FIELDS.LOCATION,
+                TALLY_FIELDS.RECEIVED_DATE,
+                TALLY_FIELDS.RECEIVED_BF,
+                TALLY_FIELDS.REMAINING_BF,
+                TALLY_FIELDS.MOISTURE_PCT,
+                TALLY_FIELDS.BF_COST,
+                'created',
+                search.createColumn({ name: ITEM_FIELDS.SPECIES, join: TALLY_FIELDS.ITEM }),
+                search.createColumn({ name: ITEM_FIELDS.BASE_BF_COST, join: TALLY_FIELDS.ITEM }),
+                search.createColumn({ name: 'averagecost', join: TALLY_FIELDS.ITEM })
+            ]
+        }).runPaged({ pageSize: 1000 });
+
+        pagedData.pageRanges.forEach((pageRange) => {
+            pagedData.fetch({ index: pageRange.index }).data.forEach((result) => {
+                const moisture = result.getValue(TALLY_FIELDS.MOISTURE_PCT);
+
+                // Landed cost of the lot first, then the item's BF cost, then
+                // its average cost converted from the stock unit
+                const bfCost = parseFloat(result.getValue(TALLY_FIELDS.BF_COST)) ||
+                    parseFloat(result.getValue({ name: ITEM_FIELDS.BASE_BF_COST, join: TALLY_FIELDS.ITEM })) ||
+                    getAverageBFCost(
+                        result.getValue(TALLY_FIELDS.ITEM),
+                        parseFloat(result.getValue({ name: 'averagecost', join: TALLY_FIELDS.ITEM }))
+                    );
+
+                tallies.push({
+                    tallyId: result.id,
+                    tallyNumber: result.getValue(TALLY_FIELDS.TALLY_NUMBER),
+                    itemId: result.getValue(TALLY_FIELDS.ITEM),
+                    speciesId: result.getValue({ name: ITEM_FIELDS.SPECIES, join: TALLY_FIELDS.ITEM }) || null,
+                    locationId: result.getValue(TALLY_FIELDS.LOCATION) || null,
+                    receivedDate: result.getValue(TALLY_FIELDS.RECEIVED_DATE) ||
+                        format.format({
+                            value: format.parse({ value: result.getValue('created'), type: format.Type.DATETIME }),
+                            type: format.Type.DATE
+                        }),
+                    receivedBF: parseFloat(result.getValue(TALLY_FIELDS.RECEIVED_BF)) || 0,
+                    remainingBF: parseFloat(result.getValue(TALLY_FIELDS.REMAINING_BF)) || 0,
+                    moisturePct: moisture === '' ? null : parseFloat(moisture),
+                    bfCost
+                });
+            });
+        });
+
+        return tallies;
+    };
+
+    /**
+     * Find the worklist entry still open for a tally
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @returns {Object|null} { entryId, status }
+     */
+    const findWorklistEntry = (tallyId) => {
+        let entry = null;
+
+        search.create({
+            type: RECORD_TYPES.STALE_INVENTORY,
+            filters: [
+                [STALE_FIELDS.TALLY, 'anyof', tallyId],
+                'AND',
+                [STALE_FIELDS.STATUS, 'anyof', [STALE_STATUS.OPEN, STALE_STATUS.ACTIONED]]
+            ],
+            columns: [STALE_FIELDS.STATUS]
+        }).run().each((result) => {
+            entry = { entryId: result.id, status: result.getValue(STALE_FIELDS.STATUS) };
+            return false;
+        });
+
+        return entry;
+    };
+
+    /**
+     * Create or refresh the worklist entry of a stale tally. Entries already
+     * marked Actioned keep their status and are only re-measured.
+     *
+     * @param {Object} evaluation - Stale tally from evaluateTally
+     * @param {Date} [reviewedDate] - Date of the aging run
+     * @returns {Object} { success, entryId, created, error }
+     */
+    const upsertWorklistEntry = (evaluation, reviewedDate = new Date()) => {
+        try {
+            const existing = findWorklistEntry(evaluation.tallyId);
+
+            const entryRec = existing
+                ? record.load({ type: RECORD_TYPES.STALE_INVENTORY, id: existing.entryId })
+                : record.create({ type: RECORD_TYPES.STALE_INVENTORY });
+
+            const values = {
+                [STALE_FIELDS.ITEM]: evaluation.itemId,
+                [STALE_FIELDS.SPECIES]: evaluation.speciesId,
+                [STALE_FIELDS.LOCATION]: evaluation.locationId,
+                [STALE_FIELDS.AGE_DAYS]: evaluation.ageDays,
+                [STALE_FIELDS.THRESHOLD_DAYS]: evaluation.thresholdDays,
+                [STALE_FIELDS.AGE_BUCKET]: evaluation.bucket,
+                [STALE_FIELDS.REMAINING_BF]: round(evaluation.remainingBF),
+                [STALE_FIELDS.BF_COST]: evaluation.bfCost,
+                [STALE_FIELDS.INVENTORY_VALUE]: evaluation.inventoryValue,
+                [STALE_FIELDS.CARRYING_COST]: evaluation.carryingCost,
+                [STALE_FIELDS.ACTION]: evaluation.action,
+                [STALE_FIELDS.DISCOUNT_PCT]: evaluation.discountPct,
+                [STALE_FIELDS.REASON]: evaluation.reason,
+                [STALE_FIELDS.LAST_REVIEWED]: reviewedDate
+            };
+
+            if (!existing) {
+                values[STALE_FIELDS.TALLY] = evaluation.tallyId;
+                values[STALE_FIELDS.STATUS] = STALE_STATUS.OPEN;
+            }
+
+            Object.keys(values).forEach((fieldId) => {
+                const value = values[fieldId];
+                if (value !== null && value !== undefined) {
+                    entryRec.setValue({ fieldId, value });
+                }
+            });
+
+            const entryId = entryRec.save({ ignoreMandatoryFields: true });
+
+            return { success: true, entryId, created: !existing };
+        } catch (e) {
+            log.error({
+                title: 'CLS Aging Service - upsertWorklistEntry',
+                details: `Tally ${evaluation.tallyId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Clear worklist entries the aging run did not reach: their tally closed,
+     * was sold down or is no longer past its threshold
+     *
+     * @param {Date} reviewedBefore - Start date of the aging run
+     * @returns {number} Number of entries cleared
+     */
+    const clearStaleEntries = (reviewedBefore) => {
+        let cleared = 0;
+
+        const pagedData = search.create({
+            type: RECORD_TYPES.STALE_INVENTORY,
+            filters: [
+                [STALE_FIELDS.STATUS, 'anyof', [STALE_STATUS.OPEN, STALE_STATUS.ACTIONED]],
+                'AND',
+                [
+                    [STALE_FIELDS.LAST_REVIEWED, 'isempty', ''],
+                    'OR',
+                    [STALE_FIELDS.LAST_REVIEWED, 'before', format.format({ value: reviewedBefore, type: format.Type.DATE })]
+                ]
+            ],
+            columns: ['internalid']
+        }).runPaged({ pageSize: 1000 });
+
+        pagedData.pageRanges.forEach((pageRange) => {
+            pagedData.fetch({ index: pageRange.index }).data.forEach((result) => {
+                try {
+                    record.submitFields({
+                        type: RECORD_TYPES.STALE_INVENTORY,
+                        id: result.id,
+                        values: { [STALE_FIELDS.STATUS]: STALE_STATUS.CLEARED }
+                    });
+                    cleared++;
+                } catch (e) {
+                    log.error({
+                        title: 'CLS Aging Service - clearStaleEntries',
+                        details: `Entry ${result.id}: ${e.message}`
+                    });
+                }
+            });
+        });
+
+        return cleared;
+    };
+
+    /**
+     * List the open worklist, highest carrying cost first
+     *
+     * @param {Object} [options] - Options
+     * @param {number} [options.limit] - Maximum entries to return
+     * @returns {Array<Object>} Worklist entries
+     */
+    const getOpenWorklist = (options = {}) => {
+        const entries = [];
+        const limit = options.limit || 1000;
+
+        search.create({
+            type: RECORD_TYPES.STALE_INVENTORY,
+            filters: [[STALE_FIELDS.STATUS, 'anyof', STALE_STATUS.OPEN]],
+            columns: [
+                search.createColumn({ name: STALE_FIELDS.CARRYING_COST, sort: search.Sort.DESC }),
+                STALE_FIELDS.TALLY,
+                STALE_FIELDS.ITEM,
+                STALE_FIELDS.LOCATION,
+                STALE_FIELDS.AGE_DAYS,
+                STALE_FIELDS.THRESHOLD_DAYS,
+                STALE_FIELDS.REMAINING_BF,
+                STALE_FIELDS.INVENTORY_VALUE,
+                STALE_FIELDS.ACTION,
+                STALE_FIELDS.DISCOUNT_PCT,
+                STALE_FIELDS.REASON
+            ]
+        }).run().each((result) => {
+            entries.push({
+                entryId: result.id,
+                tallyId: result.getValue(STALE_FIELDS.TALLY),
+                tallyNumber: result.getText(STALE_FIELDS.TALLY),
+                item: result.getText(STALE_FIELDS.ITEM),
+                location: result.getText(STALE_FIELDS.LOCATION),
+                ageDays: parseInt(result.getValue(STALE_FIELDS.AGE_DAYS), 10) || 0,
+                thresholdDays: parseInt(result.getValue(STALE_FIELDS.THRESHOLD_DAYS), 10) || 0,
+                bf: parseFloat(result.getValue(STALE_FIELDS.REMAINING_BF)) || 0,
+                inventoryValue: parseFloat(result.getValue(STALE_FIELDS.INVENTORY_VALUE)) || 0,
+                carryingCost: parseFloat(result.getValue(STALE_FIELDS.CARRYING_COST)) || 0,
+                action: result.getValue(STALE_FIELDS.ACTION),
+                actionLabel: result.getText(STALE_FIELDS.ACTION),
+                discountPct: parseFloat(result.getValue(STALE_FIELDS.DISCOUNT_PCT)) || 0,
+                reason: result.getValue(STALE_FIELDS.REASON)
+            });
+            return entries.length < limit;
+        });
+
+        return entries;
+    };
+
+    /**
+     * Summarize open tallies by age bucket, priced at today's carrying cost
+     *
+     * @returns {Object} Map of bucket key → { label, count, bf, value, carryingCost }
+     */
+    const getAgingBuckets = () => {
+        const buckets = {};
+
+        Constants.AGE_BUCKETS.forEach((bucket) => {
+            buckets[bucket.key] = { label: bucket.label, count: 0, bf: 0, value: 0, carryingCost: 0 };
+        });
+
+        getOpenTallies().forEach((tally) => {
+            const ageDays = getAgeDays(tally.receivedDate);
+            const bucket = buckets[getAgeBucket(ageDays)];
+            const value = tally.remainingBF * tally.bfCost;
+
+            bucket.count++;
+            bucket.bf += tally.remainingBF;
+            bucket.value += value;
+            bucket.carryingCost += calculateCarryingCost(value, ageDays);
+        });
+
+        Object.keys(buckets).forEach((key) => {
+            buckets[key].bf = round(buckets[key].bf);
+            buckets[key].value = roundCurrency(buckets[key].value);
+            buckets[key].carryingCost = roundCurrency(buckets[key].carryingCost);
+        });
+
+        return buckets;
+    };
+
+    /**
+     * Total the open worklist
+     *
+     * @returns {Object} { count, bf, value, carryingCost }
+     */
+    const getWorklistSummary = () => {
+        const summary = { count: 0, bf: 0, value: 0, carryingCost: 0 };
+
+        search.create({
+            type: RECORD_TYPES.STALE_INVENTORY,
+            filters: [[STALE_FIELDS.STATUS, 'anyof', STALE_STATUS.OPEN]],
+            columns: [
+                search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
+                search.createColumn({ name: STALE_FIELDS.REMAINING_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: STALE_FIELDS.INVENTORY_VALUE, summary: search.Summary.SUM }),
+                search.createColumn({ name: STALE_FIELDS.CARRYING_COST, summary: search.Summary.SUM })
+            ]
+        }).run().each((result) => {
+            summary.count = parseInt(result.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0;
+            summary.bf = parseFloat(result.getValue({ name: STALE_FIELDS.REMAINING_BF, summary: search.Summary.SUM })) || 0;
+            summary.value = parseFloat(result.getValue({ name: STALE_FIELDS.INVENTORY_VALUE, summary: search.Summary.SUM })) || 0;
+            summary.carryingCost = parseFloat(result.getValue({ name: STALE_FIELDS.CARRYING_COST, summary: search.Summary.SUM })) || 0;
+            return false;
+        });
+
+        return summary;
+    };
+
+    return {
+        // Aging
+        getAgeDays,
+        getAgeBucket,
+        calculateCarryingCost,
+        getSpeciesThresholds,
+        suggestAction,
+        evaluateTally,
+        getOpenTallies,
+
+        // Worklist
+        upsertWorklistEntry,
+        clearStaleEntries,
+        getOpenWorklist,
+
+        // Reporting
+        getAgingBuckets,
+        getWorklistSummary
+    };
+});
@@ -0,0 +1,413 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_alert_service
+ *
+ * Consule LumberSuite™ - Yield Alert Service
+ * Persists yield alerts and manages their acknowledge/resolve workflow
+ *
+ * Alert lifecycle:
+ * Open → Acknowledged → Resolved
+ *
+ * New alerts are assigned to the settings Yield Alert Assignee, who is
+ * notified by email and a follow-up task.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/record',
+    'N/search',
+    'N/email',
+    'N/runtime',
+    'N/url',
+    './cls_constants',
+    './cls_settings_dao'
+], (record, search, email, runtime, url, Constants, SettingsDAO) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const ALERT_FIELDS = Constants.YIELD_ALERT_FIELDS;
+    const ALERT_SEVERITY = Constants.ALERT_SEVERITY;
+    const ALERT_STATUS = Constants.ALERT_STATUS;
+
+    /**
+     * Alert sources
+     */
+    const SOURCES = {
+        YIELD_REGISTER: 'Yield Register',
+        YIELD_ANALYTICS: 'Yield Analytics'
+    };
+
+    /**
+     * Map an alert type or severity to a severity list value
+     *
+     * @param {string} severity - 'critical', 'warning', 'info' or a severity list value
+     * @returns {string} Severity list value
+     */
+    const resolveSeverity = (severity) => {
+        const value = String(severity || '').toUpperCase();
+
+        if (ALERT_SEVERITY[value]) {
+            return ALERT_SEVERITY[value];
+        }
+
+        return Constants.ALERT_SEVERITY_LABELS[severity] ? String(severity) : ALERT_SEVERITY.INFO;
+    };
+
+    /**
+     * Get the current user's employee ID, or null when running as system
+     * @returns {number|null}
+     */
+    const getCurrentUserId = () => {
+        const userId = runtime.getCurrentUser().id;
+        return userId > 0 ? userId : null;
+    };
+
+    /**
+     * Notify an assignee of an alert by email and a follow-up task
+     *
+     * @param {Object} params - Notification parameters
+     * @param {string} params.title - Notification subject
+     * @param {string} params.message - Notification body
+     * @param {string} [params.severity] - Severity list value
+     * @param {number} [params.alertId] - Alert record ID to link
+     * @param {number} [params.assignee] - Employee ID (defaults to settings assignee)
+     * @returns {Object} Result with success status
+     */
+    const notify = (params) => {
+        try {
+            const assignee = params.assignee || SettingsDAO.getAlertAssignee();
+
+            if (!assignee) {
+                return { success: false, error: 'No yield alert assignee configured' };
+            }
+
+            let body = params.message;
+            if (params.alertId) {
+                const alertUrl = url.resolveRecord({
+                    recordType: RECORD_TYPES.YIELD_ALERT,
+                    recordId: params.alertId
+                });
+                body += `\n\nView alert: ${alertUrl}`;
+            }
+
+            email.send({
+                author: getCurrentUserId() || assignee,
+                recipients: assignee,
+                subject: `[LumberSuite™] ${params.title}`,
+                body: body
+            });
+
+            const task = record.create({ type: record.Type.TASK });
+            task.setValue({ fieldId: 'title', value: params.title });
+            task.setValue({ fieldId: 'assigned', value: assignee });
+            task.setValue({ fieldId: 'message', value: body });
+            task.setValue({
+                fieldId: 'priority',
+                value: params.severity === ALERT_SEVERITY.CRITICAL ? 'HIGH' : 'MEDIUM'
+            });
+
+            const taskId = task.save({ ignoreMandatoryFields: true });
+
+            return {
+                success: true,
+                assignee,
+                taskId
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Alert Service - notify',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Create a yield alert record and notify the assignee
+     *
+     * @param {Object} params - Alert parameters
+     * @param {string} params.severity - 'critical', 'warning', 'info' or a severity list value
+     * @param {string} params.message - Alert message
+     * @param {string} [params.source] - Alert source (see SOURCES)
+     * @param {number} [params.yieldRegisterId] - Yield register ID
+     * @param {number} [params.sourceTransaction] - Source transaction ID
+     * @param {number} [params.itemId] - Item ID
+     * @param {number} [params.variancePct] - Variance percentage
+     * @param {number} [params.assignee] - Employee ID (defaults to settings assignee)
+     * @param {boolean} [params.notify=true] - Send email/task notification
+     * @returns {Object} Result with success status and alertId
+     */
+    const createAlert = (params) => {
+        try {
+            const severity = resolveSeverity(params.severity);
+            const assignee = params.assignee || SettingsDAO.getAlertAssignee();
+
+            const alertRec = record.create({
+                type: RECORD_TYPES.YIELD_ALERT,
+                isDynamic: false
+            });
+
+            const values = {
+                [ALERT_FIELDS.SEVERITY]: severity,
+                [ALERT_FIELDS.STATUS]: ALERT_STATUS.OPEN,
+                [ALERT_FIELDS.SOURCE]: params.source || '',
+                [ALERT_FIELDS.YIELD_REGISTER]: params.yieldRegisterId,
+                [ALERT_FIELDS.SOURCE_TRANSACTION]: params.sourceTransaction,
+                [ALERT_FIELDS.ITEM]: params.itemId,
+                [ALERT_FIELDS.VARIANCE_PCT]: params.variancePct,
+                [ALERT_FIELDS.MESSAGE]: params.message,
+                [ALERT_FIELDS.ASSIGNEE]: assignee
+            };
+
+            Object.keys(values).forEach((fieldId) => {
+                if (values[fieldId] !== undefined && values[fieldId] !== null && values[fieldId] !== '') {
+                    alertRec.setValue({ fieldId, value: values[fieldId] });
+                }
+            });
+
+            const alertId = alertRec.save({ ignoreMandatoryFields: true });
+
+            let notified = false;
+            if (params.notify !== false && assignee) {
+                const severityLabel = Constants.ALERT_SEVERITY_LABELS[severity];
+                notified = notify({
+                    title: `${severityLabel} Yield Alert`,
+                    message: params.message,
+                    severity,
+                    alertId,
+                    assignee
+                }).success;
+            }
+
+            log.audit({
+                title: 'CLS Yield Alert Created',
+                details: JSON.stringify({ alertId, severity, source: params.source, notified })
+            });
+
+            return {
+                success: true,
+                alertId,
+                severity,
+                notified
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Alert Service - createAlert',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Check whether a yield register entry already has an unresolved alert
+     *
+     * @param {number} yieldRegisterId - Yield register ID
+     * @returns {boolean}
+     */
+    const hasOpenAlert = (yieldRegisterId) => {
+        if (!yieldRegisterId) return false;
+
+        try {
+            const results = search.create({
+                type: RECORD_TYPES.YIELD_ALERT,
+                filters: [
+                    [ALERT_FIELDS.YIELD_REGISTER, 'anyof', yieldRegisterId],
+                    'AND',
+                    [ALERT_FIELDS.STATUS, 'anyof', [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED]]
+                ],
+                columns: ['internalid']
+            }).run().getRange({ start: 0, end: 1 });
+
+            return results.length > 0;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * Update an alert's workflow status
+     *
+     * @param {number} alertId - Alert record ID
+     * @param {Object} values - Field values to submit
+     * @param {Array<string>} allowedFrom - Statuses the alert may move from
+     * @returns {Object} Result with success status
+     */
+    const updateAlertStatus = (alertId, values, allowedFrom) => {
+        const current = search.lookupFields({
+            type: RECORD_TYPES.YIELD_ALERT,
+            id: alertId,
+            columns: [ALERT_FIELDS.STATUS]
+        });
+
+        const statusValue = current[ALERT_FIELDS.STATUS];
+        const currentStatus = Array.isArray(statusValue) && statusValue.length > 0
+            ? statusValue[0].value
+            : statusValue;
+
+        if (allowedFrom.indexOf(String(currentStatus)) === -1) {
+            return {
+                success: false,
+                error: `Alert is already ${Constants.ALERT_STATUS_LABELS[currentStatus] || 'closed'}`
+            };
+        }
+
+        record.submitFields({
+            type: RECORD_TYPES.YIELD_ALERT,
+            id: alertId,
+            values: values
+        });
+
+        return { success: true, alertId };
+    };
+
+    /**
+     * Acknowledge an open alert
+     *
+     * @param {number} alertId - Alert record ID
+     * @param {Object} [options] - Options
+     * @param {number} [options.userId] - Acknowledging employee (defaults to current user)
+     * @returns {Object} Result with success status
+     */
+    const acknowledgeAlert = (alertId, options = {}) => {
+        try {
+            return updateAlertStatus(alertId, {
+                [ALERT_FIELDS.STATUS]: ALERT_STATUS.ACKNOWLEDGED,
+                [ALERT_FIELDS.ACKNOWLEDGED_BY]: options.userId || getCurrentUserId(),
+                [ALERT_FIELDS.ACKNOWLEDGED_DATE]: new Date()
+            }, [ALERT_STATUS.OPEN]);
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Alert Service - acknowledgeAlert',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Resolve an open or acknowledged alert
+     *
+     * @param {number} alertId - Alert record ID
+     * @param {Object} [options] - Options
+     * @param {string} [options.resolution] - Resolution notes
+     * @param {number} [options.userId] - Resolving employee (defaults to current user)
+     * @returns {Object} Result with success status
+     */
+    const resolveAlert = (alertId, options = {}) => {
+        try {
+            const values = {
+                [ALERT_FIELDS.STATUS]: ALERT_STATUS.RESOLVED,
+                [ALERT_FIELDS.RESOLVED_BY]: options.userId || getCurrentUserId(),
+                [ALERT_FIELDS.RESOLVED_DATE]: new Date()
+            };
+
+            if (options.resolution) {
+                values[ALERT_FIELDS.RESOLUTION_NOTES] = options.resolution;
+            }
+
+            return updateAlertStatus(alertId, values, [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED]);
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Alert Service - resolveAlert',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Get unresolved alerts, most severe and most recent first
+     *
+     * @param {Object} [options] - Options
+     * @param {number} [options.limit=20] - Maximum alerts to return
+     * @param {number} [options.assignee] - Only alerts assigned to this employee
+     * @returns {Array<Object>} Alerts
+     */
+    const getOpenAlerts = (options = {}) => {
+        const alerts = [];
+
+        try {
+            const filters = [
+                [ALERT_FIELDS.STATUS, 'anyof', [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED]]
+            ];
+
+            if (options.assignee) {
+                filters.push('AND', [ALERT_FIELDS.ASSIGNEE, 'anyof', options.assignee]);
+            }
+
+            const results = search.create({
+                type: RECORD_TYPES.YIELD_ALERT,
+                filters: filters,
+                columns: [
+                    search.createColumn({ name: ALERT_FIELDS.SEVERITY, sort: search.Sort.DESC }),
+                    search.createColumn({ name: 'created', sort: search.Sort.DESC }),
+                    search.createColumn({ name: ALERT_FIELDS.STATUS }),
+                    search.createColumn({ name: ALERT_FIELDS.SOURCE }),
+                    search.createColumn({ name: ALERT_FIELDS.MESSAGE }),
+                    search.createColumn({ name: ALERT_FIELDS.ITEM }),
+                    search.createColumn({ name: ALERT_FIELDS.VARIANCE_PCT }),
+                    search.createColumn({ name: ALERT_FIELDS.ASSIGNEE })
+                ]
+            }).run().getRange({ start: 0, end: options.limit || 20 });
+
+            results.forEach((result) => {
+                alerts.push({
+                    id: result.id,
+                    severity: result.getValue({ name: ALERT_FIELDS.SEVERITY }),
+                    severityLabel: result.getText({ name: ALERT_FIELDS.SEVERITY }),
+                    status: result.getValue({ name: ALERT_FIELDS.STATUS }),
+                    statusLabel: result.getText({ name: ALERT_FIELDS.STATUS }),
+                    source: result.getValue({ name: ALERT_FIELDS.SOURCE }),
+                    message: result.getValue({ name: ALERT_FIELDS.MESSAGE }),
+                    item: result.getText({ name: ALERT_FIELDS.ITEM }),
+                    variancePct: parseFloat(result.getValue({ name: ALERT_FIELDS.VARIANCE_PCT })) || 0,
+                    assignee: result.getText({ name: ALERT_FIELDS.ASSIGNEE }),
+                    created: result.getValue({ name: 'created' })
+                });
+            });
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Alert Service - getOpenAlerts',
+                details: e.message
+            });
+        }
+
+        return alerts;
+    };
+
+    return {
+        SOURCES,
+
+        // Alert creation
+        createAlert,
+        notify,
+        hasOpenAlert,
+
+        // Workflow
+        acknowledgeAlert,
+        resolveAlert,
+
+        // Queries
+        getOpenAlerts
+    };
+});
@@ -20,6 +20,12 @@
 define(['./cls_constants'], (Constants) => {
 
     const PRECISION = Constants.PRECISION;
+    const DEFAULTS = Constants.DEFAULTS;
+    const METRIC_FACTORS = Constants.METRIC_FACTORS;
+
+    // Weight of water (lbs per cubic foot) and board feet per cubic foot
+    const WATER_LBS_PER_CUBIC_FOOT = 62.4;
+    const BF_PER_CUBIC_FOOT = 12;
 
     /**
      * Round a number to specified decimal places
@@ -399,6 +405,76 @@ define(['./cls_constants'], (Constants) => {
         return roundTo((w * l) / 12, 4);
     };
 
+    /**
+     * Calculate NHLA tally measure for a row of random-width hardwood boards
+     *
+     * NHLA rules:
+     * - Length is tallied to the lower whole foot (fractional feet dropped)
+     * - Surface measure per board is rounded to the nearest whole foot
+     *   (half a foot or more counts up, less is dropped)
+     * - BF = surface measure × thickness; stock under 1" is tallied as 1"
+     *
+     * @param {Object} params - Row parameters
+     * @param {number} params.thickness - Thickness in inches
+     * @param {number} params.width - Board width in inches
+     * @param {number} params.length - Board length in feet
+     * @param {number} [params.pieces=1] - Number of boards at this width and length
+     * @returns {Object} { tallyLength, surfaceMeasure, boardFeet }
+     */
+    const calculateNHLATally = (params) => {
+        const t = parseFloat(params.thickness) || 0;
+        const w = parseFloat(params.width) || 0;
+        const l = Math.floor(parseFloat(params.length) || 0);
+        const pieces = params.pieces === undefined ? 1 : (parseInt(params.pieces, 10) || 0);
+
+        if (t <= 0 || w <= 0 || l <= 0 || pieces <= 0) {
+            return { tallyLength: l, surfaceMeasure: 0, boardFeet: 0 };
+        }
+
+        const smPerBoard = Math.floor(roundTo((w * l) / 12, 4) + 0.5);
+        const surfaceMeasure = smPerBoard * pieces;
+
+        return {
+            tallyLength: l,
+            surfaceMeasure: surfaceMeasure,
+            boardFeet: roundTo(surfaceMeasure * Math.max(t, 1), PRECISION.BF)
+        };
+    };
+
+    /**
+     * Total a piece tally of random-width/random-length rows
+     *
+     * @param {Array<Object>} rows - Rows of { width, length, pieces }
+     * @param {number} thickness - Lot thickness in inches
+     * @returns {Object} { pieces, surfaceMeasure, boardFeet, rows }
+     */
+    const summarizeNHLATally = (rows, thickness) => {
+        const summary = {
+            pieces: 0,
+            surfaceMeasure: 0,
+            boardFeet: 0,
+            rows: []
+        };
+
+        (rows || []).forEach((row) => {
+            const measure = calculateNHLATally({
+                thickness: thickness,
+                width: row.width,
+                length: row.length,
+                pieces: row.pieces
+            });
+
+            summary.pieces += parseInt(row.pieces, 10) || 0;
+            summary.surfaceMeasure += measure.surfaceMeasure;
+            summary.boardFeet += measure.boardFeet;
+            summary.rows.push({ ...row, ...measure });
+        });
+
+        summary.boardFeet = roundTo(summary.boardFeet, PRECISION.BF);
+
+        return summary;
+    };
+
     /**
      * Calculate BF per linear foot for given cross-section
      * Useful for quick reference and pricing
@@ -435,6 +511,75 @@ define(['./cls_constants'], (Constants) => {
         return roundTo(t / 12, PRECISION.FACTOR);
     };
 
+    /**
+     * Calculate BF per linear metre for given cross-section
+     *
+     * @param {number} thickness - Thickness in inches
+     * @param {number} width - Width in inches
+     * @returns {number} BF per linear metre
+     */
+    const calculateBFPerLinearMetre = (thickness, width) => {
+        const bfPerLF = calculateBFPerLinearFoot(thickness, width);
+        if (bfPerLF <= 0) return 0;
+
+        return roundTo(bfPerLF * METRIC_FACTORS.FEET_PER_METRE, PRECISION.FACTOR);
+    };
+
+    /**
+     * Calculate BF per square metre for given thickness
+     *
+     * @param {number} thickness - Thickness in inches
+     * @returns {number} BF per square metre
+     */
+    const calculateBFPerSquareMetre = (thickness) => {
+        const bfPerSF = calculateBFPerSquareFoot(thickness);
+        if (bfPerSF <= 0) return 0;
+
+        return roundTo(bfPerSF * METRIC_FACTORS.SQ_FEET_PER_SQ_METRE, PRECISION.FACTOR);
+    };
+
+    /**
+     * Convert millimetre dimensions to inches/feet for BF calculation
+     *
+     * @param {Object} dims - Dimensions in millimetres
+     * @param {number} dims.thickness - Thickness in mm
+     * @param {number} dims.width - Width in mm
+     * @param {number} dims.length - Length in mm
+     * @returns {Object} { thickness (in), width (in), length (ft) }
+     */
+    const convertMetricDimensions = (dims) => {
+        const t = parseFloat(dims.thickness) || 0;
+        const w = parseFloat(dims.width) || 0;
+        const l = parseFloat(dims.length) || 0;
+
+        return {
+            thickness: roundTo(t / METRIC_FACTORS.MM_PER_INCH, PRECISION.FACTOR),
+            width: roundTo(w / METRIC_FACTORS.MM_PER_INCH, PRECISION.FACTOR),
+            length: roundTo(l / METRIC_FACTORS.MM_PER_FOOT, PRECISION.FACTOR)
+        };
+    };
+
+    /**
+     * Convert inch/foot dimensions to millimetres for metric display
+     *
+     * @param {Object} dims - Imperial dimensions
+     * @param {number} dims.thickness - Thickness in inches
+     * @param {number} dims.width - Width in inches
+     * @param {number} dims.length - Length in feet
+     * @returns {Object} { thickness (mm), width (mm), length (mm) }
+     */
+    const convertImperialDimensions = (dims) => {
+        const t = parseFloat(dims.thickness) || 0;
+        const w = parseFloat(dims.width) || 0;
+        const l = parseFloat(dims.length) || 0;
+
+        return {
+            thickness: roundTo(t * METRIC_FACTORS.MM_PER_INCH, PRECISION.DIMENSION),
+            width: roundTo(w * METRIC_FACTORS.MM_PER_INCH, PRECISION.DIMENSION),
+            length: roundTo(l * METRIC_FACTORS.MM_PER_FOOT, PRECISION.DIMENSION)
+        };
+    };
+
     /**
      * Calculate all conversion factors for a dimension set
      * Returns a reference object for pricing and display
@@ -511,6 +656,195 @@ define(['./cls_constants'], (Constants) => {
         };
     };
 
+    /**
+     * Calculate the ratio of actual dressed BF to nominal BF
+     * Surfacing only reduces the cross-section, so length cancels out
+     *
+     * @param {Object} nominal - Nominal dimensions { thickness, width }
+     * @param {Object} actual - Actual dressed dimensions { thickness, width }
+     * @returns {number} Dressed ratio (1 if either cross-section is missing)
+     */
+    const calculateDressedRatio = (nominal, actual) => {
+        const nominalArea = (parseFloat(nominal && nominal.thickness) || 0) * (parseFloat(nominal && nominal.width) || 0);
+        const actualArea = (parseFloat(actual && actual.thickness) || 0) * (parseFloat(actual && actual.width) || 0);
+
+        if (nominalArea <= 0 || actualArea <= 0) return 1;
+
+        return roundTo(actualArea / nominalArea, PRECISION.FACTOR);
+    };
+
+    /**
+     * Resolve the actual dressed cross-section for entered dimensions
+     * A thickness or width that matches the item's nominal size (as copied
+     * onto a line) dresses to the item's actual size; any other value is
+     * taken as measured
+     *
+     * @param {Object} entered - Entered dimensions { thickness, width }
+     * @param {Object} nominal - Item nominal dimensions { thickness, width }
+     * @param {Object} actual - Item actual dressed dimensions { thickness, width }
+     * @returns {Object} Actual dimensions { thickness, width }
+     */
+    const resolveDressedDimensions = (entered, nominal, actual) => {
+        const resolve = (dim) => {
+            const value = parseFloat(entered && entered[dim]) || 0;
+            const nominalValue = parseFloat(nominal && nominal[dim]) || 0;
+            const actualValue = parseFloat(actual && actual[dim]) || 0;
+
+            if (value <= 0 || value === nominalValue) return actualValue || value;
+            return value;
+        };
+
+        return {
+            thickness: resolve('thickness'),
+            width: resolve('width')
+        };
+    };
+
+    /**
+     * Calculate surfacing yield from nominal (rough) to actual (dressed) dimensions
+     *
+     * @param {Object} nominal - Nominal dimensions { thickness, width, length }
+     * @param {Object} actual - Actual dressed dimensions { thickness, width, length }
+     * @returns {Object} { yieldPct, lossPct, nominalBF, dressedBF }
+     */
+    const calculateSurfacingYield = (nominal, actual) => {
+        const ratio = calculateDressedRatio(nominal, actual);
+        const nominalBF = nominal ? calculateBF({
+            thickness: nominal.thickness,
+            width: nominal.width,
+            length: nominal.length
+        }) : 0;
+        const yieldPct = ratio * 100;
+
+        return {
+            yieldPct: roundTo(yieldPct, PRECISION.PERCENTAGE),
+            lossPct: roundTo(100 - yieldPct, PRECISION.PERCENTAGE),
+            nominalBF: nominalBF,
+            dressedBF: roundTo(nominalBF * ratio, PRECISION.BF)
+        };
+    };
+
+    /**
+     * Calculate shrinkage from green at a given moisture content
+     * Wood does not shrink above fiber saturation (~30% MC); below it,
+     * shrinkage is treated as linear down to the oven-dry total
+     *
+     * S(MC) = S0 × (FSP - MC) / FSP
+     *
+     * @param {number} totalShrinkagePct - Green to oven-dry shrinkage (S0)
+     * @param {number} moisturePct - Moisture content percentage
+     * @returns {number} Shrinkage percentage from green dimension
+     */
+    const calculateShrinkageAtMoisture = (totalShrinkagePct, moisturePct) => {
+        const s0 = parseFloat(totalShrinkagePct) || 0;
+        const mc = parseFloat(moisturePct);
+        const fsp = DEFAULTS.FIBER_SATURATION_PCT;
+
+        if (s0 <= 0 || isNaN(mc) || mc >= fsp) return 0;
+
+        return s0 * (fsp - Math.max(mc, 0)) / fsp;
+    };
+
+    /**
+     * Project dried dimensions and BF from current dimensions and moisture
+     * Assumes flat-sawn stock: thickness shrinks radially, width tangentially,
+     * length shrinkage is negligible and ignored
+     *
+     * @param {Object} params - Drying parameters
+     * @param {number} params.thickness - Current thickness in inches
+     * @param {number} params.width - Current width in inches
+     * @param {number} params.length - Length in feet
+     * @param {number} params.currentMC - Current moisture content percentage
+     * @param {number} params.targetMC - Target moisture content percentage
+     * @param {number} [params.radialShrinkage] - Species radial shrinkage, green to oven-dry %
+     * @param {number} [params.tangentialShrinkage] - Species tangential shrinkage, green to oven-dry %
+     * @returns {Object} Projected dimensions, BF and shrinkage
+     */
+    const projectDriedDimensions = (params) => {
+        const {
+            thickness,
+            width,
+            length,
+            currentMC,
+            targetMC,
+            radialShrinkage = DEFAULTS.RADIAL_SHRINKAGE,
+            tangentialShrinkage = DEFAULTS.TANGENTIAL_SHRINKAGE
+        } = params;
+
+        const t = parseFloat(thickness) || 0;
+        const w = parseFloat(width) || 0;
+        const l = parseFloat(length) || 0;
+
+        // Ratio of dried to current dimension for one shrinkage direction
+        const dryRatio = (s0) => {
+            const current = calculateShrinkageAtMoisture(s0, currentMC);
+            const target = calculateShrinkageAtMoisture(s0, targetMC);
+            return (1 - target / 100) / (1 - current / 100);
+        };
+
+        const thicknessRatio = dryRatio(radialShrinkage);
+        const widthRatio = dryRatio(tangentialShrinkage);
+        const bfRatio = thicknessRatio * widthRatio;
+
+        const currentBF = calculateBF({ thickness: t, width: w, length: l });
+        const driedThickness = roundTo(t * thicknessRatio, PRECISION.DIMENSION);
+        const driedWidth = roundTo(w * widthRatio, PRECISION.DIMENSION);
+
+        return {
+            thickness: driedThickness,
+            width: driedWidth,
+            length: l,
+            currentBF: currentBF,
+            driedBF: roundTo(currentBF * bfRatio, PRECISION.BF),
+            shrinkageBF: roundTo(currentBF * (1 - bfRatio), PRECISION.BF),
+            shrinkagePct: roundTo((1 - bfRatio) * 100, PRECISION.PERCENTAGE)
+        };
+    };
+
+    /**
+     * Apply a grade price modifier to a base BF price
+     * Modifier is the grade's percent field (100 = base price), so a
+     * #1 Common at 75% of a $2.00 base prices at $1.50/BF
+     *
+     * @param {number} baseBFPrice - Base price per BF
+     * @param {number|string} priceModifier - Grade modifier percentage ("75%" or 75)
+     * @returns {number} Graded price per BF
+     */
+    const applyGradeModifier = (baseBFPrice, priceModifier) => {
+        const price = parseFloat(baseBFPrice) || 0;
+        if (price <= 0) return 0;
+
+        const pct = parseFloat(priceModifier);
+        if (isNaN(pct) || pct <= 0) {
+            return roundTo(price, PRECISION.CURRENCY);
+        }
+
+        return roundTo(price * (pct / 100), PRECISION.CURRENCY);
+    };
+
+    /**
+     * Calculate shipping weight from BF, species density and moisture
+     * Density factor is the species specific gravity (oven-dry weight
+     * relative to water); moisture content adds water weight on top
+     *
+     * Weight (lbs) = BF × (Density × 62.4 / 12) × (1 + MC / 100)
+     *
+     * @param {number} boardFeet - Board feet
+     * @param {number} densityFactor - Species density factor (specific gravity)
+     * @param {number} [moisturePct=0] - Moisture content percentage
+     * @returns {number} Weight in pounds
+     */
+    const calculateWeight = (boardFeet, densityFactor, moisturePct = 0) => {
+        const bf = parseFloat(boardFeet) || 0;
+        const density = parseFloat(densityFactor) || 0;
+        const mc = parseFloat(moisturePct) || 0;
+
+        if (bf <= 0 || density <= 0 || mc < 0) return 0;
+
+        const lbsPerBF = (density * WATER_LBS_PER_CUBIC_FOOT / BF_PER_CUBIC_FOOT) * (1 + mc / 100);
+        return roundTo(bf * lbsPerBF, PRECISION.WEIGHT);
+    };
+
     /**
      * Validate that a BF quantity is reasonable for given dimensions
      * Sanity check for data entry
@@ -569,11 +903,30 @@ define(['./cls_constants'], (Constants) => {
         calculateSurfaceMeasure,
         calculateBFPerLinearFoot,
         calculateBFPerSquareFoot,
+        calculateBFPerLinearMetre,
+        calculateBFPerSquareMetre,
         calculateConversionFactors,
+        convertMetricDimensions,
+        convertImperialDimensions,
+
+        // Hardwood tally
+        calculateNHLATally,
+        summarizeNHLATally,
 
         // Yield and waste
         applyYield,
         calculateWaste,
+        calculateDressedRatio,
+        resolveDressedDimensions,
+        calculateSurfacingYield,
+
+        // Moisture and shrinkage
+        calculateShrinkageAtMoisture,
+        projectDriedDimensions,
+
+        // Pricing and shipping
+        applyGradeModifier,
+        calculateWeight,
 
         // Validation
         validateDimensions,
@@ -24,7 +24,31 @@ define([], () => {
         MBF: 'MBF',             // Thousand Board Feet
         MSF: 'MSF',             // Thousand Square Feet
         EACH: 'EACH',
-        BUNDLE: 'BUNDLE'
+        BUNDLE: 'BUNDLE',
+        CUBIC_METRES: 'M3',
+        LINEAR_METRES: 'LM',
+        SQUARE_METRES: 'M2'
+    };
+
+    /**
+     * Units for dimension inputs to the conversion engine
+     * Imperial: thickness/width in inches, length in feet
+     * Metric: thickness/width/length in millimetres
+     */
+    const DIMENSION_UNITS = {
+        IMPERIAL: 'IN',
+        METRIC: 'MM'
+    };
+
+    /**
+     * Metric conversion factors
+     */
+    const METRIC_FACTORS = {
+        MM_PER_INCH: 25.4,
+        MM_PER_FOOT: 304.8,
+        FEET_PER_METRE: 3.280839895,
+        SQ_FEET_PER_SQ_METRE: 10.763910417,
+        BF_PER_CUBIC_METRE: 423.776000657   // 1 BF = 2,359.737 cm³
     };
 
     /**
@@ -37,7 +61,10 @@ define([], () => {
         MBF: 'Thousand Board Feet',
         MSF: 'Thousand Square Feet',
         EACH: 'Each',
-        BUNDLE: 'Bundle'
+        BUNDLE: 'Bundle',
+        M3: 'Cubic Metres',
+        LM: 'Linear Metres',
+        M2: 'Square Metres'
     };
 
     /**
@@ -49,12 +76,22 @@ define([], () => {
         GRADE: 'customrecord_cls_grade',
         UOM_TYPE: 'customrecord_cls_uom_type',
         TALLY_SHEET: 'customrecord_cls_tally',
+        TALLY_PIECE: 'customrecord_cls_tally_piece',
+        TALLY_TRANSFER: 'customrecord_cls_tally_xfer',
         TALLY_ALLOCATION: 'customrecord_cls_tally_alloc',
         YIELD_REGISTER: 'customrecord_cls_yield_reg',
+        YIELD_ALERT: 'customrecord_cls_yield_alert',
         CONSUMPTION_LOG: 'customrecord_cls_consumption',
         REPACK_ORDER: 'customrecord_cls_repack',
         REPACK_OUTPUT: 'customrecord_cls_repack_out',
         WASTE_REASON: 'customrecord_cls_waste_rsn',
+        INVENTORY_COUNT: 'customrecord_cls_count',
+        INVENTORY_COUNT_LINE: 'customrecord_cls_count_line',
+        STALE_INVENTORY: 'customrecord_cls_stale_tally',
+        LANDED_COST: 'customrecord_cls_landed_cost',
+        REPORT_TEMPLATE: 'customrecord_cls_report_tpl',
+        REPORT_SCHEDULE: 'customrecord_cls_report_schedule',
+        REPORT_RUN: 'customrecord_cls_report_run',
         // Assembly & Multi-output support
         BYPRODUCT: 'customrecord_cls_byproduct',
         PROCESS_TARGET: 'customrecord_cls_process_target'
@@ -67,7 +104,18 @@ define([], () => {
         PROCESS_TYPE: 'customlist_cls_process_type',
         BYPRODUCT_TYPE: 'customlist_cls_byproduct_type',
         DISPOSITION: 'customlist_cls_disposition',
-        ASSEMBLY_TYPE: 'customlist_cls_assembly_type'
+        ASSEMBLY_TYPE: 'customlist_cls_assembly_type',
+        DIMENSION_BASIS: 'customlist_cls_dimension_basis',
+        ALERT_SEVERITY: 'customlist_cls_alert_severity',
+        ALERT_STATUS: 'customlist_cls_alert_status',
+        ALLOCATION_STRATEGY: 'customlist_cls_alloc_strategy',
+        COUNT_STATUS: 'customlist_cls_count_status',
+        STALE_ACTION: 'customlist_cls_stale_action',
+        STALE_STATUS: 'customlist_cls_stale_status',
+        LANDED_COST_TYPE: 'customlist_cls_landed_cost_type',
+        COST_SPLIT_METHOD: 'customlist_cls_cost_split',
+        REPORT_SHARING: 'customlist_cls_report_sharing',
+        REPORT_RUN_STATUS: 'customlist_cls_report_run_status'
     };
 
     /**
@@ -80,13 +128,33 @@ define([], () => {
         NOMINAL_THICKNESS: 'custitem_cls_nominal_thickness',
         NOMINAL_WIDTH: 'custitem_cls_nominal_width',
         NOMINAL_LENGTH: 'custitem_cls_nominal_length',
+        ACTUAL_THICKNESS: 'custitem_cls_actual_thickness',
+        ACTUAL_WIDTH: 'custitem_cls_actual_width',
+        PRICING_BASIS: 'custitem_cls_pricing_basis',
+        ALLOCATION_STRATEGY: 'custitem_cls_alloc_strategy',
         BASE_BF_COST: 'custitem_cls_base_bf_cost',
+        BASE_BF_PRICE: 'custitem_cls_base_bf_price',
+        LANDED_COST_TYPE: 'custitem_cls_landed_cost_type',
         ALLOW_DYNAMIC_DIMS: 'custitem_cls_allow_dynamic_dims',
         DEFAULT_YIELD_PCT: 'custitem_cls_default_yield_pct',
         DEFAULT_WASTE_PCT: 'custitem_cls_default_waste_pct',
         PIECES_PER_BUNDLE: 'custitem_cls_pieces_per_bundle'
     };
 
+    /**
+     * Customer (Entity) Field IDs
+     */
+    const CUSTOMER_FIELDS = {
+        PRICING_BASIS: 'custentity_cls_pricing_basis'
+    };
+
+    /**
+     * Location Field IDs
+     */
+    const LOCATION_FIELDS = {
+        ALLOCATION_STRATEGY: 'custrecord_cls_loc_alloc_strategy'
+    };
+
     /**
      * Transaction Body Field IDs
      */
@@ -96,11 +164,16 @@ define([], () => {
         LINKED_TALLY: 'custbody_cls_linked_tally',
         TOTAL_THEORETICAL_BF: 'custbody_cls_total_theoretical_bf',
         TOTAL_WASTE_BF: 'custbody_cls_total_waste_bf',
+        TOTAL_WEIGHT: 'custbody_cls_total_weight',
         // Assembly & Multi-output fields
         PROCESS_TYPE: 'custbody_cls_process_type',
         ASSEMBLY_TYPE: 'custbody_cls_assembly_type',
         EXPECTED_BYPRODUCTS: 'custbody_cls_expected_byproducts',
-        TARGET_YIELD: 'custbody_cls_target_yield'
+        TARGET_YIELD: 'custbody_cls_target_yield',
+        TARGET_MOISTURE: 'custbody_cls_target_moisture',
+        LANDED_RECEIPT: 'custbody_cls_landed_receipt',
+        ROLLED_COST: 'custbody_cls_rolled_cost',
+        OUTPUT_BF_COST: 'custbody_cls_output_bf_cost'
     };
 
     /**
@@ -112,9 +185,12 @@ define([], () => {
         DIM_THICKNESS: 'custcol_cls_dim_thickness',
         DIM_WIDTH: 'custcol_cls_dim_width',
         DIM_LENGTH: 'custcol_cls_dim_length',
+        DIMS_IN_MM: 'custcol_cls_dims_mm',
         CALCULATED_BF: 'custcol_cls_calculated_bf',
+        DRESSED_BF: 'custcol_cls_dressed_bf',
         CONVERSION_FACTOR: 'custcol_cls_conversion_factor',
         BF_UNIT_COST: 'custcol_cls_bf_unit_cost',
+        BF_UNIT_PRICE: 'custcol_cls_bf_unit_price',
         EXTENDED_BF_COST: 'custcol_cls_extended_bf_cost',
         GRADE_OVERRIDE: 'custcol_cls_grade_override',
         TALLY_ALLOCATION: 'custcol_cls_tally_allocation',
@@ -124,7 +200,11 @@ define([], () => {
         YIELD_PCT: 'custcol_cls_yield_pct',
         WASTE_REASON: 'custcol_cls_waste_reason',
         MOISTURE_PCT: 'custcol_cls_moisture_pct',
-        PIECES_COUNT: 'custcol_cls_pieces_count'
+        PIECES_COUNT: 'custcol_cls_pieces_count',
+        VENDOR_LOT: 'custcol_cls_vendor_lot',
+        TALLY_SHEET: 'custcol_cls_tally_sheet',
+        SHIP_WEIGHT: 'custcol_cls_ship_weight',
+        LANDED_COST_TYPE: 'custcol_cls_landed_cost_type'
     };
 
     /**
@@ -146,7 +226,18 @@ define([], () => {
         BF_PRECISION: 'custrecord_cls_bf_precision',
         ENFORCE_TALLY_FIFO: 'custrecord_cls_enforce_tally_fifo',
         AUTO_CREATE_TALLY: 'custrecord_cls_auto_create_tally',
-        REQUIRE_DIMENSIONS: 'custrecord_cls_require_dimensions'
+        REQUIRE_DIMENSIONS: 'custrecord_cls_require_dimensions',
+        ALERT_ASSIGNEE: 'custrecord_cls_alert_assignee',
+        TAG_FOLDER: 'custrecord_cls_tag_folder',
+        COUNT_ADJ_ACCOUNT: 'custrecord_cls_count_adj_account',
+        STALE_DAYS: 'custrecord_cls_stale_days',
+        CARRYING_COST_PCT: 'custrecord_cls_carrying_cost_pct',
+        COST_SPLIT_METHOD: 'custrecord_cls_cost_split_method',
+        CONVERSION_RATE: 'custrecord_cls_conversion_rate',
+        REPORT_COMPANY: 'custrecord_cls_report_company',
+        REPORT_LOGO: 'custrecord_cls_report_logo',
+        REPORT_COLOR: 'custrecord_cls_report_color',
+        REPORT_FOLDER: 'custrecord_cls_report_folder'
     };
 
     /**
@@ -157,6 +248,9 @@ define([], () => {
         CODE: 'custrecord_cls_species_code',
         DENSITY_FACTOR: 'custrecord_cls_species_density',
         IS_HARDWOOD: 'custrecord_cls_species_hardwood',
+        RADIAL_SHRINKAGE: 'custrecord_cls_species_shrink_rad',
+        TANGENTIAL_SHRINKAGE: 'custrecord_cls_species_shrink_tan',
+        STALE_DAYS: 'custrecord_cls_species_stale_days',
         IS_INACTIVE: 'isinactive',
         DESCRIPTION: 'custrecord_cls_species_desc'
     };
@@ -196,7 +290,176 @@ define([], () => {
         THICKNESS: 'custrecord_cls_tally_thickness',
         WIDTH: 'custrecord_cls_tally_width',
         LENGTH: 'custrecord_cls_tally_length',
-        PIECES: 'custrecord_cls_tally_pieces'
+        PIECES: 'custrecord_cls_tally_pieces',
+        PARENT_TALLY: 'custrecord_cls_tally_parent',
+        MERGED_INTO: 'custrecord_cls_tally_merged_into',
+        MIXED_DIMENSIONS: 'custrecord_cls_tally_mixed_dims',
+        PURCHASE_COST: 'custrecord_cls_tally_purchase_cost',
+        FREIGHT_COST: 'custrecord_cls_tally_freight_cost',
+        KILN_COST: 'custrecord_cls_tally_kiln_cost',
+        HANDLING_COST: 'custrecord_cls_tally_handling_cost',
+        LANDED_COST: 'custrecord_cls_tally_landed_cost',
+        BF_COST: 'custrecord_cls_tally_bf_cost'
+    };
+
+    /**
+     * CLS Tally Piece Record Field IDs (child rows of a tally sheet)
+     */
+    const TALLY_PIECE_FIELDS = {
+        SUBLIST_ID: 'recmachcustrecord_cls_tpc_tally',
+        TALLY: 'custrecord_cls_tpc_tally',
+        WIDTH: 'custrecord_cls_tpc_width',
+        LENGTH: 'custrecord_cls_tpc_length',
+        PIECES: 'custrecord_cls_tpc_pieces',
+        SURFACE_MEASURE: 'custrecord_cls_tpc_sm',
+        BOARD_FEET: 'custrecord_cls_tpc_bf',
+        CUTTING_UNITS: 'custrecord_cls_tpc_cut_units',
+        CUTTINGS: 'custrecord_cls_tpc_cuttings',
+        BEST_CUTTING_UNITS: 'custrecord_cls_tpc_best_units',
+        BEST_CUTTINGS: 'custrecord_cls_tpc_best_cuttings',
+        GRADE: 'custrecord_cls_tpc_grade'
+    };
+
+    /**
+     * CLS Tally Transfer Record Field IDs (location history of a tally sheet)
+     */
+    const TALLY_TRANSFER_FIELDS = {
+        SUBLIST_ID: 'recmachcustrecord_cls_txf_tally',
+        TALLY: 'custrecord_cls_txf_tally',
+        FROM_LOCATION: 'custrecord_cls_txf_from_loc',
+        TO_LOCATION: 'custrecord_cls_txf_to_loc',
+        TRANSFERRED_BF: 'custrecord_cls_txf_bf',
+        CHILD_TALLY: 'custrecord_cls_txf_new_tally',
+        TRANSACTION: 'custrecord_cls_txf_transaction',
+        TRANSFER_DATE: 'custrecord_cls_txf_date',
+        MOVED_BY: 'custrecord_cls_txf_moved_by',
+        NOTES: 'custrecord_cls_txf_notes'
+    };
+
+    /**
+     * CLS Inventory Count Record Field IDs (physical count session)
+     */
+    const COUNT_FIELDS = {
+        NAME: 'name',
+        LOCATION: 'custrecord_cls_cnt_location',
+        COUNT_DATE: 'custrecord_cls_cnt_date',
+        STATUS: 'custrecord_cls_cnt_status',
+        FULL_COUNT: 'custrecord_cls_cnt_full',
+        SUPERVISOR: 'custrecord_cls_cnt_supervisor',
+        SYSTEM_BF: 'custrecord_cls_cnt_system_bf',
+        COUNTED_BF: 'custrecord_cls_cnt_counted_bf',
+        VARIANCE_BF: 'custrecord_cls_cnt_variance_bf',
+        APPROVED_BY: 'custrecord_cls_cnt_approved_by',
+        APPROVED_DATE: 'custrecord_cls_cnt_approved_date',
+        ADJUSTMENT: 'custrecord_cls_cnt_adjustment',
+        NOTES: 'custrecord_cls_cnt_notes'
+    };
+
+    /**
+     * CLS Inventory Count Line Record Field IDs (child rows of a count session)
+     */
+    const COUNT_LINE_FIELDS = {
+        SUBLIST_ID: 'recmachcustrecord_cls_cntl_count',
+        COUNT: 'custrecord_cls_cntl_count',
+        TALLY: 'custrecord_cls_cntl_tally',
+        ITEM: 'custrecord_cls_cntl_item',
+        TALLY_LOCATION: 'custrecord_cls_cntl_tally_loc',
+        COUNTED_BF: 'custrecord_cls_cntl_counted_bf',
+        COUNTED_PIECES: 'custrecord_cls_cntl_counted_pcs',
+        SYSTEM_BF: 'custrecord_cls_cntl_system_bf',
+        VARIANCE_BF: 'custrecord_cls_cntl_variance_bf',
+        VARIANCE_PCT: 'custrecord_cls_cntl_variance_pct',
+        COUNTED_BY: 'custrecord_cls_cntl_counted_by',
+        POSTED: 'custrecord_cls_cntl_posted',
+        NOTES: 'custrecord_cls_cntl_notes'
+    };
+
+    /**
+     * CLS Stale Inventory Record Field IDs
+     */
+    const STALE_FIELDS = {
+        TALLY: 'custrecord_cls_stl_tally',
+        STATUS: 'custrecord_cls_stl_status',
+        ACTION: 'custrecord_cls_stl_action',
+        DISCOUNT_PCT: 'custrecord_cls_stl_discount',
+        REASON: 'custrecord_cls_stl_reason',
+        ITEM: 'custrecord_cls_stl_item',
+        SPECIES: 'custrecord_cls_stl_species',
+        LOCATION: 'custrecord_cls_stl_location',
+        AGE_DAYS: 'custrecord_cls_stl_age_days',
+        THRESHOLD_DAYS: 'custrecord_cls_stl_threshold',
+        AGE_BUCKET: 'custrecord_cls_stl_bucket',
+        REMAINING_BF: 'custrecord_cls_stl_remaining_bf',
+        BF_COST: 'custrecord_cls_stl_bf_cost',
+        INVENTORY_VALUE: 'custrecord_cls_stl_value',
+        CARRYING_COST: 'custrecord_cls_stl_carry_cost',
+        LAST_REVIEWED: 'custrecord_cls_stl_reviewed'
+    };
+
+    /**
+     * CLS Landed Cost Record Field IDs (cost components of a tally sheet)
+     */
+    const LANDED_COST_FIELDS = {
+        SUBLIST_ID: 'recmachcustrecord_cls_lc_tally',
+        TALLY: 'custrecord_cls_lc_tally',
+        COST_TYPE: 'custrecord_cls_lc_type',
+        SOURCE_TRANSACTION: 'custrecord_cls_lc_source',
+        AMOUNT: 'custrecord_cls_lc_amount',
+        BASIS_BF: 'custrecord_cls_lc_basis_bf',
+        PROVISIONAL: 'custrecord_cls_lc_provisional',
+        COST_DATE: 'custrecord_cls_lc_date'
+    };
+
+    /**
+     * CLS Report Template Record Field IDs
+     */
+    const REPORT_TEMPLATE_FIELDS = {
+        NAME: 'name',
+        REPORT_TYPE: 'custrecord_cls_rtpl_report_type',
+        RANGE_TYPE: 'custrecord_cls_rtpl_range_type',
+        DATE_FROM: 'custrecord_cls_rtpl_date_from',
+        DATE_TO: 'custrecord_cls_rtpl_date_to',
+        FILTERS: 'custrecord_cls_rtpl_filters',
+        GROUP_BY: 'custrecord_cls_rtpl_group_by',
+        OUTPUT_FORMAT: 'custrecord_cls_rtpl_format',
+        INCLUDE_CHARTS: 'custrecord_cls_rtpl_charts',
+        OWNER: 'custrecord_cls_rtpl_owner',
+        SHARING: 'custrecord_cls_rtpl_sharing',
+        ROLE: 'custrecord_cls_rtpl_role',
+        IS_INACTIVE: 'isinactive'
+    };
+
+    /**
+     * CLS Report Schedule Record Field IDs
+     */
+    const REPORT_SCHEDULE_FIELDS = {
+        NAME: 'name',
+        REPORT_TYPE: 'custrecord_cls_sched_report_type',
+        TEMPLATE: 'custrecord_cls_sched_template',
+        FREQUENCY: 'custrecord_cls_sched_frequency',
+        DAY: 'custrecord_cls_sched_day',
+        WINDOW_START: 'custrecord_cls_sched_window_start',
+        WINDOW_END: 'custrecord_cls_sched_window_end',
+        RECIPIENTS: 'custrecord_cls_sched_recipients',
+        FILTERS: 'custrecord_cls_sched_filters',
+        OUTPUT_FORMAT: 'custrecord_cls_sched_output_format',
+        PAUSED: 'custrecord_cls_sched_paused',
+        RUN_NOW: 'custrecord_cls_sched_run_now',
+        LAST_RUN: 'custrecord_cls_sched_last_run',
+        LAST_STATUS: 'custrecord_cls_sched_last_status',
+        LAST_MESSAGE: 'custrecord_cls_sched_last_message',
+        IS_INACTIVE: 'isinactive'
+    };
+
+    /**
+     * CLS Report Run Record Field IDs (run history of a schedule)
+     */
+    const REPORT_RUN_FIELDS = {
+        SCHEDULE: 'custrecord_cls_rrun_schedule',
+        RUN_DATE: 'custrecord_cls_rrun_date',
+        STATUS: 'custrecord_cls_rrun_status',
+        MESSAGE: 'custrecord_cls_rrun_message',
+        FILE: 'custrecord_cls_rrun_file'
     };
 
     /**
@@ -210,7 +473,10 @@ define([], () => {
         ALLOCATION_DATE: 'custrecord_cls_talloc_alloc_date',
         CONSUMPTION_DATE: 'custrecord_cls_talloc_consume_date',
         STATUS: 'custrecord_cls_talloc_status',
-        LINE_NUMBER: 'custrecord_cls_talloc_line_num'
+        LINE_NUMBER: 'custrecord_cls_talloc_line_num',
+        TARGET_TALLY: 'custrecord_cls_talloc_target_tally',
+        NOTES: 'custrecord_cls_talloc_notes',
+        CONSUMED_COST: 'custrecord_cls_talloc_consumed_cost'
     };
 
     /**
@@ -233,6 +499,26 @@ define([], () => {
         NOTES: 'custrecord_cls_yield_notes'
     };
 
+    /**
+     * CLS Yield Alert Record Field IDs
+     */
+    const YIELD_ALERT_FIELDS = {
+        SEVERITY: 'custrecord_cls_alert_severity',
+        STATUS: 'custrecord_cls_alert_status',
+        SOURCE: 'custrecord_cls_alert_source',
+        YIELD_REGISTER: 'custrecord_cls_alert_yield_reg',
+        SOURCE_TRANSACTION: 'custrecord_cls_alert_transaction',
+        ITEM: 'custrecord_cls_alert_item',
+        VARIANCE_PCT: 'custrecord_cls_alert_variance',
+        MESSAGE: 'custrecord_cls_alert_message',
+        ASSIGNEE: 'custrecord_cls_alert_assignee',
+        ACKNOWLEDGED_BY: 'custrecord_cls_alert_ack_by',
+        ACKNOWLEDGED_DATE: 'custrecord_cls_alert_ack_date',
+        RESOLVED_BY: 'custrecord_cls_alert_resolved_by',
+        RESOLVED_DATE: 'custrecord_cls_alert_resolved_date',
+        RESOLUTION_NOTES: 'custrecord_cls_alert_resolution'
+    };
+
     /**
      * CLS Consumption Log Record Field IDs
      */
@@ -250,7 +536,9 @@ define([], () => {
         DIM_LENGTH: 'custrecord_cls_cons_length',
         TRANSACTION_DATE: 'custrecord_cls_cons_txn_date',
         CREATED_BY: 'custrecord_cls_cons_created_by',
-        SUBSIDIARY: 'custrecord_cls_cons_subsidiary'
+        SUBSIDIARY: 'custrecord_cls_cons_subsidiary',
+        BF_COST: 'custrecord_cls_cons_bf_cost',
+        EXTENDED_COST: 'custrecord_cls_cons_ext_cost'
     };
 
     /**
@@ -278,6 +566,7 @@ define([], () => {
         OUTPUT_ITEM: 'custrecord_cls_repout_item',
         OUTPUT_BF: 'custrecord_cls_repout_bf',
         OUTPUT_QTY: 'custrecord_cls_repout_qty',
+        GRADE: 'custrecord_cls_repout_grade',
         NEW_TALLY: 'custrecord_cls_repout_new_tally'
     };
 
@@ -306,7 +595,9 @@ define([], () => {
         CREATED_TALLY: 'custrecord_cls_byp_tally',
         DATE: 'custrecord_cls_byp_date',
         LOCATION: 'custrecord_cls_byp_location',
-        NOTES: 'custrecord_cls_byp_notes'
+        NOTES: 'custrecord_cls_byp_notes',
+        BF_COST: 'custrecord_cls_byp_bf_cost',
+        ROLLED_COST: 'custrecord_cls_byp_cost'
     };
 
     /**
@@ -320,7 +611,9 @@ define([], () => {
         KERF_LOSS: 'custrecord_cls_pt_kerf_loss',
         SHRINKAGE: 'custrecord_cls_pt_shrinkage',
         DEFECT_RATE: 'custrecord_cls_pt_defect_rate',
-        NOTES: 'custrecord_cls_pt_notes'
+        NOTES: 'custrecord_cls_pt_notes',
+        COST_SPLIT_METHOD: 'custrecord_cls_pt_cost_split',
+        CONVERSION_RATE: 'custrecord_cls_pt_conv_rate'
     };
 
     /**
@@ -337,6 +630,36 @@ define([], () => {
         TREATMENT: 'val_treatment'
     };
 
+    /**
+     * Dimension Basis Values (from customlist_cls_dimension_basis)
+     */
+    const DIMENSION_BASIS = {
+        NOMINAL: 'val_nominal',
+        ACTUAL: 'val_actual'
+    };
+
+    /**
+     * Tally Allocation Strategy Values (from customlist_cls_alloc_strategy)
+     */
+    const ALLOCATION_STRATEGIES = {
+        FIFO: 'val_fifo',
+        LIFO: 'val_lifo',
+        DRIEST_FIRST: 'val_driest',
+        BEST_FIT: 'val_best_fit',
+        GRADE_MATCHED: 'val_grade_matched'
+    };
+
+    /**
+     * Tally Allocation Strategy Labels
+     */
+    const ALLOCATION_STRATEGY_LABELS = {
+        'val_fifo': 'FIFO (Oldest First)',
+        'val_lifo': 'LIFO (Newest First)',
+        'val_driest': 'Driest First (Moisture)',
+        'val_best_fit': 'Best Fit',
+        'val_grade_matched': 'Grade Matched'
+    };
+
     /**
      * Assembly Type Values (from customlist_cls_assembly_type)
      */
@@ -375,6 +698,19 @@ define([], () => {
         DISPOSE: 'val_dispose'
     };
 
+    /**
+     * NHLA Hardwood Grade Codes (match custrecord_cls_grade_code on grade records)
+     */
+    const NHLA_GRADES = {
+        FAS: 'FAS',
+        F1F: 'F1F',
+        SELECTS: 'SEL',
+        NO1_COMMON: '1C',
+        NO2A_COMMON: '2C',
+        NO3A_COMMON: '3C',
+        BELOW_GRADE: 'BG'
+    };
+
     /**
      * Tally Sheet Status Values
      */
@@ -401,7 +737,9 @@ define([], () => {
     const TALLY_ALLOC_STATUS = {
         ALLOCATED: '1',
         CONSUMED: '2',
-        RELEASED: '3'
+        RELEASED: '3',
+        SPLIT: '4',         // BF moved to a child tally by a split
+        MERGED: '5'         // BF moved to a consolidated tally by a merge
     };
 
     /**
@@ -424,6 +762,191 @@ define([], () => {
         '4': 'Cancelled'
     };
 
+    /**
+     * Yield Alert Severity Values
+     */
+    const ALERT_SEVERITY = {
+        INFO: '1',
+        WARNING: '2',
+        CRITICAL: '3'
+    };
+
+    /**
+     * Yield Alert Severity Labels
+     */
+    const ALERT_SEVERITY_LABELS = {
+        '1': 'Info',
+        '2': 'Warning',
+        '3': 'Critical'
+    };
+
+    /**
+     * Yield Alert Status Values
+     */
+    const ALERT_STATUS = {
+        OPEN: '1',
+        ACKNOWLEDGED: '2',
+        RESOLVED: '3'
+    };
+
+    /**
+     * Yield Alert Status Labels
+     */
+    const ALERT_STATUS_LABELS = {
+        '1': 'Open',
+        '2': 'Acknowledged',
+        '3': 'Resolved'
+    };
+
+    /**
+     * Inventory Count Status Values
+     */
+    const COUNT_STATUS = {
+        COUNTING: '1',
+        SUBMITTED: '2',         // Queued for variance calculation
+        PENDING_APPROVAL: '3',
+        APPROVED: '4',          // Queued for posting
+        POSTED: '5',
+        CANCELLED: '6'
+    };
+
+    /**
+     * Inventory Count Status Labels
+     */
+    const COUNT_STATUS_LABELS = {
+        '1': 'Counting',
+        '2': 'Submitted',
+        '3': 'Pending Approval',
+        '4': 'Approved',
+        '5': 'Posted',
+        '6': 'Cancelled'
+    };
+
+    /**
+     * Stale Inventory Status Values
+     */
+    const STALE_STATUS = {
+        OPEN: '1',
+        ACTIONED: '2',          // Kept on the worklist until the tally closes
+        CLEARED: '3'
+    };
+
+    /**
+     * Stale Inventory Status Labels
+     */
+    const STALE_STATUS_LABELS = {
+        '1': 'Open',
+        '2': 'Actioned',
+        '3': 'Cleared'
+    };
+
+    /**
+     * Stale Inventory Action Values (from customlist_cls_stale_action)
+     */
+    const STALE_ACTIONS = {
+        DISCOUNT: 'val_discount',
+        REPACK: 'val_repack',
+        REPROCESS: 'val_reprocess'
+    };
+
+    /**
+     * Stale Inventory Action Labels
+     */
+    const STALE_ACTION_LABELS = {
+        'val_discount': 'Discount',
+        'val_repack': 'Repack',
+        'val_reprocess': 'Reprocess'
+    };
+
+    /**
+     * Landed Cost Type Values (from customlist_cls_landed_cost_type)
+     */
+    const LANDED_COST_TYPES = {
+        PURCHASE: 'val_purchase',
+        FREIGHT: 'val_freight',
+        KILN: 'val_kiln',
+        HANDLING: 'val_handling'
+    };
+
+    /**
+     * Landed Cost Type Labels
+     */
+    const LANDED_COST_TYPE_LABELS = {
+        'val_purchase': 'Purchase',
+        'val_freight': 'Freight',
+        'val_kiln': 'Kiln Drying',
+        'val_handling': 'Handling'
+    };
+
+    /**
+     * Cost Split Method Values (from customlist_cls_cost_split)
+     */
+    const COST_SPLIT_METHODS = {
+        VOLUME: 'val_volume',
+        SALES_VALUE: 'val_sales_value'
+    };
+
+    /**
+     * Cost Split Method Labels
+     */
+    const COST_SPLIT_METHOD_LABELS = {
+        'val_volume': 'By Volume (BF)',
+        'val_sales_value': 'Relative Sales Value'
+    };
+
+    /**
+     * Report Sharing Values (from customlist_cls_report_sharing)
+     */
+    const REPORT_SHARING = {
+        PRIVATE: 'val_private',
+        ROLE: 'val_role',
+        EVERYONE: 'val_everyone'
+    };
+
+    /**
+     * Report Sharing Labels
+     */
+    const REPORT_SHARING_LABELS = {
+        'val_private': 'Private',
+        'val_role': 'Role',
+        'val_everyone': 'Everyone'
+    };
+
+    /**
+     * Report Run Status Values (from customlist_cls_report_run_status)
+     */
+    const REPORT_RUN_STATUS = {
+        SUCCESS: '1',
+        FAILED: '2'
+    };
+
+    /**
+     * Report Run Status Labels
+     */
+    const REPORT_RUN_STATUS_LABELS = {
+        '1': 'Success',
+        '2': 'Failed'
+    };
+
+    /**
+     * Report Schedule Frequencies
+     */
+    const REPORT_FREQUENCIES = {
+        DAILY: 'daily',
+        WEEKLY: 'weekly',
+        MONTHLY: 'monthly'
+    };
+
+    /**
+     * Tally Age Buckets (upper bound in days, null for open-ended)
+     */
+    const AGE_BUCKETS = [
+        { key: 'days0_30', label: '0-30 Days', maxDays: 30 },
+        { key: 'days31_60', label: '31-60 Days', maxDays: 60 },
+        { key: 'days61_90', label: '61-90 Days', maxDays: 90 },
+        { key: 'days90plus', label: '90+ Days', maxDays: null }
+    ];
+
     /**
      * Transaction Source Types for Consumption Log
      */
@@ -447,8 +970,12 @@ define([], () => {
         WO_COMPLETION_UE: 'customscript_cls_woc_ue',
         ITEM_FULFILLMENT_UE: 'customscript_cls_if_ue',
         ITEM_RECEIPT_UE: 'customscript_cls_ir_ue',
+        VENDOR_BILL_UE: 'customscript_cls_vendorbill_ue',
         TALLY_UE: 'customscript_cls_tally_ue',
+        TRANSFER_UE: 'customscript_cls_transfer_ue',
         YIELD_UE: 'customscript_cls_yield_ue',
+        YIELD_ALERT_UE: 'customscript_cls_yield_alert_ue',
+        COUNT_UE: 'customscript_cls_count_ue',
         REPACK_UE: 'customscript_cls_repack_ue',
 
         // Client Scripts
@@ -464,13 +991,19 @@ define([], () => {
         WO_CONSUMPTION_MR: 'customscript_cls_wo_consumption_mr',
         REPACK_PROCESSOR_MR: 'customscript_cls_repack_mr',
         BF_AGING_MR: 'customscript_cls_bf_aging_mr',
+        COUNT_MR: 'customscript_cls_count_mr',
+        REPORT_SCHEDULER_MR: 'customscript_cls_report_sched_mr',
 
         // Suitelets
         SETTINGS_SL: 'customscript_cls_settings_sl',
         TALLY_SEARCH_SL: 'customscript_cls_tally_search_sl',
+        TALLY_PRINT_SL: 'customscript_cls_tally_print_sl',
+        TALLY_SCAN_SL: 'customscript_cls_tally_scan_sl',
+        COUNT_SL: 'customscript_cls_count_sl',
         YIELD_REPORT_SL: 'customscript_cls_yield_report_sl',
         REPACK_SL: 'customscript_cls_repack_sl',
-        MARGIN_ANALYSIS_SL: 'customscript_cls_margin_sl'
+        MARGIN_ANALYSIS_SL: 'customscript_cls_margin_sl',
+        REPORT_GENERATOR_SL: 'customscript_cls_report_gen_sl'
     };
 
     /**
@@ -480,7 +1013,15 @@ define([], () => {
         SETTINGS_UE: 'customdeploy_cls_settings_ue',
         ESTIMATE_UE: 'customdeploy_cls_estimate_ue',
         SALESORDER_UE: 'customdeploy_cls_salesorder_ue',
-        WORKORDER_UE: 'customdeploy_cls_workorder_ue'
+        WORKORDER_UE: 'customdeploy_cls_workorder_ue',
+        TALLY_PRINT_SL: 'customdeploy_cls_tally_print_sl',
+        COUNT_SL: 'customdeploy_cls_count_sl',
+        COUNT_MR: 'customdeploy_cls_count_mr',
+        BF_AGING_MR: 'customdeploy_cls_bf_aging_mr',
+        MARGIN_ANALYSIS_SL: 'customdeploy_cls_margin_sl',
+        REPORT_GENERATOR_SL: 'customdeploy_cls_report_gen_sl',
+        REPORT_SCHEDULER_MR: 'customdeploy_cls_report_sched_mr',
+        REPORT_SCHEDULER_MR_ON_DEMAND: 'customdeploy_cls_report_sched_mr_od'
     };
 
     /**
@@ -518,7 +1059,16 @@ define([], () => {
         BF_PRECISION: 4,
         THICKNESS: 1,      // 1 inch
         WIDTH: 12,         // 12 inches
-        LENGTH: 8          // 8 feet
+        LENGTH: 8,         // 8 feet
+        MOISTURE_PCT: 12,  // Kiln-dried equilibrium moisture
+        FIBER_SATURATION_PCT: 30,   // Shrinkage starts below this moisture
+        RADIAL_SHRINKAGE: 4,        // Green to oven-dry, % (generic species)
+        TANGENTIAL_SHRINKAGE: 8,    // Green to oven-dry, % (generic species)
+        STALE_DAYS: 180,
+        CARRYING_COST_PCT: 18,      // Annual, % of inventory value
+        CONVERSION_RATE: 0,         // Per hour of process time
+        REPORT_COLOR: '#2c5530',
+        PDF_ASYNC_ROWS: 2000        // Larger PDF reports are generated by the scheduler
     };
 
     /**
@@ -535,6 +1085,8 @@ define([], () => {
         INVALID_WASTE: 'Waste percentage must be between 0 and 100.',
         CONVERSION_FAILED: 'UOM conversion failed. Please verify dimensions.',
         TALLY_LOCKED: 'Tally sheet is locked and cannot be modified.',
+        SPLIT_EXCEEDS_REMAINING: 'Split quantities exceed the remaining BF on the source tally.',
+        MERGE_MISMATCH: 'Only tallies of the same item, location, subsidiary and grade can be merged.',
         REPACK_COMPLETE: 'Repack order is already completed and cannot be modified.'
     };
 
@@ -546,6 +1098,8 @@ define([], () => {
         CONVERSION_COMPLETE: 'BF conversion calculated successfully.',
         TALLY_CREATED: 'Tally sheet created successfully.',
         ALLOCATION_COMPLETE: 'Tally allocation completed successfully.',
+        TALLY_SPLIT: 'Tally sheet split successfully.',
+        TALLY_MERGED: 'Tally sheets merged successfully.',
         YIELD_RECORDED: 'Yield register entry recorded.',
         REPACK_COMPLETE: 'Repack order completed successfully.'
     };
@@ -558,7 +1112,8 @@ define([], () => {
         PERCENTAGE: 2,      // Percentages - 2 decimal places
         CURRENCY: 2,        // Currency values - 2 decimal places
         FACTOR: 6,          // Conversion factors - 6 decimal places
-        DIMENSION: 3        // Dimensions - 3 decimal places
+        DIMENSION: 3,       // Dimensions - 3 decimal places
+        WEIGHT: 2           // Weights (lbs) - 2 decimal places
     };
 
     // Combine all field IDs for convenience
@@ -572,6 +1127,8 @@ define([], () => {
         // UOM
         UOM_CODES,
         UOM_LABELS,
+        DIMENSION_UNITS,
+        METRIC_FACTORS,
 
         // Record Types
         RECORD_TYPES,
@@ -579,6 +1136,8 @@ define([], () => {
 
         // Field Groups
         ITEM_FIELDS,
+        CUSTOMER_FIELDS,
+        LOCATION_FIELDS,
         BODY_FIELDS,
         LINE_FIELDS,
         FIELD_IDS,
@@ -586,8 +1145,18 @@ define([], () => {
         SPECIES_FIELDS,
         GRADE_FIELDS,
         TALLY_FIELDS,
+        TALLY_PIECE_FIELDS,
+        TALLY_TRANSFER_FIELDS,
+        COUNT_FIELDS,
+        COUNT_LINE_FIELDS,
+        STALE_FIELDS,
+        LANDED_COST_FIELDS,
+        REPORT_TEMPLATE_FIELDS,
+        REPORT_SCHEDULE_FIELDS,
+        REPORT_RUN_FIELDS,
         TALLY_ALLOC_FIELDS,
         YIELD_FIELDS,
+        YIELD_ALERT_FIELDS,
         CONSUMPTION_FIELDS,
         REPACK_FIELDS,
         REPACK_OUTPUT_FIELDS,
@@ -601,6 +1170,26 @@ define([], () => {
         TALLY_ALLOC_STATUS,
         REPACK_STATUS,
         REPACK_STATUS_LABELS,
+        ALERT_SEVERITY,
+        ALERT_SEVERITY_LABELS,
+        ALERT_STATUS,
+        ALERT_STATUS_LABELS,
+        COUNT_STATUS,
+        COUNT_STATUS_LABELS,
+        STALE_STATUS,
+        STALE_STATUS_LABELS,
+        STALE_ACTIONS,
+        STALE_ACTION_LABELS,
+        LANDED_COST_TYPES,
+        LANDED_COST_TYPE_LABELS,
+        COST_SPLIT_METHODS,
+        COST_SPLIT_METHOD_LABELS,
+        REPORT_SHARING,
+        REPORT_SHARING_LABELS,
+        REPORT_RUN_STATUS,
+        REPORT_RUN_STATUS_LABELS,
+        REPORT_FREQUENCIES,
+        AGE_BUCKETS,
         SOURCE_TYPES,
 
         // Assembly & Multi-output Types
@@ -608,6 +1197,10 @@ define([], () => {
         ASSEMBLY_TYPES,
         BYPRODUCT_TYPES,
         DISPOSITION_TYPES,
+        DIMENSION_BASIS,
+        NHLA_GRADES,
+        ALLOCATION_STRATEGIES,
+        ALLOCATION_STRATEGY_LABELS,
 
         // Script & Deployment IDs
         SCRIPTS,
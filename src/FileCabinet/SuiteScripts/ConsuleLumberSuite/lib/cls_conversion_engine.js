@@ -4,25 +4,56 @@
  * @module cls_conversion_engine
  *
  * Consule LumberSuite™ - Dynamic UOM Conversion Engine
- * Converts between BF, LF, SF, MBF, MSF, and Bundle units
+ * Converts between BF, LF, SF, MBF, MSF, Bundle and metric (m³, LM, m²) units
+ * Prices on nominal or actual dressed dimensions, per item or customer
  *
  * This is the master conversion module that orchestrates all UOM conversions
- * for the LumberSuite application. All inventory is stored in BF (Board Feet),
- * and this engine handles conversion to/from display/selling UOMs.
+ * for the LumberSuite application. Tallies track inventory in BF (Board Feet),
+ * and this engine handles conversion to/from display, selling and stock UOMs.
  *
  * @copyright Consule LLC
  * @author Consule Development Team
  * @version 1.0.0
  */
 define([
+    'N/search',
     './cls_constants',
     './cls_settings_dao',
-    './cls_bf_calculator'
-], (Constants, SettingsDAO, BFCalculator) => {
+    './cls_bf_calculator',
+    './cls_dimension_resolver'
+], (search, Constants, SettingsDAO, BFCalculator, DimensionResolver) => {
 
     const UOM_CODES = Constants.UOM_CODES;
     const UOM_LABELS = Constants.UOM_LABELS;
     const PRECISION = Constants.PRECISION;
+    const DIMENSION_UNITS = Constants.DIMENSION_UNITS;
+    const METRIC_FACTORS = Constants.METRIC_FACTORS;
+    const DIMENSION_BASIS = Constants.DIMENSION_BASIS;
+
+    // Lookup cache, scoped to a single script execution
+    const stockUnitCache = {};
+
+    /**
+     * Normalize dimension inputs to inches (thickness, width) and feet (length)
+     * Metric dimensions are given in millimetres
+     *
+     * @param {Object} params - Conversion parameters
+     * @returns {Object} { t, w, l }
+     */
+    const resolveDimensions = (params) => {
+        const { thickness, width, length, dimensionUnit = DIMENSION_UNITS.IMPERIAL } = params;
+
+        if (dimensionUnit === DIMENSION_UNITS.METRIC) {
+            const dims = BFCalculator.convertMetricDimensions({ thickness, width, length });
+            return { t: dims.thickness, w: dims.width, l: dims.length };
+        }
+
+        return {
+            t: parseFloat(thickness) || 0,
+            w: parseFloat(width) || 0,
+            l: parseFloat(length) || 0
+        };
+    };
 
     /**
      * Get the configured BF precision from settings
@@ -52,8 +83,10 @@ define([
 
         // Check dimension requirements based on UOM
         const requiresThickness = [UOM_CODES.LINEAR_FEET, UOM_CODES.SQUARE_FEET,
-                                    UOM_CODES.MSF, UOM_CODES.EACH, UOM_CODES.BUNDLE];
-        const requiresWidth = [UOM_CODES.LINEAR_FEET, UOM_CODES.EACH, UOM_CODES.BUNDLE];
+                                    UOM_CODES.MSF, UOM_CODES.EACH, UOM_CODES.BUNDLE,
+                                    UOM_CODES.LINEAR_METRES, UOM_CODES.SQUARE_METRES];
+        const requiresWidth = [UOM_CODES.LINEAR_FEET, UOM_CODES.EACH, UOM_CODES.BUNDLE,
+                                UOM_CODES.LINEAR_METRES];
         const requiresLength = [UOM_CODES.EACH, UOM_CODES.BUNDLE];
 
         if (requiresThickness.includes(uomCode) && !thickness) {
@@ -83,12 +116,13 @@ define([
      * This is the primary function for converting selling UOM to inventory UOM
      *
      * @param {Object} params - Conversion parameters
-     * @param {string} params.sourceUom - Source UOM code (LF, SF, BF, MBF, MSF, EACH, BUNDLE)
+     * @param {string} params.sourceUom - Source UOM code (LF, SF, BF, MBF, MSF, EACH, BUNDLE, M3, LM, M2)
      * @param {number} params.sourceQty - Quantity in source UOM
-     * @param {number} params.thickness - Thickness in inches
-     * @param {number} params.width - Width in inches
-     * @param {number} params.length - Length in feet (required for EACH/BUNDLE)
+     * @param {number} params.thickness - Thickness in inches (mm if metric dimensions)
+     * @param {number} params.width - Width in inches (mm if metric dimensions)
+     * @param {number} params.length - Length in feet (mm if metric dimensions; required for EACH/BUNDLE)
      * @param {number} [params.piecesPerBundle=1] - Pieces per bundle (for BUNDLE)
+     * @param {string} [params.dimensionUnit='IN'] - Dimension unit (IN or MM)
      * @param {number} [params.precision] - Decimal precision override
      * @returns {Object} { boardFeet: number, conversionFactor: number, isValid: boolean, error: string }
      */
@@ -96,9 +130,6 @@ define([
         const {
             sourceUom,
             sourceQty,
-            thickness,
-            width,
-            length,
             piecesPerBundle = 1,
             precision
         } = params;
@@ -127,9 +158,7 @@ define([
         }
 
         const qty = parseFloat(sourceQty);
-        const t = parseFloat(thickness) || 0;
-        const w = parseFloat(width) || 0;
-        const l = parseFloat(length) || 0;
+        const { t, w, l } = resolveDimensions(params);
         const ppb = parseInt(piecesPerBundle, 10) || 1;
 
         let boardFeet = 0;
@@ -231,6 +260,40 @@ define([
                     boardFeet = qty * conversionFactor;
                     break;
 
+                case UOM_CODES.CUBIC_METRES:
+                    // 1 m³ = 423.776 BF
+                    conversionFactor = METRIC_FACTORS.BF_PER_CUBIC_METRE;
+                    boardFeet = qty * conversionFactor;
+                    break;
+
+                case UOM_CODES.LINEAR_METRES:
+                    // BF = LM × BF per LF × 3.2808
+                    if (t <= 0 || w <= 0) {
+                        return {
+                            boardFeet: 0,
+                            conversionFactor: 0,
+                            isValid: false,
+                            error: 'Thickness and width required for LM conversion'
+                        };
+                    }
+                    conversionFactor = BFCalculator.calculateBFPerLinearMetre(t, w);
+                    boardFeet = qty * conversionFactor;
+                    break;
+
+                case UOM_CODES.SQUARE_METRES:
+                    // BF = m² × BF per SF × 10.7639
+                    if (t <= 0) {
+                        return {
+                            boardFeet: 0,
+                            conversionFactor: 0,
+                            isValid: false,
+                            error: 'Thickness required for M2 conversion'
+                        };
+                    }
+                    conversionFactor = BFCalculator.calculateBFPerSquareMetre(t);
+                    boardFeet = qty * conversionFactor;
+                    break;
+
                 default:
                     return {
                         boardFeet: 0,
@@ -266,10 +329,11 @@ define([
      * @param {Object} params - Conversion parameters
      * @param {number} params.boardFeet - Board feet to convert
      * @param {string} params.targetUom - Target UOM code
-     * @param {number} params.thickness - Thickness in inches
-     * @param {number} params.width - Width in inches
-     * @param {number} params.length - Length in feet
+     * @param {number} params.thickness - Thickness in inches (mm if metric dimensions)
+     * @param {number} params.width - Width in inches (mm if metric dimensions)
+     * @param {number} params.length - Length in feet (mm if metric dimensions)
      * @param {number} [params.piecesPerBundle=1] - Pieces per bundle
+     * @param {string} [params.dimensionUnit='IN'] - Dimension unit (IN or MM)
      * @param {number} [params.precision] - Decimal precision override
      * @returns {Object} { displayQty: number, conversionFactor: number, isValid: boolean, error: string }
      */
@@ -277,9 +341,6 @@ define([
         const {
             boardFeet,
             targetUom,
-            thickness,
-            width,
-            length,
             piecesPerBundle = 1,
             precision
         } = params;
@@ -307,9 +368,7 @@ define([
         }
 
         const bf = parseFloat(boardFeet);
-        const t = parseFloat(thickness) || 0;
-        const w = parseFloat(width) || 0;
-        const l = parseFloat(length) || 0;
+        const { t, w, l } = resolveDimensions(params);
         const ppb = parseInt(piecesPerBundle, 10) || 1;
 
         let displayQty = 0;
@@ -405,6 +464,39 @@ define([
                     displayQty = bf / conversionFactor;
                     break;
 
+                case UOM_CODES.CUBIC_METRES:
+                    conversionFactor = METRIC_FACTORS.BF_PER_CUBIC_METRE;
+                    displayQty = bf / conversionFactor;
+                    break;
+
+                case UOM_CODES.LINEAR_METRES:
+                    if (t <= 0 || w <= 0) {
+                        return {
+                            displayQty: 0,
+                            conversionFactor: 0,
+                            isValid: false,
+                            error: 'Thickness and width required for LM conversion'
+                        };
+                    }
+                    // LM = BF / BF per LM
+                    conversionFactor = BFCalculator.calculateBFPerLinearMetre(t, w);
+                    displayQty = bf / conversionFactor;
+                    break;
+
+                case UOM_CODES.SQUARE_METRES:
+                    if (t <= 0) {
+                        return {
+                            displayQty: 0,
+                            conversionFactor: 0,
+                            isValid: false,
+                            error: 'Thickness required for M2 conversion'
+                        };
+                    }
+                    // m² = BF / BF per m²
+                    conversionFactor = BFCalculator.calculateBFPerSquareMetre(t);
+                    displayQty = bf / conversionFactor;
+                    break;
+
                 default:
                     return {
                         displayQty: 0,
@@ -441,14 +533,15 @@ define([
      * @param {string} params.sourceUom - Source UOM code
      * @param {number} params.sourceQty - Source quantity
      * @param {string} params.targetUom - Target UOM code
-     * @param {number} params.thickness - Thickness in inches
-     * @param {number} params.width - Width in inches
-     * @param {number} params.length - Length in feet
+     * @param {number} params.thickness - Thickness in inches (mm if metric dimensions)
+     * @param {number} params.width - Width in inches (mm if metric dimensions)
+     * @param {number} params.length - Length in feet (mm if metric dimensions)
      * @param {number} [params.piecesPerBundle=1] - Pieces per bundle
+     * @param {string} [params.dimensionUnit='IN'] - Dimension unit (IN or MM)
      * @returns {Object} Conversion result
      */
     const convertBetweenUOMs = (params) => {
-        const { sourceUom, sourceQty, targetUom, thickness, width, length, piecesPerBundle } = params;
+        const { sourceUom, sourceQty, targetUom, thickness, width, length, piecesPerBundle, dimensionUnit } = params;
 
         // First convert to BF
         const toBFResult = convertToBoardFeet({
@@ -457,7 +550,8 @@ define([
             thickness,
             width,
             length,
-            piecesPerBundle
+            piecesPerBundle,
+            dimensionUnit
         });
 
         if (!toBFResult.isValid) {
@@ -476,7 +570,8 @@ define([
             thickness,
             width,
             length,
-            piecesPerBundle
+            piecesPerBundle,
+            dimensionUnit
         });
 
         if (!fromBFResult.isValid) {
@@ -500,25 +595,144 @@ define([
         };
     };
 
+    /**
+     * Convert to board feet on the pricing dimension basis, and to dressed BF
+     * on actual dimensions for inventory
+     *
+     * @param {Object} params - Conversion parameters
+     * @param {string} params.sourceUom - Source UOM code
+     * @param {number} params.sourceQty - Quantity in source UOM
+     * @param {Object} params.dimensions - Resolved dimensions with nominal/actual sets
+     * @param {string} [params.pricingBasis] - Dimension basis for pricing (defaults to nominal)
+     * @param {number} [params.precision] - Decimal precision override
+     * @returns {Object} { boardFeet, dressedBF, conversionFactor, dressedRatio, pricingBasis, isValid, error }
+     */
+    const convertWithDimensionBasis = (params) => {
+        const {
+            sourceUom,
+            sourceQty,
+            dimensions,
+            pricingBasis = DIMENSION_BASIS.NOMINAL,
+            precision
+        } = params;
+
+        const nominal = dimensions.nominal || dimensions;
+        const actual = dimensions.actual || nominal;
+        const basisDims = pricingBasis === DIMENSION_BASIS.ACTUAL ? actual : nominal;
+
+        const conversion = convertToBoardFeet({
+            sourceUom,
+            sourceQty,
+            thickness: basisDims.thickness,
+            width: basisDims.width,
+            length: basisDims.length,
+            piecesPerBundle: dimensions.piecesPerBundle,
+            precision
+        });
+
+        if (!conversion.isValid) {
+            return {
+                ...conversion,
+                dressedBF: 0,
+                dressedRatio: 1,
+                pricingBasis
+            };
+        }
+
+        // Inventory always moves on actual dressed dimensions
+        const dressedRatio = BFCalculator.calculateDressedRatio(basisDims, actual);
+        const bfPrecision = precision !== undefined ? precision : getPrecision();
+
+        return {
+            ...conversion,
+            dressedBF: BFCalculator.roundTo(conversion.boardFeet * dressedRatio, bfPrecision),
+            dressedRatio,
+            pricingBasis
+        };
+    };
+
+    /**
+     * Match a NetSuite unit name or abbreviation to a UOM code
+     *
+     * @param {string} unitName - Unit name, e.g. "BF" or "Board Feet"
+     * @returns {string|null} UOM code, or null if it has none
+     */
+    const getUOMCodeForUnit = (unitName) => {
+        const name = String(unitName || '').trim().toUpperCase();
+        if (!name) return null;
+
+        return Object.keys(UOM_LABELS).find(code =>
+            code === name || UOM_LABELS[code].toUpperCase() === name
+        ) || null;
+    };
+
+    /**
+     * Get the BF held by one stock unit of an item, on its actual dressed
+     * dimensions (the dimensions inventory moves on). An item with no stock
+     * unit, as when multiple units of measure are off, is stocked in BF.
+     *
+     * @param {number|string} itemId - Item internal ID
+     * @returns {Object} { uomCode, bfPerUnit, isValid, error }
+     */
+    const getStockUnitBF = (itemId) => {
+        if (stockUnitCache[itemId]) return stockUnitCache[itemId];
+
+        let result;
+        try {
+            const lookup = search.lookupFields({
+                type: search.Type.ITEM,
+                id: itemId,
+                columns: ['stockunit']
+            });
+            const stockUnit = lookup.stockunit && lookup.stockunit.length > 0 ? lookup.stockunit[0] : null;
+            const uomCode = stockUnit ? getUOMCodeForUnit(stockUnit.text) : UOM_CODES.BOARD_FEET;
+
+            if (!uomCode) {
+                result = { uomCode: null, bfPerUnit: 0, isValid: false, error: `Stock unit ${stockUnit.text} has no BF conversion` };
+            } else {
+                const dims = DimensionResolver.getItemDimensions(itemId);
+                const conversion = convertToBoardFeet({
+                    sourceUom: uomCode,
+                    sourceQty: 1,
+                    thickness: dims.actual.thickness,
+                    width: dims.actual.width,
+                    length: dims.actual.length,
+                    piecesPerBundle: dims.piecesPerBundle,
+                    precision: PRECISION.FACTOR
+                });
+
+                result = conversion.isValid && conversion.boardFeet > 0
+                    ? { uomCode, bfPerUnit: conversion.boardFeet, isValid: true, error: null }
+                    : { uomCode, bfPerUnit: 0, isValid: false, error: conversion.error || `No BF conversion for ${uomCode}` };
+            }
+        } catch (e) {
+            result = { uomCode: null, bfPerUnit: 0, isValid: false, error: e.message };
+        }
+
+        stockUnitCache[itemId] = result;
+        return result;
+    };
+
     /**
      * Calculate all conversion factors for a given dimension set
      * Used to display conversion reference on forms
      *
-     * @param {number} thickness - Thickness in inches
-     * @param {number} width - Width in inches
-     * @param {number} length - Length in feet
+     * @param {number} thickness - Thickness in inches (mm if metric dimensions)
+     * @param {number} width - Width in inches (mm if metric dimensions)
+     * @param {number} length - Length in feet (mm if metric dimensions)
      * @param {number} [piecesPerBundle=1] - Pieces per bundle
+     * @param {string} [dimensionUnit='IN'] - Dimension unit (IN or MM)
      * @returns {Object} All conversion factors
      */
-    const calculateConversionMatrix = (thickness, width, length, piecesPerBundle = 1) => {
-        const t = parseFloat(thickness) || 0;
-        const w = parseFloat(width) || 0;
-        const l = parseFloat(length) || 0;
+    const calculateConversionMatrix = (thickness, width, length, piecesPerBundle = 1, dimensionUnit) => {
+        const { t, w, l } = resolveDimensions({ thickness, width, length, dimensionUnit });
         const ppb = parseInt(piecesPerBundle, 10) || 1;
 
         const bfPerPiece = t > 0 && w > 0 && l > 0
             ? BFCalculator.calculateBF({ thickness: t, width: w, length: l })
             : 0;
+        const bfPerLM = BFCalculator.calculateBFPerLinearMetre(t, w);
+        const bfPerM2 = BFCalculator.calculateBFPerSquareMetre(t);
 
         return {
             // Factors to multiply source qty to get BF
@@ -529,7 +743,10 @@ define([
                 [UOM_CODES.MBF]: 1000,
                 [UOM_CODES.MSF]: t > 0 ? (t / 12) * 1000 : null,
                 [UOM_CODES.EACH]: bfPerPiece || null,
-                [UOM_CODES.BUNDLE]: bfPerPiece > 0 ? bfPerPiece * ppb : null
+                [UOM_CODES.BUNDLE]: bfPerPiece > 0 ? bfPerPiece * ppb : null,
+                [UOM_CODES.CUBIC_METRES]: METRIC_FACTORS.BF_PER_CUBIC_METRE,
+                [UOM_CODES.LINEAR_METRES]: bfPerLM || null,
+                [UOM_CODES.SQUARE_METRES]: bfPerM2 || null
             },
             // Factors to divide BF to get target qty
             fromBF: {
@@ -539,7 +756,10 @@ define([
                 [UOM_CODES.MBF]: 1000,
                 [UOM_CODES.MSF]: t > 0 ? (t / 12) * 1000 : null,
                 [UOM_CODES.EACH]: bfPerPiece || null,
-                [UOM_CODES.BUNDLE]: bfPerPiece > 0 ? bfPerPiece * ppb : null
+                [UOM_CODES.BUNDLE]: bfPerPiece > 0 ? bfPerPiece * ppb : null,
+                [UOM_CODES.CUBIC_METRES]: METRIC_FACTORS.BF_PER_CUBIC_METRE,
+                [UOM_CODES.LINEAR_METRES]: bfPerLM || null,
+                [UOM_CODES.SQUARE_METRES]: bfPerM2 || null
             },
             // Human-readable descriptions
             descriptions: {
@@ -558,7 +778,14 @@ define([
                     : 'Requires all dimensions',
                 [UOM_CODES.BUNDLE]: bfPerPiece > 0
                     ? `1 BDL (${ppb} pcs) = ${BFCalculator.roundTo(bfPerPiece * ppb, 4)} BF`
-                    : 'Requires all dimensions'
+                    : 'Requires all dimensions',
+                [UOM_CODES.CUBIC_METRES]: `1 m³ = ${BFCalculator.roundTo(METRIC_FACTORS.BF_PER_CUBIC_METRE, 4)} BF`,
+                [UOM_CODES.LINEAR_METRES]: bfPerLM > 0
+                    ? `1 LM = ${BFCalculator.roundTo(bfPerLM, 4)} BF`
+                    : 'Requires thickness and width',
+                [UOM_CODES.SQUARE_METRES]: bfPerM2 > 0
+                    ? `1 m² = ${BFCalculator.roundTo(bfPerM2, 4)} BF`
+                    : 'Requires thickness'
             },
             dimensions: {
                 thickness: t,
@@ -631,6 +858,26 @@ define([
                 available: t > 0 && w > 0 && l > 0,
                 requiresDimensions: true,
                 requiredDims: ['thickness', 'width', 'length', 'piecesPerBundle']
+            },
+            {
+                code: UOM_CODES.CUBIC_METRES,
+                label: UOM_LABELS.M3,
+                available: true,
+                requiresDimensions: false
+            },
+            {
+                code: UOM_CODES.LINEAR_METRES,
+                label: UOM_LABELS.LM,
+                available: t > 0 && w > 0,
+                requiresDimensions: true,
+                requiredDims: ['thickness', 'width']
+            },
+            {
+                code: UOM_CODES.SQUARE_METRES,
+                label: UOM_LABELS.M2,
+                available: t > 0,
+                requiresDimensions: true,
+                requiredDims: ['thickness']
             }
         ];
 
@@ -672,6 +919,8 @@ define([
         convertToBoardFeet,
         convertFromBoardFeet,
         convertBetweenUOMs,
+        convertWithDimensionBasis,
+        getStockUnitBF,
 
         // Reference data
         calculateConversionMatrix,
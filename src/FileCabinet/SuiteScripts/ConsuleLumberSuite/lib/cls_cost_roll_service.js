@@ -0,0 +1,204 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_cost_roll_service
+ *
+ * Consule LumberSuite™ - Cost Roll-up Service
+ * Rolls the cost of the lumber consumed by a work order or repack, plus
+ * labour and machine time, into the tallies and by-products it produces
+ *
+ * The process cost is split across the outputs either:
+ * - By volume: each output carries the same cost per BF
+ * - By relative sales value: each output's share follows its BF times its
+ *   base BF price, so higher-value outputs carry more of the cost
+ *
+ * The split method and the conversion cost per hour come from the process
+ * target for the process type, falling back to CLS Settings.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/search',
+    './cls_constants',
+    './cls_settings_dao',
+    './cls_process_service',
+    './cls_bf_calculator'
+], (search, Constants, SettingsDAO, ProcessService, BFCalculator) => {
+
+    const ITEM_FIELDS = Constants.ITEM_FIELDS;
+    const COST_SPLIT_METHODS = Constants.COST_SPLIT_METHODS;
+
+    const roundCurrency = (value) => BFCalculator.roundTo(value, Constants.PRECISION.CURRENCY);
+
+    /**
+     * Resolve the split method and conversion rate for a process type
+     *
+     * @param {string} [processType] - Process type list value
+     * @returns {Object} Cost settings with splitMethod and conversionRate
+     */
+    const getCostSettings = (processType) => {
+        const costSettings = {
+            splitMethod: SettingsDAO.getCostSplitMethod(),
+            conversionRate: SettingsDAO.getConversionRate()
+        };
+
+        if (!processType) return costSettings;
+
+        const target = ProcessService.getProcessTarget({ processType });
+
+        if (target.found) {
+            if (target.costSplitMethod) costSettings.splitMethod = target.costSplitMethod;
+            if (target.conversionRate !== null) costSettings.conversionRate = target.conversionRate;
+        }
+
+        return costSettings;
+    };
+
+    /**
+     * Calculate labour and machine cost for a length of process time
+     *
+     * @param {number} durationMins - Process time in minutes
+     * @param {number} conversionRate - Cost per hour
+     * @returns {number} Conversion cost
+     */
+    const calculateConversionCost = (durationMins, conversionRate) => {
+        const mins = parseFloat(durationMins) || 0;
+        const rate = parseFloat(conversionRate) || 0;
+
+        if (mins <= 0 || rate <= 0) return 0;
+
+        return roundCurrency((mins / 60) * rate);
+    };
+
+    /**
+     * Look up the base BF price of each output item
+     *
+     * @param {Array<Object>} outputs - Outputs with itemId
+     * @returns {Object} Price per BF keyed by item ID
+     */
+    const getItemPrices = (outputs) => {
+        const prices = {};
+
+        outputs.forEach((output) => {
+            if (!output.itemId || prices[output.itemId] !== undefined) return;
+
+            try {
+                const lookupResult = search.lookupFields({
+                    type: search.Type.ITEM,
+                    id: output.itemId,
+                    columns: [ITEM_FIELDS.BASE_BF_PRICE]
+                });
+                prices[output.itemId] = parseFloat(lookupResult[ITEM_FIELDS.BASE_BF_PRICE]) || 0;
+            } catch (e) {
+                log.error({
+                    title: 'CLS Cost Roll Service - getItemPrices',
+                    details: `Item ${output.itemId}: ${e.message}`
+                });
+                prices[output.itemId] = 0;
+            }
+        });
+
+        return prices;
+    };
+
+    /**
+     * Split a process cost across its outputs
+     * Relative sales value falls back to volume when no output has a price.
+     * The rounding remainder goes to the last output so the shares add up.
+     *
+     * @param {Object} params - Roll parameters
+     * @param {number} params.inputCost - Cost of the lumber consumed
+     * @param {number} [params.conversionCost=0] - Labour and machine cost
+     * @param {string} [params.splitMethod] - Cost split method (defaults to by volume)
+     * @param {Array<Object>} params.outputs - Outputs with key, itemId, bf and isByproduct
+     * @returns {Object} Result with totalCost, splitMethod and costed outputs
+     */
+    const rollCost = (params) => {
+        const { inputCost = 0, conversionCost = 0 } = params;
+        const outputs = (params.outputs || []).filter(output => output.bf > 0);
+        const totalCost = roundCurrency(inputCost + conversionCost);
+        let splitMethod = params.splitMethod || COST_SPLIT_METHODS.VOLUME;
+
+        if (outputs.length === 0) {
+            return { success: false, error: 'No output BF to roll cost into' };
+        }
+
+        let weights = outputs.map(output => output.bf);
+
+        if (splitMethod === COST_SPLIT_METHODS.SALES_VALUE) {
+            const prices = getItemPrices(outputs);
+            const salesValues = outputs.map(output => output.bf * (prices[output.itemId] || 0));
+
+            if (salesValues.some(value => value > 0)) {
+                weights = salesValues;
+            } else {
+                splitMethod = COST_SPLIT_METHODS.VOLUME;
+            }
+        }
+
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let allocated = 0;
+
+        const costed = outputs.map((output, index) => {
+            const allocatedCost = index === outputs.length - 1
+                ? roundCurrency(totalCost - allocated)
+                : roundCurrency(totalCost * weights[index] / totalWeight);
+
+            allocated += allocatedCost;
+
+            return Object.assign({}, output, {
+                weight: weights[index],
+                allocatedCost,
+                bfCost: roundCurrency(allocatedCost / output.bf)
+            });
+        });
+
+        return {
+            success: true,
+            inputCost: roundCurrency(inputCost),
+            conversionCost: roundCurrency(conversionCost),
+            totalCost,
+            splitMethod,
+            outputs: costed
+        };
+    };
+
+    /**
+     * Roll the cost of one run of a process into its outputs, using the
+     * process type's split method and conversion rate
+     *
+     * @param {Object} params - Process parameters
+     * @param {string} [params.processType] - Process type list value
+     * @param {number} params.inputCost - Cost of the lumber consumed
+     * @param {number} [params.durationMins=0] - Process time in minutes
+     * @param {Array<Object>} params.outputs - Outputs with key, itemId, bf and isByproduct
+     * @returns {Object} Result from rollCost
+     */
+    const rollProcessCost = (params) => {
+        try {
+            const costSettings = getCostSettings(params.processType);
+
+            return rollCost({
+                inputCost: params.inputCost,
+                conversionCost: calculateConversionCost(params.durationMins, costSettings.conversionRate),
+                splitMethod: costSettings.splitMethod,
+                outputs: params.outputs
+            });
+        } catch (e) {
+            log.error({
+                title: 'CLS Cost Roll Service - rollProcessCost',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    return {
+        getCostSettings,
+        calculateConversionCost,
+        rollCost,
+        rollProcessCost
+    };
+});
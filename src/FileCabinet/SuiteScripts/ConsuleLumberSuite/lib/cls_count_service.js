@@ -0,0 +1,949 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_count_service
+ *
+ * Consule LumberSuite™ - Physical Count Service
+ * Reconciles physical inventory counts against tally sheets
+ *
+ * Count lifecycle:
+ * Counting → Submitted → Pending Approval → Approved → Posted
+ *
+ * Counters record measured BF (or pieces) per tally. Submitting queues the
+ * count reconciliation MR to compute variances against Remaining BF. Once the
+ * approving supervisor signs off, the MR posts one inventory adjustment per
+ * session and corrects the tally balances.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/record',
+    'N/search',
+    'N/runtime',
+    'N/task',
+    './cls_constants',
+    './cls_settings_dao',
+    './cls_bf_calculator',
+    './cls_conversion_engine',
+    './cls_tally_service'
+], (record, search, runtime, task, Constants, SettingsDAO, BFCalculator, ConversionEngine, TallyService) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const COUNT_FIELDS = Constants.COUNT_FIELDS;
+    const LINE_FIELDS = Constants.COUNT_LINE_FIELDS;
+    const COUNT_STATUS = Constants.COUNT_STATUS;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+    const TALLY_STATUS = Constants.TALLY_STATUS;
+
+    /**
+     * Variances smaller than this are treated as an exact count
+     */
+    const VARIANCE_TOLERANCE = 0.0001;
+
+    /**
+     * Administrator role ID - may approve any count
+     */
+    const ADMINISTRATOR_ROLE = 3;
+
+    const round = (value) => BFCalculator.roundTo(value, Constants.PRECISION.BF);
+
+    /**
+     * Get the current user's employee ID, or null when running as system
+     * @returns {number|null}
+     */
+    const getCurrentUserId = () => {
+        const userId = runtime.getCurrentUser().id;
+        return userId > 0 ? userId : null;
+    };
+
+    /**
+     * Get the value of a select field from a lookupFields result
+     *
+     * @param {Object} lookup - lookupFields result
+     * @param {string} fieldId - Field ID
+     * @param {string} [property] - 'value' or 'text'
+     * @returns {string|null}
+     */
+    const getLookupSelect = (lookup, fieldId, property = 'value') => {
+        const value = lookup[fieldId];
+        return Array.isArray(value) && value[0] ? value[0][property] : null;
+    };
+
+    /**
+     * Load a count session
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {Object|null} Session details
+     */
+    const getSession = (sessionId) => {
+        try {
+            const lookup = search.lookupFields({
+                type: RECORD_TYPES.INVENTORY_COUNT,
+                id: sessionId,
+                columns: [
+                    COUNT_FIELDS.NAME,
+                    COUNT_FIELDS.LOCATION,
+                    COUNT_FIELDS.COUNT_DATE,
+                    COUNT_FIELDS.STATUS,
+                    COUNT_FIELDS.FULL_COUNT,
+                    COUNT_FIELDS.SUPERVISOR,
+                    COUNT_FIELDS.SYSTEM_BF,
+                    COUNT_FIELDS.COUNTED_BF,
+                    COUNT_FIELDS.VARIANCE_BF,
+                    COUNT_FIELDS.ADJUSTMENT,
+                    COUNT_FIELDS.NOTES
+                ]
+            });
+
+            return {
+                sessionId: String(sessionId),
+                name: lookup[COUNT_FIELDS.NAME],
+                locationId: getLookupSelect(lookup, COUNT_FIELDS.LOCATION),
+                locationName: getLookupSelect(lookup, COUNT_FIELDS.LOCATION, 'text'),
+                countDate: lookup[COUNT_FIELDS.COUNT_DATE],
+                status: getLookupSelect(lookup, COUNT_FIELDS.STATUS),
+                fullCount: lookup[COUNT_FIELDS.FULL_COUNT] === true,
+                supervisorId: getLookupSelect(lookup, COUNT_FIELDS.SUPERVISOR),
+                systemBF: parseFloat(lookup[COUNT_FIELDS.SYSTEM_BF]) || 0,
+                countedBF: parseFloat(lookup[COUNT_FIELDS.COUNTED_BF]) || 0,
+                varianceBF: parseFloat(lookup[COUNT_FIELDS.VARIANCE_BF]) || 0,
+                adjustmentId: getLookupSelect(lookup, COUNT_FIELDS.ADJUSTMENT),
+                notes: lookup[COUNT_FIELDS.NOTES]
+            };
+
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * List count sessions open for counting
+     *
+     * @returns {Array<Object>} { sessionId, name, locationName, countDate }
+     */
+    const getCountingSessions = () => {
+        const sessions = [];
+
+        search.create({
+            type: RECORD_TYPES.INVENTORY_COUNT,
+            filters: [
+                [COUNT_FIELDS.STATUS, 'anyof', COUNT_STATUS.COUNTING],
+                'AND',
+                ['isinactive', 'is', 'F']
+            ],
+            columns: [
+                COUNT_FIELDS.NAME,
+                COUNT_FIELDS.LOCATION,
+                search.createColumn({ name: COUNT_FIELDS.COUNT_DATE, sort: search.Sort.DESC })
+            ]
+        }).run().each((result) => {
+            sessions.push({
+                sessionId: result.id,
+                name: result.getValue(COUNT_FIELDS.NAME),
+                locationName: result.getText(COUNT_FIELDS.LOCATION),
+                countDate: result.getValue(COUNT_FIELDS.COUNT_DATE)
+            });
+            return true;
+        });
+
+        return sessions;
+    };
+
+    /**
+     * List the count lines of a session
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.unpostedVariancesOnly] - Only lines with a variance still to post
+     * @returns {Array<Object>} Count lines, newest first
+     */
+    const getSessionLines = (sessionId, options = {}) => {
+        const filters = [[LINE_FIELDS.COUNT, 'anyof', sessionId]];
+
+        if (options.unpostedVariancesOnly) {
+            filters.push('AND', [LINE_FIELDS.POSTED, 'is', 'F']);
+            filters.push('AND', [
+                [LINE_FIELDS.VARIANCE_BF, 'greaterthan', VARIANCE_TOLERANCE],
+                'OR',
+                [LINE_FIELDS.VARIANCE_BF, 'lessthan', -VARIANCE_TOLERANCE]
+            ]);
+        }
+
+        const lines = [];
+
+        const pagedData = search.create({
+            type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+            filters,
+            columns: [
+                search.createColumn({ name: 'internalid', sort: search.Sort.DESC }),
+                LINE_FIELDS.TALLY,
+                LINE_FIELDS.ITEM,
+                LINE_FIELDS.COUNTED_BF,
+                LINE_FIELDS.COUNTED_PIECES,
+                LINE_FIELDS.SYSTEM_BF,
+                LINE_FIELDS.VARIANCE_BF,
+                LINE_FIELDS.VARIANCE_PCT,
+                LINE_FIELDS.POSTED,
+                LINE_FIELDS.NOTES
+            ]
+        }).runPaged({ pageSize: 1000 });
+
+        pagedData.pageRanges.forEach((pageRange) => {
+            pagedData.fetch({ index: pageRange.index }).data.forEach((result) => {
+                const systemBF = result.getValue(LINE_FIELDS.SYSTEM_BF);
+
+                lines.push({
+                    lineId: result.id,
+                    tallyId: result.getValue(LINE_FIELDS.TALLY),
+                    tallyNumber: result.getText(LINE_FIELDS.TALLY),
+                    itemId: result.getValue(LINE_FIELDS.ITEM),
+                    itemName: result.getText(LINE_FIELDS.ITEM),
+                    countedBF: parseFloat(result.getValue(LINE_FIELDS.COUNTED_BF)) || 0,
+                    countedPieces: result.getValue(LINE_FIELDS.COUNTED_PIECES),
+                    // Blank until the variance run has reached the line
+                    systemBF: systemBF === '' ? null : parseFloat(systemBF) || 0,
+                    varianceBF: parseFloat(result.getValue(LINE_FIELDS.VARIANCE_BF)) || 0,
+                    variancePct: parseFloat(result.getValue(LINE_FIELDS.VARIANCE_PCT)) || 0,
+                    posted: result.getValue(LINE_FIELDS.POSTED) === true,
+                    notes: result.getValue(LINE_FIELDS.NOTES)
+                });
+            });
+        });
+
+        return lines;
+    };
+
+    /**
+     * Find the count line already recorded for a tally in a session
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @param {number} tallyId - Tally sheet internal ID
+     * @returns {string|null} Count line internal ID
+     */
+    const findCountLine = (sessionId, tallyId) => {
+        let lineId = null;
+
+        search.create({
+            type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+            filters: [
+                [LINE_FIELDS.COUNT, 'anyof', sessionId],
+                'AND',
+                [LINE_FIELDS.TALLY, 'anyof', tallyId]
+            ],
+            columns: ['internalid']
+        }).run().each((result) => {
+            lineId = result.id;
+            return false;
+        });
+
+        return lineId;
+    };
+
+    /**
+     * Resolve the counted BF from a measured BF or a piece count
+     * Pieces are converted at the tally's received BF per piece.
+     *
+     * @param {Object} tally - Tally details from TallyService.getTallyDetails
+     * @param {number|null} countedBF - Measured BF
+     * @param {number|null} countedPieces - Counted pieces
+     * @returns {number|null} Counted BF, or null when it cannot be determined
+     */
+    const resolveCountedBF = (tally, countedBF, countedPieces) => {
+        if (countedBF !== null && countedBF >= 0) {
+            return round(countedBF);
+        }
+
+        if (countedPieces !== null && countedPieces >= 0 && tally.pieces > 0) {
+            return round(countedPieces * (tally.receivedBF / tally.pieces));
+        }
+
+        return null;
+    };
+
+    /**
+     * Parse an optional numeric input
+     *
+     * @param {*} value - Raw value
+     * @returns {number|null}
+     */
+    const parseOptional = (value) => {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return null;
+        }
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    /**
+     * Record the physical count of a tally in a session
+     * Counting the same tally again replaces the earlier count.
+     *
+     * @param {Object} params - Count parameters
+     * @param {number} params.sessionId - Inventory count internal ID
+     * @param {number} [params.tallyId] - Tally sheet internal ID
+     * @param {string} [params.code] - Scanned tag, tally number or bundle ID
+     * @param {number} [params.countedBF] - Measured BF
+     * @param {number} [params.countedPieces] - Counted pieces (used when BF is blank)
+     * @param {string} [params.notes] - Counter notes
+     * @returns {Object} Result with lineId, tallyNumber, countedBF, updated
+     */
+    const recordCount = (params) => {
+        try {
+            const session = getSession(params.sessionId);
+
+            if (!session) {
+                return { success: false, error: `Count session ${params.sessionId} not found` };
+            }
+
+            if (session.status !== COUNT_STATUS.COUNTING) {
+                return { success: false, error: 'This count session is no longer open for counting' };
+            }
+
+            const tallyId = params.tallyId || TallyService.findTallyByScan(params.code);
+            const tally = tallyId ? TallyService.getTallyDetails(tallyId) : null;
+
+            if (!tally) {
+                return { success: false, error: `No tally found for "${params.code || params.tallyId}"` };
+            }
+
+            if (String(tally.locationId) !== String(session.locationId)) {
+                return {
+                    success: false,
+                    error: `Tally ${tally.tallyNumber} is recorded at another location. Move it to ${session.locationName} with Tally Scan before counting it.`
+                };
+            }
+
+            const countedPieces = parseOptional(params.countedPieces);
+            const countedBF = resolveCountedBF(tally, parseOptional(params.countedBF), countedPieces);
+
+            if (countedBF === null) {
+                return {
+                    success: false,
+                    error: tally.pieces > 0
+                        ? 'Enter the counted BF or pieces'
+                        : `Enter the counted BF. Tally ${tally.tallyNumber} has no piece count to convert from.`
+                };
+            }
+
+            const values = {
+                [LINE_FIELDS.COUNTED_BF]: countedBF,
+                [LINE_FIELDS.COUNTED_PIECES]: countedPieces === null ? '' : Math.round(countedPieces),
+                [LINE_FIELDS.COUNTED_BY]: params.userId || getCurrentUserId() || '',
+                [LINE_FIELDS.NOTES]: params.notes || ''
+            };
+
+            const existingLineId = findCountLine(session.sessionId, tally.tallyId);
+            let lineId = existingLineId;
+
+            if (existingLineId) {
+                record.submitFields({
+                    type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+                    id: lineId,
+                    values
+                });
+            } else {
+                const lineRec = record.create({ type: RECORD_TYPES.INVENTORY_COUNT_LINE });
+
+                Object.assign(values, {
+                    [LINE_FIELDS.COUNT]: session.sessionId,
+                    [LINE_FIELDS.TALLY]: tally.tallyId,
+                    [LINE_FIELDS.ITEM]: tally.itemId,
+                    [LINE_FIELDS.TALLY_LOCATION]: tally.locationId
+                });
+
+                Object.keys(values).forEach((fieldId) => {
+                    if (values[fieldId] !== '') {
+                        lineRec.setValue({ fieldId, value: values[fieldId] });
+                    }
+                });
+
+                lineId = lineRec.save({ ignoreMandatoryFields: true });
+            }
+
+            return {
+                success: true,
+                lineId,
+                tallyId: tally.tallyId,
+                tallyNumber: tally.tallyNumber,
+                countedBF,
+                updated: !!existingLineId
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Count Service - recordCount',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Queue the count reconciliation MR
+     * When a run is already in progress, its summarize stage picks the
+     * session up instead.
+     *
+     * @returns {boolean} True when a new run was submitted
+     */
+    const queueReconciliation = () => {
+        try {
+            task.create({
+                taskType: task.TaskType.MAP_REDUCE,
+                scriptId: Constants.SCRIPTS.COUNT_MR,
+                deploymentId: Constants.DEPLOYMENTS.COUNT_MR
+            }).submit();
+            return true;
+
+        } catch (e) {
+            log.audit({
+                title: 'CLS Count Service - queueReconciliation',
+                details: `Not queued: ${e.message}`
+            });
+            return false;
+        }
+    };
+
+    /**
+     * Move a session to a new status after checking the current one
+     *
+     * @param {Object} session - Session details
+     * @param {string} expectedStatus - Status the session must be in
+     * @param {Object} values - Field values to set, including the new status
+     * @returns {Object} Result
+     */
+    const changeStatus = (session, expectedStatus, values) => {
+        if (!session) {
+            return { success: false, error: 'Count session not found' };
+        }
+
+        if (session.status !== expectedStatus) {
+            return {
+                success: false,
+                error: `Count session is ${Constants.COUNT_STATUS_LABELS[session.status] || 'not available'}, ` +
+                    `expected ${Constants.COUNT_STATUS_LABELS[expectedStatus]}`
+            };
+        }
+
+        record.submitFields({
+            type: RECORD_TYPES.INVENTORY_COUNT,
+            id: session.sessionId,
+            values
+        });
+
+        return { success: true };
+    };
+
+    /**
+     * Append a note to a session
+     *
+     * @param {Object} session - Session details
+     * @param {string} note - Note text
+     * @returns {string} Updated notes
+     */
+    const appendNote = (session, note) => (session.notes ? `${session.notes}\n${note}` : note);
+
+    /**
+     * Submit a session for variance calculation
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {Object} Result with queued flag
+     */
+    const submitSession = (sessionId) => {
+        try {
+            const session = getSession(sessionId);
+
+            if (session && !session.fullCount && !findAnyCountLine(sessionId)) {
+                return { success: false, error: 'Record at least one count before submitting' };
+            }
+
+            const result = changeStatus(session, COUNT_STATUS.COUNTING, {
+                [COUNT_FIELDS.STATUS]: COUNT_STATUS.SUBMITTED
+            });
+
+            if (!result.success) {
+                return result;
+            }
+
+            return { success: true, queued: queueReconciliation() };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Count Service - submitSession',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Check whether a session has any count lines
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {boolean}
+     */
+    const findAnyCountLine = (sessionId) => {
+        let found = false;
+
+        search.create({
+            type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+            filters: [[LINE_FIELDS.COUNT, 'anyof', sessionId]],
+            columns: ['internalid']
+        }).run().each(() => {
+            found = true;
+            return false;
+        });
+
+        return found;
+    };
+
+    /**
+     * Check whether the current user may approve a session
+     * Only the session's approving supervisor or an administrator may.
+     *
+     * @param {string|number} supervisorId - Approving supervisor employee ID
+     * @returns {boolean}
+     */
+    const canApprove = (supervisorId) => {
+        const user = runtime.getCurrentUser();
+        return user.role === ADMINISTRATOR_ROLE || (!!supervisorId && String(user.id) === String(supervisorId));
+    };
+
+    /**
+     * Approve a session's variances and queue them for posting
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {Object} Result with queued flag
+     */
+    const approveSession = (sessionId) => {
+        try {
+            const session = getSession(sessionId);
+
+            if (session && !canApprove(session.supervisorId)) {
+                return { success: false, error: 'Only the approving supervisor can approve this count' };
+            }
+
+            const result = changeStatus(session, COUNT_STATUS.PENDING_APPROVAL, {
+                [COUNT_FIELDS.STATUS]: COUNT_STATUS.APPROVED,
+                [COUNT_FIELDS.APPROVED_BY]: getCurrentUserId() || '',
+                [COUNT_FIELDS.APPROVED_DATE]: new Date()
+            });
+
+            if (!result.success) {
+                return result;
+            }
+
+            return { success: true, queued: queueReconciliation() };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Count Service - approveSession',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Send a session back to counting for a recount
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @param {string} [reason] - Why the recount is needed
+     * @returns {Object} Result
+     */
+    const reopenSession = (sessionId, reason) => {
+        try {
+            const session = getSession(sessionId);
+
+            if (session && !canApprove(session.supervisorId)) {
+                return { success: false, error: 'Only the approving supervisor can return this count for recount' };
+            }
+
+            return changeStatus(session, COUNT_STATUS.PENDING_APPROVAL, {
+                [COUNT_FIELDS.STATUS]: COUNT_STATUS.COUNTING,
+                [COUNT_FIELDS.NOTES]: appendNote(session || {}, `Returned for recount${reason ? `: ${reason}` : ''}`)
+            });
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Count Service - reopenSession',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Compute the variance of one count line against the tally's Remaining BF
+     * A tally missing from a full count gets a line counted at zero.
+     *
+     * @param {Object} params - Variance parameters
+     * @param {number} params.sessionId - Inventory count internal ID
+     * @param {number} params.tallyId - Tally sheet internal ID
+     * @param {number} [params.lineId] - Count line internal ID (omit for a missing tally)
+     * @returns {Object} Result with lineId, systemBF, countedBF, varianceBF
+     */
+    const computeLineVariance = (params) => {
+        try {
+            const tally = search.lookupFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: params.tallyId,
+                columns: [TALLY_FIELDS.REMAINING_BF, TALLY_FIELDS.ITEM, TALLY_FIELDS.LOCATION]
+            });
+
+            const systemBF = round(parseFloat(tally[TALLY_FIELDS.REMAINING_BF]) || 0);
+            let lineId = params.lineId;
+            let countedBF = 0;
+
+            if (lineId) {
+                const line = search.lookupFields({
+                    type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+                    id: lineId,
+                    columns: [LINE_FIELDS.COUNTED_BF]
+                });
+                countedBF = round(parseFloat(line[LINE_FIELDS.COUNTED_BF]) || 0);
+            } else {
+                const lineRec = record.create({ type: RECORD_TYPES.INVENTORY_COUNT_LINE });
+                lineRec.setValue({ fieldId: LINE_FIELDS.COUNT, value: params.sessionId });
+                lineRec.setValue({ fieldId: LINE_FIELDS.TALLY, value: params.tallyId });
+                lineRec.setValue({ fieldId: LINE_FIELDS.ITEM, value: getLookupSelect(tally, TALLY_FIELDS.ITEM) });
+                lineRec.setValue({ fieldId: LINE_FIELDS.TALLY_LOCATION, value: getLookupSelect(tally, TALLY_FIELDS.LOCATION) });
+                lineRec.setValue({ fieldId: LINE_FIELDS.COUNTED_BF, value: 0 });
+                lineRec.setValue({ fieldId: LINE_FIELDS.NOTES, value: 'Not found in full count' });
+                lineId = lineRec.save({ ignoreMandatoryFields: true });
+            }
+
+            const varianceBF = round(countedBF - systemBF);
+            let variancePct = 0;
+
+            if (systemBF > 0) {
+                variancePct = BFCalculator.roundTo((varianceBF / systemBF) * 100, Constants.PRECISION.PERCENTAGE);
+            } else if (countedBF > 0) {
+                variancePct = 100;
+            }
+
+            record.submitFields({
+                type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+                id: lineId,
+                values: {
+                    [LINE_FIELDS.SYSTEM_BF]: systemBF,
+                    [LINE_FIELDS.VARIANCE_BF]: varianceBF,
+                    [LINE_FIELDS.VARIANCE_PCT]: variancePct
+                }
+            });
+
+            return { success: true, lineId, systemBF, countedBF, varianceBF };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Count Service - computeLineVariance',
+                details: `Tally ${params.tallyId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Total a session's count lines and hand it to the supervisor
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {Object} Result with systemBF, countedBF, varianceBF
+     */
+    const completeVarianceRun = (sessionId) => {
+        const totals = { systemBF: 0, countedBF: 0, varianceBF: 0 };
+
+        search.create({
+            type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+            filters: [[LINE_FIELDS.COUNT, 'anyof', sessionId]],
+            columns: [
+                search.createColumn({ name: LINE_FIELDS.SYSTEM_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: LINE_FIELDS.COUNTED_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: LINE_FIELDS.VARIANCE_BF, summary: search.Summary.SUM })
+            ]
+        }).run().each((result) => {
+            totals.systemBF = round(parseFloat(result.getValue({ name: LINE_FIELDS.SYSTEM_BF, summary: search.Summary.SUM })) || 0);
+            totals.countedBF = round(parseFloat(result.getValue({ name: LINE_FIELDS.COUNTED_BF, summary: search.Summary.SUM })) || 0);
+            totals.varianceBF = round(parseFloat(result.getValue({ name: LINE_FIELDS.VARIANCE_BF, summary: search.Summary.SUM })) || 0);
+            return false;
+        });
+
+        record.submitFields({
+            type: RECORD_TYPES.INVENTORY_COUNT,
+            id: sessionId,
+            values: {
+                [COUNT_FIELDS.SYSTEM_BF]: totals.systemBF,
+                [COUNT_FIELDS.COUNTED_BF]: totals.countedBF,
+                [COUNT_FIELDS.VARIANCE_BF]: totals.varianceBF,
+                [COUNT_FIELDS.STATUS]: COUNT_STATUS.PENDING_APPROVAL
+            }
+        });
+
+        return Object.assign({ success: true }, totals);
+    };
+
+    /**
+     * Summarize a session's unposted variances by item
+     * These are the inventory adjustment lines proposed for approval.
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {Array<Object>} { itemId, itemName, systemBF, countedBF, varianceBF, tallyCount }
+     */
+    const getProposedAdjustments = (sessionId) => {
+        const adjustments = [];
+
+        search.create({
+            type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+            filters: [
+                [LINE_FIELDS.COUNT, 'anyof', sessionId],
+                'AND',
+                [LINE_FIELDS.POSTED, 'is', 'F'],
+                'AND',
+                [
+                    [LINE_FIELDS.VARIANCE_BF, 'greaterthan', VARIANCE_TOLERANCE],
+                    'OR',
+                    [LINE_FIELDS.VARIANCE_BF, 'lessthan', -VARIANCE_TOLERANCE]
+                ]
+            ],
+            columns: [
+                search.createColumn({ name: LINE_FIELDS.ITEM, summary: search.Summary.GROUP }),
+                search.createColumn({ name: LINE_FIELDS.SYSTEM_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: LINE_FIELDS.COUNTED_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: LINE_FIELDS.VARIANCE_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
+            ]
+        }).run().each((result) => {
+            const varianceBF = round(parseFloat(result.getValue({ name: LINE_FIELDS.VARIANCE_BF, summary: search.Summary.SUM })) || 0);
+
+            if (Math.abs(varianceBF) >= VARIANCE_TOLERANCE) {
+                adjustments.push({
+                    itemId: result.getValue({ name: LINE_FIELDS.ITEM, summary: search.Summary.GROUP }),
+                    itemName: result.getText({ name: LINE_FIELDS.ITEM, summary: search.Summary.GROUP }),
+                    systemBF: round(parseFloat(result.getValue({ name: LINE_FIELDS.SYSTEM_BF, summary: search.Summary.SUM })) || 0),
+                    countedBF: round(parseFloat(result.getValue({ name: LINE_FIELDS.COUNTED_BF, summary: search.Summary.SUM })) || 0),
+                    varianceBF,
+                    tallyCount: parseInt(result.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
+                });
+            }
+            return true;
+        });
+
+        return adjustments;
+    };
+
+    /**
+     * Sum the open allocated BF of every tally at a location
+     *
+     * @param {string} locationId - Location internal ID
+     * @returns {Object} Allocated BF keyed by tally ID
+     */
+    const getAllocatedBFByTally = (locationId) => {
+        const ALLOC_FIELDS = Constants.TALLY_ALLOC_FIELDS;
+        const allocatedByTally = {};
+
+        search.create({
+            type: RECORD_TYPES.TALLY_ALLOCATION,
+            filters: [
+                [ALLOC_FIELDS.STATUS, 'anyof', Constants.TALLY_ALLOC_STATUS.ALLOCATED],
+                'AND',
+                [`${ALLOC_FIELDS.TALLY_SHEET}.${TALLY_FIELDS.LOCATION}`, 'anyof', locationId]
+            ],
+            columns: [
+                search.createColumn({ name: ALLOC_FIELDS.TALLY_SHEET, summary: search.Summary.GROUP }),
+                search.createColumn({ name: ALLOC_FIELDS.ALLOCATED_BF, summary: search.Summary.SUM })
+            ]
+        }).run().each((result) => {
+            const tallyId = result.getValue({ name: ALLOC_FIELDS.TALLY_SHEET, summary: search.Summary.GROUP });
+            allocatedByTally[tallyId] = parseFloat(result.getValue({
+                name: ALLOC_FIELDS.ALLOCATED_BF,
+                summary: search.Summary.SUM
+            })) || 0;
+            return true;
+        });
+
+        return allocatedByTally;
+    };
+
+    /**
+     * Create the inventory adjustment for a session's proposed adjustments
+     * Each line adjusts by the item's variance converted to its stock unit.
+     *
+     * @param {Object} session - Session details
+     * @param {Array<Object>} adjustments - From getProposedAdjustments
+     * @param {string} accountId - Adjustment account
+     * @returns {number} Inventory adjustment internal ID
+     */
+    const createInventoryAdjustment = (session, adjustments, accountId) => {
+        const adjustmentRec = record.create({
+            type: record.Type.INVENTORY_ADJUSTMENT,
+            isDynamic: true
+        });
+
+        if (runtime.isFeatureInEffect({ feature: 'SUBSIDIARIES' })) {
+            const location = search.lookupFields({
+                type: search.Type.LOCATION,
+                id: session.locationId,
+                columns: ['subsidiary']
+            });
+            adjustmentRec.setValue({ fieldId: 'subsidiary', value: getLookupSelect(location, 'subsidiary') });
+        }
+
+        adjustmentRec.setValue({ fieldId: 'account', value: accountId });
+        adjustmentRec.setValue({ fieldId: 'adjlocation', value: session.locationId });
+        adjustmentRec.setValue({ fieldId: 'memo', value: `Physical count ${session.name}` });
+
+        adjustments.forEach((adjustment) => {
+            const stockUnit = ConversionEngine.getStockUnitBF(adjustment.itemId);
+
+            if (!stockUnit.isValid) {
+                throw new Error(`${adjustment.itemName}: ${stockUnit.error}`);
+            }
+
+            adjustmentRec.selectNewLine({ sublistId: 'inventory' });
+            adjustmentRec.setCurrentSublistValue({ sublistId: 'inventory', fieldId: 'item', value: adjustment.itemId });
+            adjustmentRec.setCurrentSublistValue({ sublistId: 'inventory', fieldId: 'location', value: session.locationId });
+            adjustmentRec.setCurrentSublistValue({ sublistId: 'inventory', fieldId: 'adjustqtyby', value: round(adjustment.varianceBF / stockUnit.bfPerUnit) });
+            adjustmentRec.commitLine({ sublistId: 'inventory' });
+        });
+
+        return adjustmentRec.save({ ignoreMandatoryFields: true });
+    };
+
+    /**
+     * Post an approved session
+     * Creates the inventory adjustment, then applies each line's variance to
+     * its tally. Variances are applied to the tally's current balance, so
+     * activity since the count was taken is preserved; a tally consumed or
+     * closed since then keeps its status. A failure before the adjustment is
+     * saved returns the session to Pending Approval.
+     *
+     * @param {number} sessionId - Inventory count internal ID
+     * @returns {Object} Result with adjustmentId, adjustedTallies, varianceBF
+     */
+    const postSession = (sessionId) => {
+        const session = getSession(sessionId);
+
+        if (!session || session.status !== COUNT_STATUS.APPROVED) {
+            return { success: false, error: `Count session ${sessionId} is not approved` };
+        }
+
+        let adjustmentId = session.adjustmentId;
+
+        try {
+            const adjustments = getProposedAdjustments(sessionId);
+
+            if (adjustments.length > 0 && !adjustmentId) {
+                const accountId = SettingsDAO.getCountAdjustmentAccount();
+
+                if (!accountId) {
+                    throw new Error('Set the Count Adjustment Account in LumberSuite settings');
+                }
+
+                adjustmentId = createInventoryAdjustment(session, adjustments, accountId);
+
+                // Link immediately so a retry never posts the adjustment twice
+                record.submitFields({
+                    type: RECORD_TYPES.INVENTORY_COUNT,
+                    id: sessionId,
+                    values: { [COUNT_FIELDS.ADJUSTMENT]: adjustmentId }
+                });
+            }
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Count Service - postSession',
+                details: `Count ${sessionId}: ${e.message}`
+            });
+
+            record.submitFields({
+                type: RECORD_TYPES.INVENTORY_COUNT,
+                id: sessionId,
+                values: {
+                    [COUNT_FIELDS.STATUS]: COUNT_STATUS.PENDING_APPROVAL,
+                    [COUNT_FIELDS.NOTES]: appendNote(session, `Posting failed: ${e.message}`)
+                }
+            });
+
+            return { success: false, error: e.message };
+        }
+
+        const allocatedByTally = getAllocatedBFByTally(session.locationId);
+        let adjustedTallies = 0;
+        let varianceBF = 0;
+
+        getSessionLines(sessionId, { unpostedVariancesOnly: true }).forEach((line) => {
+            const tally = search.lookupFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: line.tallyId,
+                columns: [TALLY_FIELDS.REMAINING_BF, TALLY_FIELDS.STATUS]
+            });
+
+            const currentStatus = getLookupSelect(tally, TALLY_FIELDS.STATUS);
+            const remainingBF = Math.max(0, round((parseFloat(tally[TALLY_FIELDS.REMAINING_BF]) || 0) + line.varianceBF));
+            let status = TALLY_STATUS.OPEN;
+
+            if (currentStatus === TALLY_STATUS.CONSUMED || currentStatus === TALLY_STATUS.CLOSED) {
+                status = currentStatus;
+                log.audit({
+                    title: 'CLS Count Service - postSession',
+                    details: `Count ${sessionId}: tally ${line.tallyId} is no longer open; ` +
+                        `variance ${line.varianceBF} BF recorded without reopening it`
+                });
+            } else if (remainingBF <= 0) {
+                status = TALLY_STATUS.CONSUMED;
+            } else if (allocatedByTally[line.tallyId] > 0) {
+                status = TALLY_STATUS.ALLOCATED;
+            }
+
+            record.submitFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: line.tallyId,
+                values: {
+                    [TALLY_FIELDS.REMAINING_BF]: remainingBF,
+                    [TALLY_FIELDS.STATUS]: status
+                }
+            });
+
+            record.submitFields({
+                type: RECORD_TYPES.INVENTORY_COUNT_LINE,
+                id: line.lineId,
+                values: { [LINE_FIELDS.POSTED]: true }
+            });
+
+            adjustedTallies++;
+            varianceBF += line.varianceBF;
+        });
+
+        record.submitFields({
+            type: RECORD_TYPES.INVENTORY_COUNT,
+            id: sessionId,
+            values: { [COUNT_FIELDS.STATUS]: COUNT_STATUS.POSTED }
+        });
+
+        return { success: true, adjustmentId, adjustedTallies, varianceBF: round(varianceBF) };
+    };
+
+    return {
+        // Sessions
+        getSession,
+        getCountingSessions,
+        getSessionLines,
+        getProposedAdjustments,
+
+        // Counting
+        recordCount,
+        resolveCountedBF,
+
+        // Workflow
+        submitSession,
+        approveSession,
+        reopenSession,
+        canApprove,
+        queueReconciliation,
+
+        // Reconciliation (count reconciliation MR)
+        computeLineVariance,
+        completeVarianceRun,
+        postSession
+    };
+});
@@ -12,6 +12,11 @@
  * 3. Item master defaults (custitem_cls_nominal_*)
  * 4. System defaults
  *
+ * Results carry both nominal and actual (dressed) dimension sets. Item
+ * actual thickness/width (custitem_cls_actual_*) default to nominal when blank.
+ * Line dimensions that match the item's nominal size dress to its actual
+ * size; other line and tally dimensions are measured and treated as actual.
+ *
  * @copyright Consule LLC
  * @author Consule Development Team
  * @version 1.0.0
@@ -20,12 +25,16 @@ define([
     'N/search',
     'N/record',
     './cls_constants',
-    './cls_settings_dao'
-], (search, record, Constants, SettingsDAO) => {
+    './cls_settings_dao',
+    './cls_bf_calculator',
+    './cls_pricing_service'
+], (search, record, Constants, SettingsDAO, BFCalculator, PricingService) => {
 
     const ITEM_FIELDS = Constants.ITEM_FIELDS;
     const LINE_FIELDS = Constants.LINE_FIELDS;
     const TALLY_FIELDS = Constants.TALLY_FIELDS;
+    const DIMENSION_BASIS = Constants.DIMENSION_BASIS;
+    const DIMENSION_UNITS = Constants.DIMENSION_UNITS;
     const DEFAULTS = Constants.DEFAULTS;
 
     /**
@@ -35,6 +44,9 @@ define([
      * @property {number} width - Width in inches
      * @property {number} length - Length in feet
      * @property {number} piecesPerBundle - Pieces per bundle
+     * @property {Object} nominal - Nominal dimensions { thickness, width, length }
+     * @property {Object} actual - Actual dressed dimensions { thickness, width, length }
+     * @property {boolean} isDressed - Whether actual dimensions differ from nominal
      * @property {string} source - Source of dimensions (line|tally|item|default)
      * @property {boolean} isComplete - Whether all dimensions are present
      * @property {boolean} isValid - Whether dimensions are valid
@@ -64,9 +76,95 @@ define([
         return typeof value === 'number' && !isNaN(value) && value > 0;
     };
 
+    /**
+     * Attach nominal and actual dimension sets to a result
+     * Actual thickness/width fall back to the resolved values; surfacing
+     * does not change length
+     *
+     * @param {DimensionResult} result - Result with resolved thickness/width/length
+     * @param {number} [actualThickness] - Actual dressed thickness
+     * @param {number} [actualWidth] - Actual dressed width
+     * @returns {DimensionResult}
+     */
+    const applyDimensionSets = (result, actualThickness, actualWidth) => {
+        result.nominal = {
+            thickness: result.thickness,
+            width: result.width,
+            length: result.length
+        };
+        result.actual = {
+            thickness: isValidDimension(actualThickness) ? actualThickness : result.thickness,
+            width: isValidDimension(actualWidth) ? actualWidth : result.width,
+            length: result.length
+        };
+        result.isDressed = result.actual.thickness !== result.nominal.thickness ||
+                           result.actual.width !== result.nominal.width;
+        return result;
+    };
+
+    /**
+     * Get the unit a transaction line's dimensions were keyed in
+     *
+     * @param {Object} params - Parameters
+     * @param {Record} params.record - NetSuite record object
+     * @param {number} params.lineNum - Line number
+     * @param {string} [params.sublistId='item'] - Sublist ID
+     * @returns {string} DIMENSION_UNITS.METRIC when the line is flagged in mm, otherwise IMPERIAL
+     */
+    const getLineDimensionUnit = (params) => {
+        const { record: rec, lineNum, sublistId = 'item' } = params;
+        try {
+            const inMM = rec.getSublistValue({
+                sublistId: sublistId,
+                fieldId: LINE_FIELDS.DIMS_IN_MM,
+                line: lineNum
+            });
+            return (inMM === true || inMM === 'T') ? DIMENSION_UNITS.METRIC : DIMENSION_UNITS.IMPERIAL;
+        } catch (e) {
+            return DIMENSION_UNITS.IMPERIAL;
+        }
+    };
+
+    /**
+     * Read a transaction line's dimension overrides in inches/feet
+     * Lines keyed in millimetres are converted; blank fields read as 0.
+     *
+     * @param {Object} params - Parameters
+     * @param {Record} params.record - NetSuite record object
+     * @param {number} params.lineNum - Line number
+     * @param {string} [params.sublistId='item'] - Sublist ID
+     * @returns {Object} { thickness (in), width (in), length (ft) }
+     */
+    const getLineDimensions = (params) => {
+        const { record: rec, lineNum, sublistId = 'item' } = params;
+
+        const dims = {
+            thickness: parseNumeric(rec.getSublistValue({
+                sublistId: sublistId,
+                fieldId: LINE_FIELDS.DIM_THICKNESS,
+                line: lineNum
+            })),
+            width: parseNumeric(rec.getSublistValue({
+                sublistId: sublistId,
+                fieldId: LINE_FIELDS.DIM_WIDTH,
+                line: lineNum
+            })),
+            length: parseNumeric(rec.getSublistValue({
+                sublistId: sublistId,
+                fieldId: LINE_FIELDS.DIM_LENGTH,
+                line: lineNum
+            }))
+        };
+
+        return getLineDimensionUnit(params) === DIMENSION_UNITS.METRIC
+            ? BFCalculator.convertMetricDimensions(dims)
+            : dims;
+    };
+
     /**
      * Resolve dimensions from a transaction line
-     * Checks line overrides first, then falls back to item defaults
+     * Checks line overrides first, then falls back to item defaults.
+     * Lines flagged in millimetres are converted, so results are always in inches/feet.
      *
      * @param {Object} params - Parameters
      * @param {Record} params.record - NetSuite record object
@@ -96,23 +194,7 @@ define([
 
         try {
             // Try line-level overrides first
-            let thickness = parseNumeric(rec.getSublistValue({
-                sublistId: sublistId,
-                fieldId: LINE_FIELDS.DIM_THICKNESS,
-                line: lineNum
-            }));
-
-            let width = parseNumeric(rec.getSublistValue({
-                sublistId: sublistId,
-                fieldId: LINE_FIELDS.DIM_WIDTH,
-                line: lineNum
-            }));
-
-            let length = parseNumeric(rec.getSublistValue({
-                sublistId: sublistId,
-                fieldId: LINE_FIELDS.DIM_LENGTH,
-                line: lineNum
-            }));
+            const { thickness, width, length } = getLineDimensions({ record: rec, lineNum, sublistId });
 
             // Check if we have complete line overrides
             if (isValidDimension(thickness) && isValidDimension(width) && isValidDimension(length)) {
@@ -130,11 +212,9 @@ define([
                     line: lineNum
                 }), 1);
                 result.piecesPerBundle = piecesPerBundle > 0 ? piecesPerBundle : 1;
-
-                return result;
             }
 
-            // Need to fall back to item - get item ID if not provided
+            // Need the item for defaults and its dressed size - get item ID if not provided
             let resolvedItemId = itemId;
             if (!resolvedItemId) {
                 resolvedItemId = rec.getSublistValue({
@@ -144,6 +224,19 @@ define([
                 });
             }
 
+            if (result.isComplete) {
+                if (!resolvedItemId) {
+                    // Measured line dimensions are both nominal and actual
+                    return applyDimensionSets(result);
+                }
+
+                const lineItemDims = getItemDimensions(resolvedItemId);
+                const dressed = BFCalculator.resolveDressedDimensions(
+                    result, lineItemDims.nominal, lineItemDims.actual
+                );
+                return applyDimensionSets(result, dressed.thickness, dressed.width);
+            }
+
             if (!resolvedItemId) {
                 result.error = 'No item specified on line';
                 return result;
@@ -170,6 +263,11 @@ define([
                                isValidDimension(result.length);
             result.isValid = result.isComplete;
 
+            const dressed = BFCalculator.resolveDressedDimensions(
+                { thickness, width }, itemDims.nominal, itemDims.actual
+            );
+            applyDimensionSets(result, dressed.thickness, dressed.width);
+
             if (!result.isComplete) {
                 const missing = [];
                 if (!isValidDimension(result.thickness)) missing.push('thickness');
@@ -203,6 +301,7 @@ define([
             isValid: false,
             isLumber: false,
             allowDynamicDims: false,
+            pricingBasis: null,
             species: null,
             grade: null,
             error: null
@@ -219,6 +318,9 @@ define([
                 ITEM_FIELDS.NOMINAL_THICKNESS,
                 ITEM_FIELDS.NOMINAL_WIDTH,
                 ITEM_FIELDS.NOMINAL_LENGTH,
+                ITEM_FIELDS.ACTUAL_THICKNESS,
+                ITEM_FIELDS.ACTUAL_WIDTH,
+                ITEM_FIELDS.PRICING_BASIS,
                 ITEM_FIELDS.PIECES_PER_BUNDLE,
                 ITEM_FIELDS.ALLOW_DYNAMIC_DIMS,
                 ITEM_FIELDS.SPECIES,
@@ -246,6 +348,9 @@ define([
             if (lookupResult[ITEM_FIELDS.GRADE] && lookupResult[ITEM_FIELDS.GRADE].length > 0) {
                 result.grade = lookupResult[ITEM_FIELDS.GRADE][0].value;
             }
+            if (lookupResult[ITEM_FIELDS.PRICING_BASIS] && lookupResult[ITEM_FIELDS.PRICING_BASIS].length > 0) {
+                result.pricingBasis = lookupResult[ITEM_FIELDS.PRICING_BASIS][0].value;
+            }
 
             result.source = 'item';
             result.isComplete = isValidDimension(result.thickness) &&
@@ -253,7 +358,11 @@ define([
                                isValidDimension(result.length);
             result.isValid = result.isComplete;
 
-            return result;
+            return applyDimensionSets(
+                result,
+                parseNumeric(lookupResult[ITEM_FIELDS.ACTUAL_THICKNESS]),
+                parseNumeric(lookupResult[ITEM_FIELDS.ACTUAL_WIDTH])
+            );
 
         } catch (e) {
             result.error = `Error loading item dimensions: ${e.message}`;
@@ -262,7 +371,7 @@ define([
             result.width = DEFAULTS.WIDTH;
             result.length = DEFAULTS.LENGTH;
             result.source = 'default';
-            return result;
+            return applyDimensionSets(result);
         }
     };
 
@@ -310,11 +419,17 @@ define([
             result.length = parseNumeric(lookupResult[TALLY_FIELDS.LENGTH]);
             result.piecesPerBundle = parseNumeric(lookupResult[TALLY_FIELDS.PIECES], 1) || 1;
 
+            // Tally dimensions are measured, so they stand as actual
+            let actualThickness = result.thickness;
+            let actualWidth = result.width;
+
             // If tally doesn't have dimensions, fall back to item
             if (!isValidDimension(result.thickness) || !isValidDimension(result.width) || !isValidDimension(result.length)) {
                 const itemField = lookupResult[TALLY_FIELDS.ITEM];
                 if (itemField && itemField.length > 0) {
                     const itemDims = getItemDimensions(itemField[0].value);
+                    actualThickness = isValidDimension(result.thickness) ? result.thickness : itemDims.actual.thickness;
+                    actualWidth = isValidDimension(result.width) ? result.width : itemDims.actual.width;
                     result.thickness = isValidDimension(result.thickness) ? result.thickness : itemDims.thickness;
                     result.width = isValidDimension(result.width) ? result.width : itemDims.width;
                     result.length = isValidDimension(result.length) ? result.length : itemDims.length;
@@ -329,6 +444,8 @@ define([
                                isValidDimension(result.length);
             result.isValid = result.isComplete;
 
+            applyDimensionSets(result, actualThickness, actualWidth);
+
             // Store additional tally info
             result.tallyInfo = {
                 grade: lookupResult[TALLY_FIELDS.GRADE],
@@ -373,6 +490,8 @@ define([
         let width = DEFAULTS.WIDTH;
         let length = DEFAULTS.LENGTH;
         let piecesPerBundle = 1;
+        let actualThickness = null;
+        let actualWidth = null;
         let source = 'default';
 
         // Layer 1: Item defaults
@@ -383,6 +502,8 @@ define([
                 width = itemDims.width;
                 length = itemDims.length;
                 piecesPerBundle = itemDims.piecesPerBundle;
+                actualThickness = itemDims.actual.thickness;
+                actualWidth = itemDims.actual.width;
                 source = 'item';
                 result.resolutionPath.push('item');
             }
@@ -393,10 +514,12 @@ define([
             const tallyDims = getTallyDimensions(tallyId);
             if (isValidDimension(tallyDims.thickness)) {
                 thickness = tallyDims.thickness;
+                actualThickness = tallyDims.actual.thickness;
                 source = 'tally';
             }
             if (isValidDimension(tallyDims.width)) {
                 width = tallyDims.width;
+                actualWidth = tallyDims.actual.width;
                 source = 'tally';
             }
             if (isValidDimension(tallyDims.length)) {
@@ -415,10 +538,12 @@ define([
         if (lineOverrides) {
             if (isValidDimension(lineOverrides.thickness)) {
                 thickness = lineOverrides.thickness;
+                actualThickness = lineOverrides.thickness;
                 source = 'line';
             }
             if (isValidDimension(lineOverrides.width)) {
                 width = lineOverrides.width;
+                actualWidth = lineOverrides.width;
                 source = 'line';
             }
             if (isValidDimension(lineOverrides.length)) {
@@ -441,7 +566,30 @@ define([
         result.isComplete = isValidDimension(thickness) && isValidDimension(width) && isValidDimension(length);
         result.isValid = result.isComplete;
 
-        return result;
+        return applyDimensionSets(result, actualThickness, actualWidth);
+    };
+
+    /**
+     * Resolve the dimension basis used for pricing
+     * Priority: customer setting → item setting → nominal
+     *
+     * @param {Object} params - Parameters
+     * @param {number} [params.customerId] - Customer internal ID
+     * @param {number} [params.itemId] - Item internal ID
+     * @param {string} [params.itemBasis] - Item pricing basis, if already loaded
+     * @returns {string} Dimension basis value (DIMENSION_BASIS)
+     */
+    const resolvePricingBasis = (params) => {
+        const { customerId, itemId } = params;
+
+        const customerBasis = PricingService.getCustomerPricingBasis(customerId);
+        if (customerBasis) return customerBasis;
+
+        const itemBasis = params.itemBasis !== undefined
+            ? params.itemBasis
+            : getItemDimensions(itemId).pricingBasis;
+
+        return itemBasis || DIMENSION_BASIS.NOMINAL;
     };
 
     /**
@@ -560,11 +708,14 @@ define([
         // Primary resolution functions
         resolveFromTransactionLine,
         resolveWithFallback,
+        resolvePricingBasis,
 
         // Source-specific getters
         getItemDimensions,
         getTallyDimensions,
         getSystemDefaults,
+        getLineDimensionUnit,
+        getLineDimensions,
 
         // Item checks
         isLumberItem,
@@ -0,0 +1,445 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_grading_engine
+ *
+ * Consule LumberSuite™ - NHLA Hardwood Grading Engine
+ * Evaluates a board against NHLA grade rules from its dimensions,
+ * clear-face cuttings and defects
+ *
+ * Cutting Units:
+ * A cutting unit is 1" wide × 1' long. A board has SM × 12 units;
+ * each grade requires a minimum share of them in clear-face cuttings.
+ *
+ * Grade Order (highest first):
+ * FAS → F1F → Selects → No.1 Common → No.2A Common → No.3A Common → Below Grade
+ *
+ * Face grades are evaluated on each face. Commons are graded from the poor face;
+ * F1F and Selects need an FAS-quality best face and a No.1 Common poor face.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/search',
+    './cls_constants',
+    './cls_bf_calculator'
+], (search, Constants, BFCalculator) => {
+
+    const NHLA_GRADES = Constants.NHLA_GRADES;
+    const GRADE_FIELDS = Constants.GRADE_FIELDS;
+    const PRECISION = Constants.PRECISION;
+
+    const UNITS_PER_SM = 12;
+
+    /**
+     * Grade rank, higher is better
+     */
+    const GRADE_RANK = {
+        [NHLA_GRADES.FAS]: 6,
+        [NHLA_GRADES.F1F]: 5,
+        [NHLA_GRADES.SELECTS]: 4,
+        [NHLA_GRADES.NO1_COMMON]: 3,
+        [NHLA_GRADES.NO2A_COMMON]: 2,
+        [NHLA_GRADES.NO3A_COMMON]: 1,
+        [NHLA_GRADES.BELOW_GRADE]: 0
+    };
+
+    const GRADE_LABELS = {
+        [NHLA_GRADES.FAS]: 'FAS',
+        [NHLA_GRADES.F1F]: 'FAS One Face',
+        [NHLA_GRADES.SELECTS]: 'Selects',
+        [NHLA_GRADES.NO1_COMMON]: 'No.1 Common',
+        [NHLA_GRADES.NO2A_COMMON]: 'No.2A Common',
+        [NHLA_GRADES.NO3A_COMMON]: 'No.3A Common',
+        [NHLA_GRADES.BELOW_GRADE]: 'Below Grade'
+    };
+
+    /**
+     * Face grade rules, highest first
+     * yieldTwelfths: clear cutting units required per SM
+     * maxCuttings: number of cuttings allowed for a given SM (null = unlimited)
+     * minCuttings: smallest cutting sizes that count ({ width in, length ft })
+     * clearUpToSM: boards at or below this SM must be clear in one cutting
+     * limitsDefects: split and wane limits apply
+     */
+    const FACE_RULES = [
+        {
+            grade: NHLA_GRADES.FAS,
+            minWidth: 6,
+            minLength: 8,
+            yieldTwelfths: 10,
+            maxCuttings: (sm) => Math.min(Math.max(Math.floor(sm / 4), 1), 4),
+            minCuttings: [{ width: 4, length: 5 }, { width: 3, length: 7 }],
+            limitsDefects: true
+        },
+        {
+            grade: NHLA_GRADES.NO1_COMMON,
+            minWidth: 3,
+            minLength: 4,
+            yieldTwelfths: 8,
+            maxCuttings: (sm) => Math.min(Math.max(Math.floor((sm + 1) / 3), 1), 5),
+            minCuttings: [{ width: 4, length: 2 }, { width: 3, length: 3 }],
+            clearUpToSM: 2
+        },
+        {
+            grade: NHLA_GRADES.NO2A_COMMON,
+            minWidth: 3,
+            minLength: 4,
+            yieldTwelfths: 6,
+            maxCuttings: (sm) => Math.min(Math.max(Math.floor(sm / 2), 1), 7),
+            minCuttings: [{ width: 3, length: 2 }]
+        },
+        {
+            grade: NHLA_GRADES.NO3A_COMMON,
+            minWidth: 3,
+            minLength: 4,
+            yieldTwelfths: 4,
+            maxCuttings: () => null,
+            minCuttings: [{ width: 3, length: 2 }]
+        }
+    ];
+
+    /**
+     * Selects best-face rule: FAS yield on a smaller board
+     * Boards 4"-5" wide and 6'-7' long must be clear
+     */
+    const SELECTS_RULE = {
+        grade: NHLA_GRADES.SELECTS,
+        minWidth: 4,
+        minLength: 6,
+        yieldTwelfths: 10,
+        maxCuttings: (sm) => Math.min(Math.max(Math.floor(sm / 4), 1), 4),
+        minCuttings: [{ width: 4, length: 5 }, { width: 3, length: 7 }],
+        limitsDefects: true
+    };
+
+    // Grade record lookup cache, scoped to a single script execution
+    const gradeIdCache = {};
+
+    /**
+     * Check whether a cutting meets any of a rule's minimum sizes
+     *
+     * @param {Object} cutting - { width, length }
+     * @param {Array<Object>} minCuttings - Minimum sizes
+     * @returns {boolean}
+     */
+    const meetsMinCutting = (cutting, minCuttings) => {
+        return minCuttings.some((min) => cutting.width >= min.width && cutting.length >= min.length);
+    };
+
+    /**
+     * Measure the clear-face cuttings that count toward a rule
+     * Cuttings may be listed individually, or given as a unit total and count
+     *
+     * @param {Object} face - { cuttings: [{ width, length }] } or { cuttingUnits, cuttingCount }
+     * @param {Object} rule - Face grade rule
+     * @param {number} sm - Board surface measure
+     * @returns {Object} { units, count, withinLimit }
+     */
+    const measureCuttings = (face, rule, sm) => {
+        const maxCuttings = rule.maxCuttings(sm);
+
+        if (Array.isArray(face.cuttings)) {
+            const qualifying = face.cuttings
+                .map((c) => ({ width: parseFloat(c.width) || 0, length: parseFloat(c.length) || 0 }))
+                .filter((c) => meetsMinCutting(c, rule.minCuttings))
+                .sort((a, b) => (b.width * b.length) - (a.width * a.length));
+
+            const counted = maxCuttings === null ? qualifying : qualifying.slice(0, maxCuttings);
+
+            return {
+                units: counted.reduce((sum, c) => sum + c.width * c.length, 0),
+                count: counted.length,
+                withinLimit: true
+            };
+        }
+
+        const units = parseFloat(face.cuttingUnits) || 0;
+        const count = parseInt(face.cuttingCount, 10) || (units > 0 ? 1 : 0);
+
+        return {
+            units: units,
+            count: count,
+            withinLimit: maxCuttings === null || count <= maxCuttings
+        };
+    };
+
+    /**
+     * Check a face against a single grade rule
+     *
+     * @param {Object} board - { width, length, sm, defects }
+     * @param {Object} face - Face cuttings
+     * @param {Object} rule - Face grade rule
+     * @returns {Object} { passes, reason }
+     */
+    const checkFaceRule = (board, face, rule) => {
+        const label = GRADE_LABELS[rule.grade];
+
+        if (board.width < rule.minWidth || board.length < rule.minLength) {
+            return { passes: false, reason: `${label}: board under ${rule.minWidth}" × ${rule.minLength}'` };
+        }
+
+        if (rule.limitsDefects) {
+            const defects = board.defects || {};
+            const splitInches = parseFloat(defects.splitInches) || 0;
+            const wanePct = parseFloat(defects.waneLengthPct) || 0;
+
+            if (splitInches > board.sm * 2) {
+                return { passes: false, reason: `${label}: split exceeds ${board.sm * 2}"` };
+            }
+            if (wanePct > 50) {
+                return { passes: false, reason: `${label}: wane exceeds half the length` };
+            }
+        }
+
+        const measured = measureCuttings(face, rule, board.sm);
+
+        if (!measured.withinLimit) {
+            return { passes: false, reason: `${label}: more than ${rule.maxCuttings(board.sm)} cuttings` };
+        }
+
+        const mustBeClear = rule.clearUpToSM && board.sm <= rule.clearUpToSM;
+        const requiredUnits = mustBeClear
+            ? board.sm * UNITS_PER_SM
+            : board.sm * rule.yieldTwelfths;
+
+        if (mustBeClear && measured.count > 1) {
+            return { passes: false, reason: `${label}: ${board.sm} SM board must be clear` };
+        }
+
+        if (measured.units < requiredUnits) {
+            return {
+                passes: false,
+                reason: `${label}: ${BFCalculator.roundTo(measured.units, 2)} of ${requiredUnits} cutting units`
+            };
+        }
+
+        return { passes: true, reason: null };
+    };
+
+    /**
+     * Determine the highest face grade a face qualifies for
+     *
+     * @param {Object} board - { width, length, sm, defects }
+     * @param {Object} face - Face cuttings
+     * @param {Array<string>} reasons - Collects rejection reasons
+     * @returns {string} Face grade code
+     */
+    const gradeFace = (board, face, reasons) => {
+        for (const rule of FACE_RULES) {
+            const check = checkFaceRule(board, face, rule);
+            if (check.passes) return rule.grade;
+            reasons.push(check.reason);
+        }
+        return NHLA_GRADES.BELOW_GRADE;
+    };
+
+    /**
+     * Compare two grade codes
+     *
+     * @param {string} a - Grade code
+     * @param {string} b - Grade code
+     * @returns {number} Positive if a is higher than b, negative if lower, 0 if equal
+     */
+    const compareGrades = (a, b) => {
+        return (GRADE_RANK[a] || 0) - (GRADE_RANK[b] || 0);
+    };
+
+    /**
+     * Check whether a grade meets or exceeds a target grade
+     *
+     * @param {string} grade - Grade code
+     * @param {string} targetGrade - Target grade code
+     * @returns {boolean}
+     */
+    const meetsGrade = (grade, targetGrade) => {
+        return compareGrades(grade, targetGrade) >= 0;
+    };
+
+    /**
+     * Grade a board against NHLA rules
+     *
+     * @param {Object} params - Board parameters
+     * @param {number} params.width - Board width in inches
+     * @param {number} params.length - Board length in feet
+     * @param {Object} params.poorFace - Poor face clear cuttings:
+     *     { cuttings: [{ width, length }] } or { cuttingUnits, cuttingCount }
+     * @param {Object} [params.bestFace] - Best face clear cuttings (defaults to poor face,
+     *     which rules out F1F)
+     * @param {Object} [params.defects] - { splitInches, waneLengthPct }
+     * @returns {Object} { isValid, grade, gradeLabel, surfaceMeasure, totalUnits, cuttingUnits,
+     *     cuttingYield, faceGrades, reasons, error }
+     */
+    const gradeBoard = (params) => {
+        const result = {
+            isValid: false,
+            grade: NHLA_GRADES.BELOW_GRADE,
+            gradeLabel: GRADE_LABELS[NHLA_GRADES.BELOW_GRADE],
+            surfaceMeasure: 0,
+            totalUnits: 0,
+            cuttingUnits: 0,
+            cuttingYield: 0,
+            faceGrades: null,
+            reasons: [],
+            error: null
+        };
+
+        const width = parseFloat(params.width) || 0;
+        const length = Math.floor(parseFloat(params.length) || 0);
+
+        if (width <= 0 || length <= 0) {
+            result.error = 'Board width and length are required';
+            return result;
+        }
+
+        if (!params.poorFace) {
+            result.error = 'Poor face cuttings are required';
+            return result;
+        }
+
+        const sm = BFCalculator.calculateNHLATally({ thickness: 1, width, length }).surfaceMeasure;
+        const board = { width, length, sm, defects: params.defects };
+        const poorFace = params.poorFace;
+        const bestFace = params.bestFace || poorFace;
+
+        const poorGrade = gradeFace(board, poorFace, result.reasons);
+        const bestGrade = params.bestFace ? gradeFace(board, bestFace, []) : poorGrade;
+        const poorIsCommon = meetsGrade(poorGrade, NHLA_GRADES.NO1_COMMON);
+
+        let grade = poorGrade;
+
+        if (bestGrade === NHLA_GRADES.FAS && poorGrade !== NHLA_GRADES.FAS && poorIsCommon) {
+            grade = NHLA_GRADES.F1F;
+        } else if (compareGrades(poorGrade, NHLA_GRADES.SELECTS) < 0 && poorIsCommon &&
+                   checkFaceRule(board, bestFace, SELECTS_RULE).passes) {
+            // Selects: board under FAS size with an FAS-yield best face;
+            // boards under 6" wide and 8' long must have a clear best face
+            const belowFASSize = width < 6 || length < 8;
+            const mustBeClear = width < 6 && length < 8;
+            const isClear = measureCuttings(bestFace, SELECTS_RULE, sm).units >= sm * UNITS_PER_SM;
+            if (belowFASSize && (!mustBeClear || isClear)) {
+                grade = NHLA_GRADES.SELECTS;
+            }
+        }
+
+        const poorMeasured = measureCuttings(poorFace, FACE_RULES[FACE_RULES.length - 1], sm);
+
+        result.isValid = true;
+        result.grade = grade;
+        result.gradeLabel = GRADE_LABELS[grade];
+        result.surfaceMeasure = sm;
+        result.totalUnits = sm * UNITS_PER_SM;
+        result.cuttingUnits = BFCalculator.roundTo(poorMeasured.units, 2);
+        result.cuttingYield = result.totalUnits > 0
+            ? BFCalculator.roundTo(Math.min(poorMeasured.units / result.totalUnits, 1) * 100, PRECISION.PERCENTAGE)
+            : 0;
+        result.faceGrades = { best: bestGrade, poor: poorGrade };
+
+        return result;
+    };
+
+    /**
+     * Build a face from entered clear cutting units
+     *
+     * @param {number|string} cuttingUnits - Clear cutting units on the face
+     * @param {number|string} [cuttingCount] - Number of cuttings
+     * @returns {Object|null} Face cuttings, or null if no units were entered
+     */
+    const buildFace = (cuttingUnits, cuttingCount) => {
+        if (cuttingUnits === '' || cuttingUnits === null || cuttingUnits === undefined) return null;
+        return { cuttingUnits, cuttingCount };
+    };
+
+    /**
+     * Get the lowest grade in a list of grade codes
+     *
+     * @param {Array<string>} grades - Grade codes
+     * @returns {string|null} Lowest grade code, or null if the list is empty
+     */
+    const getLowestGrade = (grades) => {
+        return (grades || []).reduce((lowest, grade) => {
+            if (!grade) return lowest;
+            return lowest === null || compareGrades(grade, lowest) < 0 ? grade : lowest;
+        }, null);
+    };
+
+    /**
+     * Get the display label for a grade code
+     *
+     * @param {string} grade - Grade code
+     * @returns {string} Label
+     */
+    const getGradeLabel = (grade) => {
+        return GRADE_LABELS[grade] || grade || '';
+    };
+
+    /**
+     * Find the grade record for a grade code
+     *
+     * @param {string} gradeCode - Grade code (custrecord_cls_grade_code)
+     * @returns {string|null} Grade record internal ID, or null if not set up
+     */
+    const findGradeId = (gradeCode) => {
+        if (!gradeCode) return null;
+        if (gradeIdCache[gradeCode] !== undefined) return gradeIdCache[gradeCode];
+
+        let gradeId = null;
+        try {
+            const results = search.create({
+                type: Constants.RECORD_TYPES.GRADE,
+                filters: [
+                    [GRADE_FIELDS.CODE, 'is', gradeCode],
+                    'AND',
+                    [GRADE_FIELDS.IS_INACTIVE, 'is', 'F']
+                ],
+                columns: ['internalid']
+            }).run().getRange({ start: 0, end: 1 });
+
+            gradeId = results.length > 0 ? results[0].id : null;
+        } catch (e) {
+            gradeId = null;
+        }
+
+        gradeIdCache[gradeCode] = gradeId;
+        return gradeId;
+    };
+
+    /**
+     * Get the grade code of a grade record
+     *
+     * @param {string|number} gradeId - Grade record internal ID
+     * @returns {string|null} Grade code
+     */
+    const getGradeCode = (gradeId) => {
+        if (!gradeId) return null;
+
+        try {
+            const lookupResult = search.lookupFields({
+                type: Constants.RECORD_TYPES.GRADE,
+                id: gradeId,
+                columns: [GRADE_FIELDS.CODE]
+            });
+            return lookupResult[GRADE_FIELDS.CODE] || null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return {
+        // Grading
+        gradeBoard,
+        buildFace,
+
+        // Grade comparison
+        compareGrades,
+        meetsGrade,
+        getLowestGrade,
+        getGradeLabel,
+
+        // Grade records
+        findGradeId,
+        getGradeCode
+    };
+});
@@ -0,0 +1,329 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_label_service
+ *
+ * Consule LumberSuite™ - Bundle Tag Service
+ * Renders printable bundle tags for tally sheets through N/render
+ *
+ * Each tag is a 6" x 4" page showing the tally number, item, species,
+ * grade, dimensions, pieces, BF, vendor lot and moisture, with a Code128
+ * and a QR barcode of the tally internal ID for yard scanning.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/search',
+    'N/render',
+    'N/record',
+    'N/xml',
+    './cls_constants',
+    './cls_settings_dao'
+], (search, render, record, xml, Constants, SettingsDAO) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+
+    /**
+     * Escape a value for the BFO template
+     *
+     * @param {*} value - Raw value
+     * @returns {string} Escaped text ('-' when empty)
+     */
+    const escape = (value) => {
+        if (value === null || value === undefined || value === '') {
+            return '-';
+        }
+        return xml.escape({ xmlText: String(value) });
+    };
+
+    /**
+     * Load tag data for tally sheets
+     *
+     * @param {Array<string|number>} tallyIds - Tally sheet internal IDs
+     * @returns {Array<Object>} Tag data in the order requested
+     */
+    const getTagData = (tallyIds) => {
+        const ids = (tallyIds || []).filter((id) => id);
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const tagsById = {};
+
+        search.create({
+            type: RECORD_TYPES.TALLY_SHEET,
+            filters: [['internalid', 'anyof', ids]],
+            columns: [
+                TALLY_FIELDS.TALLY_NUMBER,
+                TALLY_FIELDS.ITEM,
+                search.createColumn({ name: Constants.ITEM_FIELDS.SPECIES, join: TALLY_FIELDS.ITEM }),
+                TALLY_FIELDS.GRADE,
+                TALLY_FIELDS.THICKNESS,
+                TALLY_FIELDS.WIDTH,
+                TALLY_FIELDS.LENGTH,
+                TALLY_FIELDS.PIECES,
+                TALLY_FIELDS.RECEIVED_BF,
+                TALLY_FIELDS.REMAINING_BF,
+                TALLY_FIELDS.VENDOR_LOT,
+                TALLY_FIELDS.BUNDLE_ID,
+                TALLY_FIELDS.MOISTURE_PCT,
+                TALLY_FIELDS.LOCATION,
+                TALLY_FIELDS.RECEIVED_DATE
+            ]
+        }).run().each((result) => {
+            const moisture = parseFloat(result.getValue(TALLY_FIELDS.MOISTURE_PCT));
+
+            tagsById[result.id] = {
+                tallyId: result.id,
+                tallyNumber: result.getValue(TALLY_FIELDS.TALLY_NUMBER),
+                item: result.getText(TALLY_FIELDS.ITEM),
+                species: result.getText({ name: Constants.ITEM_FIELDS.SPECIES, join: TALLY_FIELDS.ITEM }),
+                grade: result.getText(TALLY_FIELDS.GRADE),
+                thickness: parseFloat(result.getValue(TALLY_FIELDS.THICKNESS)) || 0,
+                width: parseFloat(result.getValue(TALLY_FIELDS.WIDTH)) || 0,
+                length: parseFloat(result.getValue(TALLY_FIELDS.LENGTH)) || 0,
+                pieces: parseInt(result.getValue(TALLY_FIELDS.PIECES), 10) || 0,
+                receivedBF: parseFloat(result.getValue(TALLY_FIELDS.RECEIVED_BF)) || 0,
+                remainingBF: parseFloat(result.getValue(TALLY_FIELDS.REMAINING_BF)) || 0,
+                vendorLot: result.getValue(TALLY_FIELDS.VENDOR_LOT),
+                bundleId: result.getValue(TALLY_FIELDS.BUNDLE_ID),
+                moisturePct: isNaN(moisture) ? null : moisture,
+                location: result.getText(TALLY_FIELDS.LOCATION),
+                receivedDate: result.getValue(TALLY_FIELDS.RECEIVED_DATE)
+            };
+            return true;
+        });
+
+        return ids.map((id) => tagsById[id]).filter((tag) => tag);
+    };
+
+    /**
+     * Find the tallies created by an item receipt
+     *
+     * @param {string|number} itemReceiptId - Item Receipt internal ID
+     * @returns {Array<string>} Tally sheet IDs
+     */
+    const getReceiptTallyIds = (itemReceiptId) => {
+        const tallyIds = [];
+
+        search.create({
+            type: RECORD_TYPES.TALLY_SHEET,
+            filters: [[TALLY_FIELDS.ITEM_RECEIPT, 'anyof', itemReceiptId]],
+            columns: [search.createColumn({ name: 'internalid', sort: search.Sort.ASC })]
+        }).run().each((result) => {
+            tallyIds.push(result.id);
+            return true;
+        });
+
+        return tallyIds;
+    };
+
+    /**
+     * Find the output tallies of a repack order
+     *
+     * @param {string|number} repackId - Repack order internal ID
+     * @returns {Array<string>} Tally sheet IDs
+     */
+    const getRepackOutputTallyIds = (repackId) => {
+        const tallyIds = [];
+
+        search.create({
+            type: RECORD_TYPES.REPACK_OUTPUT,
+            filters: [
+                [Constants.REPACK_OUTPUT_FIELDS.REPACK_ORDER, 'anyof', repackId],
+                'AND',
+                [Constants.REPACK_OUTPUT_FIELDS.NEW_TALLY, 'noneof', '@NONE@']
+            ],
+            columns: [Constants.REPACK_OUTPUT_FIELDS.NEW_TALLY]
+        }).run().each((result) => {
+            const tallyId = result.getValue(Constants.REPACK_OUTPUT_FIELDS.NEW_TALLY);
+            if (tallyIds.indexOf(tallyId) === -1) {
+                tallyIds.push(tallyId);
+            }
+            return true;
+        });
+
+        return tallyIds;
+    };
+
+    /**
+     * Format tally dimensions for a tag
+     *
+     * @param {Object} tag - Tag data
+     * @returns {string} e.g. 1" x 6" x 8'
+     */
+    const formatDimensions = (tag) => {
+        if (!tag.thickness && !tag.width && !tag.length) {
+            return '-';
+        }
+        return `${tag.thickness || '-'}" x ${tag.width || 'RW'}" x ${tag.length || 'RL'}'`;
+    };
+
+    /**
+     * Build the BFO body markup for one tag
+     *
+     * @param {Object} tag - Tag data
+     * @returns {string} BFO markup
+     */
+    const buildTagMarkup = (tag) => {
+        const barcodeValue = escape(tag.tallyId);
+        const bf = tag.remainingBF || tag.receivedBF;
+
+        return `
+            <table class="tag">
+                <tr>
+                    <td colspan="2" class="tally-number">${escape(tag.tallyNumber)}</td>
+                    <td rowspan="3" align="right"><barcode codetype="qrcode" showtext="false" width="1.1in" height="1.1in" value="${barcodeValue}"/></td>
+                </tr>
+                <tr><td colspan="2" class="item">${escape(tag.item)}</td></tr>
+                <tr>
+                    <td class="label">Species</td><td class="value">${escape(tag.species)}</td>
+                </tr>
+                <tr>
+                    <td class="label">Grade</td><td class="value">${escape(tag.grade)}</td>
+                    <td class="label">Moisture</td>
+                </tr>
+                <tr>
+                    <td class="label">Size</td><td class="value">${escape(formatDimensions(tag))}</td>
+                    <td class="value">${tag.moisturePct !== null ? escape(`${tag.moisturePct}%`) : '-'}</td>
+                </tr>
+                <tr>
+                    <td class="label">Pieces</td><td class="value">${escape(tag.pieces)}</td>
+                    <td class="label">Vendor Lot</td>
+                </tr>
+                <tr>
+                    <td class="label">BF</td><td class="value big">${escape(bf.toFixed(2))}</td>
+                    <td class="value">${escape(tag.vendorLot)}</td>
+                </tr>
+                <tr>
+                    <td colspan="3" align="center" class="barcode">
+                        <barcode codetype="code128" showtext="true" height="0.6in" value="${barcodeValue}"/>
+                    </td>
+                </tr>
+                <tr>
+                    <td colspan="3" class="footer">${escape(tag.location)} · Bundle ${escape(tag.bundleId)}</td>
+                </tr>
+            </table>`;
+    };
+
+    /**
+     * Build the BFO XML for a set of tags, one tag per page
+     *
+     * @param {Array<Object>} tags - Tag data from getTagData
+     * @returns {string} BFO XML
+     */
+    const buildTagXml = (tags) => {
+        const pages = tags.map(buildTagMarkup).join('<pbr/>');
+
+        return `<?xml version="1.0"?>
+<!DOCTYPE pdf PUBLIC "-//big.faceless.org//report" "report-1.1.dtd">
+<pdf>
+    <head>
+        <style type="text/css">
+            body { font-family: Helvetica, sans-serif; font-size: 10pt; }
+            table.tag { width: 100%; }
+            td { padding: 2px 4px; vertical-align: middle; }
+            td.tally-number { font-size: 22pt; font-weight: bold; }
+            td.item { font-size: 12pt; font-weight: bold; border-bottom: 1px solid #000; }
+            td.label { font-size: 8pt; color: #555555; text-transform: uppercase; }
+            td.value { font-size: 11pt; font-weight: bold; }
+            td.big { font-size: 16pt; }
+            td.barcode { padding-top: 6px; }
+            td.footer { font-size: 8pt; color: #555555; border-top: 1px solid #000; }
+        </style>
+    </head>
+    <body width="6in" height="4in" padding="0.2in">
+        ${pages}
+    </body>
+</pdf>`;
+    };
+
+    /**
+     * Render bundle tags for tally sheets as a PDF
+     *
+     * @param {Array<string|number>} tallyIds - Tally sheet internal IDs
+     * @param {Object} [options] - Render options
+     * @param {string} [options.fileName] - PDF file name
+     * @returns {Object} Result with file, tagCount
+     */
+    const renderTags = (tallyIds, options = {}) => {
+        try {
+            const tags = getTagData(tallyIds);
+
+            if (tags.length === 0) {
+                return { success: false, tagCount: 0, error: 'No tally sheets found to print' };
+            }
+
+            const pdfFile = render.xmlToPdf({ xmlString: buildTagXml(tags) });
+            pdfFile.name = options.fileName ||
+                (tags.length === 1 ? `Bundle_Tag_${tags[0].tallyNumber}.pdf` : `Bundle_Tags_${tags.length}.pdf`);
+
+            return { success: true, file: pdfFile, tagCount: tags.length };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Label Service - renderTags',
+                details: e.message
+            });
+            return { success: false, tagCount: 0, error: e.message };
+        }
+    };
+
+    /**
+     * Render bundle tags, save the PDF to the tag folder and attach it to a record
+     * Used to produce tags automatically for tallies created by a process
+     *
+     * @param {Array<string|number>} tallyIds - Tally sheet internal IDs
+     * @param {Object} [attachTo] - Record to attach the PDF to
+     * @param {string} attachTo.type - Record type
+     * @param {string|number} attachTo.id - Record internal ID
+     * @param {string} [fileName] - PDF file name
+     * @returns {Object} Result with fileId, tagCount
+     */
+    const saveTags = (tallyIds, attachTo, fileName) => {
+        const result = renderTags(tallyIds, { fileName });
+
+        if (!result.success) {
+            return result;
+        }
+
+        const folderId = SettingsDAO.getTagFolder();
+
+        if (!folderId) {
+            return { success: false, tagCount: 0, error: 'Set a Bundle Tag Folder ID in CLS Settings to save bundle tags' };
+        }
+
+        try {
+            result.file.folder = folderId;
+            const fileId = result.file.save();
+
+            if (attachTo && attachTo.id) {
+                record.attach({
+                    record: { type: 'file', id: fileId },
+                    to: { type: attachTo.type, id: attachTo.id }
+                });
+            }
+
+            return { success: true, fileId, tagCount: result.tagCount };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Label Service - saveTags',
+                details: e.message
+            });
+            return { success: false, tagCount: 0, error: e.message };
+        }
+    };
+
+    return {
+        getTagData,
+        getReceiptTallyIds,
+        getRepackOutputTallyIds,
+        buildTagXml,
+        renderTags,
+        saveTags
+    };
+});
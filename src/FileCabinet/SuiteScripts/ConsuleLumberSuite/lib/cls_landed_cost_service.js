@@ -0,0 +1,840 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_landed_cost_service
+ *
+ * Consule LumberSuite™ - Landed Cost Service
+ * Builds the actual landed cost of each tally sheet from its item receipt
+ * and vendor bills
+ *
+ * Every cost component is a CLS Landed Cost record under the tally:
+ * - Purchase: the receipt line rate when the lumber is received (provisional),
+ *   replaced by the vendor bill amount once the bill is entered
+ * - Freight, Kiln Drying, Handling: charge lines on the bill for the receipt
+ *   (or on a carrier's bill pointed at the receipt), split across the
+ *   receipt's tallies by received BF
+ *
+ * The tally stores each component, the total landed cost and the landed cost
+ * per BF, which is what consumption, repack output and sales margin use.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/record',
+    'N/search',
+    './cls_constants',
+    './cls_bf_calculator'
+], (record, search, Constants, BFCalculator) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+    const ITEM_FIELDS = Constants.ITEM_FIELDS;
+    const LINE_FIELDS = Constants.LINE_FIELDS;
+    const LC_FIELDS = Constants.LANDED_COST_FIELDS;
+    const LANDED_COST_TYPES = Constants.LANDED_COST_TYPES;
+    const TALLY_ALLOC_FIELDS = Constants.TALLY_ALLOC_FIELDS;
+
+    /**
+     * Tally field holding the total of each cost type
+     */
+    const COST_TYPE_FIELDS = {
+        [LANDED_COST_TYPES.PURCHASE]: TALLY_FIELDS.PURCHASE_COST,
+        [LANDED_COST_TYPES.FREIGHT]: TALLY_FIELDS.FREIGHT_COST,
+        [LANDED_COST_TYPES.KILN]: TALLY_FIELDS.KILN_COST,
+        [LANDED_COST_TYPES.HANDLING]: TALLY_FIELDS.HANDLING_COST
+    };
+
+    /**
+     * Split and merge chains deeper than this are not followed when a cost changes
+     */
+    const MAX_PROPAGATION_DEPTH = 10;
+
+    const roundCurrency = (value) => BFCalculator.roundTo(value, Constants.PRECISION.CURRENCY);
+
+    /**
+     * Get the landed cost per BF stored on a tally
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @returns {number|null} Landed BF cost, or null when the tally has none
+     */
+    const getTallyBFCost = (tallyId) => {
+        if (!tallyId) return null;
+
+        try {
+            const lookup = search.lookupFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: tallyId,
+                columns: [TALLY_FIELDS.BF_COST]
+            });
+
+            const bfCost = parseFloat(lookup[TALLY_FIELDS.BF_COST]);
+            return bfCost > 0 ? bfCost : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Get the BF-weighted landed cost of an item's open tallies
+     *
+     * @param {number} itemId - Item internal ID
+     * @param {number} [locationId] - Limit to tallies at this location
+     * @returns {number|null} Average landed BF cost, or null when no open tally has one
+     */
+    const getOpenTallyBFCost = (itemId, locationId) => {
+        const filters = [
+            [TALLY_FIELDS.ITEM, 'anyof', itemId],
+            'AND',
+            [TALLY_FIELDS.STATUS, 'anyof', [Constants.TALLY_STATUS.OPEN, Constants.TALLY_STATUS.ALLOCATED]],
+            'AND',
+            [TALLY_FIELDS.REMAINING_BF, 'greaterthan', 0],
+            'AND',
+            [TALLY_FIELDS.BF_COST, 'greaterthan', 0]
+        ];
+
+        if (locationId) {
+            filters.push('AND', [TALLY_FIELDS.LOCATION, 'anyof', locationId]);
+        }
+
+        let bfCost = null;
+
+        search.create({
+            type: RECORD_TYPES.TALLY_SHEET,
+            filters,
+            columns: [
+                search.createColumn({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM }),
+                search.createColumn({
+                    name: 'formulanumeric',
+                    summary: search.Summary.SUM,
+                    formula: `{${TALLY_FIELDS.REMAINING_BF}} * {${TALLY_FIELDS.BF_COST}}`
+                })
+            ]
+        }).run().each((result) => {
+            const totalBF = parseFloat(result.getValue({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM })) || 0;
+            const totalCost = parseFloat(result.getValue({ name: 'formulanumeric', summary: search.Summary.SUM })) || 0;
+
+            if (totalBF > 0 && totalCost > 0) {
+                bfCost = totalCost / totalBF;
+            }
+            return false;
+        });
+
+        return bfCost;
+    };
+
+    /**
+     * Get the BF cost to use for an item
+     * Resolution: the tally's landed cost, the weighted landed cost of the
+     * item's open tallies, the item's base BF cost, then its standard cost.
+     *
+     * @param {Object} params - Cost parameters
+     * @param {number} params.itemId - Item internal ID
+     * @param {number} [params.tallyId] - Tally sheet the line is drawn from
+     * @param {number} [params.locationId] - Location to average open tallies at
+     * @returns {number} Cost per BF
+     */
+    const getItemBFCost = (params) => {
+        const { itemId, tallyId, locationId } = params;
+
+        try {
+            const tallyCost = getTallyBFCost(tallyId);
+            if (tallyCost !== null) return tallyCost;
+
+            if (!itemId) return 0;
+
+            const openTallyCost = getOpenTallyBFCost(itemId, locationId);
+            if (openTallyCost !== null) return openTallyCost;
+
+            const lookupResult = search.lookupFields({
+                type: search.Type.ITEM,
+                id: itemId,
+                columns: [ITEM_FIELDS.BASE_BF_COST, 'cost']
+            });
+
+            const baseCost = parseFloat(lookupResult[ITEM_FIELDS.BASE_BF_COST]);
+            if (!isNaN(baseCost) && baseCost > 0) return baseCost;
+
+            const stdCost = parseFloat(lookupResult.cost);
+            return isNaN(stdCost) ? 0 : stdCost;
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Landed Cost Service - getItemBFCost',
+                details: `Item ${itemId}: ${e.message}`
+            });
+            return 0;
+        }
+    };
+
+    /**
+     * Split an amount across tallies in proportion to their received BF
+     * The rounding remainder goes to the last tally so the shares add up.
+     *
+     * @param {number} amount - Amount to split
+     * @param {Array<Object>} tallies - Tallies with tallyId and receivedBF
+     * @returns {Array<Object>} Shares with tallyId, receivedBF and amount
+     */
+    const splitByReceivedBF = (amount, tallies) => {
+        const totalBF = tallies.reduce((sum, t) => sum + t.receivedBF, 0);
+        if (totalBF <= 0) return [];
+
+        let remaining = roundCurrency(amount);
+
+        return tallies.map((tally, index) => {
+            const share = index === tallies.length - 1
+                ? remaining
+                : roundCurrency(amount * tally.receivedBF / totalBF);
+            remaining = roundCurrency(remaining - share);
+
+            return { tallyId: tally.tallyId, receivedBF: tally.receivedBF, amount: share };
+        });
+    };
+
+    /**
+     * Write one landed cost record
+     *
+     * @param {Object} params - Cost parameters
+     * @param {number} params.tallyId - Tally sheet
+     * @param {string} params.costType - LANDED_COST_TYPES value
+     * @param {number} params.sourceId - Receipt or bill the cost came from
+     * @param {number} params.amount - Amount in base currency
+     * @param {number} params.basisBF - BF the amount was allocated on
+     * @param {boolean} [params.provisional=false] - Receipt-rate purchase cost
+     * @param {Date} [params.costDate] - Transaction date
+     * @returns {number} Landed cost record internal ID
+     */
+    const createCostRecord = (params) => {
+        const costRec = record.create({ type: RECORD_TYPES.LANDED_COST });
+
+        costRec.setValue({ fieldId: LC_FIELDS.TALLY, value: params.tallyId });
+        costRec.setValue({ fieldId: LC_FIELDS.COST_TYPE, value: params.costType });
+        costRec.setValue({ fieldId: LC_FIELDS.SOURCE_TRANSACTION, value: params.sourceId });
+        costRec.setValue({ fieldId: LC_FIELDS.AMOUNT, value: params.amount });
+        costRec.setValue({ fieldId: LC_FIELDS.BASIS_BF, value: params.basisBF });
+        costRec.setValue({ fieldId: LC_FIELDS.PROVISIONAL, value: params.provisional === true });
+        costRec.setValue({ fieldId: LC_FIELDS.COST_DATE, value: params.costDate || new Date() });
+
+        return costRec.save({ ignoreMandatoryFields: true });
+    };
+
+    /**
+     * Delete every landed cost record from a source transaction
+     *
+     * @param {number} sourceId - Receipt or bill internal ID
+     * @param {Object} [options] - Options
+     * @param {Array<number>} [options.tallyIds] - Only these tallies
+     * @returns {Array<string>} Tally sheets that lost a cost record
+     */
+    const deleteSourceCosts = (sourceId, options = {}) => {
+        const filters = [[LC_FIELDS.SOURCE_TRANSACTION, 'anyof', sourceId]];
+
+        if (options.tallyIds && options.tallyIds.length > 0) {
+            filters.push('AND', [LC_FIELDS.TALLY, 'anyof', options.tallyIds]);
+        }
+
+        const tallyIds = [];
+
+        search.create({
+            type: RECORD_TYPES.LANDED_COST,
+            filters,
+            columns: [LC_FIELDS.TALLY]
+        }).run().each((result) => {
+            record.delete({ type: RECORD_TYPES.LANDED_COST, id: result.id });
+
+            const tallyId = result.getValue(LC_FIELDS.TALLY);
+            if (tallyIds.indexOf(tallyId) === -1) tallyIds.push(tallyId);
+            return true;
+        });
+
+        return tallyIds;
+    };
+
+    /**
+     * Set the cost of a tally from a BF cost it inherits (split child, merge
+     * or repack output) rather than from its own landed cost records
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @param {number} bfCost - Cost per BF
+     * @param {number} receivedBF - Received BF of the tally
+     */
+    const setInheritedCost = (tallyId, bfCost, receivedBF) => {
+        record.submitFields({
+            type: RECORD_TYPES.TALLY_SHEET,
+            id: tallyId,
+            values: {
+                [TALLY_FIELDS.BF_COST]: roundCurrency(bfCost),
+                [TALLY_FIELDS.LANDED_COST]: roundCurrency(bfCost * receivedBF)
+            }
+        });
+    };
+
+    /**
+     * Push a changed BF cost to the tallies built from this one: split
+     * children inherit it, and a merged tally re-averages its sources
+     *
+     * @param {number} tallyId - Tally sheet whose cost changed
+     * @param {number} [depth=0] - Recursion depth
+     */
+    const propagateCost = (tallyId, depth = 0) => {
+        if (depth >= MAX_PROPAGATION_DEPTH) return;
+
+        const bfCost = getTallyBFCost(tallyId);
+
+        if (bfCost !== null) {
+            search.create({
+                type: RECORD_TYPES.TALLY_SHEET,
+                filters: [[TALLY_FIELDS.PARENT_TALLY, 'anyof', tallyId]],
+                columns: [TALLY_FIELDS.RECEIVED_BF]
+            }).run().each((result) => {
+                setInheritedCost(result.id, bfCost, parseFloat(result.getValue(TALLY_FIELDS.RECEIVED_BF)) || 0);
+                propagateCost(result.id, depth + 1);
+                return true;
+            });
+        }
+
+        const mergedInto = search.lookupFields({
+            type: RECORD_TYPES.TALLY_SHEET,
+            id: tallyId,
+            columns: [TALLY_FIELDS.MERGED_INTO]
+        })[TALLY_FIELDS.MERGED_INTO];
+
+        if (Array.isArray(mergedInto) && mergedInto.length > 0) {
+            const mergedId = mergedInto[0].value;
+            const mergedBFCost = getMergedBFCost(mergedId);
+
+            if (mergedBFCost !== null) {
+                const receivedBF = parseFloat(search.lookupFields({
+                    type: RECORD_TYPES.TALLY_SHEET,
+                    id: mergedId,
+                    columns: [TALLY_FIELDS.RECEIVED_BF]
+                })[TALLY_FIELDS.RECEIVED_BF]) || 0;
+
+                setInheritedCost(mergedId, mergedBFCost, receivedBF);
+                propagateCost(mergedId, depth + 1);
+            }
+        }
+    };
+
+    /**
+     * Weight the BF costs of a merged tally's sources by the BF each contributed
+     *
+     * @param {number} mergedTallyId - Merged tally sheet
+     * @returns {number|null} BF cost, or null when no source has a cost
+     */
+    const getMergedBFCost = (mergedTallyId) => {
+        let totalCost = 0;
+        let totalBF = 0;
+
+        search.create({
+            type: RECORD_TYPES.TALLY_ALLOCATION,
+            filters: [
+                [TALLY_ALLOC_FIELDS.TARGET_TALLY, 'anyof', mergedTallyId],
+                'AND',
+                [TALLY_ALLOC_FIELDS.STATUS, 'anyof', Constants.TALLY_ALLOC_STATUS.MERGED]
+            ],
+            columns: [
+                TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                search.createColumn({ name: TALLY_FIELDS.BF_COST, join: TALLY_ALLOC_FIELDS.TALLY_SHEET })
+            ]
+        }).run().each((result) => {
+            const movedBF = parseFloat(result.getValue(TALLY_ALLOC_FIELDS.ALLOCATED_BF)) || 0;
+            const bfCost = parseFloat(result.getValue({ name: TALLY_FIELDS.BF_COST, join: TALLY_ALLOC_FIELDS.TALLY_SHEET }));
+
+            if (bfCost > 0 && movedBF > 0) {
+                totalCost += bfCost * movedBF;
+                totalBF += movedBF;
+            }
+            return true;
+        });
+
+        return totalBF > 0 ? roundCurrency(totalCost / totalBF) : null;
+    };
+
+    /**
+     * Recompute a tally's cost fields from its landed cost records
+     * A billed purchase cost replaces the provisional receipt-rate cost of
+     * the BF it was billed on; the unbilled BF stays at the receipt rate.
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @returns {Object} Result with landedCost and bfCost
+     */
+    const recalculateTally = (tallyId) => {
+        try {
+            const totals = {};
+            let provisionalPurchase = 0;
+            let billedPurchase = 0;
+            let billedBF = 0;
+
+            Object.keys(COST_TYPE_FIELDS).forEach((costType) => { totals[costType] = 0; });
+
+            search.create({
+                type: RECORD_TYPES.LANDED_COST,
+                filters: [[LC_FIELDS.TALLY, 'anyof', tallyId]],
+                columns: [LC_FIELDS.COST_TYPE, LC_FIELDS.AMOUNT, LC_FIELDS.BASIS_BF, LC_FIELDS.PROVISIONAL]
+            }).run().each((result) => {
+                const costType = result.getValue(LC_FIELDS.COST_TYPE);
+                const amount = parseFloat(result.getValue(LC_FIELDS.AMOUNT)) || 0;
+
+                if (costType === LANDED_COST_TYPES.PURCHASE) {
+                    if (result.getValue(LC_FIELDS.PROVISIONAL)) {
+                        provisionalPurchase += amount;
+                    } else {
+                        billedPurchase += amount;
+                        billedBF += parseFloat(result.getValue(LC_FIELDS.BASIS_BF)) || 0;
+                    }
+                } else if (totals[costType] !== undefined) {
+                    totals[costType] += amount;
+                }
+                return true;
+            });
+
+            const receivedBF = parseFloat(search.lookupFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: tallyId,
+                columns: [TALLY_FIELDS.RECEIVED_BF]
+            })[TALLY_FIELDS.RECEIVED_BF]) || 0;
+
+            let unbilledShare = billedBF > 0 ? 0 : 1;
+            if (receivedBF > 0) {
+                unbilledShare = Math.max(0, 1 - billedBF / receivedBF);
+            }
+
+            totals[LANDED_COST_TYPES.PURCHASE] = billedPurchase + provisionalPurchase * unbilledShare;
+
+            const landedCost = roundCurrency(Object.keys(totals).reduce((sum, key) => sum + totals[key], 0));
+            const bfCost = receivedBF > 0 ? roundCurrency(landedCost / receivedBF) : 0;
+
+            const values = {
+                [TALLY_FIELDS.LANDED_COST]: landedCost,
+                [TALLY_FIELDS.BF_COST]: bfCost
+            };
+            Object.keys(COST_TYPE_FIELDS).forEach((costType) => {
+                values[COST_TYPE_FIELDS[costType]] = roundCurrency(totals[costType]);
+            });
+
+            record.submitFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: tallyId,
+                values
+            });
+
+            propagateCost(tallyId);
+
+            return { success: true, tallyId, landedCost, bfCost };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Landed Cost Service - recalculateTally',
+                details: `Tally ${tallyId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Record the provisional purchase cost of received tallies from the
+     * receipt line rates, replacing any earlier receipt cost
+     *
+     * @param {Object} params - Receipt parameters
+     * @param {number} params.receiptId - Item Receipt internal ID
+     * @param {Date} [params.receiptDate] - Receipt date
+     * @param {Array<Object>} params.lines - Lines with tallyId, receivedBF and amount (base currency)
+     * @returns {Object} Result with tallyCount
+     */
+    const recordReceiptCosts = (params) => {
+        const { receiptId, receiptDate, lines = [] } = params;
+
+        try {
+            const tallyIds = lines.map(line => line.tallyId);
+            if (tallyIds.length === 0) {
+                return { success: true, tallyCount: 0 };
+            }
+
+            deleteSourceCosts(receiptId, { tallyIds });
+
+            for (const line of lines) {
+                if (line.amount > 0) {
+                    createCostRecord({
+                        tallyId: line.tallyId,
+                        costType: LANDED_COST_TYPES.PURCHASE,
+                        sourceId: receiptId,
+                        amount: roundCurrency(line.amount),
+                        basisBF: line.receivedBF,
+                        provisional: true,
+                        costDate: receiptDate
+                    });
+                }
+
+                recalculateTally(line.tallyId);
+            }
+
+            return { success: true, tallyCount: lines.length };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Landed Cost Service - recordReceiptCosts',
+                details: `Receipt ${receiptId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Remove a receipt's provisional purchase costs and recompute the
+     * tallies they priced
+     *
+     * @param {number} receiptId - Item Receipt internal ID
+     * @param {Object} [options] - Options
+     * @param {Array<number>} [options.tallyIds] - Only these tallies (all of the receipt's when omitted)
+     * @returns {Object} Result with tallyCount
+     */
+    const removeReceiptCosts = (receiptId, options = {}) => {
+        try {
+            const tallyIds = deleteSourceCosts(receiptId, { tallyIds: options.tallyIds });
+            tallyIds.forEach(tallyId => recalculateTally(tallyId));
+
+            return { success: true, tallyCount: tallyIds.length };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Landed Cost Service - removeReceiptCosts',
+                details: `Receipt ${receiptId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Find the receipts a vendor bill's costs belong to: the landed cost
+     * receipt on the bill, else the receipts its item lines are matched to,
+     * else the receipt of each purchase order it bills that has only one.
+     * An order with several receipts and no receipt link matches none, so
+     * its cost is left unallocated rather than spread over every receipt.
+     *
+     * @param {Record} billRec - Vendor Bill record
+     * @returns {Array<string>} Item Receipt internal IDs
+     */
+    const getBillReceiptIds = (billRec) => {
+        const landedReceipt = billRec.getValue({ fieldId: Constants.BODY_FIELDS.LANDED_RECEIPT });
+        if (landedReceipt) {
+            return [String(landedReceipt)];
+        }
+
+        const addId = (ids, id) => {
+            if (id && ids.indexOf(String(id)) === -1) ids.push(String(id));
+        };
+
+        const receiptIds = [];
+        const itemCount = billRec.getLineCount({ sublistId: 'item' });
+        for (let i = 0; i < itemCount; i++) {
+            const linked = billRec.getSublistValue({ sublistId: 'item', fieldId: 'billreceipts', line: i });
+            const linkedIds = Array.isArray(linked) ? linked : String(linked || '').split(/[,\u0005]/);
+            linkedIds.forEach(id => addId(receiptIds, String(id).trim()));
+        }
+
+        if (receiptIds.length > 0) return receiptIds;
+
+        const orderIds = [];
+        ['item', 'expense'].forEach((sublistId) => {
+            const lineCount = billRec.getLineCount({ sublistId });
+            for (let i = 0; i < lineCount; i++) {
+                addId(orderIds, billRec.getSublistValue({ sublistId, fieldId: 'orderdoc', line: i }));
+            }
+        });
+
+        if (orderIds.length === 0) return [];
+
+        const receiptsByOrder = {};
+
+        search.create({
+            type: search.Type.ITEM_RECEIPT,
+            filters: [
+                ['createdfrom', 'anyof', orderIds],
+                'AND',
+                ['mainline', 'is', 'T']
+            ],
+            columns: ['createdfrom']
+        }).run().each((result) => {
+            const orderId = result.getValue('createdfrom');
+            receiptsByOrder[orderId] = (receiptsByOrder[orderId] || []).concat(result.id);
+            return true;
+        });
+
+        Object.keys(receiptsByOrder).forEach((orderId) => {
+            if (receiptsByOrder[orderId].length === 1) {
+                addId(receiptIds, receiptsByOrder[orderId][0]);
+            } else {
+                log.audit({
+                    title: 'CLS Landed Cost Service',
+                    details: `Bill ${billRec.id}: order ${orderId} has ${receiptsByOrder[orderId].length} receipts ` +
+                        'and the bill is not matched to one; its cost on that order is not allocated'
+                });
+            }
+        });
+
+        return receiptIds;
+    };
+
+    /**
+     * Total the line quantity of each item on a set of transactions
+     * Search quantities are in the item's base unit, so bill and receipt
+     * totals compare even when their lines used different units.
+     *
+     * @param {Array<string>} transactionIds - Transaction internal IDs
+     * @param {Array<string>} itemIds - Item internal IDs
+     * @returns {Object} Quantity by item ID
+     */
+    const getItemQuantities = (transactionIds, itemIds) => {
+        const quantities = {};
+        if (transactionIds.length === 0 || itemIds.length === 0) return quantities;
+
+        search.create({
+            type: search.Type.TRANSACTION,
+            filters: [
+                ['internalid', 'anyof', transactionIds],
+                'AND',
+                ['mainline', 'is', 'F'],
+                'AND',
+                ['item', 'anyof', itemIds]
+            ],
+            columns: [
+                search.createColumn({ name: 'item', summary: search.Summary.GROUP }),
+                search.createColumn({ name: 'quantity', summary: search.Summary.SUM })
+            ]
+        }).run().each((result) => {
+            const itemId = result.getValue({ name: 'item', summary: search.Summary.GROUP });
+            quantities[itemId] = Math.abs(parseFloat(result.getValue({ name: 'quantity', summary: search.Summary.SUM })) || 0);
+            return true;
+        });
+
+        return quantities;
+    };
+
+    /**
+     * List the tallies received on a set of receipts
+     *
+     * @param {Array<string>} receiptIds - Item Receipt internal IDs
+     * @returns {Array<Object>} Tallies with tallyId, itemId and receivedBF
+     */
+    const getReceiptTallies = (receiptIds) => {
+        const tallies = [];
+        if (receiptIds.length === 0) return tallies;
+
+        search.create({
+            type: RECORD_TYPES.TALLY_SHEET,
+            filters: [
+                [TALLY_FIELDS.ITEM_RECEIPT, 'anyof', receiptIds],
+                'AND',
+                [TALLY_FIELDS.RECEIVED_BF, 'greaterthan', 0]
+            ],
+            columns: [
+                search.createColumn({ name: 'internalid', sort: search.Sort.ASC }),
+                TALLY_FIELDS.ITEM,
+                TALLY_FIELDS.RECEIVED_BF
+            ]
+        }).run().each((result) => {
+            tallies.push({
+                tallyId: result.id,
+                itemId: result.getValue(TALLY_FIELDS.ITEM),
+                receivedBF: parseFloat(result.getValue(TALLY_FIELDS.RECEIVED_BF)) || 0
+            });
+            return true;
+        });
+
+        return tallies;
+    };
+
+    /**
+     * Sort a vendor bill's lines into lumber purchase amounts by item and
+     * charge amounts by landed cost type (base currency)
+     *
+     * @param {Record} billRec - Vendor Bill record
+     * @returns {Object} { purchases: {itemId: amount}, charges: {costType: amount} }
+     */
+    const getBillCosts = (billRec) => {
+        const exchangeRate = parseFloat(billRec.getValue({ fieldId: 'exchangerate' })) || 1;
+        const purchases = {};
+        const charges = {};
+        const itemCache = {};
+
+        const addCharge = (costType, amount) => {
+            charges[costType] = (charges[costType] || 0) + amount;
+        };
+
+        const getItemInfo = (itemId) => {
+            if (!itemCache[itemId]) {
+                const lookup = search.lookupFields({
+                    type: search.Type.ITEM,
+                    id: itemId,
+                    columns: [ITEM_FIELDS.IS_LUMBER, ITEM_FIELDS.LANDED_COST_TYPE]
+                });
+                const costType = lookup[ITEM_FIELDS.LANDED_COST_TYPE];
+
+                itemCache[itemId] = {
+                    isLumber: lookup[ITEM_FIELDS.IS_LUMBER] === true,
+                    costType: Array.isArray(costType) && costType.length > 0 ? costType[0].value : null
+                };
+            }
+            return itemCache[itemId];
+        };
+
+        const itemCount = billRec.getLineCount({ sublistId: 'item' });
+        for (let i = 0; i < itemCount; i++) {
+            const itemId = billRec.getSublistValue({ sublistId: 'item', fieldId: 'item', line: i });
+            const amount = (parseFloat(billRec.getSublistValue({ sublistId: 'item', fieldId: 'amount', line: i })) || 0) * exchangeRate;
+            const lineCostType = billRec.getSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.LANDED_COST_TYPE, line: i });
+
+            if (!itemId || amount === 0) continue;
+
+            const itemInfo = getItemInfo(itemId);
+            const costType = lineCostType || itemInfo.costType;
+
+            if (costType && costType !== LANDED_COST_TYPES.PURCHASE) {
+                addCharge(costType, amount);
+            } else if (itemInfo.isLumber) {
+                purchases[itemId] = (purchases[itemId] || 0) + amount;
+            }
+        }
+
+        const expenseCount = billRec.getLineCount({ sublistId: 'expense' });
+        for (let i = 0; i < expenseCount; i++) {
+            const costType = billRec.getSublistValue({ sublistId: 'expense', fieldId: LINE_FIELDS.LANDED_COST_TYPE, line: i });
+            const amount = (parseFloat(billRec.getSublistValue({ sublistId: 'expense', fieldId: 'amount', line: i })) || 0) * exchangeRate;
+
+            // Purchase price comes from item lines only
+            if (costType && costType !== LANDED_COST_TYPES.PURCHASE && amount !== 0) {
+                addCharge(costType, amount);
+            }
+        }
+
+        return { purchases, charges };
+    };
+
+    /**
+     * Allocate a vendor bill to the tallies it paid for
+     * Lumber lines are spread over the receipts' tallies of the same item and
+     * charge lines over all of the receipts' tallies, both by received BF. A
+     * lumber line billing part of the received quantity records that share of
+     * each tally's BF as its basis. Any earlier allocation of the bill is
+     * replaced, so edits re-allocate cleanly.
+     *
+     * @param {Record} billRec - Vendor Bill record
+     * @returns {Object} Result with tallyCount, allocated and unallocated amounts
+     */
+    const allocateBill = (billRec) => {
+        const billId = billRec.id;
+
+        try {
+            const affected = deleteSourceCosts(billId);
+            const costDate = billRec.getValue({ fieldId: 'trandate' });
+            const receiptIds = getBillReceiptIds(billRec);
+            const tallies = getReceiptTallies(receiptIds);
+            const { purchases, charges } = getBillCosts(billRec);
+            const billedQty = getItemQuantities([billId], Object.keys(purchases));
+            const receivedQty = getItemQuantities(receiptIds, Object.keys(purchases));
+
+            let allocated = 0;
+            let unallocated = 0;
+
+            const allocate = (costType, amount, targets, billedShare = 1) => {
+                const shares = splitByReceivedBF(amount, targets);
+
+                if (shares.length === 0) {
+                    unallocated += amount;
+                    return;
+                }
+
+                for (const share of shares) {
+                    createCostRecord({
+                        tallyId: share.tallyId,
+                        costType,
+                        sourceId: billId,
+                        amount: share.amount,
+                        basisBF: BFCalculator.roundTo(share.receivedBF * billedShare, Constants.PRECISION.BF),
+                        costDate
+                    });
+
+                    if (affected.indexOf(share.tallyId) === -1) affected.push(share.tallyId);
+                }
+
+                allocated += amount;
+            };
+
+            Object.keys(purchases).forEach((itemId) => {
+                const billedShare = billedQty[itemId] > 0 && receivedQty[itemId] > 0
+                    ? Math.min(1, billedQty[itemId] / receivedQty[itemId])
+                    : 1;
+
+                allocate(LANDED_COST_TYPES.PURCHASE, purchases[itemId],
+                    tallies.filter(t => String(t.itemId) === String(itemId)), billedShare);
+            });
+
+            Object.keys(charges).forEach((costType) => {
+                allocate(costType, charges[costType], tallies);
+            });
+
+            affected.forEach(tallyId => recalculateTally(tallyId));
+
+            log.audit({
+                title: 'CLS Landed Cost Service',
+                details: `Bill ${billId}: allocated ${roundCurrency(allocated)} to ${affected.length} tallies` +
+                    (unallocated !== 0 ? `, ${roundCurrency(unallocated)} with no received tally` : '')
+            });
+
+            return {
+                success: true,
+                billId,
+                tallyCount: affected.length,
+                allocated: roundCurrency(allocated),
+                unallocated: roundCurrency(unallocated)
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Landed Cost Service - allocateBill',
+                details: `Bill ${billId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Remove a vendor bill's allocations and recompute the tallies it touched
+     *
+     * @param {number} billId - Vendor Bill internal ID
+     * @returns {Object} Result with tallyCount
+     */
+    const removeBillCosts = (billId) => {
+        try {
+            const tallyIds = deleteSourceCosts(billId);
+            tallyIds.forEach(tallyId => recalculateTally(tallyId));
+
+            return { success: true, tallyCount: tallyIds.length };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Landed Cost Service - removeBillCosts',
+                details: `Bill ${billId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    return {
+        // Cost lookup
+        getTallyBFCost,
+        getOpenTallyBFCost,
+        getItemBFCost,
+
+        // Allocation
+        splitByReceivedBF,
+        recordReceiptCosts,
+        removeReceiptCosts,
+        allocateBill,
+        removeBillCosts,
+        recalculateTally,
+        setInheritedCost
+    };
+});
@@ -0,0 +1,402 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_pdf_builder
+ *
+ * Consule LumberSuite™ - PDF Report Builder
+ * Renders report data as a paginated PDF with no row limit
+ *
+ * Every page repeats the branded header (logo, company name, report title),
+ * the table column headings and a footer with page numbers. The PDF has:
+ * - Summary sections for the report totals and summary figures
+ * - The detail table, split into groups with subtotals when the report is
+ *   grouped, and a grand total row
+ * - Breakdown sections (by location, by operator, aging buckets)
+ *
+ * Branding comes from CLS Settings. Wide reports print landscape.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/render',
+    'N/file',
+    'N/url',
+    'N/xml',
+    './cls_settings_dao',
+    './cls_report_engine'
+], (render, file, url, xml, SettingsDAO, ReportEngine) => {
+
+    const LANDSCAPE_COLUMNS = 6;
+    const SUMMARY_ITEMS_PER_ROW = 4;
+
+    const escape = (value) => xml.escape({ xmlText: String(value === null || value === undefined ? '' : value) });
+
+    /**
+     * Turn a camelCase key into a heading, e.g. totalBF -> Total BF
+     *
+     * @param {string} key - Object key
+     * @returns {string} Heading
+     */
+    const toHeading = (key) => {
+        const spaced = String(key).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+        return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+    };
+
+    /**
+     * Read a report cell as a number
+     *
+     * @param {*} value - Cell value
+     * @returns {number|null} Number, or null when the cell is not numeric
+     */
+    const toNumber = (value) => {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+
+        const text = String(value === null || value === undefined ? '' : value).replace(/[$,\s]/g, '');
+        return /^-?\d*\.?\d+$/.test(text) ? parseFloat(text) : null;
+    };
+
+    /**
+     * Format a value for display
+     *
+     * @param {*} value - Value
+     * @returns {string} Display text
+     */
+    const display = (value) => {
+        if (typeof value === 'number') {
+            return Number.isInteger(value)
+                ? value.toLocaleString()
+                : value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        }
+        return value === null || value === undefined ? '' : String(value);
+    };
+
+    /**
+     * Get the absolute URL of the branding logo
+     *
+     * @param {number} logoFileId - Logo file internal ID
+     * @returns {string|null} Logo URL
+     */
+    const getLogoUrl = (logoFileId) => {
+        if (!logoFileId) return null;
+
+        try {
+            const logoUrl = file.load({ id: logoFileId }).url;
+            return /^https?:/.test(logoUrl)
+                ? logoUrl
+                : `https://${url.resolveDomain({ hostType: url.HostType.APPLICATION })}${logoUrl}`;
+        } catch (e) {
+            log.error({
+                title: 'CLS PDF Builder - getLogoUrl',
+                details: `Logo ${logoFileId}: ${e.message}`
+            });
+            return null;
+        }
+    };
+
+    /**
+     * Work out which detail columns are summed in subtotals and totals
+     * A column is summed when it is additive and every value in it is numeric.
+     *
+     * @param {Array<string>} columns - Column headers
+     * @param {Array<Array>} rows - Detail rows
+     * @param {number} groupColumn - Group column index (never summed)
+     * @returns {Array<Object|null>} Per column: { decimals } when summed, else null
+     */
+    const getSumColumns = (columns, rows, groupColumn) => columns.map((header, c) => {
+        if (c === groupColumn || !ReportEngine.isAdditiveColumn(header)) return null;
+
+        let decimals = 0;
+        let hasValue = false;
+
+        const numeric = rows.every((row) => {
+            const value = row[c];
+            if (value === null || value === undefined || value === '') return true;
+            if (String(value).includes('%')) return false;
+
+            const number = toNumber(value);
+            if (number === null) return false;
+
+            hasValue = true;
+            const fraction = String(value).split('.')[1];
+            decimals = Math.max(decimals, fraction ? fraction.replace(/\D/g, '').length : 0);
+            return true;
+        });
+
+        return numeric && hasValue ? { decimals } : null;
+    });
+
+    /**
+     * Build a subtotal or total row
+     *
+     * @param {string} label - Row label
+     * @param {Array<Array>} rows - Rows to sum
+     * @param {Array<Object|null>} sumColumns - Summed columns
+     * @param {string} className - Row CSS class
+     * @returns {string} Row XML
+     */
+    const buildSumRow = (label, rows, sumColumns, className) => {
+        const cells = sumColumns.map((sumColumn, c) => {
+            if (!sumColumn) {
+                return `<td>${c === 0 ? escape(label) : ''}</td>`;
+            }
+
+            const total = rows.reduce((sum, row) => sum + (toNumber(row[c]) || 0), 0);
+            const text = total.toLocaleString(undefined, {
+                minimumFractionDigits: sumColumn.decimals,
+                maximumFractionDigits: sumColumn.decimals
+            });
+
+            // A summed first column carries the label too
+            return c === 0
+                ? `<td align="right">${escape(label)}: ${escape(text)}</td>`
+                : `<td align="right">${escape(text)}</td>`;
+        });
+
+        return `<tr class="${className}">${cells.join('')}</tr>`;
+    };
+
+    /**
+     * Build a detail row
+     *
+     * @param {Array} row - Row values
+     * @param {Array<Object|null>} sumColumns - Summed columns (right aligned)
+     * @returns {string} Row XML
+     */
+    const buildDetailRow = (row, sumColumns) => `<tr>${row.map((cell, c) => (sumColumns[c] || toNumber(cell) !== null
+        ? `<td align="right">${escape(cell)}</td>`
+        : `<td>${escape(cell)}</td>`)).join('')}</tr>`;
+
+    /**
+     * Build the detail table, grouped with subtotals when a Group By applies
+     *
+     * @param {Object} reportData - Report data
+     * @param {string} [groupBy] - Group By option
+     * @returns {string} Table XML
+     */
+    const buildDetailTable = (reportData, groupBy) => {
+        const columns = reportData.columns || [];
+        const rows = reportData.rows || [];
+
+        if (columns.length === 0) return '';
+
+        if (rows.length === 0) {
+            return '<p class="empty">No records match the report filters.</p>';
+        }
+
+        const groupColumn = ReportEngine.getGroupColumn(columns, groupBy);
+        const sumColumns = getSumColumns(columns, rows, groupColumn);
+        const hasSums = sumColumns.some(Boolean);
+        let body = '';
+
+        if (groupColumn >= 0) {
+            // Groups in order of first appearance, so the report's own sort is kept
+            const groups = new Map();
+            rows.forEach((row) => {
+                const key = row[groupColumn] === null || row[groupColumn] === undefined || row[groupColumn] === ''
+                    ? '(None)'
+                    : String(row[groupColumn]);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+
+            groups.forEach((groupRows, key) => {
+                body += `<tr class="group-header"><td colspan="${columns.length}">${escape(columns[groupColumn])}: ${escape(key)}</td></tr>`;
+                body += groupRows.map(row => buildDetailRow(row, sumColumns)).join('');
+                if (hasSums) {
+                    body += buildSumRow(`Subtotal (${groupRows.length})`, groupRows, sumColumns, 'subtotal');
+                }
+            });
+        } else {
+            body = rows.map(row => buildDetailRow(row, sumColumns)).join('');
+        }
+
+        if (hasSums) {
+            body += buildSumRow(`Total (${rows.length})`, rows, sumColumns, 'total');
+        }
+
+        const head = columns.map((column, c) => (sumColumns[c]
+            ? `<th align="right">${escape(column)}</th>`
+            : `<th>${escape(column)}</th>`)).join('');
+
+        return `<table class="detail"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    };
+
+    /**
+     * Build a section of headline figures, four to a row
+     *
+     * @param {string} title - Section title
+     * @param {Object} values - Figures keyed by name
+     * @returns {string} Section XML
+     */
+    const buildFiguresSection = (title, values) => {
+        const entries = Object.keys(values || {})
+            .filter(key => values[key] === null || typeof values[key] !== 'object')
+            .map(key => [toHeading(key), values[key]]);
+
+        if (entries.length === 0) return '';
+
+        let rowsXml = '';
+        for (let i = 0; i < entries.length; i += SUMMARY_ITEMS_PER_ROW) {
+            const cells = entries.slice(i, i + SUMMARY_ITEMS_PER_ROW).map(([label, value]) => `
+                <td class="figure"><p class="figure-value">${escape(display(value))}</p><p class="figure-label">${escape(label)}</p></td>`);
+            while (cells.length < SUMMARY_ITEMS_PER_ROW) cells.push('<td class="figure"></td>');
+            rowsXml += `<tr>${cells.join('')}</tr>`;
+        }
+
+        return `<h3>${escape(title)}</h3><table class="figures">${rowsXml}</table>`;
+    };
+
+    /**
+     * Build a section from an array of objects, one column per key
+     *
+     * @param {string} title - Section title
+     * @param {Array<Object>} items - Rows as objects
+     * @returns {string} Section XML
+     */
+    const buildListSection = (title, items) => {
+        if (!Array.isArray(items) || items.length === 0 || typeof items[0] !== 'object') return '';
+
+        const keys = Object.keys(items[0]).filter(key => !/Id$/.test(key));
+        const head = keys.map(key => `<th>${escape(toHeading(key))}</th>`).join('');
+        const body = items.map(item => `<tr>${keys.map(key => (typeof item[key] === 'number'
+            ? `<td align="right">${escape(display(item[key]))}</td>`
+            : `<td>${escape(display(item[key]))}</td>`)).join('')}</tr>`).join('');
+
+        return `<h3>${escape(title)}</h3><table class="detail"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    };
+
+    /**
+     * Build the breakdown sections: every list in the report or its summary,
+     * plus aging buckets
+     *
+     * @param {Object} reportData - Report data
+     * @returns {string} Sections XML
+     */
+    const buildBreakdownSections = (reportData) => {
+        const sources = [reportData, reportData.summary || {}, reportData.totals || {}];
+        let sections = '';
+
+        sources.forEach((source) => {
+            Object.keys(source).forEach((key) => {
+                if (key !== 'rows' && key !== 'columns' && Array.isArray(source[key])) {
+                    sections += buildListSection(toHeading(key), source[key]);
+                }
+            });
+        });
+
+        if (reportData.agingBuckets) {
+            sections += buildListSection('Aging Summary', Object.keys(reportData.agingBuckets).map(bucket => ({
+                age: `${bucket} days`,
+                tallies: reportData.agingBuckets[bucket].count,
+                bf: reportData.agingBuckets[bucket].bf
+            })));
+        }
+
+        return sections;
+    };
+
+    /**
+     * Build the BFO document for a report
+     *
+     * @param {Object} reportData - Report data (title, subtitle, columns, rows and
+     *        optional totals, summary, byLocation, byOperator, agingBuckets)
+     * @param {Object} [options]
+     * @param {string} [options.groupBy] - Group By option for subtotals
+     * @returns {string} BFO XML
+     */
+    const buildReportXml = (reportData, options = {}) => {
+        const branding = SettingsDAO.getReportBranding();
+        const logoUrl = getLogoUrl(branding.logoFileId);
+        const color = branding.color;
+        const landscape = (reportData.columns || []).length > LANDSCAPE_COLUMNS;
+        const generated = new Date().toLocaleString();
+
+        const logoXml = logoUrl
+            ? `<img src="${escape(logoUrl)}" style="height: 40px;"/>`
+            : '';
+
+        return `<?xml version="1.0"?>
+<!DOCTYPE pdf PUBLIC "-//big.faceless.org//report" "report-1.1.dtd">
+<pdf>
+<head>
+    <macrolist>
+        <macro id="pageheader">
+            <table class="page-header">
+                <tr>
+                    <td width="40%">${logoXml}<p class="company">${escape(branding.companyName || 'LumberSuite™')}</p></td>
+                    <td width="60%" align="right"><p class="title">${escape(reportData.title || 'Report')}</p><p class="subtitle">${escape(reportData.subtitle || '')}</p></td>
+                </tr>
+            </table>
+        </macro>
+        <macro id="pagefooter">
+            <table class="page-footer">
+                <tr>
+                    <td>LumberSuite™ Report Generator | ${escape(generated)}</td>
+                    <td align="right">Page <pagenumber/> of <totalpages/></td>
+                </tr>
+            </table>
+        </macro>
+    </macrolist>
+    <style type="text/css">
+        body { font-family: sans-serif; font-size: 8pt; }
+        table { width: 100%; border-collapse: collapse; }
+        table.page-header { border-bottom: 2px solid ${color}; padding-bottom: 4px; }
+        table.page-footer { font-size: 7pt; color: #666666; border-top: 1px solid #cccccc; }
+        p.company { font-size: 10pt; font-weight: bold; margin: 0; }
+        p.title { font-size: 14pt; font-weight: bold; color: ${color}; margin: 0; }
+        p.subtitle { font-size: 8pt; color: #666666; margin: 0; }
+        h3 { font-size: 10pt; color: ${color}; margin-top: 12pt; margin-bottom: 4pt; }
+        table.detail th { background-color: ${color}; color: #ffffff; padding: 4px; font-weight: bold; }
+        table.detail td { padding: 3px 4px; border-bottom: 1px solid #dddddd; }
+        tr.group-header td { background-color: #eef2ea; font-weight: bold; padding-top: 6px; }
+        tr.subtotal td { font-weight: bold; border-top: 1px solid #999999; background-color: #f7f7f7; }
+        tr.total td { font-weight: bold; border-top: 2px solid ${color}; background-color: #e9ecef; }
+        table.figures td.figure { padding: 6px; text-align: center; background-color: #f5f5f5; border: 2px solid #ffffff; }
+        p.figure-value { font-size: 12pt; font-weight: bold; color: ${color}; margin: 0; text-align: center; }
+        p.figure-label { font-size: 7pt; color: #666666; margin: 0; text-align: center; }
+        p.empty { color: #666666; }
+    </style>
+</head>
+<body header="pageheader" header-height="55pt" footer="pagefooter" footer-height="20pt"
+      padding="0.4in 0.4in 0.4in 0.4in" size="${landscape ? 'Letter-landscape' : 'Letter'}">
+    ${buildFiguresSection('Totals', reportData.totals)}
+    ${buildFiguresSection('Summary', reportData.summary)}
+    ${reportData.columns && reportData.columns.length > 0 ? '<h3>Detail</h3>' : ''}
+    ${buildDetailTable(reportData, options.groupBy)}
+    ${buildBreakdownSections(reportData)}
+</body>
+</pdf>`;
+    };
+
+    /**
+     * Render a report as a PDF file
+     *
+     * @param {Object} reportData - Report data
+     * @param {Object} [options]
+     * @param {string} [options.name] - File name (defaults to the report title)
+     * @param {string} [options.groupBy] - Group By option for subtotals
+     * @param {number} [options.folderId] - File Cabinet folder for saving
+     * @returns {File} Unsaved PDF file
+     */
+    const buildReportPdf = (reportData, options = {}) => {
+        const pdfFile = render.xmlToPdf({
+            xmlString: buildReportXml(reportData, options)
+        });
+
+        const name = options.name || `${(reportData.title || 'Report').replace(/\s+/g, '_')}.pdf`;
+        pdfFile.name = /\.pdf$/i.test(name) ? name : `${name}.pdf`;
+
+        if (options.folderId) {
+            pdfFile.folder = options.folderId;
+        }
+
+        return pdfFile;
+    };
+
+    return {
+        buildReportXml,
+        buildReportPdf
+    };
+});
@@ -0,0 +1,130 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_pricing_service
+ *
+ * Consule LumberSuite™ - Pricing Service
+ * Grade-modified BF pricing and pricing basis lookups shared by the
+ * sales order and estimate user event and client scripts
+ *
+ * Grade price modifiers are percentages of the item's base BF price
+ * (custrecord_cls_grade_price_mod, 100 = base price).
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/search',
+    './cls_constants',
+    './cls_bf_calculator'
+], (search, Constants, BFCalculator) => {
+
+    const LINE_FIELDS = Constants.LINE_FIELDS;
+    const GRADE_FIELDS = Constants.GRADE_FIELDS;
+    const CUSTOMER_FIELDS = Constants.CUSTOMER_FIELDS;
+
+    // Lookup caches, scoped to a single script execution or page
+    const gradeModifierCache = {};
+    const customerBasisCache = {};
+
+    /**
+     * Get a grade's price modifier percentage
+     *
+     * @param {number} gradeId - Grade internal ID
+     * @returns {number|null} Modifier percentage, or null if the grade has none
+     */
+    const getGradePriceModifier = (gradeId) => {
+        if (!gradeId) return null;
+        if (gradeModifierCache[gradeId] !== undefined) return gradeModifierCache[gradeId];
+
+        let modifier = null;
+        try {
+            const lookupResult = search.lookupFields({
+                type: Constants.RECORD_TYPES.GRADE,
+                id: gradeId,
+                columns: [GRADE_FIELDS.PRICE_MODIFIER]
+            });
+            modifier = parseFloat(lookupResult[GRADE_FIELDS.PRICE_MODIFIER]) || null;
+        } catch (e) {
+            modifier = null;
+        }
+
+        gradeModifierCache[gradeId] = modifier;
+        return modifier;
+    };
+
+    /**
+     * Get the grade-modified price per BF
+     *
+     * @param {number} baseBFPrice - Item base price per BF
+     * @param {number} [gradeId] - Grade internal ID (none prices at base)
+     * @returns {number} Price per BF, or 0 when there is no base price
+     */
+    const getGradedBFPrice = (baseBFPrice, gradeId) => {
+        return BFCalculator.applyGradeModifier(baseBFPrice, getGradePriceModifier(gradeId));
+    };
+
+    /**
+     * Get a customer's pricing basis override
+     *
+     * @param {number|string} customerId - Customer internal ID
+     * @returns {string|null} Dimension basis value, or null if not set
+     */
+    const getCustomerPricingBasis = (customerId) => {
+        if (!customerId) return null;
+        if (customerBasisCache[customerId] !== undefined) return customerBasisCache[customerId];
+
+        let basis = null;
+        try {
+            const lookupResult = search.lookupFields({
+                type: search.Type.CUSTOMER,
+                id: customerId,
+                columns: [CUSTOMER_FIELDS.PRICING_BASIS]
+            });
+            const basisField = lookupResult[CUSTOMER_FIELDS.PRICING_BASIS];
+            basis = basisField && basisField.length > 0 ? basisField[0].value : null;
+        } catch (e) {
+            basis = null;
+        }
+
+        customerBasisCache[customerId] = basis;
+        return basis;
+    };
+
+    /**
+     * Check whether a line's rate should be set from the graded BF price
+     * A rate entered by hand is kept unless the line's item or grade
+     * override changed since the record was last saved.
+     *
+     * @param {Record} rec - Record being saved
+     * @param {number} lineNum - Line index
+     * @param {Record} [oldRecord] - Record before the edit
+     * @returns {boolean}
+     */
+    const shouldRepriceLine = (rec, lineNum, oldRecord) => {
+        const rate = rec.getSublistValue({ sublistId: 'item', fieldId: 'rate', line: lineNum });
+        if (rate === '' || rate === null || rate === undefined) return true;
+
+        if (!oldRecord) return false;
+
+        const lineId = rec.getSublistValue({ sublistId: 'item', fieldId: 'line', line: lineNum });
+        const oldLine = lineId
+            ? oldRecord.findSublistLineWithValue({ sublistId: 'item', fieldId: 'line', value: lineId })
+            : -1;
+
+        if (oldLine === -1) return false;
+
+        return ['item', LINE_FIELDS.GRADE_OVERRIDE].some(fieldId =>
+            String(rec.getSublistValue({ sublistId: 'item', fieldId, line: lineNum }) || '') !==
+            String(oldRecord.getSublistValue({ sublistId: 'item', fieldId, line: oldLine }) || '')
+        );
+    };
+
+    return {
+        getGradePriceModifier,
+        getGradedBFPrice,
+        getCustomerPricingBasis,
+        shouldRepriceLine
+    };
+});
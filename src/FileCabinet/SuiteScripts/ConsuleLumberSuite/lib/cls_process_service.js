@@ -17,6 +17,8 @@ define([
     './cls_constants',
     './cls_settings_dao',
     './cls_bf_calculator',
+    './cls_dimension_resolver',
+    './cls_landed_cost_service',
     './cls_logger'
 ], (
     record,
@@ -25,6 +27,8 @@ define([
     Constants,
     SettingsDAO,
     BFCalculator,
+    DimensionResolver,
+    LandedCostService,
     Logger
 ) => {
 
@@ -32,17 +36,50 @@ define([
     const RECORD_TYPES = Constants.RECORD_TYPES;
     const PROCESS_TARGET_FIELDS = Constants.PROCESS_TARGET_FIELDS;
     const BYPRODUCT_FIELDS = Constants.BYPRODUCT_FIELDS;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
     const PRECISION = Constants.PRECISION;
+    const SPECIES_FIELDS = Constants.SPECIES_FIELDS;
+    const LINE_FIELDS = Constants.LINE_FIELDS;
+    const BODY_FIELDS = Constants.BODY_FIELDS;
+    const DEFAULTS = Constants.DEFAULTS;
 
     /**
      * Get process target yield for a given process type and optional species
+     * Kiln drying targets use the moisture/shrinkage model when drying
+     * conditions are supplied, replacing the flat shrinkage percentage.
+     * Surfacing targets use the nominal-to-dressed loss in place of kerf.
      *
      * @param {Object} options
      * @param {string} options.processType - Process type list value
      * @param {number} [options.speciesId] - Optional species record ID
+     * @param {Object} [options.drying] - Drying conditions { currentMC, targetMC }
+     * @param {Object} [options.surfacing] - Surfacing dimensions { nominal, actual }
      * @returns {Object} Process target data
      */
     const getProcessTarget = (options) => {
+        const { processType, drying, surfacing } = options;
+        const target = lookupProcessTarget(options);
+
+        if (processType === Constants.PROCESS_TYPES.KILN_DRYING && drying) {
+            return applyDryingModel(target, drying, options.speciesId);
+        }
+
+        if (processType === Constants.PROCESS_TYPES.SURFACING && surfacing) {
+            return applySurfacingModel(target, surfacing);
+        }
+
+        return target;
+    };
+
+    /**
+     * Look up the configured process target record
+     *
+     * @param {Object} options
+     * @param {string} options.processType - Process type list value
+     * @param {number} [options.speciesId] - Optional species record ID
+     * @returns {Object} Process target data
+     */
+    const lookupProcessTarget = (options) => {
         const { processType, speciesId } = options;
 
         if (!processType) {
@@ -112,6 +149,226 @@ define([
         }
     };
 
+    /**
+     * Replace a target's flat shrinkage with the modeled drying shrinkage
+     * and derive the expected yield from the remaining losses
+     *
+     * @param {Object} target - Process target data
+     * @param {Object} drying - Drying conditions { currentMC, targetMC }
+     * @param {number} [speciesId] - Species record ID
+     * @returns {Object} Process target data with modeled shrinkage
+     */
+    const applyDryingModel = (target, drying, speciesId) => {
+        const model = calculateDryingShrinkage({
+            currentMC: drying.currentMC,
+            targetMC: drying.targetMC,
+            speciesId: speciesId
+        });
+
+        if (!model.isValid) {
+            return target;
+        }
+
+        const kerfLoss = target.kerfLoss || 0;
+        const defectRate = target.defectRate || 0;
+        const expectedYield = 100 - kerfLoss - model.shrinkagePct - defectRate;
+
+        return {
+            ...target,
+            isModeled: true,
+            shrinkage: model.shrinkagePct,
+            flatShrinkage: target.shrinkage,
+            targetYield: BFCalculator.roundTo(Math.max(expectedYield, 0), PRECISION.PERCENTAGE),
+            drying: model
+        };
+    };
+
+    /**
+     * Replace a target's flat kerf loss with the loss from nominal to actual
+     * dressed dimensions and derive the expected yield
+     *
+     * @param {Object} target - Process target data
+     * @param {Object} surfacing - Surfacing dimensions { nominal, actual }
+     * @returns {Object} Process target data with modeled surfacing loss
+     */
+    const applySurfacingModel = (target, surfacing) => {
+        const model = BFCalculator.calculateSurfacingYield(surfacing.nominal, surfacing.actual);
+
+        if (model.lossPct <= 0) {
+            return target;
+        }
+
+        const shrinkage = target.shrinkage || 0;
+        const defectRate = target.defectRate || 0;
+        const expectedYield = 100 - model.lossPct - shrinkage - defectRate;
+
+        return {
+            ...target,
+            isModeled: true,
+            kerfLoss: model.lossPct,
+            flatKerfLoss: target.kerfLoss,
+            targetYield: BFCalculator.roundTo(Math.max(expectedYield, 0), PRECISION.PERCENTAGE),
+            surfacing: {
+                ...model,
+                nominal: surfacing.nominal,
+                actual: surfacing.actual
+            }
+        };
+    };
+
+    /**
+     * Get the nominal and actual dressed dimensions of a surfaced item
+     *
+     * @param {number} itemId - Output (assembly) item internal ID
+     * @returns {Object|null} { nominal, actual } or null if the item has no dressed dimensions
+     */
+    const resolveSurfacingDimensions = (itemId) => {
+        if (!itemId) return null;
+
+        const itemDims = DimensionResolver.getItemDimensions(itemId);
+        if (!itemDims.isValid || !itemDims.isDressed) return null;
+
+        return {
+            nominal: itemDims.nominal,
+            actual: itemDims.actual
+        };
+    };
+
+    /**
+     * Get the species of a work order's output item
+     *
+     * @param {number} itemId - Output (assembly) item internal ID
+     * @returns {string|null} Species record ID, or null if the item has none
+     */
+    const resolveItemSpecies = (itemId) => {
+        if (!itemId) return null;
+        return DimensionResolver.getItemDimensions(itemId).species || null;
+    };
+
+    /**
+     * Get species shrinkage coefficients, falling back to generic defaults
+     *
+     * @param {number} [speciesId] - Species record ID
+     * @returns {Object} { radialShrinkage, tangentialShrinkage, source }
+     */
+    const getSpeciesShrinkage = (speciesId) => {
+        const result = {
+            radialShrinkage: DEFAULTS.RADIAL_SHRINKAGE,
+            tangentialShrinkage: DEFAULTS.TANGENTIAL_SHRINKAGE,
+            source: 'default'
+        };
+
+        if (!speciesId) return result;
+
+        try {
+            const lookupResult = search.lookupFields({
+                type: RECORD_TYPES.SPECIES,
+                id: speciesId,
+                columns: [SPECIES_FIELDS.RADIAL_SHRINKAGE, SPECIES_FIELDS.TANGENTIAL_SHRINKAGE]
+            });
+
+            const radial = parseFloat(lookupResult[SPECIES_FIELDS.RADIAL_SHRINKAGE]);
+            const tangential = parseFloat(lookupResult[SPECIES_FIELDS.TANGENTIAL_SHRINKAGE]);
+
+            if (radial > 0 && tangential > 0) {
+                result.radialShrinkage = radial;
+                result.tangentialShrinkage = tangential;
+                result.source = 'species';
+            }
+        } catch (e) {
+            log.error('getSpeciesShrinkage', e);
+        }
+
+        return result;
+    };
+
+    /**
+     * Calculate expected BF shrinkage for drying from current to target moisture
+     *
+     * @param {Object} options
+     * @param {number} options.currentMC - Current (green) moisture content percentage
+     * @param {number} options.targetMC - Target moisture content percentage
+     * @param {number} [options.speciesId] - Species record ID
+     * @param {number} [options.thickness] - Current thickness in inches
+     * @param {number} [options.width] - Current width in inches
+     * @param {number} [options.length] - Length in feet
+     * @returns {Object} Shrinkage model result
+     */
+    const calculateDryingShrinkage = (options) => {
+        const { currentMC, targetMC, speciesId, thickness, width, length } = options;
+
+        const current = parseFloat(currentMC);
+        const targetValue = parseFloat(targetMC);
+
+        if (isNaN(current) || isNaN(targetValue) || current < 0 || targetValue < 0) {
+            return { isValid: false, shrinkagePct: 0 };
+        }
+
+        const coefficients = getSpeciesShrinkage(speciesId);
+        const projection = BFCalculator.projectDriedDimensions({
+            thickness,
+            width,
+            length,
+            currentMC: current,
+            targetMC: targetValue,
+            radialShrinkage: coefficients.radialShrinkage,
+            tangentialShrinkage: coefficients.tangentialShrinkage
+        });
+
+        return {
+            isValid: true,
+            currentMC: current,
+            targetMC: targetValue,
+            shrinkagePct: projection.shrinkagePct,
+            coefficientSource: coefficients.source,
+            projection: projection
+        };
+    };
+
+    /**
+     * Read drying conditions from a work order
+     * Current moisture is the BF-weighted average of component line moisture;
+     * target moisture comes from the body field, defaulting to kiln-dried
+     *
+     * @param {Record} rec - Work Order record
+     * @param {string} [sublistId='item'] - Component sublist ID
+     * @returns {Object|null} { currentMC, targetMC } or null if no line moisture is recorded
+     */
+    const resolveDryingConditions = (rec, sublistId = 'item') => {
+        let weightedMC = 0;
+        let totalWeight = 0;
+
+        const lineCount = rec.getLineCount({ sublistId });
+
+        for (let i = 0; i < lineCount; i++) {
+            const moisture = parseFloat(rec.getSublistValue({
+                sublistId,
+                fieldId: LINE_FIELDS.MOISTURE_PCT,
+                line: i
+            }));
+
+            if (isNaN(moisture)) continue;
+
+            const lineBF = parseFloat(rec.getSublistValue({
+                sublistId,
+                fieldId: LINE_FIELDS.CALCULATED_BF,
+                line: i
+            })) || 1;
+
+            weightedMC += moisture * lineBF;
+            totalWeight += lineBF;
+        }
+
+        if (totalWeight <= 0) return null;
+
+        const targetMC = parseFloat(rec.getValue({ fieldId: BODY_FIELDS.TARGET_MOISTURE }));
+
+        return {
+            currentMC: BFCalculator.roundTo(weightedMC / totalWeight, PRECISION.PERCENTAGE),
+            targetMC: isNaN(targetMC) ? DEFAULTS.MOISTURE_PCT : targetMC
+        };
+    };
+
     /**
      * Search for process target record
      *
@@ -128,7 +385,9 @@ define([
                 PROCESS_TARGET_FIELDS.KERF_LOSS,
                 PROCESS_TARGET_FIELDS.SHRINKAGE,
                 PROCESS_TARGET_FIELDS.DEFECT_RATE,
-                PROCESS_TARGET_FIELDS.NOTES
+                PROCESS_TARGET_FIELDS.NOTES,
+                PROCESS_TARGET_FIELDS.COST_SPLIT_METHOD,
+                PROCESS_TARGET_FIELDS.CONVERSION_RATE
             ]
         }).run().getRange({ start: 0, end: 1 });
 
@@ -142,7 +401,9 @@ define([
                 kerfLoss: parseFloat(result.getValue(PROCESS_TARGET_FIELDS.KERF_LOSS)) || 0,
                 shrinkage: parseFloat(result.getValue(PROCESS_TARGET_FIELDS.SHRINKAGE)) || 0,
                 defectRate: parseFloat(result.getValue(PROCESS_TARGET_FIELDS.DEFECT_RATE)) || 0,
-                notes: result.getValue(PROCESS_TARGET_FIELDS.NOTES)
+                notes: result.getValue(PROCESS_TARGET_FIELDS.NOTES),
+                costSplitMethod: result.getValue(PROCESS_TARGET_FIELDS.COST_SPLIT_METHOD) || null,
+                conversionRate: parseFloat(result.getValue(PROCESS_TARGET_FIELDS.CONVERSION_RATE)) || null
             };
         }
 
@@ -417,6 +678,17 @@ define([
                 }
             });
 
+            // A by-product costed at completion passes its cost to the tally
+            const bfCost = parseFloat(search.lookupFields({
+                type: RECORD_TYPES.BYPRODUCT,
+                id: byproductId,
+                columns: [BYPRODUCT_FIELDS.BF_COST]
+            })[BYPRODUCT_FIELDS.BF_COST]);
+
+            if (!isNaN(bfCost)) {
+                stampTallyCost(tallyId, bfCost);
+            }
+
             return { success: true };
         } catch (e) {
             log.error('linkByproductToTally', e);
@@ -424,13 +696,72 @@ define([
         }
     };
 
+    /**
+     * Record the rolled-up cost of a by-product and pass it to its tally
+     *
+     * @param {number} byproductId - By-product record ID
+     * @param {Object} cost - Cost from the cost roll
+     * @param {number} cost.allocatedCost - Share of the process cost
+     * @param {number} cost.bfCost - Cost per BF
+     * @returns {Object} Result
+     */
+    const setByproductCost = (byproductId, cost) => {
+        try {
+            record.submitFields({
+                type: RECORD_TYPES.BYPRODUCT,
+                id: byproductId,
+                values: {
+                    [BYPRODUCT_FIELDS.ROLLED_COST]: cost.allocatedCost,
+                    [BYPRODUCT_FIELDS.BF_COST]: cost.bfCost
+                }
+            });
+
+            const tallyId = search.lookupFields({
+                type: RECORD_TYPES.BYPRODUCT,
+                id: byproductId,
+                columns: [BYPRODUCT_FIELDS.CREATED_TALLY]
+            })[BYPRODUCT_FIELDS.CREATED_TALLY];
+
+            if (tallyId && tallyId.length > 0) {
+                stampTallyCost(tallyId[0].value, cost.bfCost);
+            }
+
+            return { success: true };
+        } catch (e) {
+            log.error('setByproductCost', e);
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Set a by-product tally's cost from the by-product's BF cost
+     *
+     * @param {number} tallyId - Tally sheet ID
+     * @param {number} bfCost - Cost per BF
+     */
+    const stampTallyCost = (tallyId, bfCost) => {
+        const receivedBF = parseFloat(search.lookupFields({
+            type: RECORD_TYPES.TALLY_SHEET,
+            id: tallyId,
+            columns: [TALLY_FIELDS.RECEIVED_BF]
+        })[TALLY_FIELDS.RECEIVED_BF]) || 0;
+
+        LandedCostService.setInheritedCost(tallyId, bfCost, receivedBF);
+    };
+
     return {
         getProcessTarget,
+        getSpeciesShrinkage,
+        calculateDryingShrinkage,
+        resolveDryingConditions,
+        resolveSurfacingDimensions,
+        resolveItemSpecies,
         calculateWasteBreakdown,
         createByproduct,
         createByproductsFromWaste,
         getByproductsForWorkOrder,
         getByproductTotals,
-        linkByproductToTally
+        linkByproductToTally,
+        setByproductCost
     };
 });
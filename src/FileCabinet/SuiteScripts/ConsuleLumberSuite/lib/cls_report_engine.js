@@ -0,0 +1,865 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_report_engine
+ *
+ * Consule LumberSuite™ - Report Engine
+ * Builds the data for each Report Generator report so the Suitelet, saved
+ * templates and the report scheduler produce the same report
+ *
+ * Every report returns { title, subtitle, columns, rows } plus optional
+ * summary blocks (totals, byLocation, byOperator, agingBuckets).
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/search'
+], (search) => {
+
+    /**
+     * Report definitions
+     */
+    const REPORT_TYPES = {
+        PRODUCTION_SUMMARY: {
+            id: 'production_summary',
+            name: 'Production Summary Report',
+            description: 'Summary of production output, yield, and efficiency metrics',
+            category: 'production'
+        },
+        YIELD_ANALYSIS: {
+            id: 'yield_analysis',
+            name: 'Yield Analysis Report',
+            description: 'Detailed yield analysis by operation, item, and operator',
+            category: 'yield'
+        },
+        INVENTORY_STATUS: {
+            id: 'inventory_status',
+            name: 'Inventory Status Report',
+            description: 'Current tally inventory by location and item',
+            category: 'inventory'
+        },
+        INVENTORY_AGING: {
+            id: 'inventory_aging',
+            name: 'Inventory Aging Report',
+            description: 'Age analysis of tally inventory',
+            category: 'inventory'
+        },
+        TALLY_CONSUMPTION: {
+            id: 'tally_consumption',
+            name: 'Tally Consumption Report',
+            description: 'Tally consumption history and allocation details',
+            category: 'inventory'
+        },
+        REPACK_SUMMARY: {
+            id: 'repack_summary',
+            name: 'Repack Operations Report',
+            description: 'Summary of repack operations and yield',
+            category: 'production'
+        },
+        SALES_BF: {
+            id: 'sales_bf',
+            name: 'Sales by BF Report',
+            description: 'Sales analysis by board feet sold',
+            category: 'sales'
+        },
+        WORK_ORDER_STATUS: {
+            id: 'work_order_status',
+            name: 'Work Order Status Report',
+            description: 'Active and completed work orders with BF consumption',
+            category: 'production'
+        }
+    };
+
+    /**
+     * Gets date filter for search based on range type
+     *
+     * @param {string} fieldId - Date field ID
+     * @param {Object} params - Report parameters
+     * @returns {Array} Search filters
+     */
+    const getDateFilter = (fieldId, params) => {
+        if (params.rangeType === 'custom' && params.dateFrom && params.dateTo) {
+            return [[fieldId, 'within', params.dateFrom, params.dateTo]];
+        }
+
+        const rangeMap = {
+            'today': 'today',
+            'yesterday': 'yesterday',
+            'thisweek': 'thisweek',
+            'lastweek': 'lastweek',
+            'thismonth': 'thismonth',
+            'lastmonth': 'lastmonth',
+            'thisquarter': 'thisfiscalquarter',
+            'thisyear': 'thisfiscalyear'
+        };
+
+        const range = rangeMap[params.rangeType] || 'thismonth';
+        return [[fieldId, 'within', range]];
+    };
+
+    /**
+     * Generates Production Summary Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateProductionSummary = (params) => {
+        const report = {
+            title: 'Production Summary Report',
+            subtitle: `Generated: ${new Date().toLocaleString()}`,
+            columns: ['Date', 'Work Orders', 'Output BF', 'Input BF', 'Waste BF', 'Yield %'],
+            rows: [],
+            totals: { workOrders: 0, outputBF: 0, inputBF: 0, wasteBF: 0 },
+            charts: []
+        };
+
+        try {
+            const filters = getDateFilter('custrecord_cls_yield_date', params);
+
+            if (params.location) {
+                filters.push('AND', ['custrecord_cls_yield_location', 'anyof', params.location]);
+            }
+
+            const prodSearch = search.create({
+                type: 'customrecord_cls_yield_register',
+                filters: filters,
+                columns: [
+                    search.createColumn({
+                        name: 'custrecord_cls_yield_date',
+                        summary: search.Summary.GROUP,
+                        sort: search.Sort.ASC
+                    }),
+                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
+                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
+                    search.createColumn({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM }),
+                    search.createColumn({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM }),
+                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })
+                ]
+            });
+
+            prodSearch.run().each(result => {
+                const date = result.getValue({
+                    name: 'custrecord_cls_yield_date',
+                    summary: search.Summary.GROUP
+                });
+                const orders = parseInt(result.getValue({
+                    name: 'internalid',
+                    summary: search.Summary.COUNT
+                }), 10) || 0;
+                const outputBF = parseFloat(result.getValue({
+                    name: 'custrecord_cls_yield_output_bf',
+                    summary: search.Summary.SUM
+                })) || 0;
+                const inputBF = parseFloat(result.getValue({
+                    name: 'custrecord_cls_yield_input_bf',
+                    summary: search.Summary.SUM
+                })) || 0;
+                const wasteBF = parseFloat(result.getValue({
+                    name: 'custrecord_cls_yield_waste_bf',
+                    summary: search.Summary.SUM
+                })) || 0;
+                const yieldPct = parseFloat(result.getValue({
+                    name: 'custrecord_cls_yield_percentage',
+                    summary: search.Summary.AVG
+                })) || 0;
+
+                report.rows.push([
+                    date,
+                    orders,
+                    outputBF.toFixed(2),
+                    inputBF.toFixed(2),
+                    wasteBF.toFixed(2),
+                    yieldPct.toFixed(1) + '%'
+                ]);
+
+                report.totals.workOrders += orders;
+                report.totals.outputBF += outputBF;
+                report.totals.inputBF += inputBF;
+                report.totals.wasteBF += wasteBF;
+
+                if (params.includeCharts) {
+                    report.charts.push({ date: date, value: outputBF });
+                }
+
+                return true;
+            });
+
+            report.totals.avgYield = report.totals.inputBF > 0
+                ? (report.totals.outputBF / report.totals.inputBF * 100).toFixed(1) + '%'
+                : '0%';
+
+        } catch (e) {
+            log.error({ title: 'Production Summary Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Yield Analysis Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateYieldAnalysis = (params) => {
+        const report = {
+            title: 'Yield Analysis Report',
+            subtitle: `Generated: ${new Date().toLocaleString()}`,
+            columns: ['Operation Type', 'Count', 'Input BF', 'Output BF', 'Waste BF', 'Avg Yield'],
+            rows: [],
+            byOperator: [],
+            totals: {}
+        };
+
+        try {
+            const filters = getDateFilter('custrecord_cls_yield_date', params);
+
+            // By operation type
+            const typeSearch = search.create({
+                type: 'customrecord_cls_yield_register',
+                filters: filters,
+                columns: [
+                    search.createColumn({
+                        name: 'custrecord_cls_yield_operation',
+                        summary: search.Summary.GROUP
+                    }),
+                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
+                    search.createColumn({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM }),
+                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
+                    search.createColumn({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM }),
+                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })
+                ]
+            });
+
+            typeSearch.run().each(result => {
+                const operation = result.getText({
+                    name: 'custrecord_cls_yield_operation',
+                    summary: search.Summary.GROUP
+                }) || result.getValue({
+                    name: 'custrecord_cls_yield_operation',
+                    summary: search.Summary.GROUP
+                }) || 'Unknown';
+
+                report.rows.push([
+                    operation,
+                    result.getValue({ name: 'internalid', summary: search.Summary.COUNT }),
+                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM })) || 0).toFixed(2),
+                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM })) || 0).toFixed(2),
+                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM })) || 0).toFixed(2),
+                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0).toFixed(1) + '%'
+                ]);
+
+                return true;
+            });
+
+            // By operator
+            const opSearch = search.create({
+                type: 'customrecord_cls_yield_register',
+                filters: filters.concat([
+                    'AND',
+                    ['custrecord_cls_yield_operator', 'noneof', '@NONE@']
+                ]),
+                columns: [
+                    search.createColumn({
+                        name: 'custrecord_cls_yield_operator',
+                        summary: search.Summary.GROUP
+                    }),
+                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
+                    search.createColumn({
+                        name: 'custrecord_cls_yield_percentage',
+                        summary: search.Summary.AVG,
+                        sort: search.Sort.DESC
+                    })
+                ]
+            });
+
+            opSearch.run().each(result => {
+                report.byOperator.push({
+                    name: result.getText({
+                        name: 'custrecord_cls_yield_operator',
+                        summary: search.Summary.GROUP
+                    }),
+                    count: result.getValue({ name: 'internalid', summary: search.Summary.COUNT }),
+                    avgYield: (parseFloat(result.getValue({
+                        name: 'custrecord_cls_yield_percentage',
+                        summary: search.Summary.AVG
+                    })) || 0).toFixed(1) + '%'
+                });
+                return true;
+            });
+
+        } catch (e) {
+            log.error({ title: 'Yield Analysis Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Inventory Status Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateInventoryStatus = (params) => {
+        const report = {
+            title: 'Inventory Status Report',
+            subtitle: `As of: ${new Date().toLocaleString()}`,
+            columns: ['Tally #', 'Item', 'Location', 'Status', 'Total BF', 'Available BF', 'Pieces'],
+            rows: [],
+            summary: { totalBF: 0, availableBF: 0, tallies: 0 },
+            byLocation: []
+        };
+
+        try {
+            const filters = [['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]];
+
+            if (params.location) {
+                filters.push('AND', ['custrecord_cls_tally_location', 'anyof', params.location]);
+            }
+
+            if (params.item) {
+                filters.push('AND', ['custrecord_cls_tally_item', 'anyof', params.item]);
+            }
+
+            const invSearch = search.create({
+                type: 'customrecord_cls_tally_sheet',
+                filters: filters,
+                columns: [
+                    'name',
+                    'custrecord_cls_tally_item',
+                    'custrecord_cls_tally_location',
+                    'custrecord_cls_tally_status',
+                    'custrecord_cls_tally_bf_total',
+                    'custrecord_cls_tally_bf_available',
+                    'custrecord_cls_tally_pieces'
+                ]
+            });
+
+            invSearch.run().each(result => {
+                const totalBF = parseFloat(result.getValue('custrecord_cls_tally_bf_total')) || 0;
+                const availBF = parseFloat(result.getValue('custrecord_cls_tally_bf_available')) || 0;
+
+                report.rows.push([
+                    result.getValue('name'),
+                    result.getText('custrecord_cls_tally_item'),
+                    result.getText('custrecord_cls_tally_location'),
+                    result.getValue('custrecord_cls_tally_status'),
+                    totalBF.toFixed(2),
+                    availBF.toFixed(2),
+                    result.getValue('custrecord_cls_tally_pieces') || 0
+                ]);
+
+                report.summary.totalBF += totalBF;
+                report.summary.availableBF += availBF;
+                report.summary.tallies++;
+
+                return true;
+            });
+
+            // Group by location summary
+            const locSearch = search.create({
+                type: 'customrecord_cls_tally_sheet',
+                filters: filters,
+                columns: [
+                    search.createColumn({
+                        name: 'custrecord_cls_tally_location',
+                        summary: search.Summary.GROUP
+                    }),
+                    search.createColumn({
+                        name: 'custrecord_cls_tally_bf_available',
+                        summary: search.Summary.SUM
+                    }),
+                    search.createColumn({
+                        name: 'internalid',
+                        summary: search.Summary.COUNT
+                    })
+                ]
+            });
+
+            locSearch.run().each(result => {
+                report.byLocation.push({
+                    location: result.getText({
+                        name: 'custrecord_cls_tally_location',
+                        summary: search.Summary.GROUP
+                    }),
+                    bf: parseFloat(result.getValue({
+                        name: 'custrecord_cls_tally_bf_available',
+                        summary: search.Summary.SUM
+                    })) || 0,
+                    tallies: parseInt(result.getValue({
+                        name: 'internalid',
+                        summary: search.Summary.COUNT
+                    }), 10) || 0
+                });
+                return true;
+            });
+
+        } catch (e) {
+            log.error({ title: 'Inventory Status Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Inventory Aging Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateInventoryAging = (params) => {
+        const report = {
+            title: 'Inventory Aging Report',
+            subtitle: `As of: ${new Date().toLocaleString()}`,
+            columns: ['Tally #', 'Item', 'Location', 'Date Created', 'Age (Days)', 'Available BF', 'Status'],
+            rows: [],
+            agingBuckets: {
+                '0-30': { count: 0, bf: 0 },
+                '31-60': { count: 0, bf: 0 },
+                '61-90': { count: 0, bf: 0 },
+                '90+': { count: 0, bf: 0 }
+            }
+        };
+
+        try {
+            const filters = [['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]];
+
+            if (params.location) {
+                filters.push('AND', ['custrecord_cls_tally_location', 'anyof', params.location]);
+            }
+
+            const agingSearch = search.create({
+                type: 'customrecord_cls_tally_sheet',
+                filters: filters,
+                columns: [
+                    'name',
+                    'custrecord_cls_tally_item',
+                    'custrecord_cls_tally_location',
+                    search.createColumn({ name: 'created', sort: search.Sort.ASC }),
+                    'custrecord_cls_tally_bf_available',
+                    'custrecord_cls_tally_status'
+                ]
+            });
+
+            const today = new Date();
+
+            agingSearch.run().each(result => {
+                const createdDate = result.getValue('created');
+                const created = new Date(createdDate);
+                const ageDays = Math.floor((today - created) / (1000 * 60 * 60 * 24));
+                const availBF = parseFloat(result.getValue('custrecord_cls_tally_bf_available')) || 0;
+
+                report.rows.push([
+                    result.getValue('name'),
+                    result.getText('custrecord_cls_tally_item'),
+                    result.getText('custrecord_cls_tally_location'),
+                    createdDate,
+                    ageDays,
+                    availBF.toFixed(2),
+                    result.getValue('custrecord_cls_tally_status')
+                ]);
+
+                // Categorize into buckets
+                if (ageDays <= 30) {
+                    report.agingBuckets['0-30'].count++;
+                    report.agingBuckets['0-30'].bf += availBF;
+                } else if (ageDays <= 60) {
+                    report.agingBuckets['31-60'].count++;
+                    report.agingBuckets['31-60'].bf += availBF;
+                } else if (ageDays <= 90) {
+                    report.agingBuckets['61-90'].count++;
+                    report.agingBuckets['61-90'].bf += availBF;
+                } else {
+                    report.agingBuckets['90+'].count++;
+                    report.agingBuckets['90+'].bf += availBF;
+                }
+
+                return true;
+            });
+
+        } catch (e) {
+            log.error({ title: 'Inventory Aging Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Tally Consumption Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateTallyConsumption = (params) => {
+        const report = {
+            title: 'Tally Consumption Report',
+            subtitle: `Generated: ${new Date().toLocaleString()}`,
+            columns: ['Date', 'Tally #', 'Item', 'Allocated To', 'BF Consumed', 'Remaining BF'],
+            rows: [],
+            totals: { consumed: 0, allocations: 0 }
+        };
+
+        try {
+            const filters = getDateFilter('custrecord_cls_alloc_date', params);
+
+            const allocSearch = search.create({
+                type: 'customrecord_cls_tally_allocation',
+                filters: filters,
+                columns: [
+                    search.createColumn({ name: 'custrecord_cls_alloc_date', sort: search.Sort.DESC }),
+                    'custrecord_cls_alloc_tally',
+                    'custrecord_cls_alloc_item',
+                    'custrecord_cls_alloc_transaction',
+                    'custrecord_cls_alloc_bf',
+                    'custrecord_cls_alloc_remaining'
+                ]
+            });
+
+            allocSearch.run().each(result => {
+                const bfConsumed = parseFloat(result.getValue('custrecord_cls_alloc_bf')) || 0;
+
+                report.rows.push([
+                    result.getValue('custrecord_cls_alloc_date'),
+                    result.getText('custrecord_cls_alloc_tally'),
+                    result.getText('custrecord_cls_alloc_item'),
+                    result.getText('custrecord_cls_alloc_transaction'),
+                    bfConsumed.toFixed(2),
+                    (parseFloat(result.getValue('custrecord_cls_alloc_remaining')) || 0).toFixed(2)
+                ]);
+
+                report.totals.consumed += bfConsumed;
+                report.totals.allocations++;
+
+                return true;
+            });
+
+        } catch (e) {
+            log.error({ title: 'Tally Consumption Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Repack Summary Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateRepackSummary = (params) => {
+        const report = {
+            title: 'Repack Operations Summary',
+            subtitle: `Generated: ${new Date().toLocaleString()}`,
+            columns: ['Repack #', 'Type', 'Date', 'Input BF', 'Output BF', 'Waste BF', 'Yield %', 'Operator'],
+            rows: [],
+            totals: { input: 0, output: 0, waste: 0, count: 0 }
+        };
+
+        try {
+            const filters = [
+                ['custrecord_cls_repack_status', 'is', 'completed']
+            ].concat(getDateFilter('custrecord_cls_repack_date', params));
+
+            if (params.employee) {
+                filters.push('AND', ['custrecord_cls_repack_operator', 'anyof', params.employee]);
+            }
+
+            const repackSearch = search.create({
+                type: 'customrecord_cls_repack_workorder',
+                filters: filters,
+                columns: [
+                    'custrecord_cls_repack_number',
+                    'custrecord_cls_repack_type',
+                    search.createColumn({ name: 'custrecord_cls_repack_date', sort: search.Sort.DESC }),
+                    'custrecord_cls_repack_input_bf',
+                    'custrecord_cls_repack_output_bf',
+                    'custrecord_cls_repack_waste_bf',
+                    'custrecord_cls_repack_yield_pct',
+                    'custrecord_cls_repack_operator'
+                ]
+            });
+
+            repackSearch.run().each(result => {
+                const inputBF = parseFloat(result.getValue('custrecord_cls_repack_input_bf')) || 0;
+                const outputBF = parseFloat(result.getValue('custrecord_cls_repack_output_bf')) || 0;
+                const wasteBF = parseFloat(result.getValue('custrecord_cls_repack_waste_bf')) || 0;
+
+                report.rows.push([
+                    result.getValue('custrecord_cls_repack_number'),
+                    result.getText('custrecord_cls_repack_type'),
+                    result.getValue('custrecord_cls_repack_date'),
+                    inputBF.toFixed(2),
+                    outputBF.toFixed(2),
+                    wasteBF.toFixed(2),
+                    (parseFloat(result.getValue('custrecord_cls_repack_yield_pct')) || 0).toFixed(1) + '%',
+                    result.getText('custrecord_cls_repack_operator')
+                ]);
+
+                report.totals.input += inputBF;
+                report.totals.output += outputBF;
+                report.totals.waste += wasteBF;
+                report.totals.count++;
+
+                return true;
+            });
+
+            report.totals.avgYield = report.totals.input > 0
+                ? (report.totals.output / report.totals.input * 100).toFixed(1) + '%'
+                : '0%';
+
+        } catch (e) {
+            log.error({ title: 'Repack Summary Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Sales by BF Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateSalesBF = (params) => {
+        const report = {
+            title: 'Sales by Board Feet Report',
+            subtitle: `Generated: ${new Date().toLocaleString()}`,
+            columns: ['Order #', 'Date', 'Customer', 'Item', 'Quantity', 'BF Sold', 'Amount'],
+            rows: [],
+            totals: { bf: 0, amount: 0, orders: 0 }
+        };
+
+        try {
+            const filters = [
+                ['type', 'anyof', 'SalesOrd'],
+                'AND',
+                ['mainline', 'is', 'F'],
+                'AND',
+                ['taxline', 'is', 'F'],
+                'AND',
+                ['shipping', 'is', 'F']
+            ].concat(getDateFilter('trandate', params));
+
+            const salesSearch = search.create({
+                type: search.Type.SALES_ORDER,
+                filters: filters,
+                columns: [
+                    'tranid',
+                    search.createColumn({ name: 'trandate', sort: search.Sort.DESC }),
+                    'entity',
+                    'item',
+                    'quantity',
+                    'custcol_cls_bf_total', // Custom BF column
+                    'amount'
+                ]
+            });
+
+            salesSearch.run().each(result => {
+                const bf = parseFloat(result.getValue('custcol_cls_bf_total')) || 0;
+                const amount = parseFloat(result.getValue('amount')) || 0;
+
+                report.rows.push([
+                    result.getValue('tranid'),
+                    result.getValue('trandate'),
+                    result.getText('entity'),
+                    result.getText('item'),
+                    result.getValue('quantity'),
+                    bf.toFixed(2),
+                    '$' + amount.toFixed(2)
+                ]);
+
+                report.totals.bf += bf;
+                report.totals.amount += amount;
+                report.totals.orders++;
+
+                return report.rows.length < 500; // Limit rows
+            });
+
+            report.totals.avgPricePerBF = report.totals.bf > 0
+                ? '$' + (report.totals.amount / report.totals.bf).toFixed(2)
+                : '$0.00';
+
+        } catch (e) {
+            log.error({ title: 'Sales BF Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Generates Work Order Status Report
+     *
+     * @param {Object} params - Report parameters
+     * @returns {Object} Report data
+     */
+    const generateWorkOrderStatus = (params) => {
+        const report = {
+            title: 'Work Order Status Report',
+            subtitle: `Generated: ${new Date().toLocaleString()}`,
+            columns: ['Work Order #', 'Item', 'Quantity', 'Status', '% Complete', 'BF Consumed', 'Created'],
+            rows: [],
+            summary: { active: 0, completed: 0, totalBF: 0 }
+        };
+
+        try {
+            const filters = [['type', 'anyof', 'WorkOrd']];
+
+            if (params.item) {
+                filters.push('AND', ['item', 'anyof', params.item]);
+            }
+
+            const woSearch = search.create({
+                type: search.Type.WORK_ORDER,
+                filters: filters,
+                columns: [
+                    'tranid',
+                    'item',
+                    'quantity',
+                    'status',
+                    'percentcomplete',
+                    'custbody_cls_bf_consumed', // Custom BF field
+                    search.createColumn({ name: 'created', sort: search.Sort.DESC })
+                ]
+            });
+
+            woSearch.run().each(result => {
+                const status = result.getValue('status');
+                const bfConsumed = parseFloat(result.getValue('custbody_cls_bf_consumed')) || 0;
+
+                report.rows.push([
+                    result.getValue('tranid'),
+                    result.getText('item'),
+                    result.getValue('quantity'),
+                    result.getText('status'),
+                    (parseFloat(result.getValue('percentcomplete')) || 0).toFixed(0) + '%',
+                    bfConsumed.toFixed(2),
+                    result.getValue('created')
+                ]);
+
+                if (status === 'WorkOrd:G') {
+                    report.summary.completed++;
+                } else {
+                    report.summary.active++;
+                }
+                report.summary.totalBF += bfConsumed;
+
+                return report.rows.length < 500;
+            });
+
+        } catch (e) {
+            log.error({ title: 'Work Order Status Error', details: e.message });
+            report.error = e.message;
+        }
+
+        return report;
+    };
+
+    /**
+     * Report builder for each report type
+     */
+    const REPORT_BUILDERS = {
+        production_summary: generateProductionSummary,
+        yield_analysis: generateYieldAnalysis,
+        inventory_status: generateInventoryStatus,
+        inventory_aging: generateInventoryAging,
+        tally_consumption: generateTallyConsumption,
+        repack_summary: generateRepackSummary,
+        sales_bf: generateSalesBF,
+        work_order_status: generateWorkOrderStatus
+    };
+
+    /**
+     * Report columns that are not summed in totals and subtotals
+     */
+    const NON_ADDITIVE_COLUMN = /%|#|\byield\b|\bage\b|days|\bavg\b|average|rate|price|per\b|\bid\b/i;
+
+    /**
+     * Report column each Group By option groups on
+     */
+    const GROUP_BY_COLUMNS = {
+        date: 'Date',
+        item: 'Item',
+        location: 'Location',
+        operator: 'Operator'
+    };
+
+    /**
+     * Check whether a report column can be summed
+     *
+     * @param {string} header - Column header
+     * @returns {boolean}
+     */
+    const isAdditiveColumn = (header) => !NON_ADDITIVE_COLUMN.test(header || '');
+
+    /**
+     * Find the column a Group By option groups on
+     *
+     * @param {Array<string>} columns - Report column headers
+     * @param {string} groupBy - Group By option
+     * @returns {number} Column index, or -1 when the report has no such column
+     */
+    const getGroupColumn = (columns, groupBy) => {
+        const header = GROUP_BY_COLUMNS[groupBy];
+        if (!header) return -1;
+
+        return (columns || []).findIndex(column => String(column).toLowerCase().startsWith(header.toLowerCase()));
+    };
+
+    /**
+     * Check whether a report type is one of the engine's reports
+     *
+     * @param {string} reportType - Report type ID
+     * @returns {boolean}
+     */
+    const isReportType = (reportType) => Object.prototype.hasOwnProperty.call(REPORT_BUILDERS, reportType);
+
+    /**
+     * Get a report definition by ID
+     *
+     * @param {string} reportType - Report type ID
+     * @returns {Object|null} Report definition
+     */
+    const getReportType = (reportType) => {
+        return Object.values(REPORT_TYPES).find(report => report.id === reportType) || null;
+    };
+
+    /**
+     * Build report data
+     *
+     * @param {string} reportType - Report type ID
+     * @param {Object} params - Report parameters
+     * @param {string} [params.rangeType='thismonth'] - Relative date range, or 'custom'
+     * @param {string} [params.dateFrom] - Custom range start
+     * @param {string} [params.dateTo] - Custom range end
+     * @param {string} [params.location] - Location filter
+     * @param {string} [params.item] - Item filter
+     * @param {string} [params.employee] - Operator filter
+     * @param {string} [params.groupBy='none'] - Grouping
+     * @param {boolean} [params.includeCharts] - Include charts
+     * @returns {Object|null} Report data, or null for an unknown report type
+     */
+    const runReport = (reportType, params) => {
+        if (!isReportType(reportType)) return null;
+
+        return REPORT_BUILDERS[reportType](Object.assign({ rangeType: 'thismonth', groupBy: 'none' }, params));
+    };
+
+    return {
+        REPORT_TYPES,
+        isReportType,
+        getReportType,
+        isAdditiveColumn,
+        getGroupColumn,
+        runReport
+    };
+});
@@ -0,0 +1,602 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_report_schedule_service
+ *
+ * Consule LumberSuite™ - Report Schedule Service
+ * Maintains report schedules and their run history for the report scheduler
+ *
+ * A schedule runs a built-in scheduler report, a Report Generator report or
+ * a saved report template. The scheduler runs hourly and picks up schedules
+ * that are due:
+ * - Daily, weekly (day 0 = Sunday) or monthly (day of month)
+ * - Within the schedule's window of hours (NetSuite server time)
+ * - Not already run that day, and not paused
+ *
+ * Run Now flags a schedule to run on the next pass regardless of frequency
+ * and queues the scheduler. Every run is logged as a CLS Report Run under
+ * the schedule, and its outcome is copied onto the schedule.
+ *
+ * Reports too large for a Suitelet are queued as one-off requests on the
+ * scheduler's on-demand deployment.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/record',
+    'N/search',
+    'N/format',
+    'N/task',
+    './cls_constants',
+    './cls_report_engine'
+], (record, search, format, task, Constants, ReportEngine) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const SCHED_FIELDS = Constants.REPORT_SCHEDULE_FIELDS;
+    const RUN_FIELDS = Constants.REPORT_RUN_FIELDS;
+    const RUN_STATUS = Constants.REPORT_RUN_STATUS;
+    const FREQUENCIES = Constants.REPORT_FREQUENCIES;
+
+    /**
+     * Reports built into the scheduler (not available in the Report Generator)
+     */
+    const BUILT_IN_REPORTS = {
+        daily_production: 'Daily Production Report',
+        daily_yield: 'Daily Yield Report',
+        weekly_summary: 'Weekly Summary Report',
+        monthly_summary: 'Monthly Summary Report',
+        inventory_snapshot: 'Inventory Snapshot'
+    };
+
+    /**
+     * Scheduler parameter carrying an on-demand report request
+     */
+    const REQUEST_PARAM = 'custscript_cls_report_request';
+
+    const MAX_MESSAGE_LENGTH = 3900;
+    const DEFAULT_HISTORY_LIMIT = 25;
+
+    const SCHEDULE_COLUMNS = [
+        SCHED_FIELDS.NAME,
+        SCHED_FIELDS.REPORT_TYPE,
+        SCHED_FIELDS.TEMPLATE,
+        SCHED_FIELDS.FREQUENCY,
+        SCHED_FIELDS.DAY,
+        SCHED_FIELDS.WINDOW_START,
+        SCHED_FIELDS.WINDOW_END,
+        SCHED_FIELDS.RECIPIENTS,
+        SCHED_FIELDS.FILTERS,
+        SCHED_FIELDS.OUTPUT_FORMAT,
+        SCHED_FIELDS.PAUSED,
+        SCHED_FIELDS.RUN_NOW,
+        SCHED_FIELDS.LAST_RUN,
+        SCHED_FIELDS.LAST_STATUS,
+        SCHED_FIELDS.LAST_MESSAGE
+    ];
+
+    const isChecked = (value) => value === true || value === 'T';
+
+    /**
+     * Get the reports a schedule can run
+     *
+     * @returns {Array<Object>} Options with id and name
+     */
+    const getReportOptions = () => {
+        const builtIn = Object.keys(BUILT_IN_REPORTS).map(id => ({ id, name: BUILT_IN_REPORTS[id] }));
+        const generator = Object.values(ReportEngine.REPORT_TYPES).map(report => ({ id: report.id, name: report.name }));
+
+        return builtIn.concat(generator);
+    };
+
+    /**
+     * Get the display name of a report type
+     *
+     * @param {string} reportType - Report type ID
+     * @returns {string} Report name
+     */
+    const getReportName = (reportType) => {
+        if (BUILT_IN_REPORTS[reportType]) return BUILT_IN_REPORTS[reportType];
+
+        const report = ReportEngine.getReportType(reportType);
+        return report ? report.name : (reportType || '');
+    };
+
+    /**
+     * Convert a schedule search result to a schedule object
+     *
+     * @param {Result} result - Schedule search result
+     * @returns {Object} Schedule
+     */
+    const toSchedule = (result) => {
+        const templateId = result.getValue(SCHED_FIELDS.TEMPLATE);
+        const reportType = result.getValue(SCHED_FIELDS.REPORT_TYPE);
+        const windowStart = parseInt(result.getValue(SCHED_FIELDS.WINDOW_START), 10);
+        const windowEnd = parseInt(result.getValue(SCHED_FIELDS.WINDOW_END), 10);
+
+        return {
+            scheduleId: result.id,
+            name: result.getValue(SCHED_FIELDS.NAME),
+            reportType,
+            templateId: templateId || null,
+            reportName: templateId ? result.getText(SCHED_FIELDS.TEMPLATE) : getReportName(reportType),
+            frequency: result.getValue(SCHED_FIELDS.FREQUENCY),
+            day: parseInt(result.getValue(SCHED_FIELDS.DAY), 10) || 0,
+            windowStart: isNaN(windowStart) ? 0 : windowStart,
+            windowEnd: isNaN(windowEnd) ? 23 : windowEnd,
+            recipients: result.getValue(SCHED_FIELDS.RECIPIENTS),
+            filters: result.getValue(SCHED_FIELDS.FILTERS),
+            outputFormat: result.getValue(SCHED_FIELDS.OUTPUT_FORMAT) || 'pdf',
+            paused: isChecked(result.getValue(SCHED_FIELDS.PAUSED)),
+            runNow: isChecked(result.getValue(SCHED_FIELDS.RUN_NOW)),
+            lastRun: result.getValue(SCHED_FIELDS.LAST_RUN),
+            lastStatus: result.getValue(SCHED_FIELDS.LAST_STATUS),
+            lastStatusLabel: Constants.REPORT_RUN_STATUS_LABELS[result.getValue(SCHED_FIELDS.LAST_STATUS)] || '',
+            lastMessage: result.getValue(SCHED_FIELDS.LAST_MESSAGE)
+        };
+    };
+
+    /**
+     * Get all active schedules
+     *
+     * @returns {Array<Object>} Schedules sorted by name
+     */
+    const getSchedules = () => {
+        const schedules = [];
+
+        try {
+            search.create({
+                type: RECORD_TYPES.REPORT_SCHEDULE,
+                filters: [[SCHED_FIELDS.IS_INACTIVE, 'is', 'F']],
+                columns: SCHEDULE_COLUMNS.map(name => (name === SCHED_FIELDS.NAME
+                    ? search.createColumn({ name, sort: search.Sort.ASC })
+                    : name))
+            }).run().each((result) => {
+                schedules.push(toSchedule(result));
+                return true;
+            });
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - getSchedules',
+                details: e.message
+            });
+        }
+
+        return schedules;
+    };
+
+    /**
+     * Check whether two dates fall on the same calendar day
+     *
+     * @param {Date} a - First date
+     * @param {Date} b - Second date
+     * @returns {boolean}
+     */
+    const isSameDay = (a, b) => a.getFullYear() === b.getFullYear() &&
+        a.getMonth() === b.getMonth() &&
+        a.getDate() === b.getDate();
+
+    /**
+     * Check whether a schedule should run now
+     *
+     * @param {Object} schedule - Schedule
+     * @param {Date} now - Current time
+     * @returns {boolean}
+     */
+    const isDue = (schedule, now) => {
+        if (schedule.paused) return false;
+        if (schedule.runNow) return true;
+
+        const hour = now.getHours();
+        if (hour < schedule.windowStart || hour > schedule.windowEnd) return false;
+
+        if (schedule.lastRun) {
+            const lastRun = format.parse({ value: schedule.lastRun, type: format.Type.DATETIMETZ });
+            if (lastRun instanceof Date && isSameDay(lastRun, now)) return false;
+        }
+
+        switch (schedule.frequency) {
+            case FREQUENCIES.DAILY:
+                return true;
+            case FREQUENCIES.WEEKLY:
+                return now.getDay() === schedule.day;
+            case FREQUENCIES.MONTHLY:
+                return now.getDate() === (schedule.day || 1);
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Get the schedules the scheduler should run now
+     *
+     * @param {Date} [now] - Current time
+     * @returns {Array<Object>} Due schedules
+     */
+    const getDueSchedules = (now = new Date()) => {
+        return getSchedules().filter(schedule => isDue(schedule, now));
+    };
+
+    /**
+     * Validate schedule parameters
+     *
+     * @param {Object} params - Schedule parameters
+     * @returns {string|null} Error message
+     */
+    const validateSchedule = (params) => {
+        if (!params.templateId && !getReportOptions().some(option => option.id === params.reportType)) {
+            return 'Choose a report or a report template';
+        }
+
+        if (!Object.values(FREQUENCIES).includes(params.frequency)) {
+            return `Unknown frequency: ${params.frequency}`;
+        }
+
+        const day = parseInt(params.day, 10);
+
+        if (params.frequency === FREQUENCIES.WEEKLY && !(day >= 0 && day <= 6)) {
+            return 'Weekly schedules need a day from 0 (Sunday) to 6 (Saturday)';
+        }
+
+        if (params.frequency === FREQUENCIES.MONTHLY && !(day >= 1 && day <= 28)) {
+            return 'Monthly schedules need a day of month from 1 to 28';
+        }
+
+        const windowStart = params.windowStart === undefined || params.windowStart === '' ? 0 : parseInt(params.windowStart, 10);
+        const windowEnd = params.windowEnd === undefined || params.windowEnd === '' ? 23 : parseInt(params.windowEnd, 10);
+
+        if (!(windowStart >= 0 && windowStart <= 23 && windowEnd >= 0 && windowEnd <= 23 && windowStart <= windowEnd)) {
+            return 'The time window must be hours from 0 to 23, start before end';
+        }
+
+        const invalid = (params.recipients || '').split(',')
+            .map(address => address.trim())
+            .filter(address => address && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(address));
+
+        if (invalid.length > 0) {
+            return `Invalid recipient: ${invalid.join(', ')}`;
+        }
+
+        return null;
+    };
+
+    /**
+     * Name a new schedule after its template or report
+     *
+     * @param {Object} params - Schedule parameters
+     * @returns {string} Schedule name
+     */
+    const getDefaultName = (params) => {
+        if (!params.templateId) return getReportName(params.reportType);
+
+        const lookupResult = search.lookupFields({
+            type: RECORD_TYPES.REPORT_TEMPLATE,
+            id: params.templateId,
+            columns: [Constants.REPORT_TEMPLATE_FIELDS.NAME]
+        });
+
+        return lookupResult[Constants.REPORT_TEMPLATE_FIELDS.NAME] || `Template ${params.templateId}`;
+    };
+
+    /**
+     * Create or update a schedule
+     * Fields left out of an update keep their values.
+     *
+     * @param {Object} params - Schedule parameters
+     * @param {number} [params.scheduleId] - Schedule to update
+     * @param {string} [params.name] - Schedule name (defaults to the report name)
+     * @param {string} [params.reportType] - Report type ID (when no template)
+     * @param {number} [params.templateId] - Report template to run
+     * @param {string} params.frequency - daily, weekly or monthly
+     * @param {number} [params.day] - Day of week or month
+     * @param {number} [params.windowStart=0] - Earliest hour
+     * @param {number} [params.windowEnd=23] - Latest hour
+     * @param {string} [params.recipients] - Comma-separated emails
+     * @param {Object|string} [params.filters] - Report parameters
+     * @param {string} [params.outputFormat] - Output format
+     * @returns {Object} Result with scheduleId
+     */
+    const saveSchedule = (params) => {
+        try {
+            let scheduleRec;
+            let values = params;
+
+            if (params.scheduleId) {
+                scheduleRec = record.load({ type: RECORD_TYPES.REPORT_SCHEDULE, id: params.scheduleId });
+
+                // Validate the record as it will be after the update
+                values = Object.assign({
+                    reportType: scheduleRec.getValue({ fieldId: SCHED_FIELDS.REPORT_TYPE }),
+                    templateId: scheduleRec.getValue({ fieldId: SCHED_FIELDS.TEMPLATE }),
+                    frequency: scheduleRec.getValue({ fieldId: SCHED_FIELDS.FREQUENCY }),
+                    day: scheduleRec.getValue({ fieldId: SCHED_FIELDS.DAY }),
+                    windowStart: scheduleRec.getValue({ fieldId: SCHED_FIELDS.WINDOW_START }),
+                    windowEnd: scheduleRec.getValue({ fieldId: SCHED_FIELDS.WINDOW_END }),
+                    recipients: scheduleRec.getValue({ fieldId: SCHED_FIELDS.RECIPIENTS })
+                }, Object.keys(params).reduce((defined, key) => {
+                    if (params[key] !== undefined && params[key] !== null) defined[key] = params[key];
+                    return defined;
+                }, {}));
+            } else {
+                scheduleRec = record.create({ type: RECORD_TYPES.REPORT_SCHEDULE });
+            }
+
+            const error = validateSchedule(values);
+            if (error) {
+                return { success: false, error };
+            }
+
+            const setIfDefined = (fieldId, value) => {
+                if (value !== undefined && value !== null) {
+                    scheduleRec.setValue({ fieldId, value });
+                }
+            };
+
+            const name = params.name || (!params.scheduleId ? getDefaultName(values) : null);
+
+            setIfDefined(SCHED_FIELDS.NAME, name);
+            setIfDefined(SCHED_FIELDS.REPORT_TYPE, params.reportType);
+            setIfDefined(SCHED_FIELDS.TEMPLATE, params.templateId);
+            setIfDefined(SCHED_FIELDS.FREQUENCY, params.frequency);
+            setIfDefined(SCHED_FIELDS.DAY, params.day === undefined || params.day === '' ? undefined : parseInt(params.day, 10));
+            setIfDefined(SCHED_FIELDS.WINDOW_START, params.windowStart === undefined || params.windowStart === '' ? undefined : parseInt(params.windowStart, 10));
+            setIfDefined(SCHED_FIELDS.WINDOW_END, params.windowEnd === undefined || params.windowEnd === '' ? undefined : parseInt(params.windowEnd, 10));
+            setIfDefined(SCHED_FIELDS.RECIPIENTS, params.recipients);
+            setIfDefined(SCHED_FIELDS.OUTPUT_FORMAT, params.outputFormat);
+            setIfDefined(SCHED_FIELDS.FILTERS, params.filters && typeof params.filters === 'object'
+                ? JSON.stringify(params.filters)
+                : params.filters);
+
+            return { success: true, scheduleId: scheduleRec.save() };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - saveSchedule',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Pause or resume a schedule
+     *
+     * @param {number} scheduleId - Schedule internal ID
+     * @param {boolean} paused - Pause (true) or resume (false)
+     * @returns {Object} Result
+     */
+    const setPaused = (scheduleId, paused) => {
+        try {
+            record.submitFields({
+                type: RECORD_TYPES.REPORT_SCHEDULE,
+                id: scheduleId,
+                values: { [SCHED_FIELDS.PAUSED]: !!paused }
+            });
+            return { success: true };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - setPaused',
+                details: `Schedule ${scheduleId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Delete a schedule and its run history
+     *
+     * @param {number} scheduleId - Schedule internal ID
+     * @returns {Object} Result
+     */
+    const deleteSchedule = (scheduleId) => {
+        try {
+            search.create({
+                type: RECORD_TYPES.REPORT_RUN,
+                filters: [[RUN_FIELDS.SCHEDULE, 'anyof', scheduleId]],
+                columns: ['internalid']
+            }).run().each((result) => {
+                record.delete({ type: RECORD_TYPES.REPORT_RUN, id: result.id });
+                return true;
+            });
+
+            record.delete({ type: RECORD_TYPES.REPORT_SCHEDULE, id: scheduleId });
+            return { success: true };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - deleteSchedule',
+                details: `Schedule ${scheduleId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Flag a schedule to run on the scheduler's next pass and queue the scheduler
+     * If the scheduler is already running the flag is picked up by its next
+     * hourly run.
+     *
+     * @param {number} scheduleId - Schedule internal ID
+     * @returns {Object} Result with queued
+     */
+    const requestRun = (scheduleId) => {
+        try {
+            record.submitFields({
+                type: RECORD_TYPES.REPORT_SCHEDULE,
+                id: scheduleId,
+                values: { [SCHED_FIELDS.RUN_NOW]: true }
+            });
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - requestRun',
+                details: `Schedule ${scheduleId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+
+        try {
+            task.create({
+                taskType: task.TaskType.MAP_REDUCE,
+                scriptId: Constants.SCRIPTS.REPORT_SCHEDULER_MR,
+                deploymentId: Constants.DEPLOYMENTS.REPORT_SCHEDULER_MR
+            }).submit();
+            return { success: true, queued: true };
+
+        } catch (e) {
+            log.audit({
+                title: 'CLS Report Schedule Service - requestRun',
+                details: `Scheduler not queued, schedule ${scheduleId} runs on the next pass: ${e.message}`
+            });
+            return { success: true, queued: false };
+        }
+    };
+
+    /**
+     * Queue a one-off report on the scheduler's on-demand deployment
+     * The scheduler saves the file in the File Cabinet and emails the recipients.
+     *
+     * @param {Object} request - Report request
+     * @param {string} request.reportType - Report type ID
+     * @param {Object} request.params - Report parameters
+     * @param {string} request.outputFormat - Output format
+     * @param {string} request.recipients - Comma-separated emails
+     * @returns {Object} Result with taskId
+     */
+    const queueReport = (request) => {
+        try {
+            const taskId = task.create({
+                taskType: task.TaskType.MAP_REDUCE,
+                scriptId: Constants.SCRIPTS.REPORT_SCHEDULER_MR,
+                deploymentId: Constants.DEPLOYMENTS.REPORT_SCHEDULER_MR_ON_DEMAND,
+                params: {
+                    [REQUEST_PARAM]: JSON.stringify({
+                        reportType: request.reportType,
+                        filters: JSON.stringify(request.params || {}),
+                        outputFormat: request.outputFormat,
+                        recipients: request.recipients,
+                        isOnDemand: true
+                    })
+                }
+            }).submit();
+
+            return { success: true, taskId };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - queueReport',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: 'Another large report is being generated. Try again in a few minutes.'
+            };
+        }
+    };
+
+    /**
+     * Log a run of a schedule and copy its outcome onto the schedule
+     *
+     * @param {number} scheduleId - Schedule internal ID
+     * @param {Object} result - Report result
+     * @param {boolean} result.success - Whether the run succeeded
+     * @param {string} [result.error] - Failure reason
+     * @param {string} [result.message] - Success detail
+     * @param {number} [result.fileId] - Generated report file
+     * @returns {Object} Result with runId
+     */
+    const recordRun = (scheduleId, result) => {
+        const runDate = new Date();
+        const status = result.success ? RUN_STATUS.SUCCESS : RUN_STATUS.FAILED;
+        const message = String((result.success ? result.message : result.error) || '').substring(0, MAX_MESSAGE_LENGTH);
+
+        try {
+            const runRec = record.create({ type: RECORD_TYPES.REPORT_RUN });
+            runRec.setValue({ fieldId: RUN_FIELDS.SCHEDULE, value: scheduleId });
+            runRec.setValue({ fieldId: RUN_FIELDS.RUN_DATE, value: runDate });
+            runRec.setValue({ fieldId: RUN_FIELDS.STATUS, value: status });
+            runRec.setValue({ fieldId: RUN_FIELDS.MESSAGE, value: message });
+
+            if (result.fileId) {
+                runRec.setValue({ fieldId: RUN_FIELDS.FILE, value: result.fileId });
+            }
+
+            const runId = runRec.save();
+
+            record.submitFields({
+                type: RECORD_TYPES.REPORT_SCHEDULE,
+                id: scheduleId,
+                values: {
+                    [SCHED_FIELDS.LAST_RUN]: runDate,
+                    [SCHED_FIELDS.LAST_STATUS]: status,
+                    [SCHED_FIELDS.LAST_MESSAGE]: message,
+                    [SCHED_FIELDS.RUN_NOW]: false
+                }
+            });
+
+            return { success: true, runId };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - recordRun',
+                details: `Schedule ${scheduleId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Get recent runs, newest first
+     *
+     * @param {Object} [options]
+     * @param {number} [options.scheduleId] - Limit to one schedule
+     * @param {number} [options.limit=25] - Maximum runs
+     * @returns {Array<Object>} Runs
+     */
+    const getRunHistory = (options = {}) => {
+        const { scheduleId, limit = DEFAULT_HISTORY_LIMIT } = options;
+        const filters = scheduleId ? [[RUN_FIELDS.SCHEDULE, 'anyof', scheduleId]] : [];
+
+        try {
+            return search.create({
+                type: RECORD_TYPES.REPORT_RUN,
+                filters,
+                columns: [
+                    search.createColumn({ name: RUN_FIELDS.RUN_DATE, sort: search.Sort.DESC }),
+                    RUN_FIELDS.SCHEDULE,
+                    RUN_FIELDS.STATUS,
+                    RUN_FIELDS.MESSAGE,
+                    RUN_FIELDS.FILE
+                ]
+            }).run().getRange({ start: 0, end: limit }).map(result => ({
+                runId: result.id,
+                runDate: result.getValue(RUN_FIELDS.RUN_DATE),
+                scheduleId: result.getValue(RUN_FIELDS.SCHEDULE),
+                scheduleName: result.getText(RUN_FIELDS.SCHEDULE),
+                status: result.getValue(RUN_FIELDS.STATUS),
+                statusLabel: Constants.REPORT_RUN_STATUS_LABELS[result.getValue(RUN_FIELDS.STATUS)] || '',
+                message: result.getValue(RUN_FIELDS.MESSAGE),
+                fileId: result.getValue(RUN_FIELDS.FILE),
+                fileName: result.getText(RUN_FIELDS.FILE)
+            }));
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Schedule Service - getRunHistory',
+                details: e.message
+            });
+            return [];
+        }
+    };
+
+    return {
+        REQUEST_PARAM,
+        getReportOptions,
+        getReportName,
+        getSchedules,
+        getDueSchedules,
+        isDue,
+        saveSchedule,
+        setPaused,
+        deleteSchedule,
+        requestRun,
+        queueReport,
+        recordRun,
+        getRunHistory
+    };
+});
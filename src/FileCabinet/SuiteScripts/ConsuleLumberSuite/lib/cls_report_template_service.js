@@ -0,0 +1,337 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_report_template_service
+ *
+ * Consule LumberSuite™ - Report Template Service
+ * Saves Report Generator settings as reusable templates
+ *
+ * A template stores the report type, date range, filters, grouping and
+ * output format. It belongs to the user who saved it and is shared:
+ * - Private: owner only
+ * - Role: owner plus users logged in with the template's role
+ * - Everyone: all users
+ *
+ * Templates run in one click from the Report Generator and can be the
+ * source of a scheduled report.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/record',
+    'N/search',
+    'N/runtime',
+    'N/format',
+    './cls_constants',
+    './cls_report_engine'
+], (record, search, runtime, format, Constants, ReportEngine) => {
+
+    const RECORD_TYPES = Constants.RECORD_TYPES;
+    const TPL_FIELDS = Constants.REPORT_TEMPLATE_FIELDS;
+    const REPORT_SHARING = Constants.REPORT_SHARING;
+
+    const TEMPLATE_COLUMNS = [
+        TPL_FIELDS.NAME,
+        TPL_FIELDS.REPORT_TYPE,
+        TPL_FIELDS.RANGE_TYPE,
+        TPL_FIELDS.DATE_FROM,
+        TPL_FIELDS.DATE_TO,
+        TPL_FIELDS.FILTERS,
+        TPL_FIELDS.GROUP_BY,
+        TPL_FIELDS.OUTPUT_FORMAT,
+        TPL_FIELDS.INCLUDE_CHARTS,
+        TPL_FIELDS.OWNER,
+        TPL_FIELDS.SHARING,
+        TPL_FIELDS.ROLE
+    ];
+
+    /**
+     * Parse the stored filter JSON
+     *
+     * @param {string} value - Filters field value
+     * @returns {Object} Filters with location, item and employee
+     */
+    const parseFilters = (value) => {
+        try {
+            return value ? JSON.parse(value) : {};
+        } catch (e) {
+            return {};
+        }
+    };
+
+    /**
+     * Convert a template search result to a template object
+     *
+     * @param {Result} result - Template search result
+     * @returns {Object} Template
+     */
+    const toTemplate = (result) => {
+        const filters = parseFilters(result.getValue(TPL_FIELDS.FILTERS));
+        const reportType = result.getValue(TPL_FIELDS.REPORT_TYPE);
+        const reportDef = ReportEngine.getReportType(reportType);
+        const sharing = result.getValue(TPL_FIELDS.SHARING);
+
+        return {
+            id: result.id,
+            name: result.getValue(TPL_FIELDS.NAME),
+            reportType,
+            reportName: reportDef ? reportDef.name : reportType,
+            outputFormat: result.getValue(TPL_FIELDS.OUTPUT_FORMAT) || 'html',
+            ownerId: result.getValue(TPL_FIELDS.OWNER),
+            ownerName: result.getText(TPL_FIELDS.OWNER),
+            sharing,
+            sharingLabel: Constants.REPORT_SHARING_LABELS[sharing] || result.getText(TPL_FIELDS.SHARING),
+            roleId: result.getValue(TPL_FIELDS.ROLE),
+            params: {
+                rangeType: result.getValue(TPL_FIELDS.RANGE_TYPE) || 'thismonth',
+                dateFrom: result.getValue(TPL_FIELDS.DATE_FROM),
+                dateTo: result.getValue(TPL_FIELDS.DATE_TO),
+                location: filters.location || '',
+                item: filters.item || '',
+                employee: filters.employee || '',
+                groupBy: result.getValue(TPL_FIELDS.GROUP_BY) || 'none',
+                includeCharts: result.getValue(TPL_FIELDS.INCLUDE_CHARTS) === true ||
+                    result.getValue(TPL_FIELDS.INCLUDE_CHARTS) === 'T'
+            }
+        };
+    };
+
+    /**
+     * Check whether the current user may see and run a template
+     *
+     * @param {Object} template - Template
+     * @returns {boolean}
+     */
+    const canAccess = (template) => {
+        const user = runtime.getCurrentUser();
+
+        if (String(template.ownerId) === String(user.id)) return true;
+        if (template.sharing === REPORT_SHARING.EVERYONE) return true;
+
+        return template.sharing === REPORT_SHARING.ROLE && String(template.roleId) === String(user.role);
+    };
+
+    /**
+     * Get the templates the current user may run: their own, plus those
+     * shared with everyone or with their current role
+     *
+     * @returns {Array<Object>} Templates sorted by name
+     */
+    const getTemplates = () => {
+        const user = runtime.getCurrentUser();
+        const templates = [];
+
+        try {
+            search.create({
+                type: RECORD_TYPES.REPORT_TEMPLATE,
+                filters: [
+                    [TPL_FIELDS.IS_INACTIVE, 'is', 'F'],
+                    'AND',
+                    [
+                        [TPL_FIELDS.OWNER, 'anyof', user.id],
+                        'OR',
+                        [TPL_FIELDS.SHARING, 'anyof', REPORT_SHARING.EVERYONE],
+                        'OR',
+                        [
+                            [TPL_FIELDS.SHARING, 'anyof', REPORT_SHARING.ROLE],
+                            'AND',
+                            [TPL_FIELDS.ROLE, 'anyof', user.role]
+                        ]
+                    ]
+                ],
+                columns: TEMPLATE_COLUMNS.map(name => (name === TPL_FIELDS.NAME
+                    ? search.createColumn({ name, sort: search.Sort.ASC })
+                    : name))
+            }).run().each((result) => {
+                const template = toTemplate(result);
+                template.isOwner = String(template.ownerId) === String(user.id);
+                templates.push(template);
+                return true;
+            });
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Template Service - getTemplates',
+                details: e.message
+            });
+        }
+
+        return templates;
+    };
+
+    /**
+     * Get one template
+     *
+     * @param {number} templateId - Template internal ID
+     * @param {Object} [options]
+     * @param {boolean} [options.checkAccess=true] - Require the current user to have access
+     * @returns {Object} Result with template
+     */
+    const getTemplate = (templateId, options = {}) => {
+        const { checkAccess = true } = options;
+
+        try {
+            const results = search.create({
+                type: RECORD_TYPES.REPORT_TEMPLATE,
+                filters: [
+                    ['internalid', 'anyof', templateId],
+                    'AND',
+                    [TPL_FIELDS.IS_INACTIVE, 'is', 'F']
+                ],
+                columns: TEMPLATE_COLUMNS
+            }).run().getRange({ start: 0, end: 1 });
+
+            if (!results || results.length === 0) {
+                return { success: false, error: `Report template ${templateId} not found` };
+            }
+
+            const template = toTemplate(results[0]);
+
+            if (checkAccess && !canAccess(template)) {
+                return { success: false, error: 'You do not have access to this report template' };
+            }
+
+            return { success: true, template };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Template Service - getTemplate',
+                details: `Template ${templateId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Save report settings as a template owned by the current user
+     * Passing the ID of one of the user's own templates overwrites it.
+     *
+     * @param {Object} params - Template parameters
+     * @param {number} [params.templateId] - Existing template to overwrite
+     * @param {string} params.name - Template name
+     * @param {string} params.reportType - Report type ID
+     * @param {Object} params.reportParams - Report parameters (rangeType, dateFrom, dateTo,
+     *                                      location, item, employee, groupBy, includeCharts)
+     * @param {string} [params.outputFormat='html'] - Output format
+     * @param {string} [params.sharing] - Sharing value (defaults to private)
+     * @param {number} [params.roleId] - Role for role sharing (defaults to the current role)
+     * @returns {Object} Result with templateId
+     */
+    const saveTemplate = (params) => {
+        const { templateId, reportType, outputFormat } = params;
+        const name = (params.name || '').trim();
+        const reportParams = params.reportParams || {};
+        const sharing = params.sharing || REPORT_SHARING.PRIVATE;
+        const user = runtime.getCurrentUser();
+
+        if (!name) {
+            return { success: false, error: 'Template name is required' };
+        }
+
+        if (!ReportEngine.isReportType(reportType)) {
+            return { success: false, error: `Unknown report type: ${reportType}` };
+        }
+
+        if (reportParams.rangeType === 'custom' && (!reportParams.dateFrom || !reportParams.dateTo)) {
+            return { success: false, error: 'A custom date range needs From and To dates' };
+        }
+
+        try {
+            let templateRec;
+
+            if (templateId) {
+                const existing = getTemplate(templateId);
+
+                if (!existing.success) return existing;
+
+                if (String(existing.template.ownerId) !== String(user.id)) {
+                    return { success: false, error: 'Only the owner can change a report template' };
+                }
+
+                templateRec = record.load({ type: RECORD_TYPES.REPORT_TEMPLATE, id: templateId });
+            } else {
+                templateRec = record.create({ type: RECORD_TYPES.REPORT_TEMPLATE });
+                templateRec.setValue({ fieldId: TPL_FIELDS.OWNER, value: user.id });
+            }
+
+            const isCustom = reportParams.rangeType === 'custom';
+
+            templateRec.setValue({ fieldId: TPL_FIELDS.NAME, value: name });
+            templateRec.setValue({ fieldId: TPL_FIELDS.REPORT_TYPE, value: reportType });
+            templateRec.setValue({ fieldId: TPL_FIELDS.RANGE_TYPE, value: reportParams.rangeType || 'thismonth' });
+            templateRec.setValue({
+                fieldId: TPL_FIELDS.DATE_FROM,
+                value: isCustom ? format.parse({ value: reportParams.dateFrom, type: format.Type.DATE }) : null
+            });
+            templateRec.setValue({
+                fieldId: TPL_FIELDS.DATE_TO,
+                value: isCustom ? format.parse({ value: reportParams.dateTo, type: format.Type.DATE }) : null
+            });
+            templateRec.setValue({
+                fieldId: TPL_FIELDS.FILTERS,
+                value: JSON.stringify({
+                    location: reportParams.location || '',
+                    item: reportParams.item || '',
+                    employee: reportParams.employee || ''
+                })
+            });
+            templateRec.setValue({ fieldId: TPL_FIELDS.GROUP_BY, value: reportParams.groupBy || 'none' });
+            templateRec.setValue({ fieldId: TPL_FIELDS.OUTPUT_FORMAT, value: outputFormat || 'html' });
+            templateRec.setValue({ fieldId: TPL_FIELDS.INCLUDE_CHARTS, value: !!reportParams.includeCharts });
+            templateRec.setValue({ fieldId: TPL_FIELDS.SHARING, value: sharing });
+            templateRec.setValue({
+                fieldId: TPL_FIELDS.ROLE,
+                value: sharing === REPORT_SHARING.ROLE ? (params.roleId || user.role) : null
+            });
+
+            return { success: true, templateId: templateRec.save() };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Template Service - saveTemplate',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Retire a template (owner only)
+     * Templates are inactivated rather than deleted so schedules pointing at
+     * them fail with a clear error instead of a missing record.
+     *
+     * @param {number} templateId - Template internal ID
+     * @returns {Object} Result
+     */
+    const deleteTemplate = (templateId) => {
+        const existing = getTemplate(templateId);
+
+        if (!existing.success) return existing;
+
+        if (String(existing.template.ownerId) !== String(runtime.getCurrentUser().id)) {
+            return { success: false, error: 'Only the owner can delete a report template' };
+        }
+
+        try {
+            record.submitFields({
+                type: RECORD_TYPES.REPORT_TEMPLATE,
+                id: templateId,
+                values: { [TPL_FIELDS.IS_INACTIVE]: true }
+            });
+
+            return { success: true };
+        } catch (e) {
+            log.error({
+                title: 'CLS Report Template Service - deleteTemplate',
+                details: `Template ${templateId}: ${e.message}`
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    return {
+        getTemplates,
+        getTemplate,
+        saveTemplate,
+        deleteTemplate
+    };
+});
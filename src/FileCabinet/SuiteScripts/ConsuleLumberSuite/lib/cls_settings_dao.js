@@ -155,7 +155,18 @@ define([
             BF_PRECISION: Constants.DEFAULTS.BF_PRECISION,
             ENFORCE_TALLY_FIFO: true,
             AUTO_CREATE_TALLY: false,
-            REQUIRE_DIMENSIONS: false
+            REQUIRE_DIMENSIONS: false,
+            ALERT_ASSIGNEE: null,
+            TAG_FOLDER: null,
+            COUNT_ADJ_ACCOUNT: null,
+            STALE_DAYS: Constants.DEFAULTS.STALE_DAYS,
+            CARRYING_COST_PCT: Constants.DEFAULTS.CARRYING_COST_PCT,
+            COST_SPLIT_METHOD: Constants.COST_SPLIT_METHODS.VOLUME,
+            CONVERSION_RATE: Constants.DEFAULTS.CONVERSION_RATE,
+            REPORT_COMPANY: '',
+            REPORT_LOGO: null,
+            REPORT_COLOR: Constants.DEFAULTS.REPORT_COLOR,
+            REPORT_FOLDER: null
         };
     };
 
@@ -473,6 +484,96 @@ define([
         return settings.ADMIN_EMAIL || null;
     };
 
+    /**
+     * Get the employee assigned to new yield alerts
+     * @returns {string|null} Employee internal ID
+     */
+    const getAlertAssignee = () => {
+        const settings = getSettings();
+        return settings.ALERT_ASSIGNEE || null;
+    };
+
+    /**
+     * Get the File Cabinet folder for generated bundle tag PDFs
+     * @returns {number|null} Folder internal ID, or null if not configured
+     */
+    const getTagFolder = () => {
+        const settings = getSettings();
+        return parseInt(settings.TAG_FOLDER, 10) || null;
+    };
+
+    /**
+     * Get the account that physical count adjustments post to
+     * @returns {string|null} Account internal ID
+     */
+    const getCountAdjustmentAccount = () => {
+        const settings = getSettings();
+        return settings.COUNT_ADJ_ACCOUNT || null;
+    };
+
+    /**
+     * Get the age after which a tally is stale, for species without their own threshold
+     * @returns {number} Days
+     */
+    const getStaleDays = () => {
+        const settings = getSettings();
+        const value = parseInt(settings.STALE_DAYS, 10);
+        return isNaN(value) || value <= 0 ? Constants.DEFAULTS.STALE_DAYS : value;
+    };
+
+    /**
+     * Get the annual carrying cost rate applied to inventory value
+     * @returns {number} Carrying cost percentage (per year)
+     */
+    const getCarryingCostRate = () => {
+        const settings = getSettings();
+        const value = parseFloat(settings.CARRYING_COST_PCT);
+        return isNaN(value) ? Constants.DEFAULTS.CARRYING_COST_PCT : value;
+    };
+
+    /**
+     * Get how process cost is split across outputs when the process target does not say
+     * @returns {string} Cost split method (defaults to by volume)
+     */
+    const getCostSplitMethod = () => {
+        const settings = getSettings();
+        return settings.COST_SPLIT_METHOD || Constants.COST_SPLIT_METHODS.VOLUME;
+    };
+
+    /**
+     * Get the labour and machine cost per hour of process time
+     * @returns {number} Conversion cost per hour
+     */
+    const getConversionRate = () => {
+        const settings = getSettings();
+        const value = parseFloat(settings.CONVERSION_RATE);
+        return isNaN(value) || value < 0 ? Constants.DEFAULTS.CONVERSION_RATE : value;
+    };
+
+    /**
+     * Get the branding printed on PDF reports
+     * @returns {Object} Branding with companyName, logoFileId and color
+     */
+    const getReportBranding = () => {
+        const settings = getSettings();
+        const color = String(settings.REPORT_COLOR || '').trim();
+
+        return {
+            companyName: settings.REPORT_COMPANY || '',
+            logoFileId: settings.REPORT_LOGO || null,
+            color: /^#[0-9a-f]{6}$/i.test(color) ? color : Constants.DEFAULTS.REPORT_COLOR
+        };
+    };
+
+    /**
+     * Get the File Cabinet folder for generated report files
+     * @returns {number} Folder internal ID (defaults to SuiteScripts)
+     */
+    const getReportFolder = () => {
+        const settings = getSettings();
+        return parseInt(settings.REPORT_FOLDER, 10) || -15;
+    };
+
     /**
      * Check if auto-correct is enabled for yield calculations
      * @returns {boolean}
@@ -583,6 +684,15 @@ define([
         getDefaultWaste,
         getBFPrecision,
         getAdminEmail,
+        getAlertAssignee,
+        getTagFolder,
+        getCountAdjustmentAccount,
+        getStaleDays,
+        getCarryingCostRate,
+        getCostSplitMethod,
+        getConversionRate,
+        getReportBranding,
+        getReportFolder,
         isAutoCorrectEnabled,
         isConsumptionLogEnabled,
 
@@ -30,6 +30,7 @@ define([
     const TALLY_ALLOC_FIELDS = Constants.TALLY_ALLOC_FIELDS;
     const TALLY_STATUS = Constants.TALLY_STATUS;
     const TALLY_ALLOC_STATUS = Constants.TALLY_ALLOC_STATUS;
+    const ALLOCATION_STRATEGIES = Constants.ALLOCATION_STRATEGIES;
 
     /**
      * Check if tally module is enabled
@@ -60,6 +61,8 @@ define([
      * @param {number} [params.length] - Length in feet
      * @param {number} [params.pieces] - Number of pieces
      * @param {string} [params.notes] - Notes
+     * @param {number} [params.parentTallyId] - Source tally when created by a split
+     * @param {number} [params.bfCost] - Cost per BF inherited from source tallies
      * @returns {Object} Result with tallyId and tallyNumber
      */
     const createTallySheet = (params) => {
@@ -126,6 +129,16 @@ define([
             if (params.notes) {
                 tallyRec.setValue({ fieldId: TALLY_FIELDS.NOTES, value: params.notes });
             }
+            if (params.parentTallyId) {
+                tallyRec.setValue({ fieldId: TALLY_FIELDS.PARENT_TALLY, value: params.parentTallyId });
+            }
+            if (params.bfCost > 0) {
+                tallyRec.setValue({ fieldId: TALLY_FIELDS.BF_COST, value: params.bfCost });
+                tallyRec.setValue({
+                    fieldId: TALLY_FIELDS.LANDED_COST,
+                    value: BFCalculator.roundTo(params.bfCost * params.receivedBF, Constants.PRECISION.CURRENCY)
+                });
+            }
 
             const tallyId = tallyRec.save({
                 enableSourcing: false,
@@ -162,9 +175,88 @@ define([
         }
     };
 
+    /**
+     * Get the first value of a select field from a lookupFields result
+     *
+     * @param {Object} lookupResult - search.lookupFields result
+     * @param {string} fieldId - Select field ID
+     * @returns {string|null} Selected value
+     */
+    const getLookupSelectValue = (lookupResult, fieldId) => {
+        const value = lookupResult[fieldId];
+        return Array.isArray(value) && value.length > 0 ? value[0].value : null;
+    };
+
+    /**
+     * Resolve the tally allocation strategy for an item/location
+     * An explicit strategy wins, then the item's strategy, then the location's, then FIFO
+     *
+     * @param {Object} params - Resolution parameters
+     * @param {string} [params.strategy] - Explicit strategy (ALLOCATION_STRATEGIES value)
+     * @param {number} [params.itemId] - Item internal ID
+     * @param {number} [params.locationId] - Location internal ID
+     * @returns {string} Allocation strategy
+     */
+    const resolveAllocationStrategy = (params) => {
+        if (params.strategy && Constants.ALLOCATION_STRATEGY_LABELS[params.strategy]) {
+            return params.strategy;
+        }
+
+        try {
+            if (params.itemId) {
+                const itemLookup = search.lookupFields({
+                    type: search.Type.ITEM,
+                    id: params.itemId,
+                    columns: [Constants.ITEM_FIELDS.ALLOCATION_STRATEGY]
+                });
+                const itemStrategy = getLookupSelectValue(itemLookup, Constants.ITEM_FIELDS.ALLOCATION_STRATEGY);
+                if (itemStrategy) return itemStrategy;
+            }
+
+            if (params.locationId) {
+                const locationLookup = search.lookupFields({
+                    type: search.Type.LOCATION,
+                    id: params.locationId,
+                    columns: [Constants.LOCATION_FIELDS.ALLOCATION_STRATEGY]
+                });
+                const locationStrategy = getLookupSelectValue(locationLookup, Constants.LOCATION_FIELDS.ALLOCATION_STRATEGY);
+                if (locationStrategy) return locationStrategy;
+            }
+        } catch (e) {
+            log.debug({
+                title: 'CLS Tally Service - resolveAllocationStrategy',
+                details: e.message
+            });
+        }
+
+        return ALLOCATION_STRATEGIES.FIFO;
+    };
+
+    /**
+     * Get a grade's sort order (lower sorts first and is the better grade)
+     *
+     * @param {number} gradeId - Grade internal ID
+     * @returns {number|null} Sort order
+     */
+    const getGradeSortOrder = (gradeId) => {
+        if (!gradeId) return null;
+
+        try {
+            const lookupResult = search.lookupFields({
+                type: RECORD_TYPES.GRADE,
+                id: gradeId,
+                columns: [Constants.GRADE_FIELDS.SORT_ORDER]
+            });
+            const sortOrder = parseFloat(lookupResult[Constants.GRADE_FIELDS.SORT_ORDER]);
+            return isNaN(sortOrder) ? null : sortOrder;
+        } catch (e) {
+            return null;
+        }
+    };
+
     /**
      * Find available tally sheets for an item/location
-     * Returns tallies in FIFO order (oldest first)
+     * Returns tallies in allocation strategy order (FIFO - oldest first - by default)
      *
      * @param {Object} params - Search parameters
      * @param {number} params.itemId - Item internal ID
@@ -172,6 +264,8 @@ define([
      * @param {number} [params.subsidiaryId] - Subsidiary internal ID
      * @param {number} [params.requiredBF] - Minimum BF needed
      * @param {number} [params.gradeId] - Specific grade required
+     * @param {number} [params.minGradeId] - Only tallies of this grade or better
+     * @param {string} [params.strategy] - Allocation strategy (ALLOCATION_STRATEGIES value)
      * @returns {Array} Available tally sheets
      */
     const findAvailableTallies = (params) => {
@@ -179,7 +273,8 @@ define([
             return [];
         }
 
-        const { itemId, locationId, subsidiaryId, requiredBF, gradeId } = params;
+        const { itemId, locationId, subsidiaryId, requiredBF, gradeId, minGradeId } = params;
+        const strategy = params.strategy || ALLOCATION_STRATEGIES.FIFO;
 
         const filters = [
             [TALLY_FIELDS.ITEM, 'anyof', itemId],
@@ -211,20 +306,31 @@ define([
                 search.createColumn({ name: TALLY_FIELDS.RECEIVED_BF }),
                 search.createColumn({
                     name: TALLY_FIELDS.RECEIVED_DATE,
-                    sort: search.Sort.ASC  // FIFO - oldest first
+                    // FIFO - oldest first; LIFO - newest first
+                    sort: strategy === ALLOCATION_STRATEGIES.LIFO ? search.Sort.DESC : search.Sort.ASC
                 }),
                 search.createColumn({ name: TALLY_FIELDS.VENDOR_LOT }),
                 search.createColumn({ name: TALLY_FIELDS.BUNDLE_ID }),
                 search.createColumn({ name: TALLY_FIELDS.GRADE }),
+                search.createColumn({ name: Constants.GRADE_FIELDS.SORT_ORDER, join: TALLY_FIELDS.GRADE }),
                 search.createColumn({ name: TALLY_FIELDS.MOISTURE_PCT })
             ]
         });
 
-        const tallies = [];
+        // Only date-ordered strategies can stop once enough BF is found
+        const canStopEarly = !minGradeId &&
+            (strategy === ALLOCATION_STRATEGIES.FIFO || strategy === ALLOCATION_STRATEGIES.LIFO);
+
+        let tallies = [];
         let accumulatedBF = 0;
 
         tallySearch.run().each((result) => {
             const remainingBF = parseFloat(result.getValue(TALLY_FIELDS.REMAINING_BF)) || 0;
+            const gradeSortOrder = parseFloat(result.getValue({
+                name: Constants.GRADE_FIELDS.SORT_ORDER,
+                join: TALLY_FIELDS.GRADE
+            }));
+            const moisturePct = parseFloat(result.getValue(TALLY_FIELDS.MOISTURE_PCT));
 
             tallies.push({
                 tallyId: result.id,
@@ -236,22 +342,91 @@ define([
                 bundleId: result.getValue(TALLY_FIELDS.BUNDLE_ID),
                 grade: result.getText(TALLY_FIELDS.GRADE),
                 gradeId: result.getValue(TALLY_FIELDS.GRADE),
-                moisturePct: parseFloat(result.getValue(TALLY_FIELDS.MOISTURE_PCT)) || null
+                gradeSortOrder: isNaN(gradeSortOrder) ? null : gradeSortOrder,
+                moisturePct: isNaN(moisturePct) ? null : moisturePct
             });
 
             accumulatedBF += remainingBF;
 
             // If we have enough BF and FIFO is enforced, we can stop
-            if (requiredBF && SettingsDAO.isTallyFifoEnforced() && accumulatedBF >= requiredBF) {
+            if (canStopEarly && requiredBF && SettingsDAO.isTallyFifoEnforced() && accumulatedBF >= requiredBF) {
                 return false;
             }
 
             return true;
         });
 
+        if (minGradeId) {
+            const minSortOrder = getGradeSortOrder(minGradeId);
+            tallies = tallies.filter((tally) => {
+                if (String(tally.gradeId) === String(minGradeId)) return true;
+                return minSortOrder !== null && tally.gradeSortOrder !== null && tally.gradeSortOrder <= minSortOrder;
+            });
+        }
+
+        if (strategy === ALLOCATION_STRATEGIES.DRIEST_FIRST) {
+            // Stable sort keeps FIFO order between tallies at the same moisture; unknown moisture last
+            tallies.sort((a, b) => {
+                const aMoisture = a.moisturePct === null ? Infinity : a.moisturePct;
+                const bMoisture = b.moisturePct === null ? Infinity : b.moisturePct;
+                return aMoisture - bMoisture;
+            });
+        }
+
         return tallies;
     };
 
+    /**
+     * Choose which tallies to draw from and how much BF to take from each
+     *
+     * Best fit takes the smallest single tally that covers the remaining BF,
+     * otherwise the largest tally, so the fewest tallies are opened and the
+     * partial tally left behind is as small as possible. Other strategies
+     * draw in the order the tallies are given.
+     *
+     * @param {Array} tallies - Available tallies (from findAvailableTallies)
+     * @param {number} requiredBF - BF to allocate
+     * @param {string} strategy - Allocation strategy
+     * @returns {Object} { picks: [{ tally, allocateBF }], shortfall }
+     */
+    const selectTallies = (tallies, requiredBF, strategy) => {
+        const picks = [];
+        let remainingBF = requiredBF;
+
+        if (strategy === ALLOCATION_STRATEGIES.BEST_FIT) {
+            const pool = tallies.slice().sort((a, b) => b.remainingBF - a.remainingBF);
+
+            while (remainingBF > 0 && pool.length > 0) {
+                let index = -1;
+                for (let i = pool.length - 1; i >= 0; i--) {
+                    if (pool[i].remainingBF >= remainingBF) {
+                        index = i;
+                        break;
+                    }
+                }
+
+                const tally = pool.splice(index === -1 ? 0 : index, 1)[0];
+                const allocateBF = Math.min(tally.remainingBF, remainingBF);
+
+                picks.push({ tally, allocateBF });
+                remainingBF -= allocateBF;
+            }
+        } else {
+            for (const tally of tallies) {
+                if (remainingBF <= 0) break;
+
+                const allocateBF = Math.min(tally.remainingBF, remainingBF);
+                picks.push({ tally, allocateBF });
+                remainingBF -= allocateBF;
+            }
+        }
+
+        return {
+            picks,
+            shortfall: remainingBF > 0 ? BFCalculator.roundTo(remainingBF, Constants.PRECISION.BF) : 0
+        };
+    };
+
     /**
      * Get total available BF for an item/location
      *
@@ -267,7 +442,9 @@ define([
 
     /**
      * Create allocation records for a work order
-     * Allocates tally sheets to WO lines using FIFO
+     * Allocates tally sheets to WO lines using each line's allocation strategy.
+     * Grade-matched lines draw only from tallies of the line grade (grade
+     * override, else item grade) or better.
      *
      * @param {number} workOrderId - Work Order internal ID
      * @returns {Object} Allocation result
@@ -309,45 +486,32 @@ define([
 
                 if (requiredBF <= 0) continue;
 
-                // Find available tallies
-                const availableTallies = findAvailableTallies({
+                const lineGradeId = woRec.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: Constants.LINE_FIELDS.GRADE_OVERRIDE,
+                    line: i
+                });
+
+                const result = allocateByStrategy({
                     itemId,
                     locationId,
                     subsidiaryId,
-                    requiredBF
+                    requiredBF,
+                    workOrderId,
+                    lineNumber: i,
+                    minGradeId: lineGradeId || null
                 });
 
-                let remainingBF = requiredBF;
-
-                for (const tally of availableTallies) {
-                    if (remainingBF <= 0) break;
-
-                    const allocateBF = Math.min(tally.remainingBF, remainingBF);
-
-                    // Create allocation record
-                    const allocationResult = createAllocation({
-                        tallyId: tally.tallyId,
-                        workOrderId: workOrderId,
-                        allocatedBF: allocateBF,
-                        lineNumber: i
-                    });
+                result.allocations.forEach((allocation) => {
+                    allocations.push(Object.assign({ lineNumber: i }, allocation));
+                });
 
-                    if (allocationResult.success) {
-                        allocations.push({
-                            allocationId: allocationResult.allocationId,
-                            tallyId: tally.tallyId,
-                            tallyNumber: tally.tallyNumber,
-                            allocatedBF: allocateBF,
-                            lineNumber: i
-                        });
-                        remainingBF -= allocateBF;
-                    } else {
-                        errors.push(allocationResult.error);
-                    }
-                }
+                (result.errors || []).forEach((error) => errors.push(error));
 
-                if (remainingBF > 0) {
-                    errors.push(`Insufficient BF for item on line ${i + 1}. Short by ${BFCalculator.roundTo(remainingBF, 4)} BF`);
+                if (result.error) {
+                    errors.push(`Line ${i + 1}: ${result.error}`);
+                } else if (result.shortfall > 0) {
+                    errors.push(`Insufficient BF for item on line ${i + 1}. Short by ${BFCalculator.roundTo(result.shortfall, 4)} BF`);
                 }
             }
 
@@ -418,9 +582,12 @@ define([
 
     /**
      * Mark allocations as consumed when work order is completed
+     * Each allocation is costed at its tally's landed BF cost. BF already
+     * consumed against an allocation (from the scan station) has been taken
+     * off the tally, so only the rest is reduced here.
      *
      * @param {number} workOrderId - Work Order internal ID
-     * @returns {Object} Result
+     * @returns {Object} Result with updates, totalConsumed and totalCost
      */
     const markAllocationsConsumed = (workOrderId) => {
         if (!isEnabled()) {
@@ -439,7 +606,10 @@ define([
                 columns: [
                     'internalid',
                     TALLY_ALLOC_FIELDS.TALLY_SHEET,
-                    TALLY_ALLOC_FIELDS.ALLOCATED_BF
+                    TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                    TALLY_ALLOC_FIELDS.CONSUMED_BF,
+                    search.createColumn({ name: TALLY_FIELDS.ITEM, join: TALLY_ALLOC_FIELDS.TALLY_SHEET }),
+                    search.createColumn({ name: TALLY_FIELDS.BF_COST, join: TALLY_ALLOC_FIELDS.TALLY_SHEET })
                 ]
             });
 
@@ -449,6 +619,10 @@ define([
                 const allocId = result.id;
                 const tallyId = result.getValue(TALLY_ALLOC_FIELDS.TALLY_SHEET);
                 const allocatedBF = parseFloat(result.getValue(TALLY_ALLOC_FIELDS.ALLOCATED_BF)) || 0;
+                const alreadyConsumed = parseFloat(result.getValue(TALLY_ALLOC_FIELDS.CONSUMED_BF)) || 0;
+                const outstandingBF = BFCalculator.roundTo(Math.max(0, allocatedBF - alreadyConsumed), Constants.PRECISION.BF);
+                const bfCost = parseFloat(result.getValue({ name: TALLY_FIELDS.BF_COST, join: TALLY_ALLOC_FIELDS.TALLY_SHEET })) || 0;
+                const consumedCost = BFCalculator.roundTo(allocatedBF * bfCost, Constants.PRECISION.CURRENCY);
 
                 // Update allocation status
                 record.submitFields({
@@ -457,17 +631,23 @@ define([
                     values: {
                         [TALLY_ALLOC_FIELDS.STATUS]: TALLY_ALLOC_STATUS.CONSUMED,
                         [TALLY_ALLOC_FIELDS.CONSUMED_BF]: allocatedBF,
+                        [TALLY_ALLOC_FIELDS.CONSUMED_COST]: consumedCost,
                         [TALLY_ALLOC_FIELDS.CONSUMPTION_DATE]: new Date()
                     }
                 });
 
-                // Reduce remaining BF on tally
-                reduceTallyBF(tallyId, allocatedBF);
+                // Reduce remaining BF on tally by what was not consumed already
+                if (outstandingBF > 0) {
+                    reduceTallyBF(tallyId, outstandingBF);
+                }
 
                 updates.push({
                     allocationId: allocId,
                     tallyId,
-                    consumedBF: allocatedBF
+                    itemId: result.getValue({ name: TALLY_FIELDS.ITEM, join: TALLY_ALLOC_FIELDS.TALLY_SHEET }),
+                    consumedBF: allocatedBF,
+                    bfCost,
+                    consumedCost
                 });
 
                 return true;
@@ -476,7 +656,11 @@ define([
             return {
                 success: true,
                 updates,
-                totalConsumed: updates.reduce((sum, u) => sum + u.consumedBF, 0)
+                totalConsumed: updates.reduce((sum, u) => sum + u.consumedBF, 0),
+                totalCost: BFCalculator.roundTo(
+                    updates.reduce((sum, u) => sum + u.consumedCost, 0),
+                    Constants.PRECISION.CURRENCY
+                )
             };
 
         } catch (e) {
@@ -496,6 +680,7 @@ define([
      *
      * @param {number} tallyId - Tally sheet internal ID
      * @param {number} consumedBF - BF consumed
+     * @returns {Object} Result with remainingBF
      */
     const reduceTallyBF = (tallyId, consumedBF) => {
         try {
@@ -516,11 +701,14 @@ define([
 
             tallyRec.save();
 
+            return { success: true, remainingBF: newRemaining };
+
         } catch (e) {
             log.error({
                 title: 'CLS Tally Service - reduceTallyBF',
                 details: `Tally ${tallyId}: ${e.message}`
             });
+            return { success: false, error: e.message };
         }
     };
 
@@ -668,7 +856,8 @@ define([
                 thickness: parseFloat(tallyRec.getValue({ fieldId: TALLY_FIELDS.THICKNESS })) || null,
                 width: parseFloat(tallyRec.getValue({ fieldId: TALLY_FIELDS.WIDTH })) || null,
                 length: parseFloat(tallyRec.getValue({ fieldId: TALLY_FIELDS.LENGTH })) || null,
-                pieces: parseInt(tallyRec.getValue({ fieldId: TALLY_FIELDS.PIECES }), 10) || null
+                pieces: parseInt(tallyRec.getValue({ fieldId: TALLY_FIELDS.PIECES }), 10) || null,
+                bfCost: parseFloat(tallyRec.getValue({ fieldId: TALLY_FIELDS.BF_COST })) || null
             };
 
         } catch (e) {
@@ -676,20 +865,185 @@ define([
         }
     };
 
+    /**
+     * Find a tally sheet from a scanned barcode
+     * Bundle tags encode the tally internal ID; tally numbers and bundle IDs
+     * keyed or scanned from vendor tags are matched as well.
+     *
+     * @param {string} code - Scanned value
+     * @returns {string|null} Tally sheet internal ID
+     */
+    const findTallyByScan = (code) => {
+        const value = String(code || '').trim();
+        if (!value) return null;
+
+        const filters = [
+            [TALLY_FIELDS.TALLY_NUMBER, 'is', value],
+            'OR',
+            [TALLY_FIELDS.BUNDLE_ID, 'is', value]
+        ];
+
+        if (/^\d+$/.test(value)) {
+            filters.push('OR', ['internalid', 'anyof', value]);
+        }
+
+        let tallyId = null;
+
+        search.create({
+            type: RECORD_TYPES.TALLY_SHEET,
+            filters,
+            columns: [search.createColumn({ name: 'internalid', sort: search.Sort.DESC })]
+        }).run().each((result) => {
+            // An internal ID match wins over a number/bundle match on another tally
+            if (!tallyId || result.id === value) {
+                tallyId = result.id;
+            }
+            return true;
+        });
+
+        return tallyId;
+    };
+
+    /**
+     * Apply consumed BF to a transaction's open allocations of a tally
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @param {number} transactionId - Work order (or other allocating transaction)
+     * @param {number} consumedBF - BF consumed
+     * @param {number} [bfCost=0] - Landed BF cost of the tally
+     * @returns {number} BF applied to allocations
+     */
+    const consumeAllocations = (tallyId, transactionId, consumedBF, bfCost = 0) => {
+        let unapplied = consumedBF;
+
+        search.create({
+            type: RECORD_TYPES.TALLY_ALLOCATION,
+            filters: [
+                [TALLY_ALLOC_FIELDS.TALLY_SHEET, 'anyof', tallyId],
+                'AND',
+                [TALLY_ALLOC_FIELDS.WORK_ORDER, 'anyof', transactionId],
+                'AND',
+                [TALLY_ALLOC_FIELDS.STATUS, 'anyof', TALLY_ALLOC_STATUS.ALLOCATED]
+            ],
+            columns: [
+                search.createColumn({ name: 'internalid', sort: search.Sort.ASC }),
+                TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                TALLY_ALLOC_FIELDS.CONSUMED_BF
+            ]
+        }).run().each((result) => {
+            const allocatedBF = parseFloat(result.getValue(TALLY_ALLOC_FIELDS.ALLOCATED_BF)) || 0;
+            const alreadyConsumed = parseFloat(result.getValue(TALLY_ALLOC_FIELDS.CONSUMED_BF)) || 0;
+            const applyBF = Math.min(allocatedBF - alreadyConsumed, unapplied);
+
+            if (applyBF <= 0) return unapplied > 0;
+
+            const totalConsumed = BFCalculator.roundTo(alreadyConsumed + applyBF, Constants.PRECISION.BF);
+            const values = {
+                [TALLY_ALLOC_FIELDS.CONSUMED_BF]: totalConsumed,
+                [TALLY_ALLOC_FIELDS.CONSUMED_COST]: BFCalculator.roundTo(totalConsumed * bfCost, Constants.PRECISION.CURRENCY),
+                [TALLY_ALLOC_FIELDS.CONSUMPTION_DATE]: new Date()
+            };
+
+            if (totalConsumed >= allocatedBF) {
+                values[TALLY_ALLOC_FIELDS.STATUS] = TALLY_ALLOC_STATUS.CONSUMED;
+            }
+
+            record.submitFields({
+                type: RECORD_TYPES.TALLY_ALLOCATION,
+                id: result.id,
+                values
+            });
+
+            unapplied -= applyBF;
+            return unapplied > 0;
+        });
+
+        return consumedBF - unapplied;
+    };
+
+    /**
+     * Write a consumption log entry for BF taken from a tally
+     *
+     * @param {Object} params - Log parameters
+     * @param {Object} params.tally - Tally details (from getTallyDetails)
+     * @param {number} params.consumedBF - BF consumed
+     * @param {number} [params.transactionId] - Related transaction ID
+     * @param {string} [params.transactionType] - Type of transaction
+     * @param {number} [params.userId] - Employee who recorded the consumption
+     * @returns {number} Consumption log internal ID
+     */
+    const logConsumption = (params) => {
+        const { tally, consumedBF, transactionId, transactionType, userId } = params;
+        const CONS_FIELDS = Constants.CONSUMPTION_FIELDS;
+
+        const logRec = record.create({ type: RECORD_TYPES.CONSUMPTION_LOG });
+
+        const values = {
+            [CONS_FIELDS.SOURCE_TRANSACTION]: transactionId ? String(transactionId) : `Tally ${tally.tallyNumber}`,
+            [CONS_FIELDS.SOURCE_TYPE]: transactionType || 'tally',
+            [CONS_FIELDS.ITEM]: tally.itemId,
+            [CONS_FIELDS.CALCULATED_BF]: consumedBF,
+            [CONS_FIELDS.DIM_THICKNESS]: tally.thickness,
+            [CONS_FIELDS.DIM_WIDTH]: tally.width,
+            [CONS_FIELDS.DIM_LENGTH]: tally.length,
+            [CONS_FIELDS.TRANSACTION_DATE]: new Date(),
+            [CONS_FIELDS.CREATED_BY]: userId,
+            [CONS_FIELDS.SUBSIDIARY]: tally.subsidiaryId,
+            [CONS_FIELDS.BF_COST]: tally.bfCost,
+            [CONS_FIELDS.EXTENDED_COST]: tally.bfCost
+                ? BFCalculator.roundTo(consumedBF * tally.bfCost, Constants.PRECISION.CURRENCY)
+                : null
+        };
+
+        Object.keys(values).forEach((fieldId) => {
+            if (values[fieldId] !== null && values[fieldId] !== undefined && values[fieldId] !== '') {
+                logRec.setValue({ fieldId, value: values[fieldId] });
+            }
+        });
+
+        return logRec.save({ ignoreMandatoryFields: true });
+    };
+
     /**
      * Record consumption from a tally sheet
      * Used when fulfilling orders or completing work orders
      *
+     * BF consumed against a work order is also applied to that work order's
+     * open allocations of the tally, so allocations and remaining BF agree.
+     *
      * @param {Object} params - Consumption parameters
      * @param {number} params.tallyId - Tally sheet internal ID
      * @param {number} params.consumedBF - BF consumed
      * @param {number} [params.transactionId] - Related transaction ID
      * @param {string} [params.transactionType] - Type of transaction
-     * @returns {Object} Result with success status
+     * @param {boolean} [params.logConsumption=false] - Write a consumption log entry
+     * @param {number} [params.userId] - Employee recording the consumption (for the log)
+     * @returns {Object} Result with success status and consumedCost at the landed BF cost
      */
     const recordConsumption = (params) => {
         try {
-            const { tallyId, consumedBF, transactionId, transactionType } = params;
+            const { tallyId, transactionId, transactionType } = params;
+            const consumedBF = parseFloat(params.consumedBF) || 0;
+
+            if (consumedBF <= 0) {
+                return { success: false, error: 'Consumed BF must be greater than zero' };
+            }
+
+            const tally = getTallyDetails(tallyId);
+            if (!tally) {
+                return { success: false, error: `Tally ${tallyId} not found` };
+            }
+
+            if (tally.status === TALLY_STATUS.CONSUMED || tally.status === TALLY_STATUS.CLOSED) {
+                return { success: false, error: Constants.ERRORS.TALLY_LOCKED };
+            }
+
+            if (consumedBF > tally.remainingBF) {
+                return {
+                    success: false,
+                    error: `Cannot consume ${consumedBF} BF; tally ${tally.tallyNumber} has ${tally.remainingBF} BF remaining`
+                };
+            }
 
             // Reduce the tally BF
             const reduceResult = reduceTallyBF(tallyId, consumedBF);
@@ -697,14 +1051,34 @@ define([
                 return reduceResult;
             }
 
+            // Allocations follow only once the tally has been reduced
+            const allocatedBF = transactionId
+                ? consumeAllocations(tallyId, transactionId, consumedBF, tally.bfCost || 0)
+                : 0;
+
             // Update tally status
             updateTallyStatus(tallyId);
 
+            let consumptionLogId = null;
+            if (params.logConsumption) {
+                consumptionLogId = logConsumption({
+                    tally,
+                    consumedBF,
+                    transactionId,
+                    transactionType,
+                    userId: params.userId
+                });
+            }
+
             return {
                 success: true,
                 tallyId,
                 consumedBF,
-                remainingBF: reduceResult.remainingBF
+                allocatedBF,
+                remainingBF: reduceResult.remainingBF,
+                bfCost: tally.bfCost || 0,
+                consumedCost: BFCalculator.roundTo(consumedBF * (tally.bfCost || 0), Constants.PRECISION.CURRENCY),
+                consumptionLogId
             };
 
         } catch (e) {
@@ -719,17 +1093,256 @@ define([
         }
     };
 
+    /**
+     * Get the BF held by open allocations of a tally sheet
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @returns {number} Allocated BF
+     */
+    const getOpenAllocatedBF = (tallyId) => {
+        let allocatedBF = 0;
+
+        search.create({
+            type: RECORD_TYPES.TALLY_ALLOCATION,
+            filters: [
+                [TALLY_ALLOC_FIELDS.TALLY_SHEET, 'anyof', tallyId],
+                'AND',
+                [TALLY_ALLOC_FIELDS.STATUS, 'anyof', TALLY_ALLOC_STATUS.ALLOCATED]
+            ],
+            columns: [
+                TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                TALLY_ALLOC_FIELDS.CONSUMED_BF
+            ]
+        }).run().each((result) => {
+            allocatedBF += (parseFloat(result.getValue(TALLY_ALLOC_FIELDS.ALLOCATED_BF)) || 0) -
+                (parseFloat(result.getValue(TALLY_ALLOC_FIELDS.CONSUMED_BF)) || 0);
+            return true;
+        });
+
+        return BFCalculator.roundTo(allocatedBF, Constants.PRECISION.BF);
+    };
+
+    /**
+     * Get the open and partly consumed allocations of one or more tally sheets
+     *
+     * @param {number|Array<number>} tallyIds - Tally sheet internal ID(s)
+     * @returns {Array<Object>} { allocationId, tallyId, tallyNumber, workOrder, allocatedBF, consumedBF }
+     */
+    const getOpenAllocations = (tallyIds) => {
+        const allocations = [];
+
+        if (Array.isArray(tallyIds) && tallyIds.length === 0) {
+            return allocations;
+        }
+
+        search.create({
+            type: RECORD_TYPES.TALLY_ALLOCATION,
+            filters: [
+                [TALLY_ALLOC_FIELDS.TALLY_SHEET, 'anyof', tallyIds],
+                'AND',
+                [TALLY_ALLOC_FIELDS.STATUS, 'anyof', TALLY_ALLOC_STATUS.ALLOCATED]
+            ],
+            columns: [
+                TALLY_ALLOC_FIELDS.TALLY_SHEET,
+                TALLY_ALLOC_FIELDS.WORK_ORDER,
+                TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                TALLY_ALLOC_FIELDS.CONSUMED_BF
+            ]
+        }).run().each((result) => {
+            allocations.push({
+                allocationId: result.id,
+                tallyId: result.getValue(TALLY_ALLOC_FIELDS.TALLY_SHEET),
+                tallyNumber: result.getText(TALLY_ALLOC_FIELDS.TALLY_SHEET) || result.getValue(TALLY_ALLOC_FIELDS.TALLY_SHEET),
+                workOrder: result.getText(TALLY_ALLOC_FIELDS.WORK_ORDER) || result.getValue(TALLY_ALLOC_FIELDS.WORK_ORDER),
+                allocatedBF: parseFloat(result.getValue(TALLY_ALLOC_FIELDS.ALLOCATED_BF)) || 0,
+                consumedBF: parseFloat(result.getValue(TALLY_ALLOC_FIELDS.CONSUMED_BF)) || 0
+            });
+            return true;
+        });
+
+        return allocations;
+    };
+
+    /**
+     * Transfer a whole or partial tally sheet to another location
+     *
+     * A whole transfer moves the tally itself. A partial transfer splits the
+     * moved BF into a child tally at the destination and leaves the rest
+     * behind. BF held by open allocations must stay at the source location.
+     * Every transfer is logged in the source tally's transfer history.
+     *
+     * @param {Object} params - Transfer parameters
+     * @param {number} params.tallyId - Tally sheet internal ID
+     * @param {number} params.toLocationId - Destination location
+     * @param {number} [params.transferBF] - BF to move (defaults to all remaining BF)
+     * @param {number} [params.transactionId] - Transfer Order, fulfillment or Inventory Transfer
+     * @param {number} [params.userId] - Employee who moved the lumber
+     * @param {string} [params.notes] - Notes for the transfer history
+     * @returns {Object} Result with the tally now at the destination
+     */
+    const transferTally = (params) => {
+        if (!isEnabled()) {
+            return { success: false, error: 'Tally module is not enabled' };
+        }
+
+        const { tallyId, toLocationId, transactionId, userId, notes } = params;
+
+        try {
+            const tally = getTallyDetails(tallyId);
+            if (!tally) {
+                return { success: false, error: `Tally ${tallyId} not found` };
+            }
+
+            if (tally.status === TALLY_STATUS.CONSUMED || tally.status === TALLY_STATUS.CLOSED) {
+                return { success: false, error: Constants.ERRORS.TALLY_LOCKED };
+            }
+
+            if (!toLocationId) {
+                return { success: false, error: 'A destination location is required' };
+            }
+
+            if (String(tally.locationId) === String(toLocationId)) {
+                return { success: false, error: `Tally ${tally.tallyNumber} is already at that location` };
+            }
+
+            const requestedBF = parseFloat(params.transferBF) || 0;
+            const transferBF = BFCalculator.roundTo(
+                requestedBF > 0 ? requestedBF : tally.remainingBF,
+                Constants.PRECISION.BF
+            );
+
+            if (transferBF <= 0) {
+                return { success: false, error: `Tally ${tally.tallyNumber} has no remaining BF to transfer` };
+            }
+
+            if (transferBF > tally.remainingBF) {
+                return {
+                    success: false,
+                    error: `Cannot transfer ${transferBF} BF; tally ${tally.tallyNumber} has ${tally.remainingBF} BF remaining`
+                };
+            }
+
+            const isPartial = transferBF < tally.remainingBF;
+            const allocatedBF = getOpenAllocatedBF(tallyId);
+
+            if (tally.remainingBF - transferBF < allocatedBF) {
+                return {
+                    success: false,
+                    error: `Tally ${tally.tallyNumber} has ${allocatedBF} BF allocated; release allocations before transferring that BF`
+                };
+            }
+
+            let destinationTallyId = tallyId;
+            let childTallyId = null;
+
+            if (isPartial) {
+                const splitResult = splitTally({
+                    sourceTallyId: tallyId,
+                    children: [{ receivedBF: transferBF }],
+                    notes: notes || 'Location transfer'
+                });
+
+                if (!splitResult.success) {
+                    return splitResult;
+                }
+
+                childTallyId = splitResult.children[0].tallyId;
+                destinationTallyId = childTallyId;
+            }
+
+            record.submitFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: destinationTallyId,
+                values: { [TALLY_FIELDS.LOCATION]: toLocationId }
+            });
+
+            const transferId = logTransfer({
+                tallyId,
+                fromLocationId: tally.locationId,
+                toLocationId,
+                transferBF,
+                childTallyId,
+                transactionId,
+                userId,
+                notes
+            });
+
+            log.audit({
+                title: 'CLS Tally Service',
+                details: `Transferred ${transferBF} BF of tally ${tally.tallyNumber} from location ${tally.locationId} to ${toLocationId}` +
+                    (childTallyId ? ` as child tally ${childTallyId}` : '')
+            });
+
+            return {
+                success: true,
+                tallyId: destinationTallyId,
+                sourceTallyId: tallyId,
+                childTallyId,
+                isPartial,
+                transferBF,
+                fromLocationId: tally.locationId,
+                toLocationId,
+                transferId
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Tally Service - transferTally',
+                details: e.message
+            });
+            return { success: false, error: e.message };
+        }
+    };
+
+    /**
+     * Record a transfer in a tally's transfer history
+     *
+     * @param {Object} params - History parameters (see transferTally)
+     * @returns {number} Transfer record internal ID
+     */
+    const logTransfer = (params) => {
+        const XFER_FIELDS = Constants.TALLY_TRANSFER_FIELDS;
+
+        const transferRec = record.create({ type: RECORD_TYPES.TALLY_TRANSFER });
+
+        const values = {
+            [XFER_FIELDS.TALLY]: params.tallyId,
+            [XFER_FIELDS.FROM_LOCATION]: params.fromLocationId,
+            [XFER_FIELDS.TO_LOCATION]: params.toLocationId,
+            [XFER_FIELDS.TRANSFERRED_BF]: params.transferBF,
+            [XFER_FIELDS.CHILD_TALLY]: params.childTallyId,
+            [XFER_FIELDS.TRANSACTION]: params.transactionId,
+            [XFER_FIELDS.TRANSFER_DATE]: new Date(),
+            [XFER_FIELDS.MOVED_BY]: params.userId > 0 ? params.userId : null,
+            [XFER_FIELDS.NOTES]: params.notes
+        };
+
+        Object.keys(values).forEach((fieldId) => {
+            if (values[fieldId] !== null && values[fieldId] !== undefined && values[fieldId] !== '') {
+                transferRec.setValue({ fieldId, value: values[fieldId] });
+            }
+        });
+
+        return transferRec.save({ ignoreMandatoryFields: true });
+    };
+
     /**
      * Reverse a consumption (for voided transactions)
      *
      * @param {Object} params - Reversal parameters
      * @param {number} params.tallyId - Tally sheet internal ID
      * @param {number} params.reverseBF - BF to add back
+     * @param {number} [params.transactionId] - Transaction being reversed
      * @returns {Object} Result with success status
      */
     const reverseConsumption = (params) => {
         try {
-            const { tallyId, reverseBF } = params;
+            const { tallyId, transactionId } = params;
+            const reverseBF = parseFloat(params.reverseBF) || 0;
+
+            if (reverseBF <= 0) {
+                return { success: false, error: 'Reversed BF must be greater than zero' };
+            }
 
             // Load and update tally
             const tallyRec = record.load({
@@ -748,6 +1361,11 @@ define([
             // Update status
             updateTallyStatus(tallyId);
 
+            log.audit({
+                title: 'CLS Tally Service',
+                details: `Reversed ${reverseBF} BF on tally ${tallyId}${transactionId ? ` for transaction ${transactionId}` : ''}`
+            });
+
             return {
                 success: true,
                 tallyId,
@@ -768,77 +1386,256 @@ define([
     };
 
     /**
-     * Allocate tally sheets using FIFO (First In First Out)
+     * Close a tally sheet and write off its remaining BF
+     * Used when the source document is reversed (e.g. receipt line removed)
+     * or the bundle is gone from the yard. A tally with open or partly
+     * consumed allocations is not closed unless forced, which releases them.
      *
-     * @param {Object} params - FIFO allocation parameters
-     * @param {number} params.itemId - Item internal ID
-     * @param {number} params.requiredBF - Required board feet
-     * @param {number} params.locationId - Location internal ID
-     * @param {number} params.subsidiaryId - Subsidiary internal ID
-     * @param {number} [params.workOrderId] - Work Order to allocate to
-     * @returns {Object} Result with allocations array
+     * @param {Object} params - Close parameters
+     * @param {number} params.tallyId - Tally sheet internal ID
+     * @param {string} [params.reason] - Reason appended to the tally notes
+     * @param {boolean} [params.unlinkReceipt=false] - Clear the Item Receipt link
+     * @param {boolean} [params.force=false] - Close and release open allocations
+     * @returns {Object} Result with the BF written off and allocations released
      */
-    const allocateFIFO = (params) => {
+    const closeTally = (params) => {
         try {
-            const { itemId, requiredBF, locationId, subsidiaryId, workOrderId } = params;
+            const { tallyId, reason, unlinkReceipt = false, force = false } = params;
 
-            // Find available tallies in FIFO order
-            const availableTallies = findAvailableTallies({
-                itemId,
-                locationId,
-                subsidiaryId
-            });
+            const openAllocations = getOpenAllocations(tallyId);
 
-            if (availableTallies.length === 0) {
+            if (openAllocations.length > 0 && !force) {
                 return {
                     success: false,
+                    error: `Tally has ${openAllocations.length} open allocation(s) to ` +
+                        `${openAllocations.map((a) => a.workOrder).join(', ')}. Release them before closing the tally.`
+                };
+            }
+
+            const tallyRec = record.load({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: tallyId
+            });
+
+            const writtenOffBF = parseFloat(tallyRec.getValue({ fieldId: TALLY_FIELDS.REMAINING_BF })) || 0;
+
+            tallyRec.setValue({ fieldId: TALLY_FIELDS.REMAINING_BF, value: 0 });
+            tallyRec.setValue({ fieldId: TALLY_FIELDS.STATUS, value: TALLY_STATUS.CLOSED });
+
+            if (reason) {
+                const notes = tallyRec.getValue({ fieldId: TALLY_FIELDS.NOTES }) || '';
+                tallyRec.setValue({
+                    fieldId: TALLY_FIELDS.NOTES,
+                    value: notes ? `${notes}\n${reason}` : reason
+                });
+            }
+
+            if (unlinkReceipt) {
+                tallyRec.setValue({ fieldId: TALLY_FIELDS.ITEM_RECEIPT, value: '' });
+            }
+
+            tallyRec.save({ ignoreMandatoryFields: true });
+
+            openAllocations.forEach((allocation) => {
+                record.submitFields({
+                    type: RECORD_TYPES.TALLY_ALLOCATION,
+                    id: allocation.allocationId,
+                    values: { [TALLY_ALLOC_FIELDS.STATUS]: TALLY_ALLOC_STATUS.RELEASED }
+                });
+
+                log.audit({
+                    title: 'CLS Tally Service',
+                    details: `Closing tally ${tallyId} released allocation ${allocation.allocationId} to ` +
+                        `${allocation.workOrder} (${allocation.allocatedBF} BF allocated, ${allocation.consumedBF} BF consumed)`
+                });
+            });
+
+            log.audit({
+                title: 'CLS Tally Service',
+                details: `Closed tally ${tallyId}; ${writtenOffBF} BF written off${reason ? ` (${reason})` : ''}`
+            });
+
+            return {
+                success: true,
+                tallyId,
+                writtenOffBF,
+                releasedAllocations: openAllocations.length
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Tally Service - closeTally',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Change the received BF on a tally sheet
+     * Remaining BF moves by the same delta so BF already consumed is preserved.
+     *
+     * @param {Object} params - Adjustment parameters
+     * @param {number} params.tallyId - Tally sheet internal ID
+     * @param {number} params.receivedBF - New received BF
+     * @param {Object} [params.values] - Additional tally field values to set
+     * @returns {Object} Result with new received and remaining BF
+     */
+    const adjustReceivedBF = (params) => {
+        try {
+            const { tallyId, receivedBF, values = {} } = params;
+
+            const current = search.lookupFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: tallyId,
+                columns: [TALLY_FIELDS.RECEIVED_BF, TALLY_FIELDS.REMAINING_BF]
+            });
+
+            const oldReceived = parseFloat(current[TALLY_FIELDS.RECEIVED_BF]) || 0;
+            const oldRemaining = parseFloat(current[TALLY_FIELDS.REMAINING_BF]) || 0;
+            const newReceived = BFCalculator.roundTo(parseFloat(receivedBF) || 0, Constants.PRECISION.BF);
+            const newRemaining = BFCalculator.roundTo(
+                Math.max(0, oldRemaining + (newReceived - oldReceived)),
+                Constants.PRECISION.BF
+            );
+
+            record.submitFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: tallyId,
+                values: {
+                    ...values,
+                    [TALLY_FIELDS.RECEIVED_BF]: newReceived,
+                    [TALLY_FIELDS.REMAINING_BF]: newRemaining
+                }
+            });
+
+            updateTallyStatus(tallyId);
+
+            return {
+                success: true,
+                tallyId,
+                receivedBF: newReceived,
+                remainingBF: newRemaining
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Tally Service - adjustReceivedBF',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Allocate tally sheets using an allocation strategy
+     * Without a work order, returns the allocation that would be made (preview).
+     *
+     * @param {Object} params - Allocation parameters
+     * @param {number} params.itemId - Item internal ID
+     * @param {number} params.requiredBF - Required board feet
+     * @param {number} params.locationId - Location internal ID
+     * @param {number} [params.subsidiaryId] - Subsidiary internal ID
+     * @param {number} [params.workOrderId] - Work Order to allocate to
+     * @param {number} [params.lineNumber] - WO line number
+     * @param {string} [params.strategy] - Strategy (defaults to item, then location, then FIFO)
+     * @param {number} [params.minGradeId] - Grade for grade-matched allocation (defaults to item grade)
+     * @returns {Object} Result with strategy and allocations array
+     */
+    const allocateByStrategy = (params) => {
+        try {
+            const { itemId, requiredBF, locationId, subsidiaryId, workOrderId } = params;
+            const strategy = resolveAllocationStrategy(params);
+
+            let minGradeId = null;
+            if (strategy === ALLOCATION_STRATEGIES.GRADE_MATCHED) {
+                minGradeId = params.minGradeId || getLookupSelectValue(search.lookupFields({
+                    type: search.Type.ITEM,
+                    id: itemId,
+                    columns: [Constants.ITEM_FIELDS.GRADE]
+                }), Constants.ITEM_FIELDS.GRADE) || null;
+            }
+
+            const availableTallies = findAvailableTallies({
+                itemId,
+                locationId,
+                subsidiaryId,
+                requiredBF,
+                minGradeId,
+                strategy
+            });
+
+            if (availableTallies.length === 0) {
+                return {
+                    success: false,
+                    strategy,
                     allocations: [],
+                    totalAllocated: 0,
+                    shortfall: requiredBF,
                     error: 'No available tally sheets found'
                 };
             }
 
+            const selection = selectTallies(availableTallies, requiredBF, strategy);
             const allocations = [];
-            let remainingBF = requiredBF;
-
-            for (const tally of availableTallies) {
-                if (remainingBF <= 0) break;
+            const errors = [];
 
-                const allocateBF = Math.min(tally.remainingBF, remainingBF);
+            for (const pick of selection.picks) {
+                const tally = pick.tally;
+                const allocation = {
+                    tallyId: tally.tallyId,
+                    tallyNumber: tally.tallyNumber,
+                    allocatedBF: BFCalculator.roundTo(pick.allocateBF, Constants.PRECISION.BF),
+                    leftoverBF: BFCalculator.roundTo(tally.remainingBF - pick.allocateBF, Constants.PRECISION.BF),
+                    receivedDate: tally.receivedDate,
+                    moisturePct: tally.moisturePct,
+                    grade: tally.grade
+                };
 
                 if (workOrderId) {
                     const allocResult = createAllocation({
-                        tallyId: tally.id,
+                        tallyId: tally.tallyId,
                         workOrderId,
-                        allocatedBF: allocateBF
+                        allocatedBF: pick.allocateBF,
+                        lineNumber: params.lineNumber
                     });
 
-                    if (allocResult.success) {
-                        allocations.push({
-                            tallyId: tally.id,
-                            allocatedBF: allocateBF,
-                            allocationId: allocResult.allocationId
-                        });
-                        remainingBF -= allocateBF;
+                    if (!allocResult.success) {
+                        errors.push(allocResult.error);
+                        continue;
                     }
-                } else {
-                    allocations.push({
-                        tallyId: tally.id,
-                        availableBF: allocateBF
-                    });
-                    remainingBF -= allocateBF;
+
+                    allocation.allocationId = allocResult.allocationId;
                 }
+
+                allocations.push(allocation);
             }
 
+            const totalAllocated = BFCalculator.roundTo(
+                allocations.reduce((sum, a) => sum + a.allocatedBF, 0),
+                Constants.PRECISION.BF
+            );
+            const shortfall = BFCalculator.roundTo(Math.max(requiredBF - totalAllocated, 0), Constants.PRECISION.BF);
+
             return {
-                success: remainingBF <= 0,
+                success: shortfall <= 0 && errors.length === 0,
+                strategy,
                 allocations,
-                totalAllocated: requiredBF - remainingBF,
-                shortfall: remainingBF > 0 ? remainingBF : 0
+                totalAllocated,
+                talliesUsed: allocations.length,
+                shortfall,
+                errors
             };
 
         } catch (e) {
             log.error({
-                title: 'CLS Tally Service - allocateFIFO',
+                title: 'CLS Tally Service - allocateByStrategy',
                 details: e.message
             });
             return {
@@ -849,6 +1646,526 @@ define([
         }
     };
 
+    /**
+     * Preview the tallies a strategy would allocate, without creating allocations
+     *
+     * @param {Object} params - Same parameters as allocateByStrategy (workOrderId ignored)
+     * @returns {Object} Preview with rows, totals and strategy label
+     */
+    const previewAllocation = (params) => {
+        const result = allocateByStrategy(Object.assign({}, params, { workOrderId: null }));
+
+        return {
+            success: result.success,
+            strategy: result.strategy,
+            strategyLabel: Constants.ALLOCATION_STRATEGY_LABELS[result.strategy] || '',
+            rows: result.allocations.map((allocation) => ({
+                tallyId: allocation.tallyId,
+                tallyNumber: allocation.tallyNumber,
+                remainingBF: BFCalculator.roundTo(allocation.allocatedBF + allocation.leftoverBF, Constants.PRECISION.BF),
+                allocateBF: allocation.allocatedBF,
+                leftoverBF: allocation.leftoverBF,
+                receivedDate: allocation.receivedDate,
+                moisturePct: allocation.moisturePct,
+                grade: allocation.grade
+            })),
+            requiredBF: params.requiredBF,
+            totalAllocated: result.totalAllocated || 0,
+            shortfall: result.shortfall !== undefined ? result.shortfall : params.requiredBF,
+            error: result.error
+        };
+    };
+
+    /**
+     * Allocate tally sheets using FIFO (First In First Out)
+     *
+     * @param {Object} params - FIFO allocation parameters
+     * @param {number} params.itemId - Item internal ID
+     * @param {number} params.requiredBF - Required board feet
+     * @param {number} params.locationId - Location internal ID
+     * @param {number} params.subsidiaryId - Subsidiary internal ID
+     * @param {number} [params.workOrderId] - Work Order to allocate to
+     * @returns {Object} Result with allocations array
+     */
+    const allocateFIFO = (params) => {
+        return allocateByStrategy(Object.assign({}, params, { strategy: ALLOCATION_STRATEGIES.FIFO }));
+    };
+
+    /**
+     * Undo the records written by a split or merge that failed part-way
+     * Errors are logged, not thrown, so the caller keeps the original error.
+     *
+     * @param {Array<Object>} created - Records to delete ({ type, id }), newest last
+     * @param {Array<Object>} [restores] - Tally sheet values to put back ({ id, values })
+     */
+    const rollBackTallyChanges = (created, restores = []) => {
+        created.slice().reverse().forEach(({ type, id }) => {
+            try {
+                record.delete({ type, id });
+            } catch (e) {
+                log.error({
+                    title: 'CLS Tally Service - rollBackTallyChanges',
+                    details: `Could not delete ${type} ${id}: ${e.message}`
+                });
+            }
+        });
+
+        restores.forEach(({ id, values }) => {
+            try {
+                record.submitFields({ type: RECORD_TYPES.TALLY_SHEET, id, values });
+            } catch (e) {
+                log.error({
+                    title: 'CLS Tally Service - rollBackTallyChanges',
+                    details: `Could not restore tally ${id}: ${e.message}`
+                });
+            }
+        });
+    };
+
+    /**
+     * Split one tally sheet into several child tallies
+     * BF is conserved: the parent loses exactly the BF assigned to the children.
+     * Each child is linked back to the parent and recorded as a Split entry
+     * in the parent's allocation history. BF held by open allocations stays
+     * on the parent, and a split that fails part-way is rolled back.
+     *
+     * @param {Object} params - Split parameters
+     * @param {number} params.sourceTallyId - Tally sheet being split
+     * @param {Array<Object>} params.children - Child tally definitions
+     * @param {number} params.children[].receivedBF - BF for the child tally
+     * @param {number} [params.children[].pieces] - Number of pieces
+     * @param {number} [params.children[].thickness] - Thickness in inches
+     * @param {number} [params.children[].width] - Width in inches
+     * @param {number} [params.children[].length] - Length in feet
+     * @param {number} [params.children[].gradeId] - Grade (defaults to parent grade)
+     * @param {string} [params.children[].bundleId] - Bundle identifier
+     * @param {string} [params.notes] - Notes recorded on the split history
+     * @returns {Object} Result with children array and parent remaining BF
+     */
+    const splitTally = (params) => {
+        if (!isEnabled()) {
+            return { success: false, error: 'Tally module is not enabled' };
+        }
+
+        const { sourceTallyId, children = [], notes } = params;
+
+        try {
+            if (!sourceTallyId || children.length === 0) {
+                return { success: false, error: 'A source tally and at least one child tally are required' };
+            }
+
+            const parent = getTallyDetails(sourceTallyId);
+            if (!parent) {
+                return { success: false, error: `Tally ${sourceTallyId} not found` };
+            }
+
+            if (parent.status === TALLY_STATUS.CONSUMED || parent.status === TALLY_STATUS.CLOSED) {
+                return { success: false, error: Constants.ERRORS.TALLY_LOCKED };
+            }
+
+            const invalidLine = children.findIndex(child => !(parseFloat(child.receivedBF) > 0));
+            if (invalidLine !== -1) {
+                return { success: false, error: `Child tally ${invalidLine + 1} must have BF greater than zero` };
+            }
+
+            const splitBF = BFCalculator.roundTo(
+                children.reduce((sum, child) => sum + parseFloat(child.receivedBF), 0),
+                Constants.PRECISION.BF
+            );
+
+            const allocatedBF = getOpenAllocatedBF(sourceTallyId);
+            const splittableBF = BFCalculator.roundTo(parent.remainingBF - allocatedBF, Constants.PRECISION.BF);
+
+            if (splitBF > splittableBF) {
+                return {
+                    success: false,
+                    error: `${Constants.ERRORS.SPLIT_EXCEEDS_REMAINING} (${splitBF} BF requested, ${parent.remainingBF} BF remaining, ${allocatedBF} BF allocated)`
+                };
+            }
+
+            // Reduce the parent first, by exactly what moves to the children
+            const parentRemaining = BFCalculator.roundTo(
+                Math.max(0, parent.remainingBF - splitBF),
+                Constants.PRECISION.BF
+            );
+
+            const parentValues = {
+                [TALLY_FIELDS.REMAINING_BF]: parentRemaining
+            };
+            if (parentRemaining <= 0) {
+                parentValues[TALLY_FIELDS.STATUS] = TALLY_STATUS.CLOSED;
+            }
+
+            record.submitFields({
+                type: RECORD_TYPES.TALLY_SHEET,
+                id: sourceTallyId,
+                values: parentValues
+            });
+
+            const created = [];
+            const written = [];
+
+            try {
+                for (const child of children) {
+                    const childBF = BFCalculator.roundTo(parseFloat(child.receivedBF), Constants.PRECISION.BF);
+
+                    const createResult = createTallySheet({
+                        itemId: parent.itemId,
+                        vendorId: parent.vendorId,
+                        vendorLot: parent.vendorLot,
+                        bundleId: child.bundleId,
+                        moisturePct: parent.moisturePct !== null ? parent.moisturePct : undefined,
+                        gradeId: child.gradeId || parent.gradeId,
+                        receivedBF: childBF,
+                        receivedDate: parent.receivedDate,
+                        locationId: parent.locationId,
+                        subsidiaryId: parent.subsidiaryId,
+                        thickness: child.thickness || parent.thickness,
+                        width: child.width || parent.width,
+                        length: child.length || parent.length,
+                        pieces: child.pieces,
+                        notes: `Split from ${parent.tallyNumber}`,
+                        parentTallyId: sourceTallyId,
+                        bfCost: parent.bfCost || undefined
+                    });
+
+                    if (!createResult.success) {
+                        throw new Error(`Child tally ${created.length + 1}: ${createResult.error}`);
+                    }
+                    written.push({ type: RECORD_TYPES.TALLY_SHEET, id: createResult.tallyId });
+
+                    const historyId = recordTallyHistory({
+                        sourceTallyId,
+                        targetTallyId: createResult.tallyId,
+                        movedBF: childBF,
+                        status: TALLY_ALLOC_STATUS.SPLIT,
+                        notes
+                    });
+                    written.push({ type: RECORD_TYPES.TALLY_ALLOCATION, id: historyId });
+
+                    created.push({
+                        tallyId: createResult.tallyId,
+                        tallyNumber: createResult.tallyNumber,
+                        receivedBF: childBF
+                    });
+                }
+            } catch (e) {
+                rollBackTallyChanges(written, [{
+                    id: sourceTallyId,
+                    values: {
+                        [TALLY_FIELDS.REMAINING_BF]: parent.remainingBF,
+                        [TALLY_FIELDS.STATUS]: parent.status
+                    }
+                }]);
+                throw e;
+            }
+
+            if (parentRemaining > 0) {
+                updateTallyStatus(sourceTallyId);
+            }
+
+            log.audit({
+                title: 'CLS Tally Service',
+                details: `Split ${parent.tallyNumber} into ${created.length} tallies (${splitBF} BF); ${parentRemaining} BF remains`
+            });
+
+            return {
+                success: true,
+                sourceTallyId,
+                children: created,
+                splitBF,
+                parentRemainingBF: parentRemaining
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Tally Service - splitTally',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
+    /**
+     * Record BF moved between tallies (split or merge) in the source
+     * tally's allocation history
+     *
+     * @param {Object} params - History parameters
+     * @param {number} params.sourceTallyId - Tally sheet the BF left
+     * @param {number} params.targetTallyId - Tally sheet the BF moved to
+     * @param {number} params.movedBF - BF moved
+     * @param {string} params.status - TALLY_ALLOC_STATUS value (SPLIT or MERGED)
+     * @param {string} [params.notes] - Notes
+     * @returns {number} Allocation record internal ID
+     */
+    const recordTallyHistory = (params) => {
+        const allocRec = record.create({
+            type: RECORD_TYPES.TALLY_ALLOCATION,
+            isDynamic: true
+        });
+
+        const today = new Date();
+
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.TALLY_SHEET, value: params.sourceTallyId });
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.TARGET_TALLY, value: params.targetTallyId });
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.ALLOCATED_BF, value: params.movedBF });
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.CONSUMED_BF, value: params.movedBF });
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.ALLOCATION_DATE, value: today });
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.CONSUMPTION_DATE, value: today });
+        allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.STATUS, value: params.status });
+
+        if (params.notes) {
+            allocRec.setValue({ fieldId: TALLY_ALLOC_FIELDS.NOTES, value: params.notes });
+        }
+
+        return allocRec.save({ ignoreMandatoryFields: true });
+    };
+
+    /**
+     * Calculate a BF-weighted average of a numeric tally attribute
+     * Tallies without a value for the attribute are ignored.
+     *
+     * @param {Array<Object>} tallies - Tally details
+     * @param {string} key - Attribute name (e.g. 'moisturePct')
+     * @param {number} precision - Decimal precision
+     * @returns {number|null} Weighted average or null when no tally has a value
+     */
+    const weightedAverage = (tallies, key, precision) => {
+        let weightedSum = 0;
+        let weight = 0;
+
+        for (const tally of tallies) {
+            const value = tally[key];
+            if (value === null || value === undefined || isNaN(value)) continue;
+
+            weightedSum += value * tally.remainingBF;
+            weight += tally.remainingBF;
+        }
+
+        return weight > 0 ? BFCalculator.roundTo(weightedSum / weight, precision) : null;
+    };
+
+    /**
+     * Build the consolidated values for a merge without saving anything
+     * Tallies must share item, location, subsidiary and grade, be Open and
+     * have no open allocations.
+     *
+     * @param {Array<number>} tallyIds - Tally sheets to merge
+     * @returns {Object} Merge summary with isValid, errors and merged values
+     */
+    const previewMerge = (tallyIds) => {
+        const ids = [...new Set((tallyIds || []).filter(id => id))];
+        const errors = [];
+
+        if (ids.length < 2) {
+            return { isValid: false, errors: ['Select at least two tally sheets to merge'], tallies: [] };
+        }
+
+        const tallies = [];
+        for (const id of ids) {
+            const tally = getTallyDetails(id);
+            if (!tally) {
+                errors.push(`Tally ${id} not found`);
+                continue;
+            }
+            if (tally.status !== TALLY_STATUS.OPEN) {
+                errors.push(`${tally.tallyNumber} is not Open (status ${Constants.TALLY_STATUS_LABELS[tally.status] || tally.status})`);
+            }
+            if (tally.remainingBF <= 0) {
+                errors.push(`${tally.tallyNumber} has no remaining BF`);
+            }
+            const allocatedBF = getOpenAllocatedBF(id);
+            if (allocatedBF > 0) {
+                errors.push(`${tally.tallyNumber} has ${allocatedBF} BF allocated; release its allocations before merging`);
+            }
+            tallies.push(tally);
+        }
+
+        if (tallies.length === 0) {
+            return { isValid: false, errors, tallies };
+        }
+
+        const first = tallies[0];
+        const matchKeys = [
+            { key: 'itemId', label: 'item' },
+            { key: 'locationId', label: 'location' },
+            { key: 'subsidiaryId', label: 'subsidiary' },
+            { key: 'gradeId', label: 'grade' }
+        ];
+
+        for (const match of matchKeys) {
+            const mismatched = tallies.filter(t => String(t[match.key] || '') !== String(first[match.key] || ''));
+            if (mismatched.length > 0) {
+                errors.push(`${Constants.ERRORS.MERGE_MISMATCH} Different ${match.label}: ${mismatched.map(t => t.tallyNumber).join(', ')}`);
+            }
+        }
+
+        const distinct = (key) => [...new Set(tallies.map(t => t[key]).filter(v => v !== null && v !== undefined && v !== ''))];
+        const mixedDimensions = ['thickness', 'width', 'length'].some(key => distinct(key).length > 1);
+        const vendorLots = distinct('vendorLot');
+        const receivedDates = tallies.map(t => t.receivedDate).filter(d => d instanceof Date);
+
+        const totalBF = BFCalculator.roundTo(
+            tallies.reduce((sum, t) => sum + t.remainingBF, 0),
+            Constants.PRECISION.BF
+        );
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            tallies,
+            merged: {
+                itemId: first.itemId,
+                locationId: first.locationId,
+                subsidiaryId: first.subsidiaryId,
+                gradeId: first.gradeId,
+                vendorId: distinct('vendorId').length === 1 ? first.vendorId : null,
+                vendorLot: vendorLots.length === 1 ? vendorLots[0] : null,
+                vendorLots,
+                receivedBF: totalBF,
+                receivedDate: receivedDates.length > 0
+                    ? new Date(Math.min(...receivedDates.map(d => d.getTime())))
+                    : new Date(),
+                moisturePct: weightedAverage(tallies, 'moisturePct', Constants.PRECISION.PERCENTAGE),
+                thickness: weightedAverage(tallies, 'thickness', Constants.PRECISION.DIMENSION),
+                width: weightedAverage(tallies, 'width', Constants.PRECISION.DIMENSION),
+                length: weightedAverage(tallies, 'length', Constants.PRECISION.DIMENSION),
+                pieces: tallies.reduce((sum, t) => sum + (t.pieces || 0), 0) || null,
+                bfCost: weightedAverage(tallies, 'bfCost', Constants.PRECISION.CURRENCY),
+                mixedDimensions
+            }
+        };
+    };
+
+    /**
+     * Merge several open tally sheets into one consolidated tally
+     * Remaining BF is summed; moisture, dimensions and BF cost are BF-weighted
+     * averages and the merged tally is flagged when source dimensions differ. Source
+     * tallies are closed with a reference to the merged tally so vendor lot
+     * traceability survives. If a source cannot be closed, the merged tally
+     * is deleted and the sources already closed are reopened.
+     *
+     * @param {Object} params - Merge parameters
+     * @param {Array<number>} params.tallyIds - Tally sheets to merge
+     * @param {string} [params.bundleId] - Bundle identifier for the merged tally
+     * @param {string} [params.notes] - Notes recorded on the merge history
+     * @returns {Object} Result with merged tallyId and tallyNumber
+     */
+    const mergeTallies = (params) => {
+        if (!isEnabled()) {
+            return { success: false, error: 'Tally module is not enabled' };
+        }
+
+        try {
+            const preview = previewMerge(params.tallyIds);
+            if (!preview.isValid) {
+                return { success: false, error: preview.errors.join('; ') };
+            }
+
+            const merged = preview.merged;
+            const sourceList = preview.tallies
+                .map(t => t.vendorLot ? `${t.tallyNumber} (lot ${t.vendorLot})` : t.tallyNumber)
+                .join(', ');
+
+            const createResult = createTallySheet({
+                itemId: merged.itemId,
+                vendorId: merged.vendorId,
+                vendorLot: merged.vendorLot,
+                bundleId: params.bundleId,
+                moisturePct: merged.moisturePct !== null ? merged.moisturePct : undefined,
+                gradeId: merged.gradeId,
+                receivedBF: merged.receivedBF,
+                receivedDate: merged.receivedDate,
+                locationId: merged.locationId,
+                subsidiaryId: merged.subsidiaryId,
+                thickness: merged.thickness,
+                width: merged.width,
+                length: merged.length,
+                pieces: merged.pieces,
+                notes: `Merged from ${sourceList}`,
+                bfCost: merged.bfCost || undefined
+            });
+
+            if (!createResult.success) {
+                throw new Error(createResult.error);
+            }
+
+            const written = [{ type: RECORD_TYPES.TALLY_SHEET, id: createResult.tallyId }];
+            const restores = [];
+
+            try {
+                if (merged.mixedDimensions) {
+                    record.submitFields({
+                        type: RECORD_TYPES.TALLY_SHEET,
+                        id: createResult.tallyId,
+                        values: { [TALLY_FIELDS.MIXED_DIMENSIONS]: true }
+                    });
+                }
+
+                for (const tally of preview.tallies) {
+                    const historyId = recordTallyHistory({
+                        sourceTallyId: tally.tallyId,
+                        targetTallyId: createResult.tallyId,
+                        movedBF: tally.remainingBF,
+                        status: TALLY_ALLOC_STATUS.MERGED,
+                        notes: params.notes
+                    });
+                    written.push({ type: RECORD_TYPES.TALLY_ALLOCATION, id: historyId });
+
+                    record.submitFields({
+                        type: RECORD_TYPES.TALLY_SHEET,
+                        id: tally.tallyId,
+                        values: {
+                            [TALLY_FIELDS.REMAINING_BF]: 0,
+                            [TALLY_FIELDS.STATUS]: TALLY_STATUS.CLOSED,
+                            [TALLY_FIELDS.MERGED_INTO]: createResult.tallyId
+                        }
+                    });
+                    restores.push({
+                        id: tally.tallyId,
+                        values: {
+                            [TALLY_FIELDS.REMAINING_BF]: tally.remainingBF,
+                            [TALLY_FIELDS.STATUS]: tally.status,
+                            [TALLY_FIELDS.MERGED_INTO]: ''
+                        }
+                    });
+                }
+            } catch (e) {
+                // Reopen the sources before the merged tally they point to is deleted
+                rollBackTallyChanges([], restores);
+                rollBackTallyChanges(written);
+                throw e;
+            }
+
+            log.audit({
+                title: 'CLS Tally Service',
+                details: `Merged ${sourceList} into ${createResult.tallyNumber} (${merged.receivedBF} BF)`
+            });
+
+            return {
+                success: true,
+                tallyId: createResult.tallyId,
+                tallyNumber: createResult.tallyNumber,
+                mergedBF: merged.receivedBF,
+                sourceTallyIds: preview.tallies.map(t => t.tallyId),
+                mixedDimensions: merged.mixedDimensions
+            };
+
+        } catch (e) {
+            log.error({
+                title: 'CLS Tally Service - mergeTallies',
+                details: e.message
+            });
+            return {
+                success: false,
+                error: e.message
+            };
+        }
+    };
+
     return {
         // Module check
         isEnabled,
@@ -856,21 +2173,33 @@ define([
         // Tally CRUD
         createTallySheet,
         getTallyDetails,
+        findTallyByScan,
+        splitTally,
+        mergeTallies,
+        previewMerge,
 
         // Availability
         findAvailableTallies,
         getAvailableBF,
+        getOpenAllocatedBF,
 
         // Allocation management
         createAllocationsForWorkOrder,
         createAllocation,
         markAllocationsConsumed,
         releaseAllocations,
+        getOpenAllocations,
         allocateFIFO,
+        allocateByStrategy,
+        previewAllocation,
+        resolveAllocationStrategy,
 
         // Consumption
         recordConsumption,
+        transferTally,
         reverseConsumption,
+        adjustReceivedBF,
+        closeTally,
 
         // Status management
         updateTallyStatus,
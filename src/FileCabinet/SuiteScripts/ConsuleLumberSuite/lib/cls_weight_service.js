@@ -0,0 +1,230 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_weight_service
+ *
+ * Consule LumberSuite™ - Shipping Weight Service
+ * Calculates shipping weight for transaction lines from BF, species density and moisture
+ *
+ * Moisture Priority:
+ * 1. Line moisture (custcol_cls_moisture_pct)
+ * 2. Linked tally sheet moisture (line tally, then body linked tally)
+ * 3. System default (kiln-dried)
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/search',
+    './cls_constants',
+    './cls_bf_calculator'
+], (search, Constants, BFCalculator) => {
+
+    const ITEM_FIELDS = Constants.ITEM_FIELDS;
+    const LINE_FIELDS = Constants.LINE_FIELDS;
+    const BODY_FIELDS = Constants.BODY_FIELDS;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+    const SPECIES_FIELDS = Constants.SPECIES_FIELDS;
+    const PRECISION = Constants.PRECISION;
+    const DEFAULTS = Constants.DEFAULTS;
+
+    // Lookup caches, scoped to a single script execution
+    const itemDensityCache = {};
+    const tallyMoistureCache = {};
+
+    /**
+     * Safely read a sublist value, returning null for fields not on the form
+     */
+    const getLineValue = (rec, sublistId, fieldId, line) => {
+        try {
+            return rec.getSublistValue({ sublistId, fieldId, line });
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Get the density factor of an item's species
+     *
+     * @param {number} itemId - Item internal ID
+     * @returns {number} Density factor, or 0 if the item has no species density
+     */
+    const getItemDensity = (itemId) => {
+        if (!itemId) return 0;
+        if (itemDensityCache[itemId] !== undefined) return itemDensityCache[itemId];
+
+        let density = 0;
+        try {
+            const itemLookup = search.lookupFields({
+                type: search.Type.ITEM,
+                id: itemId,
+                columns: [ITEM_FIELDS.SPECIES]
+            });
+
+            const species = itemLookup[ITEM_FIELDS.SPECIES];
+            if (species && species.length > 0) {
+                const speciesLookup = search.lookupFields({
+                    type: Constants.RECORD_TYPES.SPECIES,
+                    id: species[0].value,
+                    columns: [SPECIES_FIELDS.DENSITY_FACTOR]
+                });
+                density = parseFloat(speciesLookup[SPECIES_FIELDS.DENSITY_FACTOR]) || 0;
+            }
+        } catch (e) {
+            density = 0;
+        }
+
+        itemDensityCache[itemId] = density;
+        return density;
+    };
+
+    /**
+     * Get the moisture content recorded on a tally sheet
+     *
+     * @param {number} tallyId - Tally sheet internal ID
+     * @returns {number|null} Moisture percentage, or null if not recorded
+     */
+    const getTallyMoisture = (tallyId) => {
+        if (!tallyId) return null;
+        if (tallyMoistureCache[tallyId] !== undefined) return tallyMoistureCache[tallyId];
+
+        let moisture = null;
+        try {
+            const tallyLookup = search.lookupFields({
+                type: Constants.RECORD_TYPES.TALLY_SHEET,
+                id: tallyId,
+                columns: [TALLY_FIELDS.MOISTURE_PCT]
+            });
+            const value = parseFloat(tallyLookup[TALLY_FIELDS.MOISTURE_PCT]);
+            moisture = isNaN(value) ? null : value;
+        } catch (e) {
+            moisture = null;
+        }
+
+        tallyMoistureCache[tallyId] = moisture;
+        return moisture;
+    };
+
+    /**
+     * Resolve the moisture content for a transaction line
+     *
+     * @param {Record} rec - Transaction record
+     * @param {number} lineNum - Line index
+     * @param {string} [sublistId='item'] - Sublist ID
+     * @returns {Object} { moisturePct, source }
+     */
+    const resolveLineMoisture = (rec, lineNum, sublistId = 'item') => {
+        const lineMoisture = parseFloat(getLineValue(rec, sublistId, LINE_FIELDS.MOISTURE_PCT, lineNum));
+        if (!isNaN(lineMoisture)) {
+            return { moisturePct: lineMoisture, source: 'line' };
+        }
+
+        let tallyId = getLineValue(rec, sublistId, LINE_FIELDS.TALLY_SHEET, lineNum);
+        if (!tallyId) {
+            try {
+                tallyId = rec.getValue({ fieldId: BODY_FIELDS.LINKED_TALLY });
+            } catch (e) {
+                tallyId = null;
+            }
+        }
+
+        const tallyMoisture = getTallyMoisture(tallyId);
+        if (tallyMoisture !== null) {
+            return { moisturePct: tallyMoisture, source: 'tally' };
+        }
+
+        return { moisturePct: DEFAULTS.MOISTURE_PCT, source: 'default' };
+    };
+
+    /**
+     * Calculate shipping weight for a transaction line
+     *
+     * @param {Object} params - Parameters
+     * @param {Record} params.record - Transaction record
+     * @param {number} params.lineNum - Line index
+     * @param {number} params.boardFeet - Line board feet
+     * @param {number} [params.itemId] - Item internal ID (read from line if omitted)
+     * @param {string} [params.sublistId='item'] - Sublist ID
+     * @returns {Object} { weight, densityFactor, moisturePct, moistureSource }
+     */
+    const calculateLineWeight = (params) => {
+        const { record: rec, lineNum, boardFeet, sublistId = 'item' } = params;
+        const itemId = params.itemId || getLineValue(rec, sublistId, 'item', lineNum);
+
+        const densityFactor = getItemDensity(itemId);
+        const moisture = resolveLineMoisture(rec, lineNum, sublistId);
+
+        return {
+            weight: BFCalculator.calculateWeight(boardFeet, densityFactor, moisture.moisturePct),
+            densityFactor: densityFactor,
+            moisturePct: moisture.moisturePct,
+            moistureSource: moisture.source
+        };
+    };
+
+    /**
+     * Calculate and store shipping weight on every line with calculated BF,
+     * then set the transaction total. Lines whose item has no species density
+     * are left blank and counted in linesMissingDensity.
+     *
+     * @param {Record} rec - Transaction record (standard mode)
+     * @param {string} [sublistId='item'] - Sublist ID
+     * @param {Object} [options] - Options
+     * @param {Function} [options.getLineBF] - (lineNum, lineBF) => BF to weigh, for
+     *     transactions that ship part of the line's calculated BF
+     * @returns {Object} { totalWeight, linesWeighed, linesMissingDensity }
+     */
+    const applyTransactionWeights = (rec, sublistId = 'item', options = {}) => {
+        const result = {
+            totalWeight: 0,
+            linesWeighed: 0,
+            linesMissingDensity: 0
+        };
+
+        const lineCount = rec.getLineCount({ sublistId });
+
+        for (let i = 0; i < lineCount; i++) {
+            // Physical weight follows dressed BF when the line carries it
+            const lineBF = parseFloat(getLineValue(rec, sublistId, LINE_FIELDS.DRESSED_BF, i)) ||
+                           parseFloat(getLineValue(rec, sublistId, LINE_FIELDS.CALCULATED_BF, i)) || 0;
+            const boardFeet = options.getLineBF ? options.getLineBF(i, lineBF) : lineBF;
+            if (boardFeet <= 0) continue;
+
+            const lineWeight = calculateLineWeight({ record: rec, lineNum: i, boardFeet, sublistId });
+
+            if (lineWeight.densityFactor <= 0) {
+                result.linesMissingDensity++;
+                rec.setSublistValue({ sublistId, fieldId: LINE_FIELDS.SHIP_WEIGHT, line: i, value: '' });
+                continue;
+            }
+
+            rec.setSublistValue({
+                sublistId,
+                fieldId: LINE_FIELDS.SHIP_WEIGHT,
+                line: i,
+                value: lineWeight.weight
+            });
+
+            result.totalWeight += lineWeight.weight;
+            result.linesWeighed++;
+        }
+
+        result.totalWeight = BFCalculator.roundTo(result.totalWeight, PRECISION.WEIGHT);
+
+        rec.setValue({
+            fieldId: BODY_FIELDS.TOTAL_WEIGHT,
+            value: result.totalWeight
+        });
+
+        return result;
+    };
+
+    return {
+        calculateLineWeight,
+        applyTransactionWeights,
+        resolveLineMoisture,
+        getItemDensity,
+        getTallyMoisture
+    };
+});
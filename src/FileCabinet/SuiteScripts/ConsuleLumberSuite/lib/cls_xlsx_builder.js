@@ -0,0 +1,572 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ * @module cls_xlsx_builder
+ *
+ * Consule LumberSuite™ - XLSX Builder
+ * Builds native Excel workbooks (Office Open XML, .xlsx) from report data
+ *
+ * Each sheet gets:
+ * - Typed cells: numbers, currency, percentages and dates are stored as
+ *   values with a number format, so they sort and sum in Excel
+ * - A bold header row, frozen so it stays visible while scrolling
+ * - Column widths sized to the content
+ * - An optional totals row of SUM formulas
+ *
+ * The workbook parts are zipped with N/compress. Report Generator reports
+ * become a Summary sheet plus a Detail sheet and one sheet per breakdown.
+ *
+ * @copyright Consule LLC
+ * @author Consule Development Team
+ * @version 1.0.0
+ */
+define([
+    'N/file',
+    'N/compress',
+    'N/format',
+    'N/xml',
+    './cls_report_engine'
+], (file, compress, format, xml, ReportEngine) => {
+
+    const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    /**
+     * Output format values that produce an XLSX workbook
+     */
+    const FORMATS = ['xlsx', 'excel'];
+
+    const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    /**
+     * Cell types and their number format IDs (164+ are defined in styles.xml)
+     */
+    const CELL_TYPES = ['string', 'number', 'integer', 'percent', 'currency', 'date'];
+    const NUMBER_FORMATS = {
+        string: 0,
+        number: 4,      // #,##0.00
+        integer: 3,     // #,##0
+        percent: 164,   // 0.0%
+        currency: 165,  // "$"#,##0.00
+        date: 14        // Short date
+    };
+
+    const HEADER_STYLE = 1;
+    const SUMMABLE_TYPES = ['number', 'integer', 'currency'];
+
+    const MIN_COLUMN_WIDTH = 8;
+    const MAX_COLUMN_WIDTH = 60;
+    const MAX_SHEET_NAME = 31;
+
+    /**
+     * Get the style index for a cell type
+     * Style 0 is the default and 1 the header; each type then has a plain
+     * and a bold (totals row) style.
+     *
+     * @param {string} type - Cell type
+     * @param {boolean} [bold=false] - Bold
+     * @returns {number} Style index
+     */
+    const getStyle = (type, bold = false) => {
+        const index = Math.max(CELL_TYPES.indexOf(type), 0);
+        return 2 + index + (bold ? CELL_TYPES.length : 0);
+    };
+
+    /**
+     * Escape text for XML, dropping characters XML cannot hold
+     *
+     * @param {*} value - Raw value
+     * @returns {string} Escaped text
+     */
+    const escape = (value) => {
+        const text = String(value).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+        return xml.escape({ xmlText: text });
+    };
+
+    /**
+     * Convert a zero-based column index to its letter (0 = A, 26 = AA)
+     *
+     * @param {number} index - Column index
+     * @returns {string} Column letter
+     */
+    const columnName = (index) => {
+        let name = '';
+        let n = index + 1;
+
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+
+        return name;
+    };
+
+    /**
+     * Convert a date to an Excel serial day number
+     *
+     * @param {Date} date - Date
+     * @returns {number} Serial day
+     */
+    const toSerialDate = (date) => {
+        const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+    };
+
+    /**
+     * Type a raw report value
+     * Numeric strings such as "1,234.50", "$12.00" and "85.2%" become numbers;
+     * date strings in the user's date format become dates. Codes with leading
+     * zeros stay text.
+     *
+     * @param {*} value - Raw value
+     * @returns {Object|null} Cell with type and value, or null when blank
+     */
+    const toCell = (value) => {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : { type: 'date', value: toSerialDate(value), display: format.format({ value, type: format.Type.DATE }) };
+        }
+
+        if (typeof value === 'number') {
+            if (!isFinite(value)) return null;
+            return { type: Number.isInteger(value) ? 'integer' : 'number', value, display: String(value) };
+        }
+
+        if (typeof value === 'boolean') {
+            return { type: 'string', value: value ? 'Yes' : 'No', display: value ? 'Yes' : 'No' };
+        }
+
+        const text = String(value).trim();
+        const numeric = text.replace(/,/g, '');
+
+        if (/^-?\$-?\d*\.?\d+$/.test(numeric)) {
+            return { type: 'currency', value: parseFloat(numeric.replace('$', '')), display: text };
+        }
+
+        if (/^-?\d*\.?\d+%$/.test(numeric)) {
+            return { type: 'percent', value: parseFloat(numeric) / 100, display: text };
+        }
+
+        if (/^-?\d*\.?\d+$/.test(numeric) && !/^-?0\d/.test(numeric) && numeric.length < 16) {
+            const number = parseFloat(numeric);
+            return { type: numeric.includes('.') ? 'number' : 'integer', value: number, display: text };
+        }
+
+        if (/^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}$/.test(text)) {
+            try {
+                const date = format.parse({ value: text, type: format.Type.DATE });
+                if (date instanceof Date && !isNaN(date.getTime())) {
+                    return { type: 'date', value: toSerialDate(date), display: text };
+                }
+            } catch (e) {
+                // Not a date in the user's format - keep as text
+            }
+        }
+
+        return { type: 'string', value: text, display: text };
+    };
+
+    /**
+     * Build the XML for one cell
+     *
+     * @param {string} ref - Cell reference, e.g. B2
+     * @param {Object} cell - Typed cell
+     * @param {number} style - Style index
+     * @returns {string} Cell XML
+     */
+    const cellXml = (ref, cell, style) => {
+        if (cell.formula) {
+            return `<c r="${ref}" s="${style}"><f>${cell.formula}</f><v>${cell.value}</v></c>`;
+        }
+
+        if (cell.type === 'string') {
+            return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escape(cell.value)}</t></is></c>`;
+        }
+
+        return `<c r="${ref}" s="${style}"><v>${cell.value}</v></c>`;
+    };
+
+    /**
+     * Normalise a sheet definition: sheet names, column definitions and typed rows
+     *
+     * @param {Object} sheet - Sheet definition
+     * @param {number} index - Sheet position
+     * @param {Array<string>} usedNames - Names already taken
+     * @returns {Object} Prepared sheet
+     */
+    const prepareSheet = (sheet, index, usedNames) => {
+        let name = String(sheet.name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').substring(0, MAX_SHEET_NAME).trim();
+
+        // Sheet names must be unique
+        let suffix = 2;
+        const baseName = name.substring(0, MAX_SHEET_NAME - 3);
+        while (usedNames.includes(name.toLowerCase())) {
+            name = `${baseName} ${suffix++}`;
+        }
+        usedNames.push(name.toLowerCase());
+
+        const columns = (sheet.columns || []).map(column => (typeof column === 'string'
+            ? { header: column }
+            : Object.assign({}, column)));
+
+        const rows = (sheet.rows || []).map(row => columns.map((column, c) => toCell(row[c])));
+
+        return { name, columns, rows, totals: sheet.totals, freezeHeader: sheet.freezeHeader !== false };
+    };
+
+    /**
+     * Build the totals row: a SUM formula under each additive numeric column
+     *
+     * @param {Object} sheet - Prepared sheet
+     * @returns {Array<Object|null>} Totals cells
+     */
+    const buildTotalsRow = (sheet) => {
+        const lastRow = sheet.rows.length + 1;
+
+        const totals = sheet.columns.map((column, c) => {
+            const cells = sheet.rows.map(row => row[c]).filter(cell => cell !== null);
+
+            if (column.total === false || cells.length === 0) return null;
+            if (column.total !== true && !ReportEngine.isAdditiveColumn(column.header)) return null;
+            if (!cells.every(cell => SUMMABLE_TYPES.includes(cell.type))) return null;
+
+            const type = cells.some(cell => cell.type === 'currency') ? 'currency'
+                : (cells.some(cell => cell.type === 'number') ? 'number' : 'integer');
+            const sum = cells.reduce((total, cell) => total + cell.value, 0);
+            const col = columnName(c);
+
+            return {
+                type,
+                value: Math.round(sum * 100) / 100,
+                formula: `SUM(${col}2:${col}${lastRow})`,
+                display: sum.toFixed(2)
+            };
+        });
+
+        if (totals[0] === null) {
+            totals[0] = { type: 'string', value: 'Total', display: 'Total' };
+        }
+
+        return totals;
+    };
+
+    /**
+     * Build a worksheet part
+     *
+     * @param {Object} sheet - Prepared sheet
+     * @returns {string} Worksheet XML
+     */
+    const buildSheetXml = (sheet) => {
+        const rows = sheet.rows.slice();
+        const hasTotals = sheet.totals === true && rows.length > 0;
+        const totalsRow = hasTotals ? buildTotalsRow(sheet) : null;
+
+        // Column widths from the longest header or value
+        const widths = sheet.columns.map((column, c) => {
+            if (column.width) return column.width;
+
+            const longest = rows.concat(totalsRow ? [totalsRow] : []).reduce((max, row) => {
+                const cell = row[c];
+                return cell ? Math.max(max, String(cell.display).length) : max;
+            }, String(column.header || '').length);
+
+            return Math.min(Math.max(longest + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+        });
+
+        const colsXml = widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('');
+
+        const headerXml = sheet.columns.map((column, c) => cellXml(
+            `${columnName(c)}1`,
+            { type: 'string', value: column.header || '' },
+            HEADER_STYLE
+        )).join('');
+
+        const rowXml = (cells, r, bold) => {
+            const content = cells.map((cell, c) => (cell
+                ? cellXml(`${columnName(c)}${r}`, cell, getStyle(cell.type, bold))
+                : '')).join('');
+            return `<row r="${r}">${content}</row>`;
+        };
+
+        const bodyXml = rows.map((cells, i) => rowXml(cells, i + 2, false)).join('');
+        const totalsXml = totalsRow ? rowXml(totalsRow, rows.length + 2, true) : '';
+
+        const paneXml = sheet.freezeHeader
+            ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            : '';
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+            paneXml +
+            (colsXml ? `<cols>${colsXml}</cols>` : '') +
+            `<sheetData><row r="1">${headerXml}</row>${bodyXml}${totalsXml}</sheetData>` +
+            '</worksheet>';
+    };
+
+    /**
+     * Build the styles part: number formats, a bold font and the header fill
+     *
+     * @returns {string} Styles XML
+     */
+    const buildStylesXml = () => {
+        const typeXfs = (bold) => CELL_TYPES.map(type => {
+            const numFmtId = NUMBER_FORMATS[type];
+            return `<xf numFmtId="${numFmtId}" fontId="${bold ? 1 : 0}" fillId="0" borderId="0" xfId="0"` +
+                `${numFmtId ? ' applyNumberFormat="1"' : ''}${bold ? ' applyFont="1"' : ''}/>`;
+        }).join('');
+
+        const xfs = [
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+            '<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>',
+            typeXfs(false),
+            typeXfs(true)
+        ].join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<styleSheet xmlns="${NS_MAIN}">` +
+            '<numFmts count="2"><numFmt numFmtId="164" formatCode="0.0%"/><numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFD9E2D0"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+            '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>' +
+            '<border><left/><right/><top/><bottom style="thin"><color auto="1"/></bottom><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${2 + CELL_TYPES.length * 2}">${xfs}</cellXfs>` +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    };
+
+    /**
+     * Create an in-memory file to add to the archive
+     *
+     * @param {string} name - File name
+     * @param {string} contents - XML contents
+     * @returns {File} File
+     */
+    const createPart = (name, contents) => file.create({
+        name,
+        fileType: file.Type.XMLDOC,
+        contents
+    });
+
+    /**
+     * Build an XLSX workbook
+     *
+     * @param {Object} options - Workbook options
+     * @param {string} options.name - File name (.xlsx is added when missing)
+     * @param {Array<Object>} options.sheets - Sheets with name, columns (headers or
+     *        { header, width, total }), rows (arrays of raw values) and totals (true to add a totals row)
+     * @param {number} [options.folderId] - File Cabinet folder for saving
+     * @returns {File} Unsaved XLSX file
+     */
+    const createWorkbook = (options) => {
+        const usedNames = [];
+        const sheets = (options.sheets || []).filter(Boolean).map((sheet, i) => prepareSheet(sheet, i, usedNames));
+
+        if (sheets.length === 0) {
+            sheets.push(prepareSheet({ name: 'Report', columns: ['No data'], rows: [] }, 0, usedNames));
+        }
+
+        const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>';
+
+        const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Relationships xmlns="${NS_PKG_REL}">` +
+            `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>';
+
+        const workbookXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+            sheets.map((sheet, i) => `<sheet name="${escape(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+            '</sheets></workbook>';
+
+        const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Relationships xmlns="${NS_PKG_REL}">` +
+            sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+
+        const archiver = compress.createArchiver();
+        archiver.add({ file: createPart('[Content_Types].xml', contentTypes) });
+        archiver.add({ file: createPart('.rels', rootRels), directory: '_rels' });
+        archiver.add({ file: createPart('workbook.xml', workbookXml), directory: 'xl' });
+        archiver.add({ file: createPart('workbook.xml.rels', workbookRels), directory: 'xl/_rels' });
+        archiver.add({ file: createPart('styles.xml', buildStylesXml()), directory: 'xl' });
+        sheets.forEach((sheet, i) => {
+            archiver.add({ file: createPart(`sheet${i + 1}.xml`, buildSheetXml(sheet)), directory: 'xl/worksheets' });
+        });
+
+        const fileName = /\.xlsx$/i.test(options.name) ? options.name : `${options.name}.xlsx`;
+        const zipFile = archiver.archive({ name: fileName, type: compress.Type.ZIP });
+
+        const workbook = file.create({
+            name: fileName,
+            fileType: file.Type.EXCEL,
+            contents: zipFile.getContents()
+        });
+
+        if (options.folderId) {
+            workbook.folder = options.folderId;
+        }
+
+        return workbook;
+    };
+
+    /**
+     * Turn a camelCase key into a heading, e.g. totalBF -> Total BF
+     *
+     * @param {string} key - Object key
+     * @returns {string} Heading
+     */
+    const toHeading = (key) => {
+        const spaced = String(key)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/_/g, ' ');
+        return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+    };
+
+    /**
+     * Build a two-column Measure / Value sheet from an object's simple values
+     *
+     * @param {string} name - Sheet name
+     * @param {Object} values - Values keyed by measure
+     * @returns {Object|null} Sheet, or null when there is nothing to show
+     */
+    const summarySheet = (name, values) => {
+        const rows = Object.keys(values || {})
+            .filter(key => values[key] === null || typeof values[key] !== 'object' || values[key] instanceof Date)
+            .map(key => [toHeading(key), values[key]]);
+
+        return rows.length > 0
+            ? { name, columns: ['Measure', { header: 'Value', total: false }], rows }
+            : null;
+    };
+
+    /**
+     * Build a sheet from an array of objects, one column per key
+     *
+     * @param {string} name - Sheet name
+     * @param {Array<Object>} objects - Rows as objects
+     * @param {Object} [options]
+     * @param {boolean} [options.totals=true] - Add a totals row
+     * @returns {Object|null} Sheet, or null when empty
+     */
+    const objectsSheet = (name, objects, options = {}) => {
+        if (!Array.isArray(objects) || objects.length === 0 || typeof objects[0] !== 'object') return null;
+
+        const keys = Object.keys(objects[0]).filter(key => !/Id$/.test(key));
+
+        return {
+            name,
+            columns: keys.map(toHeading),
+            rows: objects.map(obj => keys.map(key => obj[key])),
+            totals: options.totals !== false
+        };
+    };
+
+    /**
+     * Build a workbook from a Report Generator report
+     * Reports with totals or breakdowns get a Summary sheet, a Detail sheet and
+     * one sheet per breakdown; others a single sheet named after the report.
+     *
+     * @param {Object} reportData - Report from the report engine
+     * @param {Object} [options]
+     * @param {string} [options.name] - File name (defaults to the report title)
+     * @param {number} [options.folderId] - File Cabinet folder for saving
+     * @returns {File} Unsaved XLSX file
+     */
+    const buildReportWorkbook = (reportData, options = {}) => {
+        const title = reportData.title || 'Report';
+        const summaryValues = Object.assign(
+            { report: title },
+            reportData.subtitle ? { period: reportData.subtitle } : {},
+            reportData.totals || {},
+            reportData.summary || {}
+        );
+
+        const breakdowns = [];
+
+        Object.keys(reportData).forEach(key => {
+            const value = reportData[key];
+
+            if (Array.isArray(value) && key !== 'rows' && key !== 'columns') {
+                breakdowns.push(objectsSheet(toHeading(key), value));
+            } else if (key === 'agingBuckets' && value) {
+                breakdowns.push(objectsSheet('Aging Buckets', Object.keys(value).map(bucket => Object.assign(
+                    { bucket: `${bucket} days` },
+                    value[bucket]
+                ))));
+            }
+        });
+
+        const hasSummary = !!(reportData.totals || reportData.summary) || breakdowns.some(Boolean);
+
+        const detail = {
+            name: hasSummary ? 'Detail' : title,
+            columns: (reportData.columns || []).map(header => ({ header })),
+            rows: reportData.rows || [],
+            totals: true
+        };
+
+        const sheets = hasSummary
+            ? [summarySheet('Summary', summaryValues), detail].concat(breakdowns)
+            : [detail];
+
+        return createWorkbook({
+            name: options.name || title.replace(/\s+/g, '_'),
+            sheets,
+            folderId: options.folderId
+        });
+    };
+
+    /**
+     * Build a workbook from a data object: simple values (and a summary object)
+     * go on a Summary sheet, each array of objects on its own sheet
+     *
+     * @param {Object} data - Data object, e.g. an export RESTlet or scheduler result
+     * @param {Object} options
+     * @param {string} options.name - File name
+     * @param {number} [options.folderId] - File Cabinet folder for saving
+     * @returns {File} Unsaved XLSX file
+     */
+    const buildDataWorkbook = (data, options) => {
+        const sheets = [summarySheet('Summary', Object.assign({}, data, data.summary || {}))];
+
+        Object.keys(data).forEach(key => {
+            if (Array.isArray(data[key])) {
+                sheets.push(objectsSheet(toHeading(key), data[key]));
+            }
+        });
+
+        return createWorkbook({
+            name: options.name,
+            sheets,
+            folderId: options.folderId
+        });
+    };
+
+    /**
+     * Check whether an output format produces an XLSX workbook
+     *
+     * @param {string} outputFormat - Output format
+     * @returns {boolean}
+     */
+    const isXlsxFormat = (outputFormat) => FORMATS.includes(String(outputFormat || '').toLowerCase());
+
+    return {
+        MIME_TYPE,
+        createWorkbook,
+        buildReportWorkbook,
+        buildDataWorkbook,
+        isXlsxFormat
+    };
+});
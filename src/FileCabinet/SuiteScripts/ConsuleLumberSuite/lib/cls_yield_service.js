@@ -22,8 +22,9 @@ define([
     'N/runtime',
     './cls_constants',
     './cls_settings_dao',
-    './cls_bf_calculator'
-], (record, search, runtime, Constants, SettingsDAO, BFCalculator) => {
+    './cls_bf_calculator',
+    './cls_alert_service'
+], (record, search, runtime, Constants, SettingsDAO, BFCalculator, AlertService) => {
 
     const RECORD_TYPES = Constants.RECORD_TYPES;
     const YIELD_FIELDS = Constants.YIELD_FIELDS;
@@ -591,47 +592,34 @@ define([
 
     /**
      * Create a yield alert for significant variances
+     * Persists a CLS Yield Alert record and notifies the alert assignee
      *
      * @param {Object} params - Alert parameters
      * @param {number} params.yieldRegisterId - Yield register ID
      * @param {string} params.alertType - Type of alert (WARNING, CRITICAL)
      * @param {string} params.message - Alert message
      * @param {number} [params.variancePct] - Variance percentage
-     * @returns {Object} Result with success status
+     * @param {number} [params.item] - Item internal ID
+     * @param {number} [params.sourceTransaction] - Source transaction internal ID
+     * @param {string} [params.source] - Alert source (defaults to Yield Register)
+     * @returns {Object} Result with success status and alertId
      */
     const createAlert = (params) => {
-        try {
-            const { yieldRegisterId, alertType, message, variancePct } = params;
-
-            // Log the alert
-            log.audit({
-                title: `CLS Yield Alert - ${alertType}`,
-                details: JSON.stringify({
-                    yieldRegisterId,
-                    alertType,
-                    message,
-                    variancePct,
-                    timestamp: new Date().toISOString()
-                })
-            });
-
-            // Could be extended to send emails or create task records
-            return {
-                success: true,
-                alertType,
-                message
-            };
-
-        } catch (e) {
-            log.error({
-                title: 'CLS Yield Service - createAlert',
-                details: e.message
-            });
-            return {
-                success: false,
-                error: e.message
-            };
-        }
+        const { yieldRegisterId, alertType, message, variancePct } = params;
+
+        const result = AlertService.createAlert({
+            severity: alertType,
+            source: params.source || AlertService.SOURCES.YIELD_REGISTER,
+            message,
+            yieldRegisterId,
+            sourceTransaction: params.sourceTransaction,
+            itemId: params.item,
+            variancePct
+        });
+
+        return result.success
+            ? { success: true, alertId: result.alertId, alertType, message }
+            : result;
     };
 
     /**
@@ -15,13 +15,15 @@ define([
     'N/url',
     'N/https',
     'N/ui/dialog',
-    'N/ui/message'
+    'N/ui/message',
+    '../lib/cls_grading_engine'
 ], (
     currentRecord,
     url,
     https,
     dialog,
-    message
+    message,
+    GradingEngine
 ) => {
 
     /**
@@ -111,6 +113,11 @@ define([
         const rec = context.currentRecord;
         const fieldId = context.fieldId;
 
+        if (context.sublistId === 'custpage_grade_boards' && fieldId !== 'custpage_gb_grade') {
+            gradeBoardLine(rec);
+            return;
+        }
+
         if (fieldId === 'custpage_repack_type') {
             const repackType = rec.getValue({ fieldId: 'custpage_repack_type' });
             updateTypeDescription(repackType);
@@ -124,6 +131,32 @@ define([
         }
     };
 
+    /**
+     * Grade the current board line of a grade sort completion
+     */
+    const gradeBoardLine = (rec) => {
+        const sublistId = 'custpage_grade_boards';
+        const getLineValue = (fieldId) => rec.getCurrentSublistValue({ sublistId, fieldId });
+
+        const grading = GradingEngine.gradeBoard({
+            width: getLineValue('custpage_gb_width'),
+            length: getLineValue('custpage_gb_length'),
+            poorFace: GradingEngine.buildFace(getLineValue('custpage_gb_cut_units'), getLineValue('custpage_gb_cuttings')),
+            bestFace: GradingEngine.buildFace(getLineValue('custpage_gb_best_units'), getLineValue('custpage_gb_best_cuttings'))
+        });
+
+        const gradeText = grading.isValid
+            ? `${grading.gradeLabel} (${grading.cuttingYield}%)`
+            : '';
+
+        rec.setCurrentSublistValue({
+            sublistId,
+            fieldId: 'custpage_gb_grade',
+            value: gradeText,
+            ignoreFieldChange: true
+        });
+    };
+
     /**
      * Update type description based on selection
      */
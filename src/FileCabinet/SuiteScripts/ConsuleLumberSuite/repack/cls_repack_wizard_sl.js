@@ -23,7 +23,9 @@ define([
     'N/url',
     '../lib/cls_conversion_engine',
     '../lib/cls_settings_dao',
-    '../lib/cls_constants'
+    '../lib/cls_constants',
+    '../lib/cls_bf_calculator',
+    '../lib/cls_grading_engine'
 ], function(
     serverWidget,
     record,
@@ -34,7 +36,9 @@ define([
     url,
     uomEngine,
     settingsDAO,
-    constants
+    constants,
+    bfCalculator,
+    gradingEngine
 ) {
     'use strict';
 
@@ -863,6 +867,10 @@ define([
         });
         yieldField.defaultValue = '<div id="yieldPreview" style="padding: 15px; text-align: center;"><em>Enter output values to calculate yield</em></div>';
 
+        if (repackRec.getValue({ fieldId: 'custrecord_cls_repack_type' }) === REPACK_TYPES.GRADE_SORT.value) {
+            addGradeSortSection(form);
+        }
+
         // Waste breakdown
         const wasteGroup = form.addFieldGroup({
             id: 'custgroup_waste',
@@ -909,6 +917,144 @@ define([
         return form;
     }
 
+    /**
+     * Adds board grading entry for grade sort repacks
+     *
+     * @param {Form} form - Complete page form
+     */
+    function addGradeSortSection(form) {
+        form.addFieldGroup({
+            id: 'custgroup_grade_sort',
+            label: 'NHLA Grade Sort'
+        });
+
+        form.addField({
+            id: 'custpage_target_grade',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Target Grade',
+            source: constants.RECORD_TYPES.GRADE,
+            container: 'custgroup_grade_sort'
+        });
+
+        const boardList = form.addSublist({
+            id: 'custpage_grade_boards',
+            type: serverWidget.SublistType.INLINEEDITOR,
+            label: 'Graded Boards'
+        });
+
+        boardList.addField({ id: 'custpage_gb_width', type: serverWidget.FieldType.FLOAT, label: 'Width (in)' }).isMandatory = true;
+        boardList.addField({ id: 'custpage_gb_length', type: serverWidget.FieldType.FLOAT, label: 'Length (ft)' }).isMandatory = true;
+        boardList.addField({ id: 'custpage_gb_pieces', type: serverWidget.FieldType.INTEGER, label: 'Pieces' }).defaultValue = '1';
+        boardList.addField({ id: 'custpage_gb_cut_units', type: serverWidget.FieldType.FLOAT, label: 'Poor Face Cutting Units' }).isMandatory = true;
+        boardList.addField({ id: 'custpage_gb_cuttings', type: serverWidget.FieldType.INTEGER, label: 'Poor Face Cuttings' });
+        boardList.addField({ id: 'custpage_gb_best_units', type: serverWidget.FieldType.FLOAT, label: 'Best Face Cutting Units' });
+        boardList.addField({ id: 'custpage_gb_best_cuttings', type: serverWidget.FieldType.INTEGER, label: 'Best Face Cuttings' });
+
+        boardList.addField({
+            id: 'custpage_gb_grade',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Grade'
+        }).updateDisplayType({
+            displayType: serverWidget.FieldDisplayType.DISABLED
+        });
+    }
+
+    /**
+     * Grades the boards entered on a grade sort completion
+     *
+     * @param {Object} request - Request object
+     * @param {number} thickness - Output thickness in inches
+     * @returns {Object|null} { summary, grades } - grade summary for the repack notes and
+     *     pieces and BF by grade code, or null if no boards were entered
+     */
+    function gradeSortBoards(request, thickness) {
+        const sublistId = 'custpage_grade_boards';
+        const lineCount = request.getLineCount({ group: sublistId });
+
+        if (!(lineCount > 0)) {
+            return null;
+        }
+
+        const targetGrade = gradingEngine.getGradeCode(request.parameters.custpage_target_grade);
+        const gradeTotals = {};
+        let meetingTarget = 0;
+        let totalPieces = 0;
+
+        for (let i = 0; i < lineCount; i++) {
+            const getLineValue = (name) => request.getSublistValue({ group: sublistId, name: name, line: i });
+            const pieces = parseInt(getLineValue('custpage_gb_pieces'), 10) || 1;
+
+            const grading = gradingEngine.gradeBoard({
+                width: getLineValue('custpage_gb_width'),
+                length: getLineValue('custpage_gb_length'),
+                poorFace: gradingEngine.buildFace(getLineValue('custpage_gb_cut_units'), getLineValue('custpage_gb_cuttings')),
+                bestFace: gradingEngine.buildFace(getLineValue('custpage_gb_best_units'), getLineValue('custpage_gb_best_cuttings'))
+            });
+
+            if (!grading.isValid) {
+                continue;
+            }
+
+            const tally = bfCalculator.calculateNHLATally({
+                thickness: thickness,
+                width: getLineValue('custpage_gb_width'),
+                length: getLineValue('custpage_gb_length'),
+                pieces: pieces
+            });
+
+            const totals = gradeTotals[grading.grade] || (gradeTotals[grading.grade] = { pieces: 0, boardFeet: 0 });
+            totals.pieces += pieces;
+            totals.boardFeet += tally.boardFeet;
+            totalPieces += pieces;
+
+            if (targetGrade && gradingEngine.meetsGrade(grading.grade, targetGrade)) {
+                meetingTarget += pieces;
+            }
+        }
+
+        const breakdown = Object.keys(gradeTotals)
+            .sort((a, b) => gradingEngine.compareGrades(b, a))
+            .map((grade) => `${gradingEngine.getGradeLabel(grade)}: ${gradeTotals[grade].pieces} pcs`)
+            .join(', ');
+
+        let summary = `NHLA grade sort - ${breakdown}`;
+        if (targetGrade) {
+            summary += `. ${meetingTarget} of ${totalPieces} pcs meet ${gradingEngine.getGradeLabel(targetGrade)}.`;
+        }
+
+        return { summary: summary, grades: gradeTotals };
+    }
+
+    /**
+     * Creates one repack output line per grade sorted out of a grade sort
+     *
+     * @param {string} repackId - Repack record ID
+     * @param {string} outputItem - Output item ID
+     * @param {Object} grades - Pieces and BF by grade code
+     */
+    function createGradeOutputs(repackId, outputItem, grades) {
+        const OUTPUT_FIELDS = constants.REPACK_OUTPUT_FIELDS;
+
+        Object.keys(grades).forEach((grade) => {
+            const outputRec = record.create({ type: constants.RECORD_TYPES.REPACK_OUTPUT });
+
+            outputRec.setValue({ fieldId: OUTPUT_FIELDS.REPACK_ORDER, value: repackId });
+            outputRec.setValue({ fieldId: OUTPUT_FIELDS.OUTPUT_ITEM, value: outputItem });
+            outputRec.setValue({
+                fieldId: OUTPUT_FIELDS.OUTPUT_BF,
+                value: bfCalculator.roundTo(grades[grade].boardFeet, constants.PRECISION.BF)
+            });
+            outputRec.setValue({ fieldId: OUTPUT_FIELDS.OUTPUT_QTY, value: grades[grade].pieces });
+
+            const gradeId = gradingEngine.findGradeId(grade);
+            if (gradeId) {
+                outputRec.setValue({ fieldId: OUTPUT_FIELDS.GRADE, value: gradeId });
+            }
+
+            outputRec.save();
+        });
+    }
+
     /**
      * Builds print report HTML
      *
@@ -937,6 +1083,12 @@ define([
         const repackDate = repackRec.getValue({ fieldId: 'custrecord_cls_repack_date' });
         const notes = repackRec.getValue({ fieldId: 'custrecord_cls_repack_notes' }) || '';
 
+        const tagsUrl = url.resolveScript({
+            scriptId: constants.SCRIPTS.TALLY_PRINT_SL,
+            deploymentId: constants.DEPLOYMENTS.TALLY_PRINT_SL,
+            params: { repackId: repackId }
+        });
+
         return `
         <!DOCTYPE html>
         <html>
@@ -1011,6 +1163,7 @@ define([
 
             <div class="no-print" style="margin-top: 20px; text-align: center;">
                 <button onclick="window.print()">Print Report</button>
+                <button onclick="window.open('${tagsUrl}', '_blank')">Print Output Bundle Tags</button>
                 <button onclick="window.close()">Close</button>
             </div>
         </body>
@@ -1168,7 +1321,21 @@ define([
         try {
             const outputBF = parseFloat(request.parameters.custpage_output_bf) || 0;
             const outputPieces = parseInt(request.parameters.custpage_output_pieces, 10) || 0;
-            const notes = request.parameters.custpage_completion_notes || '';
+            const repackValues = search.lookupFields({
+                type: 'customrecord_cls_repack_workorder',
+                id: repackId,
+                columns: ['custrecord_cls_repack_output_item', 'custrecord_cls_repack_out_thickness']
+            });
+            const outputItem = repackValues.custrecord_cls_repack_output_item?.[0]?.value || null;
+            const gradeSort = gradeSortBoards(request, parseFloat(repackValues.custrecord_cls_repack_out_thickness) || 1);
+
+            if (gradeSort && !outputItem) {
+                throw new Error('Set an output item on the repack before completing a grade sort');
+            }
+
+            const notes = [request.parameters.custpage_completion_notes, gradeSort && gradeSort.summary]
+                .filter(Boolean)
+                .join('\n');
 
             // Update repack record
             const values = {
@@ -1198,6 +1365,10 @@ define([
                 values: values
             });
 
+            if (gradeSort) {
+                createGradeOutputs(repackId, outputItem, gradeSort.grades);
+            }
+
             // Redirect to the completed record
             redirect.toRecord({
                 type: 'customrecord_cls_repack_workorder',
@@ -838,6 +838,37 @@ define([
         }
     }
 
+    /**
+     * Prints bundle tags for the repack output tallies
+     *
+     * @param {number} repackId - Repack record ID
+     */
+    function printBundleTags(repackId) {
+        const params = { repackId: repackId };
+
+        try {
+            const repackData = search.lookupFields({
+                type: 'customrecord_cls_repack_workorder',
+                id: repackId,
+                columns: ['custrecord_cls_repack_created_tally']
+            });
+
+            const tallyRef = repackData.custrecord_cls_repack_created_tally;
+            if (tallyRef && tallyRef.length > 0) {
+                params.tallyId = tallyRef[0].value;
+            }
+        } catch (e) {
+            // Fall back to the repack output records
+        }
+
+        const printUrl = url.resolveScript({
+            scriptId: 'customscript_cls_tally_print_sl',
+            deploymentId: 'customdeploy_cls_tally_print_sl',
+            params: params
+        });
+        window.open(printUrl, '_blank');
+    }
+
     /**
      * Updates repack status via REST
      *
@@ -912,6 +943,7 @@ define([
     window.pauseRepack = pauseRepack;
     window.printReport = printReport;
     window.viewOutputTally = viewOutputTally;
+    window.printBundleTags = printBundleTags;
 
     // ═══════════════════════════════════════════════════════════════════════
     // MODULE EXPORTS
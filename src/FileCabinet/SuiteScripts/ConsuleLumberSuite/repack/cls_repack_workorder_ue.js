@@ -21,7 +21,10 @@ define([
     'N/format',
     '../lib/cls_conversion_engine',
     '../lib/cls_settings_dao',
-    '../lib/cls_constants'
+    '../lib/cls_constants',
+    '../lib/cls_label_service',
+    '../lib/cls_landed_cost_service',
+    '../lib/cls_cost_roll_service'
 ], function(
     record,
     search,
@@ -30,7 +33,10 @@ define([
     format,
     uomEngine,
     settingsDAO,
-    constants
+    constants,
+    labelService,
+    landedCostService,
+    costRollService
 ) {
     'use strict';
 
@@ -46,6 +52,12 @@ define([
         GRADE_SORT: 'grade_sort'
     };
 
+    // Process type whose cost settings apply to each repack type
+    const REPACK_PROCESS_TYPES = {
+        board_resaw: constants.PROCESS_TYPES.RESAWING,
+        board_trim: constants.PROCESS_TYPES.CROSSCUTTING
+    };
+
     const REPACK_STATUS = {
         DRAFT: 'draft',
         PENDING: 'pending',
@@ -476,6 +488,12 @@ define([
                 label: 'View Output Tally',
                 functionName: `viewOutputTally(${repackId})`
             });
+
+            form.addButton({
+                id: 'custpage_btn_print_tags',
+                label: 'Print Bundle Tags',
+                functionName: `printBundleTags(${repackId})`
+            });
         }
     }
 
@@ -998,6 +1016,39 @@ define([
         }
     }
 
+    /**
+     * Rolls the source tally's cost and the repack time into the output
+     * Waste raises the cost of each output BF.
+     *
+     * @param {Record} newRecord - Current record
+     * @param {string} outputItem - Output item ID
+     * @param {number} outputBF - Output board feet
+     * @returns {Object|null} Costed output, or null when there is no cost to roll
+     */
+    function rollRepackCost(newRecord, outputItem, outputBF) {
+        const inputBF = parseFloat(newRecord.getValue({ fieldId: FIELD_IDS.INPUT_BF })) || 0;
+        const sourceBFCost = landedCostService.getTallyBFCost(newRecord.getValue({ fieldId: FIELD_IDS.SOURCE_TALLY }));
+
+        if (sourceBFCost === null || inputBF <= 0) return null;
+
+        const result = costRollService.rollProcessCost({
+            processType: REPACK_PROCESS_TYPES[newRecord.getValue({ fieldId: FIELD_IDS.REPACK_TYPE })],
+            inputCost: sourceBFCost * inputBF,
+            durationMins: newRecord.getValue({ fieldId: FIELD_IDS.DURATION_MINS }),
+            outputs: [{ key: 'output', itemId: outputItem, bf: outputBF, isByproduct: false }]
+        });
+
+        if (!result.success) {
+            log.error({
+                title: 'Repack cost roll failed',
+                details: result.error
+            });
+            return null;
+        }
+
+        return result.outputs[0];
+    }
+
     /**
      * Creates output tally from repack results
      *
@@ -1012,6 +1063,8 @@ define([
 
         if (!outputItem || outputBF <= 0) return;
 
+        const costRoll = rollRepackCost(newRecord, outputItem, outputBF);
+
         try {
             const tallyRec = record.create({
                 type: 'customrecord_cls_tally_sheet',
@@ -1058,6 +1111,18 @@ define([
                 value: `Created from repack: ${repackNumber}`
             });
 
+            if (costRoll) {
+                tallyRec.setValue({
+                    fieldId: constants.TALLY_FIELDS.BF_COST,
+                    value: costRoll.bfCost
+                });
+
+                tallyRec.setValue({
+                    fieldId: constants.TALLY_FIELDS.LANDED_COST,
+                    value: costRoll.allocatedCost
+                });
+            }
+
             const tallyId = tallyRec.save();
 
             // Update repack record with created tally reference
@@ -1074,6 +1139,20 @@ define([
                 details: `Tally ID ${tallyId} created from repack ${repackNumber}`
             });
 
+            // Bundle tag PDF is filed and attached to the repack for printing
+            const tagResult = labelService.saveTags(
+                [tallyId],
+                { type: newRecord.type, id: newRecord.id },
+                `Bundle_Tag_${repackNumber || tallyId}.pdf`
+            );
+
+            if (!tagResult.success) {
+                log.error({
+                    title: 'Failed to create bundle tag',
+                    details: tagResult.error
+                });
+            }
+
         } catch (e) {
             log.error({
                 title: 'Failed to create output tally',
@@ -20,7 +20,9 @@ define([
     'N/format',
     'N/url',
     '../lib/cls_settings_dao',
-    '../lib/cls_constants'
+    '../lib/cls_constants',
+    '../lib/cls_alert_service',
+    '../lib/cls_aging_service'
 ], function(
     serverWidget,
     search,
@@ -28,7 +30,9 @@ define([
     format,
     url,
     settingsDAO,
-    constants
+    constants,
+    alertService,
+    agingService
 ) {
     'use strict';
 
@@ -561,7 +565,7 @@ define([
 
                 <div class="ls-section">
                     <div class="ls-section-title">Tally Age Analysis</div>
-                    ${buildTallyAgeHtml(invData.tallyAge)}
+                    ${buildTallyAgeHtml(invData.tallyAge, invData.staleWorklist)}
                 </div>
             </div>
         `;
@@ -625,22 +629,29 @@ define([
     /**
      * Builds tally age analysis HTML
      *
-     * @param {Object} tallyAge - Tally age data
+     * @param {Object} tallyAge - Age buckets from the aging service
+     * @param {Object} staleWorklist - Open stale inventory totals
      * @returns {string} HTML content
      */
-    function buildTallyAgeHtml(tallyAge) {
+    function buildTallyAgeHtml(tallyAge, staleWorklist) {
         if (!tallyAge) {
             return '<div style="text-align: center; padding: 30px; color: #999;">No tally data</div>';
         }
 
-        const categories = [
-            { label: '0-30 Days', count: tallyAge.days0_30 || 0, color: '#28a745' },
-            { label: '31-60 Days', count: tallyAge.days31_60 || 0, color: '#ffc107' },
-            { label: '61-90 Days', count: tallyAge.days61_90 || 0, color: '#fd7e14' },
-            { label: '90+ Days', count: tallyAge.days90plus || 0, color: '#dc3545' }
-        ];
+        const colors = {
+            days0_30: '#28a745',
+            days31_60: '#ffc107',
+            days61_90: '#fd7e14',
+            days90plus: '#dc3545'
+        };
+
+        const categories = constants.AGE_BUCKETS.map(bucket => Object.assign(
+            { color: colors[bucket.key] },
+            tallyAge[bucket.key]
+        ));
 
         const total = categories.reduce((sum, c) => sum + c.count, 0);
+        const totalCarrying = categories.reduce((sum, c) => sum + c.carryingCost, 0);
 
         return `
             <div style="display: flex; gap: 30px; align-items: center;">
@@ -651,7 +662,7 @@ define([
                             <div style="margin-bottom: 12px;">
                                 <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
                                     <span><span style="display: inline-block; width: 12px; height: 12px; background: ${cat.color}; border-radius: 2px; margin-right: 8px;"></span>${cat.label}</span>
-                                    <span>${cat.count} tallies (${pct.toFixed(1)}%)</span>
+                                    <span>${cat.count} tallies (${pct.toFixed(1)}%) · ${formatNumber(cat.bf)} BF · $${formatNumber(cat.carryingCost)} carrying</span>
                                 </div>
                                 <div style="background: #e9ecef; border-radius: 4px; overflow: hidden;">
                                     <div style="background: ${cat.color}; height: 8px; width: ${pct}%;"></div>
@@ -660,6 +671,16 @@ define([
                         `;
                     }).join('')}
                 </div>
+                <div style="width: 220px;">
+                    <div class="ls-kpi-card orange" style="margin-bottom: 12px;">
+                        <div class="ls-kpi-value">$${formatNumber(totalCarrying)}</div>
+                        <div class="ls-kpi-label">Carrying Cost to Date</div>
+                    </div>
+                    <div class="ls-kpi-card">
+                        <div class="ls-kpi-value">${staleWorklist ? staleWorklist.count : 0}</div>
+                        <div class="ls-kpi-label">Stale Tallies to Action</div>
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -1233,7 +1254,8 @@ define([
             totalValue: 0,
             byLocation: [],
             topItems: [],
-            tallyAge: { days0_30: 0, days31_60: 0, days61_90: 0, days90plus: 0 }
+            tallyAge: null,
+            staleWorklist: null
         };
 
         try {
@@ -1317,6 +1339,13 @@ define([
             log.error({ title: 'Inventory data error', details: e.message });
         }
 
+        try {
+            data.tallyAge = agingService.getAgingBuckets();
+            data.staleWorklist = agingService.getWorklistSummary();
+        } catch (e) {
+            log.error({ title: 'Tally aging data error', details: e.message });
+        }
+
         return data;
     }
 
@@ -1529,7 +1558,7 @@ define([
      * @returns {Array} Alerts
      */
     function getSystemAlerts() {
-        const alerts = [];
+        const alerts = getYieldAlerts();
 
         try {
             // Check for low inventory
@@ -1593,6 +1622,36 @@ define([
         return alerts;
     }
 
+    /**
+     * Gets open and acknowledged yield alerts
+     *
+     * @returns {Array} Alerts
+     */
+    function getYieldAlerts() {
+        const severityClasses = {
+            [constants.ALERT_SEVERITY.CRITICAL]: 'danger',
+            [constants.ALERT_SEVERITY.WARNING]: 'warning',
+            [constants.ALERT_SEVERITY.INFO]: 'info'
+        };
+
+        return alertService.getOpenAlerts({ limit: 10 }).map(alert => {
+            const alertUrl = url.resolveRecord({
+                recordType: constants.RECORD_TYPES.YIELD_ALERT,
+                recordId: alert.id
+            });
+
+            const details = [alert.item, alert.statusLabel, alert.assignee ? `Assigned to ${alert.assignee}` : '']
+                .filter(Boolean)
+                .join(' · ');
+
+            return {
+                severity: severityClasses[alert.severity] || 'info',
+                title: `<a href="${alertUrl}">${alert.severityLabel} Yield Alert</a>`,
+                message: `${alert.message}${details ? ` (${details})` : ''}`
+            };
+        });
+    }
+
     /**
      * Gets production trend data
      *
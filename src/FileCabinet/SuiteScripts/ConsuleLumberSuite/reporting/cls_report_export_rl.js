@@ -19,16 +19,22 @@ define([
     'N/runtime',
     'N/format',
     'N/file',
+    'N/encode',
     '../lib/cls_settings_dao',
-    '../lib/cls_constants'
+    '../lib/cls_constants',
+    '../lib/cls_report_schedule_service',
+    '../lib/cls_xlsx_builder'
 ], function(
     search,
     record,
     runtime,
     format,
     file,
+    encode,
     settingsDAO,
-    constants
+    constants,
+    reportScheduleService,
+    xlsxBuilder
 ) {
     'use strict';
 
@@ -51,9 +57,104 @@ define([
     const OUTPUT_FORMATS = {
         JSON: 'json',
         CSV: 'csv',
+        XLSX: 'xlsx',
         SUMMARY: 'summary'
     };
 
+    const PAGE_SIZE = {
+        DEFAULT: 1000,
+        MIN: 5,
+        MAX: 1000
+    };
+
+    const RECORD_TYPES = constants.RECORD_TYPES;
+    const TALLY_FIELDS = constants.TALLY_FIELDS;
+    const TALLY_ALLOC_FIELDS = constants.TALLY_ALLOC_FIELDS;
+    const YIELD_FIELDS = constants.YIELD_FIELDS;
+    const REPACK_FIELDS = constants.REPACK_FIELDS;
+    const BODY_FIELDS = constants.BODY_FIELDS;
+    const TALLY_STATUS = constants.TALLY_STATUS;
+
+    const SPECIES_FIELD = constants.ITEM_FIELDS.SPECIES;
+    const GRADE_FIELD = constants.ITEM_FIELDS.GRADE;
+
+    // Tallies with BF still on hand
+    const ON_HAND_TALLY_STATUSES = [TALLY_STATUS.OPEN, TALLY_STATUS.ALLOCATED];
+
+    /**
+     * Search filter per request filter parameter, by data type
+     * Types without an entry accept no filters beyond dates.
+     */
+    const FILTER_FIELDS = {
+        [DATA_TYPES.PRODUCTION]: {
+            item: YIELD_FIELDS.ITEM,
+            species: `${YIELD_FIELDS.ITEM}.${SPECIES_FIELD}`,
+            grade: `${YIELD_FIELDS.ITEM}.${GRADE_FIELD}`,
+            location: YIELD_FIELDS.LOCATION,
+            operator: YIELD_FIELDS.OPERATOR
+        },
+        [DATA_TYPES.YIELD]: {
+            item: YIELD_FIELDS.ITEM,
+            species: `${YIELD_FIELDS.ITEM}.${SPECIES_FIELD}`,
+            grade: `${YIELD_FIELDS.ITEM}.${GRADE_FIELD}`,
+            location: YIELD_FIELDS.LOCATION,
+            operator: YIELD_FIELDS.OPERATOR
+        },
+        [DATA_TYPES.INVENTORY]: {
+            item: TALLY_FIELDS.ITEM,
+            species: `${TALLY_FIELDS.ITEM}.${SPECIES_FIELD}`,
+            grade: TALLY_FIELDS.GRADE,
+            location: TALLY_FIELDS.LOCATION,
+            status: TALLY_FIELDS.STATUS
+        },
+        [DATA_TYPES.TALLIES]: {
+            item: TALLY_FIELDS.ITEM,
+            species: `${TALLY_FIELDS.ITEM}.${SPECIES_FIELD}`,
+            grade: TALLY_FIELDS.GRADE,
+            location: TALLY_FIELDS.LOCATION,
+            status: TALLY_FIELDS.STATUS
+        },
+        [DATA_TYPES.REPACKS]: {
+            item: REPACK_FIELDS.SOURCE_ITEM,
+            species: `${REPACK_FIELDS.SOURCE_ITEM}.${SPECIES_FIELD}`,
+            grade: `${REPACK_FIELDS.SOURCE_TALLY}.${TALLY_FIELDS.GRADE}`,
+            location: REPACK_FIELDS.LOCATION,
+            status: REPACK_FIELDS.STATUS
+        },
+        [DATA_TYPES.ALLOCATIONS]: {
+            item: `${TALLY_ALLOC_FIELDS.TALLY_SHEET}.${TALLY_FIELDS.ITEM}`,
+            grade: `${TALLY_ALLOC_FIELDS.TALLY_SHEET}.${TALLY_FIELDS.GRADE}`,
+            location: `${TALLY_ALLOC_FIELDS.TALLY_SHEET}.${TALLY_FIELDS.LOCATION}`,
+            status: TALLY_ALLOC_FIELDS.STATUS
+        },
+        [DATA_TYPES.SALES]: {
+            location: 'location',
+            status: 'status'
+        },
+        [DATA_TYPES.WORK_ORDERS]: {
+            item: 'item',
+            species: `item.${SPECIES_FIELD}`,
+            grade: `item.${GRADE_FIELD}`,
+            location: 'location',
+            status: 'status'
+        }
+    };
+
+    /**
+     * Last-modified field of the record-level data types
+     * Only these types page and support incremental pulls.
+     */
+    const MODIFIED_FIELDS = {
+        [DATA_TYPES.PRODUCTION]: 'lastmodified',
+        [DATA_TYPES.TALLIES]: 'lastmodified',
+        [DATA_TYPES.REPACKS]: 'lastmodified',
+        [DATA_TYPES.ALLOCATIONS]: 'lastmodified',
+        [DATA_TYPES.SALES]: 'lastmodifieddate',
+        [DATA_TYPES.WORK_ORDERS]: 'lastmodifieddate'
+    };
+
+    const FILTER_PARAMS = ['item', 'species', 'grade', 'location', 'status', 'operator'];
+
     // ═══════════════════════════════════════════════════════════════════════
     // GET - Retrieve Data
     // ═══════════════════════════════════════════════════════════════════════
@@ -120,6 +221,10 @@ define([
                     return createErrorResponse('Unknown data type: ' + dataType);
             }
 
+            if (options.fields && data.records) {
+                data.records = data.records.map(rec => projectFields(rec, options.fields));
+            }
+
             return formatOutput(data, outputFormat);
 
         } catch (error) {
@@ -144,6 +249,21 @@ define([
         if (!Object.values(DATA_TYPES).includes(params.type)) {
             throw new Error('Invalid data type: ' + params.type);
         }
+
+        const filterFields = FILTER_FIELDS[params.type] || {};
+        const unsupported = FILTER_PARAMS.filter(name => params[name] && !filterFields[name]);
+
+        if (unsupported.length) {
+            throw new Error(`Filter not supported for ${params.type}: ${unsupported.join(', ')}`);
+        }
+
+        if (!MODIFIED_FIELDS[params.type]) {
+            ['cursor', 'modifiedSince', 'pageSize'].forEach(name => {
+                if (params[name]) {
+                    throw new Error(`Parameter not supported for ${params.type}: ${name}`);
+                }
+            });
+        }
     }
 
     /**
@@ -153,22 +273,65 @@ define([
      * @returns {Object} Parsed options
      */
     function parseOptions(params) {
+        const cursor = params.cursor ? decodeCursor(params.cursor, params.type) : null;
+
+        const filters = {};
+        FILTER_PARAMS.forEach(name => {
+            if (params[name]) {
+                filters[name] = String(params[name]).split(',').map(value => value.trim()).filter(Boolean);
+            }
+        });
+
         return {
             dateFrom: params.dateFrom || null,
             dateTo: params.dateTo || null,
-            dateRange: params.dateRange || 'thismonth',
-            location: params.location || null,
-            item: params.item || null,
-            operator: params.operator || null,
-            status: params.status || null,
-            limit: parseInt(params.limit, 10) || 1000,
-            offset: parseInt(params.offset, 10) || 0,
+            dateRange: params.dateRange || null,
+            modifiedSince: params.modifiedSince ? parseTimestamp(params.modifiedSince) : null,
+            filters: filters,
+            fields: params.fields ? String(params.fields).split(',').map(name => name.trim()).filter(Boolean) : null,
+            pageSize: parsePageSize(params.pageSize || params.limit),
+            cursor: cursor,
+            syncTimestamp: cursor ? cursor.syncedAt : new Date().toISOString(),
             groupBy: params.groupBy || null,
             sortBy: params.sortBy || null,
             sortDir: params.sortDir || 'asc'
         };
     }
 
+    /**
+     * Parses and bounds the page size
+     *
+     * @param {string} [value] - Requested page size
+     * @returns {number} Page size
+     */
+    function parsePageSize(value) {
+        if (!value) return PAGE_SIZE.DEFAULT;
+
+        const pageSize = parseInt(value, 10);
+
+        if (isNaN(pageSize)) {
+            throw new Error('Invalid pageSize: ' + value);
+        }
+
+        return Math.min(Math.max(pageSize, PAGE_SIZE.MIN), PAGE_SIZE.MAX);
+    }
+
+    /**
+     * Parses an ISO 8601 timestamp
+     *
+     * @param {string} value - Timestamp
+     * @returns {Date} Parsed date
+     */
+    function parseTimestamp(value) {
+        const date = new Date(value);
+
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid modifiedSince, expected an ISO 8601 timestamp: ' + value);
+        }
+
+        return date;
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // DATA RETRIEVERS
     // ═══════════════════════════════════════════════════════════════════════
@@ -188,65 +351,43 @@ define([
         };
 
         try {
-            const filters = buildDateFilters('custrecord_cls_yield_date', options);
-
-            if (options.location) {
-                filters.push('AND', ['custrecord_cls_yield_location', 'anyof', options.location]);
-            }
-
-            if (options.item) {
-                filters.push('AND', ['custrecord_cls_yield_item', 'anyof', options.item]);
-            }
+            const filters = buildDateFilters(YIELD_FIELDS.COMPLETION_DATE, options);
+            applyQueryFilters(filters, DATA_TYPES.PRODUCTION, options);
 
             const columns = [
-                search.createColumn({ name: 'custrecord_cls_yield_date', sort: search.Sort.DESC }),
-                'custrecord_cls_yield_source_type',
-                'custrecord_cls_yield_source_ref',
-                'custrecord_cls_yield_item',
-                'custrecord_cls_yield_operation',
-                'custrecord_cls_yield_input_bf',
-                'custrecord_cls_yield_output_bf',
-                'custrecord_cls_yield_waste_bf',
-                'custrecord_cls_yield_percentage',
-                'custrecord_cls_yield_operator',
-                'custrecord_cls_yield_location'
+                YIELD_FIELDS.COMPLETION_DATE,
+                YIELD_FIELDS.WORK_ORDER,
+                YIELD_FIELDS.ITEM,
+                YIELD_FIELDS.THEORETICAL_BF,
+                YIELD_FIELDS.ACTUAL_BF,
+                YIELD_FIELDS.WASTE_BF,
+                YIELD_FIELDS.YIELD_PCT,
+                YIELD_FIELDS.RECOVERY_PCT,
+                YIELD_FIELDS.WASTE_REASON,
+                YIELD_FIELDS.OPERATOR,
+                YIELD_FIELDS.LOCATION
             ];
 
-            const prodSearch = search.create({
-                type: 'customrecord_cls_yield_register',
-                filters: filters,
-                columns: columns
-            });
-
-            const pagedResults = prodSearch.runPaged({ pageSize: 1000 });
-
-            pagedResults.pageRanges.forEach(pageRange => {
-                if (result.records.length >= options.limit) return;
-
-                const page = pagedResults.fetch({ index: pageRange.index });
-                page.data.forEach(searchResult => {
-                    if (result.records.length >= options.limit) return;
-
-                    result.records.push({
-                        id: searchResult.id,
-                        date: searchResult.getValue('custrecord_cls_yield_date'),
-                        sourceType: searchResult.getValue('custrecord_cls_yield_source_type'),
-                        sourceRef: searchResult.getValue('custrecord_cls_yield_source_ref'),
-                        item: searchResult.getText('custrecord_cls_yield_item'),
-                        itemId: searchResult.getValue('custrecord_cls_yield_item'),
-                        operation: searchResult.getValue('custrecord_cls_yield_operation'),
-                        inputBF: parseFloat(searchResult.getValue('custrecord_cls_yield_input_bf')) || 0,
-                        outputBF: parseFloat(searchResult.getValue('custrecord_cls_yield_output_bf')) || 0,
-                        wasteBF: parseFloat(searchResult.getValue('custrecord_cls_yield_waste_bf')) || 0,
-                        yieldPct: parseFloat(searchResult.getValue('custrecord_cls_yield_percentage')) || 0,
-                        operator: searchResult.getText('custrecord_cls_yield_operator'),
-                        operatorId: searchResult.getValue('custrecord_cls_yield_operator'),
-                        location: searchResult.getText('custrecord_cls_yield_location'),
-                        locationId: searchResult.getValue('custrecord_cls_yield_location')
-                    });
-                });
-            });
-
+            const page = fetchRecordPage(DATA_TYPES.PRODUCTION, RECORD_TYPES.YIELD_REGISTER, filters, columns, options, searchResult => ({
+                id: searchResult.id,
+                date: searchResult.getValue(YIELD_FIELDS.COMPLETION_DATE),
+                workOrder: searchResult.getText(YIELD_FIELDS.WORK_ORDER),
+                workOrderId: searchResult.getValue(YIELD_FIELDS.WORK_ORDER),
+                item: searchResult.getText(YIELD_FIELDS.ITEM),
+                itemId: searchResult.getValue(YIELD_FIELDS.ITEM),
+                theoreticalBF: parseFloat(searchResult.getValue(YIELD_FIELDS.THEORETICAL_BF)) || 0,
+                actualBF: parseFloat(searchResult.getValue(YIELD_FIELDS.ACTUAL_BF)) || 0,
+                wasteBF: parseFloat(searchResult.getValue(YIELD_FIELDS.WASTE_BF)) || 0,
+                yieldPct: parseFloat(searchResult.getValue(YIELD_FIELDS.YIELD_PCT)) || 0,
+                recoveryPct: parseFloat(searchResult.getValue(YIELD_FIELDS.RECOVERY_PCT)) || 0,
+                wasteReason: searchResult.getText(YIELD_FIELDS.WASTE_REASON),
+                operator: searchResult.getText(YIELD_FIELDS.OPERATOR),
+                operatorId: searchResult.getValue(YIELD_FIELDS.OPERATOR),
+                location: searchResult.getText(YIELD_FIELDS.LOCATION),
+                locationId: searchResult.getValue(YIELD_FIELDS.LOCATION)
+            }));
+
+            Object.assign(result, page);
             result.count = result.records.length;
 
         } catch (e) {
@@ -268,71 +409,78 @@ define([
             type: DATA_TYPES.YIELD,
             timestamp: new Date().toISOString(),
             summary: {},
-            byOperation: [],
+            byWasteReason: [],
             byOperator: [],
             trend: []
         };
 
         try {
-            const filters = buildDateFilters('custrecord_cls_yield_date', options);
+            const filters = buildDateFilters(YIELD_FIELDS.COMPLETION_DATE, options);
+            applyQueryFilters(filters, DATA_TYPES.YIELD, options);
 
             // Overall summary
             const summarySearch = search.create({
-                type: 'customrecord_cls_yield_register',
+                type: RECORD_TYPES.YIELD_REGISTER,
                 filters: filters,
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG }),
+                    search.createColumn({ name: YIELD_FIELDS.THEORETICAL_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: YIELD_FIELDS.ACTUAL_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: YIELD_FIELDS.WASTE_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG }),
                     search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
                 ]
             });
 
             summarySearch.run().each(r => {
                 result.summary = {
-                    totalInputBF: parseFloat(r.getValue({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM })) || 0,
-                    totalOutputBF: parseFloat(r.getValue({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM })) || 0,
-                    totalWasteBF: parseFloat(r.getValue({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM })) || 0,
-                    avgYield: parseFloat(r.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0,
+                    totalTheoreticalBF: parseFloat(r.getValue({ name: YIELD_FIELDS.THEORETICAL_BF, summary: search.Summary.SUM })) || 0,
+                    totalActualBF: parseFloat(r.getValue({ name: YIELD_FIELDS.ACTUAL_BF, summary: search.Summary.SUM })) || 0,
+                    totalWasteBF: parseFloat(r.getValue({ name: YIELD_FIELDS.WASTE_BF, summary: search.Summary.SUM })) || 0,
+                    avgYield: parseFloat(r.getValue({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })) || 0,
                     operationCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
                 };
                 return true;
             });
 
-            // By operation type
-            const opTypeSearch = search.create({
-                type: 'customrecord_cls_yield_register',
+            // By waste reason
+            const reasonSearch = search.create({
+                type: RECORD_TYPES.YIELD_REGISTER,
                 filters: filters,
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_yield_operation', summary: search.Summary.GROUP }),
+                    search.createColumn({ name: YIELD_FIELDS.WASTE_REASON, summary: search.Summary.GROUP }),
                     search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
-                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })
+                    search.createColumn({
+                        name: YIELD_FIELDS.WASTE_BF,
+                        summary: search.Summary.SUM,
+                        sort: search.Sort.DESC
+                    }),
+                    search.createColumn({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })
                 ]
             });
 
-            opTypeSearch.run().each(r => {
-                result.byOperation.push({
-                    operation: r.getText({ name: 'custrecord_cls_yield_operation', summary: search.Summary.GROUP }) ||
-                               r.getValue({ name: 'custrecord_cls_yield_operation', summary: search.Summary.GROUP }),
+            reasonSearch.run().each(r => {
+                result.byWasteReason.push({
+                    wasteReason: r.getText({ name: YIELD_FIELDS.WASTE_REASON, summary: search.Summary.GROUP }) || 'None',
+                    wasteReasonId: r.getValue({ name: YIELD_FIELDS.WASTE_REASON, summary: search.Summary.GROUP }),
                     count: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0,
-                    avgYield: parseFloat(r.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0
+                    wasteBF: parseFloat(r.getValue({ name: YIELD_FIELDS.WASTE_BF, summary: search.Summary.SUM })) || 0,
+                    avgYield: parseFloat(r.getValue({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })) || 0
                 });
                 return true;
             });
 
             // By operator
             const operatorSearch = search.create({
-                type: 'customrecord_cls_yield_register',
+                type: RECORD_TYPES.YIELD_REGISTER,
                 filters: filters.concat([
                     'AND',
-                    ['custrecord_cls_yield_operator', 'noneof', '@NONE@']
+                    [YIELD_FIELDS.OPERATOR, 'noneof', '@NONE@']
                 ]),
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_yield_operator', summary: search.Summary.GROUP }),
+                    search.createColumn({ name: YIELD_FIELDS.OPERATOR, summary: search.Summary.GROUP }),
                     search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
                     search.createColumn({
-                        name: 'custrecord_cls_yield_percentage',
+                        name: YIELD_FIELDS.YIELD_PCT,
                         summary: search.Summary.AVG,
                         sort: search.Sort.DESC
                     })
@@ -341,34 +489,34 @@ define([
 
             operatorSearch.run().each(r => {
                 result.byOperator.push({
-                    operator: r.getText({ name: 'custrecord_cls_yield_operator', summary: search.Summary.GROUP }),
-                    operatorId: r.getValue({ name: 'custrecord_cls_yield_operator', summary: search.Summary.GROUP }),
+                    operator: r.getText({ name: YIELD_FIELDS.OPERATOR, summary: search.Summary.GROUP }),
+                    operatorId: r.getValue({ name: YIELD_FIELDS.OPERATOR, summary: search.Summary.GROUP }),
                     count: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0,
-                    avgYield: parseFloat(r.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0
+                    avgYield: parseFloat(r.getValue({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })) || 0
                 });
                 return true;
             });
 
             // Daily trend
             const trendSearch = search.create({
-                type: 'customrecord_cls_yield_register',
+                type: RECORD_TYPES.YIELD_REGISTER,
                 filters: filters,
                 columns: [
                     search.createColumn({
-                        name: 'custrecord_cls_yield_date',
+                        name: YIELD_FIELDS.COMPLETION_DATE,
                         summary: search.Summary.GROUP,
                         sort: search.Sort.ASC
                     }),
-                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })
+                    search.createColumn({ name: YIELD_FIELDS.ACTUAL_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })
                 ]
             });
 
             trendSearch.run().each(r => {
                 result.trend.push({
-                    date: r.getValue({ name: 'custrecord_cls_yield_date', summary: search.Summary.GROUP }),
-                    outputBF: parseFloat(r.getValue({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM })) || 0,
-                    avgYield: parseFloat(r.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0
+                    date: r.getValue({ name: YIELD_FIELDS.COMPLETION_DATE, summary: search.Summary.GROUP }),
+                    actualBF: parseFloat(r.getValue({ name: YIELD_FIELDS.ACTUAL_BF, summary: search.Summary.SUM })) || 0,
+                    avgYield: parseFloat(r.getValue({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })) || 0
                 });
                 return true;
             });
@@ -397,29 +545,26 @@ define([
         };
 
         try {
-            const filters = [['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]];
-
-            if (options.location) {
-                filters.push('AND', ['custrecord_cls_tally_location', 'anyof', options.location]);
-            }
+            const filters = options.filters.status ? [] : [[TALLY_FIELDS.STATUS, 'anyof', ON_HAND_TALLY_STATUSES]];
+            applyQueryFilters(filters, DATA_TYPES.INVENTORY, options);
 
             // Summary
             const summarySearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
+                type: RECORD_TYPES.TALLY_SHEET,
                 filters: filters,
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_tally_bf_total', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_tally_bf_available', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_tally_pieces', summary: search.Summary.SUM }),
+                    search.createColumn({ name: TALLY_FIELDS.RECEIVED_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: TALLY_FIELDS.PIECES, summary: search.Summary.SUM }),
                     search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
                 ]
             });
 
             summarySearch.run().each(r => {
                 result.summary = {
-                    totalBF: parseFloat(r.getValue({ name: 'custrecord_cls_tally_bf_total', summary: search.Summary.SUM })) || 0,
-                    availableBF: parseFloat(r.getValue({ name: 'custrecord_cls_tally_bf_available', summary: search.Summary.SUM })) || 0,
-                    totalPieces: parseInt(r.getValue({ name: 'custrecord_cls_tally_pieces', summary: search.Summary.SUM }), 10) || 0,
+                    totalBF: parseFloat(r.getValue({ name: TALLY_FIELDS.RECEIVED_BF, summary: search.Summary.SUM })) || 0,
+                    availableBF: parseFloat(r.getValue({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM })) || 0,
+                    totalPieces: parseInt(r.getValue({ name: TALLY_FIELDS.PIECES, summary: search.Summary.SUM }), 10) || 0,
                     tallyCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
                 };
                 return true;
@@ -427,12 +572,12 @@ define([
 
             // By location
             const locSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
+                type: RECORD_TYPES.TALLY_SHEET,
                 filters: filters,
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_tally_location', summary: search.Summary.GROUP }),
+                    search.createColumn({ name: TALLY_FIELDS.LOCATION, summary: search.Summary.GROUP }),
                     search.createColumn({
-                        name: 'custrecord_cls_tally_bf_available',
+                        name: TALLY_FIELDS.REMAINING_BF,
                         summary: search.Summary.SUM,
                         sort: search.Sort.DESC
                     }),
@@ -442,9 +587,9 @@ define([
 
             locSearch.run().each(r => {
                 result.byLocation.push({
-                    location: r.getText({ name: 'custrecord_cls_tally_location', summary: search.Summary.GROUP }),
-                    locationId: r.getValue({ name: 'custrecord_cls_tally_location', summary: search.Summary.GROUP }),
-                    availableBF: parseFloat(r.getValue({ name: 'custrecord_cls_tally_bf_available', summary: search.Summary.SUM })) || 0,
+                    location: r.getText({ name: TALLY_FIELDS.LOCATION, summary: search.Summary.GROUP }),
+                    locationId: r.getValue({ name: TALLY_FIELDS.LOCATION, summary: search.Summary.GROUP }),
+                    availableBF: parseFloat(r.getValue({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM })) || 0,
                     tallyCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
                 });
                 return true;
@@ -452,12 +597,12 @@ define([
 
             // By item
             const itemSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
+                type: RECORD_TYPES.TALLY_SHEET,
                 filters: filters,
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_tally_item', summary: search.Summary.GROUP }),
+                    search.createColumn({ name: TALLY_FIELDS.ITEM, summary: search.Summary.GROUP }),
                     search.createColumn({
-                        name: 'custrecord_cls_tally_bf_available',
+                        name: TALLY_FIELDS.REMAINING_BF,
                         summary: search.Summary.SUM,
                         sort: search.Sort.DESC
                     }),
@@ -467,9 +612,9 @@ define([
 
             itemSearch.run().each(r => {
                 result.byItem.push({
-                    item: r.getText({ name: 'custrecord_cls_tally_item', summary: search.Summary.GROUP }),
-                    itemId: r.getValue({ name: 'custrecord_cls_tally_item', summary: search.Summary.GROUP }),
-                    availableBF: parseFloat(r.getValue({ name: 'custrecord_cls_tally_bf_available', summary: search.Summary.SUM })) || 0,
+                    item: r.getText({ name: TALLY_FIELDS.ITEM, summary: search.Summary.GROUP }),
+                    itemId: r.getValue({ name: TALLY_FIELDS.ITEM, summary: search.Summary.GROUP }),
+                    availableBF: parseFloat(r.getValue({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM })) || 0,
                     tallyCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
                 });
                 return result.byItem.length < 50;
@@ -498,63 +643,41 @@ define([
         };
 
         try {
-            const filters = [];
-
-            if (options.status) {
-                filters.push(['custrecord_cls_tally_status', 'is', options.status]);
-            } else {
-                filters.push(['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]);
-            }
-
-            if (options.location) {
-                filters.push('AND', ['custrecord_cls_tally_location', 'anyof', options.location]);
-            }
+            const filters = options.filters.status ? [] : [[TALLY_FIELDS.STATUS, 'anyof', ON_HAND_TALLY_STATUSES]];
+            applyQueryFilters(filters, DATA_TYPES.TALLIES, options);
 
-            if (options.item) {
-                filters.push('AND', ['custrecord_cls_tally_item', 'anyof', options.item]);
-            }
-
-            const tallySearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
-                filters: filters,
-                columns: [
-                    search.createColumn({ name: 'name', sort: search.Sort.DESC }),
-                    'custrecord_cls_tally_item',
-                    'custrecord_cls_tally_location',
-                    'custrecord_cls_tally_status',
-                    'custrecord_cls_tally_bf_total',
-                    'custrecord_cls_tally_bf_available',
-                    'custrecord_cls_tally_pieces',
-                    'custrecord_cls_tally_thickness',
-                    'custrecord_cls_tally_width',
-                    'custrecord_cls_tally_length',
-                    'created'
-                ]
-            });
-
-            tallySearch.run().each(r => {
-                if (result.records.length >= options.limit) return false;
-
-                result.records.push({
-                    id: r.id,
-                    tallyNumber: r.getValue('name'),
-                    item: r.getText('custrecord_cls_tally_item'),
-                    itemId: r.getValue('custrecord_cls_tally_item'),
-                    location: r.getText('custrecord_cls_tally_location'),
-                    locationId: r.getValue('custrecord_cls_tally_location'),
-                    status: r.getValue('custrecord_cls_tally_status'),
-                    totalBF: parseFloat(r.getValue('custrecord_cls_tally_bf_total')) || 0,
-                    availableBF: parseFloat(r.getValue('custrecord_cls_tally_bf_available')) || 0,
-                    pieces: parseInt(r.getValue('custrecord_cls_tally_pieces'), 10) || 0,
-                    thickness: parseFloat(r.getValue('custrecord_cls_tally_thickness')) || 0,
-                    width: parseFloat(r.getValue('custrecord_cls_tally_width')) || 0,
-                    length: parseFloat(r.getValue('custrecord_cls_tally_length')) || 0,
-                    created: r.getValue('created')
-                });
-
-                return true;
-            });
+            const columns = [
+                TALLY_FIELDS.TALLY_NUMBER,
+                TALLY_FIELDS.ITEM,
+                TALLY_FIELDS.LOCATION,
+                TALLY_FIELDS.STATUS,
+                TALLY_FIELDS.RECEIVED_BF,
+                TALLY_FIELDS.REMAINING_BF,
+                TALLY_FIELDS.PIECES,
+                TALLY_FIELDS.THICKNESS,
+                TALLY_FIELDS.WIDTH,
+                TALLY_FIELDS.LENGTH,
+                'created'
+            ];
 
+            const page = fetchRecordPage(DATA_TYPES.TALLIES, RECORD_TYPES.TALLY_SHEET, filters, columns, options, r => ({
+                id: r.id,
+                tallyNumber: r.getValue(TALLY_FIELDS.TALLY_NUMBER),
+                item: r.getText(TALLY_FIELDS.ITEM),
+                itemId: r.getValue(TALLY_FIELDS.ITEM),
+                location: r.getText(TALLY_FIELDS.LOCATION),
+                locationId: r.getValue(TALLY_FIELDS.LOCATION),
+                status: r.getValue(TALLY_FIELDS.STATUS),
+                totalBF: parseFloat(r.getValue(TALLY_FIELDS.RECEIVED_BF)) || 0,
+                availableBF: parseFloat(r.getValue(TALLY_FIELDS.REMAINING_BF)) || 0,
+                pieces: parseInt(r.getValue(TALLY_FIELDS.PIECES), 10) || 0,
+                thickness: parseFloat(r.getValue(TALLY_FIELDS.THICKNESS)) || 0,
+                width: parseFloat(r.getValue(TALLY_FIELDS.WIDTH)) || 0,
+                length: parseFloat(r.getValue(TALLY_FIELDS.LENGTH)) || 0,
+                created: r.getValue('created')
+            }));
+
+            Object.assign(result, page);
             result.count = result.records.length;
 
         } catch (e) {
@@ -580,53 +703,47 @@ define([
         };
 
         try {
-            const filters = buildDateFilters('custrecord_cls_repack_date', options);
-
-            if (options.status) {
-                filters.push('AND', ['custrecord_cls_repack_status', 'is', options.status]);
-            }
-
-            if (options.operator) {
-                filters.push('AND', ['custrecord_cls_repack_operator', 'anyof', options.operator]);
-            }
+            const filters = buildDateFilters('created', options);
+            applyQueryFilters(filters, DATA_TYPES.REPACKS, options);
 
-            const repackSearch = search.create({
-                type: 'customrecord_cls_repack_workorder',
-                filters: filters,
-                columns: [
-                    search.createColumn({ name: 'custrecord_cls_repack_date', sort: search.Sort.DESC }),
-                    'custrecord_cls_repack_number',
-                    'custrecord_cls_repack_type',
-                    'custrecord_cls_repack_status',
-                    'custrecord_cls_repack_source_tally',
-                    'custrecord_cls_repack_input_bf',
-                    'custrecord_cls_repack_output_bf',
-                    'custrecord_cls_repack_waste_bf',
-                    'custrecord_cls_repack_yield_pct',
-                    'custrecord_cls_repack_operator'
-                ]
-            });
+            const columns = [
+                REPACK_FIELDS.REPACK_NUMBER,
+                'created',
+                REPACK_FIELDS.STATUS,
+                REPACK_FIELDS.SOURCE_ITEM,
+                REPACK_FIELDS.SOURCE_TALLY,
+                REPACK_FIELDS.SOURCE_BF,
+                REPACK_FIELDS.YIELD_BF,
+                REPACK_FIELDS.WASTE_BF,
+                REPACK_FIELDS.LOCATION,
+                REPACK_FIELDS.COMPLETION_DATE
+            ];
 
-            repackSearch.run().each(r => {
-                if (result.records.length >= options.limit) return false;
+            const page = fetchRecordPage(DATA_TYPES.REPACKS, RECORD_TYPES.REPACK_ORDER, filters, columns, options, r => {
+                const sourceBF = parseFloat(r.getValue(REPACK_FIELDS.SOURCE_BF)) || 0;
+                const yieldBF = parseFloat(r.getValue(REPACK_FIELDS.YIELD_BF)) || 0;
 
-                result.records.push({
+                return {
                     id: r.id,
-                    date: r.getValue('custrecord_cls_repack_date'),
-                    repackNumber: r.getValue('custrecord_cls_repack_number'),
-                    type: r.getText('custrecord_cls_repack_type'),
-                    status: r.getValue('custrecord_cls_repack_status'),
-                    sourceTally: r.getText('custrecord_cls_repack_source_tally'),
-                    inputBF: parseFloat(r.getValue('custrecord_cls_repack_input_bf')) || 0,
-                    outputBF: parseFloat(r.getValue('custrecord_cls_repack_output_bf')) || 0,
-                    wasteBF: parseFloat(r.getValue('custrecord_cls_repack_waste_bf')) || 0,
-                    yieldPct: parseFloat(r.getValue('custrecord_cls_repack_yield_pct')) || 0,
-                    operator: r.getText('custrecord_cls_repack_operator')
-                });
-
-                return true;
+                    repackNumber: r.getValue(REPACK_FIELDS.REPACK_NUMBER),
+                    created: r.getValue('created'),
+                    status: r.getText(REPACK_FIELDS.STATUS),
+                    statusId: r.getValue(REPACK_FIELDS.STATUS),
+                    sourceItem: r.getText(REPACK_FIELDS.SOURCE_ITEM),
+                    sourceItemId: r.getValue(REPACK_FIELDS.SOURCE_ITEM),
+                    sourceTally: r.getText(REPACK_FIELDS.SOURCE_TALLY),
+                    sourceTallyId: r.getValue(REPACK_FIELDS.SOURCE_TALLY),
+                    sourceBF: sourceBF,
+                    yieldBF: yieldBF,
+                    wasteBF: parseFloat(r.getValue(REPACK_FIELDS.WASTE_BF)) || 0,
+                    yieldPct: sourceBF > 0 ? Math.round(yieldBF / sourceBF * 10000) / 100 : 0,
+                    location: r.getText(REPACK_FIELDS.LOCATION),
+                    locationId: r.getValue(REPACK_FIELDS.LOCATION),
+                    completionDate: r.getValue(REPACK_FIELDS.COMPLETION_DATE)
+                };
             });
 
+            Object.assign(result, page);
             result.count = result.records.length;
 
         } catch (e) {
@@ -652,39 +769,39 @@ define([
         };
 
         try {
-            const filters = buildDateFilters('custrecord_cls_alloc_date', options);
+            const filters = buildDateFilters(TALLY_ALLOC_FIELDS.ALLOCATION_DATE, options);
+            applyQueryFilters(filters, DATA_TYPES.ALLOCATIONS, options);
 
-            const allocSearch = search.create({
-                type: 'customrecord_cls_tally_allocation',
-                filters: filters,
-                columns: [
-                    search.createColumn({ name: 'custrecord_cls_alloc_date', sort: search.Sort.DESC }),
-                    'custrecord_cls_alloc_tally',
-                    'custrecord_cls_alloc_item',
-                    'custrecord_cls_alloc_transaction',
-                    'custrecord_cls_alloc_bf',
-                    'custrecord_cls_alloc_type'
-                ]
-            });
-
-            allocSearch.run().each(r => {
-                if (result.records.length >= options.limit) return false;
-
-                result.records.push({
-                    id: r.id,
-                    date: r.getValue('custrecord_cls_alloc_date'),
-                    tally: r.getText('custrecord_cls_alloc_tally'),
-                    tallyId: r.getValue('custrecord_cls_alloc_tally'),
-                    item: r.getText('custrecord_cls_alloc_item'),
-                    transaction: r.getText('custrecord_cls_alloc_transaction'),
-                    transactionId: r.getValue('custrecord_cls_alloc_transaction'),
-                    bf: parseFloat(r.getValue('custrecord_cls_alloc_bf')) || 0,
-                    allocationType: r.getValue('custrecord_cls_alloc_type')
-                });
+            const itemColumn = search.createColumn({ name: TALLY_FIELDS.ITEM, join: TALLY_ALLOC_FIELDS.TALLY_SHEET });
 
-                return true;
-            });
+            const columns = [
+                TALLY_ALLOC_FIELDS.ALLOCATION_DATE,
+                TALLY_ALLOC_FIELDS.TALLY_SHEET,
+                itemColumn,
+                TALLY_ALLOC_FIELDS.WORK_ORDER,
+                TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                TALLY_ALLOC_FIELDS.CONSUMED_BF,
+                TALLY_ALLOC_FIELDS.STATUS,
+                TALLY_ALLOC_FIELDS.CONSUMPTION_DATE
+            ];
 
+            const page = fetchRecordPage(DATA_TYPES.ALLOCATIONS, RECORD_TYPES.TALLY_ALLOCATION, filters, columns, options, r => ({
+                id: r.id,
+                date: r.getValue(TALLY_ALLOC_FIELDS.ALLOCATION_DATE),
+                tally: r.getText(TALLY_ALLOC_FIELDS.TALLY_SHEET),
+                tallyId: r.getValue(TALLY_ALLOC_FIELDS.TALLY_SHEET),
+                item: r.getText(itemColumn),
+                itemId: r.getValue(itemColumn),
+                transaction: r.getText(TALLY_ALLOC_FIELDS.WORK_ORDER),
+                transactionId: r.getValue(TALLY_ALLOC_FIELDS.WORK_ORDER),
+                allocatedBF: parseFloat(r.getValue(TALLY_ALLOC_FIELDS.ALLOCATED_BF)) || 0,
+                consumedBF: parseFloat(r.getValue(TALLY_ALLOC_FIELDS.CONSUMED_BF)) || 0,
+                status: r.getText(TALLY_ALLOC_FIELDS.STATUS),
+                statusId: r.getValue(TALLY_ALLOC_FIELDS.STATUS),
+                consumedDate: r.getValue(TALLY_ALLOC_FIELDS.CONSUMPTION_DATE)
+            }));
+
+            Object.assign(result, page);
             result.count = result.records.length;
 
         } catch (e) {
@@ -714,54 +831,44 @@ define([
                 ['type', 'anyof', 'SalesOrd'],
                 'AND',
                 ['mainline', 'is', 'T']
-            ].concat(buildDateFilters('trandate', options));
-
-            // Summary
-            const summarySearch = search.create({
-                type: search.Type.SALES_ORDER,
-                filters: filters,
-                columns: [
-                    search.createColumn({ name: 'amount', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
-                ]
-            });
+            ];
+            buildDateFilters('trandate', options).forEach(filter => addFilter(filters, filter));
+            applyQueryFilters(filters, DATA_TYPES.SALES, options);
+
+            // Summary on the first page only
+            if (!options.cursor) {
+                const summarySearch = search.create({
+                    type: search.Type.SALES_ORDER,
+                    filters: filters,
+                    columns: [
+                        search.createColumn({ name: 'amount', summary: search.Summary.SUM }),
+                        search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
+                    ]
+                });
 
-            summarySearch.run().each(r => {
-                result.summary = {
-                    totalAmount: parseFloat(r.getValue({ name: 'amount', summary: search.Summary.SUM })) || 0,
-                    orderCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
-                };
-                return true;
-            });
+                summarySearch.run().each(r => {
+                    result.summary = {
+                        totalAmount: parseFloat(r.getValue({ name: 'amount', summary: search.Summary.SUM })) || 0,
+                        orderCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
+                    };
+                    return true;
+                });
+            }
 
             // Individual orders
-            const ordersSearch = search.create({
-                type: search.Type.SALES_ORDER,
-                filters: filters,
-                columns: [
-                    'tranid',
-                    search.createColumn({ name: 'trandate', sort: search.Sort.DESC }),
-                    'entity',
-                    'amount',
-                    'status'
-                ]
-            });
+            const columns = ['tranid', 'trandate', 'entity', 'amount', 'status'];
 
-            ordersSearch.run().each(r => {
-                if (result.records.length >= options.limit) return false;
-
-                result.records.push({
-                    id: r.id,
-                    tranId: r.getValue('tranid'),
-                    date: r.getValue('trandate'),
-                    customer: r.getText('entity'),
-                    customerId: r.getValue('entity'),
-                    amount: parseFloat(r.getValue('amount')) || 0,
-                    status: r.getText('status')
-                });
+            const page = fetchRecordPage(DATA_TYPES.SALES, search.Type.SALES_ORDER, filters, columns, options, r => ({
+                id: r.id,
+                tranId: r.getValue('tranid'),
+                date: r.getValue('trandate'),
+                customer: r.getText('entity'),
+                customerId: r.getValue('entity'),
+                amount: parseFloat(r.getValue('amount')) || 0,
+                status: r.getText('status')
+            }));
 
-                return true;
-            });
+            Object.assign(result, page);
 
         } catch (e) {
             log.error({ title: 'Get sales data error', details: e.message });
@@ -786,49 +893,37 @@ define([
         };
 
         try {
-            const filters = [['type', 'anyof', 'WorkOrd']];
-
-            if (options.status) {
-                filters.push('AND', ['status', 'anyof', options.status]);
-            }
-
-            if (options.item) {
-                filters.push('AND', ['item', 'anyof', options.item]);
-            }
-
-            const woSearch = search.create({
-                type: search.Type.WORK_ORDER,
-                filters: filters,
-                columns: [
-                    'tranid',
-                    search.createColumn({ name: 'trandate', sort: search.Sort.DESC }),
-                    'item',
-                    'quantity',
-                    'status',
-                    'percentcomplete',
-                    'custbody_cls_bf_consumed'
-                ]
-            });
-
-            woSearch.run().each(r => {
-                if (result.records.length >= options.limit) return false;
-
-                result.records.push({
-                    id: r.id,
-                    tranId: r.getValue('tranid'),
-                    date: r.getValue('trandate'),
-                    item: r.getText('item'),
-                    itemId: r.getValue('item'),
-                    quantity: parseInt(r.getValue('quantity'), 10) || 0,
-                    status: r.getText('status'),
-                    statusId: r.getValue('status'),
-                    percentComplete: parseFloat(r.getValue('percentcomplete')) || 0,
-                    bfConsumed: parseFloat(r.getValue('custbody_cls_bf_consumed')) || 0
-                });
+            const filters = [
+                ['type', 'anyof', 'WorkOrd'],
+                'AND',
+                ['mainline', 'is', 'T']
+            ];
+            applyQueryFilters(filters, DATA_TYPES.WORK_ORDERS, options);
 
-                return true;
-            });
+            const columns = [
+                'tranid',
+                'trandate',
+                'item',
+                'quantity',
+                'status',
+                'percentcomplete',
+                BODY_FIELDS.TOTAL_BF
+            ];
 
+            const page = fetchRecordPage(DATA_TYPES.WORK_ORDERS, search.Type.WORK_ORDER, filters, columns, options, r => ({
+                id: r.id,
+                tranId: r.getValue('tranid'),
+                date: r.getValue('trandate'),
+                item: r.getText('item'),
+                itemId: r.getValue('item'),
+                quantity: parseInt(r.getValue('quantity'), 10) || 0,
+                status: r.getText('status'),
+                statusId: r.getValue('status'),
+                percentComplete: parseFloat(r.getValue('percentcomplete')) || 0,
+                totalBF: parseFloat(r.getValue(BODY_FIELDS.TOTAL_BF)) || 0
+            }));
+
+            Object.assign(result, page);
             result.count = result.records.length;
 
         } catch (e) {
@@ -858,19 +953,19 @@ define([
         try {
             // Production KPIs
             const prodSearch = search.create({
-                type: 'customrecord_cls_yield_register',
-                filters: buildDateFilters('custrecord_cls_yield_date', options),
+                type: RECORD_TYPES.YIELD_REGISTER,
+                filters: buildDateFilters(YIELD_FIELDS.COMPLETION_DATE, options),
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG }),
+                    search.createColumn({ name: YIELD_FIELDS.ACTUAL_BF, summary: search.Summary.SUM }),
+                    search.createColumn({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG }),
                     search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
                 ]
             });
 
             prodSearch.run().each(r => {
                 result.production = {
-                    totalOutputBF: parseFloat(r.getValue({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM })) || 0,
-                    avgYield: parseFloat(r.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0,
+                    totalActualBF: parseFloat(r.getValue({ name: YIELD_FIELDS.ACTUAL_BF, summary: search.Summary.SUM })) || 0,
+                    avgYield: parseFloat(r.getValue({ name: YIELD_FIELDS.YIELD_PCT, summary: search.Summary.AVG })) || 0,
                     operationCount: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
                 };
                 return true;
@@ -878,17 +973,17 @@ define([
 
             // Inventory KPIs
             const invSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
-                filters: [['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]],
+                type: RECORD_TYPES.TALLY_SHEET,
+                filters: [[TALLY_FIELDS.STATUS, 'anyof', ON_HAND_TALLY_STATUSES]],
                 columns: [
-                    search.createColumn({ name: 'custrecord_cls_tally_bf_available', summary: search.Summary.SUM }),
+                    search.createColumn({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM }),
                     search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
                 ]
             });
 
             invSearch.run().each(r => {
                 result.inventory = {
-                    availableBF: parseFloat(r.getValue({ name: 'custrecord_cls_tally_bf_available', summary: search.Summary.SUM })) || 0,
+                    availableBF: parseFloat(r.getValue({ name: TALLY_FIELDS.REMAINING_BF, summary: search.Summary.SUM })) || 0,
                     activeTallies: parseInt(r.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
                 };
                 return true;
@@ -908,6 +1003,7 @@ define([
 
     /**
      * Builds date filters for search
+     * An incremental pull with no dates of its own is not limited by date.
      *
      * @param {string} fieldId - Date field ID
      * @param {Object} options - Query options
@@ -918,7 +1014,7 @@ define([
 
         if (options.dateFrom && options.dateTo) {
             filters.push([fieldId, 'within', options.dateFrom, options.dateTo]);
-        } else {
+        } else if (!options.modifiedSince || options.dateRange) {
             const rangeMap = {
                 'today': 'today',
                 'yesterday': 'yesterday',
@@ -937,6 +1033,152 @@ define([
         return filters;
     }
 
+    /**
+     * Appends a filter to a filter expression, joined with AND
+     *
+     * @param {Array} filters - Filter expression
+     * @param {Array} filter - Filter to add
+     */
+    function addFilter(filters, filter) {
+        if (filters.length) {
+            filters.push('AND');
+        }
+        filters.push(filter);
+    }
+
+    /**
+     * Adds the request's item, species, grade, location, status and operator
+     * filters and its last-modified cutoff
+     *
+     * @param {Array} filters - Filter expression
+     * @param {string} dataType - Data type
+     * @param {Object} options - Query options
+     */
+    function applyQueryFilters(filters, dataType, options) {
+        const filterFields = FILTER_FIELDS[dataType] || {};
+
+        Object.keys(options.filters).forEach(name => {
+            addFilter(filters, [filterFields[name], 'anyof', options.filters[name]]);
+        });
+
+        if (options.modifiedSince) {
+            addFilter(filters, [
+                MODIFIED_FIELDS[dataType],
+                'onorafter',
+                format.format({ value: options.modifiedSince, type: format.Type.DATETIME })
+            ]);
+        }
+    }
+
+    /**
+     * Fetches one page of records in internal ID order
+     * Each page resumes after the last ID of the previous one, so records
+     * added while a client is paging never shift the pages still to come.
+     *
+     * @param {string} dataType - Data type
+     * @param {string} searchType - Record type to search
+     * @param {Array} filters - Filter expression
+     * @param {Array} columns - Search columns
+     * @param {Object} options - Query options
+     * @param {Function} mapResult - Maps a search result to a record
+     * @returns {Object} Page with records, hasMore, nextCursor and syncTimestamp
+     */
+    function fetchRecordPage(dataType, searchType, filters, columns, options, mapResult) {
+        const modifiedField = MODIFIED_FIELDS[dataType];
+        const pageFilters = filters.slice();
+
+        if (options.cursor) {
+            addFilter(pageFilters, ['internalidnumber', 'greaterthan', options.cursor.lastId]);
+        }
+
+        const pagedData = search.create({
+            type: searchType,
+            filters: pageFilters,
+            columns: [search.createColumn({ name: 'internalid', sort: search.Sort.ASC })]
+                .concat(columns, modifiedField)
+        }).runPaged({ pageSize: options.pageSize });
+
+        const records = pagedData.count === 0 ? [] : pagedData.fetch({ index: 0 }).data.map(r =>
+            Object.assign(mapResult(r), { lastModified: r.getValue(modifiedField) })
+        );
+
+        const hasMore = pagedData.count > records.length;
+
+        return {
+            records: records,
+            pageSize: options.pageSize,
+            remaining: pagedData.count - records.length,
+            hasMore: hasMore,
+            nextCursor: hasMore ? encodeCursor({
+                type: dataType,
+                lastId: records[records.length - 1].id,
+                syncedAt: options.syncTimestamp
+            }) : null,
+            syncTimestamp: options.syncTimestamp
+        };
+    }
+
+    /**
+     * Encodes a continuation token
+     *
+     * @param {Object} cursor - Cursor with type, lastId and syncedAt
+     * @returns {string} Continuation token
+     */
+    function encodeCursor(cursor) {
+        return encode.convert({
+            string: JSON.stringify(cursor),
+            inputEncoding: encode.Encoding.UTF_8,
+            outputEncoding: encode.Encoding.BASE_64_URL_SAFE
+        });
+    }
+
+    /**
+     * Decodes a continuation token
+     *
+     * @param {string} token - Continuation token
+     * @param {string} dataType - Requested data type
+     * @returns {Object} Cursor with type, lastId and syncedAt
+     */
+    function decodeCursor(token, dataType) {
+        let cursor;
+
+        try {
+            cursor = JSON.parse(encode.convert({
+                string: token,
+                inputEncoding: encode.Encoding.BASE_64_URL_SAFE,
+                outputEncoding: encode.Encoding.UTF_8
+            }));
+        } catch (e) {
+            throw new Error('Invalid cursor');
+        }
+
+        if (!cursor || !cursor.lastId || cursor.type !== dataType) {
+            throw new Error('Invalid cursor for data type: ' + dataType);
+        }
+
+        return cursor;
+    }
+
+    /**
+     * Keeps only the requested fields of a record
+     * The id is always kept. Unknown field names are ignored.
+     *
+     * @param {Object} rec - Record
+     * @param {Array<string>} fields - Field names
+     * @returns {Object} Projected record
+     */
+    function projectFields(rec, fields) {
+        const projected = { id: rec.id };
+
+        fields.forEach(name => {
+            if (rec.hasOwnProperty(name)) {
+                projected[name] = rec[name];
+            }
+        });
+
+        return projected;
+    }
+
     /**
      * Formats output based on format type
      *
@@ -947,7 +1189,10 @@ define([
     function formatOutput(data, outputFormat) {
         switch (outputFormat) {
             case OUTPUT_FORMATS.CSV:
-                return convertToCSV(data);
+                return createCSVResponse(data);
+
+            case OUTPUT_FORMATS.XLSX:
+                return convertToXLSX(data);
 
             case OUTPUT_FORMATS.SUMMARY:
                 return createSummaryResponse(data);
@@ -957,6 +1202,50 @@ define([
         }
     }
 
+    /**
+     * Creates a CSV response
+     * Record-level types return the CSV with the page's cursor, since a
+     * plain CSV body has nowhere to carry it.
+     *
+     * @param {Object} data - Data to convert
+     * @returns {Object|string} CSV response, or the CSV alone for summary types
+     */
+    function createCSVResponse(data) {
+        const csv = convertToCSV(data);
+
+        if (!MODIFIED_FIELDS[data.type]) {
+            return csv;
+        }
+
+        if (data.error) {
+            return createErrorResponse(data.error);
+        }
+
+        return Object.assign({
+            success: true,
+            contentType: 'text/csv',
+            contents: csv
+        }, getPageInfo(data));
+    }
+
+    /**
+     * Gets the paging fields of a record-level result
+     *
+     * @param {Object} data - Data with paging fields
+     * @returns {Object} hasMore, nextCursor and syncTimestamp, or nothing for summary types
+     */
+    function getPageInfo(data) {
+        if (!MODIFIED_FIELDS[data.type]) {
+            return {};
+        }
+
+        return {
+            hasMore: !!data.hasMore,
+            nextCursor: data.nextCursor || null,
+            syncTimestamp: data.syncTimestamp
+        };
+    }
+
     /**
      * Converts data to CSV format
      *
@@ -981,6 +1270,30 @@ define([
         return csv;
     }
 
+    /**
+     * Converts data to an Excel workbook
+     * The workbook is returned base64-encoded since RESTlets respond with text.
+     *
+     * @param {Object} data - Data to convert
+     * @returns {Object} Workbook response
+     */
+    function convertToXLSX(data) {
+        if (data.error) {
+            return createErrorResponse(data.error);
+        }
+
+        const fileName = `LumberSuite_${data.type}_${new Date().toISOString().substring(0, 10)}.xlsx`;
+        const workbook = xlsxBuilder.buildDataWorkbook(data, { name: fileName });
+
+        return Object.assign({
+            success: true,
+            fileName: fileName,
+            contentType: xlsxBuilder.MIME_TYPE,
+            encoding: 'base64',
+            contents: workbook.getContents()
+        }, getPageInfo(data));
+    }
+
     /**
      * Creates summary response
      *
@@ -1033,6 +1346,27 @@ define([
                 case 'deleteSchedule':
                     return deleteReportSchedule(body.scheduleId);
 
+                case 'pauseSchedule':
+                    return pauseReportSchedule(body.scheduleId, true);
+
+                case 'resumeSchedule':
+                    return pauseReportSchedule(body.scheduleId, false);
+
+                case 'runSchedule':
+                    return runReportSchedule(body.scheduleId);
+
+                case 'listSchedules':
+                    return { success: true, schedules: reportScheduleService.getSchedules() };
+
+                case 'scheduleHistory':
+                    return {
+                        success: true,
+                        runs: reportScheduleService.getRunHistory({
+                            scheduleId: body.scheduleId,
+                            limit: parseInt(body.limit, 10) || undefined
+                        })
+                    };
+
                 default:
                     return { success: false, error: 'Unknown action' };
             }
@@ -1053,93 +1387,76 @@ define([
      * @returns {Object} Result
      */
     function saveReportSchedule(config) {
-        try {
-            let scheduleRec;
-
-            if (config.scheduleId) {
-                scheduleRec = record.load({
-                    type: 'customrecord_cls_report_schedule',
-                    id: config.scheduleId,
-                    isDynamic: true
-                });
-            } else {
-                scheduleRec = record.create({
-                    type: 'customrecord_cls_report_schedule',
-                    isDynamic: true
-                });
-            }
-
-            if (config.reportType) {
-                scheduleRec.setValue({
-                    fieldId: 'custrecord_cls_sched_report_type',
-                    value: config.reportType
-                });
-            }
+        const result = reportScheduleService.saveSchedule({
+            scheduleId: config.scheduleId,
+            name: config.name,
+            reportType: config.reportType,
+            templateId: config.templateId,
+            frequency: config.frequency,
+            day: config.day,
+            windowStart: config.windowStart,
+            windowEnd: config.windowEnd,
+            recipients: config.recipients,
+            filters: config.filters,
+            outputFormat: config.outputFormat
+        });
 
-            if (config.frequency) {
-                scheduleRec.setValue({
-                    fieldId: 'custrecord_cls_sched_frequency',
-                    value: config.frequency
-                });
-            }
+        if (result.success) {
+            result.message = 'Schedule saved successfully';
+        }
 
-            if (config.day) {
-                scheduleRec.setValue({
-                    fieldId: 'custrecord_cls_sched_day',
-                    value: config.day
-                });
-            }
+        return result;
+    }
 
-            if (config.recipients) {
-                scheduleRec.setValue({
-                    fieldId: 'custrecord_cls_sched_recipients',
-                    value: config.recipients
-                });
-            }
+    /**
+     * Deletes report schedule
+     *
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Object} Result
+     */
+    function deleteReportSchedule(scheduleId) {
+        const result = reportScheduleService.deleteSchedule(scheduleId);
 
-            if (config.filters) {
-                scheduleRec.setValue({
-                    fieldId: 'custrecord_cls_sched_filters',
-                    value: JSON.stringify(config.filters)
-                });
-            }
+        if (result.success) {
+            result.message = 'Schedule deleted successfully';
+        }
 
-            const scheduleId = scheduleRec.save();
+        return result;
+    }
 
-            return {
-                success: true,
-                scheduleId: scheduleId,
-                message: 'Schedule saved successfully'
-            };
+    /**
+     * Pauses or resumes report schedule
+     *
+     * @param {string} scheduleId - Schedule ID
+     * @param {boolean} paused - Pause (true) or resume (false)
+     * @returns {Object} Result
+     */
+    function pauseReportSchedule(scheduleId, paused) {
+        const result = reportScheduleService.setPaused(scheduleId, paused);
 
-        } catch (e) {
-            log.error({ title: 'Save schedule error', details: e.message });
-            return { success: false, error: e.message };
+        if (result.success) {
+            result.message = paused ? 'Schedule paused' : 'Schedule resumed';
         }
+
+        return result;
     }
 
     /**
-     * Deletes report schedule
+     * Queues report schedule to run now
      *
      * @param {string} scheduleId - Schedule ID
      * @returns {Object} Result
      */
-    function deleteReportSchedule(scheduleId) {
-        try {
-            record.delete({
-                type: 'customrecord_cls_report_schedule',
-                id: scheduleId
-            });
+    function runReportSchedule(scheduleId) {
+        const result = reportScheduleService.requestRun(scheduleId);
 
-            return {
-                success: true,
-                message: 'Schedule deleted successfully'
-            };
-
-        } catch (e) {
-            log.error({ title: 'Delete schedule error', details: e.message });
-            return { success: false, error: e.message };
+        if (result.success) {
+            result.message = result.queued
+                ? 'Schedule queued to run'
+                : 'Scheduler is busy, schedule runs on its next pass';
         }
+
+        return result;
     }
 
     // ═══════════════════════════════════════════════════════════════════════
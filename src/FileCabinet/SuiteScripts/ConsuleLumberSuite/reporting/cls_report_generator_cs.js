@@ -14,14 +14,18 @@ define([
     'N/currentRecord',
     'N/url',
     'N/https',
+    'N/format',
     'N/ui/dialog',
-    'N/ui/message'
+    'N/ui/message',
+    '../lib/cls_constants'
 ], (
     currentRecord,
     url,
     https,
+    format,
     dialog,
-    message
+    message,
+    Constants
 ) => {
 
     // Output format constants
@@ -216,8 +220,8 @@ define([
         params.format = 'html';
 
         const suiteletUrl = url.resolveScript({
-            scriptId: 'customscript_cls_report_generator_sl',
-            deploymentId: 'customdeploy_cls_report_generator_sl',
+            scriptId: Constants.SCRIPTS.REPORT_GENERATOR_SL,
+            deploymentId: Constants.DEPLOYMENTS.REPORT_GENERATOR_SL,
             params: params
         });
 
@@ -246,8 +250,8 @@ define([
         params.export = 'true';
 
         const suiteletUrl = url.resolveScript({
-            scriptId: 'customscript_cls_report_generator_sl',
-            deploymentId: 'customdeploy_cls_report_generator_sl',
+            scriptId: Constants.SCRIPTS.REPORT_GENERATOR_SL,
+            deploymentId: Constants.DEPLOYMENTS.REPORT_GENERATOR_SL,
             params: params
         });
 
@@ -300,26 +304,209 @@ define([
         });
     };
 
+    /**
+     * Post a template or schedule action to the Report Generator Suitelet
+     * @param {Object} body - Request parameters
+     * @returns {Promise<Object>} Parsed result
+     */
+    const postGeneratorAction = (body) => {
+        const suiteletUrl = url.resolveScript({
+            scriptId: Constants.SCRIPTS.REPORT_GENERATOR_SL,
+            deploymentId: Constants.DEPLOYMENTS.REPORT_GENERATOR_SL
+        });
+
+        return https.post.promise({ url: suiteletUrl, body: body })
+            .then(response => JSON.parse(response.body));
+    };
+
+    /**
+     * Get the current report settings as Suitelet request parameters
+     * @param {Record} rec - Current record
+     * @returns {Object} - Parameters object
+     */
+    const getReportSelections = (rec) => {
+        const formatDate = (fieldId) => {
+            const value = rec.getValue({ fieldId });
+            return value ? format.format({ value, type: format.Type.DATE }) : '';
+        };
+
+        return {
+            custpage_report_type: rec.getValue({ fieldId: 'custpage_report_type' }),
+            custpage_output_format: rec.getValue({ fieldId: 'custpage_output_format' }),
+            custpage_range_type: rec.getValue({ fieldId: 'custpage_range_type' }),
+            custpage_date_from: formatDate('custpage_date_from'),
+            custpage_date_to: formatDate('custpage_date_to'),
+            custpage_location: rec.getValue({ fieldId: 'custpage_location' }) || '',
+            custpage_item: rec.getValue({ fieldId: 'custpage_item' }) || '',
+            custpage_employee: rec.getValue({ fieldId: 'custpage_employee' }) || '',
+            custpage_group_by: rec.getValue({ fieldId: 'custpage_group_by' }),
+            custpage_include_charts: rec.getValue({ fieldId: 'custpage_include_charts' }) ? 'T' : 'F'
+        };
+    };
+
     /**
      * Save report configuration as template
      */
     const saveAsTemplate = () => {
-        dialog.create({
-            title: 'Save Report Template',
-            message: 'Enter a name for this report template:',
-            buttons: [
-                { label: 'Save', value: 'save' },
-                { label: 'Cancel', value: 'cancel' }
-            ]
-        }).then((result) => {
-            if (result === 'save') {
-                // Template saving would be implemented server-side
-                message.create({
-                    title: 'Template Saved',
-                    message: 'Report template has been saved.',
-                    type: message.Type.CONFIRMATION
-                }).show({ duration: 5000 });
+        const rec = currentRecord.get();
+
+        const name = rec.getValue({ fieldId: 'custpage_template_name' });
+        if (!name) {
+            dialog.alert({
+                title: 'Validation Error',
+                message: 'Enter a Template Name under Save as Template.'
+            });
+            return;
+        }
+
+        if (!rec.getValue({ fieldId: 'custpage_report_type' })) {
+            dialog.alert({
+                title: 'Validation Error',
+                message: 'Please select a report type.'
+            });
+            return;
+        }
+
+        postGeneratorAction(Object.assign(getReportSelections(rec), {
+            action: 'save_template',
+            custpage_template_name: name,
+            custpage_template_sharing: rec.getValue({ fieldId: 'custpage_template_sharing' })
+        })).then((result) => {
+            if (!result.success) {
+                dialog.alert({ title: 'Template Not Saved', message: result.error });
+                return;
             }
+
+            message.create({
+                title: 'Template Saved',
+                message: `"${name}" has been added to My Templates.`,
+                type: message.Type.CONFIRMATION
+            }).show({ duration: 5000 });
+
+            // Refresh so the new template appears in My Templates
+            setTimeout(() => window.location.reload(), 1500);
+        }).catch((e) => {
+            dialog.alert({ title: 'Error', message: 'Error saving template: ' + e.message });
+        });
+    };
+
+    /**
+     * Delete one of the user's templates
+     * @param {number} templateId - Template internal ID
+     */
+    const deleteTemplate = (templateId) => {
+        dialog.confirm({
+            title: 'Delete Template',
+            message: 'Delete this report template? Schedules that use it will stop running.'
+        }).then((confirmed) => {
+            if (!confirmed) return null;
+
+            return postGeneratorAction({ action: 'delete_template', templateId: templateId })
+                .then((result) => {
+                    if (!result.success) {
+                        dialog.alert({ title: 'Template Not Deleted', message: result.error });
+                        return;
+                    }
+                    window.location.reload();
+                });
+        }).catch((e) => {
+            dialog.alert({ title: 'Error', message: 'Error deleting template: ' + e.message });
+        });
+    };
+
+    /**
+     * Schedule the current report settings, or the picked template, from the
+     * Scheduled Reports tab
+     */
+    const scheduleReport = () => {
+        const rec = currentRecord.get();
+        const templateId = rec.getValue({ fieldId: 'custpage_sched_template' });
+
+        if (!templateId && !rec.getValue({ fieldId: 'custpage_report_type' })) {
+            dialog.alert({
+                title: 'Validation Error',
+                message: 'Please select a report type, or pick a template to run on the Scheduled Reports tab.'
+            });
+            return;
+        }
+
+        postGeneratorAction(Object.assign(getReportSelections(rec), {
+            action: 'save_schedule',
+            custpage_sched_name: rec.getValue({ fieldId: 'custpage_sched_name' }) || '',
+            custpage_sched_template: templateId || '',
+            custpage_sched_frequency: rec.getValue({ fieldId: 'custpage_sched_frequency' }),
+            custpage_sched_day: rec.getValue({ fieldId: 'custpage_sched_day' }),
+            custpage_sched_window_start: rec.getValue({ fieldId: 'custpage_sched_window_start' }),
+            custpage_sched_window_end: rec.getValue({ fieldId: 'custpage_sched_window_end' }),
+            custpage_sched_recipients: rec.getValue({ fieldId: 'custpage_sched_recipients' }) || ''
+        })).then((result) => {
+            if (!result.success) {
+                dialog.alert({ title: 'Schedule Not Saved', message: result.error });
+                return;
+            }
+
+            message.create({
+                title: 'Report Scheduled',
+                message: 'The schedule has been added to Scheduled Reports.',
+                type: message.Type.CONFIRMATION
+            }).show({ duration: 5000 });
+
+            setTimeout(() => window.location.reload(), 1500);
+        }).catch((e) => {
+            dialog.alert({ title: 'Error', message: 'Error scheduling report: ' + e.message });
+        });
+    };
+
+    /**
+     * Pause, resume, run or delete a schedule and refresh the list
+     * @param {string} action - Schedule action
+     * @param {number} scheduleId - Schedule internal ID
+     * @param {string} [successMessage] - Message to show before refreshing
+     * @returns {Promise}
+     */
+    const postScheduleAction = (action, scheduleId, successMessage) => {
+        return postGeneratorAction({ action: action, scheduleId: scheduleId })
+            .then((result) => {
+                if (!result.success) {
+                    dialog.alert({ title: 'Schedule Not Updated', message: result.error });
+                    return;
+                }
+
+                if (successMessage) {
+                    message.create({
+                        title: 'Scheduled Reports',
+                        message: successMessage,
+                        type: message.Type.CONFIRMATION
+                    }).show({ duration: 5000 });
+                }
+
+                setTimeout(() => window.location.reload(), successMessage ? 1500 : 0);
+            })
+            .catch((e) => {
+                dialog.alert({ title: 'Error', message: 'Error updating schedule: ' + e.message });
+            });
+    };
+
+    const pauseSchedule = (scheduleId) => postScheduleAction('pause_schedule', scheduleId);
+
+    const resumeSchedule = (scheduleId) => postScheduleAction('resume_schedule', scheduleId);
+
+    const runSchedule = (scheduleId) => postScheduleAction(
+        'run_schedule',
+        scheduleId,
+        'The report will run shortly. Refresh to see it in Run History.'
+    );
+
+    /**
+     * Delete a schedule and its run history
+     * @param {number} scheduleId - Schedule internal ID
+     */
+    const deleteSchedule = (scheduleId) => {
+        dialog.confirm({
+            title: 'Delete Schedule',
+            message: 'Delete this schedule and its run history?'
+        }).then((confirmed) => {
+            if (confirmed) postScheduleAction('delete_schedule', scheduleId);
         });
     };
 
@@ -370,6 +557,12 @@ define([
     window.exportReport = exportReport;
     window.resetForm = resetForm;
     window.saveAsTemplate = saveAsTemplate;
+    window.deleteTemplate = deleteTemplate;
+    window.scheduleReport = scheduleReport;
+    window.pauseSchedule = pauseSchedule;
+    window.resumeSchedule = resumeSchedule;
+    window.runSchedule = runSchedule;
+    window.deleteSchedule = deleteSchedule;
 
     return {
         pageInit,
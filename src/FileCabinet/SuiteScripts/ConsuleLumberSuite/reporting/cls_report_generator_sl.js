@@ -20,10 +20,15 @@ define([
     'N/runtime',
     'N/format',
     'N/file',
-    'N/render',
     'N/xml',
+    'N/url',
     '../lib/cls_settings_dao',
-    '../lib/cls_constants'
+    '../lib/cls_constants',
+    '../lib/cls_report_engine',
+    '../lib/cls_report_template_service',
+    '../lib/cls_report_schedule_service',
+    '../lib/cls_xlsx_builder',
+    '../lib/cls_pdf_builder'
 ], function(
     serverWidget,
     search,
@@ -31,10 +36,15 @@ define([
     runtime,
     format,
     file,
-    render,
     xml,
+    url,
     settingsDAO,
-    constants
+    constants,
+    reportEngine,
+    reportTemplateService,
+    reportScheduleService,
+    xlsxBuilder,
+    pdfBuilder
 ) {
     'use strict';
 
@@ -42,56 +52,7 @@ define([
     // CONSTANTS
     // ═══════════════════════════════════════════════════════════════════════
 
-    const REPORT_TYPES = {
-        PRODUCTION_SUMMARY: {
-            id: 'production_summary',
-            name: 'Production Summary Report',
-            description: 'Summary of production output, yield, and efficiency metrics',
-            category: 'production'
-        },
-        YIELD_ANALYSIS: {
-            id: 'yield_analysis',
-            name: 'Yield Analysis Report',
-            description: 'Detailed yield analysis by operation, item, and operator',
-            category: 'yield'
-        },
-        INVENTORY_STATUS: {
-            id: 'inventory_status',
-            name: 'Inventory Status Report',
-            description: 'Current tally inventory by location and item',
-            category: 'inventory'
-        },
-        INVENTORY_AGING: {
-            id: 'inventory_aging',
-            name: 'Inventory Aging Report',
-            description: 'Age analysis of tally inventory',
-            category: 'inventory'
-        },
-        TALLY_CONSUMPTION: {
-            id: 'tally_consumption',
-            name: 'Tally Consumption Report',
-            description: 'Tally consumption history and allocation details',
-            category: 'inventory'
-        },
-        REPACK_SUMMARY: {
-            id: 'repack_summary',
-            name: 'Repack Operations Report',
-            description: 'Summary of repack operations and yield',
-            category: 'production'
-        },
-        SALES_BF: {
-            id: 'sales_bf',
-            name: 'Sales by BF Report',
-            description: 'Sales analysis by board feet sold',
-            category: 'sales'
-        },
-        WORK_ORDER_STATUS: {
-            id: 'work_order_status',
-            name: 'Work Order Status Report',
-            description: 'Active and completed work orders with BF consumption',
-            category: 'production'
-        }
-    };
+    const REPORT_TYPES = reportEngine.REPORT_TYPES;
 
     const OUTPUT_FORMATS = {
         HTML: 'html',
@@ -100,6 +61,21 @@ define([
         EXCEL: 'excel'
     };
 
+    const TEMPLATE_ACTIONS = {
+        SAVE: 'save_template',
+        DELETE: 'delete_template'
+    };
+
+    const SCHEDULE_ACTIONS = {
+        SAVE: 'save_schedule',
+        PAUSE: 'pause_schedule',
+        RESUME: 'resume_schedule',
+        RUN: 'run_schedule',
+        DELETE: 'delete_schedule'
+    };
+
+    const SCHEDULES_TAB = 'custtab_schedules';
+
     // ═══════════════════════════════════════════════════════════════════════
     // ON REQUEST
     // ═══════════════════════════════════════════════════════════════════════
@@ -119,6 +95,10 @@ define([
                 } else {
                     response.writePage(buildReportSelectionForm(request));
                 }
+            } else if (Object.values(TEMPLATE_ACTIONS).includes(request.parameters.action)) {
+                handleTemplateAction(context);
+            } else if (Object.values(SCHEDULE_ACTIONS).includes(request.parameters.action)) {
+                handleScheduleAction(context);
             } else {
                 generateReport(context);
             }
@@ -145,6 +125,20 @@ define([
 
         form.clientScriptModulePath = './cls_report_generator_cs.js';
 
+        // Saved templates the user can run
+        form.addFieldGroup({
+            id: 'custgroup_templates',
+            label: 'My Templates'
+        });
+
+        const templatesField = form.addField({
+            id: 'custpage_templates_list',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'My Templates',
+            container: 'custgroup_templates'
+        });
+        templatesField.defaultValue = buildTemplatesListHtml(reportTemplateService.getTemplates());
+
         // Report category selection
         const categoryGroup = form.addFieldGroup({
             id: 'custgroup_category',
@@ -273,7 +267,7 @@ define([
         formatField.addSelectOption({ value: OUTPUT_FORMATS.HTML, text: 'View in Browser (HTML)' });
         formatField.addSelectOption({ value: OUTPUT_FORMATS.PDF, text: 'Download PDF' });
         formatField.addSelectOption({ value: OUTPUT_FORMATS.CSV, text: 'Download CSV' });
-        formatField.addSelectOption({ value: OUTPUT_FORMATS.EXCEL, text: 'Download Excel' });
+        formatField.addSelectOption({ value: OUTPUT_FORMATS.EXCEL, text: 'Download Excel (.xlsx)' });
 
         const groupByField = form.addField({
             id: 'custpage_group_by',
@@ -296,9 +290,44 @@ define([
         });
         includeCharts.defaultValue = 'T';
 
+        // Save as template
+        form.addFieldGroup({
+            id: 'custgroup_save_template',
+            label: 'Save as Template'
+        });
+
+        form.addField({
+            id: 'custpage_template_name',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Template Name',
+            container: 'custgroup_save_template'
+        });
+
+        const sharingField = form.addField({
+            id: 'custpage_template_sharing',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Share With',
+            container: 'custgroup_save_template'
+        });
+
+        Object.keys(constants.REPORT_SHARING_LABELS).forEach(value => {
+            sharingField.addSelectOption({
+                value: value,
+                text: value === constants.REPORT_SHARING.ROLE
+                    ? 'My Current Role'
+                    : constants.REPORT_SHARING_LABELS[value]
+            });
+        });
+
         // Buttons
         form.addSubmitButton({ label: 'Generate Report' });
 
+        form.addButton({
+            id: 'custpage_btn_save_template',
+            label: 'Save as Template',
+            functionName: 'saveAsTemplate'
+        });
+
         form.addButton({
             id: 'custpage_btn_preview',
             label: 'Preview',
@@ -319,9 +348,319 @@ define([
         });
         reportsListField.defaultValue = buildReportsListHtml();
 
+        addSchedulesTab(form, request);
+
         return form;
     }
 
+    /**
+     * Adds the Scheduled Reports tab: new schedule fields, the schedule list
+     * and run history
+     *
+     * @param {Form} form - Form object
+     * @param {Object} request - Request object
+     */
+    function addSchedulesTab(form, request) {
+        const historyScheduleId = request.parameters.history || null;
+
+        form.addTab({
+            id: SCHEDULES_TAB,
+            label: 'Scheduled Reports'
+        });
+
+        // New schedule - uses the report settings above unless a template is picked
+        form.addFieldGroup({
+            id: 'custgroup_new_schedule',
+            label: 'New Schedule',
+            tab: SCHEDULES_TAB
+        });
+
+        form.addField({
+            id: 'custpage_sched_name',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Schedule Name',
+            container: 'custgroup_new_schedule'
+        });
+
+        const templateField = form.addField({
+            id: 'custpage_sched_template',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Run',
+            container: 'custgroup_new_schedule'
+        });
+
+        templateField.addSelectOption({ value: '', text: 'Current report settings' });
+        reportTemplateService.getTemplates().forEach(template => {
+            templateField.addSelectOption({
+                value: template.id,
+                text: `Template: ${template.name}`
+            });
+        });
+
+        const frequencyField = form.addField({
+            id: 'custpage_sched_frequency',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Frequency',
+            container: 'custgroup_new_schedule'
+        });
+
+        frequencyField.addSelectOption({ value: constants.REPORT_FREQUENCIES.DAILY, text: 'Daily' });
+        frequencyField.addSelectOption({ value: constants.REPORT_FREQUENCIES.WEEKLY, text: 'Weekly' });
+        frequencyField.addSelectOption({ value: constants.REPORT_FREQUENCIES.MONTHLY, text: 'Monthly' });
+
+        const dayField = form.addField({
+            id: 'custpage_sched_day',
+            type: serverWidget.FieldType.INTEGER,
+            label: 'Day',
+            container: 'custgroup_new_schedule'
+        });
+        dayField.setHelpText({ help: 'Weekly: 0 (Sunday) to 6 (Saturday). Monthly: day of month, 1 to 28.' });
+
+        const windowStartField = form.addField({
+            id: 'custpage_sched_window_start',
+            type: serverWidget.FieldType.INTEGER,
+            label: 'Run From Hour',
+            container: 'custgroup_new_schedule'
+        });
+        windowStartField.defaultValue = 0;
+
+        const windowEndField = form.addField({
+            id: 'custpage_sched_window_end',
+            type: serverWidget.FieldType.INTEGER,
+            label: 'Run To Hour',
+            container: 'custgroup_new_schedule'
+        });
+        windowEndField.defaultValue = 23;
+
+        form.addField({
+            id: 'custpage_sched_recipients',
+            type: serverWidget.FieldType.TEXTAREA,
+            label: 'Email Recipients',
+            container: 'custgroup_new_schedule'
+        }).setHelpText({ help: 'Comma-separated email addresses.' });
+
+        // Existing schedules
+        form.addFieldGroup({
+            id: 'custgroup_schedules',
+            label: 'Schedules',
+            tab: SCHEDULES_TAB
+        });
+
+        form.addField({
+            id: 'custpage_schedules_list',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'Schedules',
+            container: 'custgroup_schedules'
+        }).defaultValue = buildSchedulesListHtml(reportScheduleService.getSchedules());
+
+        // Run history, for all schedules or the one picked
+        form.addFieldGroup({
+            id: 'custgroup_run_history',
+            label: 'Run History',
+            tab: SCHEDULES_TAB
+        });
+
+        form.addField({
+            id: 'custpage_run_history',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'Run History',
+            container: 'custgroup_run_history'
+        }).defaultValue = buildRunHistoryHtml(
+            reportScheduleService.getRunHistory({ scheduleId: historyScheduleId }),
+            historyScheduleId
+        );
+    }
+
+    /**
+     * Resolves a Report Generator URL
+     *
+     * @param {Object} [params] - URL parameters
+     * @returns {string} Suitelet URL
+     */
+    function getGeneratorUrl(params) {
+        return url.resolveScript({
+            scriptId: constants.SCRIPTS.REPORT_GENERATOR_SL,
+            deploymentId: constants.DEPLOYMENTS.REPORT_GENERATOR_SL,
+            params: params
+        });
+    }
+
+    /**
+     * Builds the schedules list HTML
+     *
+     * @param {Array<Object>} schedules - Schedules
+     * @returns {string} HTML content
+     */
+    function buildSchedulesListHtml(schedules) {
+        if (schedules.length === 0) {
+            return '<div style="padding: 10px; color: #666;">No scheduled reports. Choose report settings and click Schedule Report.</div>';
+        }
+
+        const esc = (value) => xml.escape({ xmlText: String(value || '') });
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        const describeFrequency = (schedule) => {
+            switch (schedule.frequency) {
+                case constants.REPORT_FREQUENCIES.WEEKLY:
+                    return `Weekly, ${dayNames[schedule.day] || ''}`;
+                case constants.REPORT_FREQUENCIES.MONTHLY:
+                    return `Monthly, day ${schedule.day || 1}`;
+                default:
+                    return 'Daily';
+            }
+        };
+
+        const rows = schedules.map(schedule => {
+            const statusColor = schedule.lastStatus === constants.REPORT_RUN_STATUS.FAILED ? '#dc3545' : '#28a745';
+            const historyUrl = getGeneratorUrl({ history: schedule.scheduleId, selectedtab: SCHEDULES_TAB });
+            const pauseAction = schedule.paused
+                ? `<a href="#" onclick="resumeSchedule(${schedule.scheduleId}); return false;">Resume</a>`
+                : `<a href="#" onclick="pauseSchedule(${schedule.scheduleId}); return false;">Pause</a>`;
+
+            return `
+                <tr>
+                    <td style="padding: 6px;"><strong>${esc(schedule.name)}</strong></td>
+                    <td style="padding: 6px;">${esc(schedule.reportName)}</td>
+                    <td style="padding: 6px;">${esc(describeFrequency(schedule))}, ${schedule.windowStart}:00-${schedule.windowEnd}:59</td>
+                    <td style="padding: 6px;">${esc(schedule.recipients)}</td>
+                    <td style="padding: 6px;">${schedule.paused ? 'Paused' : (schedule.runNow ? 'Run queued' : 'Active')}</td>
+                    <td style="padding: 6px;">${esc(schedule.lastRun)}</td>
+                    <td style="padding: 6px; color: ${statusColor};" title="${esc(schedule.lastMessage)}">${esc(schedule.lastStatusLabel)}</td>
+                    <td style="padding: 6px; white-space: nowrap;">
+                        ${pauseAction}
+                        | <a href="#" onclick="runSchedule(${schedule.scheduleId}); return false;">Run Now</a>
+                        | <a href="${historyUrl}">History</a>
+                        | <a href="#" onclick="deleteSchedule(${schedule.scheduleId}); return false;">Delete</a>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 10px;">
+                <thead>
+                    <tr style="background: #f5f5f5; text-align: left;">
+                        <th style="padding: 6px;">Schedule</th>
+                        <th style="padding: 6px;">Report</th>
+                        <th style="padding: 6px;">When</th>
+                        <th style="padding: 6px;">Recipients</th>
+                        <th style="padding: 6px;">Status</th>
+                        <th style="padding: 6px;">Last Run</th>
+                        <th style="padding: 6px;">Result</th>
+                        <th style="padding: 6px;"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Builds the run history HTML
+     *
+     * @param {Array<Object>} runs - Runs, newest first
+     * @param {string} [scheduleId] - Schedule the history is limited to
+     * @returns {string} HTML content
+     */
+    function buildRunHistoryHtml(runs, scheduleId) {
+        const esc = (value) => xml.escape({ xmlText: String(value || '') });
+        const showAll = scheduleId
+            ? `<div style="margin-bottom: 8px;"><a href="${getGeneratorUrl({ selectedtab: SCHEDULES_TAB })}">Show all schedules</a></div>`
+            : '';
+
+        if (runs.length === 0) {
+            return `${showAll}<div style="padding: 10px; color: #666;">No runs yet.</div>`;
+        }
+
+        const rows = runs.map(run => {
+            const statusColor = run.status === constants.REPORT_RUN_STATUS.FAILED ? '#dc3545' : '#28a745';
+            let fileLink = '';
+
+            if (run.fileId) {
+                try {
+                    fileLink = `<a href="${file.load({ id: run.fileId }).url}" target="_blank">${esc(run.fileName || 'Download')}</a>`;
+                } catch (e) {
+                    fileLink = esc(run.fileName);
+                }
+            }
+
+            return `
+                <tr>
+                    <td style="padding: 6px;">${esc(run.runDate)}</td>
+                    <td style="padding: 6px;">${esc(run.scheduleName)}</td>
+                    <td style="padding: 6px; color: ${statusColor};">${esc(run.statusLabel)}</td>
+                    <td style="padding: 6px;">${esc(run.message)}</td>
+                    <td style="padding: 6px;">${fileLink}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            ${showAll}
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="background: #f5f5f5; text-align: left;">
+                        <th style="padding: 6px;">Run Date</th>
+                        <th style="padding: 6px;">Schedule</th>
+                        <th style="padding: 6px;">Result</th>
+                        <th style="padding: 6px;">Message</th>
+                        <th style="padding: 6px;">File</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Builds the saved templates list HTML
+     *
+     * @param {Array<Object>} templates - Templates the user can run
+     * @returns {string} HTML content
+     */
+    function buildTemplatesListHtml(templates) {
+        if (templates.length === 0) {
+            return '<div style="padding: 10px; color: #666;">No saved templates. Choose report settings below and click Save as Template.</div>';
+        }
+
+        const esc = (value) => xml.escape({ xmlText: String(value || '') });
+
+        const rows = templates.map(template => {
+            const runUrl = getGeneratorUrl({ generate: 'true', template: template.id });
+
+            const deleteLink = template.isOwner
+                ? ` | <a href="#" onclick="deleteTemplate(${template.id}); return false;">Delete</a>`
+                : '';
+
+            return `
+                <tr>
+                    <td style="padding: 6px;"><strong>${esc(template.name)}</strong></td>
+                    <td style="padding: 6px;">${esc(template.reportName)}</td>
+                    <td style="padding: 6px;">${esc(template.outputFormat.toUpperCase())}</td>
+                    <td style="padding: 6px;">${esc(template.sharingLabel)}</td>
+                    <td style="padding: 6px;">${esc(template.ownerName)}</td>
+                    <td style="padding: 6px;"><a href="${runUrl}" target="_blank">Run</a>${deleteLink}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 10px;">
+                <thead>
+                    <tr style="background: #f5f5f5; text-align: left;">
+                        <th style="padding: 6px;">Template</th>
+                        <th style="padding: 6px;">Report</th>
+                        <th style="padding: 6px;">Format</th>
+                        <th style="padding: 6px;">Shared</th>
+                        <th style="padding: 6px;">Owner</th>
+                        <th style="padding: 6px;"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
     /**
      * Builds available reports list HTML
      *
@@ -379,9 +718,23 @@ define([
     function generateReport(context) {
         const { request, response } = context;
 
-        const reportType = request.parameters.custpage_report_type;
-        const outputFormat = request.parameters.custpage_output_format || OUTPUT_FORMATS.HTML;
-        const params = extractReportParams(request);
+        let reportType = request.parameters.custpage_report_type;
+        let outputFormat = request.parameters.custpage_output_format || OUTPUT_FORMATS.HTML;
+        let params = extractReportParams(request);
+
+        // A saved template supplies all settings
+        if (request.parameters.template) {
+            const templateResult = reportTemplateService.getTemplate(request.parameters.template);
+
+            if (!templateResult.success) {
+                response.write(`Error: ${templateResult.error}`);
+                return;
+            }
+
+            reportType = templateResult.template.reportType;
+            outputFormat = templateResult.template.outputFormat;
+            params = templateResult.template.params;
+        }
 
         if (!reportType) {
             response.write('Error: Please select a report type');
@@ -393,42 +746,17 @@ define([
             details: `Type: ${reportType}, Format: ${outputFormat}`
         });
 
-        let reportData;
+        const reportData = reportEngine.runReport(reportType, params);
 
-        switch (reportType) {
-            case 'production_summary':
-                reportData = generateProductionSummary(params);
-                break;
-            case 'yield_analysis':
-                reportData = generateYieldAnalysis(params);
-                break;
-            case 'inventory_status':
-                reportData = generateInventoryStatus(params);
-                break;
-            case 'inventory_aging':
-                reportData = generateInventoryAging(params);
-                break;
-            case 'tally_consumption':
-                reportData = generateTallyConsumption(params);
-                break;
-            case 'repack_summary':
-                reportData = generateRepackSummary(params);
-                break;
-            case 'sales_bf':
-                reportData = generateSalesBF(params);
-                break;
-            case 'work_order_status':
-                reportData = generateWorkOrderStatus(params);
-                break;
-            default:
-                response.write('Error: Unknown report type');
-                return;
+        if (!reportData) {
+            response.write('Error: Unknown report type');
+            return;
         }
 
         // Output based on format
         switch (outputFormat) {
             case OUTPUT_FORMATS.PDF:
-                outputPDF(response, reportData);
+                outputPDF(response, reportData, { reportType: reportType, params: params });
                 break;
             case OUTPUT_FORMATS.CSV:
                 outputCSV(response, reportData);
@@ -442,718 +770,99 @@ define([
     }
 
     /**
-     * Extracts report parameters from request
+     * Saves or deletes a report template and returns the result as JSON
      *
-     * @param {Object} request - Request object
-     * @returns {Object} Report parameters
-     */
-    function extractReportParams(request) {
-        return {
-            rangeType: request.parameters.custpage_range_type || 'thismonth',
-            dateFrom: request.parameters.custpage_date_from,
-            dateTo: request.parameters.custpage_date_to,
-            location: request.parameters.custpage_location,
-            item: request.parameters.custpage_item,
-            employee: request.parameters.custpage_employee,
-            groupBy: request.parameters.custpage_group_by || 'none',
-            includeCharts: request.parameters.custpage_include_charts === 'T'
-        };
-    }
-
-    /**
-     * Gets date filter for search based on range type
-     *
-     * @param {string} fieldId - Date field ID
-     * @param {Object} params - Report parameters
-     * @returns {Array} Search filters
-     */
-    function getDateFilter(fieldId, params) {
-        if (params.rangeType === 'custom' && params.dateFrom && params.dateTo) {
-            return [[fieldId, 'within', params.dateFrom, params.dateTo]];
-        }
-
-        const rangeMap = {
-            'today': 'today',
-            'yesterday': 'yesterday',
-            'thisweek': 'thisweek',
-            'lastweek': 'lastweek',
-            'thismonth': 'thismonth',
-            'lastmonth': 'lastmonth',
-            'thisquarter': 'thisfiscalquarter',
-            'thisyear': 'thisfiscalyear'
-        };
-
-        const range = rangeMap[params.rangeType] || 'thismonth';
-        return [[fieldId, 'within', range]];
-    }
-
-    // ═══════════════════════════════════════════════════════════════════════
-    // REPORT GENERATORS
-    // ═══════════════════════════════════════════════════════════════════════
-
-    /**
-     * Generates Production Summary Report
-     *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
-     */
-    function generateProductionSummary(params) {
-        const report = {
-            title: 'Production Summary Report',
-            subtitle: `Generated: ${new Date().toLocaleString()}`,
-            columns: ['Date', 'Work Orders', 'Output BF', 'Input BF', 'Waste BF', 'Yield %'],
-            rows: [],
-            totals: { workOrders: 0, outputBF: 0, inputBF: 0, wasteBF: 0 },
-            charts: []
-        };
-
-        try {
-            const filters = getDateFilter('custrecord_cls_yield_date', params);
-
-            if (params.location) {
-                filters.push('AND', ['custrecord_cls_yield_location', 'anyof', params.location]);
-            }
-
-            const prodSearch = search.create({
-                type: 'customrecord_cls_yield_register',
-                filters: filters,
-                columns: [
-                    search.createColumn({
-                        name: 'custrecord_cls_yield_date',
-                        summary: search.Summary.GROUP,
-                        sort: search.Sort.ASC
-                    }),
-                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
-                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })
-                ]
-            });
-
-            prodSearch.run().each(result => {
-                const date = result.getValue({
-                    name: 'custrecord_cls_yield_date',
-                    summary: search.Summary.GROUP
-                });
-                const orders = parseInt(result.getValue({
-                    name: 'internalid',
-                    summary: search.Summary.COUNT
-                }), 10) || 0;
-                const outputBF = parseFloat(result.getValue({
-                    name: 'custrecord_cls_yield_output_bf',
-                    summary: search.Summary.SUM
-                })) || 0;
-                const inputBF = parseFloat(result.getValue({
-                    name: 'custrecord_cls_yield_input_bf',
-                    summary: search.Summary.SUM
-                })) || 0;
-                const wasteBF = parseFloat(result.getValue({
-                    name: 'custrecord_cls_yield_waste_bf',
-                    summary: search.Summary.SUM
-                })) || 0;
-                const yieldPct = parseFloat(result.getValue({
-                    name: 'custrecord_cls_yield_percentage',
-                    summary: search.Summary.AVG
-                })) || 0;
-
-                report.rows.push([
-                    date,
-                    orders,
-                    outputBF.toFixed(2),
-                    inputBF.toFixed(2),
-                    wasteBF.toFixed(2),
-                    yieldPct.toFixed(1) + '%'
-                ]);
-
-                report.totals.workOrders += orders;
-                report.totals.outputBF += outputBF;
-                report.totals.inputBF += inputBF;
-                report.totals.wasteBF += wasteBF;
-
-                if (params.includeCharts) {
-                    report.charts.push({ date: date, value: outputBF });
-                }
-
-                return true;
-            });
-
-            report.totals.avgYield = report.totals.inputBF > 0
-                ? (report.totals.outputBF / report.totals.inputBF * 100).toFixed(1) + '%'
-                : '0%';
-
-        } catch (e) {
-            log.error({ title: 'Production Summary Error', details: e.message });
-            report.error = e.message;
-        }
-
-        return report;
-    }
-
-    /**
-     * Generates Yield Analysis Report
-     *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
+     * @param {Object} context - Request context
      */
-    function generateYieldAnalysis(params) {
-        const report = {
-            title: 'Yield Analysis Report',
-            subtitle: `Generated: ${new Date().toLocaleString()}`,
-            columns: ['Operation Type', 'Count', 'Input BF', 'Output BF', 'Waste BF', 'Avg Yield'],
-            rows: [],
-            byOperator: [],
-            totals: {}
-        };
-
-        try {
-            const filters = getDateFilter('custrecord_cls_yield_date', params);
-
-            // By operation type
-            const typeSearch = search.create({
-                type: 'customrecord_cls_yield_register',
-                filters: filters,
-                columns: [
-                    search.createColumn({
-                        name: 'custrecord_cls_yield_operation',
-                        summary: search.Summary.GROUP
-                    }),
-                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
-                    search.createColumn({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM }),
-                    search.createColumn({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })
-                ]
-            });
-
-            typeSearch.run().each(result => {
-                const operation = result.getText({
-                    name: 'custrecord_cls_yield_operation',
-                    summary: search.Summary.GROUP
-                }) || result.getValue({
-                    name: 'custrecord_cls_yield_operation',
-                    summary: search.Summary.GROUP
-                }) || 'Unknown';
-
-                report.rows.push([
-                    operation,
-                    result.getValue({ name: 'internalid', summary: search.Summary.COUNT }),
-                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_input_bf', summary: search.Summary.SUM })) || 0).toFixed(2),
-                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_output_bf', summary: search.Summary.SUM })) || 0).toFixed(2),
-                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_waste_bf', summary: search.Summary.SUM })) || 0).toFixed(2),
-                    (parseFloat(result.getValue({ name: 'custrecord_cls_yield_percentage', summary: search.Summary.AVG })) || 0).toFixed(1) + '%'
-                ]);
-
-                return true;
-            });
-
-            // By operator
-            const opSearch = search.create({
-                type: 'customrecord_cls_yield_register',
-                filters: filters.concat([
-                    'AND',
-                    ['custrecord_cls_yield_operator', 'noneof', '@NONE@']
-                ]),
-                columns: [
-                    search.createColumn({
-                        name: 'custrecord_cls_yield_operator',
-                        summary: search.Summary.GROUP
-                    }),
-                    search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
-                    search.createColumn({
-                        name: 'custrecord_cls_yield_percentage',
-                        summary: search.Summary.AVG,
-                        sort: search.Sort.DESC
-                    })
-                ]
-            });
-
-            opSearch.run().each(result => {
-                report.byOperator.push({
-                    name: result.getText({
-                        name: 'custrecord_cls_yield_operator',
-                        summary: search.Summary.GROUP
-                    }),
-                    count: result.getValue({ name: 'internalid', summary: search.Summary.COUNT }),
-                    avgYield: (parseFloat(result.getValue({
-                        name: 'custrecord_cls_yield_percentage',
-                        summary: search.Summary.AVG
-                    })) || 0).toFixed(1) + '%'
-                });
-                return true;
+    function handleTemplateAction(context) {
+        const { request, response } = context;
+        let result;
+
+        if (request.parameters.action === TEMPLATE_ACTIONS.DELETE) {
+            result = reportTemplateService.deleteTemplate(request.parameters.templateId);
+        } else {
+            result = reportTemplateService.saveTemplate({
+                name: request.parameters.custpage_template_name,
+                sharing: request.parameters.custpage_template_sharing,
+                reportType: request.parameters.custpage_report_type,
+                outputFormat: request.parameters.custpage_output_format || OUTPUT_FORMATS.HTML,
+                reportParams: extractReportParams(request)
             });
-
-        } catch (e) {
-            log.error({ title: 'Yield Analysis Error', details: e.message });
-            report.error = e.message;
         }
 
-        return report;
+        response.setHeader({
+            name: 'Content-Type',
+            value: 'application/json'
+        });
+        response.write(JSON.stringify(result));
     }
 
     /**
-     * Generates Inventory Status Report
+     * Saves, pauses, resumes, runs or deletes a report schedule and returns
+     * the result as JSON
      *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
+     * @param {Object} context - Request context
      */
-    function generateInventoryStatus(params) {
-        const report = {
-            title: 'Inventory Status Report',
-            subtitle: `As of: ${new Date().toLocaleString()}`,
-            columns: ['Tally #', 'Item', 'Location', 'Status', 'Total BF', 'Available BF', 'Pieces'],
-            rows: [],
-            summary: { totalBF: 0, availableBF: 0, tallies: 0 },
-            byLocation: []
-        };
-
-        try {
-            const filters = [['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]];
-
-            if (params.location) {
-                filters.push('AND', ['custrecord_cls_tally_location', 'anyof', params.location]);
-            }
-
-            if (params.item) {
-                filters.push('AND', ['custrecord_cls_tally_item', 'anyof', params.item]);
-            }
-
-            const invSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
-                filters: filters,
-                columns: [
-                    'name',
-                    'custrecord_cls_tally_item',
-                    'custrecord_cls_tally_location',
-                    'custrecord_cls_tally_status',
-                    'custrecord_cls_tally_bf_total',
-                    'custrecord_cls_tally_bf_available',
-                    'custrecord_cls_tally_pieces'
-                ]
-            });
-
-            invSearch.run().each(result => {
-                const totalBF = parseFloat(result.getValue('custrecord_cls_tally_bf_total')) || 0;
-                const availBF = parseFloat(result.getValue('custrecord_cls_tally_bf_available')) || 0;
-
-                report.rows.push([
-                    result.getValue('name'),
-                    result.getText('custrecord_cls_tally_item'),
-                    result.getText('custrecord_cls_tally_location'),
-                    result.getValue('custrecord_cls_tally_status'),
-                    totalBF.toFixed(2),
-                    availBF.toFixed(2),
-                    result.getValue('custrecord_cls_tally_pieces') || 0
-                ]);
-
-                report.summary.totalBF += totalBF;
-                report.summary.availableBF += availBF;
-                report.summary.tallies++;
-
-                return true;
-            });
-
-            // Group by location summary
-            const locSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
-                filters: filters,
-                columns: [
-                    search.createColumn({
-                        name: 'custrecord_cls_tally_location',
-                        summary: search.Summary.GROUP
-                    }),
-                    search.createColumn({
-                        name: 'custrecord_cls_tally_bf_available',
-                        summary: search.Summary.SUM
-                    }),
-                    search.createColumn({
-                        name: 'internalid',
-                        summary: search.Summary.COUNT
-                    })
-                ]
-            });
+    function handleScheduleAction(context) {
+        const { request, response } = context;
+        const scheduleId = request.parameters.scheduleId;
+        let result;
 
-            locSearch.run().each(result => {
-                report.byLocation.push({
-                    location: result.getText({
-                        name: 'custrecord_cls_tally_location',
-                        summary: search.Summary.GROUP
-                    }),
-                    bf: parseFloat(result.getValue({
-                        name: 'custrecord_cls_tally_bf_available',
-                        summary: search.Summary.SUM
-                    })) || 0,
-                    tallies: parseInt(result.getValue({
-                        name: 'internalid',
-                        summary: search.Summary.COUNT
-                    }), 10) || 0
+        switch (request.parameters.action) {
+            case SCHEDULE_ACTIONS.PAUSE:
+                result = reportScheduleService.setPaused(scheduleId, true);
+                break;
+            case SCHEDULE_ACTIONS.RESUME:
+                result = reportScheduleService.setPaused(scheduleId, false);
+                break;
+            case SCHEDULE_ACTIONS.RUN:
+                result = reportScheduleService.requestRun(scheduleId);
+                break;
+            case SCHEDULE_ACTIONS.DELETE:
+                result = reportScheduleService.deleteSchedule(scheduleId);
+                break;
+            default: {
+                const templateId = request.parameters.custpage_sched_template || null;
+
+                result = reportScheduleService.saveSchedule({
+                    name: request.parameters.custpage_sched_name,
+                    templateId: templateId,
+                    reportType: templateId ? null : request.parameters.custpage_report_type,
+                    filters: templateId ? null : extractReportParams(request),
+                    outputFormat: request.parameters.custpage_output_format || OUTPUT_FORMATS.PDF,
+                    frequency: request.parameters.custpage_sched_frequency,
+                    day: request.parameters.custpage_sched_day,
+                    windowStart: request.parameters.custpage_sched_window_start,
+                    windowEnd: request.parameters.custpage_sched_window_end,
+                    recipients: request.parameters.custpage_sched_recipients
                 });
-                return true;
-            });
-
-        } catch (e) {
-            log.error({ title: 'Inventory Status Error', details: e.message });
-            report.error = e.message;
-        }
-
-        return report;
-    }
-
-    /**
-     * Generates Inventory Aging Report
-     *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
-     */
-    function generateInventoryAging(params) {
-        const report = {
-            title: 'Inventory Aging Report',
-            subtitle: `As of: ${new Date().toLocaleString()}`,
-            columns: ['Tally #', 'Item', 'Location', 'Date Created', 'Age (Days)', 'Available BF', 'Status'],
-            rows: [],
-            agingBuckets: {
-                '0-30': { count: 0, bf: 0 },
-                '31-60': { count: 0, bf: 0 },
-                '61-90': { count: 0, bf: 0 },
-                '90+': { count: 0, bf: 0 }
             }
-        };
-
-        try {
-            const filters = [['custrecord_cls_tally_status', 'anyof', ['active', 'partial']]];
-
-            if (params.location) {
-                filters.push('AND', ['custrecord_cls_tally_location', 'anyof', params.location]);
-            }
-
-            const agingSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
-                filters: filters,
-                columns: [
-                    'name',
-                    'custrecord_cls_tally_item',
-                    'custrecord_cls_tally_location',
-                    search.createColumn({ name: 'created', sort: search.Sort.ASC }),
-                    'custrecord_cls_tally_bf_available',
-                    'custrecord_cls_tally_status'
-                ]
-            });
-
-            const today = new Date();
-
-            agingSearch.run().each(result => {
-                const createdDate = result.getValue('created');
-                const created = new Date(createdDate);
-                const ageDays = Math.floor((today - created) / (1000 * 60 * 60 * 24));
-                const availBF = parseFloat(result.getValue('custrecord_cls_tally_bf_available')) || 0;
-
-                report.rows.push([
-                    result.getValue('name'),
-                    result.getText('custrecord_cls_tally_item'),
-                    result.getText('custrecord_cls_tally_location'),
-                    createdDate,
-                    ageDays,
-                    availBF.toFixed(2),
-                    result.getValue('custrecord_cls_tally_status')
-                ]);
-
-                // Categorize into buckets
-                if (ageDays <= 30) {
-                    report.agingBuckets['0-30'].count++;
-                    report.agingBuckets['0-30'].bf += availBF;
-                } else if (ageDays <= 60) {
-                    report.agingBuckets['31-60'].count++;
-                    report.agingBuckets['31-60'].bf += availBF;
-                } else if (ageDays <= 90) {
-                    report.agingBuckets['61-90'].count++;
-                    report.agingBuckets['61-90'].bf += availBF;
-                } else {
-                    report.agingBuckets['90+'].count++;
-                    report.agingBuckets['90+'].bf += availBF;
-                }
-
-                return true;
-            });
-
-        } catch (e) {
-            log.error({ title: 'Inventory Aging Error', details: e.message });
-            report.error = e.message;
         }
 
-        return report;
-    }
-
-    /**
-     * Generates Tally Consumption Report
-     *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
-     */
-    function generateTallyConsumption(params) {
-        const report = {
-            title: 'Tally Consumption Report',
-            subtitle: `Generated: ${new Date().toLocaleString()}`,
-            columns: ['Date', 'Tally #', 'Item', 'Allocated To', 'BF Consumed', 'Remaining BF'],
-            rows: [],
-            totals: { consumed: 0, allocations: 0 }
-        };
-
-        try {
-            const filters = getDateFilter('custrecord_cls_alloc_date', params);
-
-            const allocSearch = search.create({
-                type: 'customrecord_cls_tally_allocation',
-                filters: filters,
-                columns: [
-                    search.createColumn({ name: 'custrecord_cls_alloc_date', sort: search.Sort.DESC }),
-                    'custrecord_cls_alloc_tally',
-                    'custrecord_cls_alloc_item',
-                    'custrecord_cls_alloc_transaction',
-                    'custrecord_cls_alloc_bf',
-                    'custrecord_cls_alloc_remaining'
-                ]
-            });
-
-            allocSearch.run().each(result => {
-                const bfConsumed = parseFloat(result.getValue('custrecord_cls_alloc_bf')) || 0;
-
-                report.rows.push([
-                    result.getValue('custrecord_cls_alloc_date'),
-                    result.getText('custrecord_cls_alloc_tally'),
-                    result.getText('custrecord_cls_alloc_item'),
-                    result.getText('custrecord_cls_alloc_transaction'),
-                    bfConsumed.toFixed(2),
-                    (parseFloat(result.getValue('custrecord_cls_alloc_remaining')) || 0).toFixed(2)
-                ]);
-
-                report.totals.consumed += bfConsumed;
-                report.totals.allocations++;
-
-                return true;
-            });
-
-        } catch (e) {
-            log.error({ title: 'Tally Consumption Error', details: e.message });
-            report.error = e.message;
-        }
-
-        return report;
-    }
-
-    /**
-     * Generates Repack Summary Report
-     *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
-     */
-    function generateRepackSummary(params) {
-        const report = {
-            title: 'Repack Operations Summary',
-            subtitle: `Generated: ${new Date().toLocaleString()}`,
-            columns: ['Repack #', 'Type', 'Date', 'Input BF', 'Output BF', 'Waste BF', 'Yield %', 'Operator'],
-            rows: [],
-            totals: { input: 0, output: 0, waste: 0, count: 0 }
-        };
-
-        try {
-            const filters = [
-                ['custrecord_cls_repack_status', 'is', 'completed']
-            ].concat(getDateFilter('custrecord_cls_repack_date', params));
-
-            if (params.employee) {
-                filters.push('AND', ['custrecord_cls_repack_operator', 'anyof', params.employee]);
-            }
-
-            const repackSearch = search.create({
-                type: 'customrecord_cls_repack_workorder',
-                filters: filters,
-                columns: [
-                    'custrecord_cls_repack_number',
-                    'custrecord_cls_repack_type',
-                    search.createColumn({ name: 'custrecord_cls_repack_date', sort: search.Sort.DESC }),
-                    'custrecord_cls_repack_input_bf',
-                    'custrecord_cls_repack_output_bf',
-                    'custrecord_cls_repack_waste_bf',
-                    'custrecord_cls_repack_yield_pct',
-                    'custrecord_cls_repack_operator'
-                ]
-            });
-
-            repackSearch.run().each(result => {
-                const inputBF = parseFloat(result.getValue('custrecord_cls_repack_input_bf')) || 0;
-                const outputBF = parseFloat(result.getValue('custrecord_cls_repack_output_bf')) || 0;
-                const wasteBF = parseFloat(result.getValue('custrecord_cls_repack_waste_bf')) || 0;
-
-                report.rows.push([
-                    result.getValue('custrecord_cls_repack_number'),
-                    result.getText('custrecord_cls_repack_type'),
-                    result.getValue('custrecord_cls_repack_date'),
-                    inputBF.toFixed(2),
-                    outputBF.toFixed(2),
-                    wasteBF.toFixed(2),
-                    (parseFloat(result.getValue('custrecord_cls_repack_yield_pct')) || 0).toFixed(1) + '%',
-                    result.getText('custrecord_cls_repack_operator')
-                ]);
-
-                report.totals.input += inputBF;
-                report.totals.output += outputBF;
-                report.totals.waste += wasteBF;
-                report.totals.count++;
-
-                return true;
-            });
-
-            report.totals.avgYield = report.totals.input > 0
-                ? (report.totals.output / report.totals.input * 100).toFixed(1) + '%'
-                : '0%';
-
-        } catch (e) {
-            log.error({ title: 'Repack Summary Error', details: e.message });
-            report.error = e.message;
-        }
-
-        return report;
-    }
-
-    /**
-     * Generates Sales by BF Report
-     *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
-     */
-    function generateSalesBF(params) {
-        const report = {
-            title: 'Sales by Board Feet Report',
-            subtitle: `Generated: ${new Date().toLocaleString()}`,
-            columns: ['Order #', 'Date', 'Customer', 'Item', 'Quantity', 'BF Sold', 'Amount'],
-            rows: [],
-            totals: { bf: 0, amount: 0, orders: 0 }
-        };
-
-        try {
-            const filters = [
-                ['type', 'anyof', 'SalesOrd'],
-                'AND',
-                ['mainline', 'is', 'F'],
-                'AND',
-                ['taxline', 'is', 'F'],
-                'AND',
-                ['shipping', 'is', 'F']
-            ].concat(getDateFilter('trandate', params));
-
-            const salesSearch = search.create({
-                type: search.Type.SALES_ORDER,
-                filters: filters,
-                columns: [
-                    'tranid',
-                    search.createColumn({ name: 'trandate', sort: search.Sort.DESC }),
-                    'entity',
-                    'item',
-                    'quantity',
-                    'custcol_cls_bf_total', // Custom BF column
-                    'amount'
-                ]
-            });
-
-            salesSearch.run().each(result => {
-                const bf = parseFloat(result.getValue('custcol_cls_bf_total')) || 0;
-                const amount = parseFloat(result.getValue('amount')) || 0;
-
-                report.rows.push([
-                    result.getValue('tranid'),
-                    result.getValue('trandate'),
-                    result.getText('entity'),
-                    result.getText('item'),
-                    result.getValue('quantity'),
-                    bf.toFixed(2),
-                    '$' + amount.toFixed(2)
-                ]);
-
-                report.totals.bf += bf;
-                report.totals.amount += amount;
-                report.totals.orders++;
-
-                return report.rows.length < 500; // Limit rows
-            });
-
-            report.totals.avgPricePerBF = report.totals.bf > 0
-                ? '$' + (report.totals.amount / report.totals.bf).toFixed(2)
-                : '$0.00';
-
-        } catch (e) {
-            log.error({ title: 'Sales BF Error', details: e.message });
-            report.error = e.message;
-        }
-
-        return report;
+        response.setHeader({
+            name: 'Content-Type',
+            value: 'application/json'
+        });
+        response.write(JSON.stringify(result));
     }
 
     /**
-     * Generates Work Order Status Report
+     * Extracts report parameters from request
      *
-     * @param {Object} params - Report parameters
-     * @returns {Object} Report data
+     * @param {Object} request - Request object
+     * @returns {Object} Report parameters
      */
-    function generateWorkOrderStatus(params) {
-        const report = {
-            title: 'Work Order Status Report',
-            subtitle: `Generated: ${new Date().toLocaleString()}`,
-            columns: ['Work Order #', 'Item', 'Quantity', 'Status', '% Complete', 'BF Consumed', 'Created'],
-            rows: [],
-            summary: { active: 0, completed: 0, totalBF: 0 }
+    function extractReportParams(request) {
+        return {
+            rangeType: request.parameters.custpage_range_type || 'thismonth',
+            dateFrom: request.parameters.custpage_date_from,
+            dateTo: request.parameters.custpage_date_to,
+            location: request.parameters.custpage_location,
+            item: request.parameters.custpage_item,
+            employee: request.parameters.custpage_employee,
+            groupBy: request.parameters.custpage_group_by || 'none',
+            includeCharts: request.parameters.custpage_include_charts === 'T'
         };
-
-        try {
-            const filters = [['type', 'anyof', 'WorkOrd']];
-
-            if (params.item) {
-                filters.push('AND', ['item', 'anyof', params.item]);
-            }
-
-            const woSearch = search.create({
-                type: search.Type.WORK_ORDER,
-                filters: filters,
-                columns: [
-                    'tranid',
-                    'item',
-                    'quantity',
-                    'status',
-                    'percentcomplete',
-                    'custbody_cls_bf_consumed', // Custom BF field
-                    search.createColumn({ name: 'created', sort: search.Sort.DESC })
-                ]
-            });
-
-            woSearch.run().each(result => {
-                const status = result.getValue('status');
-                const bfConsumed = parseFloat(result.getValue('custbody_cls_bf_consumed')) || 0;
-
-                report.rows.push([
-                    result.getValue('tranid'),
-                    result.getText('item'),
-                    result.getValue('quantity'),
-                    result.getText('status'),
-                    (parseFloat(result.getValue('percentcomplete')) || 0).toFixed(0) + '%',
-                    bfConsumed.toFixed(2),
-                    result.getValue('created')
-                ]);
-
-                if (status === 'WorkOrd:G') {
-                    report.summary.completed++;
-                } else {
-                    report.summary.active++;
-                }
-                report.summary.totalBF += bfConsumed;
-
-                return report.rows.length < 500;
-            });
-
-        } catch (e) {
-            log.error({ title: 'Work Order Status Error', details: e.message });
-            report.error = e.message;
-        }
-
-        return report;
     }
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -1376,88 +1085,63 @@ define([
     }
 
     /**
-     * Outputs report as Excel (CSV with Excel formatting)
+     * Outputs report as an Excel workbook (.xlsx)
      *
      * @param {Object} response - Response object
      * @param {Object} reportData - Report data
      */
     function outputExcel(response, reportData) {
-        // Use tab-separated for better Excel compatibility
-        let tsv = reportData.columns.join('\t') + '\n';
+        const workbook = xlsxBuilder.buildReportWorkbook(reportData);
 
-        reportData.rows.forEach(row => {
-            tsv += row.map(cell => String(cell).replace(/\t/g, ' ')).join('\t') + '\n';
-        });
-
-        response.setHeader({
-            name: 'Content-Type',
-            value: 'application/vnd.ms-excel'
-        });
-        response.setHeader({
-            name: 'Content-Disposition',
-            value: `attachment; filename="${reportData.title.replace(/\s+/g, '_')}.xls"`
+        response.writeFile({
+            file: workbook,
+            isInline: false
         });
-        response.write(tsv);
     }
 
     /**
      * Outputs report as PDF
+     * Reports over the async row limit are queued on the scheduler, which
+     * emails the PDF and saves it in the File Cabinet.
      *
      * @param {Object} response - Response object
      * @param {Object} reportData - Report data
+     * @param {Object} request - Report request
+     * @param {string} request.reportType - Report type ID
+     * @param {Object} request.params - Report parameters
      */
-    function outputPDF(response, reportData) {
-        try {
-            // Build XML for PDF rendering
-            let xmlContent = `<?xml version="1.0"?>
-            <!DOCTYPE pdf PUBLIC "-//big.faceless.org//report" "report-1.1.dtd">
-            <pdf>
-                <head>
-                    <style type="text/css">
-                        body { font-family: Arial, sans-serif; font-size: 10pt; }
-                        table { width: 100%; border-collapse: collapse; }
-                        th { background-color: #2c5530; color: white; padding: 8px; text-align: left; }
-                        td { padding: 6px; border-bottom: 1px solid #ddd; }
-                        .header { text-align: center; margin-bottom: 20px; }
-                        .title { font-size: 16pt; font-weight: bold; color: #2c5530; }
-                        .subtitle { font-size: 10pt; color: #666; }
-                    </style>
-                </head>
-                <body>
-                    <div class="header">
-                        <div class="title">${xml.escape({ xmlText: reportData.title })}</div>
-                        <div class="subtitle">${xml.escape({ xmlText: reportData.subtitle })}</div>
-                    </div>
-                    <table>
-                        <thead>
-                            <tr>
-                                ${reportData.columns.map(col => `<th>${xml.escape({ xmlText: col })}</th>`).join('')}
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${reportData.rows.slice(0, 100).map(row => `
-                                <tr>
-                                    ${row.map(cell => `<td>${xml.escape({ xmlText: String(cell) })}</td>`).join('')}
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </body>
-            </pdf>`;
-
-            const pdfFile = render.xmlToPdf({
-                xmlString: xmlContent
+    function outputPDF(response, reportData, request) {
+        if (reportData.rows.length > constants.DEFAULTS.PDF_ASYNC_ROWS) {
+            const user = runtime.getCurrentUser();
+            const queueResult = reportScheduleService.queueReport({
+                reportType: request.reportType,
+                params: request.params,
+                outputFormat: OUTPUT_FORMATS.PDF,
+                recipients: user.email
             });
 
-            response.setHeader({
-                name: 'Content-Type',
-                value: 'application/pdf'
+            const message = queueResult.success
+                ? `${reportData.rows.length.toLocaleString()} rows is too many to render here. ` +
+                    `The PDF is being generated in the background and will be emailed to ${user.email} ` +
+                    'and saved in the File Cabinet report folder.'
+                : queueResult.error;
+
+            response.write(`<html><body style="font-family: Arial, sans-serif; padding: 20px;">
+                <h2 style="color: #2c5530;">${xml.escape({ xmlText: reportData.title })}</h2>
+                <p>${xml.escape({ xmlText: message })}</p>
+            </body></html>`);
+            return;
+        }
+
+        try {
+            const pdfFile = pdfBuilder.buildReportPdf(reportData, {
+                groupBy: request.params.groupBy
             });
-            response.setHeader({
-                name: 'Content-Disposition',
-                value: `attachment; filename="${reportData.title.replace(/\s+/g, '_')}.pdf"`
+
+            response.writeFile({
+                file: pdfFile,
+                isInline: false
             });
-            response.writeFile({ file: pdfFile });
 
         } catch (e) {
             log.error({ title: 'PDF generation error', details: e.message });
@@ -23,7 +23,13 @@ define([
     'N/format',
     'N/url',
     '../lib/cls_settings_dao',
-    '../lib/cls_constants'
+    '../lib/cls_constants',
+    '../lib/cls_aging_service',
+    '../lib/cls_report_engine',
+    '../lib/cls_report_template_service',
+    '../lib/cls_report_schedule_service',
+    '../lib/cls_xlsx_builder',
+    '../lib/cls_pdf_builder'
 ], function(
     record,
     search,
@@ -34,7 +40,13 @@ define([
     format,
     url,
     settingsDAO,
-    constants
+    constants,
+    agingService,
+    reportEngine,
+    reportTemplateService,
+    reportScheduleService,
+    xlsxBuilder,
+    pdfBuilder
 ) {
     'use strict';
 
@@ -52,13 +64,15 @@ define([
         AGING_ALERT: 'aging_alert'
     };
 
-    const SCHEDULE_FREQUENCY = {
-        DAILY: 'daily',
-        WEEKLY: 'weekly',
-        MONTHLY: 'monthly'
-    };
+    const SCHEDULE_FREQUENCY = constants.REPORT_FREQUENCIES;
+
+    const DEFAULT_RUN_HOUR = 6; // Built-in reports and alerts, server time
 
-    const OUTPUT_FOLDER_ID = null; // Set via script parameter
+    const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // Larger files are linked instead
+
+    const OUTPUT_FORMATS = {
+        PDF: 'pdf'
+    };
 
     // ═══════════════════════════════════════════════════════════════════════
     // GET INPUT DATA
@@ -66,6 +80,8 @@ define([
 
     /**
      * getInputData Entry Point
+     * An on-demand run (queued by the Report Generator) generates only the
+     * requested report.
      *
      * @returns {Array} Input data for processing
      */
@@ -75,6 +91,15 @@ define([
             details: `Execution: ${new Date().toISOString()}`
         });
 
+        const request = runtime.getCurrentScript().getParameter({
+            name: reportScheduleService.REQUEST_PARAM
+        });
+
+        if (request) {
+            log.audit({ title: 'On-Demand Report', details: request });
+            return [JSON.parse(request)];
+        }
+
         const scheduledReports = getScheduledReports();
 
         log.debug({
@@ -87,6 +112,8 @@ define([
 
     /**
      * Gets scheduled reports due for generation
+     * The script runs hourly; schedules are checked every run, while the
+     * built-in reports and alerts only run in the default run hour.
      *
      * @returns {Array} Scheduled reports
      */
@@ -95,65 +122,26 @@ define([
         const today = new Date();
         const dayOfWeek = today.getDay(); // 0 = Sunday
         const dayOfMonth = today.getDate();
+        const schedules = reportScheduleService.getSchedules();
 
-        // Check for scheduled report configurations
-        try {
-            const scheduleSearch = search.create({
-                type: 'customrecord_cls_report_schedule',
-                filters: [
-                    ['isinactive', 'is', 'F']
-                ],
-                columns: [
-                    'custrecord_cls_sched_report_type',
-                    'custrecord_cls_sched_frequency',
-                    'custrecord_cls_sched_day',
-                    'custrecord_cls_sched_recipients',
-                    'custrecord_cls_sched_filters',
-                    'custrecord_cls_sched_output_format',
-                    'custrecord_cls_sched_last_run'
-                ]
-            });
-
-            scheduleSearch.run().each(result => {
-                const frequency = result.getValue('custrecord_cls_sched_frequency');
-                const schedDay = parseInt(result.getValue('custrecord_cls_sched_day'), 10) || 1;
-                let shouldRun = false;
-
-                switch (frequency) {
-                    case SCHEDULE_FREQUENCY.DAILY:
-                        shouldRun = true;
-                        break;
-                    case SCHEDULE_FREQUENCY.WEEKLY:
-                        shouldRun = (dayOfWeek === schedDay);
-                        break;
-                    case SCHEDULE_FREQUENCY.MONTHLY:
-                        shouldRun = (dayOfMonth === schedDay);
-                        break;
-                }
-
-                if (shouldRun) {
-                    reports.push({
-                        scheduleId: result.id,
-                        reportType: result.getValue('custrecord_cls_sched_report_type'),
-                        frequency: frequency,
-                        recipients: result.getValue('custrecord_cls_sched_recipients'),
-                        filters: result.getValue('custrecord_cls_sched_filters'),
-                        outputFormat: result.getValue('custrecord_cls_sched_output_format') || 'pdf'
-                    });
-                }
-
-                return true;
+        schedules.filter(schedule => reportScheduleService.isDue(schedule, today)).forEach(schedule => {
+            reports.push({
+                scheduleId: schedule.scheduleId,
+                reportType: schedule.reportType,
+                frequency: schedule.frequency,
+                recipients: schedule.recipients,
+                filters: schedule.filters,
+                outputFormat: schedule.outputFormat,
+                templateId: schedule.templateId
             });
+        });
 
-        } catch (e) {
-            log.debug({
-                title: 'No schedule records found',
-                details: 'Using default report schedule'
-            });
+        if (today.getHours() !== DEFAULT_RUN_HOUR) {
+            return reports;
         }
 
-        // Add default daily reports if no custom schedules
-        if (reports.length === 0) {
+        // Add default daily reports if no schedules are set up
+        if (schedules.length === 0) {
             reports.push({
                 reportType: REPORT_TYPES.DAILY_PRODUCTION,
                 frequency: SCHEDULE_FREQUENCY.DAILY,
@@ -185,7 +173,7 @@ define([
             }
         }
 
-        // Always check for alerts
+        // Check for alerts once a day
         reports.push({
             reportType: REPORT_TYPES.LOW_YIELD_ALERT,
             frequency: SCHEDULE_FREQUENCY.DAILY,
@@ -221,6 +209,18 @@ define([
 
             let result;
 
+            // Report Generator reports, directly or from a saved template
+            if (reportConfig.templateId || reportEngine.isReportType(reportConfig.reportType)) {
+                result = generateEngineReport(reportConfig);
+                recordScheduleRun(reportConfig, result);
+
+                context.write({
+                    key: reportConfig.reportType || `template_${reportConfig.templateId}`,
+                    value: JSON.stringify(result)
+                });
+                return;
+            }
+
             switch (reportConfig.reportType) {
                 case REPORT_TYPES.DAILY_PRODUCTION:
                     result = generateDailyProduction(reportConfig);
@@ -251,9 +251,11 @@ define([
                     break;
 
                 default:
-                    result = { success: false, message: 'Unknown report type' };
+                    result = { success: false, error: `Unknown report type: ${reportConfig.reportType}` };
             }
 
+            recordScheduleRun(reportConfig, result);
+
             context.write({
                 key: reportConfig.reportType,
                 value: JSON.stringify(result)
@@ -265,12 +267,12 @@ define([
                 details: e.message
             });
 
+            const result = { success: false, error: e.message };
+            recordScheduleRun(reportConfig, result);
+
             context.write({
                 key: reportConfig.reportType,
-                value: JSON.stringify({
-                    success: false,
-                    error: e.message
-                })
+                value: JSON.stringify(result)
             });
         }
     }
@@ -366,11 +368,6 @@ define([
                 sendReportEmail(report, config, fileId);
             }
 
-            // Update last run time
-            if (config.scheduleId) {
-                updateLastRunTime(config.scheduleId);
-            }
-
             return {
                 success: true,
                 reportType: REPORT_TYPES.DAILY_PRODUCTION,
@@ -486,10 +483,6 @@ define([
                 sendReportEmail(report, config, fileId);
             }
 
-            if (config.scheduleId) {
-                updateLastRunTime(config.scheduleId);
-            }
-
             return {
                 success: true,
                 reportType: REPORT_TYPES.DAILY_YIELD,
@@ -593,10 +586,6 @@ define([
                 sendReportEmail(report, config, fileId);
             }
 
-            if (config.scheduleId) {
-                updateLastRunTime(config.scheduleId);
-            }
-
             return {
                 success: true,
                 reportType: REPORT_TYPES.WEEKLY_SUMMARY,
@@ -707,10 +696,6 @@ define([
                 sendReportEmail(report, config, fileId);
             }
 
-            if (config.scheduleId) {
-                updateLastRunTime(config.scheduleId);
-            }
-
             return {
                 success: true,
                 reportType: REPORT_TYPES.MONTHLY_SUMMARY,
@@ -868,49 +853,29 @@ define([
 
     /**
      * Checks for inventory aging alerts
+     * Reads the stale inventory worklist kept by the tally aging MR
      *
      * @param {Object} config - Report configuration
      * @returns {Object} Alert result
      */
     function checkAgingAlerts(config) {
-        const alerts = [];
-
         try {
-            // Find tallies older than 90 days
-            const alertSearch = search.create({
-                type: 'customrecord_cls_tally_sheet',
-                filters: [
-                    ['custrecord_cls_tally_status', 'anyof', ['active', 'partial']],
-                    'AND',
-                    ['created', 'before', 'daysago90']
-                ],
-                columns: [
-                    'name',
-                    'custrecord_cls_tally_item',
-                    'custrecord_cls_tally_location',
-                    'custrecord_cls_tally_bf_available',
-                    'created'
-                ]
-            });
-
-            alertSearch.run().each(result => {
-                const createdDate = new Date(result.getValue('created'));
-                const ageDays = Math.floor((new Date() - createdDate) / (1000 * 60 * 60 * 24));
-
-                alerts.push({
-                    tallyNumber: result.getValue('name'),
-                    item: result.getText('custrecord_cls_tally_item'),
-                    location: result.getText('custrecord_cls_tally_location'),
-                    bf: parseFloat(result.getValue('custrecord_cls_tally_bf_available')) || 0,
-                    ageDays: ageDays
-                });
-
-                return alerts.length < 50; // Limit alerts
-            });
+            const alerts = agingService.getOpenWorklist({ limit: 50 }).map(entry => ({
+                tallyNumber: entry.tallyNumber,
+                item: entry.item,
+                location: entry.location,
+                bf: entry.bf,
+                ageDays: entry.ageDays,
+                thresholdDays: entry.thresholdDays,
+                carryingCost: entry.carryingCost,
+                action: entry.actionLabel,
+                discountPct: entry.discountPct,
+                reason: entry.reason
+            }));
 
             // Send alert if any found
             if (alerts.length > 0) {
-                sendAgingAlert(alerts);
+                sendAgingAlert(alerts, agingService.getWorklistSummary());
             }
 
             return {
@@ -926,32 +891,121 @@ define([
         }
     }
 
+    /**
+     * Generates a Report Generator report for a schedule
+     * A schedule with a template runs the template's report, date range,
+     * filters and grouping; otherwise its own report type and filters.
+     *
+     * @param {Object} config - Report configuration
+     * @returns {Object} Report result
+     */
+    function generateEngineReport(config) {
+        try {
+            let reportType = config.reportType;
+            let params = config.filters ? JSON.parse(config.filters) : {};
+
+            if (config.templateId) {
+                const templateResult = reportTemplateService.getTemplate(config.templateId, { checkAccess: false });
+
+                if (!templateResult.success) {
+                    return { success: false, error: templateResult.error };
+                }
+
+                reportType = templateResult.template.reportType;
+                params = templateResult.template.params;
+            }
+
+            const reportData = reportEngine.runReport(reportType, params);
+
+            if (!reportData) {
+                return { success: false, error: `Unknown report type: ${reportType}` };
+            }
+
+            if (reportData.error) {
+                return { success: false, error: reportData.error };
+            }
+
+            const report = {
+                title: reportData.title,
+                date: format.format({ value: new Date(), type: format.Type.DATE }),
+                data: Object.assign({ rowCount: reportData.rows.length }, reportData.totals),
+                columns: reportData.columns,
+                rows: reportData.rows
+            };
+
+            const fileId = saveReportFile(report, config, { reportData: reportData, groupBy: params.groupBy });
+
+            if (config.recipients) {
+                sendReportEmail(report, config, fileId);
+            }
+
+            return {
+                success: true,
+                reportType: reportType,
+                fileId: fileId,
+                rowCount: reportData.rows.length
+            };
+
+        } catch (e) {
+            log.error({ title: 'Report Generator report error', details: e.message });
+            return { success: false, error: e.message };
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // HELPER FUNCTIONS
     // ═══════════════════════════════════════════════════════════════════════
 
     /**
      * Saves report to file cabinet
+     * Excel and PDF schedules get a workbook or a paginated PDF of the full
+     * report; others the report data as JSON.
      *
      * @param {Object} report - Report data
      * @param {Object} config - Report configuration
+     * @param {Object} [options]
+     * @param {Object} [options.reportData] - Report Generator report behind the report
+     * @param {string} [options.groupBy] - Group By option for PDF subtotals
      * @returns {string} File ID
      */
-    function saveReportFile(report, config) {
+    function saveReportFile(report, config, options = {}) {
         try {
-            const content = JSON.stringify(report, null, 2);
-            const fileName = `${report.title.replace(/\s+/g, '_')}_${report.date.replace(/\//g, '-')}.json`;
+            const baseName = `${report.title.replace(/\s+/g, '_')}_${report.date.replace(/\//g, '-')}`;
+            let fileName = `${baseName}.json`;
 
             const folderId = runtime.getCurrentScript().getParameter({
                 name: 'custscript_cls_report_folder'
-            }) || -15; // Default to SuiteScripts folder
+            }) || settingsDAO.getReportFolder();
 
-            const reportFile = file.create({
-                name: fileName,
-                fileType: file.Type.JSON,
-                contents: content,
-                folder: folderId
-            });
+            // Built-in reports have no detail rows; their data becomes the summary
+            const reportData = options.reportData || {
+                title: report.title,
+                subtitle: report.date,
+                summary: report.data
+            };
+
+            let reportFile;
+
+            if (xlsxBuilder.isXlsxFormat(config.outputFormat)) {
+                fileName = `${baseName}.xlsx`;
+                reportFile = options.reportData
+                    ? xlsxBuilder.buildReportWorkbook(reportData, { name: fileName, folderId: folderId })
+                    : xlsxBuilder.buildDataWorkbook(report.data, { name: fileName, folderId: folderId });
+            } else if (config.outputFormat === OUTPUT_FORMATS.PDF) {
+                fileName = `${baseName}.pdf`;
+                reportFile = pdfBuilder.buildReportPdf(reportData, {
+                    name: fileName,
+                    groupBy: options.groupBy,
+                    folderId: folderId
+                });
+            } else {
+                reportFile = file.create({
+                    name: fileName,
+                    fileType: file.Type.JSON,
+                    contents: JSON.stringify(report, null, 2),
+                    folder: folderId
+                });
+            }
 
             const fileId = reportFile.save();
 
@@ -1001,7 +1055,14 @@ define([
             };
 
             if (fileId) {
-                emailOptions.attachments = [file.load({ id: fileId })];
+                const reportFile = file.load({ id: fileId });
+
+                if (reportFile.size <= MAX_ATTACHMENT_BYTES) {
+                    emailOptions.attachments = [reportFile];
+                } else {
+                    const domain = url.resolveDomain({ hostType: url.HostType.APPLICATION });
+                    emailOptions.body += `\nThe report is too large to attach. Open it in the File Cabinet:\nhttps://${domain}${reportFile.url}\n`;
+                }
             }
 
             email.send(emailOptions);
@@ -1109,21 +1170,20 @@ This is an automated alert from LumberSuite™.
      * Sends aging alert email
      *
      * @param {Array} alerts - Alert data
+     * @param {Object} worklist - Open worklist totals
      */
-    function sendAgingAlert(alerts) {
+    function sendAgingAlert(alerts, worklist) {
         try {
             const settings = settingsDAO.getSettings();
             const recipient = settings.adminEmail || runtime.getCurrentUser().email;
 
             if (!recipient) return;
 
-            const totalBF = alerts.reduce((sum, a) => sum + a.bf, 0);
-
             let body = `
 LumberSuite™ INVENTORY AGING ALERT
 ========================================
 
-The following tallies are over 90 days old:
+The following tallies are past their stale threshold, highest carrying cost first:
 
 `;
 
@@ -1133,21 +1193,25 @@ Tally: ${alert.tallyNumber}
 Item: ${alert.item}
 Location: ${alert.location}
 Available BF: ${alert.bf.toFixed(2)}
-Age: ${alert.ageDays} days
+Age: ${alert.ageDays} days (stale after ${alert.thresholdDays})
+Carrying Cost: $${alert.carryingCost.toFixed(2)}
+Suggested Action: ${alert.action}${alert.discountPct ? ` ${alert.discountPct}%` : ''} - ${alert.reason}
 ---
 `;
             });
 
-            if (alerts.length > 20) {
-                body += `\n... and ${alerts.length - 20} more tallies\n`;
+            if (worklist.count > 20) {
+                body += `\n... and ${worklist.count - 20} more tallies\n`;
             }
 
             body += `
 ========================================
-Total Aging Tallies: ${alerts.length}
-Total Aging BF: ${totalBF.toFixed(2)}
+Total Stale Tallies: ${worklist.count}
+Total Stale BF: ${worklist.bf.toFixed(2)}
+Total Stale Value: $${worklist.value.toFixed(2)}
+Total Carrying Cost: $${worklist.carryingCost.toFixed(2)}
 
-Please review these tallies for potential action.
+Work the CLS Stale Inventory list and mark entries Actioned once handled.
 
 This is an automated alert from LumberSuite™.
 `;
@@ -1155,7 +1219,7 @@ This is an automated alert from LumberSuite™.
             email.send({
                 author: runtime.getCurrentUser().id,
                 recipients: recipient,
-                subject: `📦 LumberSuite™ Inventory Aging Alert - ${alerts.length} Tallies`,
+                subject: `📦 LumberSuite™ Inventory Aging Alert - ${worklist.count} Stale Tallies`,
                 body: body
             });
 
@@ -1165,22 +1229,26 @@ This is an automated alert from LumberSuite™.
     }
 
     /**
-     * Updates schedule last run time
+     * Logs a run of a schedule in its run history
+     * Built-in reports and alerts have no schedule and are not logged.
      *
-     * @param {string} scheduleId - Schedule record ID
+     * @param {Object} config - Report configuration
+     * @param {Object} result - Report result
      */
-    function updateLastRunTime(scheduleId) {
-        try {
-            record.submitFields({
-                type: 'customrecord_cls_report_schedule',
-                id: scheduleId,
-                values: {
-                    'custrecord_cls_sched_last_run': new Date()
-                }
-            });
-        } catch (e) {
-            log.debug({ title: 'Update last run error', details: e.message });
-        }
+    function recordScheduleRun(config, result) {
+        if (!config.scheduleId) return;
+
+        const message = result.success
+            ? (result.rowCount !== undefined ? `${result.rowCount} rows` : 'Report generated') +
+                (config.recipients ? `, emailed to ${config.recipients}` : '')
+            : result.error;
+
+        reportScheduleService.recordRun(config.scheduleId, {
+            success: result.success,
+            message: message,
+            error: message,
+            fileId: result.fileId
+        });
     }
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -16,14 +16,16 @@ define([
     'N/ui/dialog',
     'N/ui/message',
     '../lib/cls_constants',
-    '../lib/cls_bf_calculator'
+    '../lib/cls_bf_calculator',
+    '../lib/cls_pricing_service'
 ], (
     currentRecord,
     search,
     dialog,
     message,
     Constants,
-    BFCalculator
+    BFCalculator,
+    PricingService
 ) => {
 
     const LINE_FIELDS = Constants.LINE_FIELDS;
@@ -31,7 +33,9 @@ define([
     const BODY_FIELDS = Constants.BODY_FIELDS;
     const UOM_CODES = Constants.UOM_CODES;
     const PRECISION = Constants.PRECISION;
+    const METRIC_FACTORS = Constants.METRIC_FACTORS;
     const DEFAULTS = Constants.DEFAULTS;
+    const DIMENSION_BASIS = Constants.DIMENSION_BASIS;
 
     const itemCache = {};
     let settingsCache = null;
@@ -43,17 +47,18 @@ define([
             const settingsSearch = search.create({
                 type: 'customrecord_cls_settings',
                 filters: [],
-                columns: ['custrecord_cls_enable_dynamic_uom', 'custrecord_cls_bf_precision']
+                columns: ['custrecord_cls_enable_dynamic_uom', 'custrecord_cls_bf_precision', 'custrecord_cls_enable_grade']
             });
-            settingsCache = { isDynamicUomEnabled: true, bfPrecision: DEFAULTS.BF_PRECISION };
+            settingsCache = { isDynamicUomEnabled: true, isGradeEnabled: true, bfPrecision: DEFAULTS.BF_PRECISION };
             settingsSearch.run().each((result) => {
                 settingsCache.isDynamicUomEnabled = result.getValue('custrecord_cls_enable_dynamic_uom') === true;
                 settingsCache.bfPrecision = parseInt(result.getValue('custrecord_cls_bf_precision'), 10) || DEFAULTS.BF_PRECISION;
+                settingsCache.isGradeEnabled = result.getValue('custrecord_cls_enable_grade') === true;
                 return false;
             });
             return settingsCache;
         } catch (e) {
-            return { isDynamicUomEnabled: true, bfPrecision: DEFAULTS.BF_PRECISION };
+            return { isDynamicUomEnabled: true, isGradeEnabled: true, bfPrecision: DEFAULTS.BF_PRECISION };
         }
     };
 
@@ -89,6 +94,13 @@ define([
                 if (t <= 0 || w <= 0 || l <= 0) return { boardFeet: 0, conversionFactor: 0, isValid: false };
                 conversionFactor = BFCalculator.calculateBF({ thickness: t, width: w, length: l }) * ppb;
                 boardFeet = qty * conversionFactor; break;
+            case UOM_CODES.CUBIC_METRES: conversionFactor = METRIC_FACTORS.BF_PER_CUBIC_METRE; boardFeet = qty * conversionFactor; break;
+            case UOM_CODES.LINEAR_METRES:
+                if (t <= 0 || w <= 0) return { boardFeet: 0, conversionFactor: 0, isValid: false };
+                conversionFactor = BFCalculator.calculateBFPerLinearMetre(t, w); boardFeet = qty * conversionFactor; break;
+            case UOM_CODES.SQUARE_METRES:
+                if (t <= 0) return { boardFeet: 0, conversionFactor: 0, isValid: false };
+                conversionFactor = BFCalculator.calculateBFPerSquareMetre(t); boardFeet = qty * conversionFactor; break;
             default: return { boardFeet: 0, conversionFactor: 0, isValid: false };
         }
         return { boardFeet: BFCalculator.roundTo(boardFeet, settings.bfPrecision), conversionFactor: BFCalculator.roundTo(conversionFactor, PRECISION.FACTOR), isValid: true };
@@ -106,13 +118,15 @@ define([
     const fieldChanged = (context) => {
         const { currentRecord: rec, sublistId, fieldId, line } = context;
         if (isCalculating || sublistId !== 'item') return;
-        const fields = ['item', LINE_FIELDS.SELLING_UOM, LINE_FIELDS.DISPLAY_QTY, LINE_FIELDS.DIM_THICKNESS, LINE_FIELDS.DIM_WIDTH, LINE_FIELDS.DIM_LENGTH, 'quantity', 'rate'];
+        const fields = ['item', LINE_FIELDS.SELLING_UOM, LINE_FIELDS.DISPLAY_QTY, LINE_FIELDS.DIM_THICKNESS, LINE_FIELDS.DIM_WIDTH, LINE_FIELDS.DIM_LENGTH, LINE_FIELDS.DIMS_IN_MM, LINE_FIELDS.GRADE_OVERRIDE, 'quantity', 'rate'];
         if (!fields.includes(fieldId)) return;
         isCalculating = true;
         try {
             if (fieldId === 'item') handleItemChange(rec, line);
             else if (fieldId === LINE_FIELDS.SELLING_UOM) handleUOMChange(rec, line);
             else if ([LINE_FIELDS.DISPLAY_QTY, LINE_FIELDS.DIM_THICKNESS, LINE_FIELDS.DIM_WIDTH, LINE_FIELDS.DIM_LENGTH].includes(fieldId)) calculateLineBF(rec, line);
+            else if (fieldId === LINE_FIELDS.DIMS_IN_MM) handleDimensionUnitChange(rec, line);
+            else if (fieldId === LINE_FIELDS.GRADE_OVERRIDE) handleGradeChange(rec, line);
             else if (fieldId === 'quantity') syncQuantity(rec);
         } catch (e) { console.error('fieldChanged error', e); }
         finally { isCalculating = false; }
@@ -123,9 +137,7 @@ define([
         if (!itemId) return;
         const itemData = getItemData(itemId);
         if (!itemData.isLumber) { clearLumberFields(rec); return; }
-        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_THICKNESS, value: itemData.thickness || '', ignoreFieldChange: true });
-        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_WIDTH, value: itemData.width || '', ignoreFieldChange: true });
-        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_LENGTH, value: itemData.length || '', ignoreFieldChange: true });
+        setLineDims(rec, itemData);
         rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.SELLING_UOM, value: UOM_CODES.BOARD_FEET, ignoreFieldChange: true });
         if (itemData.baseBFCost > 0) try { rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.BF_UNIT_COST, value: itemData.baseBFCost, ignoreFieldChange: true }); } catch (e) {}
         calculateLineBF(rec, line);
@@ -133,18 +145,51 @@ define([
 
     const handleUOMChange = (rec, line) => {
         const uom = rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.SELLING_UOM });
-        const t = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_THICKNESS })) || 0;
-        const w = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_WIDTH })) || 0;
-        const l = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_LENGTH })) || 0;
+        const { thickness: t, width: w, length: l } = getLineDims(rec);
         const errors = validateDimsForUOM(uom, t, w, l);
         if (errors.length > 0) dialog.alert({ title: 'Dimension Required', message: errors.join('\n') });
         calculateLineBF(rec, line);
     };
 
+    // Switching units keeps the same board: the keyed values are converted, not reinterpreted
+    const handleDimensionUnitChange = (rec, line) => {
+        const keyed = getKeyedDims(rec);
+        setLineDims(rec, isMetricLine(rec) ? keyed : BFCalculator.convertMetricDimensions(keyed));
+        calculateLineBF(rec, line);
+    };
+
+    const isMetricLine = (rec) => {
+        const inMM = rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIMS_IN_MM });
+        return inMM === true || inMM === 'T';
+    };
+
+    const getKeyedDims = (rec) => ({ thickness: parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_THICKNESS })) || 0, width: parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_WIDTH })) || 0, length: parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_LENGTH })) || 0 });
+
+    // Line dimensions in inches/feet, converted from mm when the line is keyed in mm
+    const getLineDims = (rec) => {
+        const dims = getKeyedDims(rec);
+        return isMetricLine(rec) ? BFCalculator.convertMetricDimensions(dims) : dims;
+    };
+
+    // Takes inches/feet and shows them in the line's dimension unit
+    const setLineDims = (rec, dims) => {
+        const shown = isMetricLine(rec) ? BFCalculator.convertImperialDimensions(dims) : dims;
+        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_THICKNESS, value: shown.thickness || '', ignoreFieldChange: true });
+        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_WIDTH, value: shown.width || '', ignoreFieldChange: true });
+        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_LENGTH, value: shown.length || '', ignoreFieldChange: true });
+    };
+
+    const handleGradeChange = (rec, line) => {
+        calculateLineBF(rec, line);
+        const bfPrice = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.BF_UNIT_PRICE })) || 0;
+        const factor = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.CONVERSION_FACTOR })) || 0;
+        if (bfPrice > 0) message.create({ title: 'Grade Pricing', message: `$${bfPrice.toFixed(PRECISION.CURRENCY)} / BF` + (factor > 0 ? ` (factor ${factor})` : ''), type: message.Type.INFORMATION }).show({ duration: 3000 });
+    };
+
     const validateDimsForUOM = (uom, t, w, l) => {
         const errors = [];
-        if (uom === UOM_CODES.LINEAR_FEET && (t <= 0 || w <= 0)) { if (t <= 0) errors.push('Thickness required'); if (w <= 0) errors.push('Width required'); }
-        if ((uom === UOM_CODES.SQUARE_FEET || uom === UOM_CODES.MSF) && t <= 0) errors.push('Thickness required');
+        if ((uom === UOM_CODES.LINEAR_FEET || uom === UOM_CODES.LINEAR_METRES) && (t <= 0 || w <= 0)) { if (t <= 0) errors.push('Thickness required'); if (w <= 0) errors.push('Width required'); }
+        if ((uom === UOM_CODES.SQUARE_FEET || uom === UOM_CODES.MSF || uom === UOM_CODES.SQUARE_METRES) && t <= 0) errors.push('Thickness required');
         if ((uom === UOM_CODES.EACH || uom === UOM_CODES.BUNDLE) && (t <= 0 || w <= 0 || l <= 0)) { if (t <= 0) errors.push('Thickness required'); if (w <= 0) errors.push('Width required'); if (l <= 0) errors.push('Length required'); }
         return errors;
     };
@@ -163,18 +208,35 @@ define([
         if (!itemData.isLumber) return;
         const uom = rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.SELLING_UOM }) || UOM_CODES.BOARD_FEET;
         const qty = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DISPLAY_QTY })) || parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: 'quantity' })) || 0;
-        const t = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_THICKNESS })) || itemData.thickness || 0;
-        const w = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_WIDTH })) || itemData.width || 0;
-        const l = parseFloat(rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_LENGTH })) || itemData.length || 0;
+        const lineDims = getLineDims(rec);
+        const t = lineDims.thickness || itemData.thickness || 0;
+        const w = lineDims.width || itemData.width || 0;
+        const l = lineDims.length || itemData.length || 0;
         if (qty <= 0) return;
-        const conv = convertToBoardFeet({ sourceUom: uom, sourceQty: qty, thickness: t, width: w, length: l, piecesPerBundle: itemData.piecesPerBundle || 1 });
+        // BF is measured on the pricing basis; dressed BF tracks actual dimensions
+        const dressed = BFCalculator.resolveDressedDimensions({ thickness: t, width: w }, itemData, itemData.actual);
+        const pricingBasis = PricingService.getCustomerPricingBasis(rec.getValue({ fieldId: 'entity' })) || itemData.pricingBasis || DIMENSION_BASIS.NOMINAL;
+        const basisDims = pricingBasis === DIMENSION_BASIS.ACTUAL ? { thickness: dressed.thickness, width: dressed.width, length: l } : { thickness: t, width: w, length: l };
+        const conv = convertToBoardFeet({ sourceUom: uom, sourceQty: qty, thickness: basisDims.thickness, width: basisDims.width, length: l, piecesPerBundle: itemData.piecesPerBundle || 1 });
         if (!conv.isValid) return;
+        const dressedBF = BFCalculator.roundTo(conv.boardFeet * BFCalculator.calculateDressedRatio(basisDims, dressed), getSettings().bfPrecision);
         try { rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.CALCULATED_BF, value: conv.boardFeet, ignoreFieldChange: true }); } catch (e) {}
+        try { rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DRESSED_BF, value: dressedBF, ignoreFieldChange: true }); } catch (e) {}
         try { rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.CONVERSION_FACTOR, value: conv.conversionFactor, ignoreFieldChange: true }); } catch (e) {}
         rec.setCurrentSublistValue({ sublistId: 'item', fieldId: 'quantity', value: conv.boardFeet, ignoreFieldChange: true });
+        calculateLinePrice(rec, itemData);
         calculateTotalBF(rec);
     };
 
+    // Quantity is held in BF, so the line rate is the graded BF price
+    const calculateLinePrice = (rec, itemData) => {
+        if (!(itemData.baseBFPrice > 0)) return;
+        const gradeId = (getSettings().isGradeEnabled && (rec.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.GRADE_OVERRIDE }) || itemData.gradeId)) || null;
+        const bfPrice = PricingService.getGradedBFPrice(itemData.baseBFPrice, gradeId);
+        try { rec.setCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.BF_UNIT_PRICE, value: bfPrice, ignoreFieldChange: true }); } catch (e) {}
+        rec.setCurrentSublistValue({ sublistId: 'item', fieldId: 'rate', value: bfPrice, ignoreFieldChange: true });
+    };
+
     const calculateTotalBF = (rec) => {
         try {
             const lineCount = rec.getLineCount({ sublistId: 'item' });
@@ -185,7 +247,7 @@ define([
     };
 
     const clearLumberFields = (rec) => {
-        [LINE_FIELDS.SELLING_UOM, LINE_FIELDS.DISPLAY_QTY, LINE_FIELDS.DIM_THICKNESS, LINE_FIELDS.DIM_WIDTH, LINE_FIELDS.DIM_LENGTH, LINE_FIELDS.CALCULATED_BF, LINE_FIELDS.CONVERSION_FACTOR].forEach((f) => {
+        [LINE_FIELDS.SELLING_UOM, LINE_FIELDS.DISPLAY_QTY, LINE_FIELDS.DIM_THICKNESS, LINE_FIELDS.DIM_WIDTH, LINE_FIELDS.DIM_LENGTH, LINE_FIELDS.CALCULATED_BF, LINE_FIELDS.CONVERSION_FACTOR, LINE_FIELDS.BF_UNIT_PRICE].forEach((f) => {
             try { rec.setCurrentSublistValue({ sublistId: 'item', fieldId: f, value: '', ignoreFieldChange: true }); } catch (e) {}
         });
     };
@@ -193,10 +255,14 @@ define([
     const getItemData = (itemId) => {
         if (itemCache[itemId]) return itemCache[itemId];
         try {
-            const r = search.lookupFields({ type: search.Type.ITEM, id: itemId, columns: [ITEM_FIELDS.IS_LUMBER, ITEM_FIELDS.NOMINAL_THICKNESS, ITEM_FIELDS.NOMINAL_WIDTH, ITEM_FIELDS.NOMINAL_LENGTH, ITEM_FIELDS.PIECES_PER_BUNDLE, ITEM_FIELDS.BASE_BF_COST] });
-            itemCache[itemId] = { isLumber: r[ITEM_FIELDS.IS_LUMBER] === true, thickness: parseFloat(r[ITEM_FIELDS.NOMINAL_THICKNESS]) || 0, width: parseFloat(r[ITEM_FIELDS.NOMINAL_WIDTH]) || 0, length: parseFloat(r[ITEM_FIELDS.NOMINAL_LENGTH]) || 0, piecesPerBundle: parseInt(r[ITEM_FIELDS.PIECES_PER_BUNDLE], 10) || 1, baseBFCost: parseFloat(r[ITEM_FIELDS.BASE_BF_COST]) || 0 };
+            const r = search.lookupFields({ type: search.Type.ITEM, id: itemId, columns: [ITEM_FIELDS.IS_LUMBER, ITEM_FIELDS.NOMINAL_THICKNESS, ITEM_FIELDS.NOMINAL_WIDTH, ITEM_FIELDS.NOMINAL_LENGTH, ITEM_FIELDS.ACTUAL_THICKNESS, ITEM_FIELDS.ACTUAL_WIDTH, ITEM_FIELDS.PRICING_BASIS, ITEM_FIELDS.PIECES_PER_BUNDLE, ITEM_FIELDS.BASE_BF_COST, ITEM_FIELDS.BASE_BF_PRICE, ITEM_FIELDS.GRADE] });
+            const grade = r[ITEM_FIELDS.GRADE];
+            const basis = r[ITEM_FIELDS.PRICING_BASIS];
+            const thickness = parseFloat(r[ITEM_FIELDS.NOMINAL_THICKNESS]) || 0;
+            const width = parseFloat(r[ITEM_FIELDS.NOMINAL_WIDTH]) || 0;
+            itemCache[itemId] = { isLumber: r[ITEM_FIELDS.IS_LUMBER] === true, thickness, width, length: parseFloat(r[ITEM_FIELDS.NOMINAL_LENGTH]) || 0, actual: { thickness: parseFloat(r[ITEM_FIELDS.ACTUAL_THICKNESS]) || thickness, width: parseFloat(r[ITEM_FIELDS.ACTUAL_WIDTH]) || width }, pricingBasis: basis && basis.length > 0 ? basis[0].value : null, piecesPerBundle: parseInt(r[ITEM_FIELDS.PIECES_PER_BUNDLE], 10) || 1, baseBFCost: parseFloat(r[ITEM_FIELDS.BASE_BF_COST]) || 0, baseBFPrice: parseFloat(r[ITEM_FIELDS.BASE_BF_PRICE]) || 0, gradeId: grade && grade.length > 0 ? grade[0].value : null };
             return itemCache[itemId];
-        } catch (e) { return { isLumber: false, thickness: 0, width: 0, length: 0, piecesPerBundle: 1, baseBFCost: 0 }; }
+        } catch (e) { return { isLumber: false, thickness: 0, width: 0, length: 0, actual: { thickness: 0, width: 0 }, pricingBasis: null, piecesPerBundle: 1, baseBFCost: 0, baseBFPrice: 0, gradeId: null }; }
     };
 
     const validateLine = (context) => {
@@ -206,9 +272,10 @@ define([
         const itemData = getItemData(itemId);
         if (!itemData.isLumber) return true;
         const uom = context.currentRecord.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.SELLING_UOM }) || UOM_CODES.BOARD_FEET;
-        const t = parseFloat(context.currentRecord.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_THICKNESS })) || itemData.thickness || 0;
-        const w = parseFloat(context.currentRecord.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_WIDTH })) || itemData.width || 0;
-        const l = parseFloat(context.currentRecord.getCurrentSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.DIM_LENGTH })) || itemData.length || 0;
+        const lineDims = getLineDims(context.currentRecord);
+        const t = lineDims.thickness || itemData.thickness || 0;
+        const w = lineDims.width || itemData.width || 0;
+        const l = lineDims.length || itemData.length || 0;
         const errors = validateDimsForUOM(uom, t, w, l);
         if (errors.length > 0) { dialog.alert({ title: 'Validation Error', message: errors.join('\n') }); return false; }
         return true;
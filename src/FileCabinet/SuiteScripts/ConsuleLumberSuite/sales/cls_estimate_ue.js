@@ -27,6 +27,8 @@ define([
     '../lib/cls_dimension_resolver',
     '../lib/cls_bf_calculator',
     '../lib/cls_validation',
+    '../lib/cls_landed_cost_service',
+    '../lib/cls_pricing_service',
     '../lib/cls_logger'
 ], (
     record,
@@ -39,6 +41,8 @@ define([
     DimensionResolver,
     BFCalculator,
     Validation,
+    LandedCostService,
+    PricingService,
     Logger
 ) => {
 
@@ -117,6 +121,7 @@ define([
                 hideSublistField(itemSublist, LINE_FIELDS.DIM_THICKNESS);
                 hideSublistField(itemSublist, LINE_FIELDS.DIM_WIDTH);
                 hideSublistField(itemSublist, LINE_FIELDS.DIM_LENGTH);
+                hideSublistField(itemSublist, LINE_FIELDS.DIMS_IN_MM);
             }
 
             // Add help text to conversion fields
@@ -284,7 +289,7 @@ define([
             }
 
             // Process all item lines
-            const result = processEstimateLines(newRecord);
+            const result = processEstimateLines(newRecord, oldRecord);
 
             if (!result.success) {
                 log.error('beforeSubmit', result.errors);
@@ -307,7 +312,7 @@ define([
      * @param {Record} rec
      * @returns {Object} Processing result
      */
-    const processEstimateLines = (rec) => {
+    const processEstimateLines = (rec, oldRecord) => {
         const result = {
             success: true,
             totalBF: 0,
@@ -320,7 +325,7 @@ define([
 
         for (let i = 0; i < lineCount; i++) {
             try {
-                const lineResult = processEstimateLine(rec, i);
+                const lineResult = processEstimateLine(rec, i, oldRecord);
 
                 if (lineResult.isLumber) {
                     result.totalBF += lineResult.calculatedBF || 0;
@@ -355,7 +360,7 @@ define([
      * @param {number} lineNum
      * @returns {Object} Line processing result
      */
-    const processEstimateLine = (rec, lineNum) => {
+    const processEstimateLine = (rec, lineNum, oldRecord) => {
         const result = {
             success: true,
             isLumber: false,
@@ -363,6 +368,7 @@ define([
             conversionFactor: 0,
             bfUnitCost: 0,
             extendedBFCost: 0,
+            bfUnitPrice: 0,
             error: null
         };
 
@@ -419,14 +425,17 @@ define([
             return result;
         }
 
-        // Convert to board feet
-        const conversion = ConversionEngine.convertToBoardFeet({
+        // Convert to board feet on the pricing basis; dressed BF tracks actual dimensions
+        const pricingBasis = DimensionResolver.resolvePricingBasis({
+            customerId: rec.getValue({ fieldId: 'entity' }),
+            itemId: itemId
+        });
+
+        const conversion = ConversionEngine.convertWithDimensionBasis({
             sourceUom: sellingUom,
             sourceQty: displayQty,
-            thickness: dimensions.thickness,
-            width: dimensions.width,
-            length: dimensions.length,
-            piecesPerBundle: dimensions.piecesPerBundle
+            dimensions: dimensions,
+            pricingBasis: pricingBasis
         });
 
         if (!conversion.isValid) {
@@ -445,6 +454,14 @@ define([
             value: BFCalculator.roundTo(conversion.boardFeet, precision)
         });
 
+        // Set dressed BF for inventory
+        rec.setSublistValue({
+            sublistId: 'item',
+            fieldId: LINE_FIELDS.DRESSED_BF,
+            line: lineNum,
+            value: BFCalculator.roundTo(conversion.dressedBF, precision)
+        });
+
         // Set conversion factor (for reference)
         rec.setSublistValue({
             sublistId: 'item',
@@ -454,7 +471,7 @@ define([
         });
 
         // Calculate BF-based cost
-        const itemCost = getItemBFCost(itemId);
+        const itemCost = getItemBFCost(rec, lineNum, itemId);
         const extendedBFCost = conversion.boardFeet * itemCost;
 
         rec.setSublistValue({
@@ -471,44 +488,104 @@ define([
             value: BFCalculator.roundTo(extendedBFCost, PRECISION.CURRENCY)
         });
 
+        // Apply grade-modified BF price; a hand-entered rate is kept
+        const bfUnitPrice = getLineBFPrice(rec, lineNum, itemId);
+
+        if (bfUnitPrice > 0) {
+            rec.setSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.BF_UNIT_PRICE,
+                line: lineNum,
+                value: bfUnitPrice
+            });
+        }
+
+        if (bfUnitPrice > 0 && PricingService.shouldRepriceLine(rec, lineNum, oldRecord)) {
+            const quantity = parseFloat(rec.getSublistValue({
+                sublistId: 'item',
+                fieldId: 'quantity',
+                line: lineNum
+            })) || conversion.boardFeet;
+            // conversion.boardFeet is measured on the pricing basis (dressed BF on ACTUAL)
+            const amount = BFCalculator.roundTo(conversion.boardFeet * bfUnitPrice, PRECISION.CURRENCY);
+
+            rec.setSublistValue({
+                sublistId: 'item',
+                fieldId: 'rate',
+                line: lineNum,
+                value: BFCalculator.roundTo(amount / quantity, PRECISION.FACTOR)
+            });
+
+            rec.setSublistValue({
+                sublistId: 'item',
+                fieldId: 'amount',
+                line: lineNum,
+                value: amount
+            });
+        }
+
         result.calculatedBF = conversion.boardFeet;
         result.conversionFactor = conversion.conversionFactor;
         result.bfUnitCost = itemCost;
         result.extendedBFCost = extendedBFCost;
+        result.bfUnitPrice = bfUnitPrice;
 
         return result;
     };
 
     /**
-     * Get item's base BF cost
+     * Get the BF cost for a line
+     * Estimates have no tally yet, so this is the landed cost of the item's
+     * open tallies at the line location, falling back to the item's base cost
      *
+     * @param {Record} rec
+     * @param {number} lineNum
      * @param {number} itemId
      * @returns {number} Cost per BF
      */
-    const getItemBFCost = (itemId) => {
+    const getItemBFCost = (rec, lineNum, itemId) => {
+        return LandedCostService.getItemBFCost({
+            itemId,
+            locationId: rec.getSublistValue({ sublistId: 'item', fieldId: 'location', line: lineNum }) ||
+                rec.getValue({ fieldId: 'location' })
+        });
+    };
+
+    /**
+     * Get the grade-modified BF price for a line
+     * Uses the line grade override, falling back to the item's grade
+     *
+     * @param {Record} rec
+     * @param {number} lineNum
+     * @param {number} itemId
+     * @returns {number} Price per BF, or 0 when the item has no base BF price
+     */
+    const getLineBFPrice = (rec, lineNum, itemId) => {
         try {
             const lookupResult = search.lookupFields({
                 type: search.Type.ITEM,
                 id: itemId,
-                columns: [ITEM_FIELDS.BASE_BF_COST, 'cost']
+                columns: [ITEM_FIELDS.BASE_BF_PRICE, ITEM_FIELDS.GRADE]
             });
 
-            // Try custom BF cost first
-            const bfCost = parseFloat(lookupResult[ITEM_FIELDS.BASE_BF_COST]);
-            if (!isNaN(bfCost) && bfCost > 0) {
-                return bfCost;
-            }
+            const basePrice = parseFloat(lookupResult[ITEM_FIELDS.BASE_BF_PRICE]) || 0;
+            if (basePrice <= 0) return 0;
 
-            // Fall back to standard cost
-            const stdCost = parseFloat(lookupResult.cost);
-            if (!isNaN(stdCost)) {
-                return stdCost;
+            if (!SettingsDAO.isGradeEnabled()) {
+                return PricingService.getGradedBFPrice(basePrice, null);
             }
 
-            return 0;
+            const itemGrade = lookupResult[ITEM_FIELDS.GRADE];
+            const gradeId = rec.getSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.GRADE_OVERRIDE,
+                line: lineNum
+            }) || (itemGrade && itemGrade.length > 0 ? itemGrade[0].value : null);
+
+            return PricingService.getGradedBFPrice(basePrice, gradeId);
 
         } catch (e) {
-            log.error('getItemBFCost', e);
+            log.error('getLineBFPrice', e);
             return 0;
         }
     };
@@ -559,6 +636,9 @@ define([
 
                 hasLumberItems = true;
 
+                // Logged in inches/feet even when the line was keyed in mm
+                const lineDims = DimensionResolver.getLineDimensions({ record: rec, lineNum: i });
+
                 // Create consumption log entry
                 createConsumptionLogEntry({
                     sourceTransactionId: rec.id,
@@ -585,21 +665,9 @@ define([
                         fieldId: LINE_FIELDS.CONVERSION_FACTOR,
                         line: i
                     })) || 0,
-                    thickness: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_THICKNESS,
-                        line: i
-                    })) || 0,
-                    width: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_WIDTH,
-                        line: i
-                    })) || 0,
-                    length: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_LENGTH,
-                        line: i
-                    })) || 0,
+                    thickness: lineDims.thickness,
+                    width: lineDims.width,
+                    length: lineDims.length,
                     transactionDate: transactionDate,
                     subsidiaryId: subsidiaryId
                 });
@@ -25,6 +25,7 @@ define([
     '../lib/cls_tally_service',
     '../lib/cls_bf_calculator',
     '../lib/cls_validation',
+    '../lib/cls_weight_service',
     '../lib/cls_logger'
 ], function(
     record,
@@ -38,6 +39,7 @@ define([
     TallyService,
     BFCalculator,
     Validation,
+    WeightService,
     Logger
 ) {
     'use strict';
@@ -118,6 +120,7 @@ define([
             clearCaches();
             loadSourceSalesOrderData(fulfillmentRec);
             calculateAllLineBFValues(fulfillmentRec);
+            calculateShippingWeights(fulfillmentRec);
             validateFulfillmentQuantities(fulfillmentRec, context.type);
             calculateBodyTotals(fulfillmentRec);
 
@@ -210,6 +213,17 @@ define([
             });
             totalMBFField.updateDisplayType({ displayType: 'INLINE' });
 
+            const weightField = form.addField({
+                id: 'custpage_cls_total_weight',
+                type: 'float',
+                label: 'Shipping Weight (lbs)',
+                container: 'custpage_cls_fulfillment_summary'
+            });
+            weightField.updateDisplayType({ displayType: 'INLINE' });
+            weightField.defaultValue = parseFloat(fulfillmentRec.getValue({
+                fieldId: Constants.BODY_FIELDS.TOTAL_WEIGHT
+            })) || 0;
+
             const lineCountField = form.addField({
                 id: 'custpage_cls_lumber_lines',
                 type: 'integer',
@@ -518,6 +532,70 @@ define([
         logger.debug('calculateLineBF', `Line ${lineIndex}: ${quantity} units × ${bfPerUnit} BF/unit = ${totalLineBF} BF`);
     }
 
+    /**
+     * Calculates line and total shipping weight from species density and moisture
+     *
+     * @param {Record} fulfillmentRec - Item Fulfillment record
+     */
+    function calculateShippingWeights(fulfillmentRec) {
+        try {
+            const result = WeightService.applyTransactionWeights(fulfillmentRec, 'item', {
+                getLineBF: function(lineIndex, orderLineBF) {
+                    return getFulfilledLineBF(fulfillmentRec, lineIndex, orderLineBF);
+                }
+            });
+
+            if (result.linesMissingDensity > 0) {
+                logger.audit('calculateShippingWeights', `${result.linesMissingDensity} line(s) have no species density; weight excluded`);
+            }
+
+            logger.debug('calculateShippingWeights', `Total weight: ${result.totalWeight} lbs across ${result.linesWeighed} lines`);
+        } catch (e) {
+            logger.error('calculateShippingWeights', `Error calculating weights: ${e.message}`);
+        }
+    }
+
+    /**
+     * Gets the BF a fulfillment line ships from its quantity in the item's
+     * stock unit. The line's calculated BF is copied from the order line and
+     * covers the whole ordered quantity.
+     *
+     * @param {Record} fulfillmentRec - Item Fulfillment record
+     * @param {number} lineIndex - Line index
+     * @param {number} orderLineBF - Calculated BF of the order line
+     * @returns {number} Shipped BF, or 0 when nothing ships on the line
+     */
+    function getFulfilledLineBF(fulfillmentRec, lineIndex, orderLineBF) {
+        // Lines without calculated BF are not lumber and are not weighed
+        if (orderLineBF <= 0) {
+            return 0;
+        }
+
+        const quantity = parseFloat(fulfillmentRec.getSublistValue({
+            sublistId: 'item',
+            fieldId: 'quantity',
+            line: lineIndex
+        })) || 0;
+
+        if (quantity <= 0) {
+            return 0;
+        }
+
+        const itemId = fulfillmentRec.getSublistValue({
+            sublistId: 'item',
+            fieldId: 'item',
+            line: lineIndex
+        });
+        const stockUnit = ConversionEngine.getStockUnitBF(itemId);
+
+        if (!stockUnit.isValid) {
+            logger.audit('getFulfilledLineBF', `Line ${lineIndex + 1}: ${stockUnit.error}; weighing the order line BF`);
+            return orderLineBF;
+        }
+
+        return quantity * stockUnit.bfPerUnit;
+    }
+
     /**
      * Validates fulfillment quantities against source SO
      *
@@ -600,12 +678,27 @@ define([
         logger.debug('calculateBodyTotals', `Total BF: ${totalBF.toFixed(4)}, Total MBF: ${(totalBF / 1000).toFixed(6)}`);
     }
 
+    /**
+     * Checks whether a fulfillment ships a Transfer Order. Its tallies are
+     * moved by the transfer user event, not consumed.
+     *
+     * @param {Record} fulfillmentRec - Item Fulfillment record
+     * @returns {boolean}
+     */
+    function isTransferFulfillment(fulfillmentRec) {
+        return fulfillmentRec.getValue({ fieldId: 'ordertype' }) === 'TrnfrOrd';
+    }
+
     /**
      * Prepares tally consumption data for processing in afterSubmit
      *
      * @param {Record} fulfillmentRec - Item Fulfillment record
      */
     function prepareTallyConsumption(fulfillmentRec) {
+        if (isTransferFulfillment(fulfillmentRec)) {
+            return;
+        }
+
         const lineCount = fulfillmentRec.getLineCount({ sublistId: 'item' });
         const tallyConsumptions = [];
 
@@ -860,6 +953,10 @@ define([
      */
     function processTallyConsumption(fulfillmentRec) {
         try {
+            if (isTransferFulfillment(fulfillmentRec)) {
+                return;
+            }
+
             const consumptionDataStr = fulfillmentRec.getValue({
                 fieldId: Constants.BODY_FIELDS.TALLY_CONSUMPTION_DATA
             });
@@ -871,14 +968,16 @@ define([
             const consumptionData = JSON.parse(consumptionDataStr);
 
             for (const consumption of consumptionData) {
-                TallyService.recordConsumption({
+                const result = TallyService.recordConsumption({
                     tallyId: consumption.tallyId,
-                    quantity: consumption.quantity,
-                    boardFeet: consumption.boardFeet,
-                    sourceTransaction: fulfillmentRec.id,
-                    transactionType: 'itemfulfillment',
-                    consumptionDate: new Date()
+                    consumedBF: consumption.boardFeet,
+                    transactionId: fulfillmentRec.id,
+                    transactionType: 'itemfulfillment'
                 });
+
+                if (!result.success) {
+                    logger.error('processTallyConsumption', `Tally ${consumption.tallyId}: ${result.error}`);
+                }
             }
 
             logger.audit('processTallyConsumption', `Processed ${consumptionData.length} tally consumptions`);
@@ -922,14 +1021,15 @@ define([
             const consumptionData = JSON.parse(consumptionDataStr);
 
             for (const consumption of consumptionData) {
-                TallyService.reverseConsumption({
+                const result = TallyService.reverseConsumption({
                     tallyId: consumption.tallyId,
-                    quantity: consumption.quantity,
-                    boardFeet: consumption.boardFeet,
-                    sourceTransaction: oldRecord.id,
-                    transactionType: 'itemfulfillment_reversal',
-                    reversalDate: new Date()
+                    reverseBF: consumption.boardFeet,
+                    transactionId: oldRecord.id
                 });
+
+                if (!result.success) {
+                    logger.error('reverseTallyConsumption', `Tally ${consumption.tallyId}: ${result.error}`);
+                }
             }
 
             logger.audit('reverseTallyConsumption', `Reversed ${consumptionData.length} tally consumptions`);
@@ -0,0 +1,690 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ * @NModuleScope SameAccount
+ *
+ * @file cls_margin_analysis_sl.js
+ * @description Margin Analysis Suitelet for Consule LumberSuite™
+ *              Compares BF revenue on sales order lines against their BF cost,
+ *              sliced by selling UOM, species, grade, customer, sales rep or
+ *              period, with drill-down to the transactions and CSV export
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module sales/cls_margin_analysis_sl
+ */
+
+define([
+    'N/ui/serverWidget',
+    'N/search',
+    'N/runtime',
+    'N/url',
+    'N/format',
+    'N/xml',
+    '../lib/cls_constants',
+    '../lib/cls_settings_dao',
+    '../lib/cls_bf_calculator',
+    '../lib/cls_logger'
+], function(
+    serverWidget,
+    search,
+    runtime,
+    url,
+    format,
+    xml,
+    Constants,
+    SettingsDAO,
+    BFCalculator,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_MarginAnalysis_SL');
+
+    const LINE_FIELDS = Constants.LINE_FIELDS;
+    const ITEM_FIELDS = Constants.ITEM_FIELDS;
+    const PRECISION = Constants.PRECISION;
+
+    /**
+     * Line cost: the stored extended BF cost, or BF × BF unit cost when blank
+     * @type {string}
+     */
+    const COST_FORMULA = `NVL({${LINE_FIELDS.EXTENDED_BF_COST}}, NVL({${LINE_FIELDS.CALCULATED_BF}}, 0) * NVL({${LINE_FIELDS.BF_UNIT_COST}}, 0))`;
+
+    /**
+     * Line grade: the line override, else the item grade
+     * @type {string}
+     */
+    const GRADE_FORMULA = `NVL({${LINE_FIELDS.GRADE_OVERRIDE}}, {item.${ITEM_FIELDS.GRADE}})`;
+
+    const PERIOD_FORMULA = 'TO_CHAR({trandate}, \'YYYY-MM\')';
+
+    /**
+     * Dimensions margins can be sliced by. Select dimensions group and drill
+     * down on internal IDs; formula dimensions on their text.
+     * @type {Object}
+     */
+    const DIMENSIONS = {
+        uom: { label: 'Selling UOM', name: LINE_FIELDS.SELLING_UOM },
+        species: { label: 'Species', name: ITEM_FIELDS.SPECIES, join: 'item' },
+        grade: { label: 'Grade', formula: GRADE_FORMULA },
+        customer: { label: 'Customer', name: 'entity' },
+        rep: { label: 'Sales Rep', name: 'salesrep' },
+        period: { label: 'Period', formula: PERIOD_FORMULA }
+    };
+
+    /**
+     * Main entry point
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function onRequest(context) {
+        const startTime = Date.now();
+
+        try {
+            if (!SettingsDAO.isMarginAnalysisEnabled()) {
+                context.response.write('Margin Analysis is not enabled. Please contact your administrator.');
+                return;
+            }
+
+            if (context.request.method === 'GET') {
+                handleGet(context);
+            } else {
+                handlePostRequest(context);
+            }
+
+            logger.debug('onRequest', `Completed in ${Date.now() - startTime}ms`);
+        } catch (e) {
+            logger.error('onRequest', `Error: ${e.message}`, { stack: e.stack });
+            context.response.write(`<html><body><h1>Error</h1><p>${escape(e.message)}</p></body></html>`);
+        }
+    }
+
+    /**
+     * Renders the analysis, its drill-down, or their CSV export
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function handleGet(context) {
+        const params = getFilterParams(context.request.parameters);
+        const report = params.drillBy ? getTransactionLines(params) : getMarginSummary(params);
+
+        if (context.request.parameters.export === 'csv') {
+            outputCSV(context.response, report);
+            return;
+        }
+
+        const form = serverWidget.createForm({
+            title: 'LumberSuite™ Margin Analysis'
+        });
+
+        addFilterSection(form, params);
+        addSummarySection(form, report.totals);
+        addResultsSection(form, params, report);
+
+        form.addButton({
+            id: 'custpage_export',
+            label: 'Export to CSV',
+            functionName: `window.open('${getPageUrl(Object.assign({}, params, { export: 'csv' }))}', '_self')`
+        });
+
+        context.response.writePage(form);
+    }
+
+    /**
+     * Redirects the filter form back to GET
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function handlePostRequest(context) {
+        const params = context.request.parameters;
+
+        context.response.sendRedirect({
+            url: getPageUrl({
+                fromDate: params.custpage_from_date,
+                toDate: params.custpage_to_date,
+                groupBy: params.custpage_group_by,
+                customer: params.custpage_customer,
+                rep: params.custpage_rep,
+                species: params.custpage_species,
+                grade: params.custpage_grade
+            })
+        });
+    }
+
+    /**
+     * Reads the filters from the request, defaulting to month-to-date by selling UOM
+     *
+     * @param {Object} requestParams - Request parameters
+     * @returns {Object} Filter parameters
+     */
+    function getFilterParams(requestParams) {
+        const today = new Date();
+        const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+
+        return {
+            fromDate: requestParams.fromDate || format.format({ value: monthStart, type: format.Type.DATE }),
+            toDate: requestParams.toDate || format.format({ value: today, type: format.Type.DATE }),
+            groupBy: DIMENSIONS[requestParams.groupBy] ? requestParams.groupBy : 'uom',
+            customer: requestParams.customer || '',
+            rep: requestParams.rep || '',
+            species: requestParams.species || '',
+            grade: requestParams.grade || '',
+            drillBy: DIMENSIONS[requestParams.drillBy] ? requestParams.drillBy : '',
+            drillValue: requestParams.drillValue || '',
+            drillLabel: requestParams.drillLabel || ''
+        };
+    }
+
+    /**
+     * Builds a link back to this Suitelet, dropping empty parameters
+     *
+     * @param {Object} params - URL parameters
+     * @returns {string} URL
+     */
+    function getPageUrl(params) {
+        const cleanParams = {};
+
+        Object.keys(params).forEach(function(key) {
+            if (params[key] !== '' && params[key] !== null && params[key] !== undefined) {
+                cleanParams[key] = params[key];
+            }
+        });
+
+        return url.resolveScript({
+            scriptId: runtime.getCurrentScript().id,
+            deploymentId: runtime.getCurrentScript().deploymentId,
+            params: cleanParams
+        });
+    }
+
+    /**
+     * Builds the search filters for sales order lines carrying BF
+     *
+     * @param {Object} params - Filter parameters
+     * @returns {Array} Filter expression
+     */
+    function buildFilters(params) {
+        const filters = [
+            ['type', 'anyof', 'SalesOrd'],
+            'AND', ['mainline', 'is', 'F'],
+            'AND', ['taxline', 'is', 'F'],
+            'AND', ['shipping', 'is', 'F'],
+            'AND', ['status', 'noneof', ['SalesOrd:C']],
+            'AND', [LINE_FIELDS.CALCULATED_BF, 'greaterthan', 0],
+            'AND', ['trandate', 'within', params.fromDate, params.toDate]
+        ];
+
+        if (params.customer) {
+            filters.push('AND', ['entity', 'anyof', params.customer]);
+        }
+        if (params.rep) {
+            filters.push('AND', ['salesrep', 'anyof', params.rep]);
+        }
+        if (params.species) {
+            filters.push('AND', [`item.${ITEM_FIELDS.SPECIES}`, 'anyof', params.species]);
+        }
+        if (params.grade) {
+            filters.push('AND', [
+                [LINE_FIELDS.GRADE_OVERRIDE, 'anyof', params.grade],
+                'OR',
+                [[LINE_FIELDS.GRADE_OVERRIDE, 'anyof', '@NONE@'], 'AND', [`item.${ITEM_FIELDS.GRADE}`, 'anyof', params.grade]]
+            ]);
+        }
+        if (params.drillBy) {
+            filters.push('AND', getDimensionFilter(DIMENSIONS[params.drillBy], params.drillValue));
+        }
+
+        return filters;
+    }
+
+    /**
+     * Builds the filter that selects one value of a dimension
+     *
+     * @param {Object} dimension - Dimension from DIMENSIONS
+     * @param {string} value - Internal ID, or text for formula dimensions
+     * @returns {Array} Filter expression
+     */
+    function getDimensionFilter(dimension, value) {
+        if (dimension.formula) {
+            return value
+                ? [`formulatext: ${dimension.formula}`, 'is', value]
+                : [`formulatext: ${dimension.formula}`, 'isempty', ''];
+        }
+
+        const name = dimension.join ? `${dimension.join}.${dimension.name}` : dimension.name;
+        return [name, 'anyof', value || '@NONE@'];
+    }
+
+    /**
+     * Creates the group column for a dimension
+     *
+     * @param {Object} dimension - Dimension from DIMENSIONS
+     * @returns {Column} Search column
+     */
+    function createDimensionColumn(dimension) {
+        return dimension.formula
+            ? search.createColumn({ name: 'formulatext', formula: dimension.formula, summary: search.Summary.GROUP })
+            : search.createColumn({ name: dimension.name, join: dimension.join, summary: search.Summary.GROUP });
+    }
+
+    /**
+     * Calculates margin figures from BF, revenue and cost
+     *
+     * @param {number} bf - Board feet
+     * @param {number} revenue - Revenue
+     * @param {number} cost - BF cost
+     * @returns {Object} { bf, revenue, cost, margin, marginPct, revenuePerBF, costPerBF }
+     */
+    function calculateMargin(bf, revenue, cost) {
+        const margin = revenue - cost;
+
+        return {
+            bf: BFCalculator.roundTo(bf, PRECISION.BF),
+            revenue: BFCalculator.roundTo(revenue, PRECISION.CURRENCY),
+            cost: BFCalculator.roundTo(cost, PRECISION.CURRENCY),
+            margin: BFCalculator.roundTo(margin, PRECISION.CURRENCY),
+            marginPct: revenue !== 0 ? BFCalculator.roundTo((margin / revenue) * 100, PRECISION.PERCENTAGE) : 0,
+            revenuePerBF: bf > 0 ? BFCalculator.roundTo(revenue / bf, PRECISION.CURRENCY) : 0,
+            costPerBF: bf > 0 ? BFCalculator.roundTo(cost / bf, PRECISION.CURRENCY) : 0
+        };
+    }
+
+    /**
+     * Totals the rows of a report
+     *
+     * @param {Array<Object>} rows - Rows with bf, revenue and cost
+     * @returns {Object} Margin totals with line count
+     */
+    function sumRows(rows) {
+        const sums = rows.reduce(function(acc, row) {
+            acc.bf += row.bf;
+            acc.revenue += row.revenue;
+            acc.cost += row.cost;
+            acc.lines += row.lines || 1;
+            return acc;
+        }, { bf: 0, revenue: 0, cost: 0, lines: 0 });
+
+        return Object.assign({ lines: sums.lines }, calculateMargin(sums.bf, sums.revenue, sums.cost));
+    }
+
+    /**
+     * Gets margins grouped by the selected dimension, highest revenue first
+     *
+     * @param {Object} params - Filter parameters
+     * @returns {Object} { title, rows, totals, columns, csvRows }
+     */
+    function getMarginSummary(params) {
+        const dimension = DIMENSIONS[params.groupBy];
+        const dimensionColumn = createDimensionColumn(dimension);
+        const rows = [];
+
+        search.create({
+            type: search.Type.TRANSACTION,
+            filters: buildFilters(params),
+            columns: [
+                dimensionColumn,
+                search.createColumn({ name: 'internalid', summary: search.Summary.COUNT }),
+                search.createColumn({ name: LINE_FIELDS.CALCULATED_BF, summary: search.Summary.SUM }),
+                search.createColumn({ name: 'amount', summary: search.Summary.SUM, sort: search.Sort.DESC }),
+                search.createColumn({ name: 'formulacurrency', formula: COST_FORMULA, summary: search.Summary.SUM })
+            ]
+        }).run().each(function(result) {
+            const value = result.getValue(dimensionColumn);
+            const text = dimension.formula ? value : result.getText(dimensionColumn);
+
+            rows.push(Object.assign({
+                value: value === '@NONE@' || value === '- None -' ? '' : value,
+                label: text && text !== '- None -' ? text : '(none)',
+                lines: parseInt(result.getValue({ name: 'internalid', summary: search.Summary.COUNT }), 10) || 0
+            }, calculateMargin(
+                parseFloat(result.getValue({ name: LINE_FIELDS.CALCULATED_BF, summary: search.Summary.SUM })) || 0,
+                parseFloat(result.getValue({ name: 'amount', summary: search.Summary.SUM })) || 0,
+                parseFloat(result.getValue({ name: 'formulacurrency', summary: search.Summary.SUM })) || 0
+            )));
+            return true;
+        });
+
+        return {
+            title: `Margin by ${dimension.label}`,
+            rows: rows,
+            totals: sumRows(rows),
+            columns: [dimension.label, 'Lines', 'BF', 'Revenue', 'Cost', 'Margin', 'Margin %', 'Revenue/BF', 'Cost/BF'],
+            csvRows: rows.map(function(row) {
+                return [row.label, row.lines, row.bf, row.revenue, row.cost, row.margin, row.marginPct, row.revenuePerBF, row.costPerBF];
+            })
+        };
+    }
+
+    /**
+     * Gets the sales order lines behind one dimension value
+     *
+     * @param {Object} params - Filter parameters with drillBy and drillValue
+     * @returns {Object} { title, rows, totals, columns, csvRows }
+     */
+    function getTransactionLines(params) {
+        const dimension = DIMENSIONS[params.drillBy];
+        const costColumn = search.createColumn({ name: 'formulacurrency', formula: COST_FORMULA });
+        const gradeColumn = search.createColumn({ name: 'formulatext', formula: GRADE_FORMULA });
+        const rows = [];
+
+        const pagedData = search.create({
+            type: search.Type.TRANSACTION,
+            filters: buildFilters(params),
+            columns: [
+                search.createColumn({ name: 'trandate', sort: search.Sort.DESC }),
+                'tranid',
+                'entity',
+                'salesrep',
+                'item',
+                LINE_FIELDS.SELLING_UOM,
+                LINE_FIELDS.DISPLAY_QTY,
+                gradeColumn,
+                LINE_FIELDS.CALCULATED_BF,
+                'amount',
+                costColumn
+            ]
+        }).runPaged({ pageSize: 1000 });
+
+        pagedData.pageRanges.forEach(function(pageRange) {
+            pagedData.fetch({ index: pageRange.index }).data.forEach(function(result) {
+                rows.push(Object.assign({
+                    transactionId: result.id,
+                    tranDate: result.getValue('trandate'),
+                    tranId: result.getValue('tranid'),
+                    customer: result.getText('entity'),
+                    rep: result.getText('salesrep'),
+                    item: result.getText('item'),
+                    uom: result.getText(LINE_FIELDS.SELLING_UOM),
+                    quantity: result.getValue(LINE_FIELDS.DISPLAY_QTY),
+                    grade: result.getValue(gradeColumn)
+                }, calculateMargin(
+                    parseFloat(result.getValue(LINE_FIELDS.CALCULATED_BF)) || 0,
+                    parseFloat(result.getValue('amount')) || 0,
+                    parseFloat(result.getValue(costColumn)) || 0
+                )));
+            });
+        });
+
+        return {
+            title: `${dimension.label}: ${params.drillLabel || params.drillValue || '(none)'}`,
+            rows: rows,
+            totals: sumRows(rows),
+            columns: ['Date', 'Sales Order', 'Customer', 'Sales Rep', 'Item', 'Selling UOM', 'Qty', 'Grade',
+                'BF', 'Revenue', 'Cost', 'Margin', 'Margin %'],
+            csvRows: rows.map(function(row) {
+                return [row.tranDate, row.tranId, row.customer, row.rep, row.item, row.uom, row.quantity, row.grade,
+                    row.bf, row.revenue, row.cost, row.margin, row.marginPct];
+            })
+        };
+    }
+
+    /**
+     * Adds the filter fields
+     *
+     * @param {Form} form - Server widget form
+     * @param {Object} params - Filter parameters
+     */
+    function addFilterSection(form, params) {
+        form.addFieldGroup({
+            id: 'custpage_filters',
+            label: 'Filters'
+        });
+
+        const fromField = form.addField({
+            id: 'custpage_from_date',
+            type: serverWidget.FieldType.DATE,
+            label: 'From Date',
+            container: 'custpage_filters'
+        });
+        fromField.defaultValue = params.fromDate;
+
+        const toField = form.addField({
+            id: 'custpage_to_date',
+            type: serverWidget.FieldType.DATE,
+            label: 'To Date',
+            container: 'custpage_filters'
+        });
+        toField.defaultValue = params.toDate;
+
+        const groupField = form.addField({
+            id: 'custpage_group_by',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Group By',
+            container: 'custpage_filters'
+        });
+
+        Object.keys(DIMENSIONS).forEach(function(key) {
+            groupField.addSelectOption({
+                value: key,
+                text: DIMENSIONS[key].label,
+                isSelected: key === params.groupBy
+            });
+        });
+
+        [
+            { id: 'custpage_customer', label: 'Customer', source: 'customer', value: params.customer },
+            { id: 'custpage_rep', label: 'Sales Rep', source: 'employee', value: params.rep },
+            { id: 'custpage_species', label: 'Species', source: Constants.RECORD_TYPES.SPECIES, value: params.species },
+            { id: 'custpage_grade', label: 'Grade', source: Constants.RECORD_TYPES.GRADE, value: params.grade }
+        ].forEach(function(filter) {
+            const field = form.addField({
+                id: filter.id,
+                type: serverWidget.FieldType.SELECT,
+                label: filter.label,
+                source: filter.source,
+                container: 'custpage_filters'
+            });
+            field.defaultValue = filter.value;
+        });
+
+        form.addSubmitButton({ label: 'Apply Filters' });
+    }
+
+    /**
+     * Adds the margin totals
+     *
+     * @param {Form} form - Server widget form
+     * @param {Object} totals - Report totals
+     */
+    function addSummarySection(form, totals) {
+        const marginColor = totals.margin < 0 ? '#dc3545' : '#28a745';
+
+        let html = '<div style="display:flex; gap:15px; margin:20px 0;">';
+        html += createMetricCard('Board Feet', formatNumber(totals.bf), '#007bff');
+        html += createMetricCard('Revenue', `$${formatNumber(totals.revenue)}`, '#607799');
+        html += createMetricCard('BF Cost', `$${formatNumber(totals.cost)}`, '#6c757d');
+        html += createMetricCard('Margin', `$${formatNumber(totals.margin)}`, marginColor);
+        html += createMetricCard('Margin %', `${totals.marginPct}%`, marginColor);
+        html += createMetricCard('Revenue / BF', `$${formatNumber(totals.revenuePerBF)}`, '#17a2b8');
+        html += '</div>';
+
+        const field = form.addField({
+            id: 'custpage_summary',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'Summary'
+        });
+        field.defaultValue = html;
+    }
+
+    /**
+     * Creates a metric card
+     *
+     * @param {string} label - Card label
+     * @param {string} value - Card value
+     * @param {string} color - Accent color
+     * @returns {string} HTML content
+     */
+    function createMetricCard(label, value, color) {
+        return `<div style="flex:1; padding:15px; background:#fff; border-left:4px solid ${color}; border-radius:4px; box-shadow:0 1px 3px rgba(0,0,0,0.1);">` +
+            `<div style="font-size:22px; font-weight:bold; color:${color};">${value}</div>` +
+            `<div style="color:#666; font-size:12px;">${label}</div></div>`;
+    }
+
+    /**
+     * Adds the grouped margins, or the transaction lines when drilled down
+     *
+     * @param {Form} form - Server widget form
+     * @param {Object} params - Filter parameters
+     * @param {Object} report - Report from getMarginSummary or getTransactionLines
+     */
+    function addResultsSection(form, params, report) {
+        let html = `<h3 style="margin:10px 0;">${escape(report.title)}</h3>`;
+
+        if (params.drillBy) {
+            const backParams = Object.assign({}, params, { drillBy: '', drillValue: '', drillLabel: '' });
+            html += `<p><a href="${escape(getPageUrl(backParams))}">&larr; Back to ${escape(DIMENSIONS[params.groupBy].label)} summary</a></p>`;
+        }
+
+        if (report.rows.length === 0) {
+            html += '<p style="color:#666;">No sales order lines with BF match these filters.</p>';
+        } else {
+            html += '<table style="width:100%; border-collapse:collapse;">';
+            html += '<tr style="background:#607799; color:#fff;">';
+            html += report.columns.map(function(col) {
+                return `<th style="padding:8px; text-align:left;">${escape(col)}</th>`;
+            }).join('');
+            html += '</tr>';
+
+            report.rows.forEach(function(row, i) {
+                html += `<tr style="background:${i % 2 === 0 ? '#fff' : '#f9f9f9'};">`;
+                html += params.drillBy ? getLineCells(row) : getGroupCells(params, row);
+                html += '</tr>';
+            });
+
+            html += '</table>';
+        }
+
+        const field = form.addField({
+            id: 'custpage_results',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'Results'
+        });
+        field.defaultValue = html;
+    }
+
+    /**
+     * Renders the cells of a grouped row, linking the group to its transactions
+     *
+     * @param {Object} params - Filter parameters
+     * @param {Object} row - Grouped row
+     * @returns {string} HTML content
+     */
+    function getGroupCells(params, row) {
+        const drillUrl = getPageUrl(Object.assign({}, params, {
+            drillBy: params.groupBy,
+            drillValue: row.value,
+            drillLabel: row.label
+        }));
+
+        return `<td style="padding:8px; border-bottom:1px solid #ddd;"><a href="${escape(drillUrl)}">${escape(row.label)}</a></td>` +
+            getFigureCells([row.lines, formatNumber(row.bf), `$${formatNumber(row.revenue)}`, `$${formatNumber(row.cost)}`]) +
+            getMarginCells(row) +
+            getFigureCells([`$${formatNumber(row.revenuePerBF)}`, `$${formatNumber(row.costPerBF)}`]);
+    }
+
+    /**
+     * Renders the cells of a transaction line, linking to the sales order
+     *
+     * @param {Object} row - Transaction line
+     * @returns {string} HTML content
+     */
+    function getLineCells(row) {
+        const orderUrl = url.resolveRecord({
+            recordType: 'salesorder',
+            recordId: row.transactionId
+        });
+
+        return `<td style="padding:8px; border-bottom:1px solid #ddd;">${escape(row.tranDate)}</td>` +
+            `<td style="padding:8px; border-bottom:1px solid #ddd;"><a href="${escape(orderUrl)}" target="_blank">${escape(row.tranId)}</a></td>` +
+            [row.customer, row.rep, row.item, row.uom, row.quantity, row.grade].map(function(value) {
+                return `<td style="padding:8px; border-bottom:1px solid #ddd;">${escape(value)}</td>`;
+            }).join('') +
+            getFigureCells([formatNumber(row.bf), `$${formatNumber(row.revenue)}`, `$${formatNumber(row.cost)}`]) +
+            getMarginCells(row);
+    }
+
+    /**
+     * Renders right-aligned figure cells
+     *
+     * @param {Array} values - Display values
+     * @returns {string} HTML content
+     */
+    function getFigureCells(values) {
+        return values.map(function(value) {
+            return `<td style="padding:8px; border-bottom:1px solid #ddd; text-align:right;">${escape(value)}</td>`;
+        }).join('');
+    }
+
+    /**
+     * Renders the margin and margin % cells, red when negative
+     *
+     * @param {Object} row - Row with margin and marginPct
+     * @returns {string} HTML content
+     */
+    function getMarginCells(row) {
+        const color = row.margin < 0 ? '#dc3545' : '#28a745';
+        return `<td style="padding:8px; border-bottom:1px solid #ddd; text-align:right; color:${color};">$${formatNumber(row.margin)}</td>` +
+            `<td style="padding:8px; border-bottom:1px solid #ddd; text-align:right; color:${color};">${row.marginPct}%</td>`;
+    }
+
+    /**
+     * Outputs the report as CSV
+     *
+     * @param {Object} response - Response object
+     * @param {Object} report - Report data
+     */
+    function outputCSV(response, report) {
+        let csv = report.columns.join(',') + '\n';
+
+        report.csvRows.forEach(function(row) {
+            csv += row.map(function(cell) {
+                // Escape quotes and wrap in quotes if needed
+                const str = String(cell === null || cell === undefined ? '' : cell).replace(/"/g, '""');
+                return str.includes(',') || str.includes('"') || str.includes('\n')
+                    ? `"${str}"`
+                    : str;
+            }).join(',') + '\n';
+        });
+
+        response.setHeader({
+            name: 'Content-Type',
+            value: 'text/csv'
+        });
+        response.setHeader({
+            name: 'Content-Disposition',
+            value: `attachment; filename="${report.title.replace(/[^A-Za-z0-9]+/g, '_')}.csv"`
+        });
+        response.write(csv);
+    }
+
+    /**
+     * Escapes text for HTML output
+     *
+     * @param {*} value - Raw value
+     * @returns {string} Escaped text
+     */
+    function escape(value) {
+        return value === null || value === undefined ? '' : xml.escape({ xmlText: String(value) });
+    }
+
+    /**
+     * Formats a number with thousands separators
+     *
+     * @param {number} num - Number to format
+     * @returns {string} Formatted number
+     */
+    function formatNumber(num) {
+        if (typeof num !== 'number') return '0';
+        return num.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    return {
+        onRequest: onRequest
+    };
+});
@@ -28,6 +28,9 @@ define([
     '../lib/cls_dimension_resolver',
     '../lib/cls_bf_calculator',
     '../lib/cls_validation',
+    '../lib/cls_weight_service',
+    '../lib/cls_landed_cost_service',
+    '../lib/cls_pricing_service',
     '../lib/cls_logger'
 ], (
     record,
@@ -40,6 +43,9 @@ define([
     DimensionResolver,
     BFCalculator,
     Validation,
+    WeightService,
+    LandedCostService,
+    PricingService,
     Logger
 ) => {
 
@@ -110,6 +116,7 @@ define([
                 hideSublistField(itemSublist, LINE_FIELDS.DIM_THICKNESS);
                 hideSublistField(itemSublist, LINE_FIELDS.DIM_WIDTH);
                 hideSublistField(itemSublist, LINE_FIELDS.DIM_LENGTH);
+                hideSublistField(itemSublist, LINE_FIELDS.DIMS_IN_MM);
                 hideSublistField(itemSublist, LINE_FIELDS.SELLING_UOM);
             }
 
@@ -208,6 +215,14 @@ define([
             }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.INLINE })
               .defaultValue = summary.lumberLineCount;
 
+            form.addField({
+                id: 'custpage_sum_total_weight',
+                type: serverWidget.FieldType.FLOAT,
+                label: 'Shipping Weight (lbs)',
+                container: 'custpage_bf_summary'
+            }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.INLINE })
+              .defaultValue = summary.totalWeight;
+
             form.addField({
                 id: 'custpage_sum_avg_price_bf',
                 type: serverWidget.FieldType.CURRENCY,
@@ -247,6 +262,7 @@ define([
         let totalBF = 0;
         let totalRevenue = 0;
         let totalCost = 0;
+        let totalWeight = 0;
         let lumberLineCount = 0;
 
         for (let i = 0; i < lineCount; i++) {
@@ -280,9 +296,16 @@ define([
                 line: i
             })) || 0;
 
+            const weight = parseFloat(rec.getSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.SHIP_WEIGHT,
+                line: i
+            })) || 0;
+
             totalBF += bf;
             totalRevenue += amount;
             totalCost += bfCost;
+            totalWeight += weight;
         }
 
         const margin = totalRevenue - totalCost;
@@ -294,6 +317,7 @@ define([
             lumberLineCount,
             totalRevenue: BFCalculator.roundTo(totalRevenue, PRECISION.CURRENCY),
             totalCost: BFCalculator.roundTo(totalCost, PRECISION.CURRENCY),
+            totalWeight: BFCalculator.roundTo(totalWeight, PRECISION.WEIGHT),
             margin: BFCalculator.roundTo(margin, PRECISION.CURRENCY),
             marginPct: BFCalculator.roundTo(marginPct, PRECISION.PERCENTAGE),
             avgPricePerBF: BFCalculator.roundTo(avgPricePerBF, PRECISION.CURRENCY)
@@ -338,7 +362,7 @@ define([
             }
 
             // Process all lines
-            const result = processSalesOrderLines(newRecord);
+            const result = processSalesOrderLines(newRecord, oldRecord);
 
             if (!result.success) {
                 log.error('beforeSubmit', result.errors);
@@ -347,6 +371,7 @@ define([
             log.audit('beforeSubmit', {
                 recordId: newRecord.id,
                 totalBF: result.totalBF,
+                totalWeight: result.totalWeight,
                 linesProcessed: result.linesProcessed
             });
 
@@ -358,11 +383,12 @@ define([
     /**
      * Process all sales order lines
      */
-    const processSalesOrderLines = (rec) => {
+    const processSalesOrderLines = (rec, oldRecord) => {
         const result = {
             success: true,
             totalBF: 0,
             totalBFCost: 0,
+            totalWeight: 0,
             linesProcessed: 0,
             errors: []
         };
@@ -371,7 +397,7 @@ define([
 
         for (let i = 0; i < lineCount; i++) {
             try {
-                const lineResult = processSalesOrderLine(rec, i);
+                const lineResult = processSalesOrderLine(rec, i, oldRecord);
 
                 if (lineResult.isLumber) {
                     result.totalBF += lineResult.calculatedBF || 0;
@@ -395,6 +421,14 @@ define([
             value: BFCalculator.roundTo(result.totalBF, SettingsDAO.getBFPrecision())
         });
 
+        // Set shipping weights from calculated BF
+        const weights = WeightService.applyTransactionWeights(rec);
+        result.totalWeight = weights.totalWeight;
+
+        if (weights.linesMissingDensity > 0) {
+            log.audit('processSalesOrderLines', `${weights.linesMissingDensity} line(s) have no species density; weight excluded`);
+        }
+
         result.success = result.errors.length === 0;
         return result;
     };
@@ -402,13 +436,14 @@ define([
     /**
      * Process a single sales order line
      */
-    const processSalesOrderLine = (rec, lineNum) => {
+    const processSalesOrderLine = (rec, lineNum, oldRecord) => {
         const result = {
             success: true,
             isLumber: false,
             calculatedBF: 0,
             conversionFactor: 0,
             extendedBFCost: 0,
+            bfUnitPrice: 0,
             error: null
         };
 
@@ -453,14 +488,17 @@ define([
             itemId: itemId
         });
 
-        // Convert to BF
-        const conversion = ConversionEngine.convertToBoardFeet({
+        // Convert to BF on the pricing basis; dressed BF tracks actual dimensions
+        const pricingBasis = DimensionResolver.resolvePricingBasis({
+            customerId: rec.getValue({ fieldId: 'entity' }),
+            itemId: itemId
+        });
+
+        const conversion = ConversionEngine.convertWithDimensionBasis({
             sourceUom: sellingUom,
             sourceQty: displayQty,
-            thickness: dimensions.thickness,
-            width: dimensions.width,
-            length: dimensions.length,
-            piecesPerBundle: dimensions.piecesPerBundle
+            dimensions: dimensions,
+            pricingBasis: pricingBasis
         });
 
         if (!conversion.isValid) {
@@ -479,6 +517,14 @@ define([
             value: BFCalculator.roundTo(conversion.boardFeet, precision)
         });
 
+        // Set dressed BF for inventory
+        rec.setSublistValue({
+            sublistId: 'item',
+            fieldId: LINE_FIELDS.DRESSED_BF,
+            line: lineNum,
+            value: BFCalculator.roundTo(conversion.dressedBF, precision)
+        });
+
         // Set conversion factor
         rec.setSublistValue({
             sublistId: 'item',
@@ -488,7 +534,7 @@ define([
         });
 
         // Calculate BF cost
-        const bfCost = getItemBFCost(itemId);
+        const bfCost = getItemBFCost(rec, lineNum, itemId);
         const extendedBFCost = conversion.boardFeet * bfCost;
 
         rec.setSublistValue({
@@ -505,33 +551,104 @@ define([
             value: BFCalculator.roundTo(extendedBFCost, PRECISION.CURRENCY)
         });
 
+        // Apply grade-modified BF price; a hand-entered rate is kept
+        const bfUnitPrice = getLineBFPrice(rec, lineNum, itemId);
+
+        if (bfUnitPrice > 0) {
+            rec.setSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.BF_UNIT_PRICE,
+                line: lineNum,
+                value: bfUnitPrice
+            });
+        }
+
+        if (bfUnitPrice > 0 && PricingService.shouldRepriceLine(rec, lineNum, oldRecord)) {
+            const quantity = parseFloat(rec.getSublistValue({
+                sublistId: 'item',
+                fieldId: 'quantity',
+                line: lineNum
+            })) || conversion.boardFeet;
+            // conversion.boardFeet is measured on the pricing basis (dressed BF on ACTUAL)
+            const amount = BFCalculator.roundTo(conversion.boardFeet * bfUnitPrice, PRECISION.CURRENCY);
+
+            rec.setSublistValue({
+                sublistId: 'item',
+                fieldId: 'rate',
+                line: lineNum,
+                value: BFCalculator.roundTo(amount / quantity, PRECISION.FACTOR)
+            });
+
+            rec.setSublistValue({
+                sublistId: 'item',
+                fieldId: 'amount',
+                line: lineNum,
+                value: amount
+            });
+        }
+
         result.calculatedBF = conversion.boardFeet;
         result.conversionFactor = conversion.conversionFactor;
         result.extendedBFCost = extendedBFCost;
+        result.bfUnitPrice = bfUnitPrice;
 
         return result;
     };
 
     /**
-     * Get item BF cost
+     * Get the BF cost for a line
+     * Uses the landed cost of the line's tally, otherwise the item's open
+     * tallies at the line location, falling back to the item's base cost
+     *
+     * @param {Record} rec
+     * @param {number} lineNum
+     * @param {number} itemId
+     * @returns {number} Cost per BF
+     */
+    const getItemBFCost = (rec, lineNum, itemId) => {
+        return LandedCostService.getItemBFCost({
+            itemId,
+            tallyId: rec.getSublistValue({ sublistId: 'item', fieldId: LINE_FIELDS.TALLY_SHEET, line: lineNum }),
+            locationId: rec.getSublistValue({ sublistId: 'item', fieldId: 'location', line: lineNum }) ||
+                rec.getValue({ fieldId: 'location' })
+        });
+    };
+
+    /**
+     * Get the grade-modified BF price for a line
+     * Uses the line grade override, falling back to the item's grade
+     *
+     * @param {Record} rec
+     * @param {number} lineNum
+     * @param {number} itemId
+     * @returns {number} Price per BF, or 0 when the item has no base BF price
      */
-    const getItemBFCost = (itemId) => {
+    const getLineBFPrice = (rec, lineNum, itemId) => {
         try {
             const lookupResult = search.lookupFields({
                 type: search.Type.ITEM,
                 id: itemId,
-                columns: [ITEM_FIELDS.BASE_BF_COST, 'cost']
+                columns: [ITEM_FIELDS.BASE_BF_PRICE, ITEM_FIELDS.GRADE]
             });
 
-            const bfCost = parseFloat(lookupResult[ITEM_FIELDS.BASE_BF_COST]);
-            if (!isNaN(bfCost) && bfCost > 0) return bfCost;
+            const basePrice = parseFloat(lookupResult[ITEM_FIELDS.BASE_BF_PRICE]) || 0;
+            if (basePrice <= 0) return 0;
+
+            if (!SettingsDAO.isGradeEnabled()) {
+                return PricingService.getGradedBFPrice(basePrice, null);
+            }
 
-            const stdCost = parseFloat(lookupResult.cost);
-            if (!isNaN(stdCost)) return stdCost;
+            const itemGrade = lookupResult[ITEM_FIELDS.GRADE];
+            const gradeId = rec.getSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.GRADE_OVERRIDE,
+                line: lineNum
+            }) || (itemGrade && itemGrade.length > 0 ? itemGrade[0].value : null);
 
-            return 0;
+            return PricingService.getGradedBFPrice(basePrice, gradeId);
 
         } catch (e) {
+            log.error('getLineBFPrice', e);
             return 0;
         }
     };
@@ -579,6 +696,9 @@ define([
                     continue;
                 }
 
+                // Logged in inches/feet even when the line was keyed in mm
+                const lineDims = DimensionResolver.getLineDimensions({ record: rec, lineNum: i });
+
                 createConsumptionLogEntry({
                     sourceTransactionId: rec.id,
                     sourceType: Constants.SOURCE_TYPES.SALES_ORDER,
@@ -604,21 +724,9 @@ define([
                         fieldId: LINE_FIELDS.CONVERSION_FACTOR,
                         line: i
                     })) || 0,
-                    thickness: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_THICKNESS,
-                        line: i
-                    })) || 0,
-                    width: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_WIDTH,
-                        line: i
-                    })) || 0,
-                    length: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_LENGTH,
-                        line: i
-                    })) || 0,
+                    thickness: lineDims.thickness,
+                    width: lineDims.width,
+                    length: lineDims.length,
                     transactionDate: transactionDate,
                     subsidiaryId: subsidiaryId
                 });
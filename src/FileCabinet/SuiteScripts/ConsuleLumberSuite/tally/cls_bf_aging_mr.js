@@ -0,0 +1,162 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_bf_aging_mr.js
+ * @description Tally Aging Map/Reduce Script for Consule LumberSuite™
+ *              Ages open tallies, totals carrying cost by age bucket and
+ *              maintains the stale inventory worklist
+ *
+ * Runs nightly:
+ * - Every open tally is aged from its received date and priced at its BF cost
+ * - Tallies past their species stale threshold get a worklist entry with a
+ *   suggested discount, repack or reprocess action
+ * - Worklist entries for tallies that are no longer stale are cleared
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_bf_aging_mr
+ */
+
+define([
+    'N/format',
+    '../lib/cls_constants',
+    '../lib/cls_aging_service',
+    '../lib/cls_logger'
+], function(
+    format,
+    Constants,
+    AgingService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_BFAging_MR');
+
+    /**
+     * getInputData Entry Point
+     * Ages every open tally against its stale threshold
+     *
+     * @returns {Array<Object>} Tally evaluations
+     */
+    function getInputData() {
+        const runDate = new Date();
+        const thresholds = AgingService.getSpeciesThresholds();
+
+        const evaluations = AgingService.getOpenTallies().map(function(tally) {
+            const evaluation = AgingService.evaluateTally(tally, { thresholds: thresholds, asOf: runDate });
+            evaluation.runDate = format.format({ value: runDate, type: format.Type.DATE });
+            return evaluation;
+        });
+
+        logger.audit('getInputData', `${evaluations.length} open tallies to age`);
+
+        return evaluations;
+    }
+
+    /**
+     * map Entry Point
+     * Updates the worklist entry of a stale tally and passes its totals to its bucket
+     *
+     * @param {Object} context - Map/Reduce context
+     */
+    function map(context) {
+        const evaluation = JSON.parse(context.value);
+
+        if (evaluation.isStale) {
+            const result = AgingService.upsertWorklistEntry(evaluation,
+                format.parse({ value: evaluation.runDate, type: format.Type.DATE }));
+
+            if (!result.success) {
+                logger.error('map', `Tally ${evaluation.tallyNumber}: ${result.error}`);
+            }
+        }
+
+        context.write({
+            key: evaluation.bucket,
+            value: {
+                bf: evaluation.remainingBF,
+                value: evaluation.inventoryValue,
+                carryingCost: evaluation.carryingCost,
+                stale: evaluation.isStale
+            }
+        });
+    }
+
+    /**
+     * reduce Entry Point
+     * Totals one age bucket
+     *
+     * @param {Object} context - Map/Reduce context
+     */
+    function reduce(context) {
+        const totals = { count: 0, bf: 0, value: 0, carryingCost: 0, staleCount: 0 };
+
+        context.values.forEach(function(value) {
+            const tally = JSON.parse(value);
+            totals.count++;
+            totals.bf += tally.bf;
+            totals.value += tally.value;
+            totals.carryingCost += tally.carryingCost;
+            totals.staleCount += tally.stale ? 1 : 0;
+        });
+
+        context.write({ key: context.key, value: totals });
+    }
+
+    /**
+     * summarize Entry Point
+     * Logs bucket totals and clears worklist entries the run did not reach
+     *
+     * @param {Object} summary - Summary context
+     */
+    function summarize(summary) {
+        if (summary.inputSummary.error) {
+            // Without the tally list every entry would look unreviewed
+            logger.error('summarize', `Input error, worklist left unchanged: ${summary.inputSummary.error}`);
+            return;
+        }
+
+        let mapErrors = 0;
+
+        summary.mapSummary.errors.iterator().each(function(key, error) {
+            mapErrors++;
+            logger.error('summarize', `Map error for ${key}: ${error}`);
+            return true;
+        });
+
+        summary.reduceSummary.errors.iterator().each(function(key, error) {
+            logger.error('summarize', `Reduce error for bucket ${key}: ${error}`);
+            return true;
+        });
+
+        summary.output.iterator().each(function(key, value) {
+            const totals = JSON.parse(value);
+            logger.audit('summarize',
+                `${key}: ${totals.count} tallies, ${totals.bf.toFixed(2)} BF, ` +
+                `value ${totals.value.toFixed(2)}, carrying cost ${totals.carryingCost.toFixed(2)}, ${totals.staleCount} stale`);
+            return true;
+        });
+
+        if (mapErrors > 0) {
+            logger.audit('summarize', `${mapErrors} tallies failed, worklist not cleared this run`);
+            return;
+        }
+
+        const cleared = AgingService.clearStaleEntries(new Date(summary.dateCreated));
+        logger.audit('summarize', `Cleared ${cleared} worklist entries no longer stale`);
+    }
+
+    return {
+        getInputData: getInputData,
+        map: map,
+        reduce: reduce,
+        summarize: summarize
+    };
+});
@@ -0,0 +1,326 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ * @NModuleScope SameAccount
+ *
+ * @file cls_count_entry_sl.js
+ * @description Inventory Count Suitelet for Consule LumberSuite™
+ *              Mobile-friendly count entry for handheld scanners: pick a count
+ *              session, scan each bundle tag and record its measured BF or
+ *              pieces. Also runs the submit/approve/recount workflow actions
+ *              for the Inventory Count record buttons.
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_count_entry_sl
+ */
+
+define([
+    'N/runtime',
+    'N/redirect',
+    'N/url',
+    'N/xml',
+    '../lib/cls_constants',
+    '../lib/cls_count_service',
+    '../lib/cls_logger'
+], function(
+    runtime,
+    redirect,
+    url,
+    xml,
+    Constants,
+    CountService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_CountEntry_SL');
+
+    const COUNT_STATUS = Constants.COUNT_STATUS;
+
+    /**
+     * Count actions
+     * @type {Object}
+     */
+    const ACTIONS = {
+        COUNT: 'count',
+        SUBMIT: 'submit',
+        APPROVE: 'approve',
+        REOPEN: 'reopen'
+    };
+
+    /**
+     * Main entry point
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function onRequest(context) {
+        try {
+            if (context.request.method === 'GET') {
+                context.response.write(renderPage(context.request.parameters));
+            } else {
+                handleAction(context);
+            }
+        } catch (e) {
+            logger.error('onRequest', `Error: ${e.message}`, { stack: e.stack });
+            context.response.write(renderPage({ error: e.message }));
+        }
+    }
+
+    /**
+     * Runs the posted action, then answers with JSON for record buttons or
+     * redirects back to the count session
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function handleAction(context) {
+        const params = context.request.parameters;
+        const result = runAction(params);
+
+        if (result.success) {
+            logger.audit('handleAction', `${params.countAction} on count ${params.sessionId}: ${result.message}`);
+        }
+
+        if (params.responseType === 'json') {
+            context.response.setHeader({ name: 'Content-Type', value: 'application/json' });
+            context.response.write(JSON.stringify(result));
+            return;
+        }
+
+        const script = runtime.getCurrentScript();
+        redirect.toSuitelet({
+            scriptId: script.id,
+            deploymentId: script.deploymentId,
+            parameters: result.success
+                ? { sessionId: params.sessionId, msg: result.message }
+                : { sessionId: params.sessionId, error: result.error }
+        });
+    }
+
+    /**
+     * Runs a count action through the count service
+     *
+     * @param {Object} params - Posted parameters
+     * @returns {Object} Result with message or error
+     */
+    function runAction(params) {
+        const sessionId = params.sessionId;
+
+        switch (params.countAction) {
+            case ACTIONS.COUNT: {
+                const result = CountService.recordCount({
+                    sessionId: sessionId,
+                    code: params.code,
+                    countedBF: params.countedBF,
+                    countedPieces: params.countedPieces,
+                    notes: params.notes
+                });
+
+                return result.success
+                    ? {
+                        success: true,
+                        message: `${result.tallyNumber}: ${result.countedBF} BF counted` +
+                            (result.updated ? ' (replaces the earlier count)' : '')
+                    }
+                    : result;
+            }
+
+            case ACTIONS.SUBMIT: {
+                const result = CountService.submitSession(sessionId);
+                return result.success
+                    ? { success: true, message: 'Count submitted. Variances will be ready for approval shortly.' }
+                    : result;
+            }
+
+            case ACTIONS.APPROVE: {
+                const result = CountService.approveSession(sessionId);
+                return result.success
+                    ? { success: true, message: 'Count approved. Adjustments will post shortly.' }
+                    : result;
+            }
+
+            case ACTIONS.REOPEN: {
+                const result = CountService.reopenSession(sessionId, params.reason);
+                return result.success
+                    ? { success: true, message: 'Count returned for recount.' }
+                    : result;
+            }
+
+            default:
+                return { success: false, error: 'Unknown action' };
+        }
+    }
+
+    /**
+     * Escapes text for HTML output
+     *
+     * @param {*} value - Raw value
+     * @returns {string} Escaped text
+     */
+    function escape(value) {
+        return value === null || value === undefined ? '' : xml.escape({ xmlText: String(value) });
+    }
+
+    /**
+     * Builds a link back to this Suitelet
+     *
+     * @param {Object} [params] - URL parameters
+     * @returns {string} URL
+     */
+    function getPageUrl(params) {
+        const script = runtime.getCurrentScript();
+        return url.resolveScript({
+            scriptId: script.id,
+            deploymentId: script.deploymentId,
+            params: params || {}
+        });
+    }
+
+    /**
+     * Renders the count page
+     *
+     * @param {Object} params - Request parameters
+     * @returns {string} HTML content
+     */
+    function renderPage(params) {
+        let body = '';
+
+        if (params.msg) {
+            body += `<div class="banner ok">${escape(params.msg)}</div>`;
+        }
+        if (params.error) {
+            body += `<div class="banner error">${escape(params.error)}</div>`;
+        }
+
+        const session = params.sessionId ? CountService.getSession(params.sessionId) : null;
+
+        if (params.sessionId && !session) {
+            body += '<div class="banner error">Count session not found.</div>';
+        }
+
+        body += session ? renderSession(session) : renderSessionList();
+
+        return `<!DOCTYPE html>
+        <html>
+        <head>
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+            <title>LumberSuite™ Inventory Count</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 0; padding: 12px; font-size: 16px; background: #f5f5f5; }
+                h1 { font-size: 20px; color: #2c5530; margin: 0 0 12px 0; }
+                input, button { font-size: 18px; padding: 10px; border-radius: 4px; border: 1px solid #ccc; }
+                input[type=text], input[type=number] { width: 100%; box-sizing: border-box; }
+                button { background: #2c5530; color: #fff; border: none; white-space: nowrap; }
+                a { color: #2c5530; }
+                .card { background: #fff; border-radius: 8px; padding: 12px; margin-bottom: 12px; }
+                .card h2 { font-size: 18px; margin: 0 0 8px 0; }
+                .row { display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #eee; }
+                .label { color: #666; }
+                .value { font-weight: bold; }
+                .banner { padding: 10px; border-radius: 4px; margin-bottom: 12px; }
+                .ok { background: #d4edda; color: #155724; }
+                .error { background: #f8d7da; color: #721c24; }
+                .stack { display: flex; flex-direction: column; gap: 8px; }
+                .pair { display: flex; gap: 8px; }
+                .negative { color: #dc3545; }
+            </style>
+        </head>
+        <body>
+            <h1>LumberSuite™ Inventory Count</h1>
+            ${body}
+        </body>
+        </html>`;
+    }
+
+    /**
+     * Renders the list of sessions open for counting
+     *
+     * @returns {string} HTML content
+     */
+    function renderSessionList() {
+        const sessions = CountService.getCountingSessions();
+
+        if (sessions.length === 0) {
+            return '<div class="card">No count sessions are open. A supervisor creates them under CLS Inventory Count.</div>';
+        }
+
+        return `<div class="card"><h2>Open Count Sessions</h2>${sessions.map(session =>
+            `<div class="row"><a href="${escape(getPageUrl({ sessionId: session.sessionId }))}">${escape(session.name)}</a>` +
+            `<span class="label">${escape(session.locationName)} · ${escape(session.countDate)}</span></div>`
+        ).join('')}</div>`;
+    }
+
+    /**
+     * Renders a count session with its entry form and counted tallies
+     *
+     * @param {Object} session - Session from CountService.getSession
+     * @returns {string} HTML content
+     */
+    function renderSession(session) {
+        const lines = CountService.getSessionLines(session.sessionId);
+        const countedBF = lines.reduce((sum, line) => sum + line.countedBF, 0);
+        const isCounting = session.status === COUNT_STATUS.COUNTING;
+
+        const details = [
+            ['Location', session.locationName],
+            ['Status', Constants.COUNT_STATUS_LABELS[session.status] || session.status],
+            ['Type', session.fullCount ? 'Full count' : 'Cycle count'],
+            ['Tallies Counted', lines.length],
+            ['Counted BF', countedBF.toFixed(2)]
+        ];
+
+        let html = `<div class="card"><h2>${escape(session.name)}</h2>`;
+        html += details.map(([label, value]) =>
+            `<div class="row"><span class="label">${label}</span><span class="value">${escape(value) || '-'}</span></div>`
+        ).join('');
+        html += `<div class="row"><a href="${escape(getPageUrl())}">All count sessions</a></div></div>`;
+
+        const hidden = `<input type="hidden" name="sessionId" value="${escape(session.sessionId)}">`;
+
+        if (isCounting) {
+            html += `
+                <form method="POST" class="card stack">
+                    <h2>Count a Tally</h2>
+                    ${hidden}
+                    <input type="hidden" name="countAction" value="${ACTIONS.COUNT}">
+                    <input type="text" name="code" placeholder="Scan bundle tag" autofocus autocomplete="off" required>
+                    <div class="pair">
+                        <input type="number" name="countedBF" step="0.01" min="0" placeholder="Counted BF">
+                        <input type="number" name="countedPieces" step="1" min="0" placeholder="or Pieces">
+                    </div>
+                    <input type="text" name="notes" placeholder="Notes (optional)">
+                    <button type="submit">Record Count</button>
+                </form>`;
+        }
+
+        if (lines.length > 0) {
+            html += `<div class="card"><h2>Counted Tallies</h2>${lines.map(line => {
+                const variance = line.systemBF === null
+                    ? ''
+                    : ` <span class="${line.varianceBF < 0 ? 'negative' : ''}">(${line.varianceBF >= 0 ? '+' : ''}${line.varianceBF.toFixed(2)})</span>`;
+                return `<div class="row"><span>${escape(line.tallyNumber)}</span>` +
+                    `<span class="value">${line.countedBF.toFixed(2)} BF${line.countedPieces ? ` · ${escape(line.countedPieces)} pcs` : ''}${variance}</span></div>`;
+            }).join('')}</div>`;
+        }
+
+        if (isCounting) {
+            html += `
+                <form method="POST" class="card stack" onsubmit="return confirm('Submit this count? No more tallies can be counted afterwards.');">
+                    ${hidden}
+                    <input type="hidden" name="countAction" value="${ACTIONS.SUBMIT}">
+                    <button type="submit">Submit Count for Approval</button>
+                </form>`;
+        }
+
+        return html;
+    }
+
+    return {
+        onRequest: onRequest
+    };
+});
@@ -0,0 +1,248 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_count_reconciliation_mr.js
+ * @description Count Reconciliation Map/Reduce Script for Consule LumberSuite™
+ *              Compares physical counts against tally balances and posts
+ *              supervisor-approved count adjustments
+ *
+ * Processes every count session waiting on it:
+ * - Submitted: computes each count line's variance against Remaining BF.
+ *   Full counts also record tallies at the location that were not counted.
+ *   The session then moves to Pending Approval.
+ * - Approved: posts the inventory adjustment and corrects the tallies
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_count_reconciliation_mr
+ */
+
+define([
+    'N/search',
+    '../lib/cls_constants',
+    '../lib/cls_count_service',
+    '../lib/cls_logger'
+], function(
+    search,
+    Constants,
+    CountService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_CountReconciliation_MR');
+
+    const COUNT_FIELDS = Constants.COUNT_FIELDS;
+    const LINE_FIELDS = Constants.COUNT_LINE_FIELDS;
+    const COUNT_STATUS = Constants.COUNT_STATUS;
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+
+    /**
+     * Processing stages
+     * @type {Object}
+     */
+    const STAGES = {
+        VARIANCE: 'variance',
+        POST: 'post'
+    };
+
+    /**
+     * getInputData Entry Point
+     * Collects the count lines of submitted sessions, the uncounted tallies of
+     * submitted full counts, and the approved sessions to post
+     *
+     * @returns {Array<Object>} Work entries
+     */
+    function getInputData() {
+        const sessions = getWaitingSessions();
+        const entries = [];
+
+        sessions.forEach(function(session) {
+            const stage = session.status === COUNT_STATUS.APPROVED ? STAGES.POST : STAGES.VARIANCE;
+
+            // One entry per session so every session reaches reduce, even with no lines
+            entries.push({ stage: stage, sessionId: session.sessionId });
+
+            if (stage !== STAGES.VARIANCE) {
+                return;
+            }
+
+            const countedTallies = {};
+
+            eachResult(search.create({
+                type: Constants.RECORD_TYPES.INVENTORY_COUNT_LINE,
+                filters: [[LINE_FIELDS.COUNT, 'anyof', session.sessionId]],
+                columns: [LINE_FIELDS.TALLY]
+            }), function(result) {
+                const tallyId = result.getValue(LINE_FIELDS.TALLY);
+                countedTallies[tallyId] = true;
+                entries.push({ stage: stage, sessionId: session.sessionId, lineId: result.id, tallyId: tallyId });
+            });
+
+            if (!session.fullCount) {
+                return;
+            }
+
+            eachResult(search.create({
+                type: Constants.RECORD_TYPES.TALLY_SHEET,
+                filters: [
+                    [TALLY_FIELDS.LOCATION, 'anyof', session.locationId],
+                    'AND',
+                    [TALLY_FIELDS.STATUS, 'anyof', [Constants.TALLY_STATUS.OPEN, Constants.TALLY_STATUS.ALLOCATED]],
+                    'AND',
+                    [TALLY_FIELDS.REMAINING_BF, 'greaterthan', 0]
+                ],
+                columns: ['internalid']
+            }), function(result) {
+                if (!countedTallies[result.id]) {
+                    entries.push({ stage: stage, sessionId: session.sessionId, lineId: null, tallyId: result.id });
+                }
+            });
+        });
+
+        logger.audit('getInputData', `${sessions.length} count sessions, ${entries.length} entries`);
+
+        return entries;
+    }
+
+    /**
+     * Lists sessions waiting on variance calculation or posting
+     *
+     * @returns {Array<Object>} { sessionId, status, locationId, fullCount }
+     */
+    function getWaitingSessions() {
+        const sessions = [];
+
+        search.create({
+            type: Constants.RECORD_TYPES.INVENTORY_COUNT,
+            filters: [[COUNT_FIELDS.STATUS, 'anyof', [COUNT_STATUS.SUBMITTED, COUNT_STATUS.APPROVED]]],
+            columns: [COUNT_FIELDS.STATUS, COUNT_FIELDS.LOCATION, COUNT_FIELDS.FULL_COUNT]
+        }).run().each(function(result) {
+            sessions.push({
+                sessionId: result.id,
+                status: result.getValue(COUNT_FIELDS.STATUS),
+                locationId: result.getValue(COUNT_FIELDS.LOCATION),
+                fullCount: result.getValue(COUNT_FIELDS.FULL_COUNT) === true
+            });
+            return true;
+        });
+
+        return sessions;
+    }
+
+    /**
+     * Runs a callback for every result of a search, past the 4,000 result limit
+     *
+     * @param {Search} searchObj - Search to run
+     * @param {Function} callback - Called with each result
+     */
+    function eachResult(searchObj, callback) {
+        const pagedData = searchObj.runPaged({ pageSize: 1000 });
+
+        pagedData.pageRanges.forEach(function(pageRange) {
+            pagedData.fetch({ index: pageRange.index }).data.forEach(callback);
+        });
+    }
+
+    /**
+     * map Entry Point
+     * Computes the variance of one count line
+     *
+     * @param {Object} context - Map/Reduce context
+     */
+    function map(context) {
+        const entry = JSON.parse(context.value);
+
+        if (entry.stage === STAGES.VARIANCE && entry.tallyId) {
+            const result = CountService.computeLineVariance(entry);
+
+            if (!result.success) {
+                logger.error('map', `Count ${entry.sessionId}, tally ${entry.tallyId}: ${result.error}`);
+            }
+        }
+
+        context.write({ key: entry.sessionId, value: entry.stage });
+    }
+
+    /**
+     * reduce Entry Point
+     * Completes the variance run or posts one session
+     *
+     * @param {Object} context - Map/Reduce context
+     */
+    function reduce(context) {
+        const sessionId = context.key;
+        const stage = context.values[0];
+
+        try {
+            if (stage === STAGES.POST) {
+                const result = CountService.postSession(sessionId);
+
+                if (!result.success) {
+                    logger.error('reduce', `Count ${sessionId} not posted: ${result.error}`);
+                } else {
+                    logger.audit('reduce',
+                        `Count ${sessionId} posted: ${result.adjustedTallies} tallies, ${result.varianceBF} BF, adjustment ${result.adjustmentId || 'none'}`);
+                }
+            } else {
+                const result = CountService.completeVarianceRun(sessionId);
+                logger.audit('reduce',
+                    `Count ${sessionId}: system ${result.systemBF} BF, counted ${result.countedBF} BF, variance ${result.varianceBF} BF`);
+            }
+
+        } catch (e) {
+            logger.error('reduce', `Count ${sessionId}: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * summarize Entry Point
+     * Logs the run and re-queues sessions submitted or approved while it ran
+     *
+     * @param {Object} summary - Summary context
+     */
+    function summarize(summary) {
+        const processed = {};
+
+        // Sessions reduced in this run, including any that failed
+        summary.reduceSummary.keys.iterator().each(function(key) {
+            processed[key] = true;
+            return true;
+        });
+
+        summary.mapSummary.errors.iterator().each(function(key, error) {
+            logger.error('summarize', `Map error for ${key}: ${error}`);
+            return true;
+        });
+
+        summary.reduceSummary.errors.iterator().each(function(key, error) {
+            logger.error('summarize', `Reduce error for count ${key}: ${error}`);
+            return true;
+        });
+
+        logger.audit('summarize', `Processed ${Object.keys(processed).length} count sessions`);
+
+        const waiting = getWaitingSessions().filter(function(session) {
+            return !processed[session.sessionId];
+        });
+
+        if (waiting.length > 0) {
+            logger.audit('summarize', `${waiting.length} count sessions arrived during the run, re-queuing`);
+            CountService.queueReconciliation();
+        }
+    }
+
+    return {
+        getInputData: getInputData,
+        map: map,
+        reduce: reduce,
+        summarize: summarize
+    };
+});
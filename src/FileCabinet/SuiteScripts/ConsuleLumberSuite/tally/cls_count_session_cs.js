@@ -0,0 +1,152 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType ClientScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_count_session_cs.js
+ * @description Inventory Count Client Script for Consule LumberSuite™
+ *              Button handlers for the count/approve workflow
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_count_session_cs
+ */
+
+define([
+    'N/https',
+    'N/url',
+    'N/ui/dialog',
+    '../lib/cls_constants'
+], function(
+    https,
+    url,
+    dialog,
+    Constants
+) {
+    'use strict';
+
+    /**
+     * pageInit Entry Point
+     *
+     * @param {Object} context - Script context
+     */
+    function pageInit(context) {
+        // Workflow buttons only
+    }
+
+    /**
+     * Gets the count Suitelet URL
+     *
+     * @param {Object} [params] - URL parameters
+     * @returns {string} URL
+     */
+    function getCountUrl(params) {
+        return url.resolveScript({
+            scriptId: Constants.SCRIPTS.COUNT_SL,
+            deploymentId: Constants.DEPLOYMENTS.COUNT_SL,
+            params: params || {}
+        });
+    }
+
+    /**
+     * Runs a workflow action through the count Suitelet and reloads the record
+     *
+     * @param {number} countId - Inventory count record ID
+     * @param {string} action - Count action
+     * @param {Object} [extra] - Additional parameters
+     */
+    function runCountAction(countId, action, extra) {
+        const body = Object.assign({
+            sessionId: countId,
+            countAction: action,
+            responseType: 'json'
+        }, extra || {});
+
+        return https.post.promise({
+            url: getCountUrl(),
+            body: body
+        }).then(function(response) {
+            const result = JSON.parse(response.body);
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            window.location.reload();
+        });
+    }
+
+    /**
+     * Shows a failed workflow action
+     *
+     * @param {Error} error - Error
+     */
+    function showError(error) {
+        dialog.alert({
+            title: 'Error',
+            message: error.message
+        });
+    }
+
+    /**
+     * Opens the count entry screen for the session
+     *
+     * @param {number} countId - Inventory count record ID
+     */
+    function enterCounts(countId) {
+        window.open(getCountUrl({ sessionId: countId }), '_blank');
+    }
+
+    /**
+     * Submits the count for variance calculation
+     *
+     * @param {number} countId - Inventory count record ID
+     */
+    function submitCount(countId) {
+        dialog.confirm({
+            title: 'Submit Count',
+            message: 'Submit this count? No more tallies can be counted, and variances are calculated for supervisor approval.'
+        }).then(function(result) {
+            return result ? runCountAction(countId, 'submit') : null;
+        }).catch(showError);
+    }
+
+    /**
+     * Approves the count and posts its adjustments
+     *
+     * @param {number} countId - Inventory count record ID
+     */
+    function approveCount(countId) {
+        dialog.confirm({
+            title: 'Approve & Post',
+            message: 'Approve this count? The proposed inventory adjustment is posted and tally balances are corrected.'
+        }).then(function(result) {
+            return result ? runCountAction(countId, 'approve') : null;
+        }).catch(showError);
+    }
+
+    /**
+     * Returns the count to the counters for a recount
+     *
+     * @param {number} countId - Inventory count record ID
+     */
+    function returnForRecount(countId) {
+        const reason = window.prompt('Why does this count need a recount?');
+
+        if (reason === null) {
+            return;
+        }
+
+        runCountAction(countId, 'reopen', { reason: reason }).catch(showError);
+    }
+
+    window.enterCounts = enterCounts;
+    window.submitCount = submitCount;
+    window.approveCount = approveCount;
+    window.returnForRecount = returnForRecount;
+
+    return {
+        pageInit: pageInit
+    };
+});
@@ -0,0 +1,214 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_count_session_ue.js
+ * @description Inventory Count User Event Script for Consule LumberSuite™
+ *              Drives the count/approve workflow on inventory count sessions
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_count_session_ue
+ */
+
+define([
+    'N/runtime',
+    'N/ui/serverWidget',
+    '../lib/cls_constants',
+    '../lib/cls_count_service',
+    '../lib/cls_logger'
+], function(
+    runtime,
+    serverWidget,
+    Constants,
+    CountService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_CountSession_UE');
+
+    const COUNT_FIELDS = Constants.COUNT_FIELDS;
+    const COUNT_STATUS = Constants.COUNT_STATUS;
+
+    /**
+     * beforeLoad Entry Point
+     * Sets defaults on new sessions and adds workflow buttons in view mode
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {string} context.type - Trigger type
+     * @param {Form} context.form - Current form
+     */
+    function beforeLoad(context) {
+        try {
+            const countRec = context.newRecord;
+
+            if (context.type === context.UserEventType.CREATE) {
+                setDefaultValues(countRec);
+            }
+
+            if (context.type === context.UserEventType.VIEW) {
+                addWorkflowButtons(countRec, context.form);
+                addProposedAdjustments(countRec, context.form);
+            }
+        } catch (e) {
+            logger.error('beforeLoad', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * beforeSubmit Entry Point
+     * Keeps status changes on the workflow: only the approving supervisor may
+     * approve, and status is not edited by hand in the UI
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {Record} context.oldRecord - Previous record (edit only)
+     * @param {string} context.type - Trigger type
+     */
+    function beforeSubmit(context) {
+        if (context.type === context.UserEventType.DELETE) {
+            return;
+        }
+
+        const countRec = context.newRecord;
+
+        if (context.type === context.UserEventType.CREATE) {
+            setDefaultValues(countRec);
+            return;
+        }
+
+        const newStatus = countRec.getValue({ fieldId: COUNT_FIELDS.STATUS });
+        const oldStatus = context.oldRecord.getValue({ fieldId: COUNT_FIELDS.STATUS });
+
+        if (!newStatus || newStatus === oldStatus) {
+            return;
+        }
+
+        if (runtime.executionContext === runtime.ContextType.USER_INTERFACE &&
+            newStatus !== COUNT_STATUS.CANCELLED) {
+            throw new Error('Use the count workflow buttons to change the status of an inventory count.');
+        }
+
+        if (newStatus === COUNT_STATUS.APPROVED) {
+            const supervisorId = countRec.getValue({ fieldId: COUNT_FIELDS.SUPERVISOR }) ||
+                context.oldRecord.getValue({ fieldId: COUNT_FIELDS.SUPERVISOR });
+
+            if (!CountService.canApprove(supervisorId)) {
+                throw new Error('Only the approving supervisor can approve this count.');
+            }
+        }
+
+        logger.audit('beforeSubmit',
+            `Count ${countRec.id}: ${Constants.COUNT_STATUS_LABELS[oldStatus] || 'New'} → ${Constants.COUNT_STATUS_LABELS[newStatus]}`);
+    }
+
+    /**
+     * Sets default status and count date for new sessions
+     *
+     * @param {Record} countRec - Inventory count record
+     */
+    function setDefaultValues(countRec) {
+        if (!countRec.getValue({ fieldId: COUNT_FIELDS.STATUS })) {
+            countRec.setValue({ fieldId: COUNT_FIELDS.STATUS, value: COUNT_STATUS.COUNTING });
+        }
+
+        if (!countRec.getValue({ fieldId: COUNT_FIELDS.COUNT_DATE })) {
+            countRec.setValue({ fieldId: COUNT_FIELDS.COUNT_DATE, value: new Date() });
+        }
+    }
+
+    /**
+     * Adds the buttons for the session's workflow step
+     *
+     * @param {Record} countRec - Inventory count record
+     * @param {Form} form - Current form
+     */
+    function addWorkflowButtons(countRec, form) {
+        const status = countRec.getValue({ fieldId: COUNT_FIELDS.STATUS });
+
+        form.clientScriptModulePath = './cls_count_session_cs.js';
+
+        if (status === COUNT_STATUS.COUNTING) {
+            form.addButton({
+                id: 'custpage_btn_enter_counts',
+                label: 'Enter Counts',
+                functionName: `enterCounts(${countRec.id})`
+            });
+            form.addButton({
+                id: 'custpage_btn_submit_count',
+                label: 'Submit for Approval',
+                functionName: `submitCount(${countRec.id})`
+            });
+        }
+
+        if (status === COUNT_STATUS.PENDING_APPROVAL &&
+            CountService.canApprove(countRec.getValue({ fieldId: COUNT_FIELDS.SUPERVISOR }))) {
+            form.addButton({
+                id: 'custpage_btn_approve_count',
+                label: 'Approve & Post',
+                functionName: `approveCount(${countRec.id})`
+            });
+            form.addButton({
+                id: 'custpage_btn_reopen_count',
+                label: 'Return for Recount',
+                functionName: `returnForRecount(${countRec.id})`
+            });
+        }
+    }
+
+    /**
+     * Shows the inventory adjustment lines that approval will post
+     *
+     * @param {Record} countRec - Inventory count record
+     * @param {Form} form - Current form
+     */
+    function addProposedAdjustments(countRec, form) {
+        const status = countRec.getValue({ fieldId: COUNT_FIELDS.STATUS });
+
+        if (status !== COUNT_STATUS.PENDING_APPROVAL && status !== COUNT_STATUS.APPROVED) {
+            return;
+        }
+
+        const adjustments = CountService.getProposedAdjustments(countRec.id);
+
+        const rows = adjustments.map(adj => `
+            <tr>
+                <td>${adj.itemName}</td>
+                <td align="right">${adj.tallyCount}</td>
+                <td align="right">${adj.systemBF.toFixed(2)}</td>
+                <td align="right">${adj.countedBF.toFixed(2)}</td>
+                <td align="right" style="color:${adj.varianceBF < 0 ? '#dc3545' : '#28a745'};">${adj.varianceBF.toFixed(2)}</td>
+            </tr>`).join('');
+
+        const field = form.addField({
+            id: 'custpage_cls_proposed_adjustments',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'Proposed Adjustments'
+        });
+
+        field.defaultValue = adjustments.length === 0
+            ? '<p style="margin:10px 0;">All counted tallies match the system. Approving closes the count without an adjustment.</p>'
+            : `<div style="margin:10px 0;">
+                <b>Proposed Inventory Adjustment</b>
+                <table cellpadding="4" style="border-collapse:collapse;margin-top:4px;">
+                    <tr style="background:#e8f0e9;">
+                        <th align="left">Item</th><th>Tallies</th><th>System BF</th><th>Counted BF</th><th>Adjust BF</th>
+                    </tr>
+                    ${rows}
+                </table>
+            </div>`;
+    }
+
+    return {
+        beforeLoad: beforeLoad,
+        beforeSubmit: beforeSubmit
+    };
+});
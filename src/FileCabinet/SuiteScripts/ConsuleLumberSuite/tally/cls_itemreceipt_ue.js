@@ -0,0 +1,512 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_itemreceipt_ue.js
+ * @description Item Receipt User Event Script for Consule LumberSuite™
+ *              Auto-creates tally sheets for received lumber lines, keeps
+ *              them in step when the receipt is edited or deleted and records
+ *              their provisional purchase cost from the line rates
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_itemreceipt_ue
+ */
+
+define([
+    'N/record',
+    'N/search',
+    'N/url',
+    '../lib/cls_constants',
+    '../lib/cls_settings_dao',
+    '../lib/cls_dimension_resolver',
+    '../lib/cls_tally_service',
+    '../lib/cls_landed_cost_service',
+    '../lib/cls_bf_calculator',
+    '../lib/cls_conversion_engine',
+    '../lib/cls_logger'
+], function(
+    record,
+    search,
+    url,
+    Constants,
+    SettingsDAO,
+    DimensionResolver,
+    TallyService,
+    LandedCostService,
+    BFCalculator,
+    ConversionEngine,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_ItemReceipt_UE');
+
+    /**
+     * Receipts created from these order types are not new stock
+     * (transfer receipts move existing tallies instead)
+     * @type {Array<string>}
+     */
+    const SKIPPED_ORDER_TYPES = ['TrnfrOrd'];
+
+    /**
+     * beforeLoad Entry Point
+     * Adds a button to print bundle tags for every tally on the receipt
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {string} context.type - Trigger type
+     * @param {Form} context.form - Current form
+     */
+    function beforeLoad(context) {
+        try {
+            if (context.type !== context.UserEventType.VIEW || !SettingsDAO.isTallyEnabled()) {
+                return;
+            }
+
+            if (findReceiptTallyIds(context.newRecord.id).length === 0) {
+                return;
+            }
+
+            const printUrl = url.resolveScript({
+                scriptId: Constants.SCRIPTS.TALLY_PRINT_SL,
+                deploymentId: Constants.DEPLOYMENTS.TALLY_PRINT_SL,
+                params: { itemReceiptId: context.newRecord.id }
+            });
+
+            context.form.addButton({
+                id: 'custpage_print_tags',
+                label: 'Print Bundle Tags',
+                functionName: `window.open('${printUrl}', '_blank')`
+            });
+        } catch (e) {
+            logger.error('beforeLoad', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * beforeSubmit Entry Point
+     * Closes the receipt's tallies before the receipt is deleted so the
+     * tally records no longer reference it. The delete is refused while any
+     * of them is allocated to a work order.
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.oldRecord - Previous record
+     * @param {string} context.type - Trigger type
+     */
+    function beforeSubmit(context) {
+        try {
+            if (context.type !== context.UserEventType.DELETE) {
+                return;
+            }
+
+            if (!SettingsDAO.isTallyEnabled()) {
+                return;
+            }
+
+            closeReceiptTallies(context.oldRecord);
+        } catch (e) {
+            logger.error('beforeSubmit', `Error: ${e.message}`, { stack: e.stack });
+            throw e;
+        }
+    }
+
+    /**
+     * afterSubmit Entry Point
+     * Creates tally sheets for new receipts, syncs them on edit and records
+     * their purchase cost
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {Record} context.oldRecord - Previous record (edit only)
+     * @param {string} context.type - Trigger type
+     */
+    function afterSubmit(context) {
+        const startTime = Date.now();
+
+        try {
+            if (!SettingsDAO.isTallyEnabled()) {
+                return;
+            }
+
+            if (context.type !== context.UserEventType.CREATE &&
+                context.type !== context.UserEventType.EDIT) {
+                return;
+            }
+
+            const receiptRec = record.load({
+                type: record.Type.ITEM_RECEIPT,
+                id: context.newRecord.id,
+                isDynamic: false
+            });
+
+            if (SKIPPED_ORDER_TYPES.indexOf(receiptRec.getValue({ fieldId: 'ordertype' })) !== -1) {
+                return;
+            }
+
+            const sync = syncReceiptTallies(receiptRec);
+
+            if (sync.changed) {
+                receiptRec.save({ enableSourcing: false, ignoreMandatoryFields: true });
+            }
+
+            const costResult = LandedCostService.recordReceiptCosts({
+                receiptId: receiptRec.id,
+                receiptDate: receiptRec.getValue({ fieldId: 'trandate' }),
+                lines: sync.costLines
+            });
+
+            if (!costResult.success) {
+                logger.error('afterSubmit', `Receipt costs: ${costResult.error}`);
+            }
+
+            logger.audit('afterSubmit', `Item Receipt tally processing completed in ${Date.now() - startTime}ms`);
+        } catch (e) {
+            logger.error('afterSubmit', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * Creates, updates and closes tallies so they match the receipt lines
+     *
+     * @param {Record} receiptRec - Item Receipt record (standard mode)
+     * @returns {Object} { changed: true when the receipt itself needs saving,
+     *                    costLines: purchase cost of each line's tally }
+     */
+    function syncReceiptTallies(receiptRec) {
+        const autoCreate = SettingsDAO.isAutoCreateTallyEnabled();
+        const header = getReceiptHeader(receiptRec);
+        const lineCount = receiptRec.getLineCount({ sublistId: 'item' });
+        const keptTallyIds = [];
+        const costLines = [];
+        let changed = false;
+        let firstTallyId = null;
+
+        for (let i = 0; i < lineCount; i++) {
+            const lineData = getReceiptLineData(receiptRec, i, header);
+            const existingTallyId = receiptRec.getSublistValue({
+                sublistId: 'item',
+                fieldId: Constants.LINE_FIELDS.TALLY_SHEET,
+                line: i
+            });
+
+            if (!lineData) {
+                continue;
+            }
+
+            if (existingTallyId) {
+                updateLineTally(existingTallyId, lineData);
+                keptTallyIds.push(String(existingTallyId));
+                costLines.push(getLineCost(receiptRec, i, existingTallyId, lineData, header));
+                firstTallyId = firstTallyId || existingTallyId;
+                continue;
+            }
+
+            if (!autoCreate) {
+                continue;
+            }
+
+            const result = TallyService.createTallySheet(lineData);
+
+            if (!result.success) {
+                logger.error('syncReceiptTallies', `Line ${i + 1}: ${result.error}`);
+                continue;
+            }
+
+            receiptRec.setSublistValue({
+                sublistId: 'item',
+                fieldId: Constants.LINE_FIELDS.TALLY_SHEET,
+                line: i,
+                value: result.tallyId
+            });
+
+            keptTallyIds.push(String(result.tallyId));
+            costLines.push(getLineCost(receiptRec, i, result.tallyId, lineData, header));
+            firstTallyId = firstTallyId || result.tallyId;
+            changed = true;
+
+            logger.audit('syncReceiptTallies', `Line ${i + 1}: created tally ${result.tallyNumber} (${lineData.receivedBF} BF)`);
+        }
+
+        // Tallies whose receipt line was removed or unchecked are reversed
+        const closedTallyIds = [];
+
+        for (const tallyId of findReceiptTallyIds(receiptRec.id)) {
+            if (keptTallyIds.indexOf(String(tallyId)) === -1) {
+                const result = TallyService.closeTally({
+                    tallyId,
+                    reason: `Receipt line removed from ${header.tranId}`,
+                    unlinkReceipt: true
+                });
+
+                if (!result.success) {
+                    logger.error('syncReceiptTallies', `Tally ${tallyId}: ${result.error}`);
+                    continue;
+                }
+
+                closedTallyIds.push(tallyId);
+            }
+        }
+
+        if (closedTallyIds.length > 0) {
+            removeReceiptCosts(receiptRec.id, closedTallyIds);
+        }
+
+        const linkedTally = receiptRec.getValue({ fieldId: Constants.BODY_FIELDS.LINKED_TALLY });
+        const newLinkedTally = keptTallyIds.indexOf(String(linkedTally)) !== -1 ? linkedTally : (firstTallyId || '');
+
+        if (String(linkedTally || '') !== String(newLinkedTally)) {
+            receiptRec.setValue({ fieldId: Constants.BODY_FIELDS.LINKED_TALLY, value: newLinkedTally });
+            changed = true;
+        }
+
+        return { changed, costLines };
+    }
+
+    /**
+     * Reads receipt header values used on every tally
+     *
+     * @param {Record} receiptRec - Item Receipt record
+     * @returns {Object} Header values
+     */
+    function getReceiptHeader(receiptRec) {
+        return {
+            receiptId: receiptRec.id,
+            tranId: receiptRec.getValue({ fieldId: 'tranid' }) || `Receipt ${receiptRec.id}`,
+            vendorId: receiptRec.getValue({ fieldId: 'entity' }),
+            subsidiaryId: receiptRec.getValue({ fieldId: 'subsidiary' }),
+            locationId: receiptRec.getValue({ fieldId: 'location' }),
+            receivedDate: receiptRec.getValue({ fieldId: 'trandate' }),
+            exchangeRate: parseFloat(receiptRec.getValue({ fieldId: 'exchangerate' })) || 1
+        };
+    }
+
+    /**
+     * Prices a line's tally at the order rate until the vendor bill arrives
+     *
+     * @param {Record} receiptRec - Item Receipt record
+     * @param {number} line - Line index
+     * @param {string} tallyId - Tally sheet of the line
+     * @param {Object} lineData - Tally parameters built from the line
+     * @param {Object} header - Receipt header values
+     * @returns {Object} Cost line with tallyId, receivedBF and amount (base currency)
+     */
+    function getLineCost(receiptRec, line, tallyId, lineData, header) {
+        const rate = parseFloat(receiptRec.getSublistValue({ sublistId: 'item', fieldId: 'rate', line })) || 0;
+        const quantity = parseFloat(receiptRec.getSublistValue({ sublistId: 'item', fieldId: 'quantity', line })) || 0;
+
+        return {
+            tallyId,
+            receivedBF: lineData.receivedBF,
+            amount: BFCalculator.roundTo(rate * quantity * header.exchangeRate, Constants.PRECISION.CURRENCY)
+        };
+    }
+
+    /**
+     * Builds createTallySheet parameters from a receipt line
+     *
+     * @param {Record} receiptRec - Item Receipt record
+     * @param {number} line - Line index
+     * @param {Object} header - Receipt header values
+     * @returns {Object|null} Tally parameters, or null when the line needs no tally
+     */
+    function getReceiptLineData(receiptRec, line, header) {
+        const getLineValue = (fieldId) => receiptRec.getSublistValue({ sublistId: 'item', fieldId, line });
+
+        if (getLineValue('itemreceive') === false) {
+            return null;
+        }
+
+        const itemId = getLineValue('item');
+        if (!itemId || !DimensionResolver.isLumberItem(itemId)) {
+            return null;
+        }
+
+        const dims = DimensionResolver.resolveFromTransactionLine({
+            record: receiptRec,
+            lineNum: line,
+            itemId
+        });
+
+        const pieces = parseInt(getLineValue(Constants.LINE_FIELDS.PIECES_COUNT), 10) || null;
+        const receivedBF = calculateLineBF(getLineValue, dims, pieces, line);
+
+        if (receivedBF <= 0) {
+            logger.debug('getReceiptLineData', `Line ${line + 1}: no BF to receive`);
+            return null;
+        }
+
+        const moisture = getLineValue(Constants.LINE_FIELDS.MOISTURE_PCT);
+
+        return {
+            itemId,
+            vendorId: header.vendorId,
+            itemReceiptId: header.receiptId,
+            vendorLot: getLineValue(Constants.LINE_FIELDS.VENDOR_LOT) || undefined,
+            moisturePct: moisture !== '' && moisture !== null ? parseFloat(moisture) : undefined,
+            gradeId: getLineValue(Constants.LINE_FIELDS.GRADE_OVERRIDE) || undefined,
+            receivedBF,
+            receivedDate: header.receivedDate,
+            locationId: getLineValue('location') || header.locationId,
+            subsidiaryId: header.subsidiaryId,
+            thickness: dims.isValid ? dims.thickness : undefined,
+            width: dims.isValid ? dims.width : undefined,
+            length: dims.isValid ? dims.length : undefined,
+            pieces: pieces || undefined,
+            notes: `Auto-created from ${header.tranId}`
+        };
+    }
+
+    /**
+     * Determines received BF for a line
+     * Priority: calculated BF column, pieces x dimensions, received quantity
+     * in the item's stock unit
+     *
+     * @param {Function} getLineValue - Line value accessor
+     * @param {Object} dims - Resolved dimensions
+     * @param {number|null} pieces - Piece count
+     * @param {number} line - Line index
+     * @returns {number} Board feet, or 0 when the line cannot be converted
+     */
+    function calculateLineBF(getLineValue, dims, pieces, line) {
+        const calculatedBF = parseFloat(getLineValue(Constants.LINE_FIELDS.CALCULATED_BF)) || 0;
+        if (calculatedBF > 0) {
+            return BFCalculator.roundTo(calculatedBF, Constants.PRECISION.BF);
+        }
+
+        if (pieces && dims.isValid) {
+            return BFCalculator.calculateBFFromPieces(pieces, dims.thickness, dims.width, dims.length);
+        }
+
+        const quantity = parseFloat(getLineValue('quantity')) || 0;
+        if (quantity <= 0) {
+            return 0;
+        }
+
+        const stockUnit = ConversionEngine.getStockUnitBF(getLineValue('item'));
+        if (!stockUnit.isValid) {
+            logger.error('calculateLineBF', `Line ${line + 1}: no tally created. ${stockUnit.error}`);
+            return 0;
+        }
+
+        return BFCalculator.roundTo(quantity * stockUnit.bfPerUnit, Constants.PRECISION.BF);
+    }
+
+    /**
+     * Pushes edited receipt line values to its existing tally
+     *
+     * @param {string} tallyId - Tally sheet ID
+     * @param {Object} lineData - Tally parameters built from the line
+     */
+    function updateLineTally(tallyId, lineData) {
+        const values = {};
+        const T = Constants.TALLY_FIELDS;
+
+        if (lineData.vendorLot !== undefined) values[T.VENDOR_LOT] = lineData.vendorLot;
+        if (lineData.moisturePct !== undefined) values[T.MOISTURE_PCT] = lineData.moisturePct;
+        if (lineData.gradeId !== undefined) values[T.GRADE] = lineData.gradeId;
+        if (lineData.thickness !== undefined) values[T.THICKNESS] = lineData.thickness;
+        if (lineData.width !== undefined) values[T.WIDTH] = lineData.width;
+        if (lineData.length !== undefined) values[T.LENGTH] = lineData.length;
+        if (lineData.pieces !== undefined) values[T.PIECES] = lineData.pieces;
+
+        const result = TallyService.adjustReceivedBF({
+            tallyId,
+            receivedBF: lineData.receivedBF,
+            values
+        });
+
+        if (!result.success) {
+            logger.error('updateLineTally', `Tally ${tallyId}: ${result.error}`);
+        }
+    }
+
+    /**
+     * Finds open tallies created from a receipt
+     *
+     * @param {string|number} receiptId - Item Receipt internal ID
+     * @returns {Array<string>} Tally sheet IDs
+     */
+    function findReceiptTallyIds(receiptId) {
+        const tallyIds = [];
+
+        search.create({
+            type: Constants.RECORD_TYPES.TALLY_SHEET,
+            filters: [
+                [Constants.TALLY_FIELDS.ITEM_RECEIPT, 'anyof', receiptId],
+                'AND',
+                [Constants.TALLY_FIELDS.STATUS, 'noneof', Constants.TALLY_STATUS.CLOSED]
+            ],
+            columns: ['internalid']
+        }).run().each(function(result) {
+            tallyIds.push(result.id);
+            return true;
+        });
+
+        return tallyIds;
+    }
+
+    /**
+     * Closes every tally created from a receipt that is being deleted
+     *
+     * @param {Record} oldRecord - Deleted Item Receipt
+     * @throws {Error} When a tally is still allocated to a work order
+     */
+    function closeReceiptTallies(oldRecord) {
+        const tranId = oldRecord.getValue({ fieldId: 'tranid' }) || `Receipt ${oldRecord.id}`;
+        const tallyIds = findReceiptTallyIds(oldRecord.id);
+        const openAllocations = TallyService.getOpenAllocations(tallyIds);
+
+        if (openAllocations.length > 0) {
+            throw new Error(
+                `Item Receipt ${tranId} cannot be deleted while its tallies are allocated to work orders:\n` +
+                openAllocations.map((a) => `Tally ${a.tallyNumber}: ${a.workOrder}`).join('\n') +
+                '\nRelease the allocations first.'
+            );
+        }
+
+        for (const tallyId of tallyIds) {
+            const result = TallyService.closeTally({
+                tallyId,
+                reason: `Item Receipt ${tranId} deleted`,
+                unlinkReceipt: true
+            });
+
+            if (!result.success) {
+                logger.error('closeReceiptTallies', `Tally ${tallyId}: ${result.error}`);
+            }
+        }
+
+        removeReceiptCosts(oldRecord.id);
+
+        if (tallyIds.length > 0) {
+            logger.audit('closeReceiptTallies', `Closed ${tallyIds.length} tallies for deleted receipt ${tranId}`);
+        }
+    }
+
+    /**
+     * Removes the provisional purchase cost a receipt recorded on its tallies
+     *
+     * @param {string|number} receiptId - Item Receipt internal ID
+     * @param {Array<string>} [tallyIds] - Only these tallies (all when omitted)
+     */
+    function removeReceiptCosts(receiptId, tallyIds) {
+        const result = LandedCostService.removeReceiptCosts(receiptId, { tallyIds: tallyIds });
+
+        if (!result.success) {
+            logger.error('removeReceiptCosts', `Receipt ${receiptId}: ${result.error}`);
+        }
+    }
+
+    return {
+        beforeLoad: beforeLoad,
+        beforeSubmit: beforeSubmit,
+        afterSubmit: afterSubmit
+    };
+});
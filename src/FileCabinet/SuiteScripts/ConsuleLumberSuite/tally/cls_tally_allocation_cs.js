@@ -26,6 +26,17 @@ define([
 ) {
     'use strict';
 
+    /**
+     * Split line fields that drive the child BF calculation
+     * @type {Array<string>}
+     */
+    const SPLIT_DIMENSION_FIELDS = [
+        'custpage_child_thickness',
+        'custpage_child_width',
+        'custpage_child_length',
+        'custpage_child_pieces'
+    ];
+
     /**
      * pageInit Entry Point
      *
@@ -68,6 +79,110 @@ define([
         if (fieldId === 'custpage_quantity') {
             calculateAllocationBF();
         }
+
+        if (fieldId === 'custpage_split_tally') {
+            loadSplitSource(context.currentRecord);
+        }
+
+        if (context.sublistId === 'custpage_split_lines' && SPLIT_DIMENSION_FIELDS.indexOf(fieldId) !== -1) {
+            calculateSplitLineBF(context.currentRecord);
+        }
+    }
+
+    /**
+     * Reloads the split page for the selected source tally
+     *
+     * @param {Record} rec - Current record
+     */
+    function loadSplitSource(rec) {
+        const tallyId = rec.getValue({ fieldId: 'custpage_split_tally' });
+        if (!tallyId) {
+            return;
+        }
+
+        const urlParams = new URLSearchParams(window.location.search);
+        urlParams.set('action', 'split');
+        urlParams.set('tallyId', tallyId);
+        urlParams.delete('msg');
+        urlParams.delete('error');
+
+        window.onbeforeunload = null;
+        window.location.search = urlParams.toString();
+    }
+
+    /**
+     * Calculates BF for the current split line from its dimensions and pieces
+     *
+     * @param {Record} rec - Current record
+     */
+    function calculateSplitLineBF(rec) {
+        const sublistId = 'custpage_split_lines';
+        const getLineValue = (fieldId) => parseFloat(rec.getCurrentSublistValue({ sublistId, fieldId })) || 0;
+
+        const thickness = getLineValue('custpage_child_thickness');
+        const width = getLineValue('custpage_child_width');
+        const length = getLineValue('custpage_child_length');
+        const pieces = getLineValue('custpage_child_pieces');
+
+        if (thickness <= 0 || width <= 0 || length <= 0 || pieces <= 0) {
+            return;
+        }
+
+        const boardFeet = Math.round(((thickness * width * length) / 12) * pieces * 10000) / 10000;
+
+        rec.setCurrentSublistValue({
+            sublistId,
+            fieldId: 'custpage_child_bf',
+            value: boardFeet,
+            ignoreFieldChange: true
+        });
+    }
+
+    /**
+     * saveRecord Entry Point
+     * Ensures a split does not assign more BF than the source tally holds
+     *
+     * @param {Object} context - Script context
+     * @returns {boolean} True to allow submit
+     */
+    function saveRecord(context) {
+        const rec = context.currentRecord;
+
+        if (rec.getValue({ fieldId: 'custpage_action_type' }) !== 'split') {
+            return true;
+        }
+
+        const lineCount = rec.getLineCount({ sublistId: 'custpage_split_lines' });
+        if (lineCount === 0) {
+            dialog.alert({
+                title: 'No Child Tallies',
+                message: 'Enter at least one child tally to split into.'
+            });
+            return false;
+        }
+
+        let splitBF = 0;
+        for (let i = 0; i < lineCount; i++) {
+            splitBF += parseFloat(rec.getSublistValue({
+                sublistId: 'custpage_split_lines',
+                fieldId: 'custpage_child_bf',
+                line: i
+            })) || 0;
+        }
+
+        const remainingBF = parseFloat(rec.getValue({ fieldId: 'custpage_split_remaining' })) || 0;
+        const splittableBF = parseFloat(rec.getValue({ fieldId: 'custpage_split_splittable' })) || 0;
+
+        if (splitBF > splittableBF) {
+            dialog.alert({
+                title: 'Split Exceeds Splittable BF',
+                message: `Child tallies total ${splitBF.toFixed(2)} BF but only ${splittableBF.toFixed(2)} BF of the ` +
+                    `source tally's ${remainingBF.toFixed(2)} BF remaining can be split. Allocated BF stays on the source tally.`
+            });
+            return false;
+        }
+
+        return true;
     }
 
     /**
@@ -92,7 +207,8 @@ define([
     }
 
     /**
-     * Previews FIFO allocation
+     * Reloads the allocation page with a preview of the tallies the chosen
+     * strategy would use
      */
     function previewFIFO() {
         const rec = currentRecord.get();
@@ -100,6 +216,9 @@ define([
         const itemId = rec.getValue({ fieldId: 'custpage_fifo_item' });
         const locationId = rec.getValue({ fieldId: 'custpage_fifo_location' });
         const requiredBF = parseFloat(rec.getValue({ fieldId: 'custpage_fifo_bf' })) || 0;
+        const strategy = rec.getValue({ fieldId: 'custpage_fifo_strategy' });
+        const gradeId = rec.getValue({ fieldId: 'custpage_fifo_grade' });
+        const transactionId = rec.getValue({ fieldId: 'custpage_fifo_transaction' });
 
         if (!itemId || !locationId || requiredBF <= 0) {
             dialog.alert({
@@ -109,10 +228,28 @@ define([
             return;
         }
 
-        dialog.alert({
-            title: 'FIFO Preview',
-            message: `Preview functionality will show which tallies would be used to fulfill ${requiredBF} BF for the selected item and location.`
+        const urlParams = new URLSearchParams(window.location.search);
+        urlParams.set('action', 'allocate');
+        urlParams.set('preview', 'T');
+        urlParams.set('itemId', itemId);
+        urlParams.set('locationId', locationId);
+        urlParams.set('bf', requiredBF);
+
+        const optional = { strategy: strategy, gradeId: gradeId, transactionId: transactionId };
+        Object.keys(optional).forEach(function(key) {
+            if (optional[key]) {
+                urlParams.set(key, optional[key]);
+            } else {
+                urlParams.delete(key);
+            }
         });
+
+        urlParams.delete('tallyId');
+        urlParams.delete('msg');
+        urlParams.delete('error');
+
+        window.onbeforeunload = null;
+        window.location.search = urlParams.toString();
     }
 
     /**
@@ -156,6 +293,58 @@ define([
         });
     }
 
+    /**
+     * Opens the merge page for the selected tallies
+     */
+    function mergeSelected() {
+        const selected = getSelectedTallies();
+
+        if (selected.length < 2) {
+            dialog.alert({
+                title: 'Select Tallies',
+                message: 'Please select at least two tallies to merge.'
+            });
+            return;
+        }
+
+        navigateToMerge(selected);
+    }
+
+    /**
+     * Reloads the merge page with a preview for the chosen tallies
+     */
+    function previewMerge() {
+        const rec = currentRecord.get();
+        const selected = rec.getValue({ fieldId: 'custpage_merge_tallies' }) || [];
+
+        if (selected.length < 2) {
+            dialog.alert({
+                title: 'Select Tallies',
+                message: 'Please select at least two tallies to preview the merge.'
+            });
+            return;
+        }
+
+        navigateToMerge(selected);
+    }
+
+    /**
+     * Navigates to the merge page with the given tallies preselected
+     *
+     * @param {Array<string>} tallyIds - Tally sheet IDs
+     */
+    function navigateToMerge(tallyIds) {
+        const urlParams = new URLSearchParams(window.location.search);
+        urlParams.set('action', 'merge');
+        urlParams.set('tallyIds', tallyIds.join(','));
+        urlParams.delete('search');
+        urlParams.delete('msg');
+        urlParams.delete('error');
+
+        window.onbeforeunload = null;
+        window.location.search = urlParams.toString();
+    }
+
     /**
      * Exports tally data to CSV
      */
@@ -181,11 +370,14 @@ define([
     window.previewFIFO = previewFIFO;
     window.getSelectedTallies = getSelectedTallies;
     window.allocateSelected = allocateSelected;
+    window.mergeSelected = mergeSelected;
+    window.previewMerge = previewMerge;
     window.exportToCsv = exportToCsv;
     window.refreshResults = refreshResults;
 
     return {
         pageInit: pageInit,
-        fieldChanged: fieldChanged
+        fieldChanged: fieldChanged,
+        saveRecord: saveRecord
     };
 });
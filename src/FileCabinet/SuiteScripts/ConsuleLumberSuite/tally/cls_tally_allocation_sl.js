@@ -24,6 +24,7 @@ define([
     '../lib/cls_constants',
     '../lib/cls_settings_dao',
     '../lib/cls_tally_service',
+    '../lib/cls_bf_calculator',
     '../lib/cls_logger'
 ], function(
     serverWidget,
@@ -36,6 +37,7 @@ define([
     Constants,
     SettingsDAO,
     TallyService,
+    BFCalculator,
     Logger
 ) {
     'use strict';
@@ -79,6 +81,9 @@ define([
                     case 'split':
                         renderSplitPage(context);
                         break;
+                    case 'merge':
+                        renderMergePage(context);
+                        break;
                     case 'history':
                         renderHistoryPage(context);
                         break;
@@ -121,6 +126,14 @@ define([
 
         form.addSubmitButton({ label: 'Search Tallies' });
 
+        if (params.search === 'true') {
+            form.addButton({
+                id: 'custpage_merge_selected',
+                label: 'Merge Selected',
+                functionName: 'mergeSelected'
+            });
+        }
+
         form.addField({
             id: 'custpage_search',
             type: serverWidget.FieldType.TEXT,
@@ -147,6 +160,8 @@ define([
         const tabs = [
             { id: 'search', label: 'Search Tallies', action: 'search' },
             { id: 'allocate', label: 'Allocate', action: 'allocate' },
+            { id: 'split', label: 'Split Tally', action: 'split' },
+            { id: 'merge', label: 'Merge Tallies', action: 'merge' },
             { id: 'history', label: 'Allocation History', action: 'history' }
         ];
 
@@ -318,7 +333,14 @@ define([
                 tableHtml += `<td style="padding:8px; text-align:center; border-bottom:1px solid #eee;"><span style="color:${statusColor};">${tally.status}</span></td>`;
                 tableHtml += `<td style="padding:8px; border-bottom:1px solid #eee;">${tally.date}</td>`;
                 tableHtml += `<td style="padding:8px; text-align:center; border-bottom:1px solid #eee;">`;
-                tableHtml += `<a href="${allocateUrl}" style="color:#607799;">Allocate</a>`;
+                const splitUrl = url.resolveScript({
+                    scriptId: runtime.getCurrentScript().id,
+                    deploymentId: runtime.getCurrentScript().deploymentId,
+                    params: { action: 'split', tallyId: tally.id }
+                });
+
+                tableHtml += `<a href="${allocateUrl}" style="color:#607799;">Allocate</a> | `;
+                tableHtml += `<a href="${splitUrl}" style="color:#607799;">Split</a>`;
                 tableHtml += `</td>`;
                 tableHtml += '</tr>';
             }
@@ -589,7 +611,8 @@ define([
 
         let introHtml = '<div style="padding:15px; background:#e3f2fd; border-radius:4px; margin-bottom:20px;">';
         introHtml += '<strong>FIFO Allocation</strong><br>';
-        introHtml += 'Enter the item, location, and required BF. The system will automatically allocate from the oldest available tallies first.';
+        introHtml += 'Enter the item, location, and required BF. The system allocates using the selected strategy, ';
+        introHtml += 'or the item or location default (oldest tallies first when none is set).';
         introHtml += '</div>';
 
         const introField = form.addField({
@@ -625,6 +648,31 @@ define([
         });
         bfField.isMandatory = true;
 
+        const strategyField = form.addField({
+            id: 'custpage_fifo_strategy',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Allocation Strategy',
+            container: 'custpage_fifo_allocation'
+        });
+        strategyField.addSelectOption({ value: '', text: '- Item/Location Default -' });
+        Object.keys(Constants.ALLOCATION_STRATEGY_LABELS).forEach(strategy => {
+            strategyField.addSelectOption({
+                value: strategy,
+                text: Constants.ALLOCATION_STRATEGY_LABELS[strategy]
+            });
+        });
+
+        const gradeField = form.addField({
+            id: 'custpage_fifo_grade',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Minimum Grade',
+            source: Constants.RECORD_TYPES.GRADE,
+            container: 'custpage_fifo_allocation'
+        });
+        gradeField.setHelpText({
+            help: 'Used by the Grade Matched strategy. Defaults to the item grade.'
+        });
+
         const tranField = form.addField({
             id: 'custpage_fifo_transaction',
             type: serverWidget.FieldType.SELECT,
@@ -634,13 +682,36 @@ define([
         });
         tranField.isMandatory = true;
 
+        if (params.preview === 'T') {
+            itemField.defaultValue = params.itemId;
+            locationField.defaultValue = params.locationId;
+            bfField.defaultValue = params.bf;
+            strategyField.defaultValue = params.strategy || '';
+            gradeField.defaultValue = params.gradeId || '';
+            tranField.defaultValue = params.transactionId || '';
+
+            if (params.itemId && params.locationId && parseFloat(params.bf) > 0) {
+                form.addField({
+                    id: 'custpage_fifo_preview',
+                    type: serverWidget.FieldType.INLINEHTML,
+                    label: ' '
+                }).defaultValue = buildAllocationPreviewHtml(TallyService.previewAllocation({
+                    itemId: params.itemId,
+                    locationId: params.locationId,
+                    requiredBF: parseFloat(params.bf),
+                    strategy: params.strategy || null,
+                    minGradeId: params.gradeId || null
+                }));
+            }
+        }
+
         form.addField({
             id: 'custpage_action_type',
             type: serverWidget.FieldType.TEXT,
             label: ' '
         }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN }).defaultValue = 'allocate_fifo';
 
-        form.addSubmitButton({ label: 'Process FIFO Allocation' });
+        form.addSubmitButton({ label: 'Process Allocation' });
 
         // Preview button
         form.addButton({
@@ -650,6 +721,60 @@ define([
         });
     }
 
+    /**
+     * Builds the allocation preview HTML
+     *
+     * @param {Object} preview - Result of TallyService.previewAllocation
+     * @returns {string} HTML
+     */
+    function buildAllocationPreviewHtml(preview) {
+        let html = '<div style="margin-top:20px;">';
+        html += `<div style="margin-bottom:10px;"><strong>Strategy:</strong> ${preview.strategyLabel || '-'}</div>`;
+
+        if (preview.error) {
+            html += '<div style="padding:15px; background:#f8d7da; color:#721c24; border-radius:4px; margin-bottom:15px;">';
+            html += `<strong>Allocation not possible:</strong> ${preview.error}`;
+            html += '</div>';
+        } else if (preview.shortfall > 0) {
+            html += '<div style="padding:15px; background:#fff3cd; color:#856404; border-radius:4px; margin-bottom:15px;">';
+            html += `<strong>Short by ${preview.shortfall.toFixed(2)} BF</strong> - not enough available stock to cover the requirement.`;
+            html += '</div>';
+        }
+
+        html += '<table style="width:100%; border-collapse:collapse; font-size:12px;">';
+        html += '<tr style="background:#607799; color:#fff;">';
+        html += '<th style="padding:8px; text-align:left;">Tally #</th>';
+        html += '<th style="padding:8px; text-align:left;">Received</th>';
+        html += '<th style="padding:8px; text-align:left;">Grade</th>';
+        html += '<th style="padding:8px; text-align:right;">Moisture %</th>';
+        html += '<th style="padding:8px; text-align:right;">Remaining BF</th>';
+        html += '<th style="padding:8px; text-align:right;">Allocate BF</th>';
+        html += '<th style="padding:8px; text-align:right;">Leftover BF</th>';
+        html += '</tr>';
+
+        for (const row of preview.rows) {
+            html += '<tr>';
+            html += `<td style="padding:8px; border-bottom:1px solid #eee;">${row.tallyNumber}</td>`;
+            html += `<td style="padding:8px; border-bottom:1px solid #eee;">${row.receivedDate || '-'}</td>`;
+            html += `<td style="padding:8px; border-bottom:1px solid #eee;">${row.grade || '-'}</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${row.moisturePct !== null ? row.moisturePct : '-'}</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${row.remainingBF.toFixed(2)}</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${row.allocateBF.toFixed(2)}</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${row.leftoverBF.toFixed(2)}</td>`;
+            html += '</tr>';
+        }
+
+        html += '<tr style="background:#e3f2fd; font-weight:bold;">';
+        html += `<td style="padding:8px;" colspan="5">Total (required ${preview.requiredBF.toFixed(2)} BF)</td>`;
+        html += `<td style="padding:8px; text-align:right;">${preview.totalAllocated.toFixed(2)}</td>`;
+        html += '<td style="padding:8px;"></td>';
+        html += '</tr>';
+
+        html += '</table></div>';
+
+        return html;
+    }
+
     /**
      * Renders the allocation history page
      *
@@ -719,10 +844,11 @@ define([
             container: 'custpage_history_filters'
         });
         statusField.addSelectOption({ value: '', text: '- Any Status -' });
-        statusField.addSelectOption({ value: 'available', text: 'Available' });
-        statusField.addSelectOption({ value: 'allocated', text: 'Allocated' });
-        statusField.addSelectOption({ value: 'consumed', text: 'Consumed' });
-        statusField.addSelectOption({ value: 'reversed', text: 'Reversed' });
+        statusField.addSelectOption({ value: Constants.TALLY_ALLOC_STATUS.ALLOCATED, text: 'Allocated' });
+        statusField.addSelectOption({ value: Constants.TALLY_ALLOC_STATUS.CONSUMED, text: 'Consumed' });
+        statusField.addSelectOption({ value: Constants.TALLY_ALLOC_STATUS.RELEASED, text: 'Released' });
+        statusField.addSelectOption({ value: Constants.TALLY_ALLOC_STATUS.SPLIT, text: 'Split' });
+        statusField.addSelectOption({ value: Constants.TALLY_ALLOC_STATUS.MERGED, text: 'Merged' });
     }
 
     /**
@@ -740,7 +866,7 @@ define([
         tableHtml += '<th style="padding:8px; text-align:left;">Tally #</th>';
         tableHtml += '<th style="padding:8px; text-align:left;">Item</th>';
         tableHtml += '<th style="padding:8px; text-align:left;">Transaction</th>';
-        tableHtml += '<th style="padding:8px; text-align:right;">Quantity</th>';
+        tableHtml += '<th style="padding:8px; text-align:right;">Consumed BF</th>';
         tableHtml += '<th style="padding:8px; text-align:right;">BF</th>';
         tableHtml += '<th style="padding:8px; text-align:center;">Status</th>';
         tableHtml += '<th style="padding:8px; text-align:left;">User</th>';
@@ -785,56 +911,65 @@ define([
      */
     function getAllocationHistory(params) {
         const allocations = [];
+        const ALLOC_FIELDS = Constants.TALLY_ALLOC_FIELDS;
 
         try {
             const filters = [];
 
             if (params.custpage_date_from) {
-                filters.push([Constants.ALLOCATION_FIELDS.ALLOCATION_DATE, 'onorafter', params.custpage_date_from]);
+                filters.push([ALLOC_FIELDS.ALLOCATION_DATE, 'onorafter', params.custpage_date_from]);
             }
 
             if (params.custpage_date_to) {
                 if (filters.length > 0) filters.push('AND');
-                filters.push([Constants.ALLOCATION_FIELDS.ALLOCATION_DATE, 'onorbefore', params.custpage_date_to]);
+                filters.push([ALLOC_FIELDS.ALLOCATION_DATE, 'onorbefore', params.custpage_date_to]);
             }
 
             if (params.custpage_history_tally) {
                 if (filters.length > 0) filters.push('AND');
-                filters.push([Constants.TALLY_FIELDS.TALLY_SHEET, 'is', params.custpage_history_tally]);
+                filters.push([ALLOC_FIELDS.TALLY_SHEET, 'anyof', params.custpage_history_tally]);
             }
 
             if (params.custpage_history_status) {
                 if (filters.length > 0) filters.push('AND');
-                filters.push([Constants.ALLOCATION_FIELDS.STATUS, 'is', params.custpage_history_status]);
+                filters.push([ALLOC_FIELDS.STATUS, 'anyof', params.custpage_history_status]);
             }
 
             const allocSearch = search.create({
                 type: Constants.RECORD_TYPES.TALLY_ALLOCATION,
                 filters: filters.length > 0 ? filters : [],
                 columns: [
-                    search.createColumn({ name: Constants.ALLOCATION_FIELDS.ALLOCATION_DATE, sort: search.Sort.DESC }),
-                    search.createColumn({ name: Constants.TALLY_FIELDS.TALLY_SHEET }),
-                    search.createColumn({ name: Constants.ALLOCATION_FIELDS.SOURCE_TRANSACTION }),
-                    search.createColumn({ name: Constants.ALLOCATION_FIELDS.QUANTITY }),
-                    search.createColumn({ name: Constants.ALLOCATION_FIELDS.BOARD_FEET }),
-                    search.createColumn({ name: Constants.ALLOCATION_FIELDS.STATUS }),
-                    search.createColumn({ name: Constants.ALLOCATION_FIELDS.CREATED_BY })
+                    search.createColumn({ name: ALLOC_FIELDS.ALLOCATION_DATE, sort: search.Sort.DESC }),
+                    search.createColumn({ name: ALLOC_FIELDS.TALLY_SHEET }),
+                    search.createColumn({ name: Constants.TALLY_FIELDS.ITEM, join: ALLOC_FIELDS.TALLY_SHEET }),
+                    search.createColumn({ name: ALLOC_FIELDS.WORK_ORDER }),
+                    search.createColumn({ name: ALLOC_FIELDS.TARGET_TALLY }),
+                    search.createColumn({ name: ALLOC_FIELDS.ALLOCATED_BF }),
+                    search.createColumn({ name: ALLOC_FIELDS.CONSUMED_BF }),
+                    search.createColumn({ name: ALLOC_FIELDS.STATUS }),
+                    search.createColumn({ name: 'owner' })
                 ]
             });
 
             allocSearch.run().each(function(result) {
+                const targetTally = result.getText({ name: ALLOC_FIELDS.TARGET_TALLY });
+                const allocStatus = result.getValue({ name: ALLOC_FIELDS.STATUS });
+                const movedLabel = allocStatus === Constants.TALLY_ALLOC_STATUS.MERGED ? 'Merged' : 'Split';
+
                 allocations.push({
                     id: result.id,
-                    date: result.getValue({ name: Constants.ALLOCATION_FIELDS.ALLOCATION_DATE }),
-                    tallyId: result.getValue({ name: Constants.TALLY_FIELDS.TALLY_SHEET }),
-                    tallyNumber: result.getText({ name: Constants.TALLY_FIELDS.TALLY_SHEET }),
-                    itemName: 'N/A', // Would need join
-                    transactionId: result.getValue({ name: Constants.ALLOCATION_FIELDS.SOURCE_TRANSACTION }),
-                    transactionName: result.getText({ name: Constants.ALLOCATION_FIELDS.SOURCE_TRANSACTION }) || 'N/A',
-                    quantity: parseFloat(result.getValue({ name: Constants.ALLOCATION_FIELDS.QUANTITY })) || 0,
-                    boardFeet: parseFloat(result.getValue({ name: Constants.ALLOCATION_FIELDS.BOARD_FEET })) || 0,
-                    status: result.getValue({ name: Constants.ALLOCATION_FIELDS.STATUS }),
-                    userName: result.getText({ name: Constants.ALLOCATION_FIELDS.CREATED_BY }) || 'System'
+                    date: result.getValue({ name: ALLOC_FIELDS.ALLOCATION_DATE }),
+                    tallyId: result.getValue({ name: ALLOC_FIELDS.TALLY_SHEET }),
+                    tallyNumber: result.getText({ name: ALLOC_FIELDS.TALLY_SHEET }),
+                    itemName: result.getText({ name: Constants.TALLY_FIELDS.ITEM, join: ALLOC_FIELDS.TALLY_SHEET }) || 'N/A',
+                    transactionId: result.getValue({ name: ALLOC_FIELDS.WORK_ORDER }),
+                    transactionName: targetTally
+                        ? `${movedLabel} → ${targetTally}`
+                        : (result.getText({ name: ALLOC_FIELDS.WORK_ORDER }) || 'N/A'),
+                    quantity: parseFloat(result.getValue({ name: ALLOC_FIELDS.CONSUMED_BF })) || 0,
+                    boardFeet: parseFloat(result.getValue({ name: ALLOC_FIELDS.ALLOCATED_BF })) || 0,
+                    status: (result.getText({ name: ALLOC_FIELDS.STATUS }) || '').toLowerCase(),
+                    userName: result.getText({ name: 'owner' }) || 'System'
                 });
 
                 return allocations.length < 100;
@@ -866,6 +1001,24 @@ define([
                     processFIFOAllocation(params);
                     break;
 
+                case 'split':
+                    processSplit(context.request);
+                    redirect.toSuitelet({
+                        scriptId: runtime.getCurrentScript().id,
+                        deploymentId: runtime.getCurrentScript().deploymentId,
+                        parameters: { action: 'history', msg: 'success' }
+                    });
+                    return;
+
+                case 'merge': {
+                    const mergeResult = processMerge(params);
+                    redirect.toRecord({
+                        type: Constants.RECORD_TYPES.TALLY_SHEET,
+                        id: mergeResult.tallyId
+                    });
+                    return;
+                }
+
                 default:
                     // Regular search - redirect back
                     break;
@@ -880,10 +1033,17 @@ define([
         } catch (e) {
             logger.error('handlePostRequest', `Error: ${e.message}`);
 
+            let errorParams = { action: 'search', msg: 'error', error: e.message };
+            if (actionType === 'split') {
+                errorParams = { action: 'split', tallyId: params.custpage_split_tally, msg: 'error', error: e.message };
+            } else if (actionType === 'merge') {
+                errorParams = { action: 'merge', tallyIds: parseMultiSelect(params.custpage_merge_tallies).join(','), msg: 'error', error: e.message };
+            }
+
             redirect.toSuitelet({
                 scriptId: runtime.getCurrentScript().id,
                 deploymentId: runtime.getCurrentScript().deploymentId,
-                parameters: { action: 'search', msg: 'error', error: e.message }
+                parameters: errorParams
             });
         }
     }
@@ -914,7 +1074,7 @@ define([
     }
 
     /**
-     * Processes FIFO allocation
+     * Processes strategy-based allocation (FIFO by default)
      *
      * @param {Object} params - Form parameters
      */
@@ -925,17 +1085,24 @@ define([
         const transactionId = params.custpage_fifo_transaction;
 
         if (!itemId || !locationId || requiredBF <= 0 || !transactionId) {
-            throw new Error('Missing required FIFO allocation parameters');
+            throw new Error('Missing required allocation parameters');
         }
 
-        const result = TallyService.allocateFIFO({
+        const result = TallyService.allocateByStrategy({
             itemId: itemId,
             locationId: locationId,
             requiredBF: requiredBF,
-            transactionId: transactionId
+            workOrderId: transactionId,
+            strategy: params.custpage_fifo_strategy || null,
+            minGradeId: params.custpage_fifo_grade || null
         });
 
-        logger.audit('processFIFOAllocation', `FIFO allocated ${result.allocatedBF} BF from ${result.talliesUsed} tallies`);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        logger.audit('processFIFOAllocation',
+            `${Constants.ALLOCATION_STRATEGY_LABELS[result.strategy]} allocated ${result.totalAllocated} BF from ${result.talliesUsed} tallies`);
     }
 
     /**
@@ -954,7 +1121,10 @@ define([
             'void': '#c2185b',
             'available': '#28a745',
             'allocated': '#17a2b8',
-            'reversed': '#dc3545'
+            'reversed': '#dc3545',
+            'released': '#6c757d',
+            'split': '#6f42c1',
+            'merged': '#6f42c1'
         };
 
         return colors[status] || '#333';
@@ -962,6 +1132,7 @@ define([
 
     /**
      * Renders the split page
+     * Lets the user break one tally into several child tallies
      *
      * @param {Object} context - Suitelet context
      */
@@ -970,18 +1141,358 @@ define([
             title: 'LumberSuite™ Split Tally'
         });
 
-        // Split functionality would be implemented here
-        // This allows users to split one tally into multiple tallies
+        addNavigationTabs(form, 'split');
+
+        const params = context.request.parameters;
+        const tallyId = params.tallyId;
+
+        const sourceGroup = form.addFieldGroup({
+            id: 'custpage_split_source',
+            label: 'Source Tally'
+        });
+
+        const sourceField = form.addField({
+            id: 'custpage_split_tally',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Source Tally',
+            source: Constants.RECORD_TYPES.TALLY_SHEET,
+            container: 'custpage_split_source'
+        });
+        sourceField.isMandatory = true;
+
+        const tally = tallyId ? TallyService.getTallyDetails(tallyId) : null;
+        const allocatedBF = tally ? TallyService.getOpenAllocatedBF(tallyId) : 0;
+        // BF held by open allocations stays on the source tally
+        const splittableBF = tally ? Math.max(0, BFCalculator.roundTo(tally.remainingBF - allocatedBF, Constants.PRECISION.BF)) : 0;
+
+        if (tally) {
+            sourceField.defaultValue = tallyId;
+            sourceField.updateDisplayType({ displayType: serverWidget.FieldDisplayType.INLINE });
+
+            let detailsHtml = '<div style="padding:15px; background:#f8f9fa; border-radius:4px; margin-bottom:20px;">';
+            detailsHtml += `<h3 style="margin:0 0 15px 0;">Splitting: ${tally.tallyNumber}</h3>`;
+            detailsHtml += '<table style="width:100%;">';
+            detailsHtml += `<tr><td style="width:150px;"><strong>Dimensions:</strong></td><td>${tally.thickness || 0}" x ${tally.width || 0}" x ${tally.length || 0}'</td></tr>`;
+            detailsHtml += `<tr><td><strong>Pieces:</strong></td><td>${tally.pieces || 0}</td></tr>`;
+            detailsHtml += `<tr><td><strong>Vendor Lot:</strong></td><td>${tally.vendorLot || '-'}</td></tr>`;
+            detailsHtml += `<tr><td><strong>Remaining:</strong></td><td><strong style="color:#28a745;">${tally.remainingBF.toFixed(2)} BF</strong></td></tr>`;
+            detailsHtml += `<tr><td><strong>Allocated:</strong></td><td>${allocatedBF.toFixed(2)} BF</td></tr>`;
+            detailsHtml += '</table>';
+            detailsHtml += '</div>';
+
+            form.addField({
+                id: 'custpage_split_details',
+                type: serverWidget.FieldType.INLINEHTML,
+                label: ' ',
+                container: 'custpage_split_source'
+            }).defaultValue = detailsHtml;
+        }
 
         form.addField({
-            id: 'custpage_split_info',
-            type: serverWidget.FieldType.INLINEHTML,
+            id: 'custpage_split_remaining',
+            type: serverWidget.FieldType.FLOAT,
+            label: 'Remaining BF'
+        }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN }).defaultValue = tally ? tally.remainingBF : 0;
+
+        form.addField({
+            id: 'custpage_split_splittable',
+            type: serverWidget.FieldType.FLOAT,
+            label: 'Splittable BF',
+            container: 'custpage_split_source'
+        }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.INLINE }).defaultValue = splittableBF;
+
+        form.addField({
+            id: 'custpage_split_notes',
+            type: serverWidget.FieldType.TEXTAREA,
+            label: 'Notes',
+            container: 'custpage_split_source'
+        });
+
+        addSplitLinesSublist(form);
+
+        form.addField({
+            id: 'custpage_action_type',
+            type: serverWidget.FieldType.TEXT,
             label: ' '
-        }).defaultValue = '<div style="padding:20px; text-align:center; color:#666;">Split functionality coming soon.</div>';
+        }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN }).defaultValue = 'split';
+
+        form.addSubmitButton({ label: 'Split Tally' });
+
+        form.clientScriptModulePath = './cls_tally_allocation_cs.js';
 
         context.response.writePage(form);
     }
 
+    /**
+     * Adds the child tally entry sublist to the split form
+     *
+     * @param {Form} form - Server widget form
+     */
+    function addSplitLinesSublist(form) {
+        const sublist = form.addSublist({
+            id: 'custpage_split_lines',
+            type: serverWidget.SublistType.INLINEEDITOR,
+            label: 'Child Tallies'
+        });
+
+        sublist.addField({
+            id: 'custpage_child_bundle',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Bundle ID'
+        });
+
+        sublist.addField({
+            id: 'custpage_child_grade',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Grade',
+            source: Constants.RECORD_TYPES.GRADE
+        });
+
+        sublist.addField({
+            id: 'custpage_child_thickness',
+            type: serverWidget.FieldType.FLOAT,
+            label: 'Thickness (in)'
+        });
+
+        sublist.addField({
+            id: 'custpage_child_width',
+            type: serverWidget.FieldType.FLOAT,
+            label: 'Width (in)'
+        });
+
+        sublist.addField({
+            id: 'custpage_child_length',
+            type: serverWidget.FieldType.FLOAT,
+            label: 'Length (ft)'
+        });
+
+        sublist.addField({
+            id: 'custpage_child_pieces',
+            type: serverWidget.FieldType.INTEGER,
+            label: 'Pieces'
+        });
+
+        sublist.addField({
+            id: 'custpage_child_bf',
+            type: serverWidget.FieldType.FLOAT,
+            label: 'BF'
+        }).isMandatory = true;
+    }
+
+    /**
+     * Processes a tally split submission
+     *
+     * @param {Object} request - Suitelet request
+     * @returns {Object} Split result
+     */
+    function processSplit(request) {
+        const params = request.parameters;
+        const sourceTallyId = params.custpage_split_tally;
+        const sublistId = 'custpage_split_lines';
+        const lineCount = request.getLineCount({ group: sublistId });
+
+        if (!sourceTallyId || lineCount <= 0) {
+            throw new Error('Select a source tally and enter at least one child tally');
+        }
+
+        const getLineValue = (name, line) => request.getSublistValue({ group: sublistId, name, line });
+
+        const children = [];
+        for (let i = 0; i < lineCount; i++) {
+            children.push({
+                bundleId: getLineValue('custpage_child_bundle', i),
+                gradeId: getLineValue('custpage_child_grade', i),
+                thickness: parseFloat(getLineValue('custpage_child_thickness', i)) || null,
+                width: parseFloat(getLineValue('custpage_child_width', i)) || null,
+                length: parseFloat(getLineValue('custpage_child_length', i)) || null,
+                pieces: parseInt(getLineValue('custpage_child_pieces', i), 10) || null,
+                receivedBF: parseFloat(getLineValue('custpage_child_bf', i)) || 0
+            });
+        }
+
+        const result = TallyService.splitTally({
+            sourceTallyId,
+            children,
+            notes: params.custpage_split_notes
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        logger.audit('processSplit', `Split tally ${sourceTallyId} into ${result.children.length} tallies (${result.splitBF} BF)`);
+
+        return result;
+    }
+
+    /**
+     * Renders the merge page
+     * Combines several open tallies of the same item, location and grade
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function renderMergePage(context) {
+        const form = serverWidget.createForm({
+            title: 'LumberSuite™ Merge Tallies'
+        });
+
+        addNavigationTabs(form, 'merge');
+
+        const params = context.request.parameters;
+        const tallyIds = (params.tallyIds || '').split(',').filter(id => id);
+
+        const mergeGroup = form.addFieldGroup({
+            id: 'custpage_merge_group',
+            label: 'Tallies to Merge'
+        });
+
+        const talliesField = form.addField({
+            id: 'custpage_merge_tallies',
+            type: serverWidget.FieldType.MULTISELECT,
+            label: 'Source Tallies',
+            source: Constants.RECORD_TYPES.TALLY_SHEET,
+            container: 'custpage_merge_group'
+        });
+        talliesField.isMandatory = true;
+        if (tallyIds.length > 0) {
+            talliesField.defaultValue = tallyIds;
+        }
+
+        form.addField({
+            id: 'custpage_merge_bundle',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Merged Bundle ID',
+            container: 'custpage_merge_group'
+        });
+
+        form.addField({
+            id: 'custpage_merge_notes',
+            type: serverWidget.FieldType.TEXTAREA,
+            label: 'Notes',
+            container: 'custpage_merge_group'
+        });
+
+        if (tallyIds.length > 0) {
+            form.addField({
+                id: 'custpage_merge_preview',
+                type: serverWidget.FieldType.INLINEHTML,
+                label: ' '
+            }).defaultValue = buildMergePreviewHtml(TallyService.previewMerge(tallyIds));
+        }
+
+        form.addField({
+            id: 'custpage_action_type',
+            type: serverWidget.FieldType.TEXT,
+            label: ' '
+        }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN }).defaultValue = 'merge';
+
+        form.addSubmitButton({ label: 'Merge Tallies' });
+
+        form.addButton({
+            id: 'custpage_preview_merge',
+            label: 'Preview Merge',
+            functionName: 'previewMerge'
+        });
+
+        form.clientScriptModulePath = './cls_tally_allocation_cs.js';
+
+        context.response.writePage(form);
+    }
+
+    /**
+     * Builds the merge preview HTML
+     *
+     * @param {Object} preview - Result of TallyService.previewMerge
+     * @returns {string} HTML
+     */
+    function buildMergePreviewHtml(preview) {
+        let html = '<div style="margin-top:20px;">';
+
+        if (preview.errors.length > 0) {
+            html += '<div style="padding:15px; background:#f8d7da; color:#721c24; border-radius:4px; margin-bottom:15px;">';
+            html += `<strong>These tallies cannot be merged:</strong><ul style="margin:5px 0 0 0;">`;
+            html += preview.errors.map(err => `<li>${err}</li>`).join('');
+            html += '</ul></div>';
+        }
+
+        html += '<table style="width:100%; border-collapse:collapse; font-size:12px;">';
+        html += '<tr style="background:#607799; color:#fff;">';
+        html += '<th style="padding:8px; text-align:left;">Tally #</th>';
+        html += '<th style="padding:8px; text-align:left;">Vendor Lot</th>';
+        html += '<th style="padding:8px; text-align:left;">Dimensions</th>';
+        html += '<th style="padding:8px; text-align:right;">Moisture %</th>';
+        html += '<th style="padding:8px; text-align:right;">Pieces</th>';
+        html += '<th style="padding:8px; text-align:right;">Remaining BF</th>';
+        html += '</tr>';
+
+        for (const tally of preview.tallies) {
+            html += '<tr>';
+            html += `<td style="padding:8px; border-bottom:1px solid #eee;">${tally.tallyNumber}</td>`;
+            html += `<td style="padding:8px; border-bottom:1px solid #eee;">${tally.vendorLot || '-'}</td>`;
+            html += `<td style="padding:8px; border-bottom:1px solid #eee;">${tally.thickness || 0}" x ${tally.width || 0}" x ${tally.length || 0}'</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${tally.moisturePct !== null ? tally.moisturePct : '-'}</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${tally.pieces || 0}</td>`;
+            html += `<td style="padding:8px; text-align:right; border-bottom:1px solid #eee;">${tally.remainingBF.toFixed(2)}</td>`;
+            html += '</tr>';
+        }
+
+        if (preview.merged) {
+            const merged = preview.merged;
+            html += '<tr style="background:#e3f2fd; font-weight:bold;">';
+            html += '<td style="padding:8px;">Merged Tally</td>';
+            html += `<td style="padding:8px;">${merged.vendorLot || (merged.vendorLots.length > 1 ? 'Multiple lots' : '-')}</td>`;
+            html += `<td style="padding:8px;">${merged.thickness || 0}" x ${merged.width || 0}" x ${merged.length || 0}'`;
+            html += merged.mixedDimensions ? ' <span style="color:#c2185b;">(mixed - weighted avg)</span>' : '';
+            html += '</td>';
+            html += `<td style="padding:8px; text-align:right;">${merged.moisturePct !== null ? merged.moisturePct : '-'}</td>`;
+            html += `<td style="padding:8px; text-align:right;">${merged.pieces || 0}</td>`;
+            html += `<td style="padding:8px; text-align:right;">${merged.receivedBF.toFixed(2)}</td>`;
+            html += '</tr>';
+        }
+
+        html += '</table></div>';
+
+        return html;
+    }
+
+    /**
+     * Parses a multiselect request parameter into an array of IDs
+     *
+     * @param {string} value - Raw parameter value
+     * @returns {Array<string>} Selected IDs
+     */
+    function parseMultiSelect(value) {
+        if (!value) {
+            return [];
+        }
+        // Multiselect values are posted separated by the \u0005 control character
+        return String(value).split(/[\u0005,]/).filter(id => id);
+    }
+
+    /**
+     * Processes a tally merge submission
+     *
+     * @param {Object} params - Form parameters
+     * @returns {Object} Merge result
+     */
+    function processMerge(params) {
+        const tallyIds = parseMultiSelect(params.custpage_merge_tallies);
+
+        const result = TallyService.mergeTallies({
+            tallyIds,
+            bundleId: params.custpage_merge_bundle,
+            notes: params.custpage_merge_notes
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        logger.audit('processMerge', `Merged tallies ${tallyIds.join(', ')} into ${result.tallyNumber} (${result.mergedBF} BF)`);
+
+        return result;
+    }
+
     return {
         onRequest: onRequest
     };
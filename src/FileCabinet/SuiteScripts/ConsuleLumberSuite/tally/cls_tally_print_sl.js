@@ -0,0 +1,120 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ * @NModuleScope SameAccount
+ *
+ * @file cls_tally_print_sl.js
+ * @description Bundle Tag Print Suitelet for Consule LumberSuite™
+ *              Streams bundle tag PDFs for one tally, a list of tallies,
+ *              every tally on an item receipt or every repack output tally
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_tally_print_sl
+ */
+
+define([
+    'N/xml',
+    '../lib/cls_label_service',
+    '../lib/cls_logger'
+], function(
+    xml,
+    LabelService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_TallyPrint_SL');
+
+    /**
+     * Main entry point
+     *
+     * Parameters (one of):
+     * - tallyId: single tally sheet
+     * - tallyIds: comma-separated tally sheet IDs
+     * - itemReceiptId: all tallies created by an item receipt
+     * - repackId: all output tallies of a repack order
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function onRequest(context) {
+        const params = context.request.parameters;
+
+        try {
+            const tallyIds = resolveTallyIds(params);
+
+            if (tallyIds.length === 0) {
+                writeMessage(context.response, 'No tally sheets found to print.');
+                return;
+            }
+
+            const result = LabelService.renderTags(tallyIds);
+
+            if (!result.success) {
+                writeMessage(context.response, result.error);
+                return;
+            }
+
+            logger.audit('onRequest', `Printed ${result.tagCount} bundle tags`);
+
+            context.response.setHeader({
+                name: 'Content-Type',
+                value: 'application/pdf'
+            });
+            context.response.setHeader({
+                name: 'Content-Disposition',
+                value: `inline; filename="${result.file.name}"`
+            });
+            context.response.writeFile({ file: result.file, isInline: true });
+
+        } catch (e) {
+            logger.error('onRequest', `Error: ${e.message}`, { stack: e.stack });
+            writeMessage(context.response, e.message);
+        }
+    }
+
+    /**
+     * Resolves the tallies to print from request parameters
+     *
+     * @param {Object} params - Request parameters
+     * @returns {Array<string>} Tally sheet IDs
+     */
+    function resolveTallyIds(params) {
+        if (params.tallyId) {
+            return [params.tallyId];
+        }
+
+        if (params.tallyIds) {
+            return params.tallyIds.split(',').filter(id => id);
+        }
+
+        if (params.itemReceiptId) {
+            return LabelService.getReceiptTallyIds(params.itemReceiptId);
+        }
+
+        if (params.repackId) {
+            return LabelService.getRepackOutputTallyIds(params.repackId);
+        }
+
+        return [];
+    }
+
+    /**
+     * Writes a plain message page
+     *
+     * @param {Object} response - Response object
+     * @param {string} message - Message text
+     */
+    function writeMessage(response, message) {
+        response.write(`<html><body><h1>Bundle Tags</h1><p>${xml.escape({ xmlText: message })}</p></body></html>`);
+    }
+
+    return {
+        onRequest: onRequest
+    };
+});
@@ -0,0 +1,440 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ * @NModuleScope SameAccount
+ *
+ * @file cls_tally_scan_sl.js
+ * @description Tally Scan Suitelet for Consule LumberSuite™
+ *              Mobile-friendly screen for handheld scanners: scan a bundle tag
+ *              to look up the tally, then consume BF, move or close it
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_tally_scan_sl
+ */
+
+define([
+    'N/search',
+    'N/runtime',
+    'N/redirect',
+    'N/xml',
+    '../lib/cls_constants',
+    '../lib/cls_tally_service',
+    '../lib/cls_logger'
+], function(
+    search,
+    runtime,
+    redirect,
+    xml,
+    Constants,
+    TallyService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_TallyScan_SL');
+
+    const TALLY_FIELDS = Constants.TALLY_FIELDS;
+    const TALLY_STATUS = Constants.TALLY_STATUS;
+
+    /**
+     * Scan actions
+     * @type {Object}
+     */
+    const ACTIONS = {
+        CONSUME: 'consume',
+        MOVE: 'move',
+        CLOSE: 'close'
+    };
+
+    /**
+     * Transaction types BF can be consumed against. Item fulfillments are
+     * left out: their user event consumes the tallies on their lines.
+     * @type {Object}
+     */
+    const CONSUMING_TRANSACTIONS = {
+        WorkOrd: 'workorder'
+    };
+
+    /**
+     * Main entry point
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function onRequest(context) {
+        try {
+            if (context.request.method === 'GET') {
+                context.response.write(renderPage(context.request.parameters));
+            } else {
+                handleAction(context);
+            }
+        } catch (e) {
+            logger.error('onRequest', `Error: ${e.message}`, { stack: e.stack });
+            context.response.write(renderPage({ error: e.message }));
+        }
+    }
+
+    /**
+     * Runs the posted action and redirects back to the tally
+     *
+     * @param {Object} context - Suitelet context
+     */
+    function handleAction(context) {
+        const params = context.request.parameters;
+        const tallyId = params.tallyId;
+        const result = runAction(params);
+
+        if (result.success) {
+            logger.audit('handleAction', `${params.scanAction} on tally ${tallyId}: ${result.message}`);
+        }
+
+        const script = runtime.getCurrentScript();
+        redirect.toSuitelet({
+            scriptId: script.id,
+            deploymentId: script.deploymentId,
+            parameters: result.success
+                ? { tallyId: tallyId, msg: result.message }
+                : { tallyId: tallyId, error: result.error }
+        });
+    }
+
+    /**
+     * Runs a scan action through the tally service
+     *
+     * @param {Object} params - Posted parameters
+     * @returns {Object} Result with message or error
+     */
+    function runAction(params) {
+        const tallyId = params.tallyId;
+
+        switch (params.scanAction) {
+            case ACTIONS.CONSUME: {
+                const consumedBF = parseFloat(params.consumeBF) || 0;
+                const transaction = findTransaction(params.transactionId || params.transactionNumber);
+
+                if (!transaction) {
+                    return { success: false, error: 'Scan or select a work order' };
+                }
+
+                const result = TallyService.recordConsumption({
+                    tallyId: tallyId,
+                    consumedBF: consumedBF,
+                    transactionId: transaction.id,
+                    transactionType: transaction.type,
+                    logConsumption: true,
+                    userId: runtime.getCurrentUser().id
+                });
+
+                return result.success
+                    ? { success: true, message: `Consumed ${consumedBF} BF against ${transaction.tranId}. ${result.remainingBF} BF remaining.` }
+                    : result;
+            }
+
+            case ACTIONS.MOVE: {
+                if (!params.locationId) {
+                    return { success: false, error: 'Select the destination location' };
+                }
+
+                const result = TallyService.transferTally({
+                    tallyId: tallyId,
+                    toLocationId: params.locationId,
+                    transferBF: parseFloat(params.moveBF) || null,
+                    userId: runtime.getCurrentUser().id,
+                    notes: 'Moved by scan'
+                });
+
+                if (!result.success) {
+                    return result;
+                }
+
+                return {
+                    success: true,
+                    message: result.isPartial
+                        ? `Moved ${result.transferBF} BF to a new child tally.`
+                        : 'Tally moved.'
+                };
+            }
+
+            case ACTIONS.CLOSE: {
+                const result = TallyService.closeTally({
+                    tallyId: tallyId,
+                    reason: params.closeReason ? `Closed by scan: ${params.closeReason}` : 'Closed by scan',
+                    force: params.releaseAllocations === 'T'
+                });
+
+                return result.success
+                    ? { success: true, message: `Tally closed. ${result.writtenOffBF} BF written off.` }
+                    : result;
+            }
+
+            default:
+                return { success: false, error: 'Unknown action' };
+        }
+    }
+
+    /**
+     * Finds a work order by internal ID or document number
+     *
+     * @param {string} value - Internal ID or scanned document number
+     * @returns {Object|null} { id, type, tranId }
+     */
+    function findTransaction(value) {
+        const code = String(value || '').trim();
+        if (!code) return null;
+
+        const numberFilter = /^\d+$/.test(code)
+            ? [['internalid', 'anyof', code], 'OR', ['tranid', 'is', code]]
+            : [['tranid', 'is', code]];
+
+        let transaction = null;
+
+        search.create({
+            type: search.Type.TRANSACTION,
+            filters: [
+                ['type', 'anyof', Object.keys(CONSUMING_TRANSACTIONS)],
+                'AND',
+                ['mainline', 'is', 'T'],
+                'AND',
+                numberFilter
+            ],
+            columns: ['type', 'tranid']
+        }).run().each(function(result) {
+            transaction = {
+                id: result.id,
+                type: CONSUMING_TRANSACTIONS[result.getValue('type')],
+                tranId: result.getValue('tranid')
+            };
+            return result.id !== code;
+        });
+
+        return transaction;
+    }
+
+    /**
+     * Lists work orders holding open allocations of the tally
+     *
+     * @param {string} tallyId - Tally sheet ID
+     * @returns {Array<Object>} { id, name, allocatedBF }
+     */
+    function getAllocatedWorkOrders(tallyId) {
+        const workOrders = [];
+
+        search.create({
+            type: Constants.RECORD_TYPES.TALLY_ALLOCATION,
+            filters: [
+                [Constants.TALLY_ALLOC_FIELDS.TALLY_SHEET, 'anyof', tallyId],
+                'AND',
+                [Constants.TALLY_ALLOC_FIELDS.STATUS, 'anyof', Constants.TALLY_ALLOC_STATUS.ALLOCATED]
+            ],
+            columns: [
+                search.createColumn({ name: Constants.TALLY_ALLOC_FIELDS.WORK_ORDER, summary: search.Summary.GROUP }),
+                search.createColumn({ name: Constants.TALLY_ALLOC_FIELDS.ALLOCATED_BF, summary: search.Summary.SUM })
+            ]
+        }).run().each(function(result) {
+            workOrders.push({
+                id: result.getValue({ name: Constants.TALLY_ALLOC_FIELDS.WORK_ORDER, summary: search.Summary.GROUP }),
+                name: result.getText({ name: Constants.TALLY_ALLOC_FIELDS.WORK_ORDER, summary: search.Summary.GROUP }),
+                allocatedBF: parseFloat(result.getValue({
+                    name: Constants.TALLY_ALLOC_FIELDS.ALLOCATED_BF,
+                    summary: search.Summary.SUM
+                })) || 0
+            });
+            return true;
+        });
+
+        return workOrders;
+    }
+
+    /**
+     * Lists active locations
+     *
+     * @returns {Array<Object>} { id, name }
+     */
+    function getLocations() {
+        const locations = [];
+
+        search.create({
+            type: search.Type.LOCATION,
+            filters: [['isinactive', 'is', 'F']],
+            columns: [search.createColumn({ name: 'name', sort: search.Sort.ASC })]
+        }).run().each(function(result) {
+            locations.push({ id: result.id, name: result.getValue('name') });
+            return true;
+        });
+
+        return locations;
+    }
+
+    /**
+     * Escapes text for HTML output
+     *
+     * @param {*} value - Raw value
+     * @returns {string} Escaped text
+     */
+    function escape(value) {
+        return value === null || value === undefined ? '' : xml.escape({ xmlText: String(value) });
+    }
+
+    /**
+     * Renders the scan page
+     *
+     * @param {Object} params - Request parameters
+     * @returns {string} HTML content
+     */
+    function renderPage(params) {
+        let tally = null;
+        let notFound = false;
+
+        if (params.code) {
+            const tallyId = TallyService.findTallyByScan(params.code);
+            tally = tallyId ? TallyService.getTallyDetails(tallyId) : null;
+            notFound = !tally;
+        } else if (params.tallyId) {
+            tally = TallyService.getTallyDetails(params.tallyId);
+        }
+
+        let body = `
+            <form method="GET" class="scan">
+                <input type="hidden" name="script" value="${escape(params.script)}">
+                <input type="hidden" name="deploy" value="${escape(params.deploy)}">
+                <input type="text" name="code" placeholder="Scan bundle tag" autofocus autocomplete="off">
+                <button type="submit">Look Up</button>
+            </form>`;
+
+        if (params.msg) {
+            body += `<div class="banner ok">${escape(params.msg)}</div>`;
+        }
+        if (params.error) {
+            body += `<div class="banner error">${escape(params.error)}</div>`;
+        }
+        if (notFound) {
+            body += `<div class="banner error">No tally found for "${escape(params.code)}".</div>`;
+        }
+
+        if (tally) {
+            body += renderTally(tally);
+        }
+
+        return `<!DOCTYPE html>
+        <html>
+        <head>
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+            <title>LumberSuite™ Tally Scan</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 0; padding: 12px; font-size: 16px; background: #f5f5f5; }
+                h1 { font-size: 20px; color: #2c5530; margin: 0 0 12px 0; }
+                form.scan { display: flex; gap: 8px; margin-bottom: 12px; }
+                input, select, button { font-size: 18px; padding: 10px; border-radius: 4px; border: 1px solid #ccc; }
+                input[type=text], input[type=number], select { width: 100%; box-sizing: border-box; }
+                button { background: #2c5530; color: #fff; border: none; white-space: nowrap; }
+                button.danger { background: #dc3545; }
+                .card { background: #fff; border-radius: 8px; padding: 12px; margin-bottom: 12px; }
+                .card h2 { font-size: 18px; margin: 0 0 8px 0; }
+                .row { display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #eee; }
+                .label { color: #666; }
+                .value { font-weight: bold; }
+                .banner { padding: 10px; border-radius: 4px; margin-bottom: 12px; }
+                .ok { background: #d4edda; color: #155724; }
+                .error { background: #f8d7da; color: #721c24; }
+                .stack { display: flex; flex-direction: column; gap: 8px; }
+            </style>
+        </head>
+        <body>
+            <h1>LumberSuite™ Tally Scan</h1>
+            ${body}
+        </body>
+        </html>`;
+    }
+
+    /**
+     * Renders the tally details card and action forms
+     *
+     * @param {Object} tally - Tally details from TallyService.getTallyDetails
+     * @returns {string} HTML content
+     */
+    function renderTally(tally) {
+        const names = search.lookupFields({
+            type: Constants.RECORD_TYPES.TALLY_SHEET,
+            id: tally.tallyId,
+            columns: [TALLY_FIELDS.ITEM, TALLY_FIELDS.LOCATION, TALLY_FIELDS.GRADE]
+        });
+        const textOf = (fieldId) => (names[fieldId] && names[fieldId][0] ? names[fieldId][0].text : '');
+
+        const details = [
+            ['Item', textOf(TALLY_FIELDS.ITEM)],
+            ['Status', Constants.TALLY_STATUS_LABELS[tally.status] || tally.status],
+            ['Location', textOf(TALLY_FIELDS.LOCATION)],
+            ['Grade', textOf(TALLY_FIELDS.GRADE)],
+            ['Size', tally.thickness ? `${tally.thickness}" x ${tally.width || 'RW'}" x ${tally.length || 'RL'}'` : ''],
+            ['Pieces', tally.pieces],
+            ['Vendor Lot', tally.vendorLot],
+            ['Moisture %', tally.moisturePct],
+            ['Received BF', tally.receivedBF.toFixed(2)],
+            ['Remaining BF', tally.remainingBF.toFixed(2)]
+        ];
+
+        let html = `<div class="card"><h2>${escape(tally.tallyNumber)}</h2>`;
+        html += details.map(([label, value]) =>
+            `<div class="row"><span class="label">${label}</span><span class="value">${escape(value) || '-'}</span></div>`
+        ).join('');
+        html += '</div>';
+
+        if (tally.status === TALLY_STATUS.CONSUMED || tally.status === TALLY_STATUS.CLOSED) {
+            return html + '<div class="banner error">This tally is no longer available.</div>';
+        }
+
+        const hidden = `<input type="hidden" name="tallyId" value="${escape(tally.tallyId)}">`;
+
+        const workOrders = getAllocatedWorkOrders(tally.tallyId);
+        const workOrderOptions = workOrders.map(wo =>
+            `<option value="${escape(wo.id)}">${escape(wo.name)} (${wo.allocatedBF.toFixed(2)} BF allocated)</option>`
+        ).join('');
+
+        html += `
+            <form method="POST" class="card stack">
+                <h2>Consume BF</h2>
+                ${hidden}
+                <input type="hidden" name="scanAction" value="${ACTIONS.CONSUME}">
+                ${workOrders.length > 0 ? `<select name="transactionId"><option value="">- Allocated work orders -</option>${workOrderOptions}</select>` : ''}
+                <input type="text" name="transactionNumber" placeholder="Or scan WO #" autocomplete="off">
+                <input type="number" name="consumeBF" step="0.01" min="0" max="${tally.remainingBF}" placeholder="BF to consume" required>
+                <button type="submit">Consume</button>
+            </form>`;
+
+        const locationOptions = getLocations()
+            .filter(loc => String(loc.id) !== String(tally.locationId))
+            .map(loc => `<option value="${escape(loc.id)}">${escape(loc.name)}</option>`)
+            .join('');
+
+        html += `
+            <form method="POST" class="card stack">
+                <h2>Move</h2>
+                ${hidden}
+                <input type="hidden" name="scanAction" value="${ACTIONS.MOVE}">
+                <select name="locationId" required><option value="">- Destination -</option>${locationOptions}</select>
+                <input type="number" name="moveBF" step="0.01" min="0" max="${tally.remainingBF}" placeholder="BF to move (blank = whole tally)">
+                <button type="submit">Move Tally</button>
+            </form>`;
+
+        html += `
+            <form method="POST" class="card stack" onsubmit="return confirm('Close this tally and write off ${tally.remainingBF.toFixed(2)} BF?');">
+                <h2>Close</h2>
+                ${hidden}
+                <input type="hidden" name="scanAction" value="${ACTIONS.CLOSE}">
+                <input type="text" name="closeReason" placeholder="Reason (optional)">
+                ${workOrders.length > 0 ? `<label><input type="checkbox" name="releaseAllocations" value="T"> Release allocations to ${workOrders.length} work order(s)</label>` : ''}
+                <button type="submit" class="danger">Close Tally</button>
+            </form>`;
+
+        return html;
+    }
+
+    return {
+        onRequest: onRequest
+    };
+});
@@ -21,7 +21,8 @@ define([
     'N/ui/message',
     'N/https',
     '../lib/cls_constants',
-    '../lib/cls_bf_calculator'
+    '../lib/cls_bf_calculator',
+    '../lib/cls_grading_engine'
 ], function(
     currentRecord,
     search,
@@ -30,7 +31,8 @@ define([
     message,
     https,
     Constants,
-    BFCalculator
+    BFCalculator,
+    GradingEngine
 ) {
     'use strict';
 
@@ -65,6 +67,12 @@ define([
         VOID: 'void'
     };
 
+    /**
+     * Piece tally sublist fields
+     * @type {Object}
+     */
+    const PIECE_FIELDS = Constants.TALLY_PIECE_FIELDS;
+
     /**
      * pageInit Entry Point
      * Initializes the tally sheet form
@@ -108,6 +116,23 @@ define([
         const rec = context.currentRecord;
         const fieldId = context.fieldId;
 
+        if (context.sublistId === PIECE_FIELDS.SUBLIST_ID) {
+            if (fieldId === PIECE_FIELDS.WIDTH || fieldId === PIECE_FIELDS.LENGTH || fieldId === PIECE_FIELDS.PIECES) {
+                calculatePieceRow(rec);
+            }
+            if (fieldId === PIECE_FIELDS.WIDTH || fieldId === PIECE_FIELDS.LENGTH ||
+                fieldId === PIECE_FIELDS.CUTTING_UNITS || fieldId === PIECE_FIELDS.CUTTINGS ||
+                fieldId === PIECE_FIELDS.BEST_CUTTING_UNITS || fieldId === PIECE_FIELDS.BEST_CUTTINGS) {
+                gradePieceRow(rec);
+            }
+            return;
+        }
+
+        if (fieldId === Constants.TALLY_FIELDS.THICKNESS && getPieceLineCount(rec) > 0) {
+            updatePieceTallyTotals(rec);
+            return;
+        }
+
         switch (fieldId) {
             case Constants.TALLY_FIELDS.ITEM:
                 handleItemChange(rec);
@@ -315,6 +340,213 @@ define([
         }
     }
 
+    /**
+     * sublistChanged Entry Point
+     * Re-totals the piece tally as graders commit rows
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.currentRecord - Current record
+     * @param {string} context.sublistId - Changed sublist ID
+     */
+    function sublistChanged(context) {
+        if (context.sublistId === PIECE_FIELDS.SUBLIST_ID) {
+            updatePieceTallyTotals(context.currentRecord);
+        }
+    }
+
+    /**
+     * validateLine Entry Point
+     * Requires width, length and count on each piece tally row
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.currentRecord - Current record
+     * @param {string} context.sublistId - Sublist ID
+     * @returns {boolean} True if valid
+     */
+    function validateLine(context) {
+        if (context.sublistId !== PIECE_FIELDS.SUBLIST_ID) {
+            return true;
+        }
+
+        const rec = context.currentRecord;
+        const width = parseFloat(rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.WIDTH })) || 0;
+        const length = parseFloat(rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.LENGTH })) || 0;
+        const pieces = parseInt(rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.PIECES }), 10) || 0;
+
+        if (width <= 0 || length < 1 || pieces <= 0) {
+            showErrorBanner('Invalid Piece Row', 'Enter a width, a length of at least 1 foot, and a piece count.');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets the number of committed piece tally rows
+     *
+     * @param {Record} rec - Current record
+     * @returns {number} Line count
+     */
+    function getPieceLineCount(rec) {
+        try {
+            return rec.getLineCount({ sublistId: PIECE_FIELDS.SUBLIST_ID }) || 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    /**
+     * Calculates NHLA surface measure and BF for the current piece row
+     *
+     * @param {Record} rec - Current record
+     */
+    function calculatePieceRow(rec) {
+        isCalculating = true;
+
+        try {
+            const measure = BFCalculator.calculateNHLATally({
+                thickness: rec.getValue({ fieldId: Constants.TALLY_FIELDS.THICKNESS }),
+                width: rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.WIDTH }),
+                length: rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.LENGTH }),
+                pieces: rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.PIECES })
+            });
+
+            rec.setCurrentSublistValue({
+                sublistId: PIECE_FIELDS.SUBLIST_ID,
+                fieldId: PIECE_FIELDS.SURFACE_MEASURE,
+                value: measure.surfaceMeasure,
+                ignoreFieldChange: true
+            });
+
+            rec.setCurrentSublistValue({
+                sublistId: PIECE_FIELDS.SUBLIST_ID,
+                fieldId: PIECE_FIELDS.BOARD_FEET,
+                value: measure.boardFeet,
+                ignoreFieldChange: true
+            });
+        } finally {
+            isCalculating = false;
+        }
+    }
+
+    /**
+     * Grades the current piece row from its clear cutting units and warns
+     * when it falls below the tally grade
+     *
+     * @param {Record} rec - Current record
+     */
+    function gradePieceRow(rec) {
+        const cuttingUnits = rec.getCurrentSublistValue({
+            sublistId: PIECE_FIELDS.SUBLIST_ID,
+            fieldId: PIECE_FIELDS.CUTTING_UNITS
+        });
+
+        if (cuttingUnits === '' || cuttingUnits === null) {
+            return;
+        }
+
+        const grading = GradingEngine.gradeBoard({
+            width: rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.WIDTH }),
+            length: rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.LENGTH }),
+            poorFace: GradingEngine.buildFace(
+                cuttingUnits,
+                rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.CUTTINGS })
+            ),
+            bestFace: GradingEngine.buildFace(
+                rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.BEST_CUTTING_UNITS }),
+                rec.getCurrentSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.BEST_CUTTINGS })
+            )
+        });
+
+        if (!grading.isValid) {
+            return;
+        }
+
+        const gradeId = GradingEngine.findGradeId(grading.grade);
+        if (gradeId) {
+            isCalculating = true;
+            try {
+                rec.setCurrentSublistValue({
+                    sublistId: PIECE_FIELDS.SUBLIST_ID,
+                    fieldId: PIECE_FIELDS.GRADE,
+                    value: gradeId,
+                    ignoreFieldChange: true
+                });
+            } finally {
+                isCalculating = false;
+            }
+        }
+
+        const tallyGrade = GradingEngine.getGradeCode(rec.getValue({ fieldId: Constants.TALLY_FIELDS.GRADE }));
+        if (tallyGrade && !GradingEngine.meetsGrade(grading.grade, tallyGrade)) {
+            showWarningBanner('Below Tally Grade',
+                `Row grades ${grading.gradeLabel} (${grading.cuttingYield}% clear) - below ${GradingEngine.getGradeLabel(tallyGrade)}.`);
+        }
+    }
+
+    /**
+     * Totals committed piece tally rows into received BF and piece count
+     *
+     * @param {Record} rec - Current record
+     */
+    function updatePieceTallyTotals(rec) {
+        const lineCount = getPieceLineCount(rec);
+        const thickness = parseFloat(rec.getValue({ fieldId: Constants.TALLY_FIELDS.THICKNESS })) || 0;
+
+        const rows = [];
+        for (let i = 0; i < lineCount; i++) {
+            rows.push({
+                width: rec.getSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.WIDTH, line: i }),
+                length: rec.getSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.LENGTH, line: i }),
+                pieces: rec.getSublistValue({ sublistId: PIECE_FIELDS.SUBLIST_ID, fieldId: PIECE_FIELDS.PIECES, line: i })
+            });
+        }
+
+        const summary = BFCalculator.summarizeNHLATally(rows, thickness);
+
+        isCalculating = true;
+
+        try {
+            rec.setValue({
+                fieldId: Constants.TALLY_FIELDS.RECEIVED_BF,
+                value: summary.boardFeet,
+                ignoreFieldChange: true
+            });
+
+            rec.setValue({
+                fieldId: Constants.TALLY_FIELDS.PIECES,
+                value: summary.pieces,
+                ignoreFieldChange: true
+            });
+
+            rec.setValue({
+                fieldId: Constants.TALLY_FIELDS.MIXED_DIMENSIONS,
+                value: lineCount > 0,
+                ignoreFieldChange: true
+            });
+
+            // Update remaining BF for new records
+            const status = rec.getValue({ fieldId: Constants.TALLY_FIELDS.STATUS });
+            if (status === TALLY_STATUS.DRAFT || !status) {
+                rec.setValue({
+                    fieldId: Constants.TALLY_FIELDS.REMAINING_BF,
+                    value: summary.boardFeet,
+                    ignoreFieldChange: true
+                });
+            }
+        } finally {
+            isCalculating = false;
+        }
+
+        if (thickness <= 0 && lineCount > 0) {
+            showWarningBanner('Thickness Required', 'Enter the lot thickness to calculate BF from the piece tally.');
+            return;
+        }
+
+        showInfoBanner('Piece Tally',
+            `${lineCount} rows, ${summary.pieces} pcs, ${summary.surfaceMeasure} SM = ${summary.boardFeet} BF`);
+    }
+
     /**
      * Calculates piece count from bundle information
      *
@@ -548,6 +780,19 @@ define([
             return false;
         }
 
+        // Random-width lots only need a thickness; the piece rows carry the rest
+        if (getPieceLineCount(rec) > 0) {
+            const lotThickness = parseFloat(rec.getValue({ fieldId: Constants.TALLY_FIELDS.THICKNESS })) || 0;
+            if (lotThickness <= 0) {
+                dialog.alert({
+                    title: 'Invalid Dimensions',
+                    message: 'Please enter the lot thickness for the piece tally.'
+                });
+                return false;
+            }
+            return true;
+        }
+
         // Validate dimensions
         const thickness = parseFloat(rec.getValue({ fieldId: Constants.TALLY_FIELDS.THICKNESS })) || 0;
         const width = parseFloat(rec.getValue({ fieldId: Constants.TALLY_FIELDS.WIDTH })) || 0;
@@ -670,7 +915,7 @@ define([
     }
 
     /**
-     * Prints the tally sheet
+     * Prints the tally sheet's bundle tag
      */
     function printTally() {
         const rec = currentRecord.get();
@@ -684,10 +929,10 @@ define([
             return;
         }
 
-        // Open print view
+        // Open bundle tag PDF
         const printUrl = url.resolveScript({
-            scriptId: 'customscript_cls_tally_print_sl',
-            deploymentId: 'customdeploy_cls_tally_print_sl',
+            scriptId: Constants.SCRIPTS.TALLY_PRINT_SL,
+            deploymentId: Constants.DEPLOYMENTS.TALLY_PRINT_SL,
             params: { tallyId: tallyId }
         });
 
@@ -788,7 +1033,9 @@ define([
     return {
         pageInit: pageInit,
         fieldChanged: fieldChanged,
+        sublistChanged: sublistChanged,
         validateField: validateField,
+        validateLine: validateLine,
         saveRecord: saveRecord
     };
 });
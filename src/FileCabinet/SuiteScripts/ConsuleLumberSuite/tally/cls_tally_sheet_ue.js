@@ -24,6 +24,7 @@ define([
     '../lib/cls_settings_dao',
     '../lib/cls_bf_calculator',
     '../lib/cls_dimension_resolver',
+    '../lib/cls_grading_engine',
     '../lib/cls_logger'
 ], function(
     record,
@@ -36,6 +37,7 @@ define([
     SettingsDAO,
     BFCalculator,
     DimensionResolver,
+    GradingEngine,
     Logger
 ) {
     'use strict';
@@ -125,9 +127,13 @@ define([
             const tallyRec = context.newRecord;
 
             validateRequiredFields(tallyRec);
-            calculateTallyBF(tallyRec);
-            calculatePieceCount(tallyRec);
-            validateDimensions(tallyRec);
+
+            // Random-width lots are measured from their piece tally rows
+            if (!applyPieceTally(tallyRec, context.oldRecord)) {
+                calculateTallyBF(tallyRec);
+                calculatePieceCount(tallyRec);
+                validateDimensions(tallyRec);
+            }
             updateStatus(tallyRec, context.type, context.oldRecord);
             generateTallyNumber(tallyRec, context.type);
 
@@ -530,7 +536,7 @@ define([
 
         form.addButton({
             id: 'custpage_print',
-            label: 'Print Tally',
+            label: 'Print Bundle Tag',
             functionName: 'printTally'
         });
     }
@@ -681,6 +687,170 @@ define([
             `Pieces: ${pieceCount}, BF/Piece: ${bfPerPiece.toFixed(4)}, Total: ${totalBF.toFixed(4)} BF`);
     }
 
+    /**
+     * Derives received BF from the piece tally sublist using NHLA rounding
+     * Each row is tallied to surface measure, then multiplied by the lot thickness
+     *
+     * @param {Record} tallyRec - Tally sheet record
+     * @param {Record} [oldRecord] - Previous record (edit only)
+     * @returns {boolean} True if the tally has piece rows
+     */
+    function applyPieceTally(tallyRec, oldRecord) {
+        const PIECE_FIELDS = Constants.TALLY_PIECE_FIELDS;
+        const sublistId = PIECE_FIELDS.SUBLIST_ID;
+        const lineCount = tallyRec.getLineCount({ sublistId: sublistId });
+
+        if (!(lineCount > 0)) {
+            return false;
+        }
+
+        const thickness = parseFloat(tallyRec.getValue({
+            fieldId: Constants.TALLY_FIELDS.THICKNESS
+        })) || 0;
+
+        if (thickness <= 0) {
+            throw new Error('Thickness is required to tally random-width pieces.');
+        }
+
+        const rows = [];
+        for (let i = 0; i < lineCount; i++) {
+            rows.push({
+                width: tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.WIDTH, line: i }),
+                length: tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.LENGTH, line: i }),
+                pieces: tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.PIECES, line: i })
+            });
+        }
+
+        const summary = BFCalculator.summarizeNHLATally(rows, thickness);
+
+        summary.rows.forEach(function(row, i) {
+            tallyRec.setSublistValue({
+                sublistId: sublistId,
+                fieldId: PIECE_FIELDS.SURFACE_MEASURE,
+                line: i,
+                value: row.surfaceMeasure
+            });
+
+            tallyRec.setSublistValue({
+                sublistId: sublistId,
+                fieldId: PIECE_FIELDS.BOARD_FEET,
+                line: i,
+                value: row.boardFeet
+            });
+        });
+
+        tallyRec.setValue({
+            fieldId: Constants.TALLY_FIELDS.RECEIVED_BF,
+            value: summary.boardFeet
+        });
+
+        tallyRec.setValue({
+            fieldId: Constants.TALLY_FIELDS.PIECES,
+            value: summary.pieces
+        });
+
+        tallyRec.setValue({
+            fieldId: Constants.TALLY_FIELDS.MIXED_DIMENSIONS,
+            value: true
+        });
+
+        // Re-tallying keeps BF already consumed from the lot
+        let consumedBF = 0;
+        if (oldRecord) {
+            const oldReceived = parseFloat(oldRecord.getValue({ fieldId: Constants.TALLY_FIELDS.RECEIVED_BF })) || 0;
+            const oldRemaining = parseFloat(oldRecord.getValue({ fieldId: Constants.TALLY_FIELDS.REMAINING_BF })) || 0;
+            consumedBF = Math.max(oldReceived - oldRemaining, 0);
+        }
+
+        tallyRec.setValue({
+            fieldId: Constants.TALLY_FIELDS.REMAINING_BF,
+            value: BFCalculator.roundTo(Math.max(summary.boardFeet - consumedBF, 0), Constants.PRECISION.BF)
+        });
+
+        applyPieceGrades(tallyRec, lineCount);
+
+        logger.debug('applyPieceTally',
+            `Rows: ${lineCount}, Pieces: ${summary.pieces}, SM: ${summary.surfaceMeasure}, Total: ${summary.boardFeet} BF`);
+
+        return true;
+    }
+
+    /**
+     * Grades piece rows that carry clear cutting units against NHLA rules.
+     * Assigns the lowest row grade to the tally when it has none, otherwise
+     * verifies the tally grade against the rows.
+     *
+     * @param {Record} tallyRec - Tally sheet record
+     * @param {number} lineCount - Piece row count
+     */
+    function applyPieceGrades(tallyRec, lineCount) {
+        const PIECE_FIELDS = Constants.TALLY_PIECE_FIELDS;
+        const sublistId = PIECE_FIELDS.SUBLIST_ID;
+        const rowGrades = [];
+
+        for (let i = 0; i < lineCount; i++) {
+            const cuttingUnits = tallyRec.getSublistValue({
+                sublistId: sublistId,
+                fieldId: PIECE_FIELDS.CUTTING_UNITS,
+                line: i
+            });
+
+            if (cuttingUnits === '' || cuttingUnits === null) {
+                continue;
+            }
+
+            const grading = GradingEngine.gradeBoard({
+                width: tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.WIDTH, line: i }),
+                length: tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.LENGTH, line: i }),
+                poorFace: GradingEngine.buildFace(
+                    cuttingUnits,
+                    tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.CUTTINGS, line: i })
+                ),
+                bestFace: GradingEngine.buildFace(
+                    tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.BEST_CUTTING_UNITS, line: i }),
+                    tallyRec.getSublistValue({ sublistId: sublistId, fieldId: PIECE_FIELDS.BEST_CUTTINGS, line: i })
+                )
+            });
+
+            if (!grading.isValid) {
+                continue;
+            }
+
+            rowGrades.push(grading.grade);
+
+            const gradeId = GradingEngine.findGradeId(grading.grade);
+            if (gradeId) {
+                tallyRec.setSublistValue({
+                    sublistId: sublistId,
+                    fieldId: PIECE_FIELDS.GRADE,
+                    line: i,
+                    value: gradeId
+                });
+            }
+        }
+
+        const lowestGrade = GradingEngine.getLowestGrade(rowGrades);
+        if (!lowestGrade) {
+            return;
+        }
+
+        const tallyGradeId = tallyRec.getValue({ fieldId: Constants.TALLY_FIELDS.GRADE });
+
+        if (!tallyGradeId) {
+            const gradeId = GradingEngine.findGradeId(lowestGrade);
+            if (gradeId) {
+                tallyRec.setValue({ fieldId: Constants.TALLY_FIELDS.GRADE, value: gradeId });
+            }
+            return;
+        }
+
+        const tallyGrade = GradingEngine.getGradeCode(tallyGradeId);
+        if (tallyGrade && !GradingEngine.meetsGrade(lowestGrade, tallyGrade)) {
+            logger.audit('applyPieceGrades',
+                `Tally graded ${tallyGrade} but piece rows grade as low as ${lowestGrade}`);
+        }
+    }
+
     /**
      * Calculates piece count from bundle information
      *
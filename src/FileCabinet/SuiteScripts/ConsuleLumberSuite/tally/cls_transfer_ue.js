@@ -0,0 +1,298 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_transfer_ue.js
+ * @description Tally Transfer User Event Script for Consule LumberSuite™
+ *              Moves the tally sheets linked on transfer lines when lumber
+ *              ships between locations
+ *
+ * Deployed on:
+ * - Transfer Order: validates linked tallies are at the source location
+ * - Item Fulfillment: moves linked tallies when a Transfer Order ships
+ * - Inventory Transfer: moves linked tallies when the transfer is saved
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_transfer_ue
+ */
+
+define([
+    'N/record',
+    'N/search',
+    'N/runtime',
+    '../lib/cls_constants',
+    '../lib/cls_settings_dao',
+    '../lib/cls_tally_service',
+    '../lib/cls_conversion_engine',
+    '../lib/cls_logger'
+], function(
+    record,
+    search,
+    runtime,
+    Constants,
+    SettingsDAO,
+    TallyService,
+    ConversionEngine,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_Transfer_UE');
+
+    /**
+     * Line sublist per transfer record type
+     * @type {Object}
+     */
+    const LINE_SUBLISTS = {
+        [record.Type.TRANSFER_ORDER]: 'item',
+        [record.Type.ITEM_FULFILLMENT]: 'item',
+        [record.Type.INVENTORY_TRANSFER]: 'inventory'
+    };
+
+    /**
+     * Line quantity field per transfer record type
+     * @type {Object}
+     */
+    const QUANTITY_FIELDS = {
+        [record.Type.TRANSFER_ORDER]: 'quantity',
+        [record.Type.ITEM_FULFILLMENT]: 'quantity',
+        [record.Type.INVENTORY_TRANSFER]: 'adjustqtyby'
+    };
+
+    /**
+     * beforeSubmit Entry Point
+     * Rejects Transfer Orders whose linked tallies are not at the source location
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {string} context.type - Trigger type
+     */
+    function beforeSubmit(context) {
+        if (context.type === context.UserEventType.DELETE ||
+            context.newRecord.type !== record.Type.TRANSFER_ORDER ||
+            !SettingsDAO.isTallyEnabled()) {
+            return;
+        }
+
+        const transferRec = context.newRecord;
+        const fromLocationId = transferRec.getValue({ fieldId: 'location' });
+        const errors = [];
+
+        getTransferLines(transferRec).forEach(function(line) {
+            const tally = TallyService.getTallyDetails(line.tallyId);
+
+            if (!tally) {
+                errors.push(`Line ${line.line + 1}: tally sheet not found`);
+            } else if (fromLocationId && String(tally.locationId) !== String(fromLocationId)) {
+                errors.push(`Line ${line.line + 1}: tally ${tally.tallyNumber} is not at the transfer's From Location`);
+            } else if (line.transferBF && line.transferBF > tally.remainingBF) {
+                errors.push(`Line ${line.line + 1}: tally ${tally.tallyNumber} has only ${tally.remainingBF} BF remaining`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+    }
+
+    /**
+     * afterSubmit Entry Point
+     * Moves linked tallies for new Inventory Transfers and Transfer Order fulfillments
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {string} context.type - Trigger type
+     */
+    function afterSubmit(context) {
+        try {
+            if (context.type !== context.UserEventType.CREATE || !SettingsDAO.isTallyEnabled()) {
+                return;
+            }
+
+            const transferRec = context.newRecord;
+            let toLocationId = null;
+
+            if (transferRec.type === record.Type.INVENTORY_TRANSFER) {
+                toLocationId = transferRec.getValue({ fieldId: 'transferlocation' });
+            } else if (transferRec.type === record.Type.ITEM_FULFILLMENT) {
+                toLocationId = getTransferOrderDestination(transferRec);
+            }
+
+            if (!toLocationId) {
+                return;
+            }
+
+            moveLinkedTallies(transferRec, toLocationId);
+        } catch (e) {
+            logger.error('afterSubmit', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * Gets the destination of the Transfer Order a fulfillment ships
+     *
+     * @param {Record} fulfillmentRec - Item Fulfillment
+     * @returns {string|null} Destination location ID, or null when not a transfer
+     */
+    function getTransferOrderDestination(fulfillmentRec) {
+        if (fulfillmentRec.getValue({ fieldId: 'ordertype' }) !== 'TrnfrOrd') {
+            return null;
+        }
+
+        const transferOrderId = fulfillmentRec.getValue({ fieldId: 'createdfrom' });
+        if (!transferOrderId) {
+            return null;
+        }
+
+        const lookup = search.lookupFields({
+            type: search.Type.TRANSFER_ORDER,
+            id: transferOrderId,
+            columns: ['transferlocation']
+        });
+
+        return lookup.transferlocation && lookup.transferlocation[0]
+            ? lookup.transferlocation[0].value
+            : null;
+    }
+
+    /**
+     * Collects lines that carry a tally sheet
+     *
+     * @param {Record} transferRec - Transfer record
+     * @returns {Array<Object>} { line, tallyId, transferBF }
+     */
+    function getTransferLines(transferRec) {
+        const sublistId = LINE_SUBLISTS[transferRec.type];
+        const lineCount = transferRec.getLineCount({ sublistId: sublistId });
+        const lines = [];
+
+        for (let i = 0; i < lineCount; i++) {
+            const tallyId = transferRec.getSublistValue({
+                sublistId: sublistId,
+                fieldId: Constants.LINE_FIELDS.TALLY_SHEET,
+                line: i
+            });
+
+            if (!tallyId) continue;
+
+            lines.push({
+                line: i,
+                tallyId: tallyId,
+                // Blank BF moves the whole tally
+                transferBF: parseFloat(transferRec.getSublistValue({
+                    sublistId: sublistId,
+                    fieldId: Constants.LINE_FIELDS.CALCULATED_BF,
+                    line: i
+                })) || getLineQuantityBF(transferRec, sublistId, i)
+            });
+        }
+
+        return lines;
+    }
+
+    /**
+     * Derives a line's BF from its quantity in the item's stock unit, for
+     * lines without a calculated BF (TO fulfillments and Inventory Transfers)
+     *
+     * @param {Record} transferRec - Transfer record
+     * @param {string} sublistId - Line sublist
+     * @param {number} line - Line index
+     * @returns {number|null} Line BF, or null when it cannot be derived
+     */
+    function getLineQuantityBF(transferRec, sublistId, line) {
+        const quantity = Math.abs(parseFloat(transferRec.getSublistValue({
+            sublistId: sublistId,
+            fieldId: QUANTITY_FIELDS[transferRec.type],
+            line: line
+        })) || 0);
+
+        if (quantity <= 0) {
+            return null;
+        }
+
+        const itemId = transferRec.getSublistValue({
+            sublistId: sublistId,
+            fieldId: 'item',
+            line: line
+        });
+        const stockUnit = ConversionEngine.getStockUnitBF(itemId);
+
+        if (!stockUnit.isValid) {
+            logger.error('getLineQuantityBF', `Line ${line + 1}: ${stockUnit.error}`);
+            return null;
+        }
+
+        return quantity * stockUnit.bfPerUnit;
+    }
+
+    /**
+     * Transfers each linked tally to the destination and points the line at
+     * the tally that moved (the child tally for partial transfers)
+     *
+     * @param {Record} transferRec - Transfer record
+     * @param {string} toLocationId - Destination location
+     */
+    function moveLinkedTallies(transferRec, toLocationId) {
+        const lines = getTransferLines(transferRec);
+        if (lines.length === 0) {
+            return;
+        }
+
+        const tranId = transferRec.getValue({ fieldId: 'tranid' }) || transferRec.id;
+        const userId = runtime.getCurrentUser().id;
+        const relinked = [];
+        let moved = 0;
+
+        lines.forEach(function(line) {
+            const result = TallyService.transferTally({
+                tallyId: line.tallyId,
+                toLocationId: toLocationId,
+                transferBF: line.transferBF,
+                transactionId: transferRec.id,
+                userId: userId,
+                notes: `Transferred on ${tranId}`
+            });
+
+            if (!result.success) {
+                logger.error('moveLinkedTallies', `Line ${line.line + 1} tally ${line.tallyId}: ${result.error}`);
+                return;
+            }
+
+            moved++;
+
+            if (result.childTallyId) {
+                relinked.push({ line: line.line, tallyId: result.childTallyId });
+            }
+        });
+
+        if (relinked.length > 0) {
+            const sublistId = LINE_SUBLISTS[transferRec.type];
+            const savedRec = record.load({ type: transferRec.type, id: transferRec.id });
+
+            relinked.forEach(function(link) {
+                savedRec.setSublistValue({
+                    sublistId: sublistId,
+                    fieldId: Constants.LINE_FIELDS.TALLY_SHEET,
+                    line: link.line,
+                    value: link.tallyId
+                });
+            });
+
+            savedRec.save({ ignoreMandatoryFields: true });
+        }
+
+        logger.audit('moveLinkedTallies', `${tranId}: moved ${moved} of ${lines.length} linked tallies to location ${toLocationId}`);
+    }
+
+    return {
+        beforeSubmit: beforeSubmit,
+        afterSubmit: afterSubmit
+    };
+});
@@ -0,0 +1,105 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_vendorbill_ue.js
+ * @description Vendor Bill User Event Script for Consule LumberSuite™
+ *              Allocates billed purchase price and freight, kiln and handling
+ *              charges to the received tallies as landed cost
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module tally/cls_vendorbill_ue
+ */
+
+define([
+    'N/record',
+    '../lib/cls_settings_dao',
+    '../lib/cls_landed_cost_service',
+    '../lib/cls_logger'
+], function(
+    record,
+    SettingsDAO,
+    LandedCostService,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_VendorBill_UE');
+
+    /**
+     * beforeSubmit Entry Point
+     * Removes a deleted bill's allocations while the bill still exists
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.oldRecord - Previous record
+     * @param {string} context.type - Trigger type
+     */
+    function beforeSubmit(context) {
+        try {
+            if (context.type !== context.UserEventType.DELETE || !SettingsDAO.isTallyEnabled()) {
+                return;
+            }
+
+            const result = LandedCostService.removeBillCosts(context.oldRecord.id);
+
+            if (!result.success) {
+                logger.error('beforeSubmit', `Bill ${context.oldRecord.id}: ${result.error}`);
+            }
+        } catch (e) {
+            logger.error('beforeSubmit', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * afterSubmit Entry Point
+     * Allocates the bill to the tallies of its receipts on create and edit
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {string} context.type - Trigger type
+     */
+    function afterSubmit(context) {
+        try {
+            if (!SettingsDAO.isTallyEnabled()) {
+                return;
+            }
+
+            if (context.type !== context.UserEventType.CREATE &&
+                context.type !== context.UserEventType.EDIT) {
+                return;
+            }
+
+            const billRec = record.load({
+                type: record.Type.VENDOR_BILL,
+                id: context.newRecord.id,
+                isDynamic: false
+            });
+
+            const result = LandedCostService.allocateBill(billRec);
+
+            if (!result.success) {
+                logger.error('afterSubmit', `Bill ${billRec.id}: ${result.error}`);
+                return;
+            }
+
+            if (result.unallocated !== 0) {
+                logger.audit('afterSubmit',
+                    `Bill ${billRec.id}: ${result.unallocated} could not be matched to a received tally`);
+            }
+        } catch (e) {
+            logger.error('afterSubmit', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    return {
+        beforeSubmit: beforeSubmit,
+        afterSubmit: afterSubmit
+    };
+});
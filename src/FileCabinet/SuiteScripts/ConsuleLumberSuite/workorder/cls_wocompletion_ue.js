@@ -11,6 +11,7 @@
  * - Calculate and store yield/waste metrics
  * - Create yield register entries
  * - Update tally sheet consumption
+ * - Roll consumed lumber cost into the output and by-products
  * - Post waste to custom analytics
  *
  * @copyright Consule LLC
@@ -29,6 +30,8 @@ define([
     '../lib/cls_tally_service',
     '../lib/cls_yield_service',
     '../lib/cls_process_service',
+    '../lib/cls_landed_cost_service',
+    '../lib/cls_cost_roll_service',
     '../lib/cls_logger'
 ], (
     record,
@@ -42,6 +45,8 @@ define([
     TallyService,
     YieldService,
     ProcessService,
+    LandedCostService,
+    CostRollService,
     Logger
 ) => {
 
@@ -396,48 +401,203 @@ define([
 
             // Create by-product records if expected
             const expectsByproducts = woRec.getValue({ fieldId: BODY_FIELDS.EXPECTED_BYPRODUCTS });
-            if (expectsByproducts) {
-                processByproducts(completionRec, woRec);
-            }
+            const byproducts = expectsByproducts ? processByproducts(completionRec, woRec) : [];
 
             // Update tally sheet consumption if enabled
+            let consumption = null;
+
             if (SettingsDAO.isTallyEnabled()) {
                 const result = TallyService.markAllocationsConsumed(workOrderId);
+                consumption = result.success ? result : null;
 
                 if (result.success) {
                     log.audit('afterSubmit - Tally Consumption', {
                         workOrderId,
                         updatesCount: result.updates?.length || 0,
-                        totalConsumed: result.totalConsumed
+                        totalConsumed: result.totalConsumed,
+                        totalCost: result.totalCost
                     });
                 } else {
                     log.error('afterSubmit - Tally Consumption', result.error);
                 }
             }
 
+            rollUpCost(completionRec, woRec, consumption, byproducts);
+
         } catch (e) {
             log.error('afterSubmit', e);
         }
     };
 
+    /**
+     * Get the cost of the lumber components of a completion
+     * Components drawn from tallies use the tally cost consumed for the work
+     * order; the rest use the item's BF cost at the work order location.
+     *
+     * @param {Record} completionRec - Work Order Completion record
+     * @param {number} locationId - Work order location
+     * @param {Object|null} consumption - Result of markAllocationsConsumed
+     * @returns {Object} Input cost and BF
+     */
+    const getInputCost = (completionRec, locationId, consumption) => {
+        const tallyCostByItem = {};
+
+        (consumption?.updates || []).forEach((update) => {
+            // Tallies without a cost fall through to the item cost
+            if (!update.bfCost) return;
+
+            const entry = tallyCostByItem[update.itemId] || { bf: 0, cost: 0 };
+            entry.bf += update.consumedBF;
+            entry.cost += update.consumedCost;
+            tallyCostByItem[update.itemId] = entry;
+        });
+
+        let inputBF = 0;
+        let inputCost = 0;
+        const componentCount = completionRec.getLineCount({ sublistId: 'component' });
+
+        for (let i = 0; i < componentCount; i++) {
+            const itemId = completionRec.getSublistValue({
+                sublistId: 'component',
+                fieldId: 'item',
+                line: i
+            });
+
+            if (!itemId || !DimensionResolver.isLumberItem(itemId)) continue;
+
+            const quantity = parseFloat(completionRec.getSublistValue({
+                sublistId: 'component',
+                fieldId: 'quantity',
+                line: i
+            })) || 0;
+
+            const entry = tallyCostByItem[itemId];
+            const tallyBF = entry ? Math.min(quantity, entry.bf) : 0;
+
+            if (tallyBF > 0) {
+                const tallyCost = entry.cost * tallyBF / entry.bf;
+                inputCost += tallyCost;
+                entry.bf -= tallyBF;
+                entry.cost -= tallyCost;
+            }
+
+            if (quantity > tallyBF) {
+                inputCost += (quantity - tallyBF) * LandedCostService.getItemBFCost({ itemId, locationId });
+            }
+
+            inputBF += quantity;
+        }
+
+        return { inputBF, inputCost };
+    };
+
+    /**
+     * Roll the completion's input cost into the primary output and by-products
+     * The primary output's BF cost goes on the work order, and each
+     * by-product (and its tally) gets its share.
+     *
+     * @param {Record} completionRec - Work Order Completion record
+     * @param {Record} woRec - Work Order record
+     * @param {Object|null} consumption - Result of markAllocationsConsumed
+     * @param {Array<Object>} byproducts - By-products created for this completion
+     */
+    const rollUpCost = (completionRec, woRec, consumption, byproducts) => {
+        try {
+            const { inputBF, inputCost } = getInputCost(completionRec, woRec.getValue({ fieldId: 'location' }), consumption);
+
+            if (inputBF <= 0 || inputCost <= 0) {
+                log.debug('rollUpCost', 'No costed lumber input - skipping cost roll-up');
+                return;
+            }
+
+            const outputs = [{
+                key: 'primary',
+                itemId: woRec.getValue({ fieldId: 'assemblyitem' }),
+                bf: parseFloat(completionRec.getValue({ fieldId: 'completedquantity' })) || 0,
+                isByproduct: false
+            }].concat(byproducts.map(byproduct => ({
+                key: byproduct.byproductId,
+                itemId: byproduct.itemId,
+                bf: byproduct.bf,
+                isByproduct: true
+            })));
+
+            const result = CostRollService.rollProcessCost({
+                processType: woRec.getValue({ fieldId: BODY_FIELDS.PROCESS_TYPE }),
+                inputCost,
+                outputs
+            });
+
+            if (!result.success) {
+                log.error('rollUpCost', result.error);
+                return;
+            }
+
+            result.outputs.forEach((output) => {
+                if (!output.isByproduct) return;
+
+                const byproductResult = ProcessService.setByproductCost(output.key, output);
+                if (!byproductResult.success) {
+                    log.error('rollUpCost - By-product', byproductResult.error);
+                }
+            });
+
+            const primary = result.outputs.find(output => !output.isByproduct);
+            const rolledCost = parseFloat(woRec.getValue({ fieldId: BODY_FIELDS.ROLLED_COST })) || 0;
+            const values = {
+                [BODY_FIELDS.ROLLED_COST]: BFCalculator.roundTo(rolledCost + result.totalCost, PRECISION.CURRENCY)
+            };
+
+            if (primary) {
+                values[BODY_FIELDS.OUTPUT_BF_COST] = primary.bfCost;
+            }
+
+            record.submitFields({
+                type: record.Type.WORK_ORDER,
+                id: woRec.id,
+                values
+            });
+
+            log.audit('rollUpCost', {
+                workOrderId: woRec.id,
+                totalCost: result.totalCost,
+                splitMethod: result.splitMethod,
+                outputBFCost: primary ? primary.bfCost : null,
+                byproducts: byproducts.length
+            });
+
+        } catch (e) {
+            log.error('rollUpCost', e);
+        }
+    };
+
     /**
      * Process by-products for a completed work order
      *
      * @param {Record} completionRec - Work Order Completion record
      * @param {Record} woRec - Work Order record
+     * @returns {Array<Object>} Created by-products with byproductId, itemId and bf
      */
     const processByproducts = (completionRec, woRec) => {
+        const created = [];
+
         try {
             const workOrderId = woRec.id;
             const processType = woRec.getValue({ fieldId: BODY_FIELDS.PROCESS_TYPE });
             const locationId = woRec.getValue({ fieldId: 'location' });
 
             // Get process target for waste breakdown
-            const processTarget = ProcessService.getProcessTarget({ processType });
+            const assemblyItemId = woRec.getValue({ fieldId: 'assemblyitem' });
+            const processTarget = ProcessService.getProcessTarget({
+                processType,
+                speciesId: ProcessService.resolveItemSpecies(assemblyItemId),
+                drying: ProcessService.resolveDryingConditions(woRec),
+                surfacing: ProcessService.resolveSurfacingDimensions(assemblyItemId)
+            });
 
-            if (!processTarget.found) {
+            if (!processTarget.found && !processTarget.isModeled) {
                 log.debug('processByproducts', 'No process target found - skipping by-product creation');
-                return;
+                return created;
             }
 
             // Calculate total input BF from components
@@ -464,7 +624,7 @@ define([
 
             if (totalInputBF <= 0) {
                 log.debug('processByproducts', 'No lumber input - skipping by-product creation');
-                return;
+                return created;
             }
 
             // Calculate waste breakdown
@@ -487,10 +647,12 @@ define([
             // This is a simplified example that creates records for tracking purposes
 
             if (wasteBreakdown.totalWasteBF > 0) {
+                const byproductItemId = getDefaultByproductItem(); // Would be configured per account
+
                 // Create a general by-product record for tracking
                 const byproductResult = ProcessService.createByproduct({
                     workOrderId: workOrderId,
-                    outputItemId: getDefaultByproductItem(), // Would be configured per account
+                    outputItemId: byproductItemId,
                     quantity: wasteBreakdown.totalWasteBF,
                     boardFeet: wasteBreakdown.totalWasteBF,
                     byproductType: Constants.BYPRODUCT_TYPES.SAWDUST,
@@ -500,6 +662,12 @@ define([
                 });
 
                 if (byproductResult.success) {
+                    created.push({
+                        byproductId: byproductResult.byproductId,
+                        itemId: byproductItemId,
+                        bf: wasteBreakdown.totalWasteBF
+                    });
+
                     log.audit('processByproducts - Created', {
                         workOrderId,
                         byproductId: byproductResult.byproductId,
@@ -513,6 +681,8 @@ define([
         } catch (e) {
             log.error('processByproducts', e);
         }
+
+        return created;
     };
 
     /**
@@ -37,6 +37,7 @@ define([
     const BODY_FIELDS = Constants.BODY_FIELDS;
     const UOM_CODES = Constants.UOM_CODES;
     const PRECISION = Constants.PRECISION;
+    const METRIC_FACTORS = Constants.METRIC_FACTORS;
     const DEFAULTS = Constants.DEFAULTS;
 
     // Cache for item data to reduce lookups
@@ -167,6 +168,27 @@ define([
                 boardFeet = qty * conversionFactor;
                 break;
 
+            case UOM_CODES.CUBIC_METRES:
+                conversionFactor = METRIC_FACTORS.BF_PER_CUBIC_METRE;
+                boardFeet = qty * conversionFactor;
+                break;
+
+            case UOM_CODES.LINEAR_METRES:
+                if (t <= 0 || w <= 0) {
+                    return { boardFeet: 0, conversionFactor: 0, isValid: false, error: 'Thickness and width required' };
+                }
+                conversionFactor = BFCalculator.calculateBFPerLinearMetre(t, w);
+                boardFeet = qty * conversionFactor;
+                break;
+
+            case UOM_CODES.SQUARE_METRES:
+                if (t <= 0) {
+                    return { boardFeet: 0, conversionFactor: 0, isValid: false, error: 'Thickness required' };
+                }
+                conversionFactor = BFCalculator.calculateBFPerSquareMetre(t);
+                boardFeet = qty * conversionFactor;
+                break;
+
             default:
                 return { boardFeet: 0, conversionFactor: 0, isValid: false, error: `Unknown UOM: ${sourceUom}` };
         }
@@ -244,6 +266,7 @@ define([
                 LINE_FIELDS.DIM_THICKNESS,
                 LINE_FIELDS.DIM_WIDTH,
                 LINE_FIELDS.DIM_LENGTH,
+                LINE_FIELDS.DIMS_IN_MM,
                 LINE_FIELDS.YIELD_PCT,
                 'quantity'
             ];
@@ -262,6 +285,10 @@ define([
                 handleUOMChange(rec, line);
             }
 
+            if (fieldId === LINE_FIELDS.DIMS_IN_MM) {
+                handleDimensionUnitChange(rec, line);
+            }
+
             if (fieldId === LINE_FIELDS.DISPLAY_QTY ||
                 fieldId === LINE_FIELDS.DIM_THICKNESS ||
                 fieldId === LINE_FIELDS.DIM_WIDTH ||
@@ -315,26 +342,7 @@ define([
         }
 
         // Set default dimensions from item
-        rec.setCurrentSublistValue({
-            sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_THICKNESS,
-            value: itemData.thickness || '',
-            ignoreFieldChange: true
-        });
-
-        rec.setCurrentSublistValue({
-            sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_WIDTH,
-            value: itemData.width || '',
-            ignoreFieldChange: true
-        });
-
-        rec.setCurrentSublistValue({
-            sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_LENGTH,
-            value: itemData.length || '',
-            ignoreFieldChange: true
-        });
+        setLineDimensions(rec, itemData);
 
         rec.setCurrentSublistValue({
             sublistId: 'item',
@@ -359,28 +367,95 @@ define([
     };
 
     /**
-     * Handle UOM field change
+     * Handle dimension unit change - convert the keyed dimensions so the
+     * line still describes the same board
      */
-    const handleUOMChange = (rec, line) => {
-        const sellingUom = rec.getCurrentSublistValue({
+    const handleDimensionUnitChange = (rec, line) => {
+        const keyed = getKeyedDimensions(rec);
+
+        setLineDimensions(rec, isMetricLine(rec) ? keyed : BFCalculator.convertMetricDimensions(keyed));
+        calculateLineBF(rec, line);
+    };
+
+    /**
+     * Check whether the current line's dimensions are keyed in millimetres
+     */
+    const isMetricLine = (rec) => {
+        const inMM = rec.getCurrentSublistValue({
             sublistId: 'item',
-            fieldId: LINE_FIELDS.SELLING_UOM
+            fieldId: LINE_FIELDS.DIMS_IN_MM
         });
 
-        const thickness = parseFloat(rec.getCurrentSublistValue({
+        return inMM === true || inMM === 'T';
+    };
+
+    /**
+     * Get the current line's dimensions as keyed
+     */
+    const getKeyedDimensions = (rec) => {
+        return {
+            thickness: parseFloat(rec.getCurrentSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.DIM_THICKNESS
+            })) || 0,
+            width: parseFloat(rec.getCurrentSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.DIM_WIDTH
+            })) || 0,
+            length: parseFloat(rec.getCurrentSublistValue({
+                sublistId: 'item',
+                fieldId: LINE_FIELDS.DIM_LENGTH
+            })) || 0
+        };
+    };
+
+    /**
+     * Get the current line's dimensions in inches/feet
+     */
+    const getLineDimensions = (rec) => {
+        const dims = getKeyedDimensions(rec);
+
+        return isMetricLine(rec) ? BFCalculator.convertMetricDimensions(dims) : dims;
+    };
+
+    /**
+     * Set the current line's dimensions from inches/feet, shown in the line's unit
+     */
+    const setLineDimensions = (rec, dims) => {
+        const shown = isMetricLine(rec) ? BFCalculator.convertImperialDimensions(dims) : dims;
+
+        rec.setCurrentSublistValue({
             sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_THICKNESS
-        })) || 0;
+            fieldId: LINE_FIELDS.DIM_THICKNESS,
+            value: shown.thickness || '',
+            ignoreFieldChange: true
+        });
 
-        const width = parseFloat(rec.getCurrentSublistValue({
+        rec.setCurrentSublistValue({
             sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_WIDTH
-        })) || 0;
+            fieldId: LINE_FIELDS.DIM_WIDTH,
+            value: shown.width || '',
+            ignoreFieldChange: true
+        });
 
-        const length = parseFloat(rec.getCurrentSublistValue({
+        rec.setCurrentSublistValue({
             sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_LENGTH
-        })) || 0;
+            fieldId: LINE_FIELDS.DIM_LENGTH,
+            value: shown.length || '',
+            ignoreFieldChange: true
+        });
+    };
+
+    /**
+     * Handle UOM field change
+     */
+    const handleUOMChange = (rec, line) => {
+        const sellingUom = rec.getCurrentSublistValue({
+            sublistId: 'item',
+            fieldId: LINE_FIELDS.SELLING_UOM
+        });
+
+        const { thickness, width, length } = getLineDimensions(rec);
 
         // Validate dimensions for selected UOM
         const errors = validateDimensionsForUOM(sellingUom, { thickness, width, length });
@@ -411,6 +486,13 @@ define([
                 if (!hasT) errors.push('Thickness required for Linear Feet');
                 if (!hasW) errors.push('Width required for Linear Feet');
                 break;
+            case UOM_CODES.LINEAR_METRES:
+                if (!hasT) errors.push('Thickness required for Linear Metres');
+                if (!hasW) errors.push('Width required for Linear Metres');
+                break;
+            case UOM_CODES.SQUARE_METRES:
+                if (!hasT) errors.push('Thickness required for Square Metres');
+                break;
             case UOM_CODES.SQUARE_FEET:
             case UOM_CODES.MSF:
                 if (!hasT) errors.push('Thickness required for Square Feet');
@@ -443,6 +525,10 @@ define([
             } else if (uomCode === UOM_CODES.EACH && t > 0 && w > 0 && l > 0) {
                 const bf = BFCalculator.calculateBF({ thickness: t, width: w, length: l });
                 description = `1 PC = ${bf} BF`;
+            } else if (uomCode === UOM_CODES.LINEAR_METRES && t > 0 && w > 0) {
+                description = `1 LM = ${BFCalculator.roundTo(BFCalculator.calculateBFPerLinearMetre(t, w), 4)} BF`;
+            } else if (uomCode === UOM_CODES.SQUARE_METRES && t > 0) {
+                description = `1 m² = ${BFCalculator.roundTo(BFCalculator.calculateBFPerSquareMetre(t), 4)} BF`;
             }
 
             if (description) {
@@ -487,20 +573,10 @@ define([
             fieldId: 'quantity'
         })) || 0;
 
-        const thickness = parseFloat(rec.getCurrentSublistValue({
-            sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_THICKNESS
-        })) || itemData.thickness || 0;
-
-        const width = parseFloat(rec.getCurrentSublistValue({
-            sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_WIDTH
-        })) || itemData.width || 0;
-
-        const length = parseFloat(rec.getCurrentSublistValue({
-            sublistId: 'item',
-            fieldId: LINE_FIELDS.DIM_LENGTH
-        })) || itemData.length || 0;
+        const lineDims = getLineDimensions(rec);
+        const thickness = lineDims.thickness || itemData.thickness || 0;
+        const width = lineDims.width || itemData.width || 0;
+        const length = lineDims.length || itemData.length || 0;
 
         if (displayQty <= 0) return;
 
@@ -737,20 +813,10 @@ define([
                 fieldId: LINE_FIELDS.SELLING_UOM
             }) || UOM_CODES.BOARD_FEET;
 
-            const thickness = parseFloat(rec.getCurrentSublistValue({
-                sublistId: 'item',
-                fieldId: LINE_FIELDS.DIM_THICKNESS
-            })) || itemData.thickness || 0;
-
-            const width = parseFloat(rec.getCurrentSublistValue({
-                sublistId: 'item',
-                fieldId: LINE_FIELDS.DIM_WIDTH
-            })) || itemData.width || 0;
-
-            const length = parseFloat(rec.getCurrentSublistValue({
-                sublistId: 'item',
-                fieldId: LINE_FIELDS.DIM_LENGTH
-            })) || itemData.length || 0;
+            const lineDims = getLineDimensions(rec);
+            const thickness = lineDims.thickness || itemData.thickness || 0;
+            const width = lineDims.width || itemData.width || 0;
+            const length = lineDims.length || itemData.length || 0;
 
             const errors = validateDimensionsForUOM(sellingUom, { thickness, width, length });
             if (errors.length > 0) {
@@ -18,7 +18,6 @@
  */
 define([
     'N/record',
-    'N/search',
     'N/runtime',
     'N/ui/serverWidget',
     '../lib/cls_constants',
@@ -33,7 +32,6 @@ define([
     '../lib/cls_logger'
 ], (
     record,
-    search,
     runtime,
     serverWidget,
     Constants,
@@ -50,7 +48,6 @@ define([
 
     // Note: Cannot access record.Type during define() - use string literal
     const RECORD_TYPE = 'workorder';
-    const ITEM_FIELDS = Constants.ITEM_FIELDS;
     const LINE_FIELDS = Constants.LINE_FIELDS;
     const BODY_FIELDS = Constants.BODY_FIELDS;
     const UOM_CODES = Constants.UOM_CODES;
@@ -129,9 +126,14 @@ define([
             if (type === context.UserEventType.VIEW || type === context.UserEventType.EDIT) {
                 const processType = rec.getValue({ fieldId: BODY_FIELDS.PROCESS_TYPE });
                 if (processType) {
-                    const processTarget = ProcessService.getProcessTarget({ processType });
+                    const processTarget = ProcessService.getProcessTarget({
+                        processType,
+                        speciesId: ProcessService.resolveItemSpecies(assemblyItemId),
+                        drying: ProcessService.resolveDryingConditions(rec),
+                        surfacing: ProcessService.resolveSurfacingDimensions(assemblyItemId)
+                    });
 
-                    if (processTarget.found) {
+                    if (processTarget.found || processTarget.isModeled) {
                         const targetField = form.addField({
                             id: 'custpage_process_target_yield',
                             type: serverWidget.FieldType.PERCENT,
@@ -150,7 +152,10 @@ define([
                                 container: 'custpage_process_group'
                             });
                             lossesField.updateDisplayType({ displayType: serverWidget.FieldDisplayType.INLINE });
-                            lossesField.defaultValue = `Kerf: ${processTarget.kerfLoss}%, Shrinkage: ${processTarget.shrinkage}%, Defects: ${processTarget.defectRate}%`;
+                            const kerfLabel = processTarget.surfacing
+                                ? `Surfacing: ${processTarget.kerfLoss}% (${processTarget.surfacing.nominal.thickness}×${processTarget.surfacing.nominal.width} → ${processTarget.surfacing.actual.thickness}×${processTarget.surfacing.actual.width})`
+                                : `Kerf: ${processTarget.kerfLoss}%`;
+                            lossesField.defaultValue = `${kerfLabel}, Shrinkage: ${processTarget.shrinkage}%${processTarget.drying ? ` (${processTarget.drying.currentMC}% → ${processTarget.drying.targetMC}% MC)` : ''}, Defects: ${processTarget.defectRate}%`;
                         }
                     }
                 }
@@ -381,28 +386,17 @@ define([
 
             // Get species from assembly item if available
             const assemblyItemId = rec.getValue({ fieldId: 'assemblyitem' });
-            let speciesId = null;
-
-            if (assemblyItemId) {
-                try {
-                    const itemLookup = search.lookupFields({
-                        type: search.Type.ASSEMBLY_ITEM,
-                        id: assemblyItemId,
-                        columns: [ITEM_FIELDS.SPECIES]
-                    });
-                    speciesId = itemLookup[ITEM_FIELDS.SPECIES] ? itemLookup[ITEM_FIELDS.SPECIES][0]?.value : null;
-                } catch (e) {
-                    // Species field may not exist on item
-                }
-            }
+            const speciesId = ProcessService.resolveItemSpecies(assemblyItemId);
 
             // Get process target
             const processTarget = ProcessService.getProcessTarget({
                 processType: processType,
-                speciesId: speciesId
+                speciesId: speciesId,
+                drying: ProcessService.resolveDryingConditions(rec),
+                surfacing: ProcessService.resolveSurfacingDimensions(assemblyItemId)
             });
 
-            if (processTarget.found) {
+            if (processTarget.found || processTarget.isModeled) {
                 // Set target yield on work order
                 rec.setValue({
                     fieldId: BODY_FIELDS.TARGET_YIELD,
@@ -415,6 +409,8 @@ define([
                     targetYield: processTarget.targetYield,
                     kerfLoss: processTarget.kerfLoss,
                     shrinkage: processTarget.shrinkage,
+                    shrinkageModeled: !!processTarget.drying,
+                    surfacingModeled: !!processTarget.surfacing,
                     defectRate: processTarget.defectRate
                 });
             }
@@ -721,6 +717,9 @@ define([
                     continue;
                 }
 
+                // Logged in inches/feet even when the line was keyed in mm
+                const lineDims = DimensionResolver.getLineDimensions({ record: rec, lineNum: i });
+
                 const consumptionData = {
                     sourceTransactionId: rec.id,
                     sourceType: Constants.SOURCE_TYPES.WORK_ORDER,
@@ -746,21 +745,9 @@ define([
                         fieldId: LINE_FIELDS.CONVERSION_FACTOR,
                         line: i
                     })) || 0,
-                    thickness: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_THICKNESS,
-                        line: i
-                    })) || 0,
-                    width: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_WIDTH,
-                        line: i
-                    })) || 0,
-                    length: parseFloat(rec.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: LINE_FIELDS.DIM_LENGTH,
-                        line: i
-                    })) || 0,
+                    thickness: lineDims.thickness,
+                    width: lineDims.width,
+                    length: lineDims.length,
                     transactionDate: transactionDate,
                     subsidiaryId: subsidiaryId
                 };
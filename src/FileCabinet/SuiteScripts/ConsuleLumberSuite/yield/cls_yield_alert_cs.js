@@ -0,0 +1,91 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType ClientScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_yield_alert_cs.js
+ * @description Yield Alert Client Script for Consule LumberSuite™
+ *              Button handlers for the acknowledge/resolve workflow
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module yield/cls_yield_alert_cs
+ */
+
+define([
+    'N/record',
+    'N/url',
+    'N/ui/dialog',
+    '../lib/cls_constants'
+], function(
+    record,
+    url,
+    dialog,
+    Constants
+) {
+    'use strict';
+
+    /**
+     * pageInit Entry Point
+     *
+     * @param {Object} context - Script context
+     */
+    function pageInit(context) {
+        // Workflow buttons only
+    }
+
+    /**
+     * Acknowledges the alert
+     *
+     * @param {number} alertId - Alert record ID
+     */
+    function acknowledgeAlert(alertId) {
+        dialog.confirm({
+            title: 'Acknowledge Alert',
+            message: 'Acknowledge this yield alert? It will stay open until resolved.'
+        }).then(function(result) {
+            if (!result) {
+                return null;
+            }
+
+            return record.submitFields.promise({
+                type: Constants.RECORD_TYPES.YIELD_ALERT,
+                id: alertId,
+                values: {
+                    [Constants.YIELD_ALERT_FIELDS.STATUS]: Constants.ALERT_STATUS.ACKNOWLEDGED
+                }
+            }).then(function() {
+                window.location.reload();
+            });
+        }).catch(function(error) {
+            dialog.alert({
+                title: 'Error',
+                message: 'Failed to acknowledge alert: ' + error.message
+            });
+        });
+    }
+
+    /**
+     * Opens the alert in edit mode to record resolution notes
+     *
+     * @param {number} alertId - Alert record ID
+     */
+    function resolveAlert(alertId) {
+        const editUrl = url.resolveRecord({
+            recordType: Constants.RECORD_TYPES.YIELD_ALERT,
+            recordId: alertId,
+            isEditMode: true,
+            params: { resolve: 'T' }
+        });
+
+        window.location.href = editUrl;
+    }
+
+    window.acknowledgeAlert = acknowledgeAlert;
+    window.resolveAlert = resolveAlert;
+
+    return {
+        pageInit: pageInit
+    };
+});
@@ -0,0 +1,216 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ * @NModuleScope SameAccount
+ *
+ * @file cls_yield_alert_ue.js
+ * @description Yield Alert User Event Script for Consule LumberSuite™
+ *              Drives the acknowledge/resolve workflow on yield alert records
+ *
+ * @copyright Consule LumberSuite™ 2024
+ * @author Consule Development Team
+ *
+ * @module yield/cls_yield_alert_ue
+ */
+
+define([
+    'N/runtime',
+    'N/ui/serverWidget',
+    '../lib/cls_constants',
+    '../lib/cls_settings_dao',
+    '../lib/cls_logger'
+], function(
+    runtime,
+    serverWidget,
+    Constants,
+    SettingsDAO,
+    Logger
+) {
+    'use strict';
+
+    /**
+     * Module-level logger instance
+     * @type {Object}
+     */
+    const logger = Logger.createLogger('CLS_YieldAlert_UE');
+
+    const ALERT_FIELDS = Constants.YIELD_ALERT_FIELDS;
+    const ALERT_STATUS = Constants.ALERT_STATUS;
+
+    /**
+     * beforeLoad Entry Point
+     * Adds workflow buttons in view mode and prepares the resolve form
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {string} context.type - Trigger type
+     * @param {Form} context.form - Current form
+     * @param {Object} context.request - HTTP request (UI only)
+     */
+    function beforeLoad(context) {
+        try {
+            const alertRec = context.newRecord;
+            const form = context.form;
+
+            if (context.type === context.UserEventType.CREATE) {
+                setDefaultValues(alertRec);
+            }
+
+            if (context.type === context.UserEventType.VIEW) {
+                addWorkflowButtons(alertRec, form);
+            }
+
+            if (context.type === context.UserEventType.EDIT &&
+                context.request && context.request.parameters.resolve === 'T') {
+                prepareResolveForm(alertRec, form);
+            }
+        } catch (e) {
+            logger.error('beforeLoad', `Error: ${e.message}`, { stack: e.stack });
+        }
+    }
+
+    /**
+     * beforeSubmit Entry Point
+     * Stamps who acknowledged or resolved the alert and when
+     *
+     * @param {Object} context - Script context
+     * @param {Record} context.newRecord - Current record
+     * @param {Record} context.oldRecord - Previous record (edit only)
+     * @param {string} context.type - Trigger type
+     */
+    function beforeSubmit(context) {
+        try {
+            if (context.type === context.UserEventType.DELETE) {
+                return;
+            }
+
+            const alertRec = context.newRecord;
+
+            if (context.type === context.UserEventType.CREATE) {
+                setDefaultValues(alertRec);
+                return;
+            }
+
+            const newStatus = alertRec.getValue({ fieldId: ALERT_FIELDS.STATUS });
+            const oldStatus = context.oldRecord
+                ? context.oldRecord.getValue({ fieldId: ALERT_FIELDS.STATUS })
+                : null;
+
+            if (!newStatus || newStatus === oldStatus) {
+                return;
+            }
+
+            if (newStatus === ALERT_STATUS.ACKNOWLEDGED) {
+                stampWorkflowFields(alertRec, ALERT_FIELDS.ACKNOWLEDGED_BY, ALERT_FIELDS.ACKNOWLEDGED_DATE);
+            }
+
+            if (newStatus === ALERT_STATUS.RESOLVED) {
+                stampWorkflowFields(alertRec, ALERT_FIELDS.RESOLVED_BY, ALERT_FIELDS.RESOLVED_DATE);
+            }
+
+            logger.audit('beforeSubmit',
+                `Alert ${alertRec.id}: ${Constants.ALERT_STATUS_LABELS[oldStatus] || 'New'} → ${Constants.ALERT_STATUS_LABELS[newStatus]}`);
+        } catch (e) {
+            logger.error('beforeSubmit', `Error: ${e.message}`, { stack: e.stack });
+            throw e;
+        }
+    }
+
+    /**
+     * Sets default status, severity and assignee for new alerts
+     *
+     * @param {Record} alertRec - Alert record
+     */
+    function setDefaultValues(alertRec) {
+        if (!alertRec.getValue({ fieldId: ALERT_FIELDS.STATUS })) {
+            alertRec.setValue({ fieldId: ALERT_FIELDS.STATUS, value: ALERT_STATUS.OPEN });
+        }
+
+        if (!alertRec.getValue({ fieldId: ALERT_FIELDS.SEVERITY })) {
+            alertRec.setValue({ fieldId: ALERT_FIELDS.SEVERITY, value: Constants.ALERT_SEVERITY.WARNING });
+        }
+
+        const assignee = SettingsDAO.getAlertAssignee();
+        if (assignee && !alertRec.getValue({ fieldId: ALERT_FIELDS.ASSIGNEE })) {
+            alertRec.setValue({ fieldId: ALERT_FIELDS.ASSIGNEE, value: assignee });
+        }
+    }
+
+    /**
+     * Sets the by/date fields for a status change unless already provided
+     *
+     * @param {Record} alertRec - Alert record
+     * @param {string} byFieldId - Employee field
+     * @param {string} dateFieldId - Date field
+     */
+    function stampWorkflowFields(alertRec, byFieldId, dateFieldId) {
+        const userId = runtime.getCurrentUser().id;
+
+        if (userId > 0 && !alertRec.getValue({ fieldId: byFieldId })) {
+            alertRec.setValue({ fieldId: byFieldId, value: userId });
+        }
+
+        if (!alertRec.getValue({ fieldId: dateFieldId })) {
+            alertRec.setValue({ fieldId: dateFieldId, value: new Date() });
+        }
+    }
+
+    /**
+     * Adds Acknowledge/Resolve buttons for unresolved alerts
+     *
+     * @param {Record} alertRec - Alert record
+     * @param {Form} form - Current form
+     */
+    function addWorkflowButtons(alertRec, form) {
+        const status = alertRec.getValue({ fieldId: ALERT_FIELDS.STATUS });
+
+        if (status === ALERT_STATUS.RESOLVED) {
+            return;
+        }
+
+        form.clientScriptModulePath = './cls_yield_alert_cs.js';
+
+        if (status === ALERT_STATUS.OPEN) {
+            form.addButton({
+                id: 'custpage_btn_acknowledge',
+                label: 'Acknowledge',
+                functionName: `acknowledgeAlert(${alertRec.id})`
+            });
+        }
+
+        form.addButton({
+            id: 'custpage_btn_resolve',
+            label: 'Resolve',
+            functionName: `resolveAlert(${alertRec.id})`
+        });
+    }
+
+    /**
+     * Sets the alert to resolved and requires resolution notes
+     *
+     * @param {Record} alertRec - Alert record
+     * @param {Form} form - Current form
+     */
+    function prepareResolveForm(alertRec, form) {
+        if (alertRec.getValue({ fieldId: ALERT_FIELDS.STATUS }) === ALERT_STATUS.RESOLVED) {
+            return;
+        }
+
+        alertRec.setValue({ fieldId: ALERT_FIELDS.STATUS, value: ALERT_STATUS.RESOLVED });
+
+        const notesField = form.getField({ id: ALERT_FIELDS.RESOLUTION_NOTES });
+        if (notesField) {
+            notesField.isMandatory = true;
+        }
+
+        const statusField = form.getField({ id: ALERT_FIELDS.STATUS });
+        if (statusField) {
+            statusField.updateDisplayType({ displayType: serverWidget.FieldDisplayType.INLINE });
+        }
+    }
+
+    return {
+        beforeLoad: beforeLoad,
+        beforeSubmit: beforeSubmit
+    };
+});
@@ -17,21 +17,21 @@ define([
     'N/search',
     'N/record',
     'N/runtime',
-    'N/email',
     'N/format',
     'N/log',
     '../lib/cls_constants',
     '../lib/cls_settings_dao',
+    '../lib/cls_alert_service',
     '../lib/cls_logger'
 ], function(
     search,
     record,
     runtime,
-    email,
     format,
     log,
     Constants,
     SettingsDAO,
+    AlertService,
     Logger
 ) {
     'use strict';
@@ -645,6 +645,7 @@ define([
                     id: result.id,
                     date: result.getValue({ name: Constants.YIELD_FIELDS.YIELD_DATE }),
                     item: result.getText({ name: Constants.YIELD_FIELDS.ITEM }),
+                    itemId: result.getValue({ name: Constants.YIELD_FIELDS.ITEM }),
                     yieldPct: yieldPct,
                     inputBF: parseFloat(result.getValue({ name: Constants.YIELD_FIELDS.INPUT_BF })) || 0,
                     sourceId: result.getValue({ name: Constants.YIELD_FIELDS.SOURCE_TRANSACTION }),
@@ -971,14 +972,43 @@ define([
     }
 
     /**
-     * Sends anomaly alert email
+     * Logs a yield alert for each new anomaly and notifies the alert assignee
      *
      * @param {Object} report - Report data
      */
     function sendAnomalyAlert(report) {
         try {
-            const adminEmail = SettingsDAO.getAdminEmail();
-            if (!adminEmail) {
+            const detection = report.results[ANALYSIS_TYPES.ANOMALY_DETECTION];
+            const anomalies = (detection && detection.data[0] && detection.data[0].detected) || [];
+            let alertsCreated = 0;
+
+            anomalies.forEach(function(anomaly) {
+                if (AlertService.hasOpenAlert(anomaly.id)) {
+                    return;
+                }
+
+                let severity = 'info';
+                if (anomaly.type === 'low') {
+                    severity = anomaly.deviation >= ANOMALY_THRESHOLD + 1 ? 'critical' : 'warning';
+                }
+
+                const result = AlertService.createAlert({
+                    severity: severity,
+                    source: AlertService.SOURCES.YIELD_ANALYTICS,
+                    message: `Yield of ${anomaly.yieldPct.toFixed(1)}% on ${anomaly.item || 'item'} is ` +
+                        `${anomaly.deviation.toFixed(1)} standard deviations ${anomaly.type === 'low' ? 'below' : 'above'} average`,
+                    yieldRegisterId: anomaly.id,
+                    sourceTransaction: anomaly.sourceId,
+                    itemId: anomaly.itemId,
+                    notify: false
+                });
+
+                if (result.success) {
+                    alertsCreated++;
+                }
+            });
+
+            if (alertsCreated === 0) {
                 return;
             }
 
@@ -986,26 +1016,27 @@ define([
 LumberSuite™ Yield Analytics Alert
 
 ${report.anomaliesDetected} yield anomalies were detected during the latest analysis.
+${alertsCreated} new yield alerts were logged for review.
 
 Summary:
 - Items Analyzed: ${report.itemsAnalyzed}
 - Anomalies Found: ${report.anomaliesDetected}
 - Benchmarks Updated: ${report.benchmarksUpdated}
 
-Please review the Yield Analysis dashboard for details.
+Please review the open alerts on the Reports Dashboard.
 
 --
 LumberSuite™ Automated Analytics
             `;
 
-            email.send({
-                author: runtime.getCurrentUser().id,
-                recipients: adminEmail,
-                subject: `[LumberSuite™] Yield Alert - ${report.anomaliesDetected} Anomalies Detected`,
-                body: body
+            const notification = AlertService.notify({
+                title: `Yield Alert - ${alertsCreated} New Anomalies Detected`,
+                message: body,
+                severity: Constants.ALERT_SEVERITY.WARNING
             });
 
-            logger.audit('sendAnomalyAlert', 'Anomaly alert sent');
+            logger.audit('sendAnomalyAlert',
+                `Alerts created: ${alertsCreated}, notified: ${notification.success ? 'yes' : notification.error}`);
         } catch (e) {
             logger.error('sendAnomalyAlert', `Error: ${e.message}`);
         }
@@ -902,18 +902,24 @@ define([
             fieldId: Constants.YIELD_FIELDS.HAS_ANOMALY
         });
 
-        const variance = Math.abs(parseFloat(yieldRec.getValue({
+        const signedVariance = parseFloat(yieldRec.getValue({
             fieldId: Constants.YIELD_FIELDS.YIELD_VARIANCE
-        })) || 0);
+        })) || 0;
+        const variance = Math.abs(signedVariance);
 
         if (hasAnomaly || variance > VARIANCE_THRESHOLDS.CRITICAL) {
-            YieldService.createAlert({
+            const result = YieldService.createAlert({
                 yieldRegisterId: yieldRec.id,
                 alertType: variance > VARIANCE_THRESHOLDS.CRITICAL ? 'critical' : 'warning',
                 message: `Yield variance of ${variance.toFixed(1)}% detected`,
+                variancePct: signedVariance,
                 item: yieldRec.getValue({ fieldId: Constants.YIELD_FIELDS.ITEM }),
                 sourceTransaction: yieldRec.getValue({ fieldId: Constants.YIELD_FIELDS.SOURCE_TRANSACTION })
             });
+
+            if (!result.success) {
+                logger.error('checkForAlerts', `Alert not created: ${result.error}`);
+            }
         }
     }
 